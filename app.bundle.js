@@ -409,5 +409,117 @@ const __TWEAKS_STYLE=`
   .twk-chip>span>i:first-child{box-shadow:none}
   .twk-chip svg{position:absolute;top:6px;left:6px;width:13px;height:13px;
     filter:drop-shadow(0 1px 1px rgba(0,0,0,.3))}
-`;function useTweaks(defaults){const[values,setValues]=React.useState(defaults);const setTweak=React.useCallback((keyOrEdits,val)=>{const edits=typeof keyOrEdits==='object'&&keyOrEdits!==null?keyOrEdits:{[keyOrEdits]:val};setValues(prev=>({...prev,...edits}));window.parent.postMessage({type:'__edit_mode_set_keys',edits},'*');window.dispatchEvent(new CustomEvent('tweakchange',{detail:edits}));},[]);return[values,setTweak];}function TweaksPanel({title='Tweaks',noDeckControls=false,children}){const[open,setOpen]=React.useState(false);const dragRef=React.useRef(null);const hasDeckStage=React.useMemo(()=>typeof document!=='undefined'&&!!document.querySelector('deck-stage'),[]);const[railEnabled,setRailEnabled]=React.useState(()=>hasDeckStage&&!!document.querySelector('deck-stage')?._railEnabled);React.useEffect(()=>{if(!hasDeckStage||railEnabled)return undefined;const onMsg=e=>{if(e.data&&e.data.type==='__omelette_rail_enabled')setRailEnabled(true);};window.addEventListener('message',onMsg);return()=>window.removeEventListener('message',onMsg);},[hasDeckStage,railEnabled]);const[railVisible,setRailVisible]=React.useState(()=>{try{return localStorage.getItem('deck-stage.railVisible')!=='0';}catch(e){return true;}});const toggleRail=on=>{setRailVisible(on);window.postMessage({type:'__deck_rail_visible',on},'*');};const offsetRef=React.useRef({x:16,y:16});const PAD=16;const clampToViewport=React.useCallback(()=>{const panel=dragRef.current;if(!panel)return;const w=panel.offsetWidth,h=panel.offsetHeight;const maxRight=Math.max(PAD,window.innerWidth-w-PAD);const maxBottom=Math.max(PAD,window.innerHeight-h-PAD);offsetRef.current={x:Math.min(maxRight,Math.max(PAD,offsetRef.current.x)),y:Math.min(maxBottom,Math.max(PAD,offsetRef.current.y))};panel.style.right=offsetRef.current.x+'px';panel.style.bottom=offsetRef.current.y+'px';},[]);React.useEffect(()=>{if(!open)return;clampToViewport();if(typeof ResizeObserver==='undefined'){window.addEventListener('resize',clampToViewport);return()=>window.removeEventListener('resize',clampToViewport);}const ro=new ResizeObserver(clampToViewport);ro.observe(document.documentElement);return()=>ro.disconnect();},[open,clampToViewport]);React.useEffect(()=>{const onMsg=e=>{const t=e?.data?.type;if(t==='__activate_edit_mode')setOpen(true);else if(t==='__deactivate_edit_mode')setOpen(false);};window.addEventListener('message',onMsg);window.parent.postMessage({type:'__edit_mode_available'},'*');return()=>window.removeEventListener('message',onMsg);},[]);const dismiss=()=>{setOpen(false);window.parent.postMessage({type:'__edit_mode_dismissed'},'*');};const onDragStart=e=>{const panel=dragRef.current;if(!panel)return;const r=panel.getBoundingClientRect();const sx=e.clientX,sy=e.clientY;const startRight=window.innerWidth-r.right;const startBottom=window.innerHeight-r.bottom;const move=ev=>{offsetRef.current={x:startRight-(ev.clientX-sx),y:startBottom-(ev.clientY-sy)};clampToViewport();};const up=()=>{window.removeEventListener('mousemove',move);window.removeEventListener('mouseup',up);};window.addEventListener('mousemove',move);window.addEventListener('mouseup',up);};if(!open)return null;return React.createElement(React.Fragment,null,React.createElement("style",null,__TWEAKS_STYLE),React.createElement("div",{ref:dragRef,className:"twk-panel","data-noncommentable":"",style:{right:offsetRef.current.x,bottom:offsetRef.current.y}},React.createElement("div",{className:"twk-hd",onMouseDown:onDragStart},React.createElement("b",null,title),React.createElement("button",{className:"twk-x","aria-label":"Close tweaks",onMouseDown:e=>e.stopPropagation(),onClick:dismiss},"\u2715")),React.createElement("div",{className:"twk-body"},children,hasDeckStage&&railEnabled&&!noDeckControls&&React.createElement(TweakSection,{label:"Deck"},React.createElement(TweakToggle,{label:"Thumbnail rail",value:railVisible,onChange:toggleRail})))));}function TweakSection({label,children}){return React.createElement(React.Fragment,null,React.createElement("div",{className:"twk-sect"},label),children);}function TweakRow({label,value,children,inline=false}){return React.createElement("div",{className:inline?'twk-row twk-row-h':'twk-row'},React.createElement("div",{className:"twk-lbl"},React.createElement("span",null,label),value!=null&&React.createElement("span",{className:"twk-val"},value)),children);}function TweakSlider({label,value,min=0,max=100,step=1,unit='',onChange}){return React.createElement(TweakRow,{label:label,value:`${value}${unit}`},React.createElement("input",{type:"range",className:"twk-slider",min:min,max:max,step:step,value:value,onChange:e=>onChange(Number(e.target.value))}));}function TweakToggle({label,value,onChange}){return React.createElement("div",{className:"twk-row twk-row-h"},React.createElement("div",{className:"twk-lbl"},React.createElement("span",null,label)),React.createElement("button",{type:"button",className:"twk-toggle","data-on":value?'1':'0',role:"switch","aria-checked":!!value,onClick:()=>onChange(!value)},React.createElement("i",null)));}function TweakRadio({label,value,options,onChange}){const trackRef=React.useRef(null);const[dragging,setDragging]=React.useState(false);const valueRef=React.useRef(value);valueRef.current=value;const labelLen=o=>String(typeof o==='object'?o.label:o).length;const maxLen=options.reduce((m,o)=>Math.max(m,labelLen(o)),0);const fitsAsSegments=maxLen<=({2:16,3:10}[options.length]??0);if(!fitsAsSegments){const resolve=s=>{const m=options.find(o=>String(typeof o==='object'?o.value:o)===s);return m===undefined?s:typeof m==='object'?m.value:m;};return React.createElement(TweakSelect,{label:label,value:value,options:options,onChange:s=>onChange(resolve(s))});}const opts=options.map(o=>typeof o==='object'?o:{value:o,label:o});const idx=Math.max(0,opts.findIndex(o=>o.value===value));const n=opts.length;const segAt=clientX=>{const r=trackRef.current.getBoundingClientRect();const inner=r.width-4;const i=Math.floor((clientX-r.left-2)/inner*n);return opts[Math.max(0,Math.min(n-1,i))].value;};const onPointerDown=e=>{setDragging(true);const v0=segAt(e.clientX);if(v0!==valueRef.current)onChange(v0);const move=ev=>{if(!trackRef.current)return;const v=segAt(ev.clientX);if(v!==valueRef.current)onChange(v);};const up=()=>{setDragging(false);window.removeEventListener('pointermove',move);window.removeEventListener('pointerup',up);};window.addEventListener('pointermove',move);window.addEventListener('pointerup',up);};return React.createElement(TweakRow,{label:label},React.createElement("div",{ref:trackRef,role:"radiogroup",onPointerDown:onPointerDown,className:dragging?'twk-seg dragging':'twk-seg'},React.createElement("div",{className:"twk-seg-thumb",style:{left:`calc(2px + ${idx} * (100% - 4px) / ${n})`,width:`calc((100% - 4px) / ${n})`}}),opts.map(o=>React.createElement("button",{key:o.value,type:"button",role:"radio","aria-checked":o.value===value},o.label))));}function TweakSelect({label,value,options,onChange}){return React.createElement(TweakRow,{label:label},React.createElement("select",{className:"twk-field",value:value,onChange:e=>onChange(e.target.value)},options.map(o=>{const v=typeof o==='object'?o.value:o;const l=typeof o==='object'?o.label:o;return React.createElement("option",{key:v,value:v},l);})));}function TweakText({label,value,placeholder,onChange}){return React.createElement(TweakRow,{label:label},React.createElement("input",{className:"twk-field",type:"text",value:value,placeholder:placeholder,onChange:e=>onChange(e.target.value)}));}function TweakNumber({label,value,min,max,step=1,unit='',onChange}){const clamp=n=>{if(min!=null&&n<min)return min;if(max!=null&&n>max)return max;return n;};const startRef=React.useRef({x:0,val:0});const onScrubStart=e=>{e.preventDefault();startRef.current={x:e.clientX,val:value};const decimals=(String(step).split('.')[1]||'').length;const move=ev=>{const dx=ev.clientX-startRef.current.x;const raw=startRef.current.val+dx*step;const snapped=Math.round(raw/step)*step;onChange(clamp(Number(snapped.toFixed(decimals))));};const up=()=>{window.removeEventListener('pointermove',move);window.removeEventListener('pointerup',up);};window.addEventListener('pointermove',move);window.addEventListener('pointerup',up);};return React.createElement("div",{className:"twk-num"},React.createElement("span",{className:"twk-num-lbl",onPointerDown:onScrubStart},label),React.createElement("input",{type:"number",value:value,min:min,max:max,step:step,onChange:e=>onChange(clamp(Number(e.target.value)))}),unit&&React.createElement("span",{className:"twk-num-unit"},unit));}function __twkIsLight(hex){const h=String(hex).replace('#','');const x=h.length===3?h.replace(/./g,c=>c+c):h.padEnd(6,'0');const n=parseInt(x.slice(0,6),16);if(Number.isNaN(n))return true;const r=n>>16&255,g=n>>8&255,b=n&255;return r*299+g*587+b*114>148000;}const __TwkCheck=({light})=>React.createElement("svg",{viewBox:"0 0 14 14","aria-hidden":"true"},React.createElement("path",{d:"M3 7.2 5.8 10 11 4.2",fill:"none",strokeWidth:"2.2",strokeLinecap:"round",strokeLinejoin:"round",stroke:light?'rgba(0,0,0,.78)':'#fff'}));function TweakColor({label,value,options,onChange}){if(!options||!options.length){return React.createElement("div",{className:"twk-row twk-row-h"},React.createElement("div",{className:"twk-lbl"},React.createElement("span",null,label)),React.createElement("input",{type:"color",className:"twk-swatch",value:value,onChange:e=>onChange(e.target.value)}));}const key=o=>String(JSON.stringify(o)).toLowerCase();const cur=key(value);return React.createElement(TweakRow,{label:label},React.createElement("div",{className:"twk-chips",role:"radiogroup"},options.map((o,i)=>{const colors=Array.isArray(o)?o:[o];const[hero,...rest]=colors;const sup=rest.slice(0,4);const on=key(o)===cur;return React.createElement("button",{key:i,type:"button",className:"twk-chip",role:"radio","aria-checked":on,"data-on":on?'1':'0',"aria-label":colors.join(', '),title:colors.join(' · '),style:{background:hero},onClick:()=>onChange(o)},sup.length>0&&React.createElement("span",null,sup.map((c,j)=>React.createElement("i",{key:j,style:{background:c}}))),on&&React.createElement(__TwkCheck,{light:__twkIsLight(hero)}));})));}function TweakButton({label,onClick,secondary=false}){return React.createElement("button",{type:"button",className:secondary?'twk-btn secondary':'twk-btn',onClick:onClick},label);}Object.assign(window,{useTweaks,TweaksPanel,TweakSection,TweakRow,TweakSlider,TweakToggle,TweakRadio,TweakSelect,TweakText,TweakNumber,TweakColor,TweakButton});const{useEffect,useRef,useState}=React;function useAnimationFrame(callback,running=true){const ref=useRef();useEffect(()=>{if(!running)return;let raf;const tick=t=>{callback(t);raf=requestAnimationFrame(tick);};raf=requestAnimationFrame(tick);return()=>cancelAnimationFrame(raf);},[running]);}function makeSeries(n,seed=1,base=50,amp=30){let s=seed;return Array.from({length:n},(_,i)=>{s=(s*9301+49297)%233280;const noise=s/233280-0.5;return base+Math.sin(i/4+seed)*amp*0.6+noise*amp;});}function Sparkline({width=240,height=60,color="var(--accent)",seed=1,fill=true,motion=1}){const[t,setT]=useState(0);useAnimationFrame(time=>setT(time*0.001*motion));const n=40;const pts=Array.from({length:n},(_,i)=>{const x=i/(n-1)*width;const y=height/2+Math.sin(i*0.4+t)*height*0.25+Math.sin(i*0.13+t*0.7+seed)*height*0.15;return[x,y];});const path=pts.map(([x,y],i)=>i===0?`M${x},${y}`:`L${x},${y}`).join(" ");const fillPath=path+` L${width},${height} L0,${height} Z`;return React.createElement("svg",{width:width,height:height,viewBox:`0 0 ${width} ${height}`,style:{display:"block",width:"100%"}},React.createElement("defs",null,React.createElement("linearGradient",{id:`spark-fill-${seed}`,x1:"0",y1:"0",x2:"0",y2:"1"},React.createElement("stop",{offset:"0%",stopColor:color,stopOpacity:"0.3"}),React.createElement("stop",{offset:"100%",stopColor:color,stopOpacity:"0"}))),fill&&React.createElement("path",{d:fillPath,fill:`url(#spark-fill-${seed})`}),React.createElement("path",{d:path,fill:"none",stroke:color,strokeWidth:"1.5",strokeLinejoin:"round",strokeLinecap:"round"}),React.createElement("circle",{cx:pts[pts.length-1][0],cy:pts[pts.length-1][1],r:"3",fill:color},React.createElement("animate",{attributeName:"r",values:"2;5;2",dur:"1.6s",repeatCount:"indefinite"})));}function Gauge({value=0.72,label="Pressure",unit="bar",color="var(--accent)",size=160,motion=1}){const[animVal,setAnimVal]=useState(0);useEffect(()=>{let raf,start;const dur=1200/motion;const from=animVal,to=value;const step=t=>{if(!start)start=t;const k=Math.min(1,(t-start)/dur);const ease=1-Math.pow(1-k,3);setAnimVal(from+(to-from)*ease);if(k<1)raf=requestAnimationFrame(step);};raf=requestAnimationFrame(step);return()=>cancelAnimationFrame(raf);},[value]);const r=size*0.36;const cx=size/2,cy=size/2+size*0.05;const start=Math.PI*0.8,end=Math.PI*2.2;const cur=start+(end-start)*animVal;const arc=(a1,a2)=>{const large=a2-a1>Math.PI?1:0;return`M ${cx+r*Math.cos(a1)} ${cy+r*Math.sin(a1)} A ${r} ${r} 0 ${large} 1 ${cx+r*Math.cos(a2)} ${cy+r*Math.sin(a2)}`;};return React.createElement("div",{style:{display:"flex",flexDirection:"column",alignItems:"center"}},React.createElement("svg",{width:size,height:size*0.85,viewBox:`0 0 ${size} ${size*0.85}`},React.createElement("path",{d:arc(start,end),stroke:"rgba(255,255,255,0.06)",strokeWidth:"2",fill:"none"}),React.createElement("path",{d:arc(start,cur),stroke:color,strokeWidth:"2",fill:"none",strokeLinecap:"round",style:{filter:`drop-shadow(0 0 6px ${color})`}}),[...Array(11)].map((_,i)=>{const a=start+(end-start)*(i/10);const x1=cx+(r-6)*Math.cos(a),y1=cy+(r-6)*Math.sin(a);const x2=cx+(r+4)*Math.cos(a),y2=cy+(r+4)*Math.sin(a);return React.createElement("line",{key:i,x1:x1,y1:y1,x2:x2,y2:y2,stroke:"rgba(255,255,255,0.15)",strokeWidth:"1"});}),React.createElement("text",{x:cx,y:cy+6,textAnchor:"middle",fill:"var(--fg)",fontFamily:"var(--font-display)",fontSize:size*0.22,fontWeight:"300"},(animVal*100).toFixed(0)),React.createElement("text",{x:cx,y:cy+size*0.18,textAnchor:"middle",fill:"var(--fg-dim)",fontFamily:"var(--font-mono)",fontSize:"10",letterSpacing:"2"},unit.toUpperCase())),React.createElement("div",{className:"kpi-label",style:{marginTop:-4}},label));}function Bars({data,color="var(--accent-2)",height=80,motion=1}){const[phase,setPhase]=useState(0);useAnimationFrame(t=>setPhase(t*0.001*motion));return React.createElement("div",{style:{display:"flex",alignItems:"flex-end",gap:4,height}},data.map((v,i)=>{const h=v+Math.sin(phase+i*0.6)*8+20;return React.createElement("div",{key:i,style:{flex:1,height:`${Math.max(6,Math.min(100,h))}%`,background:`linear-gradient(180deg, ${color}, ${color}33)`,borderRadius:"1px 1px 0 0",transition:"height 0.4s ease",boxShadow:`0 0 8px ${color}66`}});}));}function Ticker({value,decimals=1,motion=1,suffix=""}){const[v,setV]=useState(value);useEffect(()=>{let raf,start;const from=v,to=value,dur=900/motion;const step=t=>{if(!start)start=t;const k=Math.min(1,(t-start)/dur);const ease=1-Math.pow(1-k,3);setV(from+(to-from)*ease);if(k<1)raf=requestAnimationFrame(step);};raf=requestAnimationFrame(step);return()=>cancelAnimationFrame(raf);},[value]);return React.createElement("span",null,v.toFixed(decimals),suffix);}Object.assign(window,{Sparkline,Gauge,Bars,Ticker,makeSeries,useAnimationFrame});const{useEffect:useEffectS,useState:useStateS,useRef:useRefS}=React;function PlantSchematic({motion=1,accent="#3b82f6",accent2="#06b6d4"}){const[pulse,setPulse]=useStateS(0);useAnimationFrame(t=>setPulse(t*0.001*motion),true);const nodes=[{id:"tank1",x:90,y:220,type:"tank",label:"TK-101"},{id:"tank2",x:90,y:420,type:"tank",label:"TK-102"},{id:"pump1",x:280,y:320,type:"pump",label:"P-204"},{id:"react",x:480,y:280,type:"reactor",label:"RX-301"},{id:"hx",x:720,y:280,type:"hx",label:"HX-410"},{id:"sep",x:920,y:200,type:"sep",label:"SP-520"},{id:"out",x:1080,y:360,type:"out",label:"DS-600"}];const pipes=[{from:"tank1",to:"pump1",id:"p1"},{from:"tank2",to:"pump1",id:"p2"},{from:"pump1",to:"react",id:"p3"},{from:"react",to:"hx",id:"p4"},{from:"hx",to:"sep",id:"p5"},{from:"hx",to:"out",id:"p6"}];const sensors=[{id:"s1",pipe:"p1",t:0.6,label:"T",value:"78°C"},{id:"s2",pipe:"p3",t:0.4,label:"P",value:"4.2bar"},{id:"s3",pipe:"p4",t:0.5,label:"F",value:"12 m³/h"},{id:"s4",pipe:"p5",t:0.5,label:"Q",value:"98.4%"},{id:"s5",pipe:"p6",t:0.6,label:"T",value:"42°C"}];const nById=Object.fromEntries(nodes.map(n=>[n.id,n]));return React.createElement("svg",{viewBox:"0 0 1200 600",width:"100%",height:"100%",style:{display:"block"}},React.createElement("defs",null,React.createElement("linearGradient",{id:"pipeGrad",x1:"0",y1:"0",x2:"1",y2:"0"},React.createElement("stop",{offset:"0%",stopColor:accent,stopOpacity:"0.3"}),React.createElement("stop",{offset:"100%",stopColor:accent2,stopOpacity:"0.5"})),React.createElement("radialGradient",{id:"nodeGlow"},React.createElement("stop",{offset:"0%",stopColor:accent,stopOpacity:"0.5"}),React.createElement("stop",{offset:"100%",stopColor:accent,stopOpacity:"0"})),React.createElement("filter",{id:"schemBlur"},React.createElement("feGaussianBlur",{stdDeviation:"2"}))),[...Array(15)].map((_,i)=>React.createElement("line",{key:`gv${i}`,x1:i*80,y1:0,x2:i*80,y2:600,stroke:"rgba(226,232,240,0.04)"})),[...Array(8)].map((_,i)=>React.createElement("line",{key:`gh${i}`,x1:0,y1:i*80,x2:1200,y2:i*80,stroke:"rgba(226,232,240,0.04)"})),pipes.map(p=>{const a=nById[p.from],b=nById[p.to];const midX=(a.x+b.x)/2;const d=`M ${a.x} ${a.y} L ${midX} ${a.y} L ${midX} ${b.y} L ${b.x} ${b.y}`;return React.createElement("g",{key:p.id},React.createElement("path",{d:d,stroke:"rgba(226,232,240,0.12)",strokeWidth:"2",fill:"none"}),React.createElement("path",{d:d,stroke:accent,strokeWidth:"1",fill:"none",strokeDasharray:"4 8",strokeDashoffset:-pulse*30,opacity:"0.7",style:{filter:"drop-shadow(0 0 4px "+accent+")"}}));}),pipes.map((p,idx)=>{const a=nById[p.from],b=nById[p.to];const midX=(a.x+b.x)/2;const len=Math.abs(midX-a.x)+Math.abs(b.y-a.y)+Math.abs(b.x-midX);const seg1=Math.abs(midX-a.x);const seg2=seg1+Math.abs(b.y-a.y);const phase=(pulse*80+idx*30)%len/len;const dist=phase*len;let px,py;if(dist<seg1){px=a.x+dist;py=a.y;}else if(dist<seg2){px=midX;py=a.y+(dist-seg1)*Math.sign(b.y-a.y);}else{px=midX+(dist-seg2)*Math.sign(b.x-midX);py=b.y;}return React.createElement("g",{key:`fp${p.id}`},React.createElement("circle",{cx:px,cy:py,r:"3",fill:accent2,style:{filter:`drop-shadow(0 0 6px ${accent2})`}}));}),nodes.map(n=>React.createElement("g",{key:n.id,transform:`translate(${n.x}, ${n.y})`},React.createElement("circle",{r:"32",fill:"url(#nodeGlow)"}),React.createElement(NodeShape,{type:n.type,accent:accent,accent2:accent2}),React.createElement("text",{y:"48",textAnchor:"middle",fontFamily:"var(--font-mono)",fontSize:"10",fill:"var(--fg-mute)",letterSpacing:"1.5"},n.label))),sensors.map(s=>{const p=pipes.find(pp=>pp.id===s.pipe);if(!p)return null;const a=nById[p.from],b=nById[p.to];const midX=(a.x+b.x)/2;const len=Math.abs(midX-a.x)+Math.abs(b.y-a.y)+Math.abs(b.x-midX);const seg1=Math.abs(midX-a.x);const seg2=seg1+Math.abs(b.y-a.y);const dist=s.t*len;let px,py;if(dist<seg1){px=a.x+dist;py=a.y;}else if(dist<seg2){px=midX;py=a.y+(dist-seg1)*Math.sign(b.y-a.y);}else{px=midX+(dist-seg2)*Math.sign(b.x-midX);py=b.y;}const blink=(Math.sin(pulse*2+s.t*9)+1)/2;return React.createElement("g",{key:s.id,transform:`translate(${px}, ${py})`},React.createElement("circle",{r:"8",fill:"none",stroke:accent2,strokeWidth:"1",opacity:0.4+blink*0.6}),React.createElement("circle",{r:"3",fill:accent2,style:{filter:`drop-shadow(0 0 4px ${accent2})`}}),React.createElement("g",{transform:"translate(12, -22)"},React.createElement("rect",{x:"0",y:"0",width:"60",height:"22",rx:"2",fill:"rgba(10,22,40,0.85)",stroke:"rgba(6,182,212,0.4)"}),React.createElement("text",{x:"6",y:"9",fontFamily:"var(--font-mono)",fontSize:"7",fill:"var(--fg-dim)",letterSpacing:"1"},"SENSOR \xB7 ",s.label),React.createElement("text",{x:"6",y:"18",fontFamily:"var(--font-mono)",fontSize:"9",fill:accent2},s.value)));}),React.createElement("g",{transform:"translate(40, 40)"},React.createElement("text",{fontFamily:"var(--font-mono)",fontSize:"10",fill:"var(--fg-dim)",letterSpacing:"2"},"UNIT 04 \xB7 POLYMER LINE"),React.createElement("text",{y:"14",fontFamily:"var(--font-mono)",fontSize:"9",fill:"var(--fg-dim)",letterSpacing:"1.5"},"REV 2026.04 \xB7 LIVE TELEMETRY")));}function NodeShape({type,accent,accent2}){const stroke="rgba(226,232,240,0.4)";switch(type){case"tank":return React.createElement("g",null,React.createElement("rect",{x:"-18",y:"-22",width:"36",height:"44",rx:"4",fill:"rgba(10,22,40,0.9)",stroke:stroke}),React.createElement("rect",{x:"-18",y:"4",width:"36",height:"18",rx:"0",fill:accent,fillOpacity:"0.25"}),React.createElement("line",{x1:"-18",y1:"4",x2:"18",y2:"4",stroke:accent,strokeWidth:"1"}));case"pump":return React.createElement("g",null,React.createElement("circle",{r:"22",fill:"rgba(10,22,40,0.9)",stroke:stroke}),React.createElement("circle",{r:"14",fill:"none",stroke:accent,strokeOpacity:"0.5"}),React.createElement("path",{d:"M -8 -8 L 8 0 L -8 8 Z",fill:accent}));case"reactor":return React.createElement("g",null,React.createElement("rect",{x:"-26",y:"-26",width:"52",height:"52",rx:"6",fill:"rgba(10,22,40,0.9)",stroke:stroke}),React.createElement("circle",{r:"14",fill:"none",stroke:accent2,strokeOpacity:"0.6"}),React.createElement("circle",{r:"6",fill:accent2,fillOpacity:"0.4"}));case"hx":return React.createElement("g",null,React.createElement("rect",{x:"-26",y:"-14",width:"52",height:"28",rx:"3",fill:"rgba(10,22,40,0.9)",stroke:stroke}),React.createElement("line",{x1:"-22",y1:"-6",x2:"22",y2:"-6",stroke:accent,strokeOpacity:"0.6"}),React.createElement("line",{x1:"-22",y1:"0",x2:"22",y2:"0",stroke:accent2,strokeOpacity:"0.6"}),React.createElement("line",{x1:"-22",y1:"6",x2:"22",y2:"6",stroke:accent,strokeOpacity:"0.6"}));case"sep":return React.createElement("g",null,React.createElement("path",{d:"M -22 -20 L 22 -20 L 14 20 L -14 20 Z",fill:"rgba(10,22,40,0.9)",stroke:stroke}),React.createElement("line",{x1:"-18",y1:"-8",x2:"18",y2:"-8",stroke:accent2,strokeOpacity:"0.6"}));case"out":return React.createElement("g",null,React.createElement("rect",{x:"-22",y:"-16",width:"44",height:"32",rx:"2",fill:"rgba(10,22,40,0.9)",stroke:stroke}),React.createElement("text",{textAnchor:"middle",y:"5",fontFamily:"var(--font-mono)",fontSize:"11",fill:accent2,letterSpacing:"1"},"OUT"));default:return React.createElement("circle",{r:"18",fill:"rgba(10,22,40,0.9)",stroke:stroke});}}Object.assign(window,{PlantSchematic});const{useState:useStateD}=React;function DashboardMock({motion=1}){return React.createElement("div",{className:"dash-mock"},React.createElement("div",{className:"dash-mock__head"},React.createElement("div",{style:{display:"flex",gap:8,alignItems:"center"}},React.createElement("div",{style:{display:"flex",gap:4}},React.createElement("span",{style:{width:8,height:8,borderRadius:2,background:"rgba(255,255,255,0.15)"}}),React.createElement("span",{style:{width:8,height:8,borderRadius:2,background:"rgba(255,255,255,0.15)"}}),React.createElement("span",{style:{width:8,height:8,borderRadius:2,background:"rgba(255,255,255,0.15)"}})),React.createElement("span",{className:"mono",style:{fontSize:11,color:"var(--fg-mute)",marginLeft:8}},"operations / unit-04-overview")),React.createElement("div",{className:"live"},React.createElement("span",{className:"dot"})," LIVE \xB7 1s")),React.createElement("div",{className:"dash-mock__grid"},React.createElement("div",{className:"dash-panel dash-panel--wide"},React.createElement("div",{className:"dash-panel__head"},React.createElement("span",null,"Throughput \xB7 Last 1h"),React.createElement("span",{className:"mono",style:{color:"var(--accent-2)"}},React.createElement(Ticker,{value:847.2,decimals:1,motion:motion})," t/h")),React.createElement(AreaChart,{motion:motion,seed:3})),React.createElement("div",{className:"dash-panel"},React.createElement("div",{className:"dash-panel__head"},React.createElement("span",null,"Reactor Temp"),React.createElement("span",{className:"mono",style:{color:"var(--accent)"}},"OK")),React.createElement(Gauge,{value:0.78,label:"",unit:"\xB0C",size:120,motion:motion})),React.createElement("div",{className:"dash-panel"},React.createElement("div",{className:"dash-panel__head"},React.createElement("span",null,"Pump Vibration"),React.createElement("span",{className:"mono",style:{color:"var(--warn,#f59e0b)"}},"WATCH")),React.createElement(Sparkline,{width:240,height:70,color:"#f59e0b",seed:7,motion:motion})),React.createElement("div",{className:"dash-panel"},React.createElement("div",{className:"dash-panel__head"},React.createElement("span",null,"Energy kWh"),React.createElement("span",{className:"mono",style:{color:"var(--fg-mute)"}},"24h")),React.createElement(Bars,{data:[40,60,52,80,75,90,72,84,68,76,82,90],motion:motion})),React.createElement("div",{className:"dash-panel"},React.createElement("div",{className:"dash-panel__head"},React.createElement("span",null,"OEE"),React.createElement("span",{className:"mono",style:{color:"var(--accent-2)"}},React.createElement(Ticker,{value:92.4,decimals:1,motion:motion,suffix:"%"}))),React.createElement(RadialBar,{value:0.924,motion:motion})),React.createElement("div",{className:"dash-panel dash-panel--wide"},React.createElement("div",{className:"dash-panel__head"},React.createElement("span",null,"Alarm Stream"),React.createElement("span",{className:"mono",style:{color:"var(--fg-mute)"}},"5 active")),React.createElement(AlarmList,{motion:motion}))));}function AreaChart({motion=1,seed=1}){const[t,setT]=useStateD(0);useAnimationFrame(time=>setT(time*0.0005*motion));const w=600,h=140,n=60;const pts=Array.from({length:n},(_,i)=>{const x=i/(n-1)*w;const y=h*0.6+Math.sin(i*0.3+t)*22+Math.sin(i*0.11+t*1.6+seed)*14-Math.sin(i*0.05)*10;return[x,y];});const path=pts.map(([x,y],i)=>i===0?`M${x},${y}`:`L${x},${y}`).join(" ");const fillPath=path+` L${w},${h} L0,${h} Z`;return React.createElement("svg",{viewBox:`0 0 ${w} ${h}`,style:{width:"100%",height:"100%"}},React.createElement("defs",null,React.createElement("linearGradient",{id:"areaG",x1:"0",y1:"0",x2:"0",y2:"1"},React.createElement("stop",{offset:"0%",stopColor:"var(--accent-2)",stopOpacity:"0.4"}),React.createElement("stop",{offset:"100%",stopColor:"var(--accent-2)",stopOpacity:"0"}))),[0.25,0.5,0.75].map(p=>React.createElement("line",{key:p,x1:"0",x2:w,y1:h*p,y2:h*p,stroke:"rgba(255,255,255,0.04)",strokeDasharray:"2 4"})),React.createElement("path",{d:fillPath,fill:"url(#areaG)"}),React.createElement("path",{d:path,stroke:"var(--accent-2)",strokeWidth:"1.5",fill:"none"}));}function RadialBar({value=0.92,motion=1}){const r=50,c=2*Math.PI*r;return React.createElement("div",{style:{display:"flex",justifyContent:"center",alignItems:"center",height:"100%"}},React.createElement("svg",{viewBox:"0 0 140 140",width:"120"},React.createElement("circle",{cx:"70",cy:"70",r:r,fill:"none",stroke:"rgba(255,255,255,0.06)",strokeWidth:"6"}),React.createElement("circle",{cx:"70",cy:"70",r:r,fill:"none",stroke:"var(--accent)",strokeWidth:"6",strokeDasharray:`${c*value} ${c}`,strokeLinecap:"round",transform:"rotate(-90 70 70)",style:{filter:"drop-shadow(0 0 6px var(--accent))",transition:"stroke-dasharray 0.8s"}}),React.createElement("text",{x:"70",y:"76",textAnchor:"middle",fill:"var(--fg)",fontFamily:"var(--font-display)",fontSize:"22",fontWeight:"300"},(value*100).toFixed(1),"%")));}function AlarmList({motion=1}){const rows=[{sev:"warn",code:"VIB-07",msg:"Pump P-204 vibration trending up",t:"2m"},{sev:"info",code:"BATCH",msg:"Batch B-2206 completed · 4.2% over yield",t:"11m"},{sev:"warn",code:"TMP-14",msg:"HX-410 outlet temperature drift",t:"23m"},{sev:"ok",code:"MAINT",msg:"PM scheduled for TK-101 cleared",t:"1h"}];return React.createElement("div",{style:{display:"flex",flexDirection:"column",gap:6,padding:"4px 0"}},rows.map((r,i)=>React.createElement("div",{key:i,style:{display:"grid",gridTemplateColumns:"auto auto 1fr auto",gap:10,alignItems:"center",padding:"6px 8px",fontFamily:"var(--font-mono)",fontSize:11,color:"var(--fg-mute)"}},React.createElement("span",{style:{width:6,height:6,borderRadius:"50%",background:r.sev==="warn"?"#f59e0b":r.sev==="info"?"var(--accent-2)":"var(--ok,#10b981)",boxShadow:`0 0 6px ${r.sev==="warn"?"#f59e0b":r.sev==="info"?"#06b6d4":"#10b981"}`}}),React.createElement("span",{style:{color:"var(--fg-dim)"}},r.code),React.createElement("span",{style:{color:"var(--fg)"}},r.msg),React.createElement("span",null,r.t))));}Object.assign(window,{DashboardMock});const{useEffect:useEffSp,useState:useStSp,useRef:useRefSp}=React;function useScrollProgress(ref){const[p,setP]=useStSp(0);useEffSp(()=>{const el=ref.current;if(!el)return;const onScroll=()=>{const rect=el.getBoundingClientRect();const vh=window.innerHeight;const total=rect.height-vh;const passed=Math.max(0,-rect.top);const prog=Math.max(0,Math.min(1,passed/total));setP(prog);};onScroll();window.addEventListener("scroll",onScroll,{passive:true});window.addEventListener("resize",onScroll);return()=>{window.removeEventListener("scroll",onScroll);window.removeEventListener("resize",onScroll);};},[]);return p;}function ScrollySpine({motion=1}){const wrap=useRefSp(null);const p=useScrollProgress(wrap);const step=Math.min(3,Math.floor(p*4));const stepP=p*4%1;const steps=[{key:"sensor",tag:"STAGE 01 · ACQUIRE",title:"It starts at the sensor.",body:"Pressure, temperature, vibration, flow. Thousands of tags pulsing every second on the plant floor. We meet your signals where they live — PLCs, DCS, OPC UA, MQTT, Modbus — and bring them into a single pipeline.",kpis:[["Tags / second","120K"],["Protocols","14+"],["Latency","<50ms"]]},{key:"historian",tag:"STAGE 02 · STORE",title:"Then the historian remembers.",body:"AVEVA PI, Canary, TDengine — pick the engine that fits your scale, retention and cost profile. We model the asset hierarchy, tune compression, and design retention policies that hold up under audit.",kpis:[["Retention","10y"],["Compression","30:1"],["Uptime","99.99%"]]},{key:"dashboard",tag:"STAGE 03 · SEE",title:"Then the dashboard speaks.",body:"Grafana, PI Vision, custom symbols built for your operators. Roll-ups for plant managers, drill-downs for engineers, mobile views for the field. Every panel grounded in your real asset model.",kpis:[["Dashboards","200+"],["Custom symbols","60+"],["Roles","8"]]},{key:"insight",tag:"STAGE 04 · DECIDE",title:"Then insight takes shape.",body:"ML models for anomaly detection, soft sensors, energy and yield optimization. Deployed where they matter: in the control room, in the historian, in the inbox of the people who can act on them.",kpis:[["Models live","40+"],["Yield gain","+4.2%"],["Energy saved","12%"]]}];return React.createElement("section",{className:"scrolly",ref:wrap,style:{minHeight:"500vh"},"data-screen-label":"03 Scrollytelling Spine"},React.createElement("div",{className:"scrolly__stage"},React.createElement(SpineStage,{step:step,stepP:stepP,motion:motion})),React.createElement("div",{className:"scrolly__overlay"},steps.map((s,i)=>React.createElement("div",{key:s.key,className:"scrolly__step"},React.createElement("div",{className:"step-card",style:{opacity:step===i?1:0.18,transition:"opacity 0.5s"}},React.createElement("div",{className:"step-pill"},s.tag),React.createElement("h2",{style:{fontSize:"clamp(28px, 3.4vw, 44px)",margin:"16px 0 12px"}},s.title),React.createElement("p",null,s.body),React.createElement("div",{style:{display:"flex",gap:24,marginTop:18,borderTop:"1px solid var(--line)",paddingTop:16}},s.kpis.map(([k,v])=>React.createElement("div",{key:k,className:"kpi",style:{gap:2}},React.createElement("div",{className:"kpi-value",style:{fontSize:22}},v),React.createElement("div",{className:"kpi-label"},k)))))))));}function SpineStage({step,stepP,motion}){const stages=[React.createElement(StageSensor,{motion:motion}),React.createElement(StageHistorian,{motion:motion}),React.createElement(StageDashboard,{motion:motion}),React.createElement(StageInsight,{motion:motion})];return React.createElement("div",{style:{width:"100%",height:"100%",position:"relative",display:"flex",alignItems:"center",justifyContent:"flex-end",padding:"0 var(--gutter)"}},React.createElement("div",{style:{width:"min(720px, 56%)",aspectRatio:"1 / 1",position:"relative"}},stages.map((el,i)=>React.createElement("div",{key:i,style:{position:"absolute",inset:0,opacity:i===step?1:0,transition:"opacity 0.6s ease",pointerEvents:i===step?"auto":"none"}},el))),React.createElement(SpineProgress,{step:step,stepP:stepP}));}function SpineProgress({step,stepP}){const labels=["SENSOR","HISTORIAN","DASHBOARD","INSIGHT"];return React.createElement("div",{style:{position:"absolute",left:"var(--gutter)",top:"50%",transform:"translateY(-50%)",display:"flex",flexDirection:"column",gap:22}},labels.map((l,i)=>React.createElement("div",{key:l,style:{display:"flex",alignItems:"center",gap:12}},React.createElement("div",{style:{width:32,height:1,background:i<=step?"var(--accent)":"var(--line-strong)",transition:"background 0.5s"}}),React.createElement("span",{className:"mono",style:{fontSize:11,letterSpacing:"0.18em",color:i===step?"var(--fg)":"var(--fg-dim)",transition:"color 0.5s"}},String(i+1).padStart(2,"0")," ",l))));}function StageSensor({motion}){const[t,setT]=useStSp(0);useAnimationFrame(time=>setT(time*0.001*motion));const pts=[];const grid=8;for(let i=0;i<grid;i++){for(let j=0;j<grid;j++){pts.push({x:i/(grid-1),y:j/(grid-1),seed:i*7+j*13});}}return React.createElement("svg",{viewBox:"0 0 600 600",width:"100%",height:"100%"},React.createElement("defs",null,React.createElement("radialGradient",{id:"sensGlow"},React.createElement("stop",{offset:"0%",stopColor:"var(--accent-2)",stopOpacity:"0.8"}),React.createElement("stop",{offset:"100%",stopColor:"var(--accent-2)",stopOpacity:"0"}))),pts.map(p=>{const active=(Math.sin(t*0.8+p.seed)+1)/2;const r=2+active*6;return React.createElement("g",{key:p.seed,transform:`translate(${60+p.x*480}, ${60+p.y*480})`},React.createElement("circle",{r:r*3,fill:"url(#sensGlow)",opacity:active*0.5}),React.createElement("circle",{r:"2",fill:"var(--accent-2)",opacity:0.3+active*0.7}));}),React.createElement("g",{transform:"translate(300, 300)"},React.createElement("circle",{r:"60",fill:"none",stroke:"rgba(6,182,212,0.2)",strokeDasharray:"3 6"},React.createElement("animateTransform",{attributeName:"transform",type:"rotate",from:"0",to:"360",dur:"20s",repeatCount:"indefinite"})),React.createElement("text",{textAnchor:"middle",y:"-8",fontFamily:"var(--font-mono)",fontSize:"11",fill:"var(--fg-mute)",letterSpacing:"2"},"SIGNALS"),React.createElement("text",{textAnchor:"middle",y:"16",fontFamily:"var(--font-display)",fontSize:"28",fill:"var(--fg)",fontWeight:"300"},React.createElement("tspan",null,"120K/s"))));}function StageHistorian({motion}){const[t,setT]=useStSp(0);useAnimationFrame(time=>setT(time*0.001*motion));return React.createElement("svg",{viewBox:"0 0 600 600",width:"100%",height:"100%"},React.createElement("defs",null,React.createElement("linearGradient",{id:"tapeG",x1:"0",y1:"0",x2:"1",y2:"0"},React.createElement("stop",{offset:"0%",stopColor:"var(--accent)",stopOpacity:"0"}),React.createElement("stop",{offset:"50%",stopColor:"var(--accent)",stopOpacity:"0.5"}),React.createElement("stop",{offset:"100%",stopColor:"var(--accent-2)",stopOpacity:"0"}))),[...Array(14)].map((_,i)=>{const y=80+i*32;const offset=(t*40+i*17)%60;const opacity=0.15+i%4*0.15;return React.createElement("g",{key:i},React.createElement("line",{x1:"60",y1:y,x2:"540",y2:y,stroke:"rgba(226,232,240,0.08)",strokeDasharray:"2 4"}),React.createElement("rect",{x:60+offset,y:y-1,width:"120",height:"2",fill:"url(#tapeG)",opacity:opacity}),React.createElement("rect",{x:300-offset/2,y:y-1,width:"80",height:"2",fill:"url(#tapeG)",opacity:opacity}),React.createElement("circle",{cx:60+(i*33+t*30)%480,cy:y,r:"2",fill:"var(--accent-2)",opacity:"0.8"}));}),React.createElement("g",{transform:"translate(300, 300)"},React.createElement("rect",{x:"-90",y:"-30",width:"180",height:"60",rx:"3",fill:"rgba(10,22,40,0.9)",stroke:"var(--accent)",strokeOpacity:"0.4"}),React.createElement("text",{textAnchor:"middle",y:"-8",fontFamily:"var(--font-mono)",fontSize:"10",fill:"var(--fg-mute)",letterSpacing:"2"},"HISTORIAN"),React.createElement("text",{textAnchor:"middle",y:"14",fontFamily:"var(--font-mono)",fontSize:"13",fill:"var(--accent-2)",letterSpacing:"2"},"PI \xB7 CANARY \xB7 TDENGINE")));}function StageDashboard({motion}){return React.createElement("div",{style:{width:"100%",height:"100%",display:"flex",alignItems:"center",justifyContent:"center",padding:20}},React.createElement("div",{style:{width:"100%",maxWidth:640}},React.createElement(DashboardMock,{motion:motion})));}function StageInsight({motion}){const[t,setT]=useStSp(0);useAnimationFrame(time=>setT(time*0.001*motion));return React.createElement("svg",{viewBox:"0 0 600 600",width:"100%",height:"100%"},React.createElement("defs",null,React.createElement("radialGradient",{id:"brainG"},React.createElement("stop",{offset:"0%",stopColor:"var(--accent-2)",stopOpacity:"0.5"}),React.createElement("stop",{offset:"100%",stopColor:"var(--accent)",stopOpacity:"0"}))),(()=>{const lcols=[{x:100,n:6},{x:250,n:8},{x:400,n:8},{x:550,n:3}];const nodes=lcols.flatMap((col,ci)=>Array.from({length:col.n},(_,i)=>({x:col.x,y:100+i*(400/(col.n-1)),ci,i})));const edges=[];for(let ci=0;ci<lcols.length-1;ci++){const a=nodes.filter(n=>n.ci===ci);const b=nodes.filter(n=>n.ci===ci+1);a.forEach((na,ai)=>b.forEach((nb,bi)=>edges.push({na,nb,k:ai*7+bi*3+ci*11})));}return React.createElement("g",null,React.createElement("circle",{cx:"300",cy:"300",r:"220",fill:"url(#brainG)",opacity:"0.3"}),edges.map((e,i)=>{const op=(Math.sin(t+e.k)+1)/2;return React.createElement("line",{key:i,x1:e.na.x,y1:e.na.y,x2:e.nb.x,y2:e.nb.y,stroke:"var(--accent)",strokeOpacity:op*0.18,strokeWidth:"0.5"});}),nodes.map((n,i)=>{const fire=(Math.sin(t*1.4+i*0.7)+1)/2;return React.createElement("g",{key:i},React.createElement("circle",{cx:n.x,cy:n.y,r:3+fire*4,fill:"var(--accent-2)",opacity:0.2}),React.createElement("circle",{cx:n.x,cy:n.y,r:"2.5",fill:"var(--accent-2)"}));}),[{y:100,label:"ANOMALY"},{y:300,label:"FORECAST"},{y:500,label:"OPTIMIZE"}].map((o,i)=>React.createElement("text",{key:i,x:"568",y:o.y+4,fontFamily:"var(--font-mono)",fontSize:"10",fill:"var(--fg-mute)",letterSpacing:"1.5"},o.label)));})());}Object.assign(window,{ScrollySpine});const{useEffect:useEffSec,useState:useStSec,useRef:useRefSec}=React;function Nav(){return React.createElement("nav",{className:"nav","data-screen-label":"00 Nav","aria-label":"Primary"},React.createElement("div",{className:"logo"},React.createElement("div",{className:"logo-mark"},React.createElement("svg",{viewBox:"0 0 40 40",role:"img","aria-labelledby":"navLogoTitle"},React.createElement("title",{id:"navLogoTitle"},"Blueforge AI"),React.createElement("defs",null,React.createElement("linearGradient",{id:"logoG",x1:"0",y1:"0",x2:"1",y2:"1"},React.createElement("stop",{offset:"0%",stopColor:"#3b82f6"}),React.createElement("stop",{offset:"100%",stopColor:"#06b6d4"}))),React.createElement("path",{d:"M 9 6 L 9 34",stroke:"url(#logoG)",strokeWidth:"3",strokeLinecap:"round"}),React.createElement("path",{d:"M 9 6 L 21 6 Q 30 6 30 13 Q 30 20 21 20 L 9 20",fill:"none",stroke:"url(#logoG)",strokeWidth:"3",strokeLinejoin:"round",strokeLinecap:"round"}),React.createElement("path",{d:"M 9 20 L 22 20 Q 32 20 32 27 Q 32 34 22 34 L 9 34",fill:"none",stroke:"url(#logoG)",strokeWidth:"3",strokeLinejoin:"round",strokeLinecap:"round"}),React.createElement("circle",{cx:"33",cy:"7",r:"2.5",fill:"#06b6d4"}))),React.createElement("span",null,"BLUEFORGE",React.createElement("span",{style:{color:"var(--accent-2)",marginLeft:4}},"AI"))),React.createElement("div",{className:"nav-links"},React.createElement("a",{href:"#services"},"Services"),React.createElement("a",{href:"#journey"},"Journey"),React.createElement("a",{href:"#dashboards"},"Dashboards"),React.createElement("a",{href:"#ai"},"AI / ML"),React.createElement("a",{href:"#process"},"Process"),React.createElement("a",{href:"#contact"},"Contact")),React.createElement("a",{href:"#contact",className:"btn btn--primary",style:{padding:"10px 16px"}},"Connect with us ",React.createElement("span",{className:"arrow"},"\u2192")));}function Hero({motion}){return React.createElement("section",{className:"hero",id:"hero","data-screen-label":"01 Hero"},React.createElement("div",{className:"bg-grid"}),React.createElement("div",{className:"bg-vignette"}),React.createElement("div",{className:"hero__bg"},React.createElement(PlantSchematic,{motion:motion})),React.createElement("div",{className:"hero__inner"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"Industrial Data Intelligence"),React.createElement("h1",{style:{marginTop:20}},"Your plant is talking.",React.createElement("br",null),React.createElement("span",{className:"gradient-text"},"We make it impossible to ignore.")),React.createElement("p",{className:"lead",style:{marginTop:26}},"Historians, dashboards, custom symbols, AI/ML \u2014 the operational data layer that turns telemetry into decisions, not noise. Built on AVEVA PI, Canary and TDengine. Deployed in 8 weeks."),React.createElement("div",{style:{display:"flex",gap:12,marginTop:32,flexWrap:"wrap"}},React.createElement("a",{href:"#contact",className:"btn btn--primary"},"Start your pilot ",React.createElement("span",{className:"arrow"},"\u2192")),React.createElement("a",{href:"#journey",className:"btn"},"See how it flows")))));}function LogoMarquee(){const items=["AVEVA PI","CANARY HISTORIAN","TDENGINE","GRAFANA","PI VISION","OPC UA","MQTT","INFLUXDB","TIMESCALEDB","MODBUS"];const doubled=[...items,...items];return React.createElement("section",{className:"section section--sm",style:{padding:"40px var(--gutter)"},"data-screen-label":"01b Logo Strip"},React.createElement("div",{className:"container"},React.createElement("div",{className:"mono",style:{fontSize:11,color:"var(--fg-dim)",letterSpacing:"0.2em",marginBottom:18}},"STACK \xB7 INTEGRATIONS \xB7 ECOSYSTEMS"),React.createElement("div",{className:"marquee"},React.createElement("div",{className:"marquee__track"},doubled.map((x,i)=>React.createElement("div",{key:i,className:"logo-strip__item"},React.createElement("span",{style:{width:6,height:6,background:"var(--accent-2)",borderRadius:"50%",boxShadow:"0 0 6px var(--accent-2)"}}),x))))));}function Services({motion}){const services=[{tag:"DIGITALIZATION",title:"Plant digitalization",body:"End-to-end programs to instrument, model and integrate your asset base.",icon:"tank"},{tag:"HISTORIANS",title:"AVEVA PI · Canary · TDengine",body:"Architect, deploy and tune the historian that fits your scale and budget.",icon:"stack"},{tag:"DASHBOARDS",title:"Grafana dashboards",body:"Operational panels for the floor, the control room, and the C-suite.",icon:"chart"},{tag:"VISUALIZATION",title:"PI Vision custom symbols",body:"Bespoke operator graphics that match the way your engineers think.",icon:"symbol"},{tag:"SOFTWARE",title:"Custom software",body:"APIs, micro-frontends, internal tools — built around your operational stack.",icon:"code"},{tag:"AI / ML",title:"AI & ML models",body:"Anomaly detection, soft sensors, forecast and yield optimization.",icon:"brain"}];return React.createElement("section",{className:"section",id:"services","data-screen-label":"02 Services"},React.createElement("div",{className:"container"},React.createElement("div",{className:"section-head"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"What we do"),React.createElement("h2",{style:{marginTop:14}},"Six disciplines.",React.createElement("br",null),React.createElement("span",{style:{color:"var(--fg-mute)"}},"One data fabric."))),React.createElement("p",{className:"lead"},"We sit between your control systems and your decision-makers. Whether you need a single dashboard or an enterprise-wide rollout, every engagement plugs into the same operational backbone.")),React.createElement("div",{className:"tile-grid"},services.map((s,i)=>React.createElement("div",{key:s.title,className:"tile card "+(i===0||i===5?"tile--lg":i===1||i===4?"tile--sm":"")},React.createElement("span",{className:"plus",style:{top:8,left:8}}),React.createElement("span",{className:"plus",style:{top:8,right:8}}),React.createElement("span",{className:"plus",style:{bottom:8,left:8}}),React.createElement("span",{className:"plus",style:{bottom:8,right:8}}),React.createElement("div",{style:{display:"flex",justifyContent:"space-between",alignItems:"start",marginBottom:18}},React.createElement("span",{className:"tag"},s.tag),React.createElement(ServiceIcon,{kind:s.icon})),React.createElement("h3",{style:{marginBottom:10}},s.title),React.createElement("p",{style:{margin:0}},s.body),React.createElement("div",{style:{marginTop:22,paddingTop:14,borderTop:"1px dashed var(--line)"}},React.createElement(Sparkline,{width:300,height:50,seed:i+1,motion:motion,color:i%2?"var(--accent-2)":"var(--accent)"})))))));}function ServiceIcon({kind}){const stroke="var(--accent-2)";switch(kind){case"tank":return React.createElement("svg",{width:"28",height:"28",viewBox:"0 0 28 28"},React.createElement("rect",{x:"6",y:"4",width:"16",height:"20",rx:"2",fill:"none",stroke:stroke}),React.createElement("line",{x1:"6",y1:"14",x2:"22",y2:"14",stroke:stroke}));case"stack":return React.createElement("svg",{width:"28",height:"28",viewBox:"0 0 28 28"},React.createElement("ellipse",{cx:"14",cy:"6",rx:"9",ry:"3",fill:"none",stroke:stroke}),React.createElement("path",{d:"M5 6 v6 a9 3 0 0 0 18 0 v-6",fill:"none",stroke:stroke}),React.createElement("path",{d:"M5 12 v6 a9 3 0 0 0 18 0 v-6",fill:"none",stroke:stroke}));case"chart":return React.createElement("svg",{width:"28",height:"28",viewBox:"0 0 28 28"},React.createElement("path",{d:"M4 20 L10 12 L15 17 L24 6",fill:"none",stroke:stroke,strokeWidth:"1.5"}),React.createElement("circle",{cx:"24",cy:"6",r:"2",fill:stroke}));case"symbol":return React.createElement("svg",{width:"28",height:"28",viewBox:"0 0 28 28"},React.createElement("rect",{x:"4",y:"4",width:"20",height:"20",fill:"none",stroke:stroke}),React.createElement("circle",{cx:"14",cy:"14",r:"5",fill:"none",stroke:stroke}),React.createElement("line",{x1:"4",y1:"14",x2:"9",y2:"14",stroke:stroke}),React.createElement("line",{x1:"19",y1:"14",x2:"24",y2:"14",stroke:stroke}));case"code":return React.createElement("svg",{width:"28",height:"28",viewBox:"0 0 28 28"},React.createElement("path",{d:"M10 8 L4 14 L10 20 M18 8 L24 14 L18 20",fill:"none",stroke:stroke,strokeWidth:"1.5"}));case"brain":return React.createElement("svg",{width:"28",height:"28",viewBox:"0 0 28 28"},React.createElement("circle",{cx:"8",cy:"8",r:"2",fill:stroke}),React.createElement("circle",{cx:"20",cy:"8",r:"2",fill:stroke}),React.createElement("circle",{cx:"14",cy:"14",r:"2",fill:stroke}),React.createElement("circle",{cx:"8",cy:"20",r:"2",fill:stroke}),React.createElement("circle",{cx:"20",cy:"20",r:"2",fill:stroke}),React.createElement("path",{d:"M8 8 L14 14 L20 8 M8 20 L14 14 L20 20",stroke:stroke,fill:"none"}));default:return null;}}function HistorianSection({motion}){return React.createElement("section",{className:"section",id:"historians","data-screen-label":"04 Historians"},React.createElement("div",{className:"container"},React.createElement("div",{className:"section-head"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"Plant digitalization"),React.createElement("h2",{style:{marginTop:14}},"Three historians.",React.createElement("br",null),React.createElement("span",{style:{color:"var(--fg-mute)"}},"One operating model."))),React.createElement("p",{className:"lead"},"The historian choice is rarely just about storage \u2014 it's about asset modelling, contextualization, retention, cost, and how your team reasons about events. We've shipped production rollouts in all three.")),React.createElement("div",{className:"tile-grid"},[{tag:"AVEVA PI",title:"Enterprise PI System",body:"AF templates, event frames, asset analytics. We migrate from legacy tag-only PI to a fully contextualized asset model your engineers can reason about.",metrics:[["Tags managed","8.4M"],["AF templates","240"],["Event frames / day","180K"]],color:"var(--accent)"},{tag:"CANARY",title:"Canary Historian",body:"Lean, file-based, blazing fast. Right-sized for mid-tier plants that need PI-class performance without the PI footprint.",metrics:[["Compression","30:1"],["Cold-query p95","120ms"],["Sites","14"]],color:"var(--accent-2)"},{tag:"TDENGINE",title:"TDengine Cluster",body:"Cloud-native, open-source-friendly, scales horizontally. Our default when retention and analytics workload outweigh OT integration depth.",metrics:[["Ingest peak","2.1M pts/s"],["Retention","10y"],["Nodes","12"]],color:"#a78bfa"}].map(h=>React.createElement("div",{key:h.title,className:"tile card",style:{gridColumn:"span 4"}},React.createElement("div",{style:{display:"flex",justifyContent:"space-between",alignItems:"baseline"}},React.createElement("span",{className:"tag",style:{color:h.color}},h.tag),React.createElement("span",{className:"live"},React.createElement("span",{className:"dot"})," production")),React.createElement("h3",{style:{marginTop:16,marginBottom:12}},h.title),React.createElement("p",{style:{marginBottom:22}},h.body),React.createElement("div",{style:{display:"grid",gridTemplateColumns:"1fr 1fr 1fr",gap:12,padding:"16px 0",borderTop:"1px solid var(--line)"}},h.metrics.map(([k,v])=>React.createElement("div",{key:k},React.createElement("div",{className:"mono",style:{fontSize:11,color:"var(--fg-dim)",letterSpacing:"0.08em",textTransform:"uppercase"}},k),React.createElement("div",{className:"mono",style:{fontSize:15,color:h.color,marginTop:4}},v)))),React.createElement(Sparkline,{width:260,height:40,color:h.color,seed:h.title.length,motion:motion}))))));}function DashboardSection({motion}){return React.createElement("section",{className:"section",id:"dashboards","data-screen-label":"05 Dashboards"},React.createElement("div",{className:"container"},React.createElement("div",{className:"section-head"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"Grafana dashboards"),React.createElement("h2",{style:{marginTop:14}},"Panels people",React.createElement("br",null),React.createElement("span",{className:"gradient-text"},"actually open."))),React.createElement("p",{className:"lead"},"We design dashboards the way good editors design pages: one obvious thing per panel, one obvious decision per dashboard. The result is operations teams who reach for Grafana before they reach for the phone.")),React.createElement("div",{style:{marginBottom:40}},React.createElement(DashboardMock,{motion:motion})),React.createElement("div",{style:{display:"grid",gridTemplateColumns:"repeat(3, 1fr)",gap:24},className:"dashboard-points"},[["Asset-aware","Every panel knows what it's looking at — unit, line, batch — so drill-down works the way operators expect."],["Role-tuned","Plant manager rollups, engineer diagnostics, mobile field views. One source of truth, three reading levels."],["Alert-ready","Alarm streams wired to PagerDuty, Teams or your CMMS. Acks, snoozes, and post-mortems already considered."]].map(([t,b])=>React.createElement("div",{key:t},React.createElement("h3",{style:{marginBottom:8}},t),React.createElement("p",{style:{margin:0,fontSize:14}},b))))));}Object.assign(window,{Nav,Hero,LogoMarquee,Services,HistorianSection,DashboardSection});const{useState:useStS2}=React;function SymbolsSection({motion}){const symbols=[{name:"Vessel · Level",kind:"vessel"},{name:"Pump · Status",kind:"pump"},{name:"Valve · Flow",kind:"valve"},{name:"Motor · Vibration",kind:"motor"},{name:"Heat Exchanger",kind:"hx"},{name:"Mini Trend",kind:"trend"},{name:"Alarm Tile",kind:"alarm"},{name:"Batch Phase",kind:"batch"}];return React.createElement("section",{className:"section",id:"symbols","data-screen-label":"06 PI Vision Symbols"},React.createElement("div",{className:"container"},React.createElement("div",{className:"section-head"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"PI Vision \xB7 Custom symbols"),React.createElement("h2",{style:{marginTop:14}},"Operator graphics",React.createElement("br",null),React.createElement("span",{style:{color:"var(--fg-mute)"}},"that read like instinct."))),React.createElement("p",{className:"lead"},"Stock symbols rarely match the way your operators actually think about an asset. We design and build a custom symbol library \u2014 bound to your AF model \u2014 so screens scan in two seconds, not twenty.")),React.createElement("div",{className:"symbol-grid"},symbols.map((s,i)=>React.createElement("div",{key:s.name,className:"symbol-tile"},React.createElement(SymbolGraphic,{kind:s.kind,motion:motion,i:i}),React.createElement("div",{className:"symbol-tile__label"},s.name))))));}function SymbolGraphic({kind,motion,i}){const[t,setT]=useStS2(0);useAnimationFrame(time=>setT(time*0.001*motion));const blink=(Math.sin(t*1.6+i)+1)/2;const fill=i%3===0?"#3b82f6":i%3===1?"#06b6d4":"#a78bfa";switch(kind){case"vessel":{const level=0.4+0.3*((Math.sin(t*0.5)+1)/2);return React.createElement("svg",{width:"100",height:"120",viewBox:"0 0 100 120"},React.createElement("rect",{x:"20",y:"10",width:"60",height:"100",rx:"4",fill:"rgba(10,22,40,0.9)",stroke:"rgba(226,232,240,0.4)"}),React.createElement("rect",{x:"22",y:12+(1-level)*96,width:"56",height:level*96,fill:fill,fillOpacity:"0.3"}),React.createElement("rect",{x:"22",y:12+(1-level)*96,width:"56",height:"2",fill:fill}),React.createElement("text",{x:"50",y:"65",textAnchor:"middle",fontFamily:"var(--font-mono)",fontSize:"13",fill:"var(--fg)"},(level*100).toFixed(0),"%"),React.createElement("text",{x:"50",y:"80",textAnchor:"middle",fontFamily:"var(--font-mono)",fontSize:"8",fill:"var(--fg-dim)",letterSpacing:"1"},"TK-101"));}case"pump":return React.createElement("svg",{width:"110",height:"100",viewBox:"0 0 110 100"},React.createElement("circle",{cx:"55",cy:"50",r:"32",fill:"rgba(10,22,40,0.9)",stroke:"rgba(226,232,240,0.4)"}),React.createElement("g",{transform:"translate(55 50)"},React.createElement("g",{style:{transformOrigin:"0 0",animation:`spin ${2/motion}s linear infinite`}},React.createElement("path",{d:"M -22 0 L 22 0 M 0 -22 L 0 22",stroke:fill,strokeWidth:"3",strokeLinecap:"round"}),React.createElement("circle",{r:"6",fill:fill}))),React.createElement("text",{x:"55",y:"92",textAnchor:"middle",fontFamily:"var(--font-mono)",fontSize:"9",fill:fill,letterSpacing:"1"},"RUN \xB7 ",Math.round(1750+blink*20),"rpm"),React.createElement("style",null,`@keyframes spin { to { transform: rotate(360deg); } }`));case"valve":return React.createElement("svg",{width:"120",height:"80",viewBox:"0 0 120 80"},React.createElement("line",{x1:"0",y1:"40",x2:"40",y2:"40",stroke:fill,strokeWidth:"3"}),React.createElement("line",{x1:"80",y1:"40",x2:"120",y2:"40",stroke:fill,strokeWidth:"3"}),React.createElement("path",{d:"M 40 25 L 80 55 L 80 25 L 40 55 Z",fill:"rgba(10,22,40,0.9)",stroke:fill,strokeWidth:"1.5"}),React.createElement("line",{x1:"60",y1:"20",x2:"60",y2:"5",stroke:"rgba(226,232,240,0.5)",strokeWidth:"2"}),React.createElement("circle",{cx:"60",cy:"5",r:"3",fill:fill}),React.createElement("text",{x:"60",y:"76",textAnchor:"middle",fontFamily:"var(--font-mono)",fontSize:"9",fill:"var(--fg-mute)"},"OPEN \xB7 78%"));case"motor":return React.createElement("svg",{width:"120",height:"100",viewBox:"0 0 120 100"},React.createElement("rect",{x:"14",y:"30",width:"60",height:"40",rx:"3",fill:"rgba(10,22,40,0.9)",stroke:"rgba(226,232,240,0.4)"}),React.createElement("line",{x1:"74",y1:"50",x2:"100",y2:"50",stroke:"rgba(226,232,240,0.4)",strokeWidth:"3"}),React.createElement("circle",{cx:"106",cy:"50",r:"6",fill:"rgba(10,22,40,0.9)",stroke:"rgba(226,232,240,0.4)"}),React.createElement("text",{x:"44",y:"55",textAnchor:"middle",fontFamily:"var(--font-mono)",fontSize:"11",fill:fill,letterSpacing:"2"},"M"),React.createElement("g",{transform:"translate(14 78)"},[...Array(12)].map((_,k)=>{const h=4+Math.abs(Math.sin(t*2+k*0.5+i))*14;return React.createElement("rect",{key:k,x:k*5,y:-h,width:"3",height:h,fill:fill,opacity:"0.7"});})));case"hx":return React.createElement("svg",{width:"120",height:"80",viewBox:"0 0 120 80"},React.createElement("rect",{x:"10",y:"20",width:"100",height:"40",rx:"3",fill:"rgba(10,22,40,0.9)",stroke:"rgba(226,232,240,0.4)"}),React.createElement("path",{d:"M 15 30 Q 30 30 30 40 Q 30 50 45 50 Q 60 50 60 40 Q 60 30 75 30 Q 90 30 90 40 Q 90 50 105 50",fill:"none",stroke:fill,strokeWidth:"1.5"}),React.createElement("text",{x:"60",y:"74",textAnchor:"middle",fontFamily:"var(--font-mono)",fontSize:"9",fill:"var(--fg-mute)"},"\u0394T 42\xB0C"));case"trend":return React.createElement("div",{style:{width:130,height:80}},React.createElement(Sparkline,{width:130,height:70,color:fill,seed:i+11,motion:motion}));case"alarm":return React.createElement("svg",{width:"120",height:"100",viewBox:"0 0 120 100"},React.createElement("rect",{x:"10",y:"15",width:"100",height:"60",rx:"3",fill:"rgba(10,22,40,0.9)",stroke:fill,strokeOpacity:0.4+blink*0.5}),React.createElement("circle",{cx:"22",cy:"32",r:"4",fill:fill,opacity:0.3+blink*0.7}),React.createElement("text",{x:"34",y:"35",fontFamily:"var(--font-mono)",fontSize:"9",fill:"var(--fg)"},"VIB-07 HIGH"),React.createElement("text",{x:"22",y:"52",fontFamily:"var(--font-mono)",fontSize:"8",fill:"var(--fg-dim)"},"P-204 \xB7 2m"),React.createElement("text",{x:"22",y:"65",fontFamily:"var(--font-mono)",fontSize:"8",fill:"var(--fg-mute)"},"ACK \xB7 SNOOZE"));case"batch":return React.createElement("svg",{width:"140",height:"80",viewBox:"0 0 140 80"},["CHARGE","HEAT","REACT","COOL","DROP"].map((step,k)=>React.createElement("g",{key:k,transform:`translate(${k*28}, 20)`},React.createElement("rect",{width:"24",height:"20",rx:"2",fill:k<=2?fill:"rgba(255,255,255,0.06)",fillOpacity:k===2?0.9:k<2?0.5:1,stroke:"rgba(255,255,255,0.1)"}),React.createElement("text",{x:"12",y:"13",textAnchor:"middle",fontFamily:"var(--font-mono)",fontSize:"6",fill:k<=2?"#fff":"var(--fg-dim)"},step))),React.createElement("text",{x:"70",y:"62",textAnchor:"middle",fontFamily:"var(--font-mono)",fontSize:"9",fill:fill},"BATCH B-2206 \xB7 REACT"));default:return null;}}function AISection({motion}){return React.createElement("section",{className:"section",id:"ai","data-screen-label":"07 AI / ML"},React.createElement("div",{className:"container"},React.createElement("div",{className:"section-head"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"AI / ML model creation"),React.createElement("h2",{style:{marginTop:14}},"Models that earn",React.createElement("br",null),React.createElement("span",{className:"gradient-text"},"their place on the line."))),React.createElement("p",{className:"lead"},"We don't ship demos. Every model we deploy has a clear operator action behind it, a feedback loop into the historian, and a way to be turned off when the process changes. That's the difference between an ML pilot and a working soft sensor.")),React.createElement("div",{style:{display:"grid",gridTemplateColumns:"1.1fr 1fr",gap:32},className:"ai-grid"},React.createElement("div",{style:{display:"flex",flexDirection:"column",gap:16}},[{title:"Anomaly Detection",body:"Unsupervised models tuned per asset class. Catch bearing wear, sensor drift, and process upsets weeks before they're audible."},{title:"Soft Sensors",body:"Replace lab assays with virtual sensors. Real-time predictions for composition, density, viscosity — backed by automated retraining."},{title:"Forecasting",body:"Demand, throughput, and emissions forecasts wired into your scheduler. Confidence intervals included, not hidden."},{title:"Closed-loop optimization",body:"Bayesian and RL controllers tuned offline, deployed with hard guardrails. Auditable, reversible, and explainable."}].map(m=>React.createElement("div",{key:m.title,className:"card",style:{padding:22}},React.createElement("div",{style:{display:"flex",justifyContent:"space-between",alignItems:"baseline"}},React.createElement("h3",null,m.title),React.createElement("span",{className:"chip"},React.createElement("span",{className:"dot--ok",style:{width:6,height:6,borderRadius:"50%"}})," deployed")),React.createElement("p",{style:{margin:"10px 0 0",fontSize:14}},m.body)))),React.createElement("div",{className:"card",style:{padding:28,display:"flex",flexDirection:"column",gap:18}},React.createElement("div",{style:{display:"flex",justifyContent:"space-between",alignItems:"baseline"}},React.createElement("span",{className:"tag"},"MODEL \xB7 LIVE"),React.createElement("span",{className:"live"},React.createElement("span",{className:"dot"})," retraining nightly")),React.createElement("h3",null,"RX-301 yield predictor"),React.createElement("div",{style:{height:180}},React.createElement(AreaChart,{motion:motion,seed:9})),React.createElement("div",{style:{display:"grid",gridTemplateColumns:"1fr 1fr",gap:12,padding:"16px 0",borderTop:"1px solid var(--line)",borderBottom:"1px solid var(--line)"}},React.createElement(Gauge,{value:0.91,label:"Accuracy",unit:"%",size:120,motion:motion}),React.createElement(Gauge,{value:0.66,label:"Coverage",unit:"%",size:120,motion:motion,color:"var(--accent-2)"})),React.createElement("div",{className:"snippet"},React.createElement("div",null,React.createElement("span",{className:"com"},"# predict next-hour yield, write back to PI")),React.createElement("div",null,React.createElement("span",{className:"kw"},"def")," predict(",React.createElement("span",null,"tags"),"):"),React.createElement("div",null,"\xA0\xA0x = features.",React.createElement("span",{className:"kw"},"load"),"(",React.createElement("span",{className:"str"},"\"rx-301\""),")"),React.createElement("div",null,"\xA0\xA0",React.createElement("span",{className:"kw"},"return")," model.predict(x).clip(0, 1)"))))));}function SoftwareSection({motion}){return React.createElement("section",{className:"section",id:"software","data-screen-label":"08 Custom Software"},React.createElement("div",{className:"container"},React.createElement("div",{className:"section-head"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"Custom software"),React.createElement("h2",{style:{marginTop:14}},"The glue layer",React.createElement("br",null),React.createElement("span",{style:{color:"var(--fg-mute)"}},"between systems and people."))),React.createElement("p",{className:"lead"},"Most operational pain isn't in the historian \u2014 it's in the gap between systems. We build the APIs, internal apps and integrations that make your data fabric feel like one product.")),React.createElement("div",{className:"tile-grid"},[{tag:"INTEGRATIONS",title:"API gateways",body:"OPC UA bridges, REST/GraphQL APIs over PI, Canary, TDengine. RBAC, audit logs, SSO out of the box."},{tag:"INTERNAL TOOLS",title:"Operator apps",body:"Tablet-first apps for rounds, log books, deviation handling. Offline-capable, syncs to the historian."},{tag:"REPORTING",title:"Compliance reporting",body:"Regulatory exports (EPA, EU ETS, FDA 21 CFR Part 11) generated from the historian on a schedule."},{tag:"PORTALS",title:"Site & enterprise portals",body:"Multi-site rollups, KPI cascades, and benchmarking dashboards that survive an org chart change."}].map(s=>React.createElement("div",{key:s.title,className:"tile card",style:{gridColumn:"span 6"}},React.createElement("span",{className:"tag"},s.tag),React.createElement("h3",{style:{marginTop:12,marginBottom:10}},s.title),React.createElement("p",{style:{margin:0}},s.body))))));}function ProcessSection({motion}){const steps=[{num:"01",title:"Discover",body:"Two-week embed with your ops and IT teams. We map every data source, every owner, every pain.",deliverable:"Data-source register · stakeholder map · risk log"},{num:"02",title:"Architect",body:"Reference architecture that fits your existing OT/IT split. Historian choice, asset model, integration patterns.",deliverable:"Architecture doc · scoring matrix · pilot plan"},{num:"03",title:"Pilot",body:"One unit, one historian, one set of dashboards. End-to-end, production-grade, in 8–12 weeks.",deliverable:"Live pilot · operator training · success metrics"},{num:"04",title:"Scale",body:"Templated rollout to remaining units and sites. We hand over with documentation your team can actually maintain.",deliverable:"Rollout playbook · runbooks · trained engineers"},{num:"05",title:"Operate",body:"Optional managed-service tier — we keep the historian healthy, models retrained, and dashboards loved.",deliverable:"SLAs · on-call · quarterly business reviews"}];return React.createElement("section",{className:"section",id:"process","data-screen-label":"09 Process"},React.createElement("div",{className:"container"},React.createElement("div",{className:"section-head"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"How we work"),React.createElement("h2",{style:{marginTop:14}},"Five phases.",React.createElement("br",null),React.createElement("span",{style:{color:"var(--fg-mute)"}},"No mystery between them."))),React.createElement("p",{className:"lead"},"Every engagement runs the same playbook. We're explicit about deliverables, hand-offs, and exit ramps \u2014 because operational technology is too important to be a black box.")),React.createElement("div",null,steps.map(s=>React.createElement("div",{key:s.num,className:"process-step"},React.createElement("div",{className:"process-num"},s.num),React.createElement("div",null,React.createElement("div",{className:"process-title"},s.title),React.createElement("p",{style:{marginTop:6}},s.body)),React.createElement("div",null,React.createElement("div",{className:"mono",style:{fontSize:11,color:"var(--fg-dim)",letterSpacing:"0.1em",textTransform:"uppercase",marginBottom:6}},"Deliverable"),React.createElement("div",{className:"mono",style:{fontSize:13,color:"var(--fg-mute)",lineHeight:1.6}},s.deliverable)))))));}function ContactSection(){return React.createElement("section",{className:"section",id:"contact","data-screen-label":"11 Contact"},React.createElement("div",{className:"container"},React.createElement("div",{style:{display:"grid",gridTemplateColumns:"1fr 1fr",gap:64},className:"contact-grid"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"Connect with us"),React.createElement("h2",{style:{marginTop:14}},"Tell us about your plant."),React.createElement("p",{className:"lead",style:{marginTop:18}},"Drop us a line about your historian, your team, and what's keeping the control room up at night. Your message lands directly in our inbox at ",React.createElement("span",{className:"mono",style:{color:"var(--accent-2)"}},"info@blueforgeai.com")," \u2014 we reply within two business days with a scoped plan, or honest reasons we're not the right fit."),React.createElement("div",{style:{marginTop:32,display:"flex",flexDirection:"column",gap:12}},React.createElement("div",{className:"mono",style:{fontSize:13,color:"var(--fg-mute)"}},React.createElement("span",{style:{color:"var(--fg-dim)"}},"email\xA0\xA0"),"info@blueforgeai.com"),React.createElement("div",{className:"mono",style:{fontSize:13,color:"var(--fg-mute)"}},React.createElement("span",{style:{color:"var(--fg-dim)"}},"reply\xA0"),"within two business days"),React.createElement("div",{className:"mono",style:{fontSize:13,color:"var(--fg-mute)"}},React.createElement("span",{style:{color:"var(--fg-dim)"}},"scope\xA0"),"pilot to enterprise rollout"))),React.createElement(ContactForm,null))));}const FORM_ENDPOINT="";function ContactForm(){const[state,setState]=useStS2({name:"",email:"",company:"",historian:"AVEVA PI",scope:[],message:"",website:""});const[sent,setSent]=useStS2(false);const[sending,setSending]=useStS2(false);const[err,setErr]=useStS2("");const formLoadedAt=React.useRef(Date.now());const toggle=k=>setState(s=>({...s,scope:s.scope.includes(k)?s.scope.filter(x=>x!==k):[...s.scope,k]}));const submit=async e=>{e.preventDefault();setErr("");if(state.website){setSent(true);return;}if(Date.now()-formLoadedAt.current<2000){setErr("Please take a moment to fill the form, then try again.");return;}if(FORM_ENDPOINT){setSending(true);try{const res=await fetch(FORM_ENDPOINT,{method:"POST",headers:{"Content-Type":"application/json",Accept:"application/json"},body:JSON.stringify({...state,scope:state.scope.join(", "),_subject:`New inquiry from ${state.name} · ${state.company}`})});if(!res.ok)throw new Error("send-failed");setSent(true);}catch(_){setErr("We couldn't deliver the message. Please email info@blueforgeai.com directly — we'll reply within two business days.");}setSending(false);return;}const body=`Name: ${state.name}\nWork email: ${state.email}\nCompany / site: ${state.company}\nPrimary historian: ${state.historian}\nScope of interest: ${state.scope.join(", ")||"—"}\n\nMessage:\n${state.message}`;const subject=`New inquiry from ${state.name||"website"}${state.company?" · "+state.company:""}`;window.location.href=`mailto:info@blueforgeai.com?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;setSent(true);};if(sent)return React.createElement("div",{className:"card",style:{padding:40,display:"flex",flexDirection:"column",alignItems:"center",justifyContent:"center",gap:14,minHeight:380}},React.createElement("div",{style:{width:56,height:56,borderRadius:"50%",background:"rgba(16,185,129,0.15)",display:"flex",alignItems:"center",justifyContent:"center"}},React.createElement("svg",{width:"28",height:"28",viewBox:"0 0 24 24"},React.createElement("path",{d:"M5 12 L10 17 L20 7",fill:"none",stroke:"var(--ok)",strokeWidth:"2",strokeLinecap:"round"}))),React.createElement("h3",null,"Message ready to send"),React.createElement("p",{style:{textAlign:"center",maxWidth:340}},"Your email client should have opened with the details pre-filled. If it didn't, write to us directly at ",React.createElement("span",{className:"mono",style:{color:"var(--accent-2)"}},"info@blueforgeai.com"),". We reply within two business days."));return React.createElement("form",{className:"card",onSubmit:submit,style:{padding:28},noValidate:true},React.createElement("div",{"aria-hidden":"true",style:{position:"absolute",left:"-10000px",width:1,height:1,overflow:"hidden"}},React.createElement("label",null,"Website (leave blank)",React.createElement("input",{type:"text",tabIndex:-1,autoComplete:"off",value:state.website,onChange:e=>setState({...state,website:e.target.value})}))),React.createElement("div",{className:"form"},React.createElement("div",{className:"field"},React.createElement("label",{htmlFor:"cf-name"},"Name"),React.createElement("input",{id:"cf-name",autoComplete:"name",value:state.name,onChange:e=>setState({...state,name:e.target.value}),required:true})),React.createElement("div",{className:"field"},React.createElement("label",{htmlFor:"cf-email"},"Work email"),React.createElement("input",{id:"cf-email",type:"email",autoComplete:"email",value:state.email,onChange:e=>setState({...state,email:e.target.value}),required:true})),React.createElement("div",{className:"field field--full"},React.createElement("label",{htmlFor:"cf-company"},"Company / site"),React.createElement("input",{id:"cf-company",autoComplete:"organization",value:state.company,onChange:e=>setState({...state,company:e.target.value})})),React.createElement("div",{className:"field field--full"},React.createElement("label",{htmlFor:"cf-historian"},"Primary historian"),React.createElement("select",{id:"cf-historian",value:state.historian,onChange:e=>setState({...state,historian:e.target.value})},React.createElement("option",null,"AVEVA PI"),React.createElement("option",null,"Canary Historian"),React.createElement("option",null,"TDengine"),React.createElement("option",null,"InfluxDB / Timescale"),React.createElement("option",null,"None yet"))),React.createElement("div",{className:"field field--full",role:"group","aria-labelledby":"cf-scope-lbl"},React.createElement("label",{id:"cf-scope-lbl"},"Scope of interest"),React.createElement("div",{className:"chips"},["Digitalization","Dashboards","PI Vision symbols","AI / ML","Custom software"].map(k=>React.createElement("button",{type:"button",key:k,className:"chip","aria-pressed":state.scope.includes(k),onClick:()=>toggle(k),style:{borderColor:state.scope.includes(k)?"var(--accent)":"var(--line)",color:state.scope.includes(k)?"var(--fg)":"var(--fg-mute)",background:state.scope.includes(k)?"rgba(59,130,246,0.12)":"transparent"}},state.scope.includes(k)?"✓ ":"+ ",k)))),React.createElement("div",{className:"field field--full"},React.createElement("label",{htmlFor:"cf-msg"},"What's the situation?"),React.createElement("textarea",{id:"cf-msg",value:state.message,onChange:e=>setState({...state,message:e.target.value}),placeholder:"A few lines about your stack and what you'd like to change\u2026"})),React.createElement("div",{className:"field field--full"},React.createElement("button",{type:"submit",disabled:sending,className:"btn btn--primary",style:{width:"100%",justifyContent:"center",padding:"16px",opacity:sending?0.6:1}},sending?"Sending…":"Send message"," ",React.createElement("span",{className:"arrow"},"\u2192")),err&&React.createElement("p",{role:"alert",style:{marginTop:12,fontSize:13,color:"var(--bad, #ef4444)"}},err))));}function Footer(){return React.createElement("footer",{className:"footer","data-screen-label":"12 Footer"},React.createElement("div",{className:"footer-grid"},React.createElement("div",null,React.createElement("div",{className:"logo",style:{marginBottom:12}},React.createElement("div",{className:"logo-mark"},React.createElement("svg",{viewBox:"0 0 40 40",role:"img","aria-labelledby":"footLogoTitle"},React.createElement("title",{id:"footLogoTitle"},"Blueforge AI"),React.createElement("defs",null,React.createElement("linearGradient",{id:"footG",x1:"0",y1:"0",x2:"1",y2:"1"},React.createElement("stop",{offset:"0%",stopColor:"#3b82f6"}),React.createElement("stop",{offset:"100%",stopColor:"#06b6d4"}))),React.createElement("path",{d:"M 9 6 L 9 34",stroke:"url(#footG)",strokeWidth:"3",strokeLinecap:"round"}),React.createElement("path",{d:"M 9 6 L 21 6 Q 30 6 30 13 Q 30 20 21 20 L 9 20",fill:"none",stroke:"url(#footG)",strokeWidth:"3",strokeLinejoin:"round",strokeLinecap:"round"}),React.createElement("path",{d:"M 9 20 L 22 20 Q 32 20 32 27 Q 32 34 22 34 L 9 34",fill:"none",stroke:"url(#footG)",strokeWidth:"3",strokeLinejoin:"round",strokeLinecap:"round"}),React.createElement("circle",{cx:"33",cy:"7",r:"2.5",fill:"#06b6d4"}))),React.createElement("span",null,"BLUEFORGE",React.createElement("span",{style:{color:"var(--accent-2)",marginLeft:4}},"AI"))),React.createElement("p",{style:{fontSize:12,color:"var(--fg-dim)",maxWidth:360,lineHeight:1.6}},"Industrial data intelligence for plants that take their operations seriously.")),React.createElement("div",null,React.createElement("h3",null,"Services"),React.createElement("ul",null,React.createElement("li",null,React.createElement("a",{href:"#services"},"Plant digitalization")),React.createElement("li",null,React.createElement("a",{href:"#dashboards"},"Grafana")),React.createElement("li",null,React.createElement("a",{href:"#symbols"},"PI Vision")),React.createElement("li",null,React.createElement("a",{href:"#ai"},"AI / ML")),React.createElement("li",null,React.createElement("a",{href:"#software"},"Custom software")))),React.createElement("div",null,React.createElement("h3",null,"Company"),React.createElement("ul",null,React.createElement("li",null,React.createElement("a",{href:"#process"},"Process")),React.createElement("li",null,React.createElement("a",{href:"#cases"},"Case studies")),React.createElement("li",null,React.createElement("a",{href:"#contact"},"Contact")),React.createElement("li",null,React.createElement("a",{href:"#"},"Careers")))),React.createElement("div",null,React.createElement("h3",null,"Contact"),React.createElement("ul",null,React.createElement("li",null,React.createElement("a",{href:"mailto:info@blueforgeai.com"},"info@blueforgeai.com")),React.createElement("li",null,React.createElement("a",{href:"#contact"},"Project inquiry")),React.createElement("li",null,React.createElement("a",{href:"#ask"},"Ask an LLM"))))),React.createElement("div",{style:{maxWidth:"var(--maxw)",margin:"40px auto 0",display:"flex",justifyContent:"space-between",borderTop:"1px solid var(--line)",paddingTop:20,color:"var(--fg-dim)",flexWrap:"wrap",gap:12}},React.createElement("span",null,"\xA9 2026 Blueforge AI \xB7 All rights reserved"),React.createElement("span",{style:{display:"flex",gap:20}},React.createElement("a",{href:"/privacy.html",style:{color:"var(--fg-mute)",textDecoration:"none"}},"Privacy"),React.createElement("a",{href:"mailto:info@blueforgeai.com",style:{color:"var(--fg-mute)",textDecoration:"none"}},"info@blueforgeai.com"))));}Object.assign(window,{SymbolsSection,AISection,SoftwareSection,ProcessSection,ContactSection,Footer});const{useState:usePG,useRef:useRefPG,useEffect:useEffPG}=React;const PG_LIBRARY=[{kind:"vessel",name:"Vessel"},{kind:"pump",name:"Pump"},{kind:"valve",name:"Valve"},{kind:"motor",name:"Motor"},{kind:"hx",name:"Heat Exch."},{kind:"trend",name:"Trend"},{kind:"alarm",name:"Alarm"},{kind:"batch",name:"Batch"}];const PG_DEFAULTS=[{id:1,kind:"vessel",x:60,y:60,tag:"TK-101"},{id:2,kind:"pump",x:280,y:70,tag:"P-204"},{id:3,kind:"trend",x:500,y:60,tag:"FT-310"},{id:4,kind:"valve",x:60,y:280,tag:"FV-120"},{id:5,kind:"alarm",x:300,y:280,tag:"VIB-07"}];function SymbolPlayground({motion}){const[items,setItems]=usePG(PG_DEFAULTS);const[drag,setDrag]=usePG(null);const[nextId,setNextId]=usePG(10);const[selected,setSelected]=usePG(2);const canvasRef=useRefPG(null);useEffPG(()=>{if(!drag||!drag.id)return;const onMove=e=>{const rect=canvasRef.current.getBoundingClientRect();const x=Math.max(0,Math.min(rect.width-160,e.clientX-rect.left-drag.dx));const y=Math.max(0,Math.min(rect.height-120,e.clientY-rect.top-drag.dy));setItems(arr=>arr.map(it=>it.id===drag.id?{...it,x,y}:it));};const onUp=()=>setDrag(null);window.addEventListener("mousemove",onMove);window.addEventListener("mouseup",onUp);return()=>{window.removeEventListener("mousemove",onMove);window.removeEventListener("mouseup",onUp);};},[drag]);const startMoveItem=(e,it)=>{e.preventDefault();setSelected(it.id);const rect=canvasRef.current.getBoundingClientRect();setDrag({id:it.id,dx:e.clientX-rect.left-it.x,dy:e.clientY-rect.top-it.y});};const onDragStartPalette=(e,kind)=>{e.dataTransfer.setData("kind",kind);e.dataTransfer.effectAllowed="copy";};const onDrop=e=>{e.preventDefault();const kind=e.dataTransfer.getData("kind");if(!kind)return;const rect=canvasRef.current.getBoundingClientRect();const x=Math.max(0,Math.min(rect.width-160,e.clientX-rect.left-70));const y=Math.max(0,Math.min(rect.height-120,e.clientY-rect.top-50));const tag=`TAG-${String(nextId).padStart(3,"0")}`;const id=nextId;setItems(arr=>[...arr,{id,kind,x,y,tag}]);setNextId(id+1);setSelected(id);};const onDragOver=e=>e.preventDefault();const remove=id=>setItems(arr=>arr.filter(it=>it.id!==id));const clearAll=()=>setItems([]);const reset=()=>{setItems(PG_DEFAULTS);setNextId(10);setSelected(2);};const sel=items.find(it=>it.id===selected);return React.createElement("section",{className:"section",id:"playground","data-screen-label":"06b Symbol Playground"},React.createElement("div",{className:"container"},React.createElement("div",{className:"section-head"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"Try it \xB7 Interactive canvas"),React.createElement("h2",{style:{marginTop:14}},"Drag a symbol.",React.createElement("br",null),React.createElement("span",{style:{color:"var(--fg-mute)"}},"Watch it come alive."))),React.createElement("p",{className:"lead"},"A taste of how our PI Vision and Grafana surfaces feel in the wild. Drag any symbol from the palette onto the canvas, move it around, watch the values tick. Same model we ship to operators \u2014 minus the asset bindings.")),React.createElement("div",{className:"pg-wrap"},React.createElement("aside",{className:"pg-palette"},React.createElement("div",{className:"pg-palette__head"},React.createElement("span",{className:"tag"},"Palette"),React.createElement("span",{className:"live"},React.createElement("span",{className:"dot"})," drag")),React.createElement("div",{className:"pg-palette__grid"},PG_LIBRARY.map(s=>React.createElement("div",{key:s.kind,className:"pg-chip",draggable:true,onDragStart:e=>onDragStartPalette(e,s.kind)},React.createElement("div",{className:"pg-chip__icon"},React.createElement(SymbolGraphic,{kind:s.kind,motion:motion,i:s.kind.length})),React.createElement("div",{className:"pg-chip__name"},s.name)))),React.createElement("div",{className:"pg-actions"},React.createElement("button",{className:"btn",onClick:reset,style:{padding:"8px 12px",fontSize:11}},"Reset"),React.createElement("button",{className:"btn",onClick:clearAll,style:{padding:"8px 12px",fontSize:11}},"Clear"))),React.createElement("div",{className:"pg-canvas-wrap"},React.createElement("div",{className:"pg-canvas-head"},React.createElement("div",{style:{display:"flex",gap:14,alignItems:"center"}},React.createElement("span",{className:"mono",style:{fontSize:11,color:"var(--fg-mute)",letterSpacing:"0.1em"}},"operations / mimic / unit-04")),React.createElement("div",{style:{display:"flex",gap:12,alignItems:"center"}},React.createElement("span",{className:"mono",style:{fontSize:10,color:"var(--fg-dim)",letterSpacing:"0.1em"}},items.length," symbols"),React.createElement("span",{className:"live"},React.createElement("span",{className:"dot"})," live \xB7 1s"))),React.createElement("div",{className:"pg-canvas",ref:canvasRef,onDrop:onDrop,onDragOver:onDragOver},items.map(it=>React.createElement("div",{key:it.id,className:"pg-item"+(selected===it.id?" pg-item--sel":""),style:{left:it.x,top:it.y},onMouseDown:e=>startMoveItem(e,it)},React.createElement("div",{className:"pg-item__tag"},it.tag),React.createElement(SymbolGraphic,{kind:it.kind,motion:motion,i:it.id}),React.createElement("button",{className:"pg-item__close",onMouseDown:e=>{e.stopPropagation();},onClick:e=>{e.stopPropagation();remove(it.id);}},"\xD7"))),items.length===0&&React.createElement("div",{className:"pg-empty"},"Drag a symbol from the palette \u2192"))),React.createElement("aside",{className:"pg-inspector"},React.createElement("div",{className:"pg-palette__head"},React.createElement("span",{className:"tag"},"Inspector"),sel&&React.createElement("span",{className:"live"},React.createElement("span",{className:"dot"})," bound")),sel?React.createElement(InspectorPanel,{item:sel,motion:motion,onTag:t=>setItems(arr=>arr.map(it=>it.id===sel.id?{...it,tag:t}:it))}):React.createElement("div",{style:{color:"var(--fg-dim)",fontFamily:"var(--font-mono)",fontSize:12,padding:12}},"Select a symbol to inspect its live values.")))));}function InspectorPanel({item,motion,onTag}){const labels={vessel:[["Level",69,"%"],["Volume",4214,"L"],["Mass",3.8,"t"]],pump:[["Speed",1756,"rpm"],["Power",18.4,"kW"],["Discharge",4.2,"bar"]],valve:[["Position",78,"%"],["Flow",12.4,"m³/h"],["ΔP",0.42,"bar"]],motor:[["Current",42.1,"A"],["Temp",68,"°C"],["Vibration",2.1,"mm/s"]],hx:[["Inlet",124,"°C"],["Outlet",82,"°C"],["ΔT",42,"°C"]],trend:[["Value",14.6,"m³/h"],["Min 1h",11.2,""],["Max 1h",16.4,""]],alarm:[["Priority","HIGH",""],["Asset","P-204",""],["Age","2m",""]],batch:[["Phase","REACT",""],["Step","3/5",""],["ETA","27m",""]]}[item.kind]||[];return React.createElement("div",{className:"pg-inspect"},React.createElement("div",{className:"pg-inspect__row"},React.createElement("label",null,"Tag"),React.createElement("input",{value:item.tag,onChange:e=>onTag(e.target.value)})),React.createElement("div",{className:"pg-inspect__row"},React.createElement("label",null,"Asset class"),React.createElement("span",{className:"mono",style:{fontSize:12}},item.kind)),React.createElement("div",{className:"pg-inspect__sep"}),React.createElement("div",{style:{fontFamily:"var(--font-mono)",fontSize:10,color:"var(--fg-dim)",letterSpacing:"0.12em",textTransform:"uppercase",marginBottom:8}},"Live values"),React.createElement("div",{style:{display:"flex",flexDirection:"column",gap:8}},labels.map(([k,v,u])=>React.createElement("div",{key:k,style:{display:"flex",justifyContent:"space-between",alignItems:"baseline",padding:"6px 8px",background:"rgba(255,255,255,0.02)",borderRadius:3}},React.createElement("span",{className:"mono",style:{fontSize:11,color:"var(--fg-mute)"}},k),React.createElement("span",{className:"mono",style:{fontSize:13,color:"var(--accent-2)"}},typeof v==="number"?React.createElement(Ticker,{value:v,decimals:v<100?1:0,motion:motion}):v,u&&React.createElement("span",{style:{color:"var(--fg-dim)",marginLeft:4}},u))))),React.createElement("div",{className:"pg-inspect__sep"}),React.createElement(Sparkline,{width:240,height:50,color:"var(--accent)",seed:item.id,motion:motion}),React.createElement("div",{style:{fontFamily:"var(--font-mono)",fontSize:9,color:"var(--fg-dim)",letterSpacing:"0.1em",marginTop:6,textAlign:"right"}},"HISTORIAN \xB7 PI / CANARY / TDENGINE"));}Object.assign(window,{SymbolPlayground});const{useState:useGB,useEffect:useEffGB,useMemo:useMemoGB}=React;function gbCurve(seed,points=80,kind="ramp"){const arr=[];for(let i=0;i<points;i++){const t=i/(points-1);let v;if(kind==="ramp"){if(t<0.18)v=t/0.18*0.85;else if(t<0.72)v=0.85+Math.sin((t-0.18)*8+seed)*0.04;else v=0.85-(t-0.72)/0.28*0.6;}else if(kind==="wave"){v=0.5+Math.sin(t*Math.PI*1.2+seed)*0.3;}else{v=0.2+Math.pow(Math.sin(t*Math.PI),1.4)*0.7;}arr.push(v);}return arr;}function gbDeviate(golden,amp,drift,seed){return golden.map((g,i)=>{const t=i/(golden.length-1);const n=Math.sin(i*0.7+seed)*0.025+Math.sin(i*0.21+seed*2)*0.015;return Math.max(0,Math.min(1,g+n+Math.sin(t*Math.PI)*amp+drift*t));});}function pointsToPath(arr,w,h,padY=8){const inner=h-padY*2;const step=w/(arr.length-1);return arr.map((v,i)=>`${i===0?"M":"L"}${(i*step).toFixed(1)} ${(padY+(1-v)*inner).toFixed(1)}`).join(" ");}function pointsToBand(low,high,w,h,padY=8){const inner=h-padY*2;const step=w/(low.length-1);const up=low.map((v,i)=>`${i===0?"M":"L"}${(i*step).toFixed(1)} ${(padY+(1-v)*inner).toFixed(1)}`).join(" ");const down=[...high].reverse().map((v,i)=>{const idx=high.length-1-i;return`L${(idx*step).toFixed(1)} ${(padY+(1-v)*inner).toFixed(1)}`;}).join(" ");return up+" "+down+" Z";}const GB_PARAMS=[{key:"temp",name:"Temperature",unit:"°C",span:[20,145],kind:"ramp",tolerance:0.06},{key:"press",name:"Pressure",unit:"bar",span:[0,4.2],kind:"pressure",tolerance:0.08},{key:"agit",name:"Agitation",unit:"rpm",span:[0,220],kind:"wave",tolerance:0.07},{key:"ph",name:"pH",unit:"",span:[4,9],kind:"wave",tolerance:0.05}];const GB_PHASES=[{name:"Charge",start:0,end:0.12},{name:"Heat",start:0.12,end:0.32},{name:"React",start:0.32,end:0.70},{name:"Cool",start:0.70,end:0.88},{name:"Drop",start:0.88,end:1.00}];function GoldenBatchSection({motion}){const[batch,setBatch]=useGB("B-2207");const[progress,setProgress]=useGB(0.72);const[activeParam,setActiveParam]=useGB("temp");useEffGB(()=>{if(!motion)return;const t=setInterval(()=>{setProgress(p=>{const next=p+0.003*motion;return next>0.96?0.4:next;});},400);return()=>clearInterval(t);},[motion]);const BATCHES=["B-2205 (Golden)","B-2206","B-2207","B-2208"];const curves=useMemoGB(()=>{const out={};GB_PARAMS.forEach((p,idx)=>{const golden=gbCurve(idx*1.7,80,p.kind);const tol=p.tolerance;const upper=golden.map(v=>Math.min(1,v+tol));const lower=golden.map(v=>Math.max(0,v-tol));const current=gbDeviate(golden,idx===1?0.04:0.015,idx===2?0.03:0.005,idx*3.3);out[p.key]={golden,upper,lower,current};});return out;},[]);const score=useMemoGB(()=>{const visible=Math.floor(progress*80);let totalDev=0,count=0,breaches=0;GB_PARAMS.forEach(p=>{const c=curves[p.key];for(let i=0;i<=visible&&i<c.golden.length;i++){const d=Math.abs(c.current[i]-c.golden[i]);totalDev+=d;count++;if(c.current[i]>c.upper[i]||c.current[i]<c.lower[i])breaches++;}});const avg=count>0?totalDev/count:0;const conformance=Math.max(0,Math.min(100,100-avg*350));return{conformance,breaches,avg};},[curves,progress]);const currentPhase=GB_PHASES.find(p=>progress>=p.start&&progress<p.end)||GB_PHASES[GB_PHASES.length-1];const activeCurve=curves[activeParam];const activeMeta=GB_PARAMS.find(p=>p.key===activeParam);return React.createElement("section",{className:"section",id:"golden-batch","data-screen-label":"07 Golden Batch"},React.createElement("div",{className:"container"},React.createElement("div",{className:"section-head"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"07 \xB7 Golden batch"),React.createElement("h2",{style:{marginTop:14}},"One perfect run.",React.createElement("br",null),React.createElement("span",{style:{color:"var(--fg-mute)"}},"Every batch after, measured against it."))),React.createElement("p",{className:"lead"},"Lock in the parameters of your best-ever batch as the golden reference. Every subsequent run is overlaid in real time \u2014 deviation bands flag drift before it becomes scrap, and conformance scoring rolls up to plant-wide KPIs.")),React.createElement("div",{className:"gb-wrap"},React.createElement("div",{className:"gb-topbar"},React.createElement("div",{className:"gb-topbar__group"},React.createElement("span",{className:"tag"},"Reference"),React.createElement("label",{htmlFor:"gb-batch",className:"sr-only"},"Reference batch"),React.createElement("select",{id:"gb-batch","aria-label":"Reference batch",className:"gb-select",value:batch,onChange:e=>setBatch(e.target.value)},BATCHES.map(b=>React.createElement("option",{key:b,value:b},b)))),React.createElement("div",{className:"gb-topbar__group"},React.createElement("span",{className:"tag"},"Current"),React.createElement("span",{className:"mono",style:{color:"var(--accent-2)",fontSize:13}},"B-2209 \xB7 Reactor R-04"),React.createElement("span",{className:"live"},React.createElement("span",{className:"dot"})," live")),React.createElement("div",{className:"gb-topbar__group"},React.createElement("div",{className:"gb-kpi"},React.createElement("span",{className:"gb-kpi__label"},"Conformance"),React.createElement("span",{className:"gb-kpi__val",style:{color:score.conformance>92?"var(--ok)":score.conformance>80?"var(--warn)":"var(--bad)"}},score.conformance.toFixed(1),React.createElement("span",{style:{color:"var(--fg-dim)",fontSize:11}},"%"))),React.createElement("div",{className:"gb-kpi"},React.createElement("span",{className:"gb-kpi__label"},"Breaches"),React.createElement("span",{className:"gb-kpi__val",style:{color:score.breaches>0?"var(--warn)":"var(--ok)"}},score.breaches)),React.createElement("div",{className:"gb-kpi"},React.createElement("span",{className:"gb-kpi__label"},"Phase"),React.createElement("span",{className:"gb-kpi__val",style:{color:"var(--accent-2)",fontSize:16}},currentPhase.name)))),React.createElement("div",{className:"gb-phases"},GB_PHASES.map(p=>{const done=progress>=p.end;const active=progress>=p.start&&progress<p.end;return React.createElement("div",{key:p.name,className:"gb-phase"+(active?" gb-phase--active":"")+(done?" gb-phase--done":"")},React.createElement("div",{className:"gb-phase__bar"},React.createElement("div",{className:"gb-phase__fill",style:{width:done?"100%":active?`${(progress-p.start)/(p.end-p.start)*100}%`:"0%"}})),React.createElement("div",{className:"gb-phase__label"},p.name));})),React.createElement("div",{className:"gb-main"},React.createElement("div",{className:"gb-chart"},React.createElement("div",{className:"gb-chart__head"},React.createElement("div",null,React.createElement("div",{style:{fontFamily:"var(--font-mono)",fontSize:11,letterSpacing:"0.12em",color:"var(--fg-dim)",textTransform:"uppercase"}},activeMeta.name),React.createElement("div",{style:{display:"flex",gap:14,marginTop:6,alignItems:"baseline"}},React.createElement("span",{className:"mono",style:{fontSize:22,color:"var(--accent-2)"}},(activeMeta.span[0]+activeCurve.current[Math.min(79,Math.floor(progress*80))]*(activeMeta.span[1]-activeMeta.span[0])).toFixed(1),React.createElement("span",{style:{color:"var(--fg-dim)",fontSize:12,marginLeft:4}},activeMeta.unit)),React.createElement("span",{className:"mono",style:{fontSize:11,color:"var(--fg-mute)"}},"golden: ",(activeMeta.span[0]+activeCurve.golden[Math.min(79,Math.floor(progress*80))]*(activeMeta.span[1]-activeMeta.span[0])).toFixed(1)))),React.createElement("div",{className:"gb-legend"},React.createElement("span",null,React.createElement("span",{className:"gb-swatch gb-swatch--golden"})," Golden"),React.createElement("span",null,React.createElement("span",{className:"gb-swatch gb-swatch--band"})," Tolerance"),React.createElement("span",null,React.createElement("span",{className:"gb-swatch gb-swatch--current"})," Current"))),React.createElement("svg",{viewBox:"0 0 720 280",preserveAspectRatio:"none",className:"gb-svg"},React.createElement("defs",null,React.createElement("linearGradient",{id:"gb-band",x1:"0",y1:"0",x2:"0",y2:"1"},React.createElement("stop",{offset:"0%",stopColor:"#fbbf24",stopOpacity:"0.12"}),React.createElement("stop",{offset:"100%",stopColor:"#fbbf24",stopOpacity:"0.04"})),React.createElement("linearGradient",{id:"gb-current",x1:"0",y1:"0",x2:"0",y2:"1"},React.createElement("stop",{offset:"0%",stopColor:"var(--accent-2)",stopOpacity:"0.4"}),React.createElement("stop",{offset:"100%",stopColor:"var(--accent-2)",stopOpacity:"0"})),React.createElement("clipPath",{id:"gb-clip"},React.createElement("rect",{x:"0",y:"0",width:720*progress,height:"280"}))),[0.25,0.5,0.75].map(g=>React.createElement("line",{key:g,x1:"0",y1:g*280,x2:"720",y2:g*280,stroke:"rgba(226,232,240,0.05)",strokeDasharray:"2 4"})),GB_PHASES.slice(1).map(p=>React.createElement("line",{key:p.name,x1:p.start*720,y1:"0",x2:p.start*720,y2:"280",stroke:"rgba(226,232,240,0.06)",strokeDasharray:"3 6"})),React.createElement("path",{d:pointsToBand(activeCurve.lower,activeCurve.upper,720,280,20),fill:"url(#gb-band)"}),React.createElement("path",{d:pointsToPath(activeCurve.upper,720,280,20),stroke:"rgba(251,191,36,0.35)",strokeWidth:"1",strokeDasharray:"2 3",fill:"none"}),React.createElement("path",{d:pointsToPath(activeCurve.lower,720,280,20),stroke:"rgba(251,191,36,0.35)",strokeWidth:"1",strokeDasharray:"2 3",fill:"none"}),React.createElement("path",{d:pointsToPath(activeCurve.golden,720,280,20),stroke:"#fbbf24",strokeWidth:"1.5",fill:"none",strokeLinecap:"round"}),React.createElement("g",{clipPath:"url(#gb-clip)"},React.createElement("path",{d:pointsToPath(activeCurve.current,720,280,20)+` L720 280 L0 280 Z`,fill:"url(#gb-current)"}),React.createElement("path",{d:pointsToPath(activeCurve.current,720,280,20),stroke:"var(--accent-2)",strokeWidth:"2",fill:"none",strokeLinecap:"round",style:{filter:"drop-shadow(0 0 6px var(--accent-glow))"}})),React.createElement("line",{x1:progress*720,y1:"0",x2:progress*720,y2:"280",stroke:"var(--accent)",strokeWidth:"1",strokeDasharray:"4 4"}),React.createElement("circle",{cx:progress*720,cy:20+(1-activeCurve.current[Math.min(79,Math.floor(progress*80))])*240,r:"4",fill:"var(--accent-2)",stroke:"#0a1628",strokeWidth:"2"})),React.createElement("div",{className:"gb-chart__foot"},React.createElement("span",{className:"mono",style:{fontSize:10,color:"var(--fg-dim)",letterSpacing:"0.1em"}},"T-0"),React.createElement("span",{className:"mono",style:{fontSize:10,color:"var(--fg-dim)",letterSpacing:"0.1em"}},"BATCH PROGRESS \xB7 ",(progress*100).toFixed(0),"%"),React.createElement("span",{className:"mono",style:{fontSize:10,color:"var(--fg-dim)",letterSpacing:"0.1em"}},"T-END"))),React.createElement("div",{className:"gb-params"},React.createElement("div",{style:{fontFamily:"var(--font-mono)",fontSize:10,letterSpacing:"0.12em",color:"var(--fg-dim)",textTransform:"uppercase",padding:"0 4px 10px"}},"Parameters"),GB_PARAMS.map(p=>{const c=curves[p.key];const idx=Math.min(79,Math.floor(progress*80));const actual=c.current[idx];const golden=c.golden[idx];const dev=Math.abs(actual-golden);const inBand=actual<=c.upper[idx]&&actual>=c.lower[idx];const realVal=p.span[0]+actual*(p.span[1]-p.span[0]);const realGold=p.span[0]+golden*(p.span[1]-p.span[0]);return React.createElement("button",{key:p.key,className:"gb-param"+(activeParam===p.key?" gb-param--active":""),onClick:()=>setActiveParam(p.key)},React.createElement("div",{className:"gb-param__head"},React.createElement("span",{className:"gb-param__name"},p.name),React.createElement("span",{className:"gb-param__status"+(inBand?" gb-param__status--ok":" gb-param__status--warn")},inBand?"IN BAND":"DRIFT")),React.createElement("div",{className:"gb-param__row"},React.createElement("div",null,React.createElement("div",{className:"gb-param__lbl"},"Actual"),React.createElement("div",{className:"gb-param__val"},realVal.toFixed(1),React.createElement("span",null,p.unit))),React.createElement("div",null,React.createElement("div",{className:"gb-param__lbl"},"Golden"),React.createElement("div",{className:"gb-param__val gb-param__val--gold"},realGold.toFixed(1),React.createElement("span",null,p.unit))),React.createElement("div",null,React.createElement("div",{className:"gb-param__lbl"},"\u0394"),React.createElement("div",{className:"gb-param__val",style:{color:inBand?"var(--ok)":"var(--warn)"}},(dev*100).toFixed(1),"%"))),React.createElement(Sparkline,{width:210,height:28,color:inBand?"var(--accent-2)":"var(--warn)",seed:p.key.length,motion:motion}));}))),React.createElement("div",{className:"gb-insights"},React.createElement("div",{className:"gb-insight"},React.createElement("div",{className:"gb-insight__icon",style:{color:"var(--ok)"}},React.createElement("svg",{viewBox:"0 0 24 24",width:"20",height:"20",fill:"none",stroke:"currentColor",strokeWidth:"1.5"},React.createElement("path",{d:"M9 12l2 2 4-4"}),React.createElement("circle",{cx:"12",cy:"12",r:"9"}))),React.createElement("div",null,React.createElement("div",{className:"gb-insight__title"},"Yield prediction"),React.createElement("div",{className:"gb-insight__val"},"+2.4% vs avg"))),React.createElement("div",{className:"gb-insight"},React.createElement("div",{className:"gb-insight__icon",style:{color:"var(--warn)"}},React.createElement("svg",{viewBox:"0 0 24 24",width:"20",height:"20",fill:"none",stroke:"currentColor",strokeWidth:"1.5"},React.createElement("path",{d:"M12 9v4M12 17h.01"}),React.createElement("path",{d:"M10.3 3.86l-8.18 14.5A2 2 0 003.86 21h16.28a2 2 0 001.74-2.64L13.7 3.86a2 2 0 00-3.4 0z"}))),React.createElement("div",null,React.createElement("div",{className:"gb-insight__title"},"Agitation drift"),React.createElement("div",{className:"gb-insight__val"},"\xB112 rpm @ T+38m"))),React.createElement("div",{className:"gb-insight"},React.createElement("div",{className:"gb-insight__icon",style:{color:"var(--accent-2)"}},React.createElement("svg",{viewBox:"0 0 24 24",width:"20",height:"20",fill:"none",stroke:"currentColor",strokeWidth:"1.5"},React.createElement("path",{d:"M3 12l3-9 4 18 4-12 4 6h3"}))),React.createElement("div",null,React.createElement("div",{className:"gb-insight__title"},"ETA to drop"),React.createElement("div",{className:"gb-insight__val"},"27m \xB7 on schedule"))),React.createElement("div",{className:"gb-insight"},React.createElement("div",{className:"gb-insight__icon",style:{color:"#fbbf24"}},React.createElement("svg",{viewBox:"0 0 24 24",width:"20",height:"20",fill:"none",stroke:"currentColor",strokeWidth:"1.5"},React.createElement("path",{d:"M12 2l2.4 7.4H22l-6.2 4.5L18.2 22 12 17.3 5.8 22l2.4-8.1L2 9.4h7.6z"}))),React.createElement("div",null,React.createElement("div",{className:"gb-insight__title"},"Golden ref"),React.createElement("div",{className:"gb-insight__val"},"B-2205 \xB7 99.4% yield")))))));}Object.assign(window,{GoldenBatchSection});const{useState:useAL,useEffect:useEffAL,useMemo:useMemoAL,useRef:useRefAL}=React;const AL_DEMOS=[{key:"anomaly",name:"Anomaly Detection",sub:"Autoencoder on vibration",asset:"P-204 · Pump bearing"},{key:"rul",name:"Predictive Maintenance",sub:"RUL forecast w/ uncertainty",asset:"M-118 · Compressor motor"},{key:"soft",name:"Soft Sensor",sub:"Inferred product purity",asset:"DC-301 · Distillation column"},{key:"vision",name:"Vision QA",sub:"Defect detection · 12 fps",asset:"LINE-02 · Bottle line"}];function AILiveSection({motion}){const[active,setActive]=useAL("anomaly");return React.createElement("section",{className:"section",id:"ai-live","data-screen-label":"08b AI/ML Live"},React.createElement("div",{className:"container"},React.createElement("div",{className:"section-head"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"08b \xB7 Interactive demos"),React.createElement("h2",{style:{marginTop:14}},"See the model shapes.",React.createElement("br",null),React.createElement("span",{style:{color:"var(--fg-mute)"}},"Four architectures we build to."))),React.createElement("p",{className:"lead"},"Each demo below runs in your browser on synthetic plant telemetry. The architectures \u2014 autoencoder anomaly detection, RUL forecasting with uncertainty, soft sensors, vision QA \u2014 are the same patterns we ship to client production. Pick one to see how it behaves.")),React.createElement("div",{className:"al-wrap"},React.createElement("div",{className:"al-tabs"},AL_DEMOS.map(d=>React.createElement("button",{key:d.key,className:"al-tab"+(active===d.key?" al-tab--active":""),onClick:()=>setActive(d.key)},React.createElement("div",{className:"al-tab__name"},d.name),React.createElement("div",{className:"al-tab__sub"},d.sub)))),React.createElement("div",{className:"al-stage"},React.createElement("div",{className:"al-stage__head"},React.createElement("span",{className:"tag"},AL_DEMOS.find(d=>d.key===active).asset),React.createElement("span",{className:"live"},React.createElement("span",{className:"dot"})," demo \xB7 1Hz")),active==="anomaly"&&React.createElement(AnomalyDemo,{motion:motion}),active==="rul"&&React.createElement(RULDemo,{motion:motion}),active==="soft"&&React.createElement(SoftSensorDemo,{motion:motion}),active==="vision"&&React.createElement(VisionDemo,{motion:motion})))));}function AnomalyDemo({motion}){const N=120;const[data,setData]=useAL(()=>Array.from({length:N},(_,i)=>baseSig(i)));const[score,setScore]=useAL(0.08);useEffAL(()=>{if(!motion)return;const id=setInterval(()=>{setData(d=>{const next=[...d.slice(1),baseSig(d.length+Math.random()*1000)];const anomaly=Math.random()<0.12;if(anomaly)next[next.length-1]=baseSig(d.length,true);return next;});},400/motion);return()=>clearInterval(id);},[motion]);function baseSig(t,anomaly=false){const v=0.5+Math.sin(t*0.12)*0.12+Math.sin(t*0.41)*0.06+(Math.random()-0.5)*0.05;return anomaly?Math.min(0.98,v+0.3+Math.random()*0.15):v;}useEffAL(()=>{const tail=data.slice(-20);const mean=tail.reduce((a,b)=>a+b,0)/tail.length;const last=data[data.length-1];setScore(Math.min(1,Math.abs(last-mean)*3.5));},[data]);const W=720,H=240,padY=20;const path=data.map((v,i)=>`${i===0?"M":"L"}${(i*W/(N-1)).toFixed(1)} ${(padY+(1-v)*(H-padY*2)).toFixed(1)}`).join(" ");const threshold=0.78;const anomalies=data.map((v,i)=>({v,i})).filter(p=>p.v>threshold);const status=score>0.55?"ANOMALY":score>0.3?"WATCH":"NORMAL";const statusColor=score>0.55?"var(--bad)":score>0.3?"var(--warn)":"var(--ok)";return React.createElement("div",{className:"al-body"},React.createElement("div",{className:"al-chart"},React.createElement("svg",{viewBox:`0 0 ${W} ${H}`,preserveAspectRatio:"none",style:{width:"100%",height:"auto",aspectRatio:`${W}/${H}`}},React.createElement("defs",null,React.createElement("linearGradient",{id:"anFill",x1:"0",y1:"0",x2:"0",y2:"1"},React.createElement("stop",{offset:"0%",stopColor:"var(--accent-2)",stopOpacity:"0.3"}),React.createElement("stop",{offset:"100%",stopColor:"var(--accent-2)",stopOpacity:"0"}))),React.createElement("line",{x1:"0",y1:padY+(1-threshold)*(H-padY*2),x2:W,y2:padY+(1-threshold)*(H-padY*2),stroke:"var(--bad)",strokeWidth:"1",strokeDasharray:"4 4",opacity:"0.5"}),React.createElement("text",{x:"8",y:padY+(1-threshold)*(H-padY*2)-6,fontFamily:"var(--font-mono)",fontSize:"10",fill:"var(--bad)",opacity:"0.7"},"THRESHOLD"),React.createElement("path",{d:path+` L${W} ${H} L0 ${H} Z`,fill:"url(#anFill)"}),React.createElement("path",{d:path,stroke:"var(--accent-2)",strokeWidth:"1.5",fill:"none"}),anomalies.map((a,idx)=>React.createElement("circle",{key:idx,cx:a.i*W/(N-1),cy:padY+(1-a.v)*(H-padY*2),r:"4",fill:"var(--bad)",stroke:"#0a1628",strokeWidth:"1.5"},React.createElement("animate",{attributeName:"r",values:"4;7;4",dur:"1.2s",repeatCount:"indefinite"}))))),React.createElement("div",{className:"al-side"},React.createElement("div",{className:"al-metric"},React.createElement("div",{className:"al-metric__lbl"},"Anomaly score"),React.createElement("div",{className:"al-metric__bar"},React.createElement("div",{className:"al-metric__fill",style:{width:`${score*100}%`,background:statusColor}})),React.createElement("div",{className:"al-metric__val",style:{color:statusColor}},score.toFixed(2))),React.createElement("div",{className:"al-stat-grid"},React.createElement("div",{className:"al-stat"},React.createElement("span",null,"Status"),React.createElement("strong",{style:{color:statusColor}},status)),React.createElement("div",{className:"al-stat"},React.createElement("span",null,"Model"),React.createElement("strong",null,"LSTM-AE")),React.createElement("div",{className:"al-stat"},React.createElement("span",null,"Latency"),React.createElement("strong",null,"3.2 ms")),React.createElement("div",{className:"al-stat"},React.createElement("span",null,"Recall"),React.createElement("strong",null,"0.94"))),React.createElement("div",{className:"al-note"},"Trained on 90 days of healthy operation. Flags reconstruction error above 0.78\u03C3.")));}function RULDemo({motion}){const[t,setT]=useAL(0);useEffAL(()=>{if(!motion)return;const id=setInterval(()=>setT(x=>(x+0.5*motion)%100),300);return()=>clearInterval(id);},[motion]);const W=720,H=240,padY=20;const N=100;const health=Array.from({length:N},(_,i)=>{if(i>t)return null;return Math.max(0.05,1-Math.pow(i/90,1.8)+Math.sin(i*0.6)*0.02);});const forecast=Array.from({length:N},(_,i)=>{if(i<=t)return null;return Math.max(0.05,1-Math.pow(i/90,1.8));});const upper=forecast.map(v=>v==null?null:Math.min(1,v+0.08+Math.random()*0.02));const lower=forecast.map(v=>v==null?null:Math.max(0,v-0.08-Math.random()*0.02));const toPath=arr=>arr.map((v,i)=>v==null?"":`${i===Math.floor(arr.findIndex(x=>x!=null))?"M":"L"}${(i*W/(N-1)).toFixed(1)} ${(padY+(1-v)*(H-padY*2)).toFixed(1)}`).filter(Boolean).join(" ");const bandPts=[];upper.forEach((v,i)=>{if(v!=null)bandPts.push([i,v]);});for(let i=lower.length-1;i>=0;i--)if(lower[i]!=null)bandPts.push([i,lower[i]]);const bandPath=bandPts.map(([i,v],idx)=>`${idx===0?"M":"L"}${(i*W/(N-1)).toFixed(1)} ${(padY+(1-v)*(H-padY*2)).toFixed(1)}`).join(" ")+" Z";const failThresh=0.25;const failIdx=forecast.findIndex(v=>v!=null&&v<failThresh);const daysToFail=failIdx>0?Math.max(0,failIdx-Math.floor(t)):0;const currentHealth=health.filter(Boolean).pop()||0;return React.createElement("div",{className:"al-body"},React.createElement("div",{className:"al-chart"},React.createElement("svg",{viewBox:`0 0 ${W} ${H}`,preserveAspectRatio:"none",style:{width:"100%",height:"auto",aspectRatio:`${W}/${H}`}},React.createElement("defs",null,React.createElement("linearGradient",{id:"rulBand",x1:"0",y1:"0",x2:"0",y2:"1"},React.createElement("stop",{offset:"0%",stopColor:"var(--accent)",stopOpacity:"0.22"}),React.createElement("stop",{offset:"100%",stopColor:"var(--accent)",stopOpacity:"0.04"}))),React.createElement("line",{x1:"0",y1:padY+(1-failThresh)*(H-padY*2),x2:W,y2:padY+(1-failThresh)*(H-padY*2),stroke:"var(--bad)",strokeWidth:"1",strokeDasharray:"4 4",opacity:"0.5"}),React.createElement("text",{x:"8",y:padY+(1-failThresh)*(H-padY*2)-6,fontFamily:"var(--font-mono)",fontSize:"10",fill:"var(--bad)",opacity:"0.7"},"FAILURE"),React.createElement("path",{d:bandPath,fill:"url(#rulBand)"}),React.createElement("path",{d:toPath(forecast),stroke:"var(--accent)",strokeWidth:"1.5",strokeDasharray:"5 4",fill:"none",opacity:"0.7"}),React.createElement("path",{d:toPath(health),stroke:"var(--accent-2)",strokeWidth:"2",fill:"none",style:{filter:"drop-shadow(0 0 6px var(--accent-glow))"}}),React.createElement("line",{x1:t*W/(N-1),y1:"0",x2:t*W/(N-1),y2:H,stroke:"var(--accent-2)",strokeWidth:"1",strokeDasharray:"2 4",opacity:"0.6"}),React.createElement("circle",{cx:t*W/(N-1),cy:padY+(1-currentHealth)*(H-padY*2),r:"4",fill:"var(--accent-2)",stroke:"#0a1628",strokeWidth:"2"}))),React.createElement("div",{className:"al-side"},React.createElement("div",{className:"al-metric"},React.createElement("div",{className:"al-metric__lbl"},"Health index"),React.createElement("div",{className:"al-metric__bar"},React.createElement("div",{className:"al-metric__fill",style:{width:`${currentHealth*100}%`,background:currentHealth>0.6?"var(--ok)":currentHealth>0.35?"var(--warn)":"var(--bad)"}})),React.createElement("div",{className:"al-metric__val"},(currentHealth*100).toFixed(0),"%")),React.createElement("div",{className:"al-stat-grid"},React.createElement("div",{className:"al-stat"},React.createElement("span",null,"RUL"),React.createElement("strong",{style:{color:"var(--accent-2)"}},"~",daysToFail||"—"," days")),React.createElement("div",{className:"al-stat"},React.createElement("span",null,"Confidence"),React.createElement("strong",null,"\xB14d (95%)")),React.createElement("div",{className:"al-stat"},React.createElement("span",null,"Model"),React.createElement("strong",null,"XGBoost+Cox")),React.createElement("div",{className:"al-stat"},React.createElement("span",null,"MAE"),React.createElement("strong",null,"2.1 d"))),React.createElement("div",{className:"al-note"},"Survival regression on 6 features (vibration, temp, current, lubricant age, load, run hours).")));}function SoftSensorDemo({motion}){const[t,setT]=useAL(0);useEffAL(()=>{if(!motion)return;const id=setInterval(()=>setT(x=>x+0.06*motion),200);return()=>clearInterval(id);},[motion]);const inputs=[{name:"Reflux ratio",v:2.4+Math.sin(t)*0.1,unit:""},{name:"Reboiler duty",v:1840+Math.sin(t*0.7)*80,unit:"kW"},{name:"Top temp",v:78.2+Math.sin(t*1.1)*1.4,unit:"°C"},{name:"Feed flow",v:24.6+Math.sin(t*0.5)*0.8,unit:"m³/h"},{name:"Tray 14 ΔP",v:0.42+Math.sin(t*0.9)*0.04,unit:"bar"}];const predicted=99.2+Math.sin(t*0.5)*0.35+Math.sin(t*1.3)*0.1;const lab=useMemoAL(()=>{return 99.2+Math.sin(Math.floor(t/6)*0.5)*0.3;},[Math.floor(t/6)]);const histRef=useRefAL([]);useEffAL(()=>{histRef.current=[...histRef.current.slice(-79),predicted];},[t]);const N=80,W=720,H=200,padY=16;const min=98.4,max=100;const norm=v=>(v-min)/(max-min);const path=histRef.current.map((v,i)=>`${i===0?"M":"L"}${(i*W/(N-1)).toFixed(1)} ${(padY+(1-norm(v))*(H-padY*2)).toFixed(1)}`).join(" ");return React.createElement("div",{className:"al-body"},React.createElement("div",{className:"al-chart"},React.createElement("div",{style:{display:"grid",gridTemplateColumns:"1fr 1fr 1fr 1fr 1fr",gap:8,marginBottom:16}},inputs.map(inp=>React.createElement("div",{key:inp.name,className:"al-input-tile"},React.createElement("div",{className:"al-input-tile__name"},inp.name),React.createElement("div",{className:"al-input-tile__val"},inp.v.toFixed(inp.v>100?0:1),React.createElement("span",null,inp.unit))))),React.createElement("div",{style:{position:"relative"}},React.createElement("svg",{viewBox:`0 0 ${W} ${H}`,preserveAspectRatio:"none",style:{width:"100%",height:"auto",aspectRatio:`${W}/${H}`}},React.createElement("defs",null,React.createElement("linearGradient",{id:"ssFill",x1:"0",y1:"0",x2:"0",y2:"1"},React.createElement("stop",{offset:"0%",stopColor:"var(--accent)",stopOpacity:"0.3"}),React.createElement("stop",{offset:"100%",stopColor:"var(--accent)",stopOpacity:"0"}))),React.createElement("line",{x1:"0",y1:padY+(1-norm(lab))*(H-padY*2),x2:W,y2:padY+(1-norm(lab))*(H-padY*2),stroke:"#fbbf24",strokeDasharray:"3 4",strokeWidth:"1",opacity:"0.7"}),React.createElement("path",{d:path+` L${W} ${H} L0 ${H} Z`,fill:"url(#ssFill)"}),React.createElement("path",{d:path,stroke:"var(--accent)",strokeWidth:"2",fill:"none",style:{filter:"drop-shadow(0 0 6px var(--accent-glow))"}})),React.createElement("div",{style:{position:"absolute",top:4,right:8,fontFamily:"var(--font-mono)",fontSize:10,color:"var(--fg-dim)",display:"flex",gap:12}},React.createElement("span",null,React.createElement("span",{style:{display:"inline-block",width:12,height:2,background:"var(--accent)",verticalAlign:"middle",marginRight:4}}),"ML PREDICTION"),React.createElement("span",null,React.createElement("span",{style:{display:"inline-block",width:12,height:2,background:"#fbbf24",verticalAlign:"middle",marginRight:4}}),"LAB SAMPLE")))),React.createElement("div",{className:"al-side"},React.createElement("div",{className:"al-metric"},React.createElement("div",{className:"al-metric__lbl"},"Predicted purity"),React.createElement("div",{className:"al-metric__val",style:{fontSize:32,color:"var(--accent-2)"}},predicted.toFixed(2),React.createElement("span",{style:{fontSize:14,color:"var(--fg-dim)"}},"%"))),React.createElement("div",{className:"al-stat-grid"},React.createElement("div",{className:"al-stat"},React.createElement("span",null,"Lab (last)"),React.createElement("strong",{style:{color:"#fbbf24"}},lab.toFixed(2),"%")),React.createElement("div",{className:"al-stat"},React.createElement("span",null,"\u0394 vs lab"),React.createElement("strong",null,(predicted-lab).toFixed(3),"%")),React.createElement("div",{className:"al-stat"},React.createElement("span",null,"Model"),React.createElement("strong",null,"GBM-Reg")),React.createElement("div",{className:"al-stat"},React.createElement("span",null,"R\xB2"),React.createElement("strong",null,"0.987"))),React.createElement("div",{className:"al-note"},"Online inference at 1 Hz vs. 4-hour lab cadence. Closes the loop on operator decisions.")));}function VisionDemo({motion}){const[tick,setTick]=useAL(0);const[detections,setDetections]=useAL([]);useEffAL(()=>{if(!motion)return;const id=setInterval(()=>{setTick(t=>t+1);const n=Math.random()<0.5?1:Math.random()<0.85?2:0;const newDets=Array.from({length:n},()=>({x:10+Math.random()*70,y:15+Math.random()*60,w:8+Math.random()*12,h:10+Math.random()*14,cls:Math.random()<0.7?"OK":Math.random()<0.6?"SCUFF":"CHIP",conf:0.72+Math.random()*0.27}));setDetections(newDets);},600/motion);return()=>clearInterval(id);},[motion]);const stats=useMemoAL(()=>{const seed=tick;return{processed:12480+seed*12,defects:18+Math.floor(seed/30),yieldPct:99.86+Math.sin(seed*0.2)*0.04};},[tick]);return React.createElement("div",{className:"al-body"},React.createElement("div",{className:"al-chart"},React.createElement("div",{className:"al-vision"},React.createElement("svg",{viewBox:"0 0 100 80",preserveAspectRatio:"none",style:{width:"100%",height:"100%",position:"absolute",inset:0}},React.createElement("defs",null,React.createElement("pattern",{id:"belt",x:"0",y:"0",width:"6",height:"80",patternUnits:"userSpaceOnUse",patternTransform:`translate(${-(tick*4)%6} 0)`},React.createElement("rect",{width:"6",height:"80",fill:"#1a2540"}),React.createElement("line",{x1:"3",y1:"0",x2:"3",y2:"80",stroke:"rgba(226,232,240,0.06)",strokeWidth:"0.4"}))),React.createElement("rect",{width:"100",height:"80",fill:"url(#belt)"}),[0,1,2,3].map(i=>{const x=(tick*0.8+i*25)%110-5;return React.createElement("g",{key:i,transform:`translate(${x} 28)`},React.createElement("rect",{x:"-7",y:"-2",width:"14",height:"32",rx:"2",fill:"rgba(125,211,252,0.15)",stroke:"rgba(125,211,252,0.4)",strokeWidth:"0.3"}),React.createElement("rect",{x:"-3",y:"-6",width:"6",height:"6",fill:"rgba(125,211,252,0.25)",stroke:"rgba(125,211,252,0.4)",strokeWidth:"0.3"}));})),detections.map((d,i)=>React.createElement("div",{key:i,className:"al-bbox",style:{left:`${d.x}%`,top:`${d.y}%`,width:`${d.w}%`,height:`${d.h}%`,borderColor:d.cls==="OK"?"var(--ok)":d.cls==="SCUFF"?"var(--warn)":"var(--bad)"}},React.createElement("span",{className:"al-bbox__lbl",style:{background:d.cls==="OK"?"var(--ok)":d.cls==="SCUFF"?"var(--warn)":"var(--bad)"}},d.cls," \xB7 ",d.conf.toFixed(2)))),React.createElement("div",{className:"al-scanline"}),React.createElement("div",{className:"al-vision__head"},React.createElement("span",{className:"mono",style:{fontSize:10,color:"var(--fg-dim)",letterSpacing:"0.12em"}},"CAM-04 \xB7 1280\xD7720 \xB7 12 fps"),React.createElement("span",{className:"live"},React.createElement("span",{className:"dot"})," rec")))),React.createElement("div",{className:"al-side"},React.createElement("div",{className:"al-stat-grid"},React.createElement("div",{className:"al-stat"},React.createElement("span",null,"Processed"),React.createElement("strong",null,stats.processed.toLocaleString())),React.createElement("div",{className:"al-stat"},React.createElement("span",null,"Defects"),React.createElement("strong",{style:{color:"var(--warn)"}},stats.defects)),React.createElement("div",{className:"al-stat"},React.createElement("span",null,"Yield"),React.createElement("strong",{style:{color:"var(--ok)"}},stats.yieldPct.toFixed(2),"%")),React.createElement("div",{className:"al-stat"},React.createElement("span",null,"Latency"),React.createElement("strong",null,"42 ms"))),React.createElement("div",{className:"al-metric"},React.createElement("div",{className:"al-metric__lbl"},"Model"),React.createElement("div",{className:"al-metric__val",style:{fontSize:16}},"YOLOv8-n \xB7 ONNX runtime")),React.createElement("div",{className:"al-note"},"Edge inference on a Jetson Orin. Classes: OK / SCUFF / CHIP / CRACK. Retrained nightly on flagged frames.")));}Object.assign(window,{AILiveSection});const{useState:useLM,useRef:useRefLM}=React;const LM_PERSONAS=[{key:"claude",name:"Claude",hint:"Anthropic · thoughtful"},{key:"gpt",name:"ChatGPT",hint:"OpenAI · versatile"},{key:"grok",name:"Grok",hint:"xAI · direct"},{key:"gemini",name:"Gemini",hint:"Google · concise"}];const LM_SUGGESTS=["What does Blueforge AI actually deliver in an 8–12 week pilot?","How do you compare AVEVA PI vs Canary vs TDengine for a mid-size plant?","Can you build a golden batch model on top of an existing PI System?","What's a realistic ROI for predictive maintenance on rotating equipment?"];const LM_SYS=`You are answering questions on the Blueforge AI website. Blueforge AI is an industrial data intelligence consultancy. Services: plant digitalization (AVEVA PI, Canary Historian, TDengine), Grafana dashboards, custom PI Vision symbols, AI/ML models (anomaly detection, predictive maintenance/RUL, soft sensors, computer vision QA, golden batch), and custom software development for industrial operations. Tone: confident, technical, honest, brief. Keep answers to 3-5 sentences. End with a soft nudge to reach out at info@blueforgeai.com when relevant. Adapt your voice to the requested persona but stay accurate.`;function LLMAskSection(){const[persona,setPersona]=useLM("claude");const[q,setQ]=useLM("");const[a,setA]=useLM("");const[loading,setLoading]=useLM(false);const[err,setErr]=useLM("");const ask=async question=>{const text=(question??q).trim();if(!text)return;setLoading(true);setErr("");setA("");try{if(!(window.claude&&typeof window.claude.complete==="function")){throw new Error("no-backend");}const personaName=LM_PERSONAS.find(p=>p.key===persona).name;const prompt=`${LM_SYS}\n\nRespond in the voice of ${personaName}.\n\nVisitor question: ${text}`;const result=await window.claude.complete(prompt);setA(result);}catch(e){setErr(e&&e.message==="no-backend"?"Live model access isn't wired up on this domain yet. Copy your question and paste it into ChatGPT, Claude, Grok or Gemini — or just email info@blueforgeai.com and we'll answer ourselves.":"Couldn't reach the model. Try again or email info@blueforgeai.com directly.");}setLoading(false);};return React.createElement("section",{className:"section",id:"ask","data-screen-label":"10b Ask"},React.createElement("div",{className:"container"},React.createElement("div",{className:"section-head"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"10b \xB7 Ask anything"),React.createElement("h2",{style:{marginTop:14}},"Talk to an LLM.",React.createElement("br",null),React.createElement("span",{style:{color:"var(--fg-mute)"}},"About us, our stack, your project."))),React.createElement("p",{className:"lead"},"Pick your model, ask a question. We've briefed each one on what we do, how we work, and what we don't pretend to do. No sales chatbot \u2014 just a real answer.")),React.createElement("div",{className:"lm-wrap"},React.createElement("div",{className:"lm-personas"},LM_PERSONAS.map(p=>React.createElement("button",{key:p.key,className:"lm-persona"+(persona===p.key?" lm-persona--active":""),onClick:()=>setPersona(p.key)},React.createElement("div",{className:"lm-persona__name"},p.name),React.createElement("div",{className:"lm-persona__hint"},p.hint)))),React.createElement("div",{className:"lm-input"},React.createElement("textarea",{value:q,onChange:e=>setQ(e.target.value),placeholder:`Ask ${LM_PERSONAS.find(p=>p.key===persona).name} about Blueforge AI…`,rows:3,onKeyDown:e=>{if(e.key==="Enter"&&(e.metaKey||e.ctrlKey))ask();}}),React.createElement("button",{className:"btn btn--primary lm-send",disabled:loading||!q.trim(),onClick:()=>ask()},loading?"Thinking…":"Ask"," ",React.createElement("span",{className:"arrow"},"\u2192"))),React.createElement("div",{className:"lm-suggests"},React.createElement("div",{className:"lm-suggests__lbl"},"Try:"),LM_SUGGESTS.map(s=>React.createElement("button",{key:s,className:"lm-suggest",onClick:()=>{setQ(s);ask(s);}},s))),(a||loading||err)&&React.createElement("div",{className:"lm-answer"},React.createElement("div",{className:"lm-answer__head"},React.createElement("span",{className:"tag"},LM_PERSONAS.find(p=>p.key===persona).name),React.createElement("span",{className:"live"},React.createElement("span",{className:"dot"})," ",loading?"generating":"response")),React.createElement("div",{className:"lm-answer__body"},err?React.createElement("span",{style:{color:"var(--bad)"}},err):loading?React.createElement("span",{style:{color:"var(--fg-dim)"}},"\u2026"):a),React.createElement("div",{className:"lm-answer__foot"},"Not a sales bot. Want a real human? ",React.createElement("a",{href:"#contact",style:{color:"var(--accent-2)"}},"Connect with us \u2192"))))));}Object.assign(window,{LLMAskSection});const{useState:useER,useEffect:useEffER}=React;function AskPill(){const[visible,setVisible]=useER(false);const[hidden,setHidden]=useER(false);useEffER(()=>{const on=()=>setVisible(window.scrollY>600);on();window.addEventListener("scroll",on,{passive:true});return()=>window.removeEventListener("scroll",on);},[]);if(hidden)return null;return React.createElement("a",{href:"#ask",className:"ask-pill"+(visible?" ask-pill--in":""),"aria-label":"Need information? Ask our AI assistant"},React.createElement("span",{className:"ask-pill__dot"}),React.createElement("span",{className:"ask-pill__body"},React.createElement("span",{className:"ask-pill__lbl"},"Need info?"),React.createElement("span",{className:"ask-pill__sub"},"Ask our AI")),React.createElement("button",{className:"ask-pill__close",onClick:e=>{e.preventDefault();setHidden(true);},"aria-label":"Dismiss"},"\xD7"));}const ECOSYSTEM_REFS=[{vendor:"AVEVA PI System",role:"Plant historian we deploy and tune",blurb:"AVEVA's industrial information platform — used by 24 of the top 25 oil and gas companies and most major utilities, chemicals and pharma operators worldwide.",cta:"AVEVA customer stories",href:"https://www.aveva.com/en/about/customer-stories/",examples:["Saudi Aramco","Duke Energy","Air Liquide","Marathon Petroleum"]},{vendor:"Canary Labs Historian",role:"Lightweight historian we deploy at mid-scale sites",blurb:"Trusted by manufacturers, utilities and packagers as a cost-effective, no-tag-fee alternative to enterprise historians.",cta:"Canary success stories",href:"https://www.canarylabs.com/customer-success",examples:["Mauser Packaging","Bridgestone","Whirlpool","Vincit Oy"]},{vendor:"TDengine",role:"High-performance time-series database we deploy at scale",blurb:"Purpose-built open-source time-series DB for IIoT and connected vehicles. Powers some of the largest telemetry workloads in industry.",cta:"TDengine customers",href:"https://tdengine.com/customers/",examples:["China Telecom","Lenovo","BYD","Geely"]}];function EcosystemSection(){return React.createElement("section",{className:"section",id:"ecosystem","data-screen-label":"10c Ecosystem"},React.createElement("div",{className:"container"},React.createElement("div",{className:"section-head"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"Ecosystem proof"),React.createElement("h2",{style:{marginTop:14}},"The stack we deploy",React.createElement("br",null),React.createElement("span",{className:"gradient-text"},"is already trusted by giants."))),React.createElement("p",{className:"lead"},"We don't expect you to take our word for what AVEVA PI, Canary or TDengine can do \u2014 explore the published customer stories from the vendors themselves. We're the team that turns that platform into your outcomes.")),React.createElement("div",{className:"eco-grid"},ECOSYSTEM_REFS.map(v=>React.createElement("a",{key:v.vendor,href:v.href,target:"_blank",rel:"noopener noreferrer",className:"eco-card"},React.createElement("div",{className:"eco-card__top"},React.createElement("span",{className:"tag"},"VENDOR \xB7 PUBLIC REFERENCES"),React.createElement("span",{className:"eco-card__arrow","aria-hidden":"true"},"\u2197")),React.createElement("h3",{className:"eco-card__title"},v.vendor),React.createElement("div",{className:"eco-card__role mono"},v.role),React.createElement("p",{className:"eco-card__blurb"},v.blurb),React.createElement("div",{className:"eco-card__logos"},v.examples.map(e=>React.createElement("span",{key:e,className:"eco-logo"},e))),React.createElement("div",{className:"eco-card__cta mono"},v.cta," ",React.createElement("span",{className:"arrow"},"\u2192"))))),React.createElement("p",{className:"eco-note mono"},"External links open in a new tab. Customer names are publicly disclosed by the vendors. Blueforge AI is an independent implementation partner \u2014 not affiliated with the trademark holders.")));}Object.assign(window,{AskPill,EcosystemSection});const PI_CASES=[{company:"TotalEnergies",industry:"Energy · Refining",metric:"€1.5M saved",sub:"64 days avoided downtime",body:"Built emissions-monitoring master templates in PI Asset Framework. Deployed across four refineries and 45+ pieces of combustion equipment; monitors ~85% of operational emissions.",href:"https://www.aveva.com/en/perspectives/success-stories/totalenergies/",color:"#5b8def"},{company:"Dr. Reddy's Laboratories",industry:"Pharmaceutical · India",metric:"90% productivity gain",sub:"40% reduction in quality-related cost",body:"WEF Global Lighthouse Network site. PI System is core to a paperless-by-2030 digital transformation across multiple certified manufacturing plants.",href:"https://www.aveva.com/en/perspectives/success-stories/drl/",color:"#7dd3fc"},{company:"Ontario Power Generation",industry:"Power · Nuclear & Renewables",metric:"$4M efficiency gains",sub:"3,000 hrs / yr maintenance eliminated",body:"Deployed PI System + AVEVA Predictive Analytics across nuclear and renewable fleet — over 1,200 predictive models. One early-detection event alone saved $200K at a nuclear plant.",href:"https://www.aveva.com/en/perspectives/blog/situational-awareness-for-grid-resilience/",color:"#22d3ee"},{company:"Dominion Energy",industry:"Utility · Transmission",metric:"28,000 assets modeled",sub:"42 equipment failures prevented in year 1",body:"Used PI Asset Framework to model substations, transformers and circuits across the grid — turning telemetry into a single contextualized network model for proactive maintenance.",href:"https://www.aveva.com/en/perspectives/blog/situational-awareness-for-grid-resilience/",color:"#5b8def"},{company:"ONS Brazil",industry:"Grid Operator · Renewables",metric:"211,000 MWh saved",sub:"$11.4M USD losses avoided (2024)",body:"National Electric System Operator integrated PI System with its energy management platform to optimize renewable dispatch — 98% improvement in operational communication efficiency.",href:"https://www.aveva.com/en/perspectives/presentations/2025/ons-brazil--maximizing-renewable-energy-utilization--the-impact-of-pi-system-on-grid-efficiency/",color:"#7dd3fc"},{company:"PJM Interconnection",industry:"Grid · USA East",metric:"Real-time grid visibility",sub:"Esri ArcGIS + weather + telemetry fused",body:"PJM combines geographic, weather and live grid data in PI System to display power-line status on a single situational-awareness map for dispatchers.",href:"https://www.aveva.com/en/perspectives/success-stories/pjm-uses-aveva-pi-system-to-visualize-the-electric-grid-in-real-time/",color:"#22d3ee"},{company:"Energy Queensland",industry:"Utility · Australia",metric:"Hidden grid capacity unlocked",sub:"Solar two-way power flow enabled",body:"Brings real-time data on grid infrastructure, weather and geography into PI System to manage power flow economically as large solar farms feed back into a one-way-designed grid.",href:"https://www.aveva.com/en/perspectives/success-stories/energy-queensland-aveva/",color:"#5b8def"},{company:"DTE Energy",industry:"Utility · Michigan",metric:"Faster outage response",sub:"Field crews equipped with live fault data",body:"Pairs distribution fault sensors with PI System to give field crews real-time outage information — restoring service to customers faster and more efficiently after grid events.",href:"https://www.aveva.com/content/dam/aveva/documents/perspectives/success-stories/SuccessStory_DTEEnergy.pdf.coredownload.inline.pdf",color:"#7dd3fc"},{company:"Pfizer",industry:"Pharmaceutical · GMP",metric:"2,000+ tags / PCMM line",sub:"Democratized production analysis",body:"Pfizer's portable continuous miniature & modular (PCMM) tablet line streams GMP-validated historian data into AVEVA PI Vision dashboards — enabling rapid root-cause analysis.",href:"https://www.aveva.com/content/dam/aveva/documents/perspectives/success-stories/SuccessStory_AVEVA_PfizerUsesAVEVAPISystem_22-09-v1.pdf",color:"#22d3ee"},{company:"LADWP",industry:"Water & Power · Los Angeles",metric:"Drought + wildfire resilience",sub:"Automated data collection across legacy sources",body:"Los Angeles Department of Water & Power uses PI System + PI Vision to maintain water reliability and safety in the face of aging infrastructure, drought and wildfire.",href:"https://swan-forum.com/wp-content/uploads/2022/11/AVEVA-LADWP-Case-Study.pdf",color:"#5b8def"}];function PICasesSection(){const[showAll,setShowAll]=React.useState(false);const visible=showAll?PI_CASES:PI_CASES.slice(0,6);return React.createElement("section",{className:"section",id:"pi-cases","data-screen-label":"10d PI Case Studies"},React.createElement("div",{className:"container"},React.createElement("div",{className:"section-head"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"AVEVA PI System \xB7 published outcomes"),React.createElement("h2",{style:{marginTop:14}},"Real measured impact",React.createElement("br",null),React.createElement("span",{className:"gradient-text"},"on the stack we deploy."))),React.createElement("p",{className:"lead"},"Below are ",React.createElement("strong",null,"publicly documented case studies")," from AVEVA's own customer library \u2014 refineries, utilities, grid operators and pharma manufacturers running PI System at scale. Every link goes to the source. We deploy and tune this same platform for our clients.")),React.createElement("div",{className:"pi-grid"},visible.map(c=>React.createElement("a",{key:c.company,href:c.href,target:"_blank",rel:"noopener noreferrer",className:"pi-card",style:{"--c-accent":c.color}},React.createElement("div",{className:"pi-card__head"},React.createElement("span",{className:"tag mono"},c.industry),React.createElement("span",{className:"pi-card__arrow","aria-hidden":"true"},"\u2197")),React.createElement("div",{className:"pi-card__metric"},c.metric),React.createElement("div",{className:"pi-card__sub mono"},c.sub),React.createElement("h3",{className:"pi-card__company"},c.company),React.createElement("p",{className:"pi-card__body"},c.body),React.createElement("div",{className:"pi-card__link mono"},"Read the full case study ",React.createElement("span",{className:"arrow"},"\u2192"))))),React.createElement("div",{className:"pi-cta-row"},!showAll&&PI_CASES.length>6&&React.createElement("button",{className:"btn btn--ghost",onClick:()=>setShowAll(true)},"Show ",PI_CASES.length-6," more case studies"),React.createElement("a",{href:"https://www.aveva.com/en/perspectives/success-stories/",target:"_blank",rel:"noopener noreferrer",className:"btn btn--ghost"},"Browse AVEVA's full library ",React.createElement("span",{className:"arrow"},"\u2197"))),React.createElement("p",{className:"eco-note mono"},"Source: aveva.com / Perspectives \u2014 Success Stories. Outcomes and figures are reproduced from AVEVA's own published case studies. Customer names are trademarks of their respective owners. Blueforge AI is an independent implementation partner, not affiliated with the trademark holders.")));}Object.assign(window,{PICasesSection});const{useEffect:useEffM,useState:useStM,useRef:useRefM}=React;function useInView(threshold=0.2){const ref=useRefM(null);const[seen,setSeen]=useStM(false);useEffM(()=>{if(!ref.current||seen)return;const io=new IntersectionObserver(([entry])=>{if(entry.isIntersecting)setSeen(true);},{threshold});io.observe(ref.current);return()=>io.disconnect();},[seen]);return[ref,seen];}function CountUp({to,suffix="",duration=1600,decimals=0}){const[ref,seen]=useInView(0.4);const[val,setVal]=useStM(0);useEffM(()=>{if(!seen)return;let raf,start;const tick=t=>{if(!start)start=t;const k=Math.min(1,(t-start)/duration);const ease=1-Math.pow(1-k,3);setVal(to*ease);if(k<1)raf=requestAnimationFrame(tick);};raf=requestAnimationFrame(tick);return()=>cancelAnimationFrame(raf);},[seen]);return React.createElement("span",{ref:ref},val.toFixed(decimals),suffix);}function Manifesto(){return React.createElement("section",{className:"section section--sm manifesto","data-screen-label":"01c Manifesto"},React.createElement("div",{className:"container"},React.createElement("div",{className:"manifesto__inner"},React.createElement("div",{className:"manifesto__eyebrow eyebrow"},"Our position"),React.createElement("h2",{className:"manifesto__line"},React.createElement("span",{className:"manifesto__strike"},"Dashboards don't run plants."),React.createElement("span",{className:"manifesto__strike"},"Models don't run plants."),React.createElement("span",null,"Operators do \u2014 and they need the right number, on the right screen, at the right moment.")),React.createElement("p",{className:"manifesto__signoff mono"},"\u2014 That's the only KPI we measure ourselves by."))));}function BigStats(){return null;}function PullQuote(){return React.createElement("section",{className:"section pull-quote","data-screen-label":"06c Pull Quote"},React.createElement("div",{className:"container"},React.createElement("div",{className:"pull-quote__mark","aria-hidden":"true"},"\""),React.createElement("p",{className:"pull-quote__body"},"A historian without a model is a graveyard for data.",React.createElement("br",null),"A model without operators is a science project.",React.createElement("br",null),React.createElement("span",{className:"gradient-text"},"Our job is to wire all three into one nervous system.")),React.createElement("div",{className:"pull-quote__attr mono"},"Blueforge AI \xB7 operating principle no. 01")));}Object.assign(window,{Manifesto,BigStats,PullQuote,CountUp});const{useEffect:useEffApp,useState:useStApp}=React;const TWEAK_DEFAULTS={"palette":0,"density":1,"motion":1};const PALETTES=[{name:"Midnight Slate",bg:"#0b1220",bg2:"#111a2e",bg3:"#172238",accent:"#5b8def",accent2:"#7dd3fc",glow:"rgba(91,141,239,0.28)"},{name:"Graphite",bg:"#0c0f14",bg2:"#141821",bg3:"#1c2230",accent:"#6b7fff",accent2:"#a5b4fc",glow:"rgba(107,127,255,0.28)"},{name:"Deep Teal",bg:"#0a141c",bg2:"#0e1c28",bg3:"#132638",accent:"#22d3ee",accent2:"#67e8f9",glow:"rgba(34,211,238,0.28)"},{name:"Carbon",bg:"#08090c",bg2:"#0e1014",bg3:"#171a22",accent:"#94a3b8",accent2:"#e2e8f0",glow:"rgba(148,163,184,0.28)"}];function applyPalette(idx){const p=PALETTES[idx]||PALETTES[0];const r=document.documentElement.style;r.setProperty("--bg",p.bg);r.setProperty("--bg-2",p.bg2);r.setProperty("--bg-3",p.bg3);r.setProperty("--accent",p.accent);r.setProperty("--accent-2",p.accent2);r.setProperty("--accent-glow",p.glow);}function ScrollBar(){const[w,setW]=useStApp(0);useEffApp(()=>{const on=()=>{const h=document.documentElement;const max=h.scrollHeight-h.clientHeight;setW(max>0?h.scrollTop/max*100:0);};on();window.addEventListener("scroll",on,{passive:true});return()=>window.removeEventListener("scroll",on);},[]);return React.createElement("div",{className:"scroll-bar",style:{width:w+"%"}});}function App(){const[tweaks,setTweak]=useTweaks(TWEAK_DEFAULTS);useEffApp(()=>{applyPalette(tweaks.palette);},[tweaks.palette]);useEffApp(()=>{document.documentElement.style.setProperty("--density",String(tweaks.density));},[tweaks.density]);useEffApp(()=>{document.documentElement.style.setProperty("--motion",String(tweaks.motion));},[tweaks.motion]);const motion=Number(tweaks.motion)||1;return React.createElement(React.Fragment,null,React.createElement(ScrollBar,null),React.createElement("div",{className:"bg-grid"}),React.createElement("div",{className:"bg-vignette"}),React.createElement(Nav,null),React.createElement("main",{id:"main"},React.createElement(Hero,{motion:motion}),React.createElement(Manifesto,null),React.createElement(ScrollyIntro,null),React.createElement(ScrollySpine,{motion:motion}),React.createElement(Services,{motion:motion}),React.createElement(HistorianSection,{motion:motion}),React.createElement(DashboardSection,{motion:motion}),React.createElement(SymbolsSection,{motion:motion}),React.createElement(SymbolPlayground,{motion:motion}),React.createElement(PullQuote,null),React.createElement(GoldenBatchSection,{motion:motion}),React.createElement(AILiveSection,{motion:motion}),React.createElement(SoftwareSection,{motion:motion}),React.createElement(ProcessSection,{motion:motion}),React.createElement(EcosystemSection,null),React.createElement(PICasesSection,null),React.createElement(LLMAskSection,null),React.createElement(ContactSection,null)),React.createElement(Footer,null),React.createElement(AskPill,null),React.createElement(TweaksPanel,{title:"Tweaks"},React.createElement(TweakSection,{title:"Palette"},React.createElement(TweakRadio,{label:"Color",value:tweaks.palette,onChange:v=>setTweak("palette",Number(v)),options:PALETTES.map((p,i)=>({value:i,label:p.name}))})),React.createElement(TweakSection,{title:"Density"},React.createElement(TweakSlider,{label:"Spacing",value:tweaks.density,min:0.7,max:1.4,step:0.05,onChange:v=>setTweak("density",v)})),React.createElement(TweakSection,{title:"Motion"},React.createElement(TweakSlider,{label:"Speed",value:tweaks.motion,min:0.2,max:2.0,step:0.1,onChange:v=>setTweak("motion",v)}))));}function ScrollyIntro(){return React.createElement("section",{className:"section section--sm",id:"journey",style:{padding:"100px var(--gutter) 40px"},"data-screen-label":"03a Spine Intro"},React.createElement("div",{className:"container",style:{display:"grid",gridTemplateColumns:"1fr 1.4fr",gap:48,alignItems:"end"}},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"The journey"),React.createElement("h2",{style:{marginTop:14}},"Sensor \u2192 Historian",React.createElement("br",null),"Dashboard \u2192 Insight.")),React.createElement("p",{className:"lead"},"Scroll through the lifecycle of one data point \u2014 from a flowmeter on the floor to a yield forecast in the planner's hands. Every layer is a discipline we run for our clients.")));}ReactDOM.createRoot(document.getElementById("root")).render(React.createElement(App,null));requestAnimationFrame(()=>{const splash=document.getElementById("bfSplash");if(splash){splash.classList.add("out");setTimeout(()=>splash.setAttribute("hidden",""),400);}});
+`;function useTweaks(defaults){const[values,setValues]=React.useState(defaults);const setTweak=React.useCallback((keyOrEdits,val)=>{const edits=typeof keyOrEdits==="object"&&keyOrEdits!==null?keyOrEdits:{[keyOrEdits]:val};setValues(prev=>({...prev,...edits}));window.parent.postMessage({type:"__edit_mode_set_keys",edits},"*");window.dispatchEvent(new CustomEvent("tweakchange",{detail:edits}))},[]);return[values,setTweak]}function TweaksPanel({title="Tweaks",noDeckControls=false,children}){const[open,setOpen]=React.useState(false);const dragRef=React.useRef(null);const hasDeckStage=React.useMemo(()=>typeof document!=="undefined"&&!!document.querySelector("deck-stage"),[]);const[railEnabled,setRailEnabled]=React.useState(()=>hasDeckStage&&!!document.querySelector("deck-stage")?._railEnabled);React.useEffect(()=>{if(!hasDeckStage||railEnabled)return void 0;const onMsg=e=>{if(e.data&&e.data.type==="__omelette_rail_enabled")setRailEnabled(true)};window.addEventListener("message",onMsg);return()=>window.removeEventListener("message",onMsg)},[hasDeckStage,railEnabled]);const[railVisible,setRailVisible]=React.useState(()=>{try{return localStorage.getItem("deck-stage.railVisible")!=="0"}catch(e){return true}});const toggleRail=on=>{setRailVisible(on);window.postMessage({type:"__deck_rail_visible",on},"*")};const offsetRef=React.useRef({x:16,y:16});const PAD=16;const clampToViewport=React.useCallback(()=>{const panel=dragRef.current;if(!panel)return;const w=panel.offsetWidth,h=panel.offsetHeight;const maxRight=Math.max(PAD,window.innerWidth-w-PAD);const maxBottom=Math.max(PAD,window.innerHeight-h-PAD);offsetRef.current={x:Math.min(maxRight,Math.max(PAD,offsetRef.current.x)),y:Math.min(maxBottom,Math.max(PAD,offsetRef.current.y))};panel.style.right=offsetRef.current.x+"px";panel.style.bottom=offsetRef.current.y+"px"},[]);React.useEffect(()=>{if(!open)return;clampToViewport();if(typeof ResizeObserver==="undefined"){window.addEventListener("resize",clampToViewport);return()=>window.removeEventListener("resize",clampToViewport)}const ro=new ResizeObserver(clampToViewport);ro.observe(document.documentElement);return()=>ro.disconnect()},[open,clampToViewport]);React.useEffect(()=>{const onMsg=e=>{const t=e?.data?.type;if(t==="__activate_edit_mode")setOpen(true);else if(t==="__deactivate_edit_mode")setOpen(false)};window.addEventListener("message",onMsg);window.parent.postMessage({type:"__edit_mode_available"},"*");return()=>window.removeEventListener("message",onMsg)},[]);const dismiss=()=>{setOpen(false);window.parent.postMessage({type:"__edit_mode_dismissed"},"*")};const onDragStart=e=>{const panel=dragRef.current;if(!panel)return;const r=panel.getBoundingClientRect();const sx=e.clientX,sy=e.clientY;const startRight=window.innerWidth-r.right;const startBottom=window.innerHeight-r.bottom;const move=ev=>{offsetRef.current={x:startRight-(ev.clientX-sx),y:startBottom-(ev.clientY-sy)};clampToViewport()};const up=()=>{window.removeEventListener("mousemove",move);window.removeEventListener("mouseup",up)};window.addEventListener("mousemove",move);window.addEventListener("mouseup",up)};if(!open)return null;return React.createElement(React.Fragment,null,React.createElement("style",null,__TWEAKS_STYLE),React.createElement("div",{ref:dragRef,className:"twk-panel","data-noncommentable":"",style:{right:offsetRef.current.x,bottom:offsetRef.current.y}},React.createElement("div",{className:"twk-hd",onMouseDown:onDragStart},React.createElement("b",null,title),React.createElement("button",{className:"twk-x","aria-label":"Close tweaks",onMouseDown:e=>e.stopPropagation(),onClick:dismiss},"\u2715")),React.createElement("div",{className:"twk-body"},children,hasDeckStage&&railEnabled&&!noDeckControls&&React.createElement(TweakSection,{label:"Deck"},React.createElement(TweakToggle,{label:"Thumbnail rail",value:railVisible,onChange:toggleRail})))))}function TweakSection({label,children}){return React.createElement(React.Fragment,null,React.createElement("div",{className:"twk-sect"},label),children)}function TweakRow({label,value,children,inline=false}){return React.createElement("div",{className:inline?"twk-row twk-row-h":"twk-row"},React.createElement("div",{className:"twk-lbl"},React.createElement("span",null,label),value!=null&&React.createElement("span",{className:"twk-val"},value)),children)}function TweakSlider({label,value,min=0,max=100,step=1,unit="",onChange}){return React.createElement(TweakRow,{label,value:`${value}${unit}`},React.createElement("input",{type:"range",className:"twk-slider",min,max,step,value,onChange:e=>onChange(Number(e.target.value))}))}function TweakToggle({label,value,onChange}){return React.createElement("div",{className:"twk-row twk-row-h"},React.createElement("div",{className:"twk-lbl"},React.createElement("span",null,label)),React.createElement("button",{type:"button",className:"twk-toggle","data-on":value?"1":"0",role:"switch","aria-checked":!!value,onClick:()=>onChange(!value)},React.createElement("i",null)))}function TweakRadio({label,value,options,onChange}){const trackRef=React.useRef(null);const[dragging,setDragging]=React.useState(false);const valueRef=React.useRef(value);valueRef.current=value;const labelLen=o=>String(typeof o==="object"?o.label:o).length;const maxLen=options.reduce((m,o)=>Math.max(m,labelLen(o)),0);const fitsAsSegments=maxLen<=({2:16,3:10}[options.length]??0);if(!fitsAsSegments){const resolve=s=>{const m=options.find(o=>String(typeof o==="object"?o.value:o)===s);return m===void 0?s:typeof m==="object"?m.value:m};return React.createElement(TweakSelect,{label,value,options,onChange:s=>onChange(resolve(s))})}const opts=options.map(o=>typeof o==="object"?o:{value:o,label:o});const idx=Math.max(0,opts.findIndex(o=>o.value===value));const n=opts.length;const segAt=clientX=>{const r=trackRef.current.getBoundingClientRect();const inner=r.width-4;const i=Math.floor((clientX-r.left-2)/inner*n);return opts[Math.max(0,Math.min(n-1,i))].value};const onPointerDown=e=>{setDragging(true);const v0=segAt(e.clientX);if(v0!==valueRef.current)onChange(v0);const move=ev=>{if(!trackRef.current)return;const v=segAt(ev.clientX);if(v!==valueRef.current)onChange(v)};const up=()=>{setDragging(false);window.removeEventListener("pointermove",move);window.removeEventListener("pointerup",up)};window.addEventListener("pointermove",move);window.addEventListener("pointerup",up)};return React.createElement(TweakRow,{label},React.createElement("div",{ref:trackRef,role:"radiogroup",onPointerDown,className:dragging?"twk-seg dragging":"twk-seg"},React.createElement("div",{className:"twk-seg-thumb",style:{left:`calc(2px + ${idx} * (100% - 4px) / ${n})`,width:`calc((100% - 4px) / ${n})`}}),opts.map(o=>React.createElement("button",{key:o.value,type:"button",role:"radio","aria-checked":o.value===value},o.label))))}function TweakSelect({label,value,options,onChange}){return React.createElement(TweakRow,{label},React.createElement("select",{className:"twk-field",value,onChange:e=>onChange(e.target.value)},options.map(o=>{const v=typeof o==="object"?o.value:o;const l=typeof o==="object"?o.label:o;return React.createElement("option",{key:v,value:v},l)})))}function TweakText({label,value,placeholder,onChange}){return React.createElement(TweakRow,{label},React.createElement("input",{className:"twk-field",type:"text",value,placeholder,onChange:e=>onChange(e.target.value)}))}function TweakNumber({label,value,min,max,step=1,unit="",onChange}){const clamp=n=>{if(min!=null&&n<min)return min;if(max!=null&&n>max)return max;return n};const startRef=React.useRef({x:0,val:0});const onScrubStart=e=>{e.preventDefault();startRef.current={x:e.clientX,val:value};const decimals=(String(step).split(".")[1]||"").length;const move=ev=>{const dx=ev.clientX-startRef.current.x;const raw=startRef.current.val+dx*step;const snapped=Math.round(raw/step)*step;onChange(clamp(Number(snapped.toFixed(decimals))))};const up=()=>{window.removeEventListener("pointermove",move);window.removeEventListener("pointerup",up)};window.addEventListener("pointermove",move);window.addEventListener("pointerup",up)};return React.createElement("div",{className:"twk-num"},React.createElement("span",{className:"twk-num-lbl",onPointerDown:onScrubStart},label),React.createElement("input",{type:"number",value,min,max,step,onChange:e=>onChange(clamp(Number(e.target.value)))}),unit&&React.createElement("span",{className:"twk-num-unit"},unit))}function __twkIsLight(hex){const h=String(hex).replace("#","");const x=h.length===3?h.replace(/./g,c=>c+c):h.padEnd(6,"0");const n=parseInt(x.slice(0,6),16);if(Number.isNaN(n))return true;const r=n>>16&255,g=n>>8&255,b=n&255;return r*299+g*587+b*114>148e3}const __TwkCheck=({light})=>React.createElement("svg",{viewBox:"0 0 14 14","aria-hidden":"true"},React.createElement("path",{d:"M3 7.2 5.8 10 11 4.2",fill:"none",strokeWidth:"2.2",strokeLinecap:"round",strokeLinejoin:"round",stroke:light?"rgba(0,0,0,.78)":"#fff"}));function TweakColor({label,value,options,onChange}){if(!options||!options.length){return React.createElement("div",{className:"twk-row twk-row-h"},React.createElement("div",{className:"twk-lbl"},React.createElement("span",null,label)),React.createElement("input",{type:"color",className:"twk-swatch",value,onChange:e=>onChange(e.target.value)}))}const key=o=>String(JSON.stringify(o)).toLowerCase();const cur=key(value);return React.createElement(TweakRow,{label},React.createElement("div",{className:"twk-chips",role:"radiogroup"},options.map((o,i)=>{const colors=Array.isArray(o)?o:[o];const[hero,...rest]=colors;const sup=rest.slice(0,4);const on=key(o)===cur;return React.createElement("button",{key:i,type:"button",className:"twk-chip",role:"radio","aria-checked":on,"data-on":on?"1":"0","aria-label":colors.join(", "),title:colors.join(" \xB7 "),style:{background:hero},onClick:()=>onChange(o)},sup.length>0&&React.createElement("span",null,sup.map((c,j)=>React.createElement("i",{key:j,style:{background:c}}))),on&&React.createElement(__TwkCheck,{light:__twkIsLight(hero)}))})))}function TweakButton({label,onClick,secondary=false}){return React.createElement("button",{type:"button",className:secondary?"twk-btn secondary":"twk-btn",onClick},label)}Object.assign(window,{useTweaks,TweaksPanel,TweakSection,TweakRow,TweakSlider,TweakToggle,TweakRadio,TweakSelect,TweakText,TweakNumber,TweakColor,TweakButton});;const{useEffect,useRef,useState}=React;function useAnimationFrame(callback,running=true){const ref=useRef();useEffect(()=>{if(!running)return;let raf;const tick=t=>{callback(t);raf=requestAnimationFrame(tick)};raf=requestAnimationFrame(tick);return()=>cancelAnimationFrame(raf)},[running])}function makeSeries(n,seed=1,base=50,amp=30){let s=seed;return Array.from({length:n},(_,i)=>{s=(s*9301+49297)%233280;const noise=s/233280-.5;return base+Math.sin(i/4+seed)*amp*.6+noise*amp})}function Sparkline({width=240,height=60,color="var(--accent)",seed=1,fill=true,motion=1,still=false}){const[t,setT]=useState(0);useAnimationFrame(time=>setT(time*.001*motion),!still);const n=40;const pts=Array.from({length:n},(_,i)=>{const x=i/(n-1)*width;const y=height/2+Math.sin(i*.4+t)*height*.25+Math.sin(i*.13+t*.7+seed)*height*.15;return[x,y]});const path=pts.map(([x,y],i)=>i===0?`M${x},${y}`:`L${x},${y}`).join(" ");const fillPath=path+` L${width},${height} L0,${height} Z`;return React.createElement("svg",{width,height,viewBox:`0 0 ${width} ${height}`,style:{display:"block",width:"100%"}},React.createElement("defs",null,React.createElement("linearGradient",{id:`spark-fill-${seed}`,x1:"0",y1:"0",x2:"0",y2:"1"},React.createElement("stop",{offset:"0%",stopColor:color,stopOpacity:"0.3"}),React.createElement("stop",{offset:"100%",stopColor:color,stopOpacity:"0"}))),fill&&React.createElement("path",{d:fillPath,fill:`url(#spark-fill-${seed})`}),React.createElement("path",{d:path,fill:"none",stroke:color,strokeWidth:"1.5",strokeLinejoin:"round",strokeLinecap:"round"}),React.createElement("circle",{cx:pts[pts.length-1][0],cy:pts[pts.length-1][1],r:"3",fill:color},!still&&React.createElement("animate",{attributeName:"r",values:"2;5;2",dur:"1.6s",repeatCount:"indefinite"})))}function Gauge({value=.72,label="Pressure",unit="bar",color="var(--accent)",size=160,motion=1}){const[animVal,setAnimVal]=useState(0);useEffect(()=>{let raf,start2;const dur=1200/motion;const from=animVal,to=value;const step=t=>{if(!start2)start2=t;const k=Math.min(1,(t-start2)/dur);const ease=1-Math.pow(1-k,3);setAnimVal(from+(to-from)*ease);if(k<1)raf=requestAnimationFrame(step)};raf=requestAnimationFrame(step);return()=>cancelAnimationFrame(raf)},[value]);const r=size*.36;const cx=size/2,cy=size/2+size*.05;const start=Math.PI*.8,end=Math.PI*2.2;const cur=start+(end-start)*animVal;const arc=(a1,a2)=>{const large=a2-a1>Math.PI?1:0;return`M ${cx+r*Math.cos(a1)} ${cy+r*Math.sin(a1)} A ${r} ${r} 0 ${large} 1 ${cx+r*Math.cos(a2)} ${cy+r*Math.sin(a2)}`};return React.createElement("div",{style:{display:"flex",flexDirection:"column",alignItems:"center"}},React.createElement("svg",{width:size,height:size*.85,viewBox:`0 0 ${size} ${size*.85}`},React.createElement("path",{d:arc(start,end),stroke:"rgba(255,255,255,0.06)",strokeWidth:"2",fill:"none"}),React.createElement("path",{d:arc(start,cur),stroke:color,strokeWidth:"2",fill:"none",strokeLinecap:"round",style:{filter:`drop-shadow(0 0 6px ${color})`}}),[...Array(11)].map((_,i)=>{const a=start+(end-start)*(i/10);const x1=cx+(r-6)*Math.cos(a),y1=cy+(r-6)*Math.sin(a);const x2=cx+(r+4)*Math.cos(a),y2=cy+(r+4)*Math.sin(a);return React.createElement("line",{key:i,x1,y1,x2,y2,stroke:"rgba(255,255,255,0.15)",strokeWidth:"1"})}),React.createElement("text",{x:cx,y:cy+6,textAnchor:"middle",fill:"var(--fg)",fontFamily:"var(--font-display)",fontSize:size*.22,fontWeight:"300"},(animVal*100).toFixed(0)),React.createElement("text",{x:cx,y:cy+size*.18,textAnchor:"middle",fill:"var(--fg-dim)",fontFamily:"var(--font-mono)",fontSize:"10",letterSpacing:"2"},unit.toUpperCase())),React.createElement("div",{className:"kpi-label",style:{marginTop:-4}},label))}function Bars({data,color="var(--accent-2)",height=80,motion=1}){const[phase,setPhase]=useState(0);useAnimationFrame(t=>setPhase(t*.001*motion));return React.createElement("div",{style:{display:"flex",alignItems:"flex-end",gap:4,height}},data.map((v,i)=>{const h=v+Math.sin(phase+i*.6)*8+20;return React.createElement("div",{key:i,style:{flex:1,height:`${Math.max(6,Math.min(100,h))}%`,background:`linear-gradient(180deg, ${color}, ${color}33)`,borderRadius:"1px 1px 0 0",transition:"height 0.4s ease",boxShadow:`0 0 8px ${color}66`}})}))}function Ticker({value,decimals=1,motion=1,suffix=""}){const[v,setV]=useState(value);useEffect(()=>{let raf,start;const from=v,to=value,dur=900/motion;const step=t=>{if(!start)start=t;const k=Math.min(1,(t-start)/dur);const ease=1-Math.pow(1-k,3);setV(from+(to-from)*ease);if(k<1)raf=requestAnimationFrame(step)};raf=requestAnimationFrame(step);return()=>cancelAnimationFrame(raf)},[value]);return React.createElement("span",null,v.toFixed(decimals),suffix)}Object.assign(window,{Sparkline,Gauge,Bars,Ticker,makeSeries,useAnimationFrame});;const{useEffect:useEffectS,useState:useStateS,useRef:useRefS}=React;function PlantSchematic({motion=1,accent="#3b82f6",accent2="#06b6d4"}){const[pulse,setPulse]=useStateS(0);useAnimationFrame(t=>setPulse(t*.001*motion),true);const nodes=[{id:"tank1",x:90,y:220,type:"tank",label:"TK-101"},{id:"tank2",x:90,y:420,type:"tank",label:"TK-102"},{id:"pump1",x:280,y:320,type:"pump",label:"P-204"},{id:"react",x:480,y:280,type:"reactor",label:"RX-301"},{id:"hx",x:720,y:280,type:"hx",label:"HX-410"},{id:"sep",x:920,y:200,type:"sep",label:"SP-520"},{id:"out",x:1080,y:360,type:"out",label:"DS-600"}];const pipes=[{from:"tank1",to:"pump1",id:"p1"},{from:"tank2",to:"pump1",id:"p2"},{from:"pump1",to:"react",id:"p3"},{from:"react",to:"hx",id:"p4"},{from:"hx",to:"sep",id:"p5"},{from:"hx",to:"out",id:"p6"}];const sensors=[{id:"s1",pipe:"p1",t:.6,label:"T",value:"78\xB0C"},{id:"s2",pipe:"p3",t:.4,label:"P",value:"4.2bar"},{id:"s3",pipe:"p4",t:.5,label:"F",value:"12 m\xB3/h"},{id:"s4",pipe:"p5",t:.5,label:"Q",value:"98.4%"},{id:"s5",pipe:"p6",t:.6,label:"T",value:"42\xB0C"}];const nById=Object.fromEntries(nodes.map(n=>[n.id,n]));return React.createElement("svg",{viewBox:"0 0 1200 600",width:"100%",height:"100%",style:{display:"block"}},React.createElement("defs",null,React.createElement("linearGradient",{id:"pipeGrad",x1:"0",y1:"0",x2:"1",y2:"0"},React.createElement("stop",{offset:"0%",stopColor:accent,stopOpacity:"0.3"}),React.createElement("stop",{offset:"100%",stopColor:accent2,stopOpacity:"0.5"})),React.createElement("radialGradient",{id:"nodeGlow"},React.createElement("stop",{offset:"0%",stopColor:accent,stopOpacity:"0.5"}),React.createElement("stop",{offset:"100%",stopColor:accent,stopOpacity:"0"})),React.createElement("filter",{id:"schemBlur"},React.createElement("feGaussianBlur",{stdDeviation:"2"}))),[...Array(15)].map((_,i)=>React.createElement("line",{key:`gv${i}`,x1:i*80,y1:0,x2:i*80,y2:600,stroke:"rgba(226,232,240,0.04)"})),[...Array(8)].map((_,i)=>React.createElement("line",{key:`gh${i}`,x1:0,y1:i*80,x2:1200,y2:i*80,stroke:"rgba(226,232,240,0.04)"})),pipes.map(p=>{const a=nById[p.from],b=nById[p.to];const midX=(a.x+b.x)/2;const d=`M ${a.x} ${a.y} L ${midX} ${a.y} L ${midX} ${b.y} L ${b.x} ${b.y}`;return React.createElement("g",{key:p.id},React.createElement("path",{d,stroke:"rgba(226,232,240,0.12)",strokeWidth:"2",fill:"none"}),React.createElement("path",{d,stroke:accent,strokeWidth:"1",fill:"none",strokeDasharray:"4 8",strokeDashoffset:-pulse*30,opacity:"0.7",style:{filter:"drop-shadow(0 0 4px "+accent+")"}}))}),pipes.map((p,idx)=>{const a=nById[p.from],b=nById[p.to];const midX=(a.x+b.x)/2;const len=Math.abs(midX-a.x)+Math.abs(b.y-a.y)+Math.abs(b.x-midX);const seg1=Math.abs(midX-a.x);const seg2=seg1+Math.abs(b.y-a.y);const phase=(pulse*80+idx*30)%len/len;const dist=phase*len;let px,py;if(dist<seg1){px=a.x+dist;py=a.y}else if(dist<seg2){px=midX;py=a.y+(dist-seg1)*Math.sign(b.y-a.y)}else{px=midX+(dist-seg2)*Math.sign(b.x-midX);py=b.y}return React.createElement("g",{key:`fp${p.id}`},React.createElement("circle",{cx:px,cy:py,r:"3",fill:accent2,style:{filter:`drop-shadow(0 0 6px ${accent2})`}}))}),nodes.map(n=>React.createElement("g",{key:n.id,transform:`translate(${n.x}, ${n.y})`},React.createElement("circle",{r:"32",fill:"url(#nodeGlow)"}),React.createElement(NodeShape,{type:n.type,accent,accent2}),React.createElement("text",{y:"48",textAnchor:"middle",fontFamily:"var(--font-mono)",fontSize:"10",fill:"var(--fg-mute)",letterSpacing:"1.5"},n.label))),sensors.map(s=>{const p=pipes.find(pp=>pp.id===s.pipe);if(!p)return null;const a=nById[p.from],b=nById[p.to];const midX=(a.x+b.x)/2;const len=Math.abs(midX-a.x)+Math.abs(b.y-a.y)+Math.abs(b.x-midX);const seg1=Math.abs(midX-a.x);const seg2=seg1+Math.abs(b.y-a.y);const dist=s.t*len;let px,py;if(dist<seg1){px=a.x+dist;py=a.y}else if(dist<seg2){px=midX;py=a.y+(dist-seg1)*Math.sign(b.y-a.y)}else{px=midX+(dist-seg2)*Math.sign(b.x-midX);py=b.y}const blink=(Math.sin(pulse*2+s.t*9)+1)/2;return React.createElement("g",{key:s.id,transform:`translate(${px}, ${py})`},React.createElement("circle",{r:"8",fill:"none",stroke:accent2,strokeWidth:"1",opacity:.4+blink*.6}),React.createElement("circle",{r:"3",fill:accent2,style:{filter:`drop-shadow(0 0 4px ${accent2})`}}),React.createElement("g",{transform:"translate(12, -22)"},React.createElement("rect",{x:"0",y:"0",width:"60",height:"22",rx:"2",fill:"rgba(10,22,40,0.85)",stroke:"rgba(6,182,212,0.4)"}),React.createElement("text",{x:"6",y:"9",fontFamily:"var(--font-mono)",fontSize:"7",fill:"var(--fg-dim)",letterSpacing:"1"},"SENSOR \xB7 ",s.label),React.createElement("text",{x:"6",y:"18",fontFamily:"var(--font-mono)",fontSize:"9",fill:accent2},s.value)))}),React.createElement("g",{transform:"translate(40, 40)"},React.createElement("text",{fontFamily:"var(--font-mono)",fontSize:"10",fill:"var(--fg-dim)",letterSpacing:"2"},"UNIT 04 \xB7 POLYMER LINE"),React.createElement("text",{y:"14",fontFamily:"var(--font-mono)",fontSize:"9",fill:"var(--fg-dim)",letterSpacing:"1.5"},"REV 2026.04 \xB7 LIVE TELEMETRY")))}function NodeShape({type,accent,accent2}){const stroke="rgba(226,232,240,0.4)";switch(type){case"tank":return React.createElement("g",null,React.createElement("rect",{x:"-18",y:"-22",width:"36",height:"44",rx:"4",fill:"rgba(10,22,40,0.9)",stroke}),React.createElement("rect",{x:"-18",y:"4",width:"36",height:"18",rx:"0",fill:accent,fillOpacity:"0.25"}),React.createElement("line",{x1:"-18",y1:"4",x2:"18",y2:"4",stroke:accent,strokeWidth:"1"}));case"pump":return React.createElement("g",null,React.createElement("circle",{r:"22",fill:"rgba(10,22,40,0.9)",stroke}),React.createElement("circle",{r:"14",fill:"none",stroke:accent,strokeOpacity:"0.5"}),React.createElement("path",{d:"M -8 -8 L 8 0 L -8 8 Z",fill:accent}));case"reactor":return React.createElement("g",null,React.createElement("rect",{x:"-26",y:"-26",width:"52",height:"52",rx:"6",fill:"rgba(10,22,40,0.9)",stroke}),React.createElement("circle",{r:"14",fill:"none",stroke:accent2,strokeOpacity:"0.6"}),React.createElement("circle",{r:"6",fill:accent2,fillOpacity:"0.4"}));case"hx":return React.createElement("g",null,React.createElement("rect",{x:"-26",y:"-14",width:"52",height:"28",rx:"3",fill:"rgba(10,22,40,0.9)",stroke}),React.createElement("line",{x1:"-22",y1:"-6",x2:"22",y2:"-6",stroke:accent,strokeOpacity:"0.6"}),React.createElement("line",{x1:"-22",y1:"0",x2:"22",y2:"0",stroke:accent2,strokeOpacity:"0.6"}),React.createElement("line",{x1:"-22",y1:"6",x2:"22",y2:"6",stroke:accent,strokeOpacity:"0.6"}));case"sep":return React.createElement("g",null,React.createElement("path",{d:"M -22 -20 L 22 -20 L 14 20 L -14 20 Z",fill:"rgba(10,22,40,0.9)",stroke}),React.createElement("line",{x1:"-18",y1:"-8",x2:"18",y2:"-8",stroke:accent2,strokeOpacity:"0.6"}));case"out":return React.createElement("g",null,React.createElement("rect",{x:"-22",y:"-16",width:"44",height:"32",rx:"2",fill:"rgba(10,22,40,0.9)",stroke}),React.createElement("text",{textAnchor:"middle",y:"5",fontFamily:"var(--font-mono)",fontSize:"11",fill:accent2,letterSpacing:"1"},"OUT"));default:return React.createElement("circle",{r:"18",fill:"rgba(10,22,40,0.9)",stroke})}}Object.assign(window,{PlantSchematic});;const{useState:useStateD}=React;function DashboardMock({motion=1}){return React.createElement("div",{className:"dash-mock"},React.createElement("div",{className:"dash-mock__head"},React.createElement("div",{style:{display:"flex",gap:8,alignItems:"center"}},React.createElement("div",{style:{display:"flex",gap:4}},React.createElement("span",{style:{width:8,height:8,borderRadius:2,background:"rgba(255,255,255,0.15)"}}),React.createElement("span",{style:{width:8,height:8,borderRadius:2,background:"rgba(255,255,255,0.15)"}}),React.createElement("span",{style:{width:8,height:8,borderRadius:2,background:"rgba(255,255,255,0.15)"}})),React.createElement("span",{className:"mono",style:{fontSize:11,color:"var(--fg-mute)",marginLeft:8}},"operations / unit-04-overview")),React.createElement("div",{className:"live"},React.createElement("span",{className:"dot"})," LIVE \xB7 1s")),React.createElement("div",{className:"dash-mock__grid"},React.createElement("div",{className:"dash-panel dash-panel--wide"},React.createElement("div",{className:"dash-panel__head"},React.createElement("span",null,"Throughput \xB7 Last 1h"),React.createElement("span",{className:"mono",style:{color:"var(--accent-2)"}},React.createElement(Ticker,{value:847.2,decimals:1,motion})," t/h")),React.createElement(AreaChart,{motion,seed:3})),React.createElement("div",{className:"dash-panel"},React.createElement("div",{className:"dash-panel__head"},React.createElement("span",null,"Reactor Temp"),React.createElement("span",{className:"mono",style:{color:"var(--accent)"}},"OK")),React.createElement(Gauge,{value:.78,label:"",unit:"\xB0C",size:120,motion})),React.createElement("div",{className:"dash-panel"},React.createElement("div",{className:"dash-panel__head"},React.createElement("span",null,"Pump Vibration"),React.createElement("span",{className:"mono",style:{color:"var(--warn,#f59e0b)"}},"WATCH")),React.createElement(Sparkline,{width:240,height:70,color:"#f59e0b",seed:7,motion})),React.createElement("div",{className:"dash-panel"},React.createElement("div",{className:"dash-panel__head"},React.createElement("span",null,"Energy kWh"),React.createElement("span",{className:"mono",style:{color:"var(--fg-mute)"}},"24h")),React.createElement(Bars,{data:[40,60,52,80,75,90,72,84,68,76,82,90],motion})),React.createElement("div",{className:"dash-panel"},React.createElement("div",{className:"dash-panel__head"},React.createElement("span",null,"OEE"),React.createElement("span",{className:"mono",style:{color:"var(--accent-2)"}},React.createElement(Ticker,{value:92.4,decimals:1,motion,suffix:"%"}))),React.createElement(RadialBar,{value:.924,motion})),React.createElement("div",{className:"dash-panel dash-panel--wide"},React.createElement("div",{className:"dash-panel__head"},React.createElement("span",null,"Alarm Stream"),React.createElement("span",{className:"mono",style:{color:"var(--fg-mute)"}},"5 active")),React.createElement(AlarmList,{motion}))))}function AreaChart({motion=1,seed=1}){const[t,setT]=useStateD(0);useAnimationFrame(time=>setT(time*5e-4*motion));const w=600,h=140,n=60;const pts=Array.from({length:n},(_,i)=>{const x=i/(n-1)*w;const y=h*.6+Math.sin(i*.3+t)*22+Math.sin(i*.11+t*1.6+seed)*14-Math.sin(i*.05)*10;return[x,y]});const path=pts.map(([x,y],i)=>i===0?`M${x},${y}`:`L${x},${y}`).join(" ");const fillPath=path+` L${w},${h} L0,${h} Z`;return React.createElement("svg",{viewBox:`0 0 ${w} ${h}`,style:{width:"100%",height:"100%"}},React.createElement("defs",null,React.createElement("linearGradient",{id:"areaG",x1:"0",y1:"0",x2:"0",y2:"1"},React.createElement("stop",{offset:"0%",stopColor:"var(--accent-2)",stopOpacity:"0.4"}),React.createElement("stop",{offset:"100%",stopColor:"var(--accent-2)",stopOpacity:"0"}))),[.25,.5,.75].map(p=>React.createElement("line",{key:p,x1:"0",x2:w,y1:h*p,y2:h*p,stroke:"rgba(255,255,255,0.04)",strokeDasharray:"2 4"})),React.createElement("path",{d:fillPath,fill:"url(#areaG)"}),React.createElement("path",{d:path,stroke:"var(--accent-2)",strokeWidth:"1.5",fill:"none"}))}function RadialBar({value=.92,motion=1}){const r=50,c=2*Math.PI*r;return React.createElement("div",{style:{display:"flex",justifyContent:"center",alignItems:"center",height:"100%"}},React.createElement("svg",{viewBox:"0 0 140 140",width:"120"},React.createElement("circle",{cx:"70",cy:"70",r,fill:"none",stroke:"rgba(255,255,255,0.06)",strokeWidth:"6"}),React.createElement("circle",{cx:"70",cy:"70",r,fill:"none",stroke:"var(--accent)",strokeWidth:"6",strokeDasharray:`${c*value} ${c}`,strokeLinecap:"round",transform:"rotate(-90 70 70)",style:{filter:"drop-shadow(0 0 6px var(--accent))",transition:"stroke-dasharray 0.8s"}}),React.createElement("text",{x:"70",y:"76",textAnchor:"middle",fill:"var(--fg)",fontFamily:"var(--font-display)",fontSize:"22",fontWeight:"300"},(value*100).toFixed(1),"%")))}function AlarmList({motion=1}){const rows=[{sev:"warn",code:"VIB-07",msg:"Pump P-204 vibration trending up",t:"2m"},{sev:"info",code:"BATCH",msg:"Batch B-2206 completed \xB7 4.2% over yield",t:"11m"},{sev:"warn",code:"TMP-14",msg:"HX-410 outlet temperature drift",t:"23m"},{sev:"ok",code:"MAINT",msg:"PM scheduled for TK-101 cleared",t:"1h"}];return React.createElement("div",{style:{display:"flex",flexDirection:"column",gap:6,padding:"4px 0"}},rows.map((r,i)=>React.createElement("div",{key:i,style:{display:"grid",gridTemplateColumns:"auto auto 1fr auto",gap:10,alignItems:"center",padding:"6px 8px",fontFamily:"var(--font-mono)",fontSize:11,color:"var(--fg-mute)"}},React.createElement("span",{style:{width:6,height:6,borderRadius:"50%",background:r.sev==="warn"?"#f59e0b":r.sev==="info"?"var(--accent-2)":"var(--ok,#10b981)",boxShadow:`0 0 6px ${r.sev==="warn"?"#f59e0b":r.sev==="info"?"#06b6d4":"#10b981"}`}}),React.createElement("span",{style:{color:"var(--fg-dim)"}},r.code),React.createElement("span",{style:{color:"var(--fg)"}},r.msg),React.createElement("span",null,r.t))))}Object.assign(window,{DashboardMock});;const{useEffect:useEffSp,useState:useStSp,useRef:useRefSp}=React;function useScrollProgress(ref){const[p,setP]=useStSp(0);useEffSp(()=>{const el=ref.current;if(!el)return;const onScroll=()=>{const rect=el.getBoundingClientRect();const vh=window.innerHeight;const total=rect.height-vh;const passed=Math.max(0,-rect.top);const prog=Math.max(0,Math.min(1,passed/total));setP(prog)};onScroll();window.addEventListener("scroll",onScroll,{passive:true});window.addEventListener("resize",onScroll);return()=>{window.removeEventListener("scroll",onScroll);window.removeEventListener("resize",onScroll)}},[]);return p}function ScrollySpine({motion=1}){const wrap=useRefSp(null);const p=useScrollProgress(wrap);const step=Math.min(3,Math.floor(p*4));const stepP=p*4%1;const steps=[{key:"sensor",tag:"STAGE 01 \xB7 ACQUIRE",title:"It starts at the sensor.",body:"Pressure, temperature, vibration, flow. Thousands of tags pulsing every second on the plant floor. We meet your signals where they live \u2014 PLCs, DCS, OPC UA, MQTT, Modbus \u2014 and bring them into a single pipeline.",kpis:[["Tags / second","120K"],["Protocols","14+"],["Latency","<50ms"]]},{key:"historian",tag:"STAGE 02 \xB7 STORE",title:"Then the historian remembers.",body:"AVEVA PI, Canary, TDengine \u2014 pick the engine that fits your scale, retention and cost profile. We model the asset hierarchy, tune compression, and design retention policies that hold up under audit.",kpis:[["Retention","10y"],["Compression","30:1"],["Uptime","99.99%"]]},{key:"dashboard",tag:"STAGE 03 \xB7 SEE",title:"Then the dashboard speaks.",body:"Grafana, PI Vision, custom symbols built for your operators. Roll-ups for plant managers, drill-downs for engineers, mobile views for the field. Every panel grounded in your real asset model.",kpis:[["Dashboards","200+"],["Custom symbols","60+"],["Roles","8"]]},{key:"insight",tag:"STAGE 04 \xB7 DECIDE",title:"Then insight takes shape.",body:"ML models for anomaly detection, soft sensors, energy and yield optimization. Deployed where they matter: in the control room, in the historian, in the inbox of the people who can act on them.",kpis:[["Models live","40+"],["Yield gain","+4.2%"],["Energy saved","12%"]]}];return React.createElement("section",{className:"scrolly",ref:wrap,style:{minHeight:"500vh"},"data-screen-label":"03 Scrollytelling Spine"},React.createElement("div",{className:"scrolly__stage"},React.createElement(SpineStage,{step,stepP,motion})),React.createElement("div",{className:"scrolly__overlay"},steps.map((s,i)=>React.createElement("div",{key:s.key,className:"scrolly__step"},React.createElement("div",{className:"step-card",style:{opacity:step===i?1:.18,transition:"opacity 0.5s"}},React.createElement("div",{className:"step-pill"},s.tag),React.createElement("h2",{style:{fontSize:"clamp(28px, 3.4vw, 44px)",margin:"16px 0 12px"}},s.title),React.createElement("p",null,s.body),React.createElement("div",{style:{display:"flex",gap:24,marginTop:18,borderTop:"1px solid var(--line)",paddingTop:16}},s.kpis.map(([k,v])=>React.createElement("div",{key:k,className:"kpi",style:{gap:2}},React.createElement("div",{className:"kpi-value",style:{fontSize:22}},v),React.createElement("div",{className:"kpi-label"},k)))))))))}function SpineStage({step,stepP,motion}){const stages=[React.createElement(StageSensor,{motion}),React.createElement(StageHistorian,{motion}),React.createElement(StageDashboard,{motion}),React.createElement(StageInsight,{motion})];return React.createElement("div",{style:{width:"100%",height:"100%",position:"relative",display:"flex",alignItems:"center",justifyContent:"flex-end",padding:"0 var(--gutter)"}},React.createElement("div",{style:{width:"min(720px, 56%)",aspectRatio:"1 / 1",position:"relative"}},stages.map((el,i)=>React.createElement("div",{key:i,style:{position:"absolute",inset:0,opacity:i===step?1:0,transition:"opacity 0.6s ease",pointerEvents:i===step?"auto":"none"}},el))),React.createElement(SpineProgress,{step,stepP}))}function SpineProgress({step,stepP}){const labels=["SENSOR","HISTORIAN","DASHBOARD","INSIGHT"];return React.createElement("div",{style:{position:"absolute",left:"var(--gutter)",top:"50%",transform:"translateY(-50%)",display:"flex",flexDirection:"column",gap:22}},labels.map((l,i)=>React.createElement("div",{key:l,style:{display:"flex",alignItems:"center",gap:12}},React.createElement("div",{style:{width:32,height:1,background:i<=step?"var(--accent)":"var(--line-strong)",transition:"background 0.5s"}}),React.createElement("span",{className:"mono",style:{fontSize:11,letterSpacing:"0.18em",color:i===step?"var(--fg)":"var(--fg-dim)",transition:"color 0.5s"}},String(i+1).padStart(2,"0")," ",l))))}function StageSensor({motion}){const[t,setT]=useStSp(0);useAnimationFrame(time=>setT(time*.001*motion));const pts=[];const grid=8;for(let i=0;i<grid;i++){for(let j=0;j<grid;j++){pts.push({x:i/(grid-1),y:j/(grid-1),seed:i*7+j*13})}}return React.createElement("svg",{viewBox:"0 0 600 600",width:"100%",height:"100%"},React.createElement("defs",null,React.createElement("radialGradient",{id:"sensGlow"},React.createElement("stop",{offset:"0%",stopColor:"var(--accent-2)",stopOpacity:"0.8"}),React.createElement("stop",{offset:"100%",stopColor:"var(--accent-2)",stopOpacity:"0"}))),pts.map(p=>{const active=(Math.sin(t*.8+p.seed)+1)/2;const r=2+active*6;return React.createElement("g",{key:p.seed,transform:`translate(${60+p.x*480}, ${60+p.y*480})`},React.createElement("circle",{r:r*3,fill:"url(#sensGlow)",opacity:active*.5}),React.createElement("circle",{r:"2",fill:"var(--accent-2)",opacity:.3+active*.7}))}),React.createElement("g",{transform:"translate(300, 300)"},React.createElement("circle",{r:"60",fill:"none",stroke:"rgba(6,182,212,0.2)",strokeDasharray:"3 6"},React.createElement("animateTransform",{attributeName:"transform",type:"rotate",from:"0",to:"360",dur:"20s",repeatCount:"indefinite"})),React.createElement("text",{textAnchor:"middle",y:"-8",fontFamily:"var(--font-mono)",fontSize:"11",fill:"var(--fg-mute)",letterSpacing:"2"},"SIGNALS"),React.createElement("text",{textAnchor:"middle",y:"16",fontFamily:"var(--font-display)",fontSize:"28",fill:"var(--fg)",fontWeight:"300"},React.createElement("tspan",null,"120K/s"))))}function StageHistorian({motion}){const[t,setT]=useStSp(0);useAnimationFrame(time=>setT(time*.001*motion));return React.createElement("svg",{viewBox:"0 0 600 600",width:"100%",height:"100%"},React.createElement("defs",null,React.createElement("linearGradient",{id:"tapeG",x1:"0",y1:"0",x2:"1",y2:"0"},React.createElement("stop",{offset:"0%",stopColor:"var(--accent)",stopOpacity:"0"}),React.createElement("stop",{offset:"50%",stopColor:"var(--accent)",stopOpacity:"0.5"}),React.createElement("stop",{offset:"100%",stopColor:"var(--accent-2)",stopOpacity:"0"}))),[...Array(14)].map((_,i)=>{const y=80+i*32;const offset=(t*40+i*17)%60;const opacity=.15+i%4*.15;return React.createElement("g",{key:i},React.createElement("line",{x1:"60",y1:y,x2:"540",y2:y,stroke:"rgba(226,232,240,0.08)",strokeDasharray:"2 4"}),React.createElement("rect",{x:60+offset,y:y-1,width:"120",height:"2",fill:"url(#tapeG)",opacity}),React.createElement("rect",{x:300-offset/2,y:y-1,width:"80",height:"2",fill:"url(#tapeG)",opacity}),React.createElement("circle",{cx:60+(i*33+t*30)%480,cy:y,r:"2",fill:"var(--accent-2)",opacity:"0.8"}))}),React.createElement("g",{transform:"translate(300, 300)"},React.createElement("rect",{x:"-90",y:"-30",width:"180",height:"60",rx:"3",fill:"rgba(10,22,40,0.9)",stroke:"var(--accent)",strokeOpacity:"0.4"}),React.createElement("text",{textAnchor:"middle",y:"-8",fontFamily:"var(--font-mono)",fontSize:"10",fill:"var(--fg-mute)",letterSpacing:"2"},"HISTORIAN"),React.createElement("text",{textAnchor:"middle",y:"14",fontFamily:"var(--font-mono)",fontSize:"13",fill:"var(--accent-2)",letterSpacing:"2"},"PI \xB7 CANARY \xB7 TDENGINE")))}function StageDashboard({motion}){return React.createElement("div",{style:{width:"100%",height:"100%",display:"flex",alignItems:"center",justifyContent:"center",padding:20}},React.createElement("div",{style:{width:"100%",maxWidth:640}},React.createElement(DashboardMock,{motion})))}function StageInsight({motion}){const[t,setT]=useStSp(0);useAnimationFrame(time=>setT(time*.001*motion));return React.createElement("svg",{viewBox:"0 0 600 600",width:"100%",height:"100%"},React.createElement("defs",null,React.createElement("radialGradient",{id:"brainG"},React.createElement("stop",{offset:"0%",stopColor:"var(--accent-2)",stopOpacity:"0.5"}),React.createElement("stop",{offset:"100%",stopColor:"var(--accent)",stopOpacity:"0"}))),(()=>{const lcols=[{x:100,n:6},{x:250,n:8},{x:400,n:8},{x:550,n:3}];const nodes=lcols.flatMap((col,ci)=>Array.from({length:col.n},(_,i)=>({x:col.x,y:100+i*(400/(col.n-1)),ci,i})));const edges=[];for(let ci=0;ci<lcols.length-1;ci++){const a=nodes.filter(n=>n.ci===ci);const b=nodes.filter(n=>n.ci===ci+1);a.forEach((na,ai)=>b.forEach((nb,bi)=>edges.push({na,nb,k:ai*7+bi*3+ci*11})))}return React.createElement("g",null,React.createElement("circle",{cx:"300",cy:"300",r:"220",fill:"url(#brainG)",opacity:"0.3"}),edges.map((e,i)=>{const op=(Math.sin(t+e.k)+1)/2;return React.createElement("line",{key:i,x1:e.na.x,y1:e.na.y,x2:e.nb.x,y2:e.nb.y,stroke:"var(--accent)",strokeOpacity:op*.18,strokeWidth:"0.5"})}),nodes.map((n,i)=>{const fire=(Math.sin(t*1.4+i*.7)+1)/2;return React.createElement("g",{key:i},React.createElement("circle",{cx:n.x,cy:n.y,r:3+fire*4,fill:"var(--accent-2)",opacity:.2}),React.createElement("circle",{cx:n.x,cy:n.y,r:"2.5",fill:"var(--accent-2)"}))}),[{y:100,label:"ANOMALY"},{y:300,label:"FORECAST"},{y:500,label:"OPTIMIZE"}].map((o,i)=>React.createElement("text",{key:i,x:"568",y:o.y+4,fontFamily:"var(--font-mono)",fontSize:"10",fill:"var(--fg-mute)",letterSpacing:"1.5"},o.label)))})())}Object.assign(window,{ScrollySpine});;const{useEffect:useEffSec,useState:useStSec,useRef:useRefSec}=React;function Nav(){return React.createElement("nav",{className:"nav","data-screen-label":"00 Nav","aria-label":"Primary"},React.createElement("div",{className:"logo"},React.createElement("div",{className:"logo-mark"},React.createElement("svg",{viewBox:"0 0 40 40",role:"img","aria-labelledby":"navLogoTitle"},React.createElement("title",{id:"navLogoTitle"},"Blueforge AI"),React.createElement("defs",null,React.createElement("linearGradient",{id:"logoG",x1:"0",y1:"0",x2:"1",y2:"1"},React.createElement("stop",{offset:"0%",stopColor:"#3b82f6"}),React.createElement("stop",{offset:"100%",stopColor:"#06b6d4"}))),React.createElement("path",{d:"M 9 6 L 9 34",stroke:"url(#logoG)",strokeWidth:"3",strokeLinecap:"round"}),React.createElement("path",{d:"M 9 6 L 21 6 Q 30 6 30 13 Q 30 20 21 20 L 9 20",fill:"none",stroke:"url(#logoG)",strokeWidth:"3",strokeLinejoin:"round",strokeLinecap:"round"}),React.createElement("path",{d:"M 9 20 L 22 20 Q 32 20 32 27 Q 32 34 22 34 L 9 34",fill:"none",stroke:"url(#logoG)",strokeWidth:"3",strokeLinejoin:"round",strokeLinecap:"round"}),React.createElement("circle",{cx:"33",cy:"7",r:"2.5",fill:"#06b6d4"}))),React.createElement("span",null,"BLUEFORGE",React.createElement("span",{style:{color:"var(--accent-2)",marginLeft:4}},"AI"))),React.createElement("div",{className:"nav-links"},React.createElement("a",{href:"#services"},"Services"),React.createElement("a",{href:"#journey"},"Journey"),React.createElement("a",{href:"#dashboards"},"Dashboards"),React.createElement("a",{href:"#ai"},"AI / ML"),React.createElement("a",{href:"#process"},"Process"),React.createElement("a",{href:"#contact"},"Contact")),React.createElement("a",{href:"#contact",className:"btn btn--primary",style:{padding:"10px 16px"}},"Connect with us ",React.createElement("span",{className:"arrow"},"\u2192")))}function Hero({motion}){return React.createElement("section",{className:"hero",id:"hero","data-screen-label":"01 Hero"},React.createElement("div",{className:"bg-grid"}),React.createElement("div",{className:"bg-vignette"}),React.createElement("div",{className:"hero__bg"},React.createElement(PlantSchematic,{motion})),React.createElement("div",{className:"hero__inner"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"Industrial Data Intelligence"),React.createElement("h1",{style:{marginTop:20}},"Your plant is talking.",React.createElement("br",null),React.createElement("span",{className:"gradient-text"},"We make it impossible to ignore.")),React.createElement("p",{className:"lead",style:{marginTop:26}},"Historians, dashboards, custom symbols, AI/ML \u2014 the operational data layer that turns telemetry into decisions, not noise. Built on AVEVA PI, Canary and TDengine. Deployed in 8 weeks."),React.createElement("div",{style:{display:"flex",gap:12,marginTop:32,flexWrap:"wrap"}},React.createElement("a",{href:"#contact",className:"btn btn--primary"},"Start your pilot ",React.createElement("span",{className:"arrow"},"\u2192")),React.createElement("a",{href:"#journey",className:"btn"},"See how it flows")))))}function LogoMarquee(){const items=["AVEVA PI","CANARY HISTORIAN","TDENGINE","GRAFANA","PI VISION","OPC UA","MQTT","INFLUXDB","TIMESCALEDB","MODBUS"];const doubled=[...items,...items];return React.createElement("section",{className:"section section--sm",style:{padding:"40px var(--gutter)"},"data-screen-label":"01b Logo Strip"},React.createElement("div",{className:"container"},React.createElement("div",{className:"mono",style:{fontSize:11,color:"var(--fg-dim)",letterSpacing:"0.2em",marginBottom:18}},"STACK \xB7 INTEGRATIONS \xB7 ECOSYSTEMS"),React.createElement("div",{className:"marquee"},React.createElement("div",{className:"marquee__track"},doubled.map((x,i)=>React.createElement("div",{key:i,className:"logo-strip__item"},React.createElement("span",{style:{width:6,height:6,background:"var(--accent-2)",borderRadius:"50%",boxShadow:"0 0 6px var(--accent-2)"}}),x))))))}const SERVICES=[{tag:"DIGITALIZATION",title:"Plant digitalization",body:"End-to-end programs to instrument, model and integrate your asset base.",icon:"tank"},{tag:"HISTORIANS",title:"AVEVA PI \xB7 Canary \xB7 TDengine",body:"Architect, deploy and tune the historian that fits your scale and budget.",icon:"stack"},{tag:"DASHBOARDS",title:"Grafana dashboards",body:"Operational panels for the floor, the control room, and the C-suite.",icon:"chart"},{tag:"VISUALIZATION",title:"PI Vision custom symbols",body:"Bespoke operator graphics that match the way your engineers think.",icon:"symbol"},{tag:"SOFTWARE",title:"Custom software",body:"APIs, micro-frontends, internal tools \u2014 built around your operational stack.",icon:"code"},{tag:"AI / ML",title:"AI & ML models",body:"Anomaly detection, soft sensors, forecast and yield optimization.",icon:"brain"}];function Services({motion}){return React.createElement("section",{className:"section",id:"services","data-screen-label":"02 Services"},React.createElement("div",{className:"container"},React.createElement("div",{className:"section-head"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"What we do"),React.createElement("h2",{style:{marginTop:14}},"Six disciplines.",React.createElement("br",null),React.createElement("span",{style:{color:"var(--fg-mute)"}},"One data fabric."))),React.createElement("p",{className:"lead"},"We sit between your control systems and your decision-makers. Whether you need a single dashboard or an enterprise-wide rollout, every engagement plugs into the same operational backbone.")),React.createElement("div",{className:"tile-grid"},SERVICES.map((s,i)=>React.createElement("div",{key:s.title,className:"tile card "+(i===0||i===5?"tile--lg":i===1||i===4?"tile--sm":"")},React.createElement("span",{className:"plus",style:{top:8,left:8}}),React.createElement("span",{className:"plus",style:{top:8,right:8}}),React.createElement("span",{className:"plus",style:{bottom:8,left:8}}),React.createElement("span",{className:"plus",style:{bottom:8,right:8}}),React.createElement("div",{style:{display:"flex",justifyContent:"space-between",alignItems:"start",marginBottom:18}},React.createElement("span",{className:"tag"},s.tag),React.createElement(ServiceIcon,{kind:s.icon})),React.createElement("h3",{style:{marginBottom:10}},s.title),React.createElement("p",{style:{margin:0}},s.body),React.createElement("div",{style:{marginTop:22,paddingTop:14,borderTop:"1px dashed var(--line)"}},React.createElement(Sparkline,{width:300,height:50,seed:i+1,motion,color:i%2?"var(--accent-2)":"var(--accent)"})))))))}function ServiceIcon({kind}){const stroke="var(--accent-2)";switch(kind){case"tank":return React.createElement("svg",{width:"28",height:"28",viewBox:"0 0 28 28"},React.createElement("rect",{x:"6",y:"4",width:"16",height:"20",rx:"2",fill:"none",stroke}),React.createElement("line",{x1:"6",y1:"14",x2:"22",y2:"14",stroke}));case"stack":return React.createElement("svg",{width:"28",height:"28",viewBox:"0 0 28 28"},React.createElement("ellipse",{cx:"14",cy:"6",rx:"9",ry:"3",fill:"none",stroke}),React.createElement("path",{d:"M5 6 v6 a9 3 0 0 0 18 0 v-6",fill:"none",stroke}),React.createElement("path",{d:"M5 12 v6 a9 3 0 0 0 18 0 v-6",fill:"none",stroke}));case"chart":return React.createElement("svg",{width:"28",height:"28",viewBox:"0 0 28 28"},React.createElement("path",{d:"M4 20 L10 12 L15 17 L24 6",fill:"none",stroke,strokeWidth:"1.5"}),React.createElement("circle",{cx:"24",cy:"6",r:"2",fill:stroke}));case"symbol":return React.createElement("svg",{width:"28",height:"28",viewBox:"0 0 28 28"},React.createElement("rect",{x:"4",y:"4",width:"20",height:"20",fill:"none",stroke}),React.createElement("circle",{cx:"14",cy:"14",r:"5",fill:"none",stroke}),React.createElement("line",{x1:"4",y1:"14",x2:"9",y2:"14",stroke}),React.createElement("line",{x1:"19",y1:"14",x2:"24",y2:"14",stroke}));case"code":return React.createElement("svg",{width:"28",height:"28",viewBox:"0 0 28 28"},React.createElement("path",{d:"M10 8 L4 14 L10 20 M18 8 L24 14 L18 20",fill:"none",stroke,strokeWidth:"1.5"}));case"brain":return React.createElement("svg",{width:"28",height:"28",viewBox:"0 0 28 28"},React.createElement("circle",{cx:"8",cy:"8",r:"2",fill:stroke}),React.createElement("circle",{cx:"20",cy:"8",r:"2",fill:stroke}),React.createElement("circle",{cx:"14",cy:"14",r:"2",fill:stroke}),React.createElement("circle",{cx:"8",cy:"20",r:"2",fill:stroke}),React.createElement("circle",{cx:"20",cy:"20",r:"2",fill:stroke}),React.createElement("path",{d:"M8 8 L14 14 L20 8 M8 20 L14 14 L20 20",stroke,fill:"none"}));default:return null}}function HistorianSection({motion}){return React.createElement("section",{className:"section",id:"historians","data-screen-label":"04 Historians"},React.createElement("div",{className:"container"},React.createElement("div",{className:"section-head"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"Plant digitalization"),React.createElement("h2",{style:{marginTop:14}},"Three historians.",React.createElement("br",null),React.createElement("span",{style:{color:"var(--fg-mute)"}},"One operating model."))),React.createElement("p",{className:"lead"},"The historian choice is rarely just about storage \u2014 it's about asset modelling, contextualization, retention, cost, and how your team reasons about events. We've shipped production rollouts in all three.")),React.createElement("div",{className:"tile-grid"},[{tag:"AVEVA PI",title:"Enterprise PI System",body:"AF templates, event frames, asset analytics. We migrate from legacy tag-only PI to a fully contextualized asset model your engineers can reason about.",metrics:[["Tags managed","8.4M"],["AF templates","240"],["Event frames / day","180K"]],color:"var(--accent)"},{tag:"CANARY",title:"Canary Historian",body:"Lean, file-based, blazing fast. Right-sized for mid-tier plants that need PI-class performance without the PI footprint.",metrics:[["Compression","30:1"],["Cold-query p95","120ms"],["Sites","14"]],color:"var(--accent-2)"},{tag:"TDENGINE",title:"TDengine Cluster",body:"Cloud-native, open-source-friendly, scales horizontally. Our default when retention and analytics workload outweigh OT integration depth.",metrics:[["Ingest peak","2.1M pts/s"],["Retention","10y"],["Nodes","12"]],color:"#a78bfa"}].map(h=>React.createElement("div",{key:h.title,className:"tile card",style:{gridColumn:"span 4"}},React.createElement("div",{style:{display:"flex",justifyContent:"space-between",alignItems:"baseline"}},React.createElement("span",{className:"tag",style:{color:h.color}},h.tag),React.createElement("span",{className:"live"},React.createElement("span",{className:"dot"})," production")),React.createElement("h3",{style:{marginTop:16,marginBottom:12}},h.title),React.createElement("p",{style:{marginBottom:22}},h.body),React.createElement("div",{style:{display:"grid",gridTemplateColumns:"1fr 1fr 1fr",gap:12,padding:"16px 0",borderTop:"1px solid var(--line)"}},h.metrics.map(([k,v])=>React.createElement("div",{key:k},React.createElement("div",{className:"mono",style:{fontSize:11,color:"var(--fg-dim)",letterSpacing:"0.08em",textTransform:"uppercase"}},k),React.createElement("div",{className:"mono",style:{fontSize:15,color:h.color,marginTop:4}},v)))),React.createElement(Sparkline,{width:260,height:40,color:h.color,seed:h.title.length,motion}))))))}function DashboardSection({motion}){return React.createElement("section",{className:"section",id:"dashboards","data-screen-label":"05 Dashboards"},React.createElement("div",{className:"container"},React.createElement("div",{className:"section-head"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"Grafana dashboards"),React.createElement("h2",{style:{marginTop:14}},"Panels people",React.createElement("br",null),React.createElement("span",{className:"gradient-text"},"actually open."))),React.createElement("p",{className:"lead"},"We design dashboards the way good editors design pages: one obvious thing per panel, one obvious decision per dashboard. The result is operations teams who reach for Grafana before they reach for the phone.")),React.createElement("div",{style:{marginBottom:40}},React.createElement(DashboardMock,{motion})),React.createElement("div",{style:{display:"grid",gridTemplateColumns:"repeat(3, 1fr)",gap:24},className:"dashboard-points"},[["Asset-aware","Every panel knows what it's looking at \u2014 unit, line, batch \u2014 so drill-down works the way operators expect."],["Role-tuned","Plant manager rollups, engineer diagnostics, mobile field views. One source of truth, three reading levels."],["Alert-ready","Alarm streams wired to PagerDuty, Teams or your CMMS. Acks, snoozes, and post-mortems already considered."]].map(([t,b])=>React.createElement("div",{key:t},React.createElement("h3",{style:{marginBottom:8}},t),React.createElement("p",{style:{margin:0,fontSize:14}},b))))))}Object.assign(window,{Nav,Hero,LogoMarquee,Services,HistorianSection,DashboardSection,SERVICES});;const POW_ENDPOINT="/api/challenge";const POW_WORKER="pow-worker.js";const powCache={};function powSolve(scope){return fetch(`${POW_ENDPOINT}?scope=${encodeURIComponent(scope)}`,{credentials:"same-origin"}).then(res=>res.ok?res.json():null).then(c=>{if(!c||!c.bits||typeof Worker==="undefined")return null;return new Promise(resolve=>{const w=new Worker(POW_WORKER);const done=v=>{w.terminate();resolve(v)};w.onmessage=e=>done(e.data.stamp?{stamp:e.data.stamp,expires:Date.now()+(c.expiresIn-15)*1e3}:null);w.onerror=()=>done(null);w.postMessage({challenge:c.challenge,bits:c.bits})})}).catch(()=>null)}function powPrefetch(scope){if(!powCache[scope])powCache[scope]=powSolve(scope);return powCache[scope]}async function powHeaders(scope){let sol=await powPrefetch(scope);delete powCache[scope];if(sol&&sol.expires<Date.now())sol=await powSolve(scope);return sol?{"X-Guard-Pow":sol.stamp}:{}}function powForget(scope){delete powCache[scope]}async function powRejected(res){if(res.status===428)return true;return res.status===403&&(await res.clone().json().catch(()=>({}))).error==="pow-invalid"}async function powFetch(scope,url,init){const send=async()=>fetch(url,{...init,headers:{...init.headers,...await powHeaders(scope)}});const res=await send();if(!await powRejected(res))return res;powForget(scope);return send()}Object.assign(window,{powPrefetch,powHeaders,powForget,powRejected,powFetch});;const CF_FREE_MAIL=new Set(["gmail.com","googlemail.com","yahoo.com","yahoo.co.uk","yahoo.co.in","ymail.com","hotmail.com","hotmail.co.uk","outlook.com","live.com","msn.com","aol.com","icloud.com","me.com","mac.com","proton.me","protonmail.com","gmx.com","gmx.de","gmx.net","web.de","mail.com","yandex.com","yandex.ru","qq.com","163.com","126.com"]);const CF_EMAIL_RE=/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;function cfIsFreeMail(email){const domain=String(email||"").trim().toLowerCase().split("@")[1];return!!domain&&CF_FREE_MAIL.has(domain)}function cfValidateField(rule,raw,values){if(Array.isArray(raw))return rule.required&&!raw.length?`Pick at least one ${rule.label.toLowerCase()}.`:"";const v=typeof raw==="string"?raw.trim():"";if(!v)return!rule.required?"":rule.options?`Choose a ${rule.label.toLowerCase()}.`:`${rule.label} is required.`;if(rule.min&&v.length<rule.min)return`${rule.label} needs at least ${rule.min} characters \u2014 a line or two about your stack helps us reply usefully.`;if(rule.max&&v.length>rule.max)return`${rule.label} must be ${rule.max} characters or fewer (currently ${v.length}).`;if(rule.email&&!CF_EMAIL_RE.test(v))return"Enter an email address like name@company.com.";if(rule.workEmail&&!values[rule.workEmail]&&cfIsFreeMail(v))return"Please use your work email \u2014 or tick the box below if this is the right address.";return""}function cfValidate(values,schema){const errors={};Object.entries(schema).forEach(([key,rule])=>{const msg=cfValidateField(rule,values[key],values);if(msg)errors[key]=msg});return errors}Object.assign(window,{cfValidate,cfIsFreeMail});;const CF_QUEUE_DB="bf-contact";const CF_QUEUE_STORE="outbox";const CF_QUEUE_EVENT="bf:contact-flushed";const CF_QUEUE_PERMANENT=[400,413,422];function cfQueueOpen(){return new Promise((resolve,reject)=>{if(!window.indexedDB)return reject(new Error("no-indexeddb"));const req=indexedDB.open(CF_QUEUE_DB,1);req.onupgradeneeded=()=>req.result.createObjectStore(CF_QUEUE_STORE,{keyPath:"id",autoIncrement:true});req.onsuccess=()=>resolve(req.result);req.onerror=()=>reject(req.error)})}function cfQueueTx(mode,fn){return cfQueueOpen().then(db=>new Promise((resolve,reject)=>{const tx=db.transaction(CF_QUEUE_STORE,mode);const out=fn(tx.objectStore(CF_QUEUE_STORE));tx.oncomplete=()=>{db.close();resolve(out&&"result"in out?out.result:void 0)};tx.onerror=tx.onabort=()=>{db.close();reject(tx.error)}}))}const cfQueuePut=(endpoint,payload)=>cfQueueTx("readwrite",s=>s.add({endpoint,payload,queuedAt:Date.now()}));const cfQueueAll=()=>cfQueueTx("readonly",s=>s.getAll());const cfQueueDelete=id=>cfQueueTx("readwrite",s=>s.delete(id));let cfFlushing=null;function cfQueueFlush(){if(cfFlushing)return cfFlushing;cfFlushing=(async()=>{let delivered=0,rejected=0;const items=await cfQueueAll().catch(()=>[]);for(const item of items){let res;try{res=await powFetch("contact",item.endpoint,{method:"POST",headers:{"Content-Type":"application/json",Accept:"application/json"},body:JSON.stringify(item.payload)})}catch(_){break}if(!res.ok&&!CF_QUEUE_PERMANENT.includes(res.status))break;await cfQueueDelete(item.id);if(res.ok)delivered++;else rejected++}const pending=(await cfQueueAll().catch(()=>[])).length;if(delivered||rejected)window.dispatchEvent(new CustomEvent(CF_QUEUE_EVENT,{detail:{delivered,rejected,pending}}));return{delivered,rejected,pending}})().finally(()=>{cfFlushing=null});return cfFlushing}window.addEventListener("online",()=>{cfQueueFlush()});if(document.readyState==="complete")cfQueueFlush();else window.addEventListener("load",()=>{cfQueueFlush()},{once:true});Object.assign(window,{cfQueuePut,cfQueueFlush,CF_QUEUE_EVENT});;const CF_HISTORIANS=["AVEVA PI","Canary Historian","TDengine","InfluxDB / Timescale","None yet"];const CF_SCOPES=["Digitalization","Dashboards","PI Vision symbols","AI / ML","Custom software"];const CF_QUESTIONS={name:{type:"text",label:"Name",autoComplete:"name",required:true,max:120},email:{type:"email",label:"Work email",autoComplete:"email",required:true,max:200,email:true,workEmail:"personalEmailOk"},company:{type:"text",label:"Company / site",autoComplete:"organization",max:200,full:true},historian:{type:"select",label:"Primary historian",options:CF_HISTORIANS,full:true},dcs:{type:"select",label:"DCS / control system",options:["Not sure","Emerson DeltaV","Honeywell Experion","Yokogawa CENTUM","ABB 800xA","Siemens PCS 7 / PCS neo","Rockwell PlantPAx","Schneider Foxboro","Other / mixed"],full:true},tagCount:{type:"select",label:"Tag count",prompt:"Approximate tag count",options:["Not sure","Under 5,000","5,000 \u2013 50,000","50,000 \u2013 250,000","Over 250,000"]},sites:{type:"select",label:"Sites",prompt:"Number of sites",options:["1","2 \u2013 5","6 \u2013 20","More than 20"]},scope:{type:"chips",label:"Scope of interest",options:CF_SCOPES,required:true},dataHistory:{type:"choice",label:"Process history",prompt:"How much process history is archived?",options:["Under 6 months","6 \u2013 24 months","2 \u2013 5 years","Over 5 years","Not sure"],required:true,when:{field:"scope",includes:"AI / ML"}},piVersion:{type:"choice",label:"PI version",prompt:"Which PI Server / PI Vision release are you on?",options:["2018 SP3 or earlier","2023 / 2024","Latest AVEVA PI","Not sure"],required:true,when:{field:"scope",includes:"PI Vision symbols"}},timeline:{type:"choice",label:"Timeline",prompt:"When would you like to start?",options:["Just exploring","This quarter","Within 6 months","Next budget year"],required:true},budget:{type:"choice",label:"Budget band",options:["Under $25k","$25k \u2013 $100k","$100k \u2013 $500k","Over $500k","Not decided"]},message:{type:"textarea",label:"Message",prompt:"What's the situation?",placeholder:"A few lines about your stack and what you'd like to change\u2026",required:true,min:20,max:5e3}};Object.entries(CF_QUESTIONS).forEach(([key,q])=>{q.id=`cf-${key}`});const CF_STEPS=[{title:"About you",fields:["name","email","company"]},{title:"Your plant",fields:["historian","dcs","tagCount","sites"]},{title:"Scope",fields:["scope","dataHistory","piVersion"]},{title:"Timeline",fields:["timeline","budget","message"]}];const CF_QUALIFICATION=["dcs","tagCount","sites","dataHistory","piVersion","timeline","budget"];const CF_INITIAL={name:"",email:"",company:"",historian:"AVEVA PI",dcs:"Not sure",tagCount:"Not sure",sites:"1",scope:[],dataHistory:"",piVersion:"",timeline:"",budget:"",message:"",estimate:null,personalEmailOk:false,website:""};function cfVisible(q,values){if(!q.when)return true;const v=values[q.when.field];return Array.isArray(v)?v.includes(q.when.includes):v===q.when.includes}function cfStepSchema(step,values){const out={};CF_STEPS[step].fields.forEach(k=>{if(cfVisible(CF_QUESTIONS[k],values))out[k]=CF_QUESTIONS[k]});return out}function cfPayload(values){const qualification={};CF_QUALIFICATION.forEach(k=>{if(cfVisible(CF_QUESTIONS[k],values)&&values[k])qualification[k]=values[k]});const{name,email,company,historian,scope,message,estimate,personalEmailOk,website}=values;return{name,email,company,historian,scope,message,personalEmailOk,website,qualification,estimate:estimate||void 0}}const cfWeeks=w=>!w?"ongoing":w[0]===w[1]?`${w[0]} weeks`:`${w[0]}\u2013${w[1]} weeks`;function cfEstimateText(est){return[`Pilot estimate (Discover \u2192 Scale: ${cfWeeks(est.total)})`,...est.phases.map(p=>`  ${p.title} \u2014 ${cfWeeks(p.weeks)}: ${p.deliverable}`)].join("\n")}function cfEmailBody(values){const lines=[];CF_STEPS.forEach(s=>s.fields.forEach(k=>{const q=CF_QUESTIONS[k];if(k==="message"||!cfVisible(q,values))return;const v=Array.isArray(values[k])?values[k].join(", "):values[k];lines.push(`${q.label}: ${v||"\u2014"}`)}));const estimate=values.estimate?`
+
+${cfEstimateText(values.estimate)}`:"";return`${lines.join("\n")}${estimate}
+
+Message:
+${values.message}`}const CF_PROGRESS_KEY="bf.contact.progress";function cfLoadProgress(){try{const p=JSON.parse(localStorage.getItem(CF_PROGRESS_KEY)||"null");if(!p||p.v!==1)return null;return{step:Math.min(Math.max(0,p.step|0),CF_STEPS.length-1),values:{...CF_INITIAL,...p.values,website:"",personalEmailOk:false}}}catch(_){return null}}function cfSaveProgress(step,values){const{website,personalEmailOk,...keep}=values;try{localStorage.setItem(CF_PROGRESS_KEY,JSON.stringify({v:1,step,values:keep}))}catch(_){}}function cfClearProgress(){try{localStorage.removeItem(CF_PROGRESS_KEY)}catch(_){}}Object.assign(window,{CF_HISTORIANS,CF_SCOPES,CF_QUESTIONS,CF_STEPS,CF_INITIAL,cfVisible,cfStepSchema,cfPayload,cfEmailBody,cfWeeks,cfLoadProgress,cfSaveProgress,cfClearProgress});;const{useState:useStS2}=React;function SymbolsSection({motion}){const symbols=[{name:"Vessel \xB7 Level",kind:"vessel"},{name:"Pump \xB7 Status",kind:"pump"},{name:"Valve \xB7 Flow",kind:"valve"},{name:"Motor \xB7 Vibration",kind:"motor"},{name:"Heat Exchanger",kind:"hx"},{name:"Mini Trend",kind:"trend"},{name:"Alarm Tile",kind:"alarm"},{name:"Batch Phase",kind:"batch"}];return React.createElement("section",{className:"section",id:"symbols","data-screen-label":"06 PI Vision Symbols"},React.createElement("div",{className:"container"},React.createElement("div",{className:"section-head"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"PI Vision \xB7 Custom symbols"),React.createElement("h2",{style:{marginTop:14}},"Operator graphics",React.createElement("br",null),React.createElement("span",{style:{color:"var(--fg-mute)"}},"that read like instinct."))),React.createElement("p",{className:"lead"},"Stock symbols rarely match the way your operators actually think about an asset. We design and build a custom symbol library \u2014 bound to your AF model \u2014 so screens scan in two seconds, not twenty.")),React.createElement("div",{className:"symbol-grid"},symbols.map((s,i)=>React.createElement("div",{key:s.name,className:"symbol-tile"},React.createElement(SymbolGraphic,{kind:s.kind,motion,i}),React.createElement("div",{className:"symbol-tile__label"},s.name))))))}function SymbolGraphic({kind,motion,i,still=false,reading=null,props=null,look="glow"}){const[t,setT]=useStS2(0);const base=PG_LOOKS[look]||PG_LOOKS.glow;const quiet=still||base.quiet;useAnimationFrame(time=>setT(time*.001*motion),!quiet);const def=pgSymbol(kind);if(!def)return null;const c={...base,fill:reading&&reading.color||base.fills[i%base.fills.length]};const blink=base.quiet?1:(Math.sin(t*1.6+i)+1)/2;return def.render({c,t,blink,i,reading,props:props||{},still:quiet,motion})}function AISection({motion}){return React.createElement("section",{className:"section",id:"ai","data-screen-label":"07 AI / ML"},React.createElement("div",{className:"container"},React.createElement("div",{className:"section-head"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"AI / ML model creation"),React.createElement("h2",{style:{marginTop:14}},"Models that earn",React.createElement("br",null),React.createElement("span",{className:"gradient-text"},"their place on the line."))),React.createElement("p",{className:"lead"},"We don't ship demos. Every model we deploy has a clear operator action behind it, a feedback loop into the historian, and a way to be turned off when the process changes. That's the difference between an ML pilot and a working soft sensor.")),React.createElement("div",{style:{display:"grid",gridTemplateColumns:"1.1fr 1fr",gap:32},className:"ai-grid"},React.createElement("div",{style:{display:"flex",flexDirection:"column",gap:16}},[{title:"Anomaly Detection",body:"Unsupervised models tuned per asset class. Catch bearing wear, sensor drift, and process upsets weeks before they're audible."},{title:"Soft Sensors",body:"Replace lab assays with virtual sensors. Real-time predictions for composition, density, viscosity \u2014 backed by automated retraining."},{title:"Forecasting",body:"Demand, throughput, and emissions forecasts wired into your scheduler. Confidence intervals included, not hidden."},{title:"Closed-loop optimization",body:"Bayesian and RL controllers tuned offline, deployed with hard guardrails. Auditable, reversible, and explainable."}].map(m=>React.createElement("div",{key:m.title,className:"card",style:{padding:22}},React.createElement("div",{style:{display:"flex",justifyContent:"space-between",alignItems:"baseline"}},React.createElement("h3",null,m.title),React.createElement("span",{className:"chip"},React.createElement("span",{className:"dot--ok",style:{width:6,height:6,borderRadius:"50%"}})," deployed")),React.createElement("p",{style:{margin:"10px 0 0",fontSize:14}},m.body)))),React.createElement("div",{className:"card",style:{padding:28,display:"flex",flexDirection:"column",gap:18}},React.createElement("div",{style:{display:"flex",justifyContent:"space-between",alignItems:"baseline"}},React.createElement("span",{className:"tag"},"MODEL \xB7 LIVE"),React.createElement("span",{className:"live"},React.createElement("span",{className:"dot"})," retraining nightly")),React.createElement("h3",null,"RX-301 yield predictor"),React.createElement("div",{style:{height:180}},React.createElement(AreaChart,{motion,seed:9})),React.createElement("div",{style:{display:"grid",gridTemplateColumns:"1fr 1fr",gap:12,padding:"16px 0",borderTop:"1px solid var(--line)",borderBottom:"1px solid var(--line)"}},React.createElement(Gauge,{value:.91,label:"Accuracy",unit:"%",size:120,motion}),React.createElement(Gauge,{value:.66,label:"Coverage",unit:"%",size:120,motion,color:"var(--accent-2)"})),React.createElement("div",{className:"snippet"},React.createElement("div",null,React.createElement("span",{className:"com"},"# predict next-hour yield, write back to PI")),React.createElement("div",null,React.createElement("span",{className:"kw"},"def")," predict(",React.createElement("span",null,"tags"),"):"),React.createElement("div",null,"\xA0\xA0x = features.",React.createElement("span",{className:"kw"},"load"),"(",React.createElement("span",{className:"str"},'"rx-301"'),")"),React.createElement("div",null,"\xA0\xA0",React.createElement("span",{className:"kw"},"return")," model.predict(x).clip(0, 1)"))))))}function SoftwareSection({motion}){return React.createElement("section",{className:"section",id:"software","data-screen-label":"08 Custom Software"},React.createElement("div",{className:"container"},React.createElement("div",{className:"section-head"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"Custom software"),React.createElement("h2",{style:{marginTop:14}},"The glue layer",React.createElement("br",null),React.createElement("span",{style:{color:"var(--fg-mute)"}},"between systems and people."))),React.createElement("p",{className:"lead"},"Most operational pain isn't in the historian \u2014 it's in the gap between systems. We build the APIs, internal apps and integrations that make your data fabric feel like one product.")),React.createElement("div",{className:"tile-grid"},[{tag:"INTEGRATIONS",title:"API gateways",body:"OPC UA bridges, REST/GraphQL APIs over PI, Canary, TDengine. RBAC, audit logs, SSO out of the box."},{tag:"INTERNAL TOOLS",title:"Operator apps",body:"Tablet-first apps for rounds, log books, deviation handling. Offline-capable, syncs to the historian."},{tag:"REPORTING",title:"Compliance reporting",body:"Regulatory exports (EPA, EU ETS, FDA 21 CFR Part 11) generated from the historian on a schedule."},{tag:"PORTALS",title:"Site & enterprise portals",body:"Multi-site rollups, KPI cascades, and benchmarking dashboards that survive an org chart change."}].map(s=>React.createElement("div",{key:s.title,className:"tile card",style:{gridColumn:"span 6"}},React.createElement("span",{className:"tag"},s.tag),React.createElement("h3",{style:{marginTop:12,marginBottom:10}},s.title),React.createElement("p",{style:{margin:0}},s.body))))))}const PROCESS_STEPS=[{num:"01",title:"Discover",body:"Two-week embed with your ops and IT teams. We map every data source, every owner, every pain.",weeks:[2,2],deliverable:"Data-source register \xB7 stakeholder map \xB7 risk log"},{num:"02",title:"Architect",body:"Reference architecture that fits your existing OT/IT split. Historian choice, asset model, integration patterns.",weeks:[2,4],deliverable:"Architecture doc \xB7 scoring matrix \xB7 pilot plan"},{num:"03",title:"Pilot",body:"One unit, one historian, one set of dashboards. End-to-end, production-grade, in 8\u201312 weeks.",weeks:[8,12],deliverable:"Live pilot \xB7 operator training \xB7 success metrics"},{num:"04",title:"Scale",body:"Templated rollout to remaining units and sites. We hand over with documentation your team can actually maintain.",weeks:null,deliverable:"Rollout playbook \xB7 runbooks \xB7 trained engineers"},{num:"05",title:"Operate",body:"Optional managed-service tier \u2014 we keep the historian healthy, models retrained, and dashboards loved.",weeks:null,deliverable:"SLAs \xB7 on-call \xB7 quarterly business reviews"}];function ProcessSection({motion}){return React.createElement("section",{className:"section",id:"process","data-screen-label":"09 Process"},React.createElement("div",{className:"container"},React.createElement("div",{className:"section-head"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"How we work"),React.createElement("h2",{style:{marginTop:14}},"Five phases.",React.createElement("br",null),React.createElement("span",{style:{color:"var(--fg-mute)"}},"No mystery between them."))),React.createElement("p",{className:"lead"},"Every engagement runs the same playbook. We're explicit about deliverables, hand-offs, and exit ramps \u2014 because operational technology is too important to be a black box.")),React.createElement("div",null,PROCESS_STEPS.map(s=>React.createElement("div",{key:s.num,className:"process-step"},React.createElement("div",{className:"process-num"},s.num),React.createElement("div",null,React.createElement("div",{className:"process-title"},s.title),React.createElement("p",{style:{marginTop:6}},s.body)),React.createElement("div",null,React.createElement("div",{className:"mono",style:{fontSize:11,color:"var(--fg-dim)",letterSpacing:"0.1em",textTransform:"uppercase",marginBottom:6}},"Deliverable"),React.createElement("div",{className:"mono",style:{fontSize:13,color:"var(--fg-mute)",lineHeight:1.6}},s.deliverable)))))))}function ContactSection(){return React.createElement("section",{className:"section",id:"contact","data-screen-label":"11 Contact"},React.createElement("div",{className:"container"},React.createElement("div",{style:{display:"grid",gridTemplateColumns:"1fr 1fr",gap:64},className:"contact-grid"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"Connect with us"),React.createElement("h2",{style:{marginTop:14}},"Tell us about your plant."),React.createElement("p",{className:"lead",style:{marginTop:18}},"Drop us a line about your historian, your team, and what's keeping the control room up at night. Your message lands directly in our inbox at ",React.createElement("span",{className:"mono",style:{color:"var(--accent-2)"}},"info@blueforgeai.com")," \u2014 we reply within two business days with a scoped plan, or honest reasons we're not the right fit."),React.createElement("div",{style:{marginTop:32,display:"flex",flexDirection:"column",gap:12}},React.createElement("div",{className:"mono",style:{fontSize:13,color:"var(--fg-mute)"}},React.createElement("span",{style:{color:"var(--fg-dim)"}},"email\xA0\xA0"),"info@blueforgeai.com"),React.createElement("div",{className:"mono",style:{fontSize:13,color:"var(--fg-mute)"}},React.createElement("span",{style:{color:"var(--fg-dim)"}},"reply\xA0"),"within two business days"),React.createElement("div",{className:"mono",style:{fontSize:13,color:"var(--fg-mute)"}},React.createElement("span",{style:{color:"var(--fg-dim)"}},"scope\xA0"),"pilot to enterprise rollout"))),React.createElement(ContactForm,null))))}const FORM_ENDPOINT="/api/contact";const CF_HANDOFF_KEY="bf.contact.handoff";const CF_HANDOFF_EVENT="bf:contact-handoff";function handOffToContact(prefill){try{sessionStorage.setItem(CF_HANDOFF_KEY,JSON.stringify(prefill))}catch(_){}window.dispatchEvent(new CustomEvent(CF_HANDOFF_EVENT,{detail:prefill}));const el=document.getElementById("contact");if(el)el.scrollIntoView({behavior:"smooth"});history.replaceState(null,"","#contact")}function readContactHandoff(){try{return JSON.parse(sessionStorage.getItem(CF_HANDOFF_KEY)||"null")}catch(_){return null}}function clearContactHandoff(){try{sessionStorage.removeItem(CF_HANDOFF_KEY)}catch(_){}}function applyHandoff(s,h){if(!h)return s;return{...s,historian:CF_HISTORIANS.includes(h.historian)?h.historian:s.historian,scope:[...new Set([...s.scope,...(h.scope||[]).filter(k=>CF_SCOPES.includes(k))])],...Object.fromEntries(Object.entries(h.answers||{}).filter(([k,v])=>CF_QUESTIONS[k]&&CF_QUESTIONS[k].options&&CF_QUESTIONS[k].options.includes(v))),estimate:h.estimate||s.estimate,message:h.message||s.message}}const cfChipStyle=on=>({borderColor:on?"var(--accent)":"var(--line)",color:on?"var(--fg)":"var(--fg-mute)",background:on?"rgba(59,130,246,0.12)":"transparent"});function ContactForm(){const[restored]=useStS2(()=>cfLoadProgress());const[state,setState]=useStS2(()=>applyHandoff(restored?restored.values:CF_INITIAL,readContactHandoff()));const[step,setStep]=useStS2(()=>restored?restored.step:0);const[handoff,setHandoff]=useStS2(()=>readContactHandoff());const[sent,setSent]=useStS2(false);const[sending,setSending]=useStS2(false);const[err,setErr]=useStS2("");const[errors,setErrors]=useStS2({});const[summary,setSummary]=useStS2(null);const formLoadedAt=React.useRef(Date.now());const titleRef=React.useRef(null);const moved=React.useRef(false);const last=CF_STEPS.length-1;React.useEffect(()=>{const on=e=>{setState(s=>applyHandoff(s,e.detail));setHandoff(e.detail)};window.addEventListener(CF_HANDOFF_EVENT,on);return()=>window.removeEventListener(CF_HANDOFF_EVENT,on)},[]);React.useEffect(()=>{const on=e=>setSent(v=>e.detail.rejected?"rejected":v==="queued"?"delivered":v);window.addEventListener(CF_QUEUE_EVENT,on);return()=>window.removeEventListener(CF_QUEUE_EVENT,on)},[]);React.useEffect(()=>{if(!sent)cfSaveProgress(step,state)},[step,state,sent]);React.useEffect(()=>{if(step===last)powPrefetch("contact")},[step]);React.useEffect(()=>{if(moved.current&&titleRef.current)titleRef.current.focus()},[step]);React.useEffect(()=>{if(summary)setErrors(cfValidate(state,cfStepSchema(step,state)))},[state,summary,step]);const set=(key,value)=>setState(s=>({...s,[key]:value}));const toggle=(key,k)=>setState(s=>({...s,[key]:s[key].includes(k)?s[key].filter(x=>x!==k):[...s[key],k]}));const focusField=key=>{const el=document.getElementById(CF_QUESTIONS[key].id);const target=el&&(el.matches("input, select, textarea")?el:el.querySelector("input, button"));if(target)target.focus()};const a11y=key=>errors[key]?{"aria-invalid":true,"aria-describedby":`${CF_QUESTIONS[key].id}-err`}:{};const fieldError=key=>errors[key]&&React.createElement("p",{id:`${CF_QUESTIONS[key].id}-err`,className:"cf-error"},errors[key]);const goTo=n=>{moved.current=true;setErrors({});setSummary(null);setStep(n)};const dropHandoff=()=>{clearContactHandoff();setHandoff(null)};const startOver=()=>{cfClearProgress();setState(CF_INITIAL);goTo(0)};const check=n=>{const invalid=cfValidate(state,cfStepSchema(n,state));const keys=Object.keys(invalid);if(!keys.length)return true;if(n!==step)goTo(n);setErrors(invalid);setSummary(keys);if(n===step)focusField(keys[0]);return false};const submit=async e=>{e.preventDefault();setErr("");if(state.website){setSent("delivered");return}if(step<last){if(check(step))goTo(step+1);return}for(let n=0;n<=last;n++)if(!check(n))return;if(Date.now()-formLoadedAt.current<2e3){setErr("Please take a moment to fill the form, then try again.");return}const payload={...cfPayload(state),elapsedMs:Date.now()-formLoadedAt.current};const done=how=>{clearContactHandoff();cfClearProgress();setSent(how)};setSending(true);let res=null;try{res=await powFetch("contact",FORM_ENDPOINT,{method:"POST",headers:{"Content-Type":"application/json",Accept:"application/json"},body:JSON.stringify(payload)})}catch(_){}setSending(false);if(res&&res.ok){done("delivered");return}if(!res||res.status>=500){try{await cfQueuePut(FORM_ENDPOINT,payload);done("queued")}catch(_){setErr("We couldn't deliver the message. Please email info@blueforgeai.com directly \u2014 we'll reply within two business days.")}return}if(res.status===429){setErr("Too many messages from this connection \u2014 please try again in an hour, or email info@blueforgeai.com directly.");return}if(await powRejected(res)){setErr("We couldn't send that just now \u2014 please try again in a minute, or email info@blueforgeai.com directly.");return}if(res.status!==404&&res.status!==405){setErr("Something in the form didn't go through \u2014 please check your answers and try again.");return}const subject=`New inquiry from ${state.name||"website"}${state.company?" \xB7 "+state.company:""}`;window.location.href=`mailto:info@blueforgeai.com?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(cfEmailBody(state))}`;done("mailto")};const question=key=>{const q=CF_QUESTIONS[key];const label=q.prompt||q.label;const cls=`field${q.full||q.type==="textarea"||q.type==="chips"||q.type==="choice"?" field--full":""}`;if(q.type==="chips"||q.type==="choice"){const group={id:q.id,"aria-labelledby":`${q.id}-lbl`,...a11y(key)};return React.createElement("div",{className:cls,key},React.createElement("span",{id:`${q.id}-lbl`,className:"cf-label"},label),q.type==="chips"?React.createElement("div",{className:"chips",role:"group",...group},q.options.map(k=>React.createElement("button",{type:"button",key:k,className:"chip","aria-pressed":state[key].includes(k),onClick:()=>toggle(key,k),style:cfChipStyle(state[key].includes(k))},state[key].includes(k)?"\u2713 ":"+ ",k))):React.createElement("div",{className:"chips",role:"radiogroup","aria-required":q.required||void 0,...group},q.options.map(k=>React.createElement("label",{key:k,className:"chip cf-choice",style:cfChipStyle(state[key]===k)},React.createElement("input",{type:"radio",className:"sr-only",name:q.id,value:k,checked:state[key]===k,onChange:()=>set(key,k)}),k))),fieldError(key))}return React.createElement("div",{className:cls,key},React.createElement("label",{htmlFor:q.id},label),q.type==="select"?React.createElement("select",{id:q.id,value:state[key],onChange:e=>set(key,e.target.value),...a11y(key)},q.options.map(o=>React.createElement("option",{key:o},o))):q.type==="textarea"?React.createElement("textarea",{id:q.id,value:state[key],onChange:e=>set(key,e.target.value),placeholder:q.placeholder,required:q.required,...a11y(key)}):React.createElement("input",{id:q.id,type:q.type,autoComplete:q.autoComplete,value:state[key],onChange:e=>set(key,e.target.value),required:q.required,...a11y(key)}),fieldError(key),q.workEmail&&cfIsFreeMail(state[key])&&React.createElement("label",{className:"cf-check"},React.createElement("input",{type:"checkbox",checked:state[q.workEmail],onChange:e=>set(q.workEmail,e.target.checked)})," This is the right address \u2014 I don't have a work email"))};if(sent)return React.createElement("div",{className:"card",style:{padding:40,display:"flex",flexDirection:"column",alignItems:"center",justifyContent:"center",gap:14,minHeight:380}},React.createElement("div",{style:{width:56,height:56,borderRadius:"50%",background:sent==="rejected"?"rgba(239,68,68,0.15)":"rgba(16,185,129,0.15)",display:"flex",alignItems:"center",justifyContent:"center"}},sent==="rejected"?React.createElement("svg",{width:"28",height:"28",viewBox:"0 0 24 24"},React.createElement("path",{d:"M12 7 V13 M12 17 V17.5",fill:"none",stroke:"var(--bad)",strokeWidth:"2",strokeLinecap:"round"})):React.createElement("svg",{width:"28",height:"28",viewBox:"0 0 24 24"},React.createElement("path",{d:"M5 12 L10 17 L20 7",fill:"none",stroke:"var(--ok)",strokeWidth:"2",strokeLinecap:"round"}))),React.createElement("h3",null,sent==="delivered"?"Message sent":sent==="queued"?"Message saved \u2014 sending when you're back online":sent==="rejected"?"Your saved message wasn't sent":"Finish in your email client"),React.createElement("p",{style:{textAlign:"center",maxWidth:340}},sent==="delivered"&&React.createElement(React.Fragment,null,"Thanks \u2014 it's with the team. We reply within two business days."),sent==="queued"&&React.createElement(React.Fragment,null,"We couldn't reach our server just now. The message is stored in this browser and will go out automatically once the connection is back. In a hurry? Write to ",React.createElement("span",{className:"mono",style:{color:"var(--accent-2)"}},"info@blueforgeai.com"),"."),sent==="rejected"&&React.createElement(React.Fragment,null,"Our server turned down the message this browser was holding for you, so it has been discarded. Please write to us directly at ",React.createElement("span",{className:"mono",style:{color:"var(--accent-2)"}},"info@blueforgeai.com")," \u2014 we reply within two business days."),sent==="mailto"&&React.createElement(React.Fragment,null,"We opened your email client with the details pre-filled \u2014 the message is only sent once you press send there. If nothing opened, write to us directly at ",React.createElement("span",{className:"mono",style:{color:"var(--accent-2)"}},"info@blueforgeai.com"),".")));const shown=summary?summary.filter(k=>errors[k]):[];return React.createElement("form",{className:"card",onSubmit:submit,style:{padding:28},noValidate:true},React.createElement("div",{"aria-hidden":"true",style:{position:"absolute",left:"-10000px",width:1,height:1,overflow:"hidden"}},React.createElement("label",null,"Website (leave blank)",React.createElement("input",{type:"text",tabIndex:-1,autoComplete:"off",value:state.website,onChange:e=>set("website",e.target.value)}))),handoff&&React.createElement("div",{className:"cf-handoff",role:"status"},React.createElement("span",null,"Pre-filled from your ",handoff.source||"conversation"," \u2014 edit anything before sending."),React.createElement("button",{type:"button",className:"lm-link",onClick:dropHandoff},"Dismiss")),React.createElement("div",{className:"cf-progress"},React.createElement("ol",{className:"cf-steps"},CF_STEPS.map((s,i)=>React.createElement("li",{key:s.title,"aria-current":i===step?"step":void 0,className:i<step?"is-done":i===step?"is-current":""},i<step?React.createElement("button",{type:"button",onClick:()=>goTo(i)},s.title):s.title))),React.createElement("div",{className:"cf-progress__head"},React.createElement("h3",{ref:titleRef,tabIndex:-1},"Step ",step+1," of ",CF_STEPS.length," \xB7 ",CF_STEPS[step].title),step>0&&React.createElement("button",{type:"button",className:"lm-link",onClick:startOver},"Start over"))),state.estimate&&React.createElement("div",{className:"cf-attachment"},React.createElement("span",null,"Pilot plan attached \xB7 Discover \u2192 Scale ",cfWeeks(state.estimate.total)),React.createElement("button",{type:"button",className:"lm-link",onClick:()=>set("estimate",null)},"Remove")),shown.length>0&&React.createElement("div",{className:"cf-summary",role:"alert"},React.createElement("strong",null,"Please check ",shown.length===1?"one field":`${shown.length} fields`,":"),React.createElement("ul",null,shown.map(k=>React.createElement("li",{key:k},React.createElement("a",{href:`#${CF_QUESTIONS[k].id}`,onClick:e=>{e.preventDefault();focusField(k)}},CF_QUESTIONS[k].label)," \u2014 ",errors[k])))),React.createElement("div",{className:"form"},CF_STEPS[step].fields.filter(k=>cfVisible(CF_QUESTIONS[k],state)).map(question),React.createElement("div",{className:"field field--full cf-nav"},step>0&&React.createElement("button",{type:"button",className:"btn",onClick:()=>goTo(step-1)},"\u2190 Back"),React.createElement("button",{type:"submit",disabled:sending,className:"btn btn--primary",style:{flex:1,justifyContent:"center",padding:"16px",opacity:sending?.6:1}},step<last?"Next":sending?"Sending\u2026":"Send message"," ",React.createElement("span",{className:"arrow"},"\u2192"))),err&&React.createElement("p",{role:"alert",className:"field--full",style:{fontSize:13,color:"var(--bad, #ef4444)"}},err)))}function Footer(){return React.createElement("footer",{className:"footer","data-screen-label":"12 Footer"},React.createElement("div",{className:"footer-grid"},React.createElement("div",null,React.createElement("div",{className:"logo",style:{marginBottom:12}},React.createElement("div",{className:"logo-mark"},React.createElement("svg",{viewBox:"0 0 40 40",role:"img","aria-labelledby":"footLogoTitle"},React.createElement("title",{id:"footLogoTitle"},"Blueforge AI"),React.createElement("defs",null,React.createElement("linearGradient",{id:"footG",x1:"0",y1:"0",x2:"1",y2:"1"},React.createElement("stop",{offset:"0%",stopColor:"#3b82f6"}),React.createElement("stop",{offset:"100%",stopColor:"#06b6d4"}))),React.createElement("path",{d:"M 9 6 L 9 34",stroke:"url(#footG)",strokeWidth:"3",strokeLinecap:"round"}),React.createElement("path",{d:"M 9 6 L 21 6 Q 30 6 30 13 Q 30 20 21 20 L 9 20",fill:"none",stroke:"url(#footG)",strokeWidth:"3",strokeLinejoin:"round",strokeLinecap:"round"}),React.createElement("path",{d:"M 9 20 L 22 20 Q 32 20 32 27 Q 32 34 22 34 L 9 34",fill:"none",stroke:"url(#footG)",strokeWidth:"3",strokeLinejoin:"round",strokeLinecap:"round"}),React.createElement("circle",{cx:"33",cy:"7",r:"2.5",fill:"#06b6d4"}))),React.createElement("span",null,"BLUEFORGE",React.createElement("span",{style:{color:"var(--accent-2)",marginLeft:4}},"AI"))),React.createElement("p",{style:{fontSize:12,color:"var(--fg-dim)",maxWidth:360,lineHeight:1.6}},"Industrial data intelligence for plants that take their operations seriously.")),React.createElement("div",null,React.createElement("h3",null,"Services"),React.createElement("ul",null,React.createElement("li",null,React.createElement("a",{href:"#services"},"Plant digitalization")),React.createElement("li",null,React.createElement("a",{href:"#dashboards"},"Grafana")),React.createElement("li",null,React.createElement("a",{href:"#symbols"},"PI Vision")),React.createElement("li",null,React.createElement("a",{href:"#ai"},"AI / ML")),React.createElement("li",null,React.createElement("a",{href:"#software"},"Custom software")))),React.createElement("div",null,React.createElement("h3",null,"Company"),React.createElement("ul",null,React.createElement("li",null,React.createElement("a",{href:"#process"},"Process")),React.createElement("li",null,React.createElement("a",{href:"#cases"},"Case studies")),React.createElement("li",null,React.createElement("a",{href:"#contact"},"Contact")),React.createElement("li",null,React.createElement("a",{href:"#"},"Careers")))),React.createElement("div",null,React.createElement("h3",null,"Contact"),React.createElement("ul",null,React.createElement("li",null,React.createElement("a",{href:"mailto:info@blueforgeai.com"},"info@blueforgeai.com")),React.createElement("li",null,React.createElement("a",{href:"#contact"},"Project inquiry")),React.createElement("li",null,React.createElement("a",{href:"#ask"},"Ask an LLM"))))),React.createElement("div",{style:{maxWidth:"var(--maxw)",margin:"40px auto 0",display:"flex",justifyContent:"space-between",borderTop:"1px solid var(--line)",paddingTop:20,color:"var(--fg-dim)",flexWrap:"wrap",gap:12}},React.createElement("span",null,"\xA9 2026 Blueforge AI \xB7 All rights reserved"),React.createElement("span",{style:{display:"flex",gap:20}},React.createElement("a",{href:"/privacy.html",style:{color:"var(--fg-mute)",textDecoration:"none"}},"Privacy"),React.createElement("a",{href:"mailto:info@blueforgeai.com",style:{color:"var(--fg-mute)",textDecoration:"none"}},"info@blueforgeai.com"))))}Object.assign(window,{SymbolGraphic,SymbolsSection,AISection,SoftwareSection,ProcessSection,ContactSection,Footer,handOffToContact,PROCESS_STEPS});;const{useState:usePE,useMemo:useMemoPE}=React;const PE_DEFAULTS={historian:"AVEVA PI",tags:2e4,sites:1,dashboards:4,models:1,symbols:0,software:false};const PE_FIELDS=[["tags","Tags in scope",500,1e6,500],["sites","Sites",1,50,1],["dashboards","Grafana dashboards",0,40,1],["models","AI / ML models",0,12,1],["symbols","PI Vision symbols",0,30,1]];const peService=tag=>(SERVICES.find(s=>s.tag===tag)||{title:tag}).title;const peClamp=(v,[,,min,max])=>Math.min(max,Math.max(min,Math.round(Number(v)||0)));const peNormalize=i=>PE_FIELDS.reduce((o,f)=>({...o,[f[0]]:peClamp(i[f[0]],f)}),{...i,software:!!i.software});const pePlural=(n,one,many=one+"s")=>`${n.toLocaleString("en-US")} ${n===1?one:many}`;const peSize=tags=>tags<5e3?0:tags<5e4?1:tags<25e4?2:3;const PE_PHASES={Discover:i=>({extra:(i.sites>1?1:0)+(peSize(i.tags)>=2?1:0),items:[`${pePlural(i.sites,"site")} \xB7 ${i.historian==="None yet"?"no historian yet":i.historian}`,`~${pePlural(i.tags,"tag")} to inventory`]}),Architect:i=>({extra:(i.historian==="None yet"?1:0)+(peSize(i.tags)>=2?1:0),items:[i.historian==="None yet"?"Historian selection (PI \xB7 Canary \xB7 TDengine)":`${i.historian} asset model and integration patterns`,i.sites>1?"Multi-site template design":"Single-site reference design"]}),Pilot:i=>{const items=[`${i.historian==="None yet"?"New historian":i.historian} on one unit`];if(i.dashboards)items.push(`${peService("DASHBOARDS")}: ${pePlural(i.dashboards,"dashboard")}`);if(i.models)items.push(`${peService("AI / ML")}: ${pePlural(i.models,"model")}`);if(i.symbols)items.push(`${peService("VISUALIZATION")}: ${pePlural(i.symbols,"symbol")}`);if(i.software)items.push(`${peService("SOFTWARE")}: integration service`);const extra=Math.ceil(Math.max(0,i.dashboards-3)/3)+2*Math.max(0,i.models-1)+Math.ceil(i.symbols/4)+(i.software?3:0)+(i.historian==="None yet"?1:0);return{extra,items}},Scale:i=>{const waves=Math.ceil((i.sites-1)/3);const base=i.sites>1?3*waves:2;return{base:[base+(peSize(i.tags)>=2?2:0),Math.ceil((base+(peSize(i.tags)>=2?2:0))*1.5)],items:[i.sites>1?`${pePlural(i.sites-1,"further site")} in ${pePlural(waves,"wave")}`:"Remaining units on the pilot site",`${peService("DIGITALIZATION")} hand-over`]}},Operate:i=>({items:[[i.models&&"model retraining","historian health",i.dashboards&&"dashboard upkeep"].filter(Boolean).join(" \xB7 ")]})};function peEstimate(inputs,steps=PROCESS_STEPS){const phases=steps.map(s=>{const r=(PE_PHASES[s.title]||(()=>({items:[]})))(inputs);let weeks=r.base||null;if(!weeks&&s.weeks)weeks=[s.weeks[0]+(r.extra||0),s.weeks[1]+Math.ceil((r.extra||0)*1.25)];return{num:s.num,title:s.title,weeks:s.title==="Operate"?null:weeks,deliverable:s.deliverable,items:r.items}});const total=phases.reduce((t,p)=>p.weeks?[t[0]+p.weeks[0],t[1]+p.weeks[1]]:t,[0,0]);return{inputs:{...inputs},phases,total}}const peEscape=s=>String(s).replace(/[&<>"]/g,c=>({"&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;"})[c]);function pePlanHTML(plan){const i=plan.inputs;const rows=plan.phases.map(p=>`<tr><td class="n">${p.num}</td><td><b>${peEscape(p.title)}</b><div class="i">${p.items.map(peEscape).join("<br>")}</div></td><td class="w">${cfWeeks(p.weeks)}</td><td class="d">${peEscape(p.deliverable)}</td></tr>`).join("");return`<!doctype html><html lang="en"><head><meta charset="utf-8"><title>Pilot plan \xB7 Blueforge AI</title><style>
+@page{size:A4;margin:16mm}body{font:12px/1.5 "IBM Plex Sans",system-ui,sans-serif;color:#0b1220;margin:0}
+h1{font-size:20px;margin:0 0 4px}.sub{color:#475569;margin:0 0 16px}.in{display:flex;flex-wrap:wrap;gap:6px 18px;margin:0 0 16px;padding:10px 12px;background:#f1f5f9;border-radius:4px}
+table{width:100%;border-collapse:collapse}th,td{text-align:left;vertical-align:top;padding:8px 6px;border-bottom:1px solid #e2e8f0}th{font:500 10px "IBM Plex Mono",monospace;text-transform:uppercase;letter-spacing:.08em;color:#64748b}
+.n{font-family:"IBM Plex Mono",monospace;color:#64748b;width:28px}.w{white-space:nowrap;font-family:"IBM Plex Mono",monospace}.d{color:#334155;width:34%}.i{color:#475569;font-size:11px;margin-top:2px}
+.tot{margin-top:14px;font-size:14px}.note{margin-top:18px;color:#64748b;font-size:10px}
+</style></head><body>
+<h1>Pilot plan \u2014 ${peEscape(i.historian)}, ${pePlural(i.sites,"site")}</h1>
+<p class="sub">Indicative estimate from blueforgeai.com \xB7 ${new Date().toISOString().slice(0,10)}</p>
+<div class="in"><span>Historian: <b>${peEscape(i.historian)}</b></span><span>Tags: <b>${i.tags.toLocaleString("en-US")}</b></span><span>Sites: <b>${i.sites}</b></span><span>Dashboards: <b>${i.dashboards}</b></span><span>Models: <b>${i.models}</b></span><span>PI Vision symbols: <b>${i.symbols}</b></span><span>Custom software: <b>${i.software?"yes":"no"}</b></span></div>
+<table><thead><tr><th></th><th>Phase</th><th>Duration</th><th>Deliverable</th></tr></thead><tbody>${rows}</tbody></table>
+<p class="tot">Discover \u2192 Scale: <b>${cfWeeks(plan.total)}</b></p>
+<p class="note">Rules of thumb, not a quote. We confirm scope, team and price after a discovery call \u2014 info@blueforgeai.com.</p>
+</body></html>`}function pePrint(plan){const w=window.open("","_blank");if(!w)return false;w.document.write(pePlanHTML(plan));w.document.close();w.focus();w.print();return true}function peHandoff(plan){const i=plan.inputs;const scope=[i.sites>1&&"Digitalization",i.dashboards>0&&"Dashboards",i.symbols>0&&"PI Vision symbols",i.models>0&&"AI / ML",i.software&&"Custom software"].filter(Boolean);const tagCount=CF_QUESTIONS.tagCount.options[peSize(i.tags)+1];const sites=i.sites===1?"1":i.sites<=5?"2 \u2013 5":i.sites<=20?"6 \u2013 20":"More than 20";return{source:"pilot estimate",historian:i.historian,scope,answers:{tagCount,sites},estimate:plan}}function PilotEstimatorSection(){const[inputs,setInputs]=usePE(PE_DEFAULTS);const[printBlocked,setPrintBlocked]=usePE(false);const plan=useMemoPE(()=>peEstimate(peNormalize(inputs)),[inputs]);const set=(key,value)=>setInputs(s=>({...s,[key]:value}));const span=Math.max(1,plan.total[1]);let at=0;return React.createElement("section",{className:"section",id:"estimate","data-screen-label":"09b Pilot Estimator"},React.createElement("div",{className:"container"},React.createElement("div",{className:"section-head"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"Size your pilot"),React.createElement("h2",{style:{marginTop:14}},"Your plant, our playbook.",React.createElement("br",null),React.createElement("span",{style:{color:"var(--fg-mute)"}},"A rough plan in thirty seconds."))),React.createElement("p",{className:"lead"},"Tell us roughly what you run and what you want built. We'll stretch the five phases above to fit \u2014 then you can print the plan or attach it to your inquiry so the first call starts from real numbers.")),React.createElement("div",{className:"pe-wrap card"},React.createElement("div",{className:"pe-inputs form"},React.createElement("div",{className:"field field--full"},React.createElement("label",{htmlFor:"pe-historian"},"Historian"),React.createElement("select",{id:"pe-historian",value:inputs.historian,onChange:e=>set("historian",e.target.value)},CF_HISTORIANS.map(h=>React.createElement("option",{key:h},h)))),PE_FIELDS.map(f=>React.createElement("div",{className:"field",key:f[0]},React.createElement("label",{htmlFor:`pe-${f[0]}`},f[1]),React.createElement("input",{id:`pe-${f[0]}`,type:"number",inputMode:"numeric",min:f[2],max:f[3],step:f[4],value:inputs[f[0]],onChange:e=>set(f[0],e.target.value===""?"":Number(e.target.value)),onBlur:e=>set(f[0],peClamp(e.target.value,f))}))),React.createElement("div",{className:"field field--full"},React.createElement("label",{className:"cf-check"},React.createElement("input",{type:"checkbox",checked:inputs.software,onChange:e=>set("software",e.target.checked)})," Needs custom integration software (APIs, MES/ERP links)"))),React.createElement("div",{className:"pe-plan","aria-live":"polite"},React.createElement("div",{className:"pe-total"},React.createElement("span",{className:"tag"},"Discover \u2192 Scale"),React.createElement("span",{className:"mono pe-total__val"},cfWeeks(plan.total))),React.createElement("div",{className:"pe-bar","aria-hidden":"true"},plan.phases.filter(p=>p.weeks).map(p=>{const left=at/span*100;at+=p.weeks[0];return React.createElement("div",{key:p.num,className:"pe-bar__seg",style:{left:`${left}%`,width:`${p.weeks[0]/span*100}%`},title:`${p.title}: ${cfWeeks(p.weeks)}`},React.createElement("span",null,p.title))})),React.createElement("ol",{className:"pe-phases"},plan.phases.map(p=>React.createElement("li",{key:p.num},React.createElement("div",{className:"pe-phase__head"},React.createElement("span",{className:"process-num",style:{fontSize:12}},p.num),React.createElement("strong",null,p.title),React.createElement("span",{className:"mono"},cfWeeks(p.weeks))),React.createElement("div",{className:"pe-phase__items"},p.items.join(" \xB7 ")),React.createElement("div",{className:"pe-phase__deliv mono"},p.deliverable)))),React.createElement("div",{className:"pe-actions"},React.createElement("button",{type:"button",className:"btn",onClick:()=>setPrintBlocked(!pePrint(plan))},"Print one-page plan"),React.createElement("button",{type:"button",className:"btn btn--primary",onClick:()=>handOffToContact(peHandoff(plan))},"Attach to my inquiry ",React.createElement("span",{className:"arrow"},"\u2192"))),printBlocked&&React.createElement("p",{role:"alert",className:"cf-error",style:{marginTop:10}},"Your browser blocked the print window \u2014 allow pop-ups for this site and try again."),React.createElement("p",{className:"pe-note"},"Rules of thumb, not a quote. Sites roll out in waves of three after the pilot; Operate is an optional ongoing tier.")))))}Object.assign(window,{PilotEstimatorSection,peEstimate,pePlanHTML});;const PG_CATEGORIES=["Vessels","Rotating equipment","Flow & transfer","Instruments","Displays"];const PG_LOOKS={glow:{name:"Glow",fills:["#3b82f6","#06b6d4","#a78bfa"],quiet:false,canvas:"var(--bg)",body:"rgba(10,22,40,0.9)",line:"rgba(226,232,240,0.4)",text:"var(--fg)",mute:"var(--fg-mute)",dim:"var(--fg-dim)",empty:"rgba(255,255,255,0.06)"},hpm:{name:"ISA-101",fills:["#5b6470"],quiet:true,canvas:"#c9cbcf",body:"#d9dbde",line:"#6e747c",text:"#1f2329",mute:"#3a4048",dim:"#4f5660",empty:"rgba(0,0,0,0.08)"}};const PG_SYMBOLS=new Map;function pgRegisterSymbol(def){if(!def||typeof def.kind!=="string"||!def.kind)throw new Error("Symbol definitions need a kind.");if(!PG_CATEGORIES.includes(def.category))throw new Error(`${def.kind}: unknown category "${def.category}".`);if(typeof def.render!=="function")throw new Error(`${def.kind}: render must be a function.`);if(!Array.isArray(def.size)||!def.signal)throw new Error(`${def.kind}: size and signal are required.`);PG_SYMBOLS.set(def.kind,{ports:["w","e","n","s"],props:[],keywords:[],grafana:"stat",...def})}const pgSymbol=kind=>PG_SYMBOLS.get(kind);const pgSymbolList=()=>[...PG_SYMBOLS.values()];function pgSymbolGroups(query=""){const words=query.toLowerCase().split(/\s+/).filter(Boolean);const hit=s=>{const text=[s.kind,s.name,s.category,...s.keywords].join(" ").toLowerCase();return words.every(w=>text.includes(w))};return PG_CATEGORIES.map(category=>({category,symbols:pgSymbolList().filter(s=>s.category===category&&hit(s))})).filter(g=>g.symbols.length)}Object.assign(window,{PG_CATEGORIES,PG_LOOKS,pgRegisterSymbol,pgSymbol,pgSymbolList,pgSymbolGroups});;const pgRunning={key:"running",label:"Running",type:"toggle",default:true};pgRegisterSymbol({kind:"vessel",name:"Vessel",category:"Vessels",keywords:["tank","level"],size:[118,156],grafana:"gauge",signal:{label:"Level",units:"%",min:0,max:100,waveform:"sine",period:40},props:[{key:"capacity",label:"Capacity",type:"number",units:"L",min:100,max:1e5,default:5e3}],render:({c,t,reading,props})=>{const level=reading?reading.frac:.4+.3*((Math.sin(t*.5)+1)/2);return React.createElement("svg",{width:"100",height:"120",viewBox:"0 0 100 120"},React.createElement("rect",{x:"20",y:"10",width:"60",height:"100",rx:"4",fill:c.body,stroke:c.line}),React.createElement("rect",{x:"22",y:12+(1-level)*96,width:"56",height:level*96,fill:c.fill,fillOpacity:"0.3"}),React.createElement("rect",{x:"22",y:12+(1-level)*96,width:"56",height:"2",fill:c.fill}),React.createElement("text",{x:"50",y:"65",textAnchor:"middle",fontFamily:"var(--font-mono)",fontSize:"13",fill:c.text},reading?reading.text:`${(level*100).toFixed(0)}%`),React.createElement("text",{x:"50",y:"80",textAnchor:"middle",fontFamily:"var(--font-mono)",fontSize:"8",fill:c.dim,letterSpacing:"1"},props.capacity?`${Math.round(level*props.capacity).toLocaleString("en-US")} L`:"TK-101"))}});pgRegisterSymbol({kind:"column",name:"Column",category:"Vessels",keywords:["distillation","tower","trays"],size:[98,196],grafana:"gauge",signal:{label:"Top temp",units:"\xB0C",min:40,max:120,waveform:"sine",period:70},props:[{key:"trays",label:"Trays",type:"number",min:4,max:20,default:8}],render:({c,reading,props})=>{const trays=Math.round(props.trays||8);const frac=reading?reading.frac:.6;return React.createElement("svg",{width:"80",height:"160",viewBox:"0 0 80 160"},React.createElement("rect",{x:"20",y:"6",width:"40",height:"132",rx:"18",fill:c.body,stroke:c.line}),[...Array(trays)].map((_,k)=>{const y=26+k*92/(trays-1);return React.createElement("line",{key:k,x1:k%2?28:22,x2:k%2?58:52,y1:y,y2:y,stroke:c.line,strokeWidth:"1.5"})}),React.createElement("rect",{x:"66",y:"12",width:"4",height:"120",fill:c.empty}),React.createElement("rect",{x:"66",y:12+(1-frac)*120,width:"4",height:frac*120,fill:c.fill}),React.createElement("text",{x:"40",y:"154",textAnchor:"middle",fontFamily:"var(--font-mono)",fontSize:"9",fill:c.mute},reading?reading.text:"TOP 78\xB0C"))}});pgRegisterSymbol({kind:"pump",name:"Pump",category:"Rotating equipment",keywords:["centrifugal"],size:[128,136],signal:{label:"Speed",units:"rpm",min:0,max:2e3,waveform:"noise",period:30},props:[pgRunning],render:({c,blink,reading,props,still,motion})=>{const stopped=props.running===false;const ink=stopped?c.dim:c.fill;return React.createElement("svg",{width:"110",height:"100",viewBox:"0 0 110 100"},React.createElement("circle",{cx:"55",cy:"50",r:"32",fill:c.body,stroke:c.line}),React.createElement("g",{transform:"translate(55 50)"},React.createElement("g",{style:still||stopped?void 0:{transformOrigin:"0 0",animation:`spin ${2/motion}s linear infinite`}},React.createElement("path",{d:"M -22 0 L 22 0 M 0 -22 L 0 22",stroke:ink,strokeWidth:"3",strokeLinecap:"round"}),React.createElement("circle",{r:"6",fill:ink}))),React.createElement("text",{x:"55",y:"92",textAnchor:"middle",fontFamily:"var(--font-mono)",fontSize:"9",fill:c.fill,letterSpacing:"1"},stopped?"STOP":React.createElement(React.Fragment,null,"RUN \xB7 ",reading?reading.text:`${Math.round(1750+blink*20)}rpm`)),!still&&React.createElement("style",null,`@keyframes spin { to { transform: rotate(360deg); } }`))}});pgRegisterSymbol({kind:"compressor",name:"Compressor",category:"Rotating equipment",keywords:["blower","gas"],size:[138,136],signal:{label:"Discharge",units:"bar",min:0,max:16,waveform:"sine",period:45},props:[pgRunning],render:({c,reading,props})=>{const stopped=props.running===false;return React.createElement("svg",{width:"120",height:"100",viewBox:"0 0 120 100"},React.createElement("circle",{cx:"60",cy:"46",r:"32",fill:c.body,stroke:c.line}),React.createElement("path",{d:"M 36 24 L 84 36 M 36 68 L 84 56",stroke:stopped?c.dim:c.fill,strokeWidth:"2.5",strokeLinecap:"round"}),React.createElement("text",{x:"60",y:"92",textAnchor:"middle",fontFamily:"var(--font-mono)",fontSize:"9",fill:c.fill,letterSpacing:"1"},stopped?"STOP":reading?reading.text:"6.2 bar"))}});pgRegisterSymbol({kind:"motor",name:"Motor",category:"Rotating equipment",keywords:["drive","vibration"],size:[138,136],signal:{label:"Current",units:"A",min:0,max:60,waveform:"noise",period:20},props:[pgRunning],render:({c,t,i,reading,props})=>{const stopped=props.running===false;return React.createElement("svg",{width:"120",height:"100",viewBox:"0 0 120 100"},React.createElement("rect",{x:"14",y:"30",width:"60",height:"40",rx:"3",fill:c.body,stroke:c.line}),React.createElement("line",{x1:"74",y1:"50",x2:"100",y2:"50",stroke:c.line,strokeWidth:"3"}),React.createElement("circle",{cx:"106",cy:"50",r:"6",fill:c.body,stroke:c.line}),React.createElement("text",{x:"44",y:"55",textAnchor:"middle",fontFamily:"var(--font-mono)",fontSize:"11",fill:stopped?c.dim:c.fill,letterSpacing:"2"},"M"),React.createElement("g",{transform:"translate(14 78)"},[...Array(12)].map((_,k)=>{const h=stopped?2:4+Math.abs(Math.sin(t*2+k*.5+i))*14*(reading?.3+reading.frac:1);return React.createElement("rect",{key:k,x:k*5,y:-h,width:"3",height:h,fill:c.fill,opacity:"0.7"})})))}});pgRegisterSymbol({kind:"agitator",name:"Agitator",category:"Rotating equipment",keywords:["mixer","reactor","stirred"],size:[118,156],signal:{label:"Speed",units:"rpm",min:0,max:300,waveform:"noise",period:35},props:[pgRunning],render:({c,t,reading,props})=>{const stopped=props.running===false;const turn=stopped?1:Math.cos(t*5*(reading?.3+reading.frac:1));return React.createElement("svg",{width:"100",height:"120",viewBox:"0 0 100 120"},React.createElement("rect",{x:"36",y:"2",width:"28",height:"14",rx:"2",fill:c.body,stroke:c.line}),React.createElement("text",{x:"50",y:"12",textAnchor:"middle",fontFamily:"var(--font-mono)",fontSize:"8",fill:stopped?c.dim:c.fill},"M"),React.createElement("rect",{x:"15",y:"22",width:"70",height:"76",rx:"6",fill:c.body,stroke:c.line}),React.createElement("line",{x1:"50",y1:"16",x2:"50",y2:"80",stroke:c.line,strokeWidth:"2"}),React.createElement("g",{transform:`translate(50 80) scale(${turn.toFixed(3)} 1)`},React.createElement("path",{d:"M -20 0 L 20 0",stroke:stopped?c.dim:c.fill,strokeWidth:"3",strokeLinecap:"round"}),React.createElement("rect",{x:"-22",y:"-5",width:"6",height:"10",fill:stopped?c.dim:c.fill}),React.createElement("rect",{x:"16",y:"-5",width:"6",height:"10",fill:stopped?c.dim:c.fill})),React.createElement("text",{x:"50",y:"114",textAnchor:"middle",fontFamily:"var(--font-mono)",fontSize:"9",fill:c.fill,letterSpacing:"1"},stopped?"STOP":reading?reading.text:"120 rpm"))}});;pgRegisterSymbol({kind:"valve",name:"Valve",category:"Flow & transfer",keywords:["control","position"],size:[138,116],ports:["w","e"],portY:67,grafana:"gauge",signal:{label:"Position",units:"%",min:0,max:100,waveform:"ramp",period:60},props:[{key:"state",label:"State",type:"choice",options:["open","closed"],default:"open"}],render:({c,reading,props})=>{const closed=props.state==="closed";return React.createElement("svg",{width:"120",height:"80",viewBox:"0 0 120 80"},React.createElement("line",{x1:"0",y1:"40",x2:"40",y2:"40",stroke:c.fill,strokeWidth:"3"}),React.createElement("line",{x1:"80",y1:"40",x2:"120",y2:"40",stroke:c.fill,strokeWidth:"3"}),React.createElement("path",{d:"M 40 25 L 80 55 L 80 25 L 40 55 Z",fill:closed?c.fill:c.body,stroke:c.fill,strokeWidth:"1.5"}),React.createElement("line",{x1:"60",y1:"20",x2:"60",y2:"5",stroke:c.line,strokeWidth:"2"}),React.createElement("circle",{cx:"60",cy:"5",r:"3",fill:c.fill}),React.createElement("text",{x:"60",y:"76",textAnchor:"middle",fontFamily:"var(--font-mono)",fontSize:"9",fill:c.mute},closed?"CLOSED":React.createElement(React.Fragment,null,"OPEN \xB7 ",reading?reading.text:"78%")))}});pgRegisterSymbol({kind:"hx",name:"Heat Exch.",category:"Flow & transfer",keywords:["heat exchanger","temperature"],size:[138,116],portY:67,signal:{label:"Outlet",units:"\xB0C",min:20,max:140,waveform:"sine",period:50},render:({c,reading})=>React.createElement("svg",{width:"120",height:"80",viewBox:"0 0 120 80"},React.createElement("rect",{x:"10",y:"20",width:"100",height:"40",rx:"3",fill:c.body,stroke:c.line}),React.createElement("path",{d:"M 15 30 Q 30 30 30 40 Q 30 50 45 50 Q 60 50 60 40 Q 60 30 75 30 Q 90 30 90 40 Q 90 50 105 50",fill:"none",stroke:c.fill,strokeWidth:"1.5"}),React.createElement("text",{x:"60",y:"74",textAnchor:"middle",fontFamily:"var(--font-mono)",fontSize:"9",fill:c.mute},reading?reading.text:"\u0394T 42\xB0C"))});pgRegisterSymbol({kind:"conveyor",name:"Conveyor",category:"Flow & transfer",keywords:["belt","solids"],size:[158,106],ports:["w","e"],portY:62,signal:{label:"Speed",units:"m/s",min:0,max:2,waveform:"sine",period:40},props:[{key:"running",label:"Running",type:"toggle",default:true},{key:"direction",label:"Direction",type:"choice",options:["forward","reverse"],default:"forward"}],render:({c,t,reading,props})=>{const stopped=props.running===false;const dir=props.direction==="reverse"?1:-1;const travel=stopped?0:t*20*(reading?.3+reading.frac:1)%12*dir;return React.createElement("svg",{width:"140",height:"70",viewBox:"0 0 140 70"},React.createElement("rect",{x:"10",y:"26",width:"120",height:"18",rx:"9",fill:c.body,stroke:c.line}),React.createElement("circle",{cx:"19",cy:"35",r:"6",fill:"none",stroke:c.line}),React.createElement("circle",{cx:"121",cy:"35",r:"6",fill:"none",stroke:c.line}),React.createElement("line",{x1:"19",y1:"26",x2:"121",y2:"26",stroke:stopped?c.dim:c.fill,strokeWidth:"2",strokeDasharray:"6 6",strokeDashoffset:travel.toFixed(2)}),React.createElement("text",{x:"70",y:"62",textAnchor:"middle",fontFamily:"var(--font-mono)",fontSize:"9",fill:c.mute},stopped?"STOP":`${dir<0?"\u2192":"\u2190"} ${reading?reading.text:"1.2 m/s"}`))}});pgRegisterSymbol({kind:"instrument",name:"Instrument",category:"Instruments",keywords:["bubble","transmitter","isa","indicator"],size:[98,116],signal:{label:"Flow",units:"m\xB3/h",min:0,max:50,waveform:"noise",period:25},props:[{key:"letters",label:"Function",type:"text",maxLength:4,default:"FT"},{key:"location",label:"Location",type:"choice",options:["field","panel","dcs"],default:"dcs"}],render:({c,reading,props})=>React.createElement("svg",{width:"80",height:"80",viewBox:"0 0 80 80"},props.location==="dcs"&&React.createElement("rect",{x:"12",y:"12",width:"56",height:"56",fill:"none",stroke:c.line}),React.createElement("circle",{cx:"40",cy:"40",r:"26",fill:c.body,stroke:c.fill,strokeWidth:"1.5"}),props.location!=="field"&&React.createElement("line",{x1:"14",y1:"40",x2:"66",y2:"40",stroke:c.line}),React.createElement("text",{x:"40",y:"35",textAnchor:"middle",fontFamily:"var(--font-mono)",fontSize:"12",fill:c.text,letterSpacing:"1"},props.letters||"FT"),React.createElement("text",{x:"40",y:"53",textAnchor:"middle",fontFamily:"var(--font-mono)",fontSize:"8",fill:c.mute},reading?reading.text:"310"))});;pgRegisterSymbol({kind:"trend",name:"Trend",category:"Displays",keywords:["sparkline","chart"],size:[148,116],grafana:"timeseries",signal:{label:"Flow",units:"m\xB3/h",min:0,max:20,waveform:"noise",period:25},props:[{key:"range",label:"Time range",type:"choice",options:["10m","1h","8h","24h"],default:"1h"}],render:({c,i,props,still,motion})=>React.createElement("div",{style:{width:130,height:80,position:"relative"}},React.createElement(Sparkline,{width:130,height:70,color:c.fill,seed:i+11,motion,still}),props.range&&React.createElement("span",{style:{position:"absolute",right:0,bottom:0,fontFamily:"var(--font-mono)",fontSize:8,color:c.dim,letterSpacing:"0.1em"}},props.range.toUpperCase()))});pgRegisterSymbol({kind:"alarm",name:"Alarm",category:"Displays",keywords:["annunciator","priority"],size:[138,136],grafana:"alertlist",signal:{label:"Vibration",units:"mm/s",min:0,max:12,waveform:"square",period:30},props:[{key:"priority",label:"Priority",type:"choice",options:["low","medium","high","urgent"],default:"high"}],render:({c,blink,reading,props})=>React.createElement("svg",{width:"120",height:"100",viewBox:"0 0 120 100"},React.createElement("rect",{x:"10",y:"15",width:"100",height:"60",rx:"3",fill:c.body,stroke:c.fill,strokeOpacity:.4+blink*.5}),React.createElement("circle",{cx:"22",cy:"32",r:"4",fill:c.fill,opacity:.3+blink*.7}),React.createElement("text",{x:"34",y:"35",fontFamily:"var(--font-mono)",fontSize:"9",fill:c.text},reading?`${reading.text} ${reading.state||"OK"}`:"VIB-07 HIGH"),React.createElement("text",{x:"22",y:"52",fontFamily:"var(--font-mono)",fontSize:"8",fill:c.dim},props.priority?`${props.priority.toUpperCase()} PRIORITY`:"P-204 \xB7 2m"),React.createElement("text",{x:"22",y:"65",fontFamily:"var(--font-mono)",fontSize:"8",fill:c.mute},"ACK \xB7 SNOOZE"))});pgRegisterSymbol({kind:"batch",name:"Batch",category:"Displays",keywords:["phase","recipe","isa-88"],size:[158,116],signal:{label:"Progress",units:"%",min:0,max:100,waveform:"ramp",period:90},props:[{key:"phases",label:"Phases",type:"list",maxItems:8,maxLength:10,default:["CHARGE","HEAT","REACT","COOL","DROP"]}],render:({c,reading,props})=>{const phases=props.phases||["CHARGE","HEAT","REACT","COOL","DROP"];const cur=reading?Math.min(phases.length-1,Math.floor(reading.frac*phases.length)):2;const step=140/phases.length;return React.createElement("svg",{width:"140",height:"80",viewBox:"0 0 140 80"},phases.map((name,k)=>React.createElement("g",{key:k,transform:`translate(${k*step}, 20)`},React.createElement("rect",{width:step-4,height:"20",rx:"2",fill:k<=cur?c.fill:c.empty,fillOpacity:k===cur?.9:k<cur?.5:1,stroke:c.line,strokeOpacity:"0.3"}),React.createElement("text",{x:(step-4)/2,y:"13",textAnchor:"middle",fontFamily:"var(--font-mono)",fontSize:"6",fill:k<=cur?"#fff":c.dim},name))),React.createElement("text",{x:"70",y:"62",textAnchor:"middle",fontFamily:"var(--font-mono)",fontSize:"9",fill:c.fill},"BATCH B-2206 \xB7 ",phases[cur]))}});;const{useState:usePT,useEffect:useEffPT}=React;const PG_WAVEFORMS=["sine","ramp","square","noise","constant"];const PG_LIMITS=["lolo","lo","hi","hihi"];const PG_UNITS_MAX=12;const PG_STATE_COLOR={HIHI:"var(--bad)",HI:"var(--warn)",LO:"var(--warn)",LOLO:"var(--bad)"};function pgDefaultTag(kind){const{units,min,max,waveform,period}=pgSymbol(kind).signal;const at=f=>Math.round((min+(max-min)*f)*100)/100;return{waveform,period,units,min,max,limits:{lolo:at(.1),lo:at(.2),hi:at(.8),hihi:at(.9)}}}function pgTagConfig(tags,item,items=[item]){if(tags&&Object.hasOwn(tags,item.tag))return tags[item.tag];const first=items.find(it=>it.tag===item.tag)||item;return pgDefaultTag(first.kind)}function pgTagSeed(name){let h=2166136261;for(let i=0;i<name.length;i++)h=Math.imul(h^name.charCodeAt(i),16777619);return(h>>>0)%1e4/1e4}function pgTagValue(cfg,name,t){const seed=pgTagSeed(name);const ph=t/cfg.period+seed;const frac=ph-Math.floor(ph);const wave={sine:Math.sin(ph*2*Math.PI),ramp:frac*2-1,square:frac<.5?-1:1,noise:.6*Math.sin(ph*2*Math.PI)+.3*Math.sin(ph*5.3*Math.PI+seed*7)+.1*Math.sin(ph*17.1*Math.PI+seed*13),constant:0}[cfg.waveform]||0;return(cfg.min+cfg.max)/2+wave*(cfg.max-cfg.min)*.45}function pgAlarmState(cfg,v){const l=cfg.limits||{};if(l.hihi!=null&&v>=l.hihi)return"HIHI";if(l.lolo!=null&&v<=l.lolo)return"LOLO";if(l.hi!=null&&v>=l.hi)return"HI";if(l.lo!=null&&v<=l.lo)return"LO";return null}const pgFormatValue=(v,cfg)=>{const span=cfg.max-cfg.min;return v.toFixed(span>=1e3?0:span>=10?1:2)};function pgReading(tags,item,t,items){const cfg=pgTagConfig(tags,item,items);const value=pgTagValue(cfg,item.tag,t);const state=pgAlarmState(cfg,value);return{value,frac:Math.max(0,Math.min(1,(value-cfg.min)/(cfg.max-cfg.min))),text:`${pgFormatValue(value,cfg)} ${cfg.units}`.trim(),state,color:state?PG_STATE_COLOR[state]:null}}function pgTagProblem(cfg){if(!cfg||typeof cfg!=="object")return"must be an object.";if(!PG_WAVEFORMS.includes(cfg.waveform))return`waveform must be one of ${PG_WAVEFORMS.join(", ")}.`;if(typeof cfg.period!=="number"||!(cfg.period>=1&&cfg.period<=3600))return"period must be between 1 and 3600 seconds.";if(typeof cfg.units!=="string"||cfg.units.length>PG_UNITS_MAX)return`units must be text of at most ${PG_UNITS_MAX} characters.`;if(!Number.isFinite(cfg.min)||!Number.isFinite(cfg.max))return"range min and max must be numbers.";if(cfg.min>=cfg.max)return"range min must be below max.";const l=cfg.limits;if(!l||typeof l!=="object")return"limits must be an object.";let prev=-Infinity;for(const k of PG_LIMITS){if(l[k]==null)continue;if(!Number.isFinite(l[k]))return`${k.toUpperCase()} must be a number or empty.`;if(l[k]<cfg.min||l[k]>cfg.max)return`${k.toUpperCase()} must be inside the range ${cfg.min}\u2013${cfg.max}.`;if(l[k]<prev)return"limits must be in order LOLO \u2264 LO \u2264 HI \u2264 HIHI.";prev=l[k]}return""}function usePgClock(motion=1){const[t,setT]=usePT(()=>performance.now()/1e3*motion);useEffPT(()=>{const id=setInterval(()=>setT(performance.now()/1e3*motion),1e3);return()=>clearInterval(id)},[motion]);return t}Object.assign(window,{PG_WAVEFORMS,PG_LIMITS,pgDefaultTag,pgTagConfig,pgTagValue,pgAlarmState,pgReading,pgTagProblem,usePgClock});;const{useState:usePP,useEffect:useEffPP}=React;const PG_SHAPE=[{key:"size",label:"Size",type:"number",units:"%",min:50,max:250,default:100},{key:"rot",label:"Rotation",type:"number",units:"\xB0",min:0,max:359,default:0}];const pgSchema=kind=>(pgSymbol(kind)||{props:[]}).props;const pgPropDefaults=kind=>Object.fromEntries(pgSchema(kind).map(f=>[f.key,f.default]));const pgItemProps=item=>({...pgPropDefaults(item.kind),...item.props});function pgPropProblem(field,v){switch(field.type){case"number":if(!Number.isFinite(v))return`${field.label} must be a number.`;return v<field.min||v>field.max?`${field.label} must be between ${field.min} and ${field.max}.`:"";case"toggle":return typeof v==="boolean"?"":`${field.label} must be true or false.`;case"choice":return field.options.includes(v)?"":`${field.label} must be one of ${field.options.join(", ")}.`;case"list":if(!Array.isArray(v)||!v.length||v.length>field.maxItems)return`${field.label} needs 1\u2013${field.maxItems} entries.`;return v.every(s=>typeof s==="string"&&s.length>0&&s.length<=field.maxLength)?"":`${field.label} entries must be 1\u2013${field.maxLength} characters.`;case"text":return typeof v==="string"&&v.length>0&&v.length<=field.maxLength?"":`${field.label} must be 1\u2013${field.maxLength} characters.`;default:return""}}function pgPropsProblem(kind,props){if(!props||typeof props!=="object"||Array.isArray(props))return'"props" must be an object.';const schema=pgSchema(kind);for(const key of Object.keys(props)){const field=schema.find(f=>f.key===key);if(!field)return`${kind} has no "${key.slice(0,20)}" property.`;const problem=pgPropProblem(field,props[key]);if(problem)return problem}return""}const pgFieldText=(field,v)=>field.type==="list"?v.join(", "):String(v);function pgFieldValue(field,text){if(field.type==="number")return text.trim()===""?NaN:Number(text);if(field.type==="list")return text.split(",").map(s=>s.trim().toUpperCase()).filter(Boolean);if(field.type==="text")return text.trim().toUpperCase();return text}function PgSchemaForm({schema,values,onChange}){const typed=schema.filter(f=>["number","list","text"].includes(f.type));const toDraft=()=>Object.fromEntries(typed.map(f=>[f.key,pgFieldText(f,values[f.key])]));const[draft,setDraft]=usePP(toDraft);const valuesKey=JSON.stringify(values);useEffPP(()=>{if(typed.some(f=>JSON.stringify(pgFieldValue(f,draft[f.key]))!==JSON.stringify(values[f.key])))setDraft(toDraft())},[valuesKey]);const problem=typed.map(f=>pgPropProblem(f,pgFieldValue(f,draft[f.key]))).find(Boolean);const set=(field,v)=>{if(!pgPropProblem(field,v))onChange({...values,[field.key]:v})};const type=(field,text)=>{setDraft({...draft,[field.key]:text});set(field,pgFieldValue(field,text))};return React.createElement(React.Fragment,null,React.createElement("div",{className:"pg-inspect__grid"},schema.map(f=>{const id=`pg-prop-${f.key}`;return React.createElement("div",{key:f.key,className:"pg-inspect__field"+(f.type==="list"?" pg-inspect__field--wide":"")},React.createElement("label",{htmlFor:id},f.label,f.units?` ${f.units}`:""),f.type==="toggle"?React.createElement("input",{id,type:"checkbox",checked:values[f.key],onChange:e=>set(f,e.target.checked)}):f.type==="choice"?React.createElement("select",{id,value:values[f.key],onChange:e=>set(f,e.target.value)},f.options.map(o=>React.createElement("option",{key:o,value:o},o))):React.createElement("input",{id,value:draft[f.key],inputMode:f.type==="number"?"decimal":"text",maxLength:f.type==="text"?f.maxLength:void 0,onChange:e=>type(f,e.target.value)}))})),problem&&React.createElement("div",{className:"pg-note pg-note--bad",role:"alert"},problem))}Object.assign(window,{PG_SHAPE,pgPropDefaults,pgItemProps,pgPropProblem,pgPropsProblem,PgSchemaForm});;const PG_DOC_FORMAT="bf-mimic";const PG_DOC_VERSION=3;const PG_DOC_MAX_ITEMS=200;const PG_DOC_MAX_TAG=40;const PG_AUTOSAVE_KEY="bf.playground.mimic";const PG_SHARE_PARAM="mimic";function pgSerialize({items,connectors,tags={}}){const outTags=Object.create(null);Object.keys(tags).sort().forEach(name=>{const{waveform,period,units,min,max,limits}=tags[name];outTags[name]={waveform,period,units,min,max,limits:{lolo:limits.lolo,lo:limits.lo,hi:limits.hi,hihi:limits.hihi}}});return{format:PG_DOC_FORMAT,version:PG_DOC_VERSION,items:items.map(({id,kind,x,y,tag,scale,rot,props})=>{const out={id,kind,x:Math.round(x),y:Math.round(y),tag};if(scale&&scale!==1)out.scale=scale;if(rot)out.rot=rot;if(props&&Object.keys(props).length)out.props=Object.fromEntries(Object.keys(props).sort().map(k=>[k,props[k]]));return out}),connectors:connectors.map(({id,from,to})=>({id,from:{item:from.item,port:from.port},to:{item:to.item,port:to.port}})),tags:outTags}}const pgIsId=v=>Number.isInteger(v)&&v>0;const pgIsCoord=v=>typeof v==="number"&&Number.isFinite(v)&&v>=0&&v<=1e4;function pgParseMimic(input){let doc=input;if(typeof input==="string"){try{doc=JSON.parse(input)}catch(_){throw new Error("This file isn't valid JSON.")}}if(!doc||typeof doc!=="object"||Array.isArray(doc))throw new Error("Expected a mimic document (a JSON object).");if(doc.format!==PG_DOC_FORMAT)throw new Error(`Not a mimic file \u2014 "format" should be "${PG_DOC_FORMAT}".`);if(!Number.isInteger(doc.version)||doc.version<1)throw new Error('Missing or invalid "version".');if(doc.version>PG_DOC_VERSION)throw new Error(`This mimic was saved by a newer version (v${doc.version}); this page reads up to v${PG_DOC_VERSION}.`);if(!Array.isArray(doc.items))throw new Error('"items" must be a list.');if(doc.items.length>PG_DOC_MAX_ITEMS)throw new Error(`Too many symbols (${doc.items.length}); the playground holds up to ${PG_DOC_MAX_ITEMS}.`);if(doc.connectors!==void 0&&!Array.isArray(doc.connectors))throw new Error('"connectors" must be a list.');const kinds=pgSymbolList().map(s=>s.kind);const byId=new Map;const items=doc.items.map((it,i)=>{const where=`Symbol ${i+1}`;if(!it||typeof it!=="object")throw new Error(`${where} is not an object.`);if(!pgIsId(it.id))throw new Error(`${where}: "id" must be a positive whole number.`);if(byId.has(it.id))throw new Error(`${where}: id ${it.id} is used twice.`);if(!kinds.includes(it.kind))throw new Error(`${where}: unknown symbol kind "${String(it.kind).slice(0,40)}" (expected one of ${kinds.join(", ")}).`);if(!pgIsCoord(it.x)||!pgIsCoord(it.y))throw new Error(`${where}: "x" and "y" must be numbers between 0 and 10000.`);if(typeof it.tag!=="string"||!it.tag.trim())throw new Error(`${where}: "tag" must be a non-empty string.`);if(it.tag.length>PG_DOC_MAX_TAG)throw new Error(`${where}: tag is longer than ${PG_DOC_MAX_TAG} characters.`);const item={id:it.id,kind:it.kind,x:Math.round(it.x),y:Math.round(it.y),tag:it.tag};if(it.scale!==void 0){if(typeof it.scale!=="number"||!(it.scale>=PG_SCALE[0]&&it.scale<=PG_SCALE[1]))throw new Error(`${where}: "scale" must be between ${PG_SCALE[0]} and ${PG_SCALE[1]}.`);item.scale=it.scale}if(it.rot!==void 0){if(typeof it.rot!=="number"||!(it.rot>=0&&it.rot<360))throw new Error(`${where}: "rot" must be an angle from 0 to 359.`);item.rot=it.rot}if(it.props!==void 0){const problem=pgPropsProblem(it.kind,it.props);if(problem)throw new Error(`${where}: ${problem}`);item.props={...it.props}}byId.set(item.id,item);return item});const connIds=new Set;const connectors=(doc.connectors||[]).map((c,i)=>{const where=`Connector ${i+1}`;if(!c||typeof c!=="object")throw new Error(`${where} is not an object.`);if(!pgIsId(c.id))throw new Error(`${where}: "id" must be a positive whole number.`);if(connIds.has(c.id))throw new Error(`${where}: id ${c.id} is used twice.`);connIds.add(c.id);const end=(e,name)=>{const item=e&&byId.get(e.item);if(!item)throw new Error(`${where}: "${name}.item" doesn't match any symbol.`);if(!pgPorts(item.kind)[e.port])throw new Error(`${where}: ${item.tag} has no "${String(e.port).slice(0,8)}" port.`);return{item:e.item,port:e.port}};const from=end(c.from,"from"),to=end(c.to,"to");if(from.item===to.item)throw new Error(`${where} connects a symbol to itself.`);return{id:c.id,from,to}});if(doc.version>=2&&(!doc.tags||typeof doc.tags!=="object"||Array.isArray(doc.tags)))throw new Error('"tags" must be an object.');const tags=Object.create(null);Object.entries(doc.version>=2?doc.tags:{}).forEach(([name,cfg])=>{const where=`Tag "${name.slice(0,PG_DOC_MAX_TAG)}"`;if(!name.trim()||name.length>PG_DOC_MAX_TAG)throw new Error(`${where}: name must be 1\u2013${PG_DOC_MAX_TAG} characters.`);const problem=pgTagProblem(cfg);if(problem)throw new Error(`${where}: ${problem}`);const l=cfg.limits;tags[name]={waveform:cfg.waveform,period:cfg.period,units:cfg.units,min:cfg.min,max:cfg.max,limits:{lolo:l.lolo??null,lo:l.lo??null,hi:l.hi??null,hihi:l.hihi??null}}});return{items,connectors,tags}}const pgNextId=items=>items.reduce((m,it)=>Math.max(m,it.id+1),10);function pgDownload(blob,filename){const url=URL.createObjectURL(blob);const a=Object.assign(document.createElement("a"),{href:url,download:filename});document.body.appendChild(a);a.click();a.remove();setTimeout(()=>URL.revokeObjectURL(url),0)}function pgDownloadMimic(mimic,filename="mimic.json"){pgDownload(new Blob([JSON.stringify(pgSerialize(mimic),null,2)],{type:"application/json"}),filename)}function pgLoadAutosave(){try{const raw=localStorage.getItem(PG_AUTOSAVE_KEY);return raw?pgParseMimic(raw):null}catch(_){return null}}function pgAutosave(mimic){try{localStorage.setItem(PG_AUTOSAVE_KEY,JSON.stringify(pgSerialize(mimic)))}catch(_){}}function pgB64(bytes){let bin="";for(let i=0;i<bytes.length;i+=32768)bin+=String.fromCharCode(...bytes.subarray(i,i+32768));return btoa(bin).replace(/\+/g,"-").replace(/\//g,"_").replace(/=+$/,"")}const pgUnB64=s=>Uint8Array.from(atob(s.replace(/-/g,"+").replace(/_/g,"/")),ch=>ch.charCodeAt(0));const pgStreamBytes=async(bytes,stream)=>new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());async function pgEncodeShare(mimic){const bytes=new TextEncoder().encode(JSON.stringify(pgSerialize(mimic)));if(typeof CompressionStream==="undefined")return`j${pgB64(bytes)}`;return`z${pgB64(await pgStreamBytes(bytes,new CompressionStream("deflate-raw")))}`}async function pgDecodeShare(code){let bytes;try{bytes=pgUnB64(code.slice(1))}catch(_){throw new Error("This share link is damaged.")}if(code[0]==="z"){if(typeof DecompressionStream==="undefined")throw new Error("This browser can't open compressed share links.");try{bytes=await pgStreamBytes(bytes,new DecompressionStream("deflate-raw"))}catch(_){throw new Error("This share link is damaged.")}}else if(code[0]!=="j")throw new Error("This share link is damaged.");return pgParseMimic(new TextDecoder().decode(bytes))}async function pgShareUrl(mimic){const{origin,pathname,search}=window.location;return`${origin}${pathname}${search}#${PG_SHARE_PARAM}=${await pgEncodeShare(mimic)}`}function pgShareFromHash(){const m=window.location.hash.match(new RegExp(`^#${PG_SHARE_PARAM}=([A-Za-z0-9_-]+)$`));return m?m[1]:null}Object.assign(window,{pgDownload,pgSerialize,pgParseMimic,pgNextId,pgDownloadMimic,pgLoadAutosave,pgAutosave,pgShareUrl,pgDecodeShare,pgShareFromHash});;const PG_EXPORT_MARGIN=24;const PG_EXPORT_SYMBOL_TOP=28;const PG_PIPE_BODY="rgba(148,163,184,0.45)";const pgEsc=s=>String(s).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;");function pgResolveVars(markup,palette){return markup.replace(/var\((--[\w-]+)\)/g,(m,name)=>palette[name]?pgEsc(palette[name]):m)}function pgComposeSVG({items,connectors},symbols,palette,look="glow"){const l=PG_LOOKS[look]||PG_LOOKS.glow;const m=PG_EXPORT_MARGIN;const b=pgBounds(items);const x0=b.x-m,y0=b.y-m;const width=b.w+2*m,height=b.h+2*m;const pipes=connectors.map(c=>{const pts=pgConnectorPoints(c,items);if(!pts)return"";const d=pgPath(pts);if(l.quiet)return`<g><path d="${d}" fill="none" stroke="${l.line}" stroke-width="3" stroke-linejoin="round"/></g>`;return`<g><path d="${d}" fill="none" stroke="${PG_PIPE_BODY}" stroke-width="4" stroke-linejoin="round"/><path d="${d}" fill="none" stroke="var(--accent)" stroke-width="1.5" stroke-dasharray="6 8" stroke-linecap="round"/></g>`});const boxes=items.map(it=>{const[w]=pgSymbol(it.kind).size;const[sw,sh]=pgItemSize(it);const sym=symbols[`${it.kind}:${it.id}`];const symbol=sym?`<g transform="translate(${(w-sym.width)/2} ${PG_EXPORT_SYMBOL_TOP})">${sym.markup}</g>`:"";const turn=it.rot?` rotate(${it.rot} ${sw/2} ${sh/2})`:"";const scale=it.scale&&it.scale!==1?` scale(${it.scale})`:"";return`<g transform="translate(${it.x} ${it.y})${turn}${scale}"><text x="${w/2}" y="18" text-anchor="middle" font-family="var(--font-mono)" font-size="9" letter-spacing="1" fill="${l.dim}">${pgEsc(it.tag)}</text>${symbol}</g>`});const body=[`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${x0} ${y0} ${width} ${height}">`,`<rect x="${x0}" y="${y0}" width="${width}" height="${height}" fill="${l.canvas}"/>`,`<g class="pipes">${pipes.join("")}</g>`,`<g class="symbols">${boxes.join("")}</g>`,"</svg>"].join("\n");return`<?xml version="1.0" encoding="UTF-8"?>
+${pgResolveVars(body,palette)}
+`}function pgSymbolMarkup(kind,id,reading=null,props=null,look="glow"){const host=document.createElement("div");const root=ReactDOM.createRoot(host);ReactDOM.flushSync(()=>root.render(React.createElement(SymbolGraphic,{kind,motion:1,i:id,still:true,reading,props,look})));const svg=host.querySelector("svg");let out=null;if(svg){svg.removeAttribute("style");out={markup:new XMLSerializer().serializeToString(svg).replace(' xmlns="http://www.w3.org/2000/svg"',""),width:Number(svg.getAttribute("width")),height:Number(svg.getAttribute("height"))}}root.unmount();return out}function pgPalette(markup){const css=getComputedStyle(document.documentElement);const palette={};(markup.match(/var\(--[\w-]+\)/g)||[]).forEach(v=>{const name=v.slice(4,-1);palette[name]=css.getPropertyValue(name).trim()});return palette}function pgExportSVG(mimic,look="glow",{render=pgSymbolMarkup,palette=pgPalette}={}){const symbols={};mimic.items.forEach(it=>{const sym=render(it.kind,it.id,pgReading(mimic.tags,it,0,mimic.items),pgItemProps(it),look);if(sym)symbols[`${it.kind}:${it.id}`]=sym});const draft=pgComposeSVG(mimic,symbols,{},look);return pgComposeSVG(mimic,symbols,palette(draft),look)}function pgExportPNG(svg,scale=2){return new Promise((resolve,reject)=>{const img=new Image;img.onload=()=>{const w=Math.round(img.width*scale),h=Math.round(img.height*scale);const canvas=typeof OffscreenCanvas!=="undefined"?new OffscreenCanvas(w,h):Object.assign(document.createElement("canvas"),{width:w,height:h});canvas.getContext("2d").drawImage(img,0,0,w,h);if(canvas.convertToBlob)canvas.convertToBlob({type:"image/png"}).then(resolve,reject);else canvas.toBlob(blob=>blob?resolve(blob):reject(new Error("PNG export failed.")),"image/png")};img.onerror=()=>reject(new Error("PNG export failed."));img.src=`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`})}Object.assign(window,{pgComposeSVG,pgExportSVG,pgExportPNG});;const PG_GRAFANA_SCHEMA=39;const PG_GRAFANA_COLS=24;const PG_GRAFANA_COL_PX=40;const PG_GRAFANA_MIN={w:3,h:4};const pgSqlText=s=>`'${s.replace(/'/g,"''")}'`;const pgInfluxText=s=>`'${s.replace(/\\/g,"\\\\").replace(/'/g,"\\'")}'`;const PG_GRAFANA_SOURCES={testdata:{name:"TestData (demo)",plugin:"grafana-testdata-datasource",target:(tag,cfg)=>({scenarioId:"random_walk",alias:tag,min:cfg.min,max:cfg.max,startValue:(cfg.min+cfg.max)/2})},influxdb:{name:"InfluxDB (InfluxQL)",plugin:"influxdb",target:tag=>({rawQuery:true,resultFormat:"time_series",alias:tag,query:`SELECT mean("value") FROM "tags" WHERE "tag" = ${pgInfluxText(tag)} AND $timeFilter GROUP BY time($__interval) fill(null)`})},postgres:{name:"PostgreSQL / TimescaleDB",plugin:"grafana-postgresql-datasource",target:tag=>({format:"time_series",rawQuery:true,editorMode:"code",rawSql:`SELECT time_bucket('$__interval', time) AS time, avg(value) AS "${tag.replace(/"/g,'""')}" FROM tag_values WHERE tag = ${pgSqlText(tag)} AND $__timeFilter(time) GROUP BY 1 ORDER BY 1`})}};const PG_GRAFANA_UNITS={"%":"percent",rpm:"rotrpm","\xB0C":"celsius",bar:"pressurebar",A:"amp","m/s":"velocityms"};const pgGrafanaUnit=units=>PG_GRAFANA_UNITS[units]||(units?`suffix:${units}`:"none");function pgGrafanaThresholds({limits}){const base=limits.lolo!=null?"red":limits.lo!=null?"orange":"green";const steps=[{color:base,value:null}];if(limits.lolo!=null)steps.push({color:limits.lo!=null?"orange":"green",value:limits.lolo});if(limits.lo!=null)steps.push({color:"green",value:limits.lo});if(limits.hi!=null)steps.push({color:"orange",value:limits.hi});if(limits.hihi!=null)steps.push({color:"red",value:limits.hihi});return{mode:"absolute",steps}}const PG_GRAFANA_REDUCE={calcs:["lastNotNull"],fields:"",values:false};const PG_GRAFANA_OPTIONS={gauge:()=>({reduceOptions:PG_GRAFANA_REDUCE,orientation:"auto",showThresholdLabels:false,showThresholdMarkers:true}),stat:()=>({reduceOptions:PG_GRAFANA_REDUCE,orientation:"auto",colorMode:"value",graphMode:"area",justifyMode:"auto",textMode:"auto"}),timeseries:()=>({legend:{displayMode:"list",placement:"bottom",showLegend:true},tooltip:{mode:"single",sort:"none"}}),alertlist:tag=>({viewMode:"list",groupMode:"default",groupBy:[],maxItems:10,sortOrder:1,dashboardAlerts:false,alertName:tag,alertInstanceLabelFilter:"",stateFilter:{firing:true,pending:true,noData:false,normal:false,error:true}})};function pgGrafanaGrid(items){const b=pgBounds(items);const colPx=Math.max(PG_GRAFANA_COL_PX,b.w/PG_GRAFANA_COLS),rowPx=colPx/2;const cells=items.map(it=>{const box=pgBox(it);const w=Math.min(PG_GRAFANA_COLS,Math.max(PG_GRAFANA_MIN.w,Math.round(box.w/colPx)));return{it,w,h:Math.max(PG_GRAFANA_MIN.h,Math.round(box.h/rowPx)),x:Math.min(PG_GRAFANA_COLS-w,Math.round((box.x-b.x)/colPx)),y:Math.round((box.y-b.y)/rowPx)}}).sort((p,q)=>p.y-q.y||p.x-q.x||p.it.id-q.it.id);const placed=[];cells.forEach(c=>{let hit;while(hit=placed.find(p=>c.x<p.x+p.w&&p.x<c.x+c.w&&c.y<p.y+p.h&&p.y<c.y+c.h))c.y=hit.y+hit.h;placed.push(c)});return placed.sort((p,q)=>p.y-q.y||p.x-q.x||p.it.id-q.it.id)}function pgGrafanaUid(text){let h=2166136261;for(let i=0;i<text.length;i++)h=Math.imul(h^text.charCodeAt(i),16777619);return`bf-mimic-${(h>>>0).toString(16).padStart(8,"0")}`}function pgGrafanaPanel({it,x,y,w,h},id,mimic,source){const def=pgSymbol(it.kind);const cfg=pgTagConfig(mimic.tags,it,mimic.items);const type=PG_GRAFANA_OPTIONS[def.grafana]?def.grafana:"stat";const ds={type:source.plugin,uid:"${datasource}"};const panel={id,type,title:it.tag,description:`${def.name} \xB7 ${def.signal.label}`,gridPos:{h,w,x,y}};if(type==="alertlist")return{...panel,options:PG_GRAFANA_OPTIONS.alertlist(it.tag)};const defaults={unit:pgGrafanaUnit(cfg.units),min:cfg.min,max:cfg.max,thresholds:pgGrafanaThresholds(cfg)};if(type==="timeseries"){defaults.color={mode:"palette-classic"};defaults.custom={drawStyle:"line",lineWidth:1,fillOpacity:10,showPoints:"never",thresholdsStyle:{mode:"dashed"}}}else{defaults.color={mode:"thresholds"}}const out={...panel,datasource:ds,targets:[{refId:"A",datasource:ds,...source.target(it.tag,cfg)}],fieldConfig:{defaults,overrides:[]},options:PG_GRAFANA_OPTIONS[type](it.tag)};const range=pgItemProps(it).range;if(type==="timeseries"&&range)out.timeFrom=range;return out}function pgGrafanaDashboard(mimic,{datasource="testdata",title="Playground mimic"}={}){const source=PG_GRAFANA_SOURCES[datasource];if(!source)throw new Error(`Unknown data source "${datasource}".`);const panels=mimic.items.length?pgGrafanaGrid(mimic.items).map((cell,i)=>pgGrafanaPanel(cell,i+1,mimic,source)):[];return{id:null,uid:pgGrafanaUid(`${datasource}
+${JSON.stringify(pgSerialize(mimic))}`),title,tags:["blueforge","mimic"],editable:true,graphTooltip:1,schemaVersion:PG_GRAFANA_SCHEMA,version:1,time:{from:"now-1h",to:"now"},refresh:"5s",timezone:"browser",annotations:{list:[{builtIn:1,datasource:{type:"grafana",uid:"-- Grafana --"},enable:true,hide:true,iconColor:"rgba(0, 211, 255, 1)",name:"Annotations & Alerts",type:"dashboard"}]},templating:{list:[{type:"datasource",name:"datasource",label:"Data source",query:source.plugin,current:{},hide:0,refresh:1,regex:"",options:[]}]},links:[],panels}}function pgGrafanaProblems(d){const out=[];if(!d||typeof d!=="object")return["dashboard is not an object"];if(d.schemaVersion!==PG_GRAFANA_SCHEMA)out.push(`schemaVersion should be ${PG_GRAFANA_SCHEMA}`);if(typeof d.uid!=="string"||!/^[\w-]{1,40}$/.test(d.uid))out.push("uid must be 1\u201340 letters, digits, - or _");if(typeof d.title!=="string"||!d.title.trim())out.push("title is empty");if(!Array.isArray(d.panels))return[...out,"panels is not a list"];const ids=new Set;d.panels.forEach((p,i)=>{const where=`panel ${i+1}`;if(!Number.isInteger(p.id)||ids.has(p.id))out.push(`${where}: id must be a unique integer`);ids.add(p.id);if(!PG_GRAFANA_OPTIONS[p.type])out.push(`${where}: unexpected type "${p.type}"`);const g=p.gridPos||{};if(![g.x,g.y,g.w,g.h].every(Number.isInteger)||g.x<0||g.y<0||g.w<1||g.h<1||g.x+g.w>PG_GRAFANA_COLS){out.push(`${where}: gridPos must be whole cells inside ${PG_GRAFANA_COLS} columns`)}d.panels.slice(0,i).forEach((q,j)=>{const o=q.gridPos||{};if(g.x<o.x+o.w&&o.x<g.x+g.w&&g.y<o.y+o.h&&o.y<g.y+g.h)out.push(`${where} overlaps panel ${j+1}`)});if(p.type==="alertlist")return;if(!Array.isArray(p.targets)||!p.targets.length)out.push(`${where}: no query targets`);else if(new Set(p.targets.map(t=>t.refId)).size!==p.targets.length)out.push(`${where}: duplicate refId`);const steps=p.fieldConfig&&p.fieldConfig.defaults.thresholds&&p.fieldConfig.defaults.thresholds.steps;if(!steps||steps[0].value!==null||steps.some((s,k)=>k>1&&s.value<steps[k-1].value))out.push(`${where}: thresholds must start at null and ascend`)});return out}function pgDownloadGrafana(mimic,datasource){const dashboard=pgGrafanaDashboard(mimic,{datasource});const problems=pgGrafanaProblems(dashboard);if(problems.length)throw new Error(`Grafana export failed: ${problems[0]}.`);pgDownload(new Blob([JSON.stringify(dashboard,null,2)],{type:"application/json"}),"mimic.grafana.json")}Object.assign(window,{PG_GRAFANA_SOURCES,pgGrafanaDashboard,pgGrafanaProblems,pgDownloadGrafana});;const PG_HISTORY_LIMIT=100;const PG_MERGE_MS=1500;const pgWithConnectors=(m,extra)=>[...m.connectors,...extra].sort((a,b)=>a.id-b.id);function pgApply(m,cmd){switch(cmd.type){case"add":{const items=[...m.items];items.splice(cmd.index??items.length,0,cmd.item);return{...m,items,connectors:pgWithConnectors(m,cmd.connectors||[])}}case"remove":return{...m,items:m.items.filter(it=>it.id!==cmd.item.id),connectors:m.connectors.filter(c=>c.from.item!==cmd.item.id&&c.to.item!==cmd.item.id)};case"move":case"transform":return{...m,items:m.items.map(it=>it.id===cmd.id?{...it,...cmd.to}:it)};case"retag":return{...m,items:m.items.map(it=>it.id===cmd.id?{...it,tag:cmd.to}:it)};case"configure":return{...m,items:m.items.map(it=>it.id===cmd.id?{...it,props:cmd.to}:it)};case"connect":return{...m,connectors:pgWithConnectors(m,[cmd.connector])};case"disconnect":return{...m,connectors:m.connectors.filter(c=>c.id!==cmd.connector.id)};case"retune":{const tags=Object.assign(Object.create(null),m.tags);if(cmd.to)tags[cmd.name]=cmd.to;else delete tags[cmd.name];return{...m,tags}}case"replace":return cmd.after;case"batch":return cmd.cmds.reduce(pgApply,m);default:return m}}function pgInvert(cmd){switch(cmd.type){case"add":return{...cmd,type:"remove"};case"remove":return{...cmd,type:"add"};case"move":case"transform":case"retag":case"configure":case"retune":return{...cmd,from:cmd.to,to:cmd.from};case"connect":return{...cmd,type:"disconnect"};case"disconnect":return{...cmd,type:"connect"};case"replace":return{...cmd,before:cmd.after,after:cmd.before};case"batch":return{...cmd,cmds:cmd.cmds.map(pgInvert).reverse()};default:return cmd}}const pgGroup=cmds=>cmds.length>1?{type:"batch",cmds}:cmds[0]||null;function pgRemoveCommand(m,id){const index=m.items.findIndex(it=>it.id===id);if(index<0)return null;return{type:"remove",item:m.items[index],index,connectors:m.connectors.filter(c=>c.from.item===id||c.to.item===id)}}function pgRemoveMany(m,ids){const cmds=[];ids.forEach(id=>{const cmd=pgRemoveCommand(m,id);if(!cmd)return;cmds.push(cmd);m=pgApply(m,cmd)});return pgGroup(cmds)}function pgMergeKey(cmd){if(["move","transform","retag","configure"].includes(cmd.type))return`${cmd.type}:${cmd.id}`;if(cmd.type==="retune")return`retune:${cmd.name}`;if(cmd.type==="batch"&&cmd.cmds.every(c=>c.type==="move"))return`move:${cmd.cmds.map(c=>c.id).join(",")}`;return null}const pgMergeInto=(last,cmd)=>cmd.type==="batch"?{...last,cmds:last.cmds.map((c,i)=>({...c,to:cmd.cmds[i].to}))}:{...last,to:cmd.to};function pgRecord(h,cmd,now=Date.now()){const last=h.past[h.past.length-1];const key=pgMergeKey(cmd);const merge=last&&key&&pgMergeKey(last)===key&&now-last.at<PG_MERGE_MS;const past=merge?[...h.past.slice(0,-1),{...pgMergeInto(last,cmd),at:now}]:[...h.past,{...cmd,at:now}];return{past:past.slice(-PG_HISTORY_LIMIT),future:[]}}Object.assign(window,{pgApply,pgInvert,pgRemoveCommand,pgRemoveMany,pgGroup,pgRecord});;const PG_GRID=24;const PG_GUIDE_PX=6;const pgSnap=v=>Math.round(v/PG_GRID)*PG_GRID;function pgBox(it){const[w,h]=pgItemSize(it);if(!it.rot)return{x:it.x,y:it.y,w,h};const a=it.rot*Math.PI/180;const bw=Math.round(Math.abs(w*Math.cos(a))+Math.abs(h*Math.sin(a)));const bh=Math.round(Math.abs(w*Math.sin(a))+Math.abs(h*Math.cos(a)));return{x:it.x+(w-bw)/2,y:it.y+(h-bh)/2,w:bw,h:bh}}function pgBounds(items){const boxes=items.map(pgBox);const x=Math.min(...boxes.map(b=>b.x)),y=Math.min(...boxes.map(b=>b.y));return{x,y,w:Math.max(...boxes.map(b=>b.x+b.w))-x,h:Math.max(...boxes.map(b=>b.y+b.h))-y}}const pgEdgesX=b=>[b.x,b.x+b.w/2,b.x+b.w];const pgEdgesY=b=>[b.y,b.y+b.h/2,b.y+b.h];function pgGuideAxis(box,others,tol,axis){const edges=axis==="x"?pgEdgesX:pgEdgesY;let best=null;others.forEach(o=>edges(box).forEach(a=>edges(o).forEach(t=>{const d=t-a;if(Math.abs(d)<=tol&&(!best||Math.abs(d)<Math.abs(best.d)))best={d,at:t}})));if(!best)return null;const moved=axis==="x"?{...box,x:box.x+best.d}:{...box,y:box.y+best.d};const hits=[moved,...others.filter(o=>edges(o).some(t=>Math.abs(t-best.at)<.5))];const lo=axis==="x"?Math.min(...hits.map(b=>b.y)):Math.min(...hits.map(b=>b.x));const hi=axis==="x"?Math.max(...hits.map(b=>b.y+b.h)):Math.max(...hits.map(b=>b.x+b.w));const line=axis==="x"?{x1:best.at,y1:lo,x2:best.at,y2:hi}:{x1:lo,y1:best.at,x2:hi,y2:best.at};return{d:best.d,line}}function pgGuides(box,others,tol){return{x:pgGuideAxis(box,others,tol,"x"),y:pgGuideAxis(box,others,tol,"y")}}function pgAlign(items,mode){const b=pgBounds(items);return items.map(it=>{const box=pgBox(it);const at={left:{x:b.x,y:box.y},center:{x:b.x+b.w/2-box.w/2,y:box.y},right:{x:b.x+b.w-box.w,y:box.y},top:{x:box.x,y:b.y},middle:{x:box.x,y:b.y+b.h/2-box.h/2},bottom:{x:box.x,y:b.y+b.h-box.h}}[mode];const to={x:Math.round(it.x+at.x-box.x),y:Math.round(it.y+at.y-box.y)};return{type:"move",id:it.id,from:{x:it.x,y:it.y},to}}).filter(c=>c.to.x!==c.from.x||c.to.y!==c.from.y)}function pgDistribute(items,axis){if(items.length<3)return[];const pos=axis==="x"?"x":"y";const dim=axis==="x"?"w":"h";const sorted=items.map(it=>({it,box:pgBox(it)})).sort((a,b)=>a.box[pos]-b.box[pos]||a.it.id-b.it.id);const first=sorted[0].box,last=sorted[sorted.length-1].box;const span=last[pos]+last[dim]-first[pos];const gap=(span-sorted.reduce((s,{box})=>s+box[dim],0))/(sorted.length-1);let at=first[pos];return sorted.map(({it,box})=>{const to={x:it.x,y:it.y,[pos]:Math.round(it[pos]+at-box[pos])};at+=box[dim]+gap;return{type:"move",id:it.id,from:{x:it.x,y:it.y},to}}).filter(c=>c.to.x!==c.from.x||c.to.y!==c.from.y)}function pgInRect(items,r){const x1=Math.min(r.x0,r.x1),x2=Math.max(r.x0,r.x1),y1=Math.min(r.y0,r.y1),y2=Math.max(r.y0,r.y1);return items.filter(it=>{const b=pgBox(it);return b.x<x2&&b.x+b.w>x1&&b.y<y2&&b.y+b.h>y1})}Object.assign(window,{PG_GRID,PG_GUIDE_PX,pgSnap,pgBox,pgBounds,pgGuides,pgAlign,pgDistribute,pgInRect});;const{useState:usePG,useRef:useRefPG,useEffect:useEffPG}=React;const PG_DEFAULTS=[{id:1,kind:"vessel",x:60,y:60,tag:"TK-101"},{id:2,kind:"pump",x:280,y:70,tag:"P-204"},{id:3,kind:"trend",x:500,y:60,tag:"FT-310"},{id:4,kind:"valve",x:60,y:280,tag:"FV-120"},{id:5,kind:"alarm",x:300,y:280,tag:"VIB-07"}];const PG_DEFAULT_CONNECTORS=[{id:1,from:{item:1,port:"e"},to:{item:2,port:"w"}},{id:2,from:{item:2,port:"s"},to:{item:4,port:"e"}}];const PG_DEFAULT_MIMIC={items:PG_DEFAULTS,connectors:PG_DEFAULT_CONNECTORS,tags:{}};const PG_STUB=18;const PG_SCALE=[.5,2.5];const PG_ROT_STEP=15;const PG_ZOOM=[.4,2.5];const PG_NUDGE={ArrowLeft:[-1,0],ArrowRight:[1,0],ArrowUp:[0,-1],ArrowDown:[0,1]};function pgItemSize(it){const[w,h]=pgSymbol(it.kind).size,s=it.scale||1;return[Math.round(w*s),Math.round(h*s)]}function pgPorts(kind,scale=1){const def=pgSymbol(kind);const[w,h]=pgItemSize({kind,scale});const y=(def.portY??def.size[1]/2)*scale;const all={w:{x:0,y,dir:[-1,0]},e:{x:w,y,dir:[1,0]},n:{x:w/2,y:0,dir:[0,-1]},s:{x:w/2,y:h,dir:[0,1]}};return Object.fromEntries(def.ports.map(id=>[id,all[id]]))}function pgPortPoint(item,port){const p=pgPorts(item.kind,item.scale||1)[port];if(!p)return null;const[w,h]=pgItemSize(item);const a=(item.rot||0)*Math.PI/180,cos=Math.cos(a),sin=Math.sin(a);const rx=p.x-w/2,ry=p.y-h/2;const dx=p.dir[0]*cos-p.dir[1]*sin,dy=p.dir[0]*sin+p.dir[1]*cos;return{x:item.x+w/2+rx*cos-ry*sin,y:item.y+h/2+rx*sin+ry*cos,dir:Math.abs(dx)>=Math.abs(dy)?[Math.sign(dx),0]:[0,Math.sign(dy)]}}function pgRoute(a,b){const a1={x:a.x+a.dir[0]*PG_STUB,y:a.y+a.dir[1]*PG_STUB};const b1={x:b.x+b.dir[0]*PG_STUB,y:b.y+b.dir[1]*PG_STUB};const aH=a.dir[0]!==0,bH=b.dir[0]!==0;let mid;if(aH&&bH){const mx=(a1.x+b1.x)/2;mid=[{x:mx,y:a1.y},{x:mx,y:b1.y}]}else if(!aH&&!bH){const my=(a1.y+b1.y)/2;mid=[{x:a1.x,y:my},{x:b1.x,y:my}]}else if(aH)mid=[{x:b1.x,y:a1.y}];else mid=[{x:a1.x,y:b1.y}];const out=[];[a,a1,...mid,b1,b].forEach(q=>{const p={x:Math.round(q.x),y:Math.round(q.y)};const last=out[out.length-1],prev=out[out.length-2];if(last&&last.x===p.x&&last.y===p.y)return;if(prev&&(prev.x===last.x&&last.x===p.x||prev.y===last.y&&last.y===p.y))out.pop();out.push(p)});return out}const pgPath=pts=>pts.map((p,i)=>`${i?"L":"M"} ${p.x} ${p.y}`).join(" ");function pgConnectorPoints(c,items){const a=items.find(it=>it.id===c.from.item),b=items.find(it=>it.id===c.to.item);const pa=a&&pgPortPoint(a,c.from.port),pb=b&&pgPortPoint(b,c.to.port);return pa&&pb?pgRoute(pa,pb):null}function pgZoomAt(view,factor,cx,cy){const zoom=Math.max(PG_ZOOM[0],Math.min(PG_ZOOM[1],view.zoom*factor));const k=zoom/view.zoom;return{zoom,x:cx-(cx-view.x)*k,y:cy-(cy-view.y)*k}}function SymbolPlayground({motion}){const[mimic,setMimic]=usePG(()=>pgLoadAutosave()||PG_DEFAULT_MIMIC);const{items,connectors}=mimic;const setItems=fn=>setMimic(m=>({...m,items:fn(m.items)}));const[hist,setHist]=usePG({past:[],future:[]});const[drag,setDrag]=usePG(null);const[handle,setHandle]=usePG(null);const[ghost,setGhost]=usePG(null);const[view,setView]=usePG({zoom:1,x:0,y:0});const[wire,setWire]=usePG(null);const[selection,setSelection]=usePG([2]);const[selectedConn,setSelectedConn]=usePG(null);const[marquee,setMarquee]=usePG(null);const[guides,setGuides]=usePG([]);const[snap,setSnap]=usePG(true);const[query,setQuery]=usePG("");const[look,setLook]=usePG("glow");const[docNote,setDocNote]=usePG(null);const[source,setSource]=usePG("testdata");const t=usePgClock(motion);const selItems=items.filter(it=>selection.includes(it.id));const sel=selItems.length===1?selItems[0]:null;const groups=pgSymbolGroups(query);const canvasRef=useRefPG(null);const fileRef=useRefPG(null);const dragTo=useRefPG(null);const pointers=useRefPG(new Map);const spaceHeld=useRefPG(false);useEffPG(()=>{pgAutosave(mimic)},[mimic]);const run=cmd=>{if(!cmd)return;setMimic(m=>pgApply(m,cmd));setHist(h=>pgRecord(h,cmd))};const undo=()=>{const cmd=hist.past[hist.past.length-1];if(!cmd)return;setMimic(m=>pgApply(m,pgInvert(cmd)));setHist(h=>({past:h.past.slice(0,-1),future:[cmd,...h.future]}));setWire(null)};const redo=()=>{const cmd=hist.future[0];if(!cmd)return;setMimic(m=>pgApply(m,cmd));setHist(h=>({past:[...h.past,cmd],future:h.future.slice(1)}));setWire(null)};const load=next=>{run({type:"replace",before:mimic,after:next});setSelection([]);setSelectedConn(null);setWire(null)};useEffPG(()=>{const code=pgShareFromHash();if(!code)return;pgDecodeShare(code).then(next=>{load(next);setDocNote({ok:true,text:`Loaded shared mimic \u2014 ${next.items.length} symbols.`})}).catch(e=>setDocNote({ok:false,text:e.message})).finally(()=>{history.replaceState(null,"",`${window.location.pathname}${window.location.search}#playground`);const el=document.getElementById("playground");if(el)el.scrollIntoView({behavior:"smooth"})})},[]);const exportJSON=()=>pgDownloadMimic(mimic);const importJSON=e=>{const file=e.target.files&&e.target.files[0];e.target.value="";if(!file)return;file.text().then(text=>{const next=pgParseMimic(text);load(next);setDocNote({ok:true,text:`Imported ${file.name}.`})}).catch(err=>setDocNote({ok:false,text:`${file.name}: ${err.message}`}))};const exportSVG=()=>pgDownload(new Blob([pgExportSVG(mimic,look)],{type:"image/svg+xml"}),"mimic.svg");const exportPNG=()=>pgExportPNG(pgExportSVG(mimic,look)).then(blob=>pgDownload(blob,"mimic.png")).catch(e=>setDocNote({ok:false,text:e.message}));const exportGrafana=()=>{try{pgDownloadGrafana(mimic,source);setDocNote({ok:true,text:`Grafana dashboard for ${PG_GRAFANA_SOURCES[source].name} downloaded \u2014 pipes are not exported.`})}catch(e){setDocNote({ok:false,text:e.message})}};const share=async()=>{const url=await pgShareUrl(mimic);try{await navigator.clipboard.writeText(url);setDocNote({ok:true,text:"Share link copied to the clipboard."})}catch(_){window.prompt("Copy this link to share your mimic:",url)}};const toWorld=(clientX,clientY)=>{const rect=canvasRef.current.getBoundingClientRect();return{x:(clientX-rect.left-view.x)/view.zoom,y:(clientY-rect.top-view.y)/view.zoom}};const clampShift=(box,dx,dy)=>{const rect=canvasRef.current.getBoundingClientRect();const minX=Math.max(0,-view.x/view.zoom),maxX=(rect.width-view.x)/view.zoom-box.w;const minY=Math.max(0,-view.y/view.zoom),maxY=(rect.height-view.y)/view.zoom-box.h;return{dx:Math.round(Math.max(minX,Math.min(maxX,box.x+dx))-box.x),dy:Math.round(Math.max(minY,Math.min(maxY,box.y+dy))-box.y)}};const clampToView=(kind,x,y)=>{const[w,h]=pgSymbol(kind).size;const{dx,dy}=clampShift({x:0,y:0,w,h},x,y);return{x:dx,y:dy}};const startMoveItem=(e,it)=>{if(e.pointerType==="mouse"&&e.button!==0)return;e.stopPropagation();e.currentTarget.focus({preventScroll:true});setSelectedConn(null);if(e.shiftKey){setSelection(selection.includes(it.id)?selection.filter(id=>id!==it.id):[...selection,it.id]);return}const ids=selection.includes(it.id)?selection:[it.id];setSelection(ids);e.currentTarget.setPointerCapture(e.pointerId);const moving=items.filter(x=>ids.includes(x.id));const from={};moving.forEach(x=>{from[x.id]={x:x.x,y:x.y}});setDrag({ids,lead:it.id,pointerId:e.pointerId,start:toWorld(e.clientX,e.clientY),from,box:pgBounds(moving),others:items.filter(x=>!ids.includes(x.id)).map(pgBox)})};const moveItem=e=>{if(!drag||drag.pointerId!==e.pointerId)return;const p=toWorld(e.clientX,e.clientY);let dx=p.x-drag.start.x,dy=p.y-drag.start.y;const lines=[];if(!e.altKey){const g=pgGuides({...drag.box,x:drag.box.x+dx,y:drag.box.y+dy},drag.others,PG_GUIDE_PX/view.zoom);const lead=drag.from[drag.lead];if(g.x){dx+=g.x.d;lines.push(g.x.line)}else if(snap)dx=pgSnap(lead.x+dx)-lead.x;if(g.y){dy+=g.y.d;lines.push(g.y.line)}else if(snap)dy=pgSnap(lead.y+dy)-lead.y}const shift=clampShift(drag.box,dx,dy);dragTo.current=shift;setGuides(lines);setItems(arr=>arr.map(it=>drag.from[it.id]?{...it,x:drag.from[it.id].x+shift.dx,y:drag.from[it.id].y+shift.dy}:it))};const endMoveItem=e=>{if(!drag||drag.pointerId!==e.pointerId)return;const shift=dragTo.current;if(shift&&(shift.dx||shift.dy)){const cmd=pgGroup(drag.ids.map(id=>{const f=drag.from[id];return{type:"move",id,from:f,to:{x:f.x+shift.dx,y:f.y+shift.dy}}}));setHist(h=>pgRecord(h,cmd))}else if(drag.ids.length>1){setSelection([drag.lead])}dragTo.current=null;setDrag(null);setGuides([])};const shapeOf=it=>({x:it.x,y:it.y,scale:it.scale||1,rot:it.rot||0});const startHandle=(e,it,mode)=>{if(e.pointerType==="mouse"&&e.button!==0)return;e.stopPropagation();e.currentTarget.setPointerCapture(e.pointerId);const[w,h]=pgItemSize(it);const c={x:it.x+w/2,y:it.y+h/2};const p=toWorld(e.clientX,e.clientY);setHandle({mode,id:it.id,kind:it.kind,pointerId:e.pointerId,from:shapeOf(it),c,d0:Math.hypot(p.x-c.x,p.y-c.y)||1})};const moveHandle=e=>{if(!handle||handle.pointerId!==e.pointerId)return;const p=toWorld(e.clientX,e.clientY);const{c,from}=handle;let next;if(handle.mode==="resize"){const raw=from.scale*Math.hypot(p.x-c.x,p.y-c.y)/handle.d0;const scale=Math.round(Math.max(PG_SCALE[0],Math.min(PG_SCALE[1],raw))*20)/20;const[w,h]=pgItemSize({kind:handle.kind,scale});next={x:Math.max(0,Math.round(c.x-w/2)),y:Math.max(0,Math.round(c.y-h/2)),scale,rot:from.rot}}else{const deg=Math.atan2(p.y-c.y,p.x-c.x)*180/Math.PI+90;const step=e.altKey?1:PG_ROT_STEP;next={...from,rot:(Math.round(deg/step)*step%360+360)%360}}dragTo.current=next;setItems(arr=>arr.map(it=>it.id===handle.id?{...it,...next}:it))};const endHandle=e=>{if(!handle||handle.pointerId!==e.pointerId)return;const to=dragTo.current;if(to&&JSON.stringify(to)!==JSON.stringify(handle.from))setHist(h=>pgRecord(h,{type:"transform",id:handle.id,from:handle.from,to}));dragTo.current=null;setHandle(null)};const onCanvasDown=e=>{if(e.pointerType==="mouse"&&e.button!==0&&e.button!==1)return;if(e.button===1)e.preventDefault();e.currentTarget.setPointerCapture(e.pointerId);setSelectedConn(null);setWire(null);if(e.pointerType!=="touch"&&e.button===0&&!spaceHeld.current){const p=toWorld(e.clientX,e.clientY);const base=e.shiftKey?selection:[];setMarquee({pointerId:e.pointerId,x0:p.x,y0:p.y,x1:p.x,y1:p.y,base});setSelection(base);return}pointers.current.set(e.pointerId,{x:e.clientX,y:e.clientY});if(pointers.current.size===1&&e.pointerType==="touch")setSelection([])};const onCanvasMove=e=>{if(marquee&&marquee.pointerId===e.pointerId){const p=toWorld(e.clientX,e.clientY);const next={...marquee,x1:p.x,y1:p.y};setMarquee(next);setSelection([...new Set([...marquee.base,...pgInRect(items,next).map(it=>it.id)])]);return}const pts=pointers.current;if(!pts.has(e.pointerId))return;const before=[...pts.values()].slice(0,2);pts.set(e.pointerId,{x:e.clientX,y:e.clientY});const after=[...pts.values()].slice(0,2);if(after.length===1){setView(v=>({...v,x:v.x+after[0].x-before[0].x,y:v.y+after[0].y-before[0].y}));return}const rect=canvasRef.current.getBoundingClientRect();const dist=([a,b])=>Math.hypot(a.x-b.x,a.y-b.y)||1;const mid=([a,b])=>({x:(a.x+b.x)/2-rect.left,y:(a.y+b.y)/2-rect.top});const m0=mid(before),m1=mid(after);setView(v=>{const z=pgZoomAt(v,dist(after)/dist(before),m0.x,m0.y);return{...z,x:z.x+m1.x-m0.x,y:z.y+m1.y-m0.y}})};const onCanvasUp=e=>{if(marquee&&marquee.pointerId===e.pointerId)setMarquee(null);pointers.current.delete(e.pointerId)};useEffPG(()=>{const el=canvasRef.current;const onWheel=e=>{if(!e.ctrlKey&&!e.metaKey)return;e.preventDefault();const rect=el.getBoundingClientRect();setView(v=>pgZoomAt(v,Math.exp(-e.deltaY*.01),e.clientX-rect.left,e.clientY-rect.top))};el.addEventListener("wheel",onWheel,{passive:false});return()=>el.removeEventListener("wheel",onWheel)},[]);const zoomBy=factor=>{const rect=canvasRef.current.getBoundingClientRect();setView(v=>pgZoomAt(v,factor,rect.width/2,rect.height/2))};useEffPG(()=>{if(!wire)return;const onMove=e=>{const p=toWorld(e.clientX,e.clientY);setWire(w=>w&&{...w,x:p.x,y:p.y,moved:true})};const onUp=e=>{const hit=document.elementFromPoint(e.clientX,e.clientY);const el=hit&&hit.closest("[data-port]");if(el)endWire(Number(el.dataset.item),el.dataset.port);else if(wire.moved)setWire(null)};const onKey=e=>{if(e.key==="Escape")setWire(null)};window.addEventListener("pointermove",onMove);window.addEventListener("pointerup",onUp);window.addEventListener("keydown",onKey);return()=>{window.removeEventListener("pointermove",onMove);window.removeEventListener("pointerup",onUp);window.removeEventListener("keydown",onKey)}},[wire,mimic,view]);const startWire=(e,it,port)=>{e.preventDefault();e.stopPropagation();if(wire)return;const p=pgPortPoint(it,port);setWire({from:{item:it.id,port},x:p.x,y:p.y,moved:false})};const endWire=(itemId,port)=>{const{from}=wire;if(from.item===itemId){if(from.port!==port||wire.moved)setWire(null);return}if(!items.some(it=>it.id===itemId))return;const dup=connectors.some(c=>c.from.item===from.item&&c.from.port===from.port&&c.to.item===itemId&&c.to.port===port);if(!dup){const id=connectors.reduce((m,c)=>Math.max(m,c.id),0)+1;run({type:"connect",connector:{id,from,to:{item:itemId,port}}});setSelectedConn(id)}setWire(null)};const removeConnector=id=>{const connector=connectors.find(c=>c.id===id);if(connector)run({type:"disconnect",connector});setSelectedConn(null)};const nudge=(group,dx,dy)=>{const shift=clampShift(pgBounds(group),dx,dy);if(!shift.dx&&!shift.dy)return;run(pgGroup(group.map(it=>({type:"move",id:it.id,from:{x:it.x,y:it.y},to:{x:it.x+shift.dx,y:it.y+shift.dy}}))))};const removeSelection=()=>{run(pgRemoveMany(mimic,selection));setSelection([])};const align=mode=>run(pgGroup(pgAlign(selItems,mode)));const distribute=axis=>run(pgGroup(pgDistribute(selItems,axis)));const onKeyDown=e=>{if(e.target.closest("input, textarea, select"))return;if(e.key===" "&&!e.target.closest("button, [role=button]")){e.preventDefault();spaceHeld.current=true;return}const mod=e.ctrlKey||e.metaKey;const key=e.key.toLowerCase();if(mod&&key==="z"){e.preventDefault();if(e.shiftKey)redo();else undo();return}if(mod&&key==="y"){e.preventDefault();redo();return}if(mod&&key==="a"){e.preventDefault();setSelection(items.map(it=>it.id));return}if(e.key==="Escape"){setSelection([]);setSelectedConn(null);setWire(null);canvasRef.current.focus();return}if(e.key==="Delete"||e.key==="Backspace"){if(!selectedConn&&!selItems.length)return;e.preventDefault();if(selectedConn)removeConnector(selectedConn);else removeSelection();canvasRef.current.focus();return}const step=PG_NUDGE[e.key];if(step&&selItems.length&&!mod){e.preventDefault();const n=e.shiftKey?PG_GRID:1;nudge(selItems,step[0]*n,step[1]*n)}};const onKeyUp=e=>{if(e.key===" ")spaceHeld.current=false};const addItem=(kind,cx,cy)=>{const[w,h]=pgSymbol(kind).size;const at={x:cx-w/2,y:cy-h/2};const{x,y}=clampToView(kind,snap?pgSnap(at.x):at.x,snap?pgSnap(at.y):at.y);const id=pgNextId(items);run({type:"add",item:{id,kind,x,y,tag:`TAG-${String(id).padStart(3,"0")}`}});setSelection([id])};const addAtCentre=kind=>{const rect=canvasRef.current.getBoundingClientRect();const c=toWorld(rect.left+rect.width/2,rect.top+rect.height/2);addItem(kind,c.x,c.y)};const startGhost=(e,kind)=>{if(e.pointerType==="mouse"&&e.button!==0)return;e.preventDefault();e.currentTarget.setPointerCapture(e.pointerId);setGhost({kind,pointerId:e.pointerId,x0:e.clientX,y0:e.clientY,x:e.clientX,y:e.clientY,moved:false})};const moveGhost=e=>{if(!ghost||ghost.pointerId!==e.pointerId)return;const moved=ghost.moved||Math.hypot(e.clientX-ghost.x0,e.clientY-ghost.y0)>4;setGhost({...ghost,x:e.clientX,y:e.clientY,moved})};const endGhost=e=>{if(!ghost||ghost.pointerId!==e.pointerId)return;setGhost(null);if(e.type==="pointercancel")return;if(!ghost.moved){addAtCentre(ghost.kind);return}const rect=canvasRef.current.getBoundingClientRect();if(e.clientX<rect.left||e.clientX>rect.right||e.clientY<rect.top||e.clientY>rect.bottom)return;const p=toWorld(e.clientX,e.clientY);addItem(ghost.kind,p.x,p.y)};const remove=id=>{run(pgRemoveCommand(mimic,id));setSelection(selection.filter(s=>s!==id))};const clearAll=()=>{if(items.length)load({items:[],connectors:[],tags:{}})};const reset=()=>{load(PG_DEFAULT_MIMIC);setSelection([2]);setDocNote(null)};return React.createElement("section",{className:"section",id:"playground","data-screen-label":"06b Symbol Playground"},React.createElement("div",{className:"container"},React.createElement("div",{className:"section-head"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"Try it \xB7 Interactive canvas"),React.createElement("h2",{style:{marginTop:14}},"Drag a symbol.",React.createElement("br",null),React.createElement("span",{style:{color:"var(--fg-mute)"}},"Watch it come alive."))),React.createElement("p",{className:"lead"},"A taste of how our PI Vision and Grafana surfaces feel in the wild. Drag any symbol from the palette onto the canvas, move it around, watch the values tick. Same model we ship to operators \u2014 minus the asset bindings.")),React.createElement("div",{className:"pg-wrap",onKeyDown,onKeyUp},React.createElement("aside",{className:"pg-palette"},React.createElement("div",{className:"pg-palette__head"},React.createElement("span",{className:"tag"},"Palette"),React.createElement("span",{className:"live"},React.createElement("span",{className:"dot"})," drag")),React.createElement("input",{className:"pg-search",type:"search",value:query,placeholder:"Search symbols","aria-label":"Search symbols",onChange:e=>setQuery(e.target.value),onKeyDown:e=>{if(e.key==="Enter"&&groups.length){e.preventDefault();addAtCentre(groups[0].symbols[0].kind)}}}),React.createElement("div",{className:"pg-palette__list"},groups.map(g=>React.createElement("div",{key:g.category,role:"group","aria-label":g.category},React.createElement("div",{className:"pg-palette__cat"},g.category),React.createElement("div",{className:"pg-palette__grid"},g.symbols.map(s=>React.createElement("div",{key:s.kind,className:"pg-chip",role:"button",tabIndex:0,"aria-label":`Add ${s.name}`,onPointerDown:e=>startGhost(e,s.kind),onPointerMove:moveGhost,onPointerUp:endGhost,onPointerCancel:endGhost,onKeyDown:e=>{if(e.key==="Enter"||e.key===" "){e.preventDefault();addAtCentre(s.kind)}}},React.createElement("div",{className:"pg-chip__icon"},React.createElement(SymbolGraphic,{kind:s.kind,motion,i:s.kind.length,look})),React.createElement("div",{className:"pg-chip__name"},s.name)))))),!groups.length&&React.createElement("div",{className:"pg-note"},"No symbol matches \u201C",query,"\u201D.")),ghost&&ghost.moved&&ReactDOM.createPortal(React.createElement("div",{className:"pg-ghost",style:{left:ghost.x,top:ghost.y,transform:`translate(-50%, -50%) scale(${view.zoom})`},"aria-hidden":"true"},React.createElement(SymbolGraphic,{kind:ghost.kind,motion,i:0,look})),document.body),React.createElement("div",{className:"pg-actions"},React.createElement("button",{className:"btn",onClick:reset,style:{padding:"8px 12px",fontSize:11}},"Reset"),React.createElement("button",{className:"btn",onClick:clearAll,style:{padding:"8px 12px",fontSize:11}},"Clear")),React.createElement("div",{className:"pg-actions"},React.createElement("button",{className:"btn",onClick:exportJSON,style:{padding:"8px 12px",fontSize:11},title:"Download as a JSON mimic file"},"Export"),React.createElement("button",{className:"btn",onClick:()=>fileRef.current.click(),style:{padding:"8px 12px",fontSize:11},title:"Open a JSON mimic file"},"Import"),React.createElement("button",{className:"btn",onClick:share,style:{padding:"8px 12px",fontSize:11},title:"Copy a link that opens this sketch"},"Share"),React.createElement("input",{ref:fileRef,type:"file",accept:"application/json,.json",hidden:true,onChange:importJSON})),React.createElement("div",{className:"pg-actions"},React.createElement("button",{className:"btn",onClick:exportSVG,disabled:!items.length,style:{padding:"8px 12px",fontSize:11},title:"Download a standalone SVG for slides"},"SVG"),React.createElement("button",{className:"btn",onClick:exportPNG,disabled:!items.length,style:{padding:"8px 12px",fontSize:11},title:"Download a 2\xD7 PNG"},"PNG")),React.createElement("div",{className:"pg-actions"},React.createElement("select",{className:"pg-look mono",value:source,onChange:e=>setSource(e.target.value),"aria-label":"Grafana data source",title:"Data source the dashboard queries"},Object.entries(PG_GRAFANA_SOURCES).map(([key,s])=>React.createElement("option",{key,value:key},s.name))),React.createElement("button",{className:"btn",onClick:exportGrafana,disabled:!items.length,style:{padding:"8px 12px",fontSize:11},title:"Download a Grafana dashboard with one panel per symbol"},"Grafana")),docNote&&React.createElement("div",{className:"pg-note"+(docNote.ok?"":" pg-note--bad"),role:docNote.ok?"status":"alert"},docNote.text)),React.createElement("div",{className:"pg-canvas-wrap"},React.createElement("div",{className:"pg-canvas-head"},React.createElement("div",{style:{display:"flex",gap:14,alignItems:"center"}},React.createElement("span",{className:"mono",style:{fontSize:11,color:"var(--fg-mute)",letterSpacing:"0.1em"}},"operations / mimic / unit-04")),React.createElement("div",{style:{display:"flex",gap:12,alignItems:"center"}},React.createElement("button",{className:"btn pg-hist",onClick:undo,disabled:!hist.past.length,"aria-label":"Undo",title:"Undo (Ctrl+Z)"},"\u21B6"),React.createElement("button",{className:"btn pg-hist",onClick:redo,disabled:!hist.future.length,"aria-label":"Redo",title:"Redo (Ctrl+Shift+Z)"},"\u21B7"),React.createElement("select",{className:"pg-look mono",value:look,onChange:e=>setLook(e.target.value),"aria-label":"Symbol style",title:"Symbol style"},Object.entries(PG_LOOKS).map(([key,l])=>React.createElement("option",{key,value:key},l.name))),React.createElement("label",{className:"pg-snap mono",title:"Snap to the grid while dragging (hold Alt to drag freely)"},React.createElement("input",{type:"checkbox",checked:snap,onChange:e=>setSnap(e.target.checked)})," snap"),React.createElement("button",{className:"btn pg-hist",onClick:()=>zoomBy(1/1.25),disabled:view.zoom<=PG_ZOOM[0],"aria-label":"Zoom out"},"\u2212"),React.createElement("button",{className:"btn pg-hist mono",onClick:()=>setView({zoom:1,x:0,y:0}),title:"Reset zoom and pan",style:{fontSize:10,minWidth:46}},Math.round(view.zoom*100),"%"),React.createElement("button",{className:"btn pg-hist",onClick:()=>zoomBy(1.25),disabled:view.zoom>=PG_ZOOM[1],"aria-label":"Zoom in"},"+"),React.createElement("span",{className:"mono",style:{fontSize:10,color:"var(--fg-dim)",letterSpacing:"0.1em"}},items.length," symbols \xB7 ",connectors.length," pipes"),React.createElement("span",{className:"live"},React.createElement("span",{className:"dot"})," live \xB7 1s"))),React.createElement("div",{className:"pg-canvas"+(wire?" pg-canvas--wiring":"")+(look==="hpm"?" pg-canvas--hpm":""),ref:canvasRef,tabIndex:-1,style:{backgroundPosition:`${view.x}px ${view.y}px`,backgroundSize:`${24*view.zoom}px ${24*view.zoom}px`},"aria-label":"Mimic canvas","aria-describedby":"pg-keys",onPointerDown:onCanvasDown,onPointerMove:onCanvasMove,onPointerUp:onCanvasUp,onPointerCancel:onCanvasUp},React.createElement("p",{id:"pg-keys",className:"sr-only"},"Tab between symbols; Shift-click or drag a box to select several. Arrow keys move the selection, Shift+arrow moves it one grid step, Delete removes it, Escape deselects, Ctrl+A selects all. Ctrl+Z undoes, Ctrl+Shift+Z redoes."),React.createElement("div",{className:"pg-stage",style:{transform:`translate(${view.x}px, ${view.y}px) scale(${view.zoom})`}},React.createElement("svg",{className:"pg-pipes","aria-hidden":"true"},connectors.map(c=>{const pts=pgConnectorPoints(c,items);if(!pts)return null;const d=pgPath(pts);return React.createElement("g",{key:c.id,className:"pg-pipe"+(selectedConn===c.id?" pg-pipe--sel":""),onPointerDown:e=>{e.stopPropagation();setSelectedConn(c.id);setSelection([])}},React.createElement("path",{d,className:"pg-pipe__hit"}),React.createElement("path",{d,className:"pg-pipe__body"}),React.createElement("path",{d,className:"pg-pipe__flow",style:{animationDuration:`${1.2/motion}s`}}))}),wire&&(()=>{const a=pgPortPoint(items.find(it=>it.id===wire.from.item),wire.from.port);return React.createElement("path",{className:"pg-pipe__draft",d:pgPath(pgRoute(a,{x:wire.x,y:wire.y,dir:[-a.dir[0],-a.dir[1]]}))})})(),guides.map((g,k)=>React.createElement("line",{key:k,className:"pg-guide",...g,style:{strokeWidth:1/view.zoom}}))),marquee&&React.createElement("div",{className:"pg-marquee",style:{left:Math.min(marquee.x0,marquee.x1),top:Math.min(marquee.y0,marquee.y1),width:Math.abs(marquee.x1-marquee.x0),height:Math.abs(marquee.y1-marquee.y0)}}),connectors.filter(c=>c.id===selectedConn).map(c=>{const pts=pgConnectorPoints(c,items);const m=pts&&pts[Math.floor(pts.length/2)];return m&&React.createElement("button",{key:c.id,className:"pg-item__close pg-pipe__close",style:{left:m.x-9,top:m.y-9},"aria-label":"Delete pipe",onPointerDown:e=>e.stopPropagation(),onClick:()=>removeConnector(c.id)},"\xD7")}),items.map(it=>{const reading=pgReading(mimic.tags,it,t,items);const[w,h]=pgItemSize(it);return React.createElement("div",{key:it.id,className:"pg-item"+(selection.includes(it.id)?" pg-item--sel":""),"data-alarm":reading.state?reading.state.toLowerCase():void 0,style:{left:it.x,top:it.y,width:w,height:h,transform:it.rot?`rotate(${it.rot}deg)`:void 0},tabIndex:0,role:"group","aria-label":`${pgSymbol(it.kind).name} ${it.tag}${reading.state?`, ${reading.state} alarm`:""}`,"aria-describedby":"pg-keys",onFocus:()=>{if(!selection.includes(it.id))setSelection([it.id]);setSelectedConn(null)},onPointerDown:e=>startMoveItem(e,it),onPointerMove:moveItem,onPointerUp:endMoveItem,onPointerCancel:endMoveItem},React.createElement("div",{className:"pg-item__body",style:{width:pgSymbol(it.kind).size[0],height:pgSymbol(it.kind).size[1],transform:it.scale&&it.scale!==1?`scale(${it.scale})`:void 0}},React.createElement("div",{className:"pg-item__tag"},it.tag),React.createElement(SymbolGraphic,{kind:it.kind,motion,i:it.id,reading,props:pgItemProps(it),look})),React.createElement("button",{className:"pg-item__close",tabIndex:-1,"aria-label":`Delete ${it.tag}`,onPointerDown:e=>{e.stopPropagation()},onClick:e=>{e.stopPropagation();remove(it.id)}},"\xD7"),sel&&sel.id===it.id&&React.createElement(React.Fragment,null,React.createElement("span",{className:"pg-handle pg-handle--rotate",style:{left:w/2-6,top:-28},title:"Drag to rotate (Alt: free)",onPointerDown:e=>startHandle(e,it,"rotate"),onPointerMove:moveHandle,onPointerUp:endHandle,onPointerCancel:endHandle}),React.createElement("span",{className:"pg-handle pg-handle--resize",style:{left:w-6,top:h-6},title:"Drag to resize",onPointerDown:e=>startHandle(e,it,"resize"),onPointerMove:moveHandle,onPointerUp:endHandle,onPointerCancel:endHandle})),Object.entries(pgPorts(it.kind,it.scale||1)).map(([port,p])=>React.createElement("span",{key:port,"data-port":port,"data-item":it.id,className:"pg-port"+(wire&&wire.from.item===it.id&&wire.from.port===port?" pg-port--active":""),style:{left:p.x-6,top:p.y-6},title:"Drag to another port to connect",onPointerDown:e=>startWire(e,it,port)})))})),items.length===0&&React.createElement("div",{className:"pg-empty"},"Drag a symbol from the palette \u2192"))),React.createElement("aside",{className:"pg-inspector"},React.createElement("div",{className:"pg-palette__head"},React.createElement("span",{className:"tag"},"Inspector"),sel&&React.createElement("span",{className:"live"},React.createElement("span",{className:"dot"})," bound")),selItems.length>1?React.createElement(SelectionPanel,{count:selItems.length,onAlign:align,onDistribute:distribute,onDelete:removeSelection}):sel?React.createElement(InspectorPanel,{key:sel.id,item:sel,tags:mimic.tags,items,onShape:shape=>run({type:"transform",id:sel.id,from:shapeOf(sel),to:shape}),onProps:props=>run({type:"configure",id:sel.id,from:sel.props,to:props}),t,shared:items.filter(it=>it.tag===sel.tag).length,onTag:tag=>run({type:"retag",id:sel.id,from:sel.tag,to:tag}),onTune:cfg=>run({type:"retune",name:sel.tag,from:Object.hasOwn(mimic.tags,sel.tag)?mimic.tags[sel.tag]:void 0,to:cfg})}):React.createElement("div",{style:{color:"var(--fg-dim)",fontFamily:"var(--font-mono)",fontSize:12,padding:12}},"Select a symbol to inspect its live values.")))))}const PG_ALIGN=[["left","Left"],["center","Center"],["right","Right"],["top","Top"],["middle","Middle"],["bottom","Bottom"]];function SelectionPanel({count,onAlign,onDistribute,onDelete}){const small={padding:"6px 8px",fontSize:11};return React.createElement("div",{className:"pg-inspect"},React.createElement("div",{className:"pg-inspect__row"},React.createElement("label",null,"Selection"),React.createElement("span",{className:"mono",style:{fontSize:12}},count," symbols")),React.createElement("div",{className:"pg-inspect__sep"}),React.createElement("div",{className:"pg-inspect__row"},React.createElement("label",null,"Align"),React.createElement("div",{className:"pg-align"},PG_ALIGN.map(([mode,name])=>React.createElement("button",{key:mode,className:"btn",style:small,onClick:()=>onAlign(mode)},name)))),React.createElement("div",{className:"pg-inspect__row"},React.createElement("label",null,"Distribute"),React.createElement("div",{className:"pg-align pg-align--2"},React.createElement("button",{className:"btn",style:small,disabled:count<3,onClick:()=>onDistribute("x")},"Horizontally"),React.createElement("button",{className:"btn",style:small,disabled:count<3,onClick:()=>onDistribute("y")},"Vertically"))),React.createElement("div",{className:"pg-inspect__sep"}),React.createElement("button",{className:"btn",style:small,onClick:onDelete},"Delete ",count," symbols"))}const pgTagDraft=cfg=>({waveform:cfg.waveform,period:String(cfg.period),units:cfg.units,min:String(cfg.min),max:String(cfg.max),...Object.fromEntries(PG_LIMITS.map(k=>[k,cfg.limits[k]==null?"":String(cfg.limits[k])]))});const pgDraftNum=s=>s.trim()===""?NaN:Number(s);const pgTagFromDraft=d=>({waveform:d.waveform,period:pgDraftNum(d.period),units:d.units.trim(),min:pgDraftNum(d.min),max:pgDraftNum(d.max),limits:Object.fromEntries(PG_LIMITS.map(k=>[k,d[k].trim()===""?null:pgDraftNum(d[k])]))});function PgTagTrend({cfg,name,t,width=240,height=50}){const y=v=>height-2-(v-cfg.min)/(cfg.max-cfg.min)*(height-4);const pts=Array.from({length:61},(_,k)=>`${k/60*width},${y(pgTagValue(cfg,name,t-60+k)).toFixed(1)}`);return React.createElement("svg",{width,height,viewBox:`0 0 ${width} ${height}`,style:{display:"block",width:"100%"},"aria-hidden":"true"},PG_LIMITS.filter(k=>cfg.limits[k]!=null).map(k=>React.createElement("line",{key:k,x1:"0",x2:width,y1:y(cfg.limits[k]),y2:y(cfg.limits[k]),strokeDasharray:"3 4",strokeWidth:"1",stroke:k.length>2?"var(--bad)":"var(--warn)",opacity:"0.6"})),React.createElement("polyline",{points:pts.join(" "),fill:"none",stroke:"var(--accent)",strokeWidth:"1.5",strokeLinejoin:"round"}))}function InspectorPanel({item,tags,items,t,shared,onTag,onTune,onShape,onProps}){const cfg=pgTagConfig(tags,item,items);const{signal,props:schema}=pgSymbol(item.kind);const reading=pgReading(tags,item,t,items);const[draft,setDraft]=usePG(()=>pgTagDraft(cfg));const cfgKey=JSON.stringify(cfg);useEffPG(()=>{if(JSON.stringify(pgTagFromDraft(draft))!==cfgKey)setDraft(pgTagDraft(cfg))},[item.tag,cfgKey]);const problem=pgTagProblem(pgTagFromDraft(draft));const edit=(field2,value)=>{const next={...draft,[field2]:value};setDraft(next);const nextCfg=pgTagFromDraft(next);if(!pgTagProblem(nextCfg))onTune(nextCfg)};const field=(name,label,props={})=>React.createElement("div",{className:"pg-inspect__field"},React.createElement("label",{htmlFor:`pg-tag-${name}`},label),React.createElement("input",{id:`pg-tag-${name}`,value:draft[name],inputMode:"decimal",onChange:e=>edit(name,e.target.value),...props}));const reshape=({size,rot})=>{const scale=size/100;const[w0,h0]=pgItemSize(item),[w,h]=pgItemSize({kind:item.kind,scale});onShape({x:Math.max(0,Math.round(item.x+(w0-w)/2)),y:Math.max(0,Math.round(item.y+(h0-h)/2)),scale,rot})};const defaults=pgPropDefaults(item.kind);const configure=values=>onProps(Object.fromEntries(Object.entries(values).filter(([k,v])=>JSON.stringify(v)!==JSON.stringify(defaults[k]))));return React.createElement("div",{className:"pg-inspect"},React.createElement("div",{className:"pg-inspect__row"},React.createElement("label",null,"Tag"),React.createElement("input",{value:item.tag,onChange:e=>onTag(e.target.value)})),React.createElement("div",{className:"pg-inspect__row"},React.createElement("label",null,"Asset class"),React.createElement("span",{className:"mono",style:{fontSize:12}},item.kind)),React.createElement(PgSchemaForm,{schema:PG_SHAPE,values:{size:Math.round((item.scale||1)*100),rot:item.rot||0},onChange:reshape}),schema.length>0&&React.createElement(React.Fragment,null,React.createElement("div",{className:"pg-inspect__sep"}),React.createElement("div",{style:{fontFamily:"var(--font-mono)",fontSize:10,color:"var(--fg-dim)",letterSpacing:"0.12em",textTransform:"uppercase"}},"Properties"),React.createElement(PgSchemaForm,{schema,values:pgItemProps(item),onChange:configure})),React.createElement("div",{className:"pg-inspect__sep"}),React.createElement("div",{style:{fontFamily:"var(--font-mono)",fontSize:10,color:"var(--fg-dim)",letterSpacing:"0.12em",textTransform:"uppercase",marginBottom:8}},"Live value"),React.createElement("div",{style:{display:"flex",justifyContent:"space-between",alignItems:"baseline",padding:"6px 8px",background:"rgba(255,255,255,0.02)",borderRadius:3}},React.createElement("span",{className:"mono",style:{fontSize:11,color:"var(--fg-mute)"}},signal.label),React.createElement("span",{className:"mono",style:{fontSize:13,color:reading.color||"var(--accent-2)"}},reading.text,React.createElement("span",{className:"pg-state"+(reading.state?` pg-state--${reading.state.toLowerCase()}`:"")},reading.state||"OK"))),React.createElement("div",{style:{marginTop:8}},React.createElement(PgTagTrend,{cfg,name:item.tag,t})),React.createElement("div",{style:{fontFamily:"var(--font-mono)",fontSize:9,color:"var(--fg-dim)",letterSpacing:"0.1em",marginTop:6,textAlign:"right"}},shared>1?`SHARED BY ${shared} SYMBOLS \xB7 `:"","LAST 60 S \xB7 SIMULATED"),React.createElement("div",{className:"pg-inspect__sep"}),React.createElement("div",{style:{fontFamily:"var(--font-mono)",fontSize:10,color:"var(--fg-dim)",letterSpacing:"0.12em",textTransform:"uppercase",marginBottom:8}},"Tag config"),React.createElement("div",{className:"pg-inspect__grid"},React.createElement("div",{className:"pg-inspect__field"},React.createElement("label",{htmlFor:"pg-tag-waveform"},"Waveform"),React.createElement("select",{id:"pg-tag-waveform",value:draft.waveform,onChange:e=>edit("waveform",e.target.value)},PG_WAVEFORMS.map(w=>React.createElement("option",{key:w,value:w},w)))),field("period","Period s"),field("units","Units",{inputMode:"text",maxLength:12}),React.createElement("div",null),field("min","Range min"),field("max","Range max"),field("lolo","LOLO"),field("lo","LO"),field("hi","HI"),field("hihi","HIHI")),problem&&React.createElement("div",{className:"pg-note pg-note--bad",role:"alert"},problem[0].toUpperCase()+problem.slice(1)),Object.hasOwn(tags,item.tag)&&React.createElement("button",{className:"btn",style:{padding:"6px 8px",fontSize:11,marginTop:8},onClick:()=>onTune(void 0)},"Use default"))}Object.assign(window,{SymbolPlayground,PG_SCALE,pgItemSize,pgPorts,pgPath,pgConnectorPoints});;const{useState:useGBI}=React;const GB_POINTS=80;const GB_IMPORT_MAX_BYTES=20*1024*1024;const GB_IMPORT_MAX_PARAMS=6;const GB_IMPORT_TOLERANCE=.06;function gbParseCSV(text){const src=text.replace(/^\uFEFF/,"");const first=src.slice(0,src.search(/\r?\n|$/));const delim=["	",";",","].reduce((best,d)=>first.split(d).length>first.split(best).length?d:best,",");const rows=[];let row=[],cell="",quoted=false;for(let i=0;i<src.length;i++){const ch=src[i];if(quoted){if(ch==='"'&&src[i+1]==='"'){cell+='"';i++}else if(ch==='"')quoted=false;else cell+=ch}else if(ch==='"'&&cell==="")quoted=true;else if(ch===delim){row.push(cell);cell=""}else if(ch==="\n"||ch==="\r"){if(ch==="\r"&&src[i+1]==="\n")i++;row.push(cell);rows.push(row);row=[];cell=""}else cell+=ch}if(quoted)throw new Error("A quoted field is never closed.");if(cell!==""||row.length){row.push(cell);rows.push(row)}const body=rows.filter(r=>r.some(c=>c.trim()!==""));if(body.length<2)throw new Error("The file needs a header row and at least one data row.");const headers=body[0].map((h,i)=>h.trim()||`Column ${i+1}`);return{headers,rows:body.slice(1).map(r=>r.map(c=>c.trim()))}}const gbNumber=s=>s===""?NaN:Number(s.replace(/^(-?\d+),(\d+)$/,"$1.$2"));function gbSplitHeader(header){const m=header.match(/^(.*?)\s*[[(]([^\])]*)[\])]\s*$/);return m&&m[1]?{name:m[1],unit:m[2].trim()}:{name:header,unit:""}}function gbNumericColumns({headers,rows}){const sample=rows.slice(0,200);return headers.map((_,c)=>{const vals=sample.map(r=>r[c]||"").filter(Boolean);return vals.length>0&&vals.filter(v=>!Number.isNaN(gbNumber(v))).length>=vals.length*.9})}function gbMappingParams(table,batch,time,prev=null){const numeric=gbNumericColumns(table);const params=table.headers.map((h,c)=>({col:c,...gbSplitHeader(h),tolerance:GB_IMPORT_TOLERANCE,use:false})).filter(p=>p.col!==batch&&p.col!==time&&numeric[p.col]);return params.map((p,k)=>prev?prev.find(q=>q.col===p.col)||p:{...p,use:k<GB_IMPORT_MAX_PARAMS})}function gbGuessMapping(table){const{headers}=table;const numeric=gbNumericColumns(table);const isTime=h=>/time|date|elapsed|^t$/i.test(h);const isId=h=>/(^|[^a-z])(batch|lot|run)([\s_-]*(id|no|number))?([^a-z]|$)/i.test(h);const ids=headers.map((_,c)=>c).filter(c=>isId(headers[c])&&!isTime(headers[c]));const batch=ids.find(c=>!numeric[c])??ids[0]??-1;const time=headers.findIndex((h,c)=>c!==batch&&isTime(h));return{batch,time,params:gbMappingParams(table,batch,time)}}function gbTime(s,n){const v=gbNumber(s);if(!Number.isNaN(v))return v;const d=Date.parse(s);if(Number.isNaN(d))throw new Error(`Row ${n+2}: can't read "${s.slice(0,24)}" as a time.`);return d/1e3}function gbResample(t,v,n=GB_POINTS){const pts=t.map((x,i)=>[x,v[i]]).filter(([x,y])=>Number.isFinite(x)&&Number.isFinite(y)).sort((a,b)=>a[0]-b[0]);if(pts.length<2||pts[pts.length-1][0]===pts[0][0])return null;const t0=pts[0][0],span=pts[pts.length-1][0]-t0;const out=[];let j=0;for(let i=0;i<n;i++){const at=t0+span*i/(n-1);while(j<pts.length-2&&pts[j+1][0]<at)j++;const[xa,ya]=pts[j],[xb,yb]=pts[j+1];out.push(xb===xa?ya:ya+(yb-ya)*(at-xa)/(xb-xa))}return out}function gbBuildDataset(table,mapping,name="Imported"){const params=mapping.params.filter(p=>p.use&&p.col!==mapping.batch&&p.col!==mapping.time);if(mapping.batch<0)throw new Error("Pick the column that tells batches apart.");if(!params.length)throw new Error("Map at least one column to a parameter.");if(params.length>GB_IMPORT_MAX_PARAMS)throw new Error(`Map at most ${GB_IMPORT_MAX_PARAMS} parameters.`);params.forEach(p=>{if(!(p.tolerance>0&&p.tolerance<1))throw new Error(`${p.name}: the band must be between 0 and 100 %.`)});const groups=new Map;table.rows.forEach((r,n)=>{const id=r[mapping.batch];if(!id)return;if(!groups.has(id))groups.set(id,{t:[],cols:params.map(()=>[]),dated:false});const g=groups.get(id);const cell=mapping.time>=0?r[mapping.time]||"":"";g.t.push(mapping.time>=0?gbTime(cell,n):g.t.length);if(cell&&Number.isNaN(gbNumber(cell)))g.dated=true;params.forEach((p,k)=>g.cols[k].push(gbNumber(r[p.col]||"")))});const raw=[];groups.forEach((g,id)=>{const series=g.cols.map(v=>gbResample(g.t,v));const[t0,t1]=g.t.reduce(([lo,hi],x)=>[Math.min(lo,x),Math.max(hi,x)],[Infinity,-Infinity]);if(series.every(Boolean))raw.push({id,duration:t1-t0,start:g.dated?t0:null,series})});if(raw.length<2)throw new Error(`Found ${raw.length} usable run${raw.length===1?"":"s"}; a comparison needs at least two with two or more samples each.`);const spans=params.map((_,k)=>{const[lo,hi]=raw.flatMap(r=>r.series[k]).reduce(([a,b],v)=>[Math.min(a,v),Math.max(b,v)],[Infinity,-Infinity]);const pad=(hi-lo)*.05||Math.abs(lo)*.05||1;return[lo-pad,hi+pad]});return{name,params:params.map((p,k)=>({key:`c${p.col}`,name:p.name,unit:p.unit,span:spans[k],tolerance:p.tolerance})),runs:raw.map(r=>({id:r.id,duration:r.duration,start:r.start,curves:Object.fromEntries(params.map((p,k)=>{const[lo,hi]=spans[k];return[`c${p.col}`,r.series[k].map(v=>(v-lo)/(hi-lo))]}))}))}}function gbReadFile(file){if(file.size>GB_IMPORT_MAX_BYTES)return Promise.reject(new Error(`${file.name} is over ${GB_IMPORT_MAX_BYTES/1024/1024} MB.`));return file.text().then(gbParseCSV)}function GbImportPanel({file,table,onApply,onCancel}){const[mapping,setMapping]=useGBI(()=>gbGuessMapping(table));const[error,setError]=useGBI(null);const setParam=(col,patch)=>setMapping(m=>({...m,params:m.params.map(p=>p.col===col?{...p,...patch}:p)}));const apply=()=>{try{onApply(gbBuildDataset(table,mapping,file))}catch(e){setError(e.message)}};const pick=(key,col)=>setMapping(m=>{const next={...m,[key]:col};return{...next,params:gbMappingParams(table,next.batch,next.time,m.params)}});const column=(key,label,none)=>React.createElement("label",{className:"gb-import__field"},React.createElement("span",null,label),React.createElement("select",{className:"gb-select",value:mapping[key],onChange:e=>pick(key,Number(e.target.value))},React.createElement("option",{value:-1},none),table.headers.map((h,c)=>React.createElement("option",{key:c,value:c},h))));return React.createElement("div",{className:"gb-import",role:"group","aria-label":"Map imported columns"},React.createElement("div",{className:"gb-import__head"},React.createElement("span",{className:"mono"},file," \xB7 ",table.rows.length.toLocaleString("en-US")," rows \xB7 ",table.headers.length," columns"),React.createElement("span",{className:"gb-import__note"},"Parsed in your browser \u2014 nothing is uploaded.")),React.createElement("div",{className:"gb-import__grid"},column("batch","Batch id","\u2014 choose \u2014"),column("time","Time","Row order")),React.createElement("div",{className:"gb-import__params"},mapping.params.map(p=>React.createElement("div",{key:p.col,className:"gb-import__param"+(p.use?"":" gb-import__param--off")},React.createElement("label",{className:"gb-import__use"},React.createElement("input",{type:"checkbox",checked:p.use,onChange:e=>setParam(p.col,{use:e.target.checked})}),React.createElement("span",{className:"mono"},table.headers[p.col])),React.createElement("input",{"aria-label":"Parameter name",value:p.name,maxLength:24,onChange:e=>setParam(p.col,{name:e.target.value}),disabled:!p.use}),React.createElement("input",{"aria-label":"Unit",value:p.unit,maxLength:8,placeholder:"unit",onChange:e=>setParam(p.col,{unit:e.target.value}),disabled:!p.use}),React.createElement("input",{"aria-label":"Band, % of span",type:"number",min:"1",max:"50",step:"1",value:Math.round(p.tolerance*100),onChange:e=>setParam(p.col,{tolerance:Number(e.target.value)/100}),disabled:!p.use}))),!mapping.params.length&&React.createElement("div",{className:"gb-import__note"},"No numeric columns found.")),error&&React.createElement("div",{className:"gb-import__error",role:"alert"},error),React.createElement("div",{className:"gb-import__actions"},React.createElement("button",{className:"btn",onClick:onCancel,style:{padding:"7px 12px",fontSize:11}},"Cancel"),React.createElement("button",{className:"btn btn--primary",onClick:apply,style:{padding:"7px 12px",fontSize:11}},"Compare runs")))}Object.assign(window,{GB_POINTS,gbParseCSV,gbGuessMapping,gbMappingParams,gbResample,gbBuildDataset,gbReadFile,GbImportPanel});;const GB_DTW_BAND=.2;const GB_DTW_PENALTY=.02;function gbDTW(ref,cur,{band=GB_DTW_BAND,penalty=GB_DTW_PENALTY,open=false}={}){const n=ref.length,m=cur.length;if(!n||!m)throw new Error("gbDTW needs two non-empty series.");const w=Math.max(open?0:Math.abs(n-m),Math.ceil(band*Math.max(n,m)));const dist=(a,b)=>Math.sqrt(a.reduce((s,v,k)=>s+(v-b[k])**2,0));const D=Array.from({length:n},()=>new Float64Array(m).fill(Infinity));const steps=Array.from({length:n},()=>new Uint32Array(m));const from=Array.from({length:n},()=>new Uint8Array(m));for(let i=0;i<n;i++){for(let j=Math.max(0,i-w);j<Math.min(m,i+w+1);j++){const d=dist(ref[i],cur[j]);if(!i&&!j){D[0][0]=d;steps[0][0]=1;continue}let bi=-1,bj=-1,best=Infinity;[[i-1,j-1,0],[i-1,j,penalty],[i,j-1,penalty]].forEach(([a,b,extra])=>{if(a>=0&&b>=0&&D[a][b]+extra<best){bi=a;bj=b;best=D[a][b]+extra}});if(best===Infinity)continue;D[i][j]=best+d;steps[i][j]=steps[bi][bj]+1;from[i][j]=bi===i?2:bj===j?1:0}}let end=n-1;if(open){for(let i=0;i<n;i++)if(D[i][m-1]/steps[i][m-1]<D[end][m-1]/steps[end][m-1])end=i}const path=[[end,m-1]];for(let i=end,j=m-1;i||j;){const f=from[i][j];if(f!==2)i--;if(f!==1)j--;path.push([i,j])}return{path:path.reverse(),end,cost:D[end][m-1]/steps[end][m-1]}}function gbWarp(series,path){const sum=[],count=[];path.forEach(([i,j])=>{sum[i]=(sum[i]||0)+series[j];count[i]=(count[i]||0)+1});return sum.map((s,i)=>s/count[i])}function gbAlignRun(axis,curves,keys,upto=curves[keys[0]].length-1){const n=axis[keys[0]].length;const vectors=(src,len)=>[...Array(len)].map((_,i)=>keys.map(k=>src[k][i]));const{path,end}=gbDTW(vectors(axis,n),vectors(curves,upto+1),{open:upto<n-1});return{path,end,aligned:Object.fromEntries(keys.map(k=>[k,gbWarp(curves[k],path)]))}}function gbAt(series,u){const x=Math.min(1,Math.max(0,u))*(series.length-1);const k=Math.min(series.length-2,Math.floor(x));return series[k]+(series[k+1]-series[k])*(x-k)}function gbPhaseWarp(series,from,to){if(from.length!==to.length||from.length<2)throw new Error("gbPhaseWarp needs matching boundary lists.");const n=series.length;return series.map((_,k)=>{const u=k/(n-1);let s=0;while(s<to.length-2&&u>to[s+1])s++;const v=from[s]+(u-to[s])*(from[s+1]-from[s])/(to[s+1]-to[s]||1);return gbAt(series,v)})}Object.assign(window,{GB_DTW_BAND,GB_DTW_PENALTY,gbDTW,gbWarp,gbAlignRun,gbAt,gbPhaseWarp});;const GB_ENVELOPES=[{key:"3s",name:"Mean \xB1 3\u03C3",method:"sigma",k:3},{key:"2s",name:"Mean \xB1 2\u03C3",method:"sigma",k:2},{key:"p90",name:"P5 \u2013 P95",method:"percentile",pct:[5,95]},{key:"p98",name:"P1 \u2013 P99",method:"percentile",pct:[1,99]}];const GB_ENVELOPE_FLOOR=.01;function gbQuantile(values,q){const s=[...values].sort((a,b)=>a-b);const x=q*(s.length-1),k=Math.floor(x);return k+1<s.length?s[k]+(s[k+1]-s[k])*(x-k):s[k]}const gbPhaseOf=(i,n,bounds)=>{const u=i/(n-1);let s=0;while(s<bounds.length-2&&u>=bounds[s+1])s++;return s};function gbAlignRuns(runs,axis,keys){const vec=curves=>curves[keys[0]].map((_,i)=>keys.map(key=>curves[key][i]));const ref=vec(axis);return runs.map(r=>{const{path}=gbDTW(ref,vec(r.curves));return Object.fromEntries(keys.map(key=>[key,gbWarp(r.curves[key],path)]))})}function gbEnvelope(runs,params,spec=GB_ENVELOPES[0],bounds=[0,1]){if(!runs.length)throw new Error("The golden set is empty.");const keys=params.map(p=>p.key);const n=runs[0].curves[keys[0]].length;const mean=aligned2=>Object.fromEntries(keys.map(key=>[key,aligned2[0][key].map((_,i)=>aligned2.reduce((s,a)=>s+a[key][i],0)/aligned2.length)]));let aligned=gbAlignRuns(runs,runs[0].curves,keys);if(runs.length>1)aligned=gbAlignRuns(runs,mean(aligned),keys);const center=mean(aligned);const clamp=v=>Math.max(0,Math.min(1,v));return Object.fromEntries(params.map(p=>{const c=center[p.key];const phases=bounds.slice(1).map((_,s)=>{if(runs.length<2)return{lo:-p.tolerance,hi:p.tolerance};const scale=Math.sqrt(runs.length/(runs.length-1));const res=[];aligned.forEach(a=>a[p.key].forEach((v,i)=>{if(gbPhaseOf(i,n,bounds)===s)res.push((v-c[i])*scale)}));if(!res.length)return{lo:-GB_ENVELOPE_FLOOR,hi:GB_ENVELOPE_FLOOR};if(spec.method==="percentile"){return{lo:Math.min(-GB_ENVELOPE_FLOOR,gbQuantile(res,spec.pct[0]/100)),hi:Math.max(GB_ENVELOPE_FLOOR,gbQuantile(res,spec.pct[1]/100))}}const sigma=Math.sqrt(res.reduce((sum,r)=>sum+r*r,0)/res.length);const half=Math.max(GB_ENVELOPE_FLOOR,spec.k*sigma);return{lo:-half,hi:half}});return[p.key,{center:c,upper:c.map((v,i)=>clamp(v+phases[gbPhaseOf(i,n,bounds)].hi)),lower:c.map((v,i)=>clamp(v+phases[gbPhaseOf(i,n,bounds)].lo)),phases}]}))}Object.assign(window,{GB_ENVELOPES,gbQuantile,gbPhaseOf,gbAlignRuns,gbEnvelope});;const GB_MSPC_ALPHA=.99;const GB_MSPC_VARIANCE=.9;const GB_MSPC_MIN_RUNS=3;const GB_MSPC_SCALE_FLOOR=.001;function gbNormalQuantile(p){const a=[-39.69683028665376,220.9460984245205,-275.9285104469687,138.357751867269,-30.66479806614716,2.506628277459239];const b=[-54.47609879822406,161.5858368580409,-155.6989798598866,66.80131188771972,-13.28068155288572];const c=[-.007784894002430293,-.3223964580411365,-2.400758277161838,-2.549732539343734,4.374664141464968,2.938163982698783];const d=[.007784695709041462,.3224671290700398,2.445134137142996,3.754408661907416];const tail=q2=>(((((c[0]*q2+c[1])*q2+c[2])*q2+c[3])*q2+c[4])*q2+c[5])/((((d[0]*q2+d[1])*q2+d[2])*q2+d[3])*q2+1);if(p<.02425)return tail(Math.sqrt(-2*Math.log(p)));if(p>1-.02425)return-tail(Math.sqrt(-2*Math.log(1-p)));const q=p-.5,r=q*q;return(((((a[0]*r+a[1])*r+a[2])*r+a[3])*r+a[4])*r+a[5])*q/(((((b[0]*r+b[1])*r+b[2])*r+b[3])*r+b[4])*r+1)}function gbChi2Quantile(p,k){const z=gbNormalQuantile(p),h=2/(9*k);return k*Math.max(0,1-h+z*Math.sqrt(h))**3}function gbEigen(S){const n=S.length;const A=S.map(row=>[...row]);const V=A.map((_,i)=>A.map((__,j)=>i===j?1:0));for(let sweep=0;sweep<60;sweep++){let off=0;for(let p=0;p<n;p++)for(let q=p+1;q<n;q++)off+=A[p][q]**2;if(off<1e-22)break;for(let p=0;p<n;p++){for(let q=p+1;q<n;q++){if(Math.abs(A[p][q])<1e-300)continue;const theta=(A[q][q]-A[p][p])/(2*A[p][q]);const t=Math.sign(theta||1)/(Math.abs(theta)+Math.sqrt(theta*theta+1));const cos=1/Math.sqrt(t*t+1),sin=t*cos;for(let k=0;k<n;k++){const akp=A[k][p],akq=A[k][q];A[k][p]=cos*akp-sin*akq;A[k][q]=sin*akp+cos*akq}for(let k=0;k<n;k++){const apk=A[p][k],aqk=A[q][k];A[p][k]=cos*apk-sin*aqk;A[q][k]=sin*apk+cos*aqk}for(let k=0;k<n;k++){const vkp=V[k][p],vkq=V[k][q];V[k][p]=cos*vkp-sin*vkq;V[k][q]=sin*vkp+cos*vkq}}}}return A.map((row,i)=>({value:row[i],vector:V.map(r=>r[i])})).sort((x,y)=>y.value-x.value).reduce((out,e)=>({values:[...out.values,e.value],vectors:[...out.vectors,e.vector]}),{values:[],vectors:[]})}function gbFitPCA(rows,variance=GB_MSPC_VARIANCE){const J=rows[0].length,n=rows.length;const S=[...Array(J)].map((_,a)=>[...Array(J)].map((__,b)=>rows.reduce((s,r)=>s+r[a]*r[b],0)/(n-1)));const{values,vectors}=gbEigen(S);const total=values.reduce((s,v)=>s+Math.max(0,v),0)||1;let A=1,sum=Math.max(0,values[0]);while(A<J-1&&sum/total<variance)sum+=Math.max(0,values[A++]);return{P:vectors.slice(0,A),lambda:values.slice(0,A).map(v=>Math.max(v,1e-12)),explained:sum/total}}function gbProject(model,x){const t=model.P.map(p=>p.reduce((s,v,j)=>s+v*x[j],0));const e=x.map((v,j)=>v-model.P.reduce((s,p,a)=>s+p[j]*t[a],0));return{t,e,t2:t.reduce((s,v,a)=>s+v*v/model.lambda[a],0),spe:e.reduce((s,v)=>s+v*v,0)}}function gbFitMSPC(aligned,center,keys,alpha=GB_MSPC_ALPHA){if(aligned.length<GB_MSPC_MIN_RUNS)throw new Error(`Multivariate monitoring needs ${GB_MSPC_MIN_RUNS} or more golden batches.`);const raw=aligned.flatMap(run=>center[keys[0]].map((_,i)=>keys.map(k=>run[k][i]-center[k][i])));const scale=keys.map((_,j)=>Math.max(GB_MSPC_SCALE_FLOOR,Math.sqrt(raw.reduce((s,r)=>s+r[j]*r[j],0)/(raw.length-1))));const rows=raw.map(r=>r.map((v2,j)=>v2/scale[j]));const pca=gbFitPCA(rows);const model={keys,center,scale,...pca};const spe=rows.map(x=>gbProject(model,x).spe);const m=spe.reduce((s,v2)=>s+v2,0)/spe.length;const v=spe.reduce((s,q)=>s+(q-m)**2,0)/(spe.length-1);const speLimit=m>0&&v>0?v/(2*m)*gbChi2Quantile(alpha,2*m*m/v):GB_MSPC_SCALE_FLOOR;return{...model,alpha,limits:{t2:gbChi2Quantile(alpha,pca.P.length),spe:speLimit}}}function gbMonitor(model,curves,upto=model.center[model.keys[0]].length-1){return[...Array(upto+1)].map((_,i)=>{const x=model.keys.map((k,j)=>(curves[k][i]-model.center[k][i])/model.scale[j]);const{t,e,t2,spe}=gbProject(model,x);return{i,x,t,e,t2,spe}})}function gbContributions(model,sample){return{t2:model.keys.map((_,j)=>model.P.reduce((s,p,a)=>s+sample.t[a]/model.lambda[a]*p[j]*sample.x[j],0)),spe:sample.e.map(v=>v*v)}}Object.assign(window,{GB_MSPC_ALPHA,GB_MSPC_MIN_RUNS,gbNormalQuantile,gbChi2Quantile,gbEigen,gbFitPCA,gbFitMSPC,gbMonitor,gbContributions});;const GB_REPORT_FORMAT="bf-batch-report";const GB_REPORT_VERSION=1;const GB_REPORT_PASS=92;const GB_REPORT_FAIL=80;const GB_REPORT_SUSTAINED=.05;function gbScore(env,keys,aligned,lo,hi){let totalDev=0,count=0,breaches=0;keys.forEach(k=>{const e=env[k],a=aligned[k];for(let i=lo;i<=hi;i++){totalDev+=Math.abs(a[i]-e.center[i]);count++;if(a[i]>e.upper[i]||a[i]<e.lower[i])breaches++}});const avg=count>0?totalDev/count:0;return{conformance:Math.max(0,Math.min(100,100-avg*350)),breaches,avg,samples:count}}const gbRound=(v,digits)=>Number(v.toFixed(digits));function gbElapsed(seconds){const s=Math.round(seconds),h=Math.floor(s/3600),m=Math.floor(s%3600/60);return h?`T+${h}h ${String(m).padStart(2,"0")}m`:m?`T+${m}m`:`T+${s}s`}const gbWhen=t=>t.elapsed!=null?`${gbElapsed(t.elapsed)} \xB7 ${t.time.slice(11,19)}`:`${(t.progress*100).toFixed(0)}%`;function gbBatchReport(dataset,{batch,golden,envelope=GB_ENVELOPES[0].key,phases,progress=1,generated=new Date().toISOString()}){const run=dataset.runs.find(r=>r.id===batch);if(!run)throw new Error(`Batch ${batch} is not in ${dataset.name}.`);const goldenRuns=dataset.runs.filter(r=>golden.includes(r.id));if(!goldenRuns.length)throw new Error("The golden set is empty.");const spec=GB_ENVELOPES.find(e=>e.key===envelope);if(!spec)throw new Error(`Unknown envelope "${envelope}".`);const{params}=dataset;const keys=params.map(p=>p.key);const bounds=[...phases.map(p=>p.start),1];const env=gbEnvelope(goldenRuns,params,spec,bounds);const n=env[keys[0]].center.length;const m=run.curves[keys[0]].length;const upto=Math.min(m-1,Math.floor(progress*m));const center=Object.fromEntries(keys.map(k=>[k,env[k].center]));const{path,end,aligned}=gbAlignRun(center,run.curves,keys,upto);const clock=run.start!=null&&run.duration>0;const at=(i,edge)=>{const js=path.filter(([a])=>a===i).map(([,j2])=>j2);const j=edge==="first"?Math.min(...js):Math.max(...js);const u=j/(m-1),elapsed=Math.round(u*run.duration);return{progress:gbRound(u,4),elapsed:clock?elapsed:null,time:clock?new Date((Math.round(run.start)+elapsed)*1e3).toISOString():null}};const phaseOf=i=>phases[gbPhaseOf(i,n,bounds)].name;const toUnits=(p,v)=>v*(p.span[1]-p.span[0]);const scored=s=>({conformance:gbRound(s.conformance,1),breaches:s.breaches});const phaseRows=phases.map((p,s)=>{const idx=[...Array(n).keys()].filter(i=>gbPhaseOf(i,n,bounds)===s);const lo=idx[0],hi=idx[idx.length-1];const status=hi<=end?"complete":lo<=end?"partial":"not reached";const row={name:p.name,start:p.start,end:p.end,status};return status==="not reached"?{...row,conformance:null,breaches:0}:{...row,...scored(gbScore(env,keys,aligned,lo,Math.min(hi,end)))}});const intervals=[];params.forEach(p=>{const e=env[p.key],a=aligned[p.key];let open=null;for(let i=0;i<=end+1;i++){const side=i>end?null:a[i]>e.upper[i]?"high":a[i]<e.lower[i]?"low":null;if(open&&(side!==open.side||phaseOf(i>end?end:i)!==open.phase||i>end)){intervals.push({parameter:p.key,name:p.name,unit:p.unit,phase:open.phase,side:open.side,samples:i-open.lo,peak:gbRound(toUnits(p,open.peak),3),from:at(open.lo,"first"),to:at(i-1,"last")});open=null}if(!side)continue;const excess=side==="high"?a[i]-e.upper[i]:a[i]-e.lower[i];if(!open)open={lo:i,side,phase:phaseOf(i),peak:excess};else if(Math.abs(excess)>Math.abs(open.peak))open.peak=excess}});intervals.sort((x,y)=>x.from.progress-y.from.progress||keys.indexOf(x.parameter)-keys.indexOf(y.parameter));const parameters=params.map(p=>{const e=env[p.key],a=aligned[p.key];let worst=0;for(let i=1;i<=end;i++)if(Math.abs(a[i]-e.center[i])>Math.abs(a[worst]-e.center[worst]))worst=i;const dev=a[worst]-e.center[worst];return{key:p.key,name:p.name,unit:p.unit,...scored(gbScore(env,[p.key],aligned,0,end)),maxDeviation:{value:gbRound(toUnits(p,dev),3),ofSpan:gbRound(dev,4),phase:phaseOf(worst),at:at(worst,"first")}}});const overall=gbScore(env,keys,aligned,0,end);const fail=[],review=[];if(overall.conformance<=GB_REPORT_FAIL)fail.push(`Conformance ${overall.conformance.toFixed(1)}% is at or below ${GB_REPORT_FAIL}%.`);phaseRows.forEach(p=>{if(p.conformance!=null&&p.conformance<=GB_REPORT_FAIL)fail.push(`${p.name} conformance ${p.conformance.toFixed(1)}% is at or below ${GB_REPORT_FAIL}%.`)});intervals.filter(b=>b.samples>=GB_REPORT_SUSTAINED*n).forEach(b=>{fail.push(`${b.name} ${b.side} for ${b.samples} samples in ${b.phase}, from ${gbWhen(b.from)}.`)});if(overall.conformance<=GB_REPORT_PASS&&overall.conformance>GB_REPORT_FAIL)review.push(`Conformance ${overall.conformance.toFixed(1)}% is at or below ${GB_REPORT_PASS}%.`);if(intervals.length){const names=[...new Set(intervals.map(b=>b.name))];review.push(`${intervals.length} breach interval${intervals.length===1?"":"s"} (${names.join(", ")}).`)}const complete=upto===m-1;return{format:GB_REPORT_FORMAT,version:GB_REPORT_VERSION,generated,dataset:dataset.name,batch:run.id,status:complete?"complete":"in progress",start:clock?new Date(Math.round(run.start)*1e3).toISOString():null,duration:clock?Math.round(run.duration):null,progress:gbRound(end/(n-1),4),golden:goldenRuns.map(r=>r.id),envelope:{key:spec.key,name:spec.name},conformance:gbRound(overall.conformance,1),breaches:overall.breaches,verdict:{result:fail.length?"fail":review.length?"review":"pass",final:complete,reasons:[...fail,...review]},phases:phaseRows,parameters,intervals}}const gbEsc=s=>String(s).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;");const gbSigned=v=>(v>0?"+":v<0?"\u2212":"")+Math.abs(v);const GB_REPORT_CSS=`
+@page { size: A4; margin: 14mm 12mm; }
+* { box-sizing: border-box; }
+body { margin: 0; font: 10.5pt/1.4 system-ui, -apple-system, "Segoe UI", sans-serif; color: #0f172a; background: #fff; }
+main { max-width: 186mm; margin: 0 auto; padding: 8mm 0; }
+header { display: flex; justify-content: space-between; align-items: flex-end; border-bottom: 2px solid #0f172a; padding-bottom: 3mm; }
+h1 { font-size: 17pt; margin: 0; }
+h2 { font-size: 11pt; margin: 7mm 0 2mm; text-transform: uppercase; letter-spacing: 0.06em; }
+.meta { color: #475569; font-size: 9pt; text-align: right; }
+.mono, td.num { font-family: ui-monospace, "SFMono-Regular", Menlo, monospace; font-variant-numeric: tabular-nums; }
+.verdict { margin-top: 5mm; padding: 3mm 4mm; border: 1.5px solid; border-radius: 2mm; display: flex; gap: 6mm; align-items: baseline; break-inside: avoid; }
+.verdict strong { font-size: 15pt; letter-spacing: 0.08em; }
+.verdict ul { margin: 0; padding-left: 4mm; }
+.pass { border-color: #15803d; color: #15803d; }
+.review { border-color: #b45309; color: #b45309; }
+.fail { border-color: #b91c1c; color: #b91c1c; }
+.verdict ul, .verdict span { color: #0f172a; }
+.kpis { display: flex; gap: 8mm; margin-top: 4mm; }
+.kpis div { display: flex; flex-direction: column; }
+.kpis span { font-size: 8pt; color: #475569; text-transform: uppercase; letter-spacing: 0.06em; }
+.kpis b { font-size: 13pt; }
+table { width: 100%; border-collapse: collapse; font-size: 9.5pt; }
+th, td { text-align: left; padding: 1.4mm 2mm; border-bottom: 0.5px solid #cbd5e1; }
+th { font-size: 8pt; color: #475569; text-transform: uppercase; letter-spacing: 0.05em; border-bottom: 1px solid #0f172a; }
+td.num, th.num { text-align: right; }
+tr { break-inside: avoid; }
+thead { display: table-header-group; }
+.muted { color: #64748b; }
+footer { margin-top: 8mm; padding-top: 2mm; border-top: 0.5px solid #cbd5e1; color: #64748b; font-size: 8pt; }
+@media screen { body { background: #e2e8f0; } main { background: #fff; padding: 12mm; margin: 8mm auto; box-shadow: 0 1px 4px rgba(15, 23, 42, 0.2); } }
+`;function gbReportHTML(r){const pct=v=>v==null?"\u2014":`${v.toFixed(1)}%`;const rows=(list,cells)=>list.map(x=>`<tr>${cells(x).join("")}</tr>`).join("\n");const td=(v,cls)=>`<td${cls?` class="${cls}"`:""}>${gbEsc(v)}</td>`;const head=(...cols)=>`<thead><tr>${cols.map(c=>c.endsWith("#")?`<th class="num">${gbEsc(c.slice(0,-1))}</th>`:`<th>${gbEsc(c)}</th>`).join("")}</tr></thead>`;const timing=r.start?`Started ${r.start.replace("T"," ").slice(0,16)} UTC \xB7 ${r.status==="complete"?`${gbElapsed(r.duration).slice(2)} run`:"in progress"}`:"No run clock \u2014 times are batch progress";return`<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Batch report ${gbEsc(r.batch)}</title>
+<style>${GB_REPORT_CSS}</style>
+</head>
+<body>
+<main>
+<header>
+<div><h1>Batch report \xB7 ${gbEsc(r.batch)}</h1><div class="muted">${gbEsc(r.dataset)} \xB7 ${gbEsc(timing)}</div></div>
+<div class="meta">Generated ${gbEsc(r.generated.replace("T"," ").slice(0,19))} UTC<br>Golden set: ${gbEsc(r.golden.join(", "))}<br>Envelope: ${gbEsc(r.envelope.name)}</div>
+</header>
+<section class="verdict ${r.verdict.result}">
+<strong>${r.verdict.result.toUpperCase()}</strong>
+${r.verdict.final?"":`<span>Provisional \u2014 batch ${(r.progress*100).toFixed(0)}% through the golden profile.</span>`}
+${r.verdict.reasons.length?`<ul>${r.verdict.reasons.map(x=>`<li>${gbEsc(x)}</li>`).join("")}</ul>`:"<span>Within the golden envelope throughout.</span>"}
+</section>
+<div class="kpis">
+<div><span>Conformance</span><b class="mono">${pct(r.conformance)}</b></div>
+<div><span>Samples out of band</span><b class="mono">${r.breaches}</b></div>
+<div><span>Breach intervals</span><b class="mono">${r.intervals.length}</b></div>
+<div><span>Status</span><b>${gbEsc(r.status)}</b></div>
+</div>
+<h2>Phases</h2>
+<table>
+${head("Phase","Window","Status","Conformance#","Samples out#")}
+<tbody>
+${rows(r.phases,p=>[td(p.name),td(`${(p.start*100).toFixed(0)}\u2013${(p.end*100).toFixed(0)}%`,"mono"),td(p.status),td(pct(p.conformance),"num"),td(p.breaches,"num")])}
+</tbody>
+</table>
+<h2>Parameters</h2>
+<table>
+${head("Parameter","Conformance#","Samples out#","Max deviation#","Phase","At")}
+<tbody>
+${rows(r.parameters,p=>[td(p.name),td(pct(p.conformance),"num"),td(p.breaches,"num"),td(`${gbSigned(p.maxDeviation.value)} ${p.unit}`.trim(),"num"),td(p.maxDeviation.phase),td(gbWhen(p.maxDeviation.at),"mono")])}
+</tbody>
+</table>
+<h2>Breach intervals</h2>
+${r.intervals.length?`<table>
+${head("Parameter","Phase","Side","From","To","Samples#","Peak excess#")}
+<tbody>
+${rows(r.intervals,b=>[td(b.name),td(b.phase),td(b.side),td(gbWhen(b.from),"mono"),td(gbWhen(b.to),"mono"),td(b.samples,"num"),td(`${gbSigned(b.peak)} ${b.unit}`.trim(),"num")])}
+</tbody>
+</table>`:`<p class="muted">None.</p>`}
+<footer>${gbEsc(GB_REPORT_FORMAT)} v${GB_REPORT_VERSION} \xB7 deviations are after time alignment to the golden profile \xB7 the JSON export carries the same figures</footer>
+</main>
+</body>
+</html>
+`}function gbPrintReport(report){const frame=Object.assign(document.createElement("iframe"),{title:`Batch report ${report.batch}`,srcdoc:gbReportHTML(report)});frame.style.cssText="position:fixed;right:0;bottom:0;width:0;height:0;border:0";frame.onload=()=>{const win=frame.contentWindow;const done=()=>setTimeout(()=>frame.remove(),0);win.addEventListener("afterprint",done);win.focus();win.print()};document.body.appendChild(frame)}function gbDownloadReport(report){pgDownload(new Blob([JSON.stringify(report,null,2)],{type:"application/json"}),`batch-report-${report.batch}.json`)}Object.assign(window,{GB_REPORT_FORMAT,GB_REPORT_PASS,GB_REPORT_FAIL,GB_REPORT_SUSTAINED,gbScore,gbElapsed,gbBatchReport,gbReportHTML,gbPrintReport,gbDownloadReport});;const{useState:useGB,useEffect:useEffGB,useMemo:useMemoGB,useRef:useRefGB}=React;function gbCurve(seed,points=GB_POINTS,kind="ramp"){const arr=[];for(let i=0;i<points;i++){const t=i/(points-1);let v;if(kind==="ramp"){if(t<.18)v=t/.18*.85;else if(t<.72)v=.85+Math.sin((t-.18)*8+seed)*.04;else v=.85-(t-.72)/.28*.6}else if(kind==="wave"){v=.5+Math.sin(t*Math.PI*1.2+seed)*.3}else{v=.2+Math.pow(Math.sin(t*Math.PI),1.4)*.7}arr.push(v)}return arr}function gbDeviate(golden,amp,drift,seed){return golden.map((g,i)=>{const t=i/(golden.length-1);const n=Math.sin(i*.7+seed)*.025+Math.sin(i*.21+seed*2)*.015;return Math.max(0,Math.min(1,g+n+Math.sin(t*Math.PI)*amp+drift*t))})}function pointsToPath(arr,w,h,padY=8){const inner=h-padY*2;const step=w/(arr.length-1);return arr.map((v,i)=>`${i===0?"M":"L"}${(i*step).toFixed(1)} ${(padY+(1-v)*inner).toFixed(1)}`).join(" ")}function pointsToBand(low,high,w,h,padY=8){const inner=h-padY*2;const step=w/(low.length-1);const up=low.map((v,i)=>`${i===0?"M":"L"}${(i*step).toFixed(1)} ${(padY+(1-v)*inner).toFixed(1)}`).join(" ");const down=[...high].reverse().map((v,i)=>{const idx=high.length-1-i;return`L${(idx*step).toFixed(1)} ${(padY+(1-v)*inner).toFixed(1)}`}).join(" ");return up+" "+down+" Z"}const GB_PARAMS=[{key:"temp",name:"Temperature",unit:"\xB0C",span:[20,145],kind:"ramp",tolerance:.06},{key:"press",name:"Pressure",unit:"bar",span:[0,4.2],kind:"pressure",tolerance:.08},{key:"agit",name:"Agitation",unit:"rpm",span:[0,220],kind:"wave",tolerance:.07},{key:"ph",name:"pH",unit:"",span:[4,9],kind:"wave",tolerance:.05}];const GB_PHASES=[{name:"Charge",start:0,end:.12},{name:"Heat",start:.12,end:.32},{name:"React",start:.32,end:.7},{name:"Cool",start:.7,end:.88},{name:"Drop",start:.88,end:1}];const GB_BOUNDS=[...GB_PHASES.map(p=>p.start),1];const GB_DEMO_RUNS=[{id:"B-2201",hours:5.9,bounds:[0,.11,.31,.69,.87,1],amp:[.01,.005,.01,0],drift:[.002,0,.003,.002]},{id:"B-2202",hours:6.1,bounds:[0,.12,.33,.71,.88,1],amp:[-.01,.01,0,.005],drift:[.003,.002,0,-.002]},{id:"B-2203",hours:6,bounds:[0,.13,.32,.7,.89,1],amp:[.005,-.005,.01,.01],drift:[-.003,0,.002,0]},{id:"B-2204",hours:6,bounds:[0,.12,.31,.71,.88,1],amp:[.012,0,-.01,0],drift:[0,.003,0,.003]},{id:"B-2205",hours:6,bounds:GB_BOUNDS,amp:[0,0,0,0],drift:[0,0,0,0]},{id:"B-2206",hours:6.2,bounds:[0,.12,.34,.72,.89,1],amp:[.02,.015,.02,.01],drift:[.01,.005,.01,.005]},{id:"B-2207",hours:6,bounds:[0,.12,.33,.7,.88,1],amp:[.01,.09,.01,0],drift:[.005,.01,.005,0]},{id:"B-2208",hours:6.6,bounds:[0,.14,.4,.76,.91,1],amp:[.015,.01,.02,.06],drift:[.02,0,.06,-.04]},{id:"B-2209",hours:6.3,bounds:[0,.12,.37,.73,.9,1],amp:[.015,.04,.015,.015],drift:[.005,.005,.03,.005],live:true}];const GB_DEMO_START=Date.UTC(2026,8,14,6)/1e3;const GB_DEMO_GOLDEN=["B-2201","B-2202","B-2203","B-2204","B-2205"];function gbDemoDataset(){const base=GB_PARAMS.map((p,idx)=>gbCurve(idx*1.7,GB_POINTS,p.kind));return{name:"Demo",params:GB_PARAMS,runs:GB_DEMO_RUNS.map((r,n)=>({id:r.id,live:!!r.live,start:GB_DEMO_START+n*8*3600,duration:r.hours*3600,curves:Object.fromEntries(GB_PARAMS.map((p,idx)=>[p.key,gbDeviate(gbPhaseWarp(base[idx],GB_BOUNDS,r.bounds),r.amp[idx],r.drift[idx],idx*3.3+n*1.9)]))}))}}function GbControlChart({label,values,limit,probe,onProbe}){const W=320,H=90,pad=6;const top=Math.max(limit*1.6,...values)*1.05;const x=i=>i/(GB_POINTS-1)*W;const y=v=>pad+(1-v/top)*(H-pad*2);const pick=e=>{const r=e.currentTarget.getBoundingClientRect();onProbe(Math.max(0,Math.min(values.length-1,Math.round((e.clientX-r.left)/r.width*(GB_POINTS-1)))))};return React.createElement("div",{className:"gb-mspc__chart"},React.createElement("div",{className:"gb-mspc__label"},React.createElement("span",null,label),React.createElement("span",{className:"mono"},values[probe].toFixed(1)," / ",limit.toFixed(1))),React.createElement("svg",{viewBox:`0 0 ${W} ${H}`,preserveAspectRatio:"none",className:"gb-mspc__svg",onClick:pick,role:"img","aria-label":`${label} over batch progress, limit ${limit.toFixed(1)}`},React.createElement("line",{x1:"0",x2:W,y1:y(limit),y2:y(limit),stroke:"var(--bad)",strokeOpacity:"0.6",strokeDasharray:"4 3"}),React.createElement("path",{d:values.map((v,i)=>`${i?"L":"M"}${x(i).toFixed(1)} ${y(v).toFixed(1)}`).join(" "),fill:"none",stroke:"var(--accent-2)",strokeWidth:"1.5"}),values.map((v,i)=>v>limit&&React.createElement("circle",{key:i,cx:x(i),cy:y(v),r:"2",fill:"var(--bad)"})),React.createElement("line",{x1:x(probe),x2:x(probe),y1:"0",y2:H,stroke:"var(--fg-mute)",strokeDasharray:"2 3"})))}function GbMspcPanel({model,monitor,params,goldenCount,probe,onProbe}){const[stat,setStat]=useGB(null);if(!model){return React.createElement("div",{className:"gb-mspc gb-mspc--off"},React.createElement("span",{className:"tag"},"Multivariate"),React.createElement("span",{className:"gb-golden__note"},"PCA monitoring needs ",GB_MSPC_MIN_RUNS," or more golden batches \u2014 ",goldenCount," in the set."))}const ratio=s=>Math.max(s.t2/model.limits.t2,s.spe/model.limits.spe);const worst=monitor.reduce((b,s)=>ratio(s)>ratio(b)?s:b,monitor[0]);const sample=probe!=null&&probe<monitor.length?monitor[probe]:worst;const shown=stat||(sample.t2/model.limits.t2>=sample.spe/model.limits.spe?"t2":"spe");const contrib=gbContributions(model,sample)[shown];const total=contrib.reduce((s,v)=>s+Math.abs(v),0)||1;const drivers=params.map((p,j)=>({p,j,share:contrib[j]/total})).sort((a,b)=>Math.abs(b.share)-Math.abs(a.share));const out=sample[shown]>model.limits[shown];return React.createElement("div",{className:"gb-mspc"},React.createElement("div",{className:"gb-mspc__head"},React.createElement("span",{className:"tag"},"Multivariate"),React.createElement("span",{className:"gb-golden__note"},"PCA on ",goldenCount," golden batches \xB7 ",model.P.length," component",model.P.length===1?"":"s",", ",(model.explained*100).toFixed(0),"% of variance \xB7 ",(model.alpha*100).toFixed(0),"% limits")),React.createElement("div",{className:"gb-mspc__grid"},React.createElement(GbControlChart,{label:"Hotelling T\xB2",values:monitor.map(s=>s.t2),limit:model.limits.t2,probe:sample.i,onProbe}),React.createElement(GbControlChart,{label:"SPE (Q)",values:monitor.map(s=>s.spe),limit:model.limits.spe,probe:sample.i,onProbe}),React.createElement("div",{className:"gb-mspc__contrib"},React.createElement("div",{className:"gb-mspc__label"},React.createElement("span",null,"Contributions \xB7 ",(sample.i/(GB_POINTS-1)*100).toFixed(0),"%"),React.createElement("div",{className:"gb-toggle",role:"group","aria-label":"Statistic to explain"},[["t2","T\xB2"],["spe","SPE"]].map(([key,name])=>React.createElement("button",{key,className:"gb-toggle__btn"+(shown===key?" gb-toggle__btn--on":""),"aria-pressed":shown===key,onClick:()=>setStat(key)},name)))),params.map((p,j)=>{const share=contrib[j]/total;return React.createElement("div",{key:p.key,className:"gb-mspc__bar"},React.createElement("span",{className:"gb-mspc__name"},p.name," ",sample.x[j]>=0?"\u25B2":"\u25BC"),React.createElement("span",{className:"gb-mspc__track"},React.createElement("span",{className:"gb-mspc__fill"+(share<0?" gb-mspc__fill--neg":""),style:{width:`${Math.abs(share)*50}%`,[share<0?"right":"left"]:"50%"}})),React.createElement("span",{className:"mono"},(share*100).toFixed(0),"%"))}),React.createElement("div",{className:"gb-mspc__verdict"+(out?" gb-mspc__verdict--out":"")},out?"Excursion":"Within limits"," \u2014 ",drivers.slice(0,2).map(d=>`${d.p.name} ${sample.x[d.j]>=0?"up":"down"}`).join(", "),probe==null&&" (worst sample)"))))}function GoldenBatchSection({motion}){const[golden,setGolden]=useGB(GB_DEMO_GOLDEN);const[batch,setBatch]=useGB("B-2209");const[envelope,setEnvelope]=useGB(GB_ENVELOPES[0].key);const[progress,setProgress]=useGB(.72);const[activeParam,setActiveParam]=useGB("temp");const[data,setData]=useGB(null);const[pending,setPending]=useGB(null);const[importError,setImportError]=useGB(null);const[overlay,setOverlay]=useGB("aligned");const[probe,setProbe]=useGB(null);const fileRef=useRefGB(null);useEffGB(()=>{if(!motion||data)return;const t=setInterval(()=>{setProgress(p=>{const next=p+.003*motion;return next>.96?.4:next})},400);return()=>clearInterval(t)},[motion,data]);const pickFile=e=>{const file=e.target.files&&e.target.files[0];e.target.value="";if(!file)return;setImportError(null);gbReadFile(file).then(table=>setPending({file:file.name,table})).catch(err=>setImportError(`${file.name}: ${err.message}`))};const applyImport=next=>{setData(next);setPending(null);setGolden([next.runs[0].id]);setBatch(next.runs[1].id);setActiveParam(next.params[0].key)};const showDemo=()=>{setData(null);setGolden(GB_DEMO_GOLDEN);setBatch("B-2209");setActiveParam("temp")};const pickRun=id=>{setBatch(id);setProbe(null)};const promote=()=>setGolden(g=>g.includes(batch)?g:[...g,batch]);const demote=id=>setGolden(g=>g.length>1?g.filter(x=>x!==id):g);const demo=useMemoGB(gbDemoDataset,[]);const dataset=data||demo;const params=dataset.params;const run=dataset.runs.find(r=>r.id===batch)||dataset.runs[0];const spec=GB_ENVELOPES.find(e=>e.key===envelope);const env=useMemoGB(()=>gbEnvelope(dataset.runs.filter(r=>golden.includes(r.id)),params,spec,GB_BOUNDS),[dataset,params,golden,spec]);const curves=useMemoGB(()=>Object.fromEntries(params.map(p=>[p.key,{golden:env[p.key].center,upper:env[p.key].upper,lower:env[p.key].lower,current:run.curves[p.key]}])),[env,params,run]);const runProgress=run.live?progress:1;const now=Math.min(GB_POINTS-1,Math.floor(runProgress*GB_POINTS));const report=()=>gbBatchReport(dataset,{batch:run.id,golden,envelope,phases:GB_PHASES,progress:runProgress});const align=useMemoGB(()=>{const keys=params.map(p=>p.key);const center=Object.fromEntries(keys.map(k=>[k,env[k].center]));const{path,end,aligned}=gbAlignRun(center,run.curves,keys,now);Object.values(aligned).forEach(a=>a.push(...Array(GB_POINTS-a.length).fill(a[a.length-1])));return{path,end,aligned}},[env,run,params,now]);const score=useMemoGB(()=>gbScore(env,params.map(p=>p.key),align.aligned,0,align.end),[env,params,align]);const mspc=useMemoGB(()=>{const runs=dataset.runs.filter(r=>golden.includes(r.id));if(runs.length<GB_MSPC_MIN_RUNS)return null;const keys=params.map(p=>p.key);const center=Object.fromEntries(keys.map(k=>[k,env[k].center]));return gbFitMSPC(gbAlignRuns(runs,center,keys),center,keys)},[dataset,golden,env,params]);const monitor=useMemoGB(()=>mspc&&gbMonitor(mspc,align.aligned,align.end),[mspc,align]);const reached=align.end/(GB_POINTS-1);const currentPhase=GB_PHASES.find(p=>reached>=p.start&&reached<p.end)||GB_PHASES[GB_PHASES.length-1];const activeCurve=curves[activeParam];const activeMeta=params.find(p=>p.key===activeParam);const shown=overlay==="aligned"?{current:align.aligned[activeParam],at:reached,idx:align.end}:{current:activeCurve.current,at:runProgress,idx:now};return React.createElement("section",{className:"section",id:"golden-batch","data-screen-label":"07 Golden Batch"},React.createElement("div",{className:"container"},React.createElement("div",{className:"section-head"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"07 \xB7 Golden batch"),React.createElement("h2",{style:{marginTop:14}},"One perfect run.",React.createElement("br",null),React.createElement("span",{style:{color:"var(--fg-mute)"}},"Every batch after, measured against it."))),React.createElement("p",{className:"lead"},"Lock in the parameters of your best-ever batch as the golden reference. Every subsequent run is overlaid in real time \u2014 deviation bands flag drift before it becomes scrap, and conformance scoring rolls up to plant-wide KPIs.")),React.createElement("div",{className:"gb-wrap"},React.createElement("div",{className:"gb-topbar"},React.createElement("div",{className:"gb-topbar__group"},React.createElement("span",{className:"tag"},"Current"),React.createElement("label",{htmlFor:"gb-batch",className:"sr-only"},"Batch to compare"),React.createElement("select",{id:"gb-batch",className:"gb-select",value:run.id,onChange:e=>pickRun(e.target.value)},dataset.runs.map(r=>React.createElement("option",{key:r.id,value:r.id},r.id,golden.includes(r.id)?" (golden)":""))),run.live&&React.createElement("span",{className:"live"},React.createElement("span",{className:"dot"})," live"),React.createElement("button",{className:"btn",onClick:promote,disabled:golden.includes(run.id)||run.live,style:{padding:"7px 12px",fontSize:11},title:run.live?"A running batch can be promoted once it completes":"Add this batch to the golden set"},"Promote to golden")),React.createElement("div",{className:"gb-topbar__group"},React.createElement("button",{className:"btn",onClick:()=>fileRef.current.click(),style:{padding:"7px 12px",fontSize:11},title:"Compare runs from your own CSV export \u2014 parsed locally, never uploaded"},"Import CSV"),data&&React.createElement("button",{className:"btn",onClick:showDemo,style:{padding:"7px 12px",fontSize:11}},"Demo data"),React.createElement("button",{className:"btn",onClick:()=>gbPrintReport(report()),style:{padding:"7px 12px",fontSize:11},title:"Phase-by-phase report of this batch \u2014 print it or save it as PDF"},"Print report"),React.createElement("button",{className:"btn",onClick:()=>gbDownloadReport(report()),style:{padding:"7px 12px",fontSize:11},title:"The same report as JSON"},"Report JSON"),React.createElement("input",{ref:fileRef,type:"file",accept:".csv,.tsv,.txt,text/csv,text/tab-separated-values",hidden:true,onChange:pickFile})),React.createElement("div",{className:"gb-topbar__group"},React.createElement("div",{className:"gb-kpi"},React.createElement("span",{className:"gb-kpi__label"},"Conformance"),React.createElement("span",{className:"gb-kpi__val",style:{color:score.conformance>GB_REPORT_PASS?"var(--ok)":score.conformance>GB_REPORT_FAIL?"var(--warn)":"var(--bad)"}},score.conformance.toFixed(1),React.createElement("span",{style:{color:"var(--fg-dim)",fontSize:11}},"%"))),React.createElement("div",{className:"gb-kpi"},React.createElement("span",{className:"gb-kpi__label"},"Breaches"),React.createElement("span",{className:"gb-kpi__val",style:{color:score.breaches>0?"var(--warn)":"var(--ok)"}},score.breaches)),React.createElement("div",{className:"gb-kpi"},React.createElement("span",{className:"gb-kpi__label"},"Phase"),React.createElement("span",{className:"gb-kpi__val",style:{color:"var(--accent-2)",fontSize:16}},currentPhase.name)))),React.createElement("div",{className:"gb-golden"},React.createElement("span",{className:"tag"},"Golden set"),React.createElement("div",{className:"gb-golden__runs"},golden.map(id=>React.createElement("span",{key:id,className:"gb-golden__run"},id,React.createElement("button",{onClick:()=>demote(id),disabled:golden.length<2,"aria-label":`Remove ${id} from the golden set`,title:"Remove from the golden set"},"\xD7")))),React.createElement("label",{className:"gb-golden__env"},React.createElement("span",null,"Envelope"),React.createElement("select",{className:"gb-select",value:envelope,onChange:e=>setEnvelope(e.target.value)},GB_ENVELOPES.map(e=>React.createElement("option",{key:e.key,value:e.key},e.name)))),React.createElement("span",{className:"gb-golden__note"},golden.length<2?"One batch: fixed tolerance band \u2014 promote more to learn the spread":`${golden.length} batches \xB7 per phase`)),pending&&React.createElement(GbImportPanel,{key:pending.file,file:pending.file,table:pending.table,onApply:applyImport,onCancel:()=>setPending(null)}),importError&&React.createElement("div",{className:"gb-import__error gb-import__error--bar",role:"alert"},importError),React.createElement("div",{className:"gb-phases"},GB_PHASES.map(p=>{const done=reached>=p.end;const active=reached>=p.start&&reached<p.end;return React.createElement("div",{key:p.name,className:"gb-phase"+(active?" gb-phase--active":"")+(done?" gb-phase--done":"")},React.createElement("div",{className:"gb-phase__bar"},React.createElement("div",{className:"gb-phase__fill",style:{width:done?"100%":active?`${(reached-p.start)/(p.end-p.start)*100}%`:"0%"}})),React.createElement("div",{className:"gb-phase__label"},p.name))})),React.createElement("div",{className:"gb-main"},React.createElement("div",{className:"gb-chart"},React.createElement("div",{className:"gb-chart__head"},React.createElement("div",null,React.createElement("div",{style:{fontFamily:"var(--font-mono)",fontSize:11,letterSpacing:"0.12em",color:"var(--fg-dim)",textTransform:"uppercase"}},activeMeta.name),React.createElement("div",{style:{display:"flex",gap:14,marginTop:6,alignItems:"baseline"}},React.createElement("span",{className:"mono",style:{fontSize:22,color:"var(--accent-2)"}},(activeMeta.span[0]+activeCurve.current[now]*(activeMeta.span[1]-activeMeta.span[0])).toFixed(1),React.createElement("span",{style:{color:"var(--fg-dim)",fontSize:12,marginLeft:4}},activeMeta.unit)),React.createElement("span",{className:"mono",style:{fontSize:11,color:"var(--fg-mute)"}},"golden: ",(activeMeta.span[0]+activeCurve.golden[align.end]*(activeMeta.span[1]-activeMeta.span[0])).toFixed(1)))),React.createElement("div",{className:"gb-legend"},React.createElement("span",null,React.createElement("span",{className:"gb-swatch gb-swatch--golden"})," Golden mean"),React.createElement("span",null,React.createElement("span",{className:"gb-swatch gb-swatch--band"})," ",golden.length<2?"Tolerance":spec.name),React.createElement("span",null,React.createElement("span",{className:"gb-swatch gb-swatch--current"})," Current"),React.createElement("div",{className:"gb-toggle",role:"group","aria-label":"Current run overlay"},[["raw","Raw"],["aligned","Aligned"]].map(([key,label])=>React.createElement("button",{key,className:"gb-toggle__btn"+(overlay===key?" gb-toggle__btn--on":""),"aria-pressed":overlay===key,onClick:()=>setOverlay(key),title:key==="raw"?"Current run on its own clock":"Current run time-warped onto the golden profile"},label))),overlay==="aligned"&&React.createElement("svg",{className:"gb-warp",viewBox:"0 0 48 48",role:"img","aria-label":"Warping path: golden progress across, current run progress up"},React.createElement("title",null,"Warping path \u2014 a straight diagonal means the run kept the golden timing"),React.createElement("line",{x1:"0",y1:"48",x2:"48",y2:"0",stroke:"rgba(226,232,240,0.15)",strokeDasharray:"2 2"}),React.createElement("polyline",{points:align.path.map(([i,j])=>`${(i/(GB_POINTS-1)*48).toFixed(1)},${(48-j/(GB_POINTS-1)*48).toFixed(1)}`).join(" "),fill:"none",stroke:"var(--accent-2)",strokeWidth:"1.5"})))),React.createElement("svg",{viewBox:"0 0 720 280",preserveAspectRatio:"none",className:"gb-svg"},React.createElement("defs",null,React.createElement("linearGradient",{id:"gb-band",x1:"0",y1:"0",x2:"0",y2:"1"},React.createElement("stop",{offset:"0%",stopColor:"#fbbf24",stopOpacity:"0.12"}),React.createElement("stop",{offset:"100%",stopColor:"#fbbf24",stopOpacity:"0.04"})),React.createElement("linearGradient",{id:"gb-current",x1:"0",y1:"0",x2:"0",y2:"1"},React.createElement("stop",{offset:"0%",stopColor:"var(--accent-2)",stopOpacity:"0.4"}),React.createElement("stop",{offset:"100%",stopColor:"var(--accent-2)",stopOpacity:"0"})),React.createElement("clipPath",{id:"gb-clip"},React.createElement("rect",{x:"0",y:"0",width:720*shown.at,height:"280"}))),[.25,.5,.75].map(g=>React.createElement("line",{key:g,x1:"0",y1:g*280,x2:"720",y2:g*280,stroke:"rgba(226,232,240,0.05)",strokeDasharray:"2 4"})),GB_PHASES.slice(1).map(p=>React.createElement("line",{key:p.name,x1:p.start*720,y1:"0",x2:p.start*720,y2:"280",stroke:"rgba(226,232,240,0.06)",strokeDasharray:"3 6"})),React.createElement("path",{d:pointsToBand(activeCurve.lower,activeCurve.upper,720,280,20),fill:"url(#gb-band)"}),React.createElement("path",{d:pointsToPath(activeCurve.upper,720,280,20),stroke:"rgba(251,191,36,0.35)",strokeWidth:"1",strokeDasharray:"2 3",fill:"none"}),React.createElement("path",{d:pointsToPath(activeCurve.lower,720,280,20),stroke:"rgba(251,191,36,0.35)",strokeWidth:"1",strokeDasharray:"2 3",fill:"none"}),React.createElement("path",{d:pointsToPath(activeCurve.golden,720,280,20),stroke:"#fbbf24",strokeWidth:"1.5",fill:"none",strokeLinecap:"round"}),React.createElement("g",{clipPath:"url(#gb-clip)"},React.createElement("path",{d:pointsToPath(shown.current,720,280,20)+` L720 280 L0 280 Z`,fill:"url(#gb-current)"}),React.createElement("path",{d:pointsToPath(shown.current,720,280,20),stroke:"var(--accent-2)",strokeWidth:"2",fill:"none",strokeLinecap:"round",style:{filter:"drop-shadow(0 0 6px var(--accent-glow))"}})),React.createElement("line",{x1:shown.at*720,y1:"0",x2:shown.at*720,y2:"280",stroke:"var(--accent)",strokeWidth:"1",strokeDasharray:"4 4"}),React.createElement("circle",{cx:shown.at*720,cy:20+(1-shown.current[shown.idx])*240,r:"4",fill:"var(--accent-2)",stroke:"#0a1628",strokeWidth:"2"})),React.createElement("div",{className:"gb-chart__foot"},React.createElement("span",{className:"mono",style:{fontSize:10,color:"var(--fg-dim)",letterSpacing:"0.1em"}},"T-0"),React.createElement("span",{className:"mono",style:{fontSize:10,color:"var(--fg-dim)",letterSpacing:"0.1em"}},"BATCH PROGRESS \xB7 ",(runProgress*100).toFixed(0),"%",overlay==="aligned"&&` \xB7 GOLDEN-EQUIVALENT ${(reached*100).toFixed(0)}%`),React.createElement("span",{className:"mono",style:{fontSize:10,color:"var(--fg-dim)",letterSpacing:"0.1em"}},"T-END"))),React.createElement("div",{className:"gb-params"},React.createElement("div",{style:{fontFamily:"var(--font-mono)",fontSize:10,letterSpacing:"0.12em",color:"var(--fg-dim)",textTransform:"uppercase",padding:"0 4px 10px"}},"Parameters"),params.map(p=>{const c=curves[p.key];const idx=align.end;const actual=c.current[now];const golden2=c.golden[idx];const dev=Math.abs(actual-golden2);const inBand=actual<=c.upper[idx]&&actual>=c.lower[idx];const realVal=p.span[0]+actual*(p.span[1]-p.span[0]);const realGold=p.span[0]+golden2*(p.span[1]-p.span[0]);return React.createElement("button",{key:p.key,className:"gb-param"+(activeParam===p.key?" gb-param--active":""),onClick:()=>setActiveParam(p.key)},React.createElement("div",{className:"gb-param__head"},React.createElement("span",{className:"gb-param__name"},p.name),React.createElement("span",{className:"gb-param__status"+(inBand?" gb-param__status--ok":" gb-param__status--warn")},inBand?"IN BAND":"DRIFT")),React.createElement("div",{className:"gb-param__row"},React.createElement("div",null,React.createElement("div",{className:"gb-param__lbl"},"Actual"),React.createElement("div",{className:"gb-param__val"},realVal.toFixed(1),React.createElement("span",null,p.unit))),React.createElement("div",null,React.createElement("div",{className:"gb-param__lbl"},"Golden"),React.createElement("div",{className:"gb-param__val gb-param__val--gold"},realGold.toFixed(1),React.createElement("span",null,p.unit))),React.createElement("div",null,React.createElement("div",{className:"gb-param__lbl"},"\u0394"),React.createElement("div",{className:"gb-param__val",style:{color:inBand?"var(--ok)":"var(--warn)"}},(dev*100).toFixed(1),"%"))),React.createElement(Sparkline,{width:210,height:28,color:inBand?"var(--accent-2)":"var(--warn)",seed:p.key.length,motion}))}))),React.createElement(GbMspcPanel,{model:mspc,monitor,params,goldenCount:golden.length,probe,onProbe:setProbe}),React.createElement("div",{className:"gb-insights"},React.createElement("div",{className:"gb-insight"},React.createElement("div",{className:"gb-insight__icon",style:{color:"var(--ok)"}},React.createElement("svg",{viewBox:"0 0 24 24",width:"20",height:"20",fill:"none",stroke:"currentColor",strokeWidth:"1.5"},React.createElement("path",{d:"M9 12l2 2 4-4"}),React.createElement("circle",{cx:"12",cy:"12",r:"9"}))),React.createElement("div",null,React.createElement("div",{className:"gb-insight__title"},"Yield prediction"),React.createElement("div",{className:"gb-insight__val"},"+2.4% vs avg"))),React.createElement("div",{className:"gb-insight"},React.createElement("div",{className:"gb-insight__icon",style:{color:"var(--warn)"}},React.createElement("svg",{viewBox:"0 0 24 24",width:"20",height:"20",fill:"none",stroke:"currentColor",strokeWidth:"1.5"},React.createElement("path",{d:"M12 9v4M12 17h.01"}),React.createElement("path",{d:"M10.3 3.86l-8.18 14.5A2 2 0 003.86 21h16.28a2 2 0 001.74-2.64L13.7 3.86a2 2 0 00-3.4 0z"}))),React.createElement("div",null,React.createElement("div",{className:"gb-insight__title"},"Agitation drift"),React.createElement("div",{className:"gb-insight__val"},"\xB112 rpm @ T+38m"))),React.createElement("div",{className:"gb-insight"},React.createElement("div",{className:"gb-insight__icon",style:{color:"var(--accent-2)"}},React.createElement("svg",{viewBox:"0 0 24 24",width:"20",height:"20",fill:"none",stroke:"currentColor",strokeWidth:"1.5"},React.createElement("path",{d:"M3 12l3-9 4 18 4-12 4 6h3"}))),React.createElement("div",null,React.createElement("div",{className:"gb-insight__title"},"ETA to drop"),React.createElement("div",{className:"gb-insight__val"},"27m \xB7 on schedule"))),React.createElement("div",{className:"gb-insight"},React.createElement("div",{className:"gb-insight__icon",style:{color:"#fbbf24"}},React.createElement("svg",{viewBox:"0 0 24 24",width:"20",height:"20",fill:"none",stroke:"currentColor",strokeWidth:"1.5"},React.createElement("path",{d:"M12 2l2.4 7.4H22l-6.2 4.5L18.2 22 12 17.3 5.8 22l2.4-8.1L2 9.4h7.6z"}))),React.createElement("div",null,React.createElement("div",{className:"gb-insight__title"},"Golden set"),React.createElement("div",{className:"gb-insight__val"},golden.length," batch",golden.length===1?"":"es"," \xB7 ",spec.name)))))))}Object.assign(window,{GB_PHASES,gbDemoDataset,GoldenBatchSection});;const{useState:useAL,useEffect:useEffAL,useMemo:useMemoAL,useRef:useRefAL}=React;const AL_DEMOS=[{key:"anomaly",name:"Anomaly Detection",sub:"Autoencoder on vibration",asset:"P-204 \xB7 Pump bearing"},{key:"rul",name:"Predictive Maintenance",sub:"RUL forecast w/ uncertainty",asset:"M-118 \xB7 Compressor motor"},{key:"soft",name:"Soft Sensor",sub:"Inferred product purity",asset:"DC-301 \xB7 Distillation column"},{key:"vision",name:"Vision QA",sub:"Defect detection \xB7 12 fps",asset:"LINE-02 \xB7 Bottle line"}];function AILiveSection({motion}){const[active,setActive]=useAL("anomaly");return React.createElement("section",{className:"section",id:"ai-live","data-screen-label":"08b AI/ML Live"},React.createElement("div",{className:"container"},React.createElement("div",{className:"section-head"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"08b \xB7 Interactive demos"),React.createElement("h2",{style:{marginTop:14}},"See the model shapes.",React.createElement("br",null),React.createElement("span",{style:{color:"var(--fg-mute)"}},"Four architectures we build to."))),React.createElement("p",{className:"lead"},"Each demo below runs in your browser on synthetic plant telemetry. The architectures \u2014 autoencoder anomaly detection, RUL forecasting with uncertainty, soft sensors, vision QA \u2014 are the same patterns we ship to client production. Pick one to see how it behaves.")),React.createElement("div",{className:"al-wrap"},React.createElement("div",{className:"al-tabs"},AL_DEMOS.map(d=>React.createElement("button",{key:d.key,className:"al-tab"+(active===d.key?" al-tab--active":""),onClick:()=>setActive(d.key)},React.createElement("div",{className:"al-tab__name"},d.name),React.createElement("div",{className:"al-tab__sub"},d.sub)))),React.createElement("div",{className:"al-stage"},React.createElement("div",{className:"al-stage__head"},React.createElement("span",{className:"tag"},AL_DEMOS.find(d=>d.key===active).asset),React.createElement("span",{className:"live"},React.createElement("span",{className:"dot"})," demo \xB7 1Hz")),active==="anomaly"&&React.createElement(AnomalyDemo,{motion}),active==="rul"&&React.createElement(RULDemo,{motion}),active==="soft"&&React.createElement(SoftSensorDemo,{motion}),active==="vision"&&React.createElement(VisionDemo,{motion})))))}function AnomalyDemo({motion}){const N=120;const[data,setData]=useAL(()=>Array.from({length:N},(_,i)=>baseSig(i)));const[score,setScore]=useAL(.08);useEffAL(()=>{if(!motion)return;const id=setInterval(()=>{setData(d=>{const next=[...d.slice(1),baseSig(d.length+Math.random()*1e3)];const anomaly=Math.random()<.12;if(anomaly)next[next.length-1]=baseSig(d.length,true);return next})},400/motion);return()=>clearInterval(id)},[motion]);function baseSig(t,anomaly=false){const v=.5+Math.sin(t*.12)*.12+Math.sin(t*.41)*.06+(Math.random()-.5)*.05;return anomaly?Math.min(.98,v+.3+Math.random()*.15):v}useEffAL(()=>{const tail=data.slice(-20);const mean=tail.reduce((a,b)=>a+b,0)/tail.length;const last=data[data.length-1];setScore(Math.min(1,Math.abs(last-mean)*3.5))},[data]);const W=720,H=240,padY=20;const path=data.map((v,i)=>`${i===0?"M":"L"}${(i*W/(N-1)).toFixed(1)} ${(padY+(1-v)*(H-padY*2)).toFixed(1)}`).join(" ");const threshold=.78;const anomalies=data.map((v,i)=>({v,i})).filter(p=>p.v>threshold);const status=score>.55?"ANOMALY":score>.3?"WATCH":"NORMAL";const statusColor=score>.55?"var(--bad)":score>.3?"var(--warn)":"var(--ok)";return React.createElement("div",{className:"al-body"},React.createElement("div",{className:"al-chart"},React.createElement("svg",{viewBox:`0 0 ${W} ${H}`,preserveAspectRatio:"none",style:{width:"100%",height:"auto",aspectRatio:`${W}/${H}`}},React.createElement("defs",null,React.createElement("linearGradient",{id:"anFill",x1:"0",y1:"0",x2:"0",y2:"1"},React.createElement("stop",{offset:"0%",stopColor:"var(--accent-2)",stopOpacity:"0.3"}),React.createElement("stop",{offset:"100%",stopColor:"var(--accent-2)",stopOpacity:"0"}))),React.createElement("line",{x1:"0",y1:padY+(1-threshold)*(H-padY*2),x2:W,y2:padY+(1-threshold)*(H-padY*2),stroke:"var(--bad)",strokeWidth:"1",strokeDasharray:"4 4",opacity:"0.5"}),React.createElement("text",{x:"8",y:padY+(1-threshold)*(H-padY*2)-6,fontFamily:"var(--font-mono)",fontSize:"10",fill:"var(--bad)",opacity:"0.7"},"THRESHOLD"),React.createElement("path",{d:path+` L${W} ${H} L0 ${H} Z`,fill:"url(#anFill)"}),React.createElement("path",{d:path,stroke:"var(--accent-2)",strokeWidth:"1.5",fill:"none"}),anomalies.map((a,idx)=>React.createElement("circle",{key:idx,cx:a.i*W/(N-1),cy:padY+(1-a.v)*(H-padY*2),r:"4",fill:"var(--bad)",stroke:"#0a1628",strokeWidth:"1.5"},React.createElement("animate",{attributeName:"r",values:"4;7;4",dur:"1.2s",repeatCount:"indefinite"}))))),React.createElement("div",{className:"al-side"},React.createElement("div",{className:"al-metric"},React.createElement("div",{className:"al-metric__lbl"},"Anomaly score"),React.createElement("div",{className:"al-metric__bar"},React.createElement("div",{className:"al-metric__fill",style:{width:`${score*100}%`,background:statusColor}})),React.createElement("div",{className:"al-metric__val",style:{color:statusColor}},score.toFixed(2))),React.createElement("div",{className:"al-stat-grid"},React.createElement("div",{className:"al-stat"},React.createElement("span",null,"Status"),React.createElement("strong",{style:{color:statusColor}},status)),React.createElement("div",{className:"al-stat"},React.createElement("span",null,"Model"),React.createElement("strong",null,"LSTM-AE")),React.createElement("div",{className:"al-stat"},React.createElement("span",null,"Latency"),React.createElement("strong",null,"3.2 ms")),React.createElement("div",{className:"al-stat"},React.createElement("span",null,"Recall"),React.createElement("strong",null,"0.94"))),React.createElement("div",{className:"al-note"},"Trained on 90 days of healthy operation. Flags reconstruction error above 0.78\u03C3.")))}function RULDemo({motion}){const[t,setT]=useAL(0);useEffAL(()=>{if(!motion)return;const id=setInterval(()=>setT(x=>(x+.5*motion)%100),300);return()=>clearInterval(id)},[motion]);const W=720,H=240,padY=20;const N=100;const health=Array.from({length:N},(_,i)=>{if(i>t)return null;return Math.max(.05,1-Math.pow(i/90,1.8)+Math.sin(i*.6)*.02)});const forecast=Array.from({length:N},(_,i)=>{if(i<=t)return null;return Math.max(.05,1-Math.pow(i/90,1.8))});const upper=forecast.map(v=>v==null?null:Math.min(1,v+.08+Math.random()*.02));const lower=forecast.map(v=>v==null?null:Math.max(0,v-.08-Math.random()*.02));const toPath=arr=>arr.map((v,i)=>v==null?"":`${i===Math.floor(arr.findIndex(x=>x!=null))?"M":"L"}${(i*W/(N-1)).toFixed(1)} ${(padY+(1-v)*(H-padY*2)).toFixed(1)}`).filter(Boolean).join(" ");const bandPts=[];upper.forEach((v,i)=>{if(v!=null)bandPts.push([i,v])});for(let i=lower.length-1;i>=0;i--)if(lower[i]!=null)bandPts.push([i,lower[i]]);const bandPath=bandPts.map(([i,v],idx)=>`${idx===0?"M":"L"}${(i*W/(N-1)).toFixed(1)} ${(padY+(1-v)*(H-padY*2)).toFixed(1)}`).join(" ")+" Z";const failThresh=.25;const failIdx=forecast.findIndex(v=>v!=null&&v<failThresh);const daysToFail=failIdx>0?Math.max(0,failIdx-Math.floor(t)):0;const currentHealth=health.filter(Boolean).pop()||0;return React.createElement("div",{className:"al-body"},React.createElement("div",{className:"al-chart"},React.createElement("svg",{viewBox:`0 0 ${W} ${H}`,preserveAspectRatio:"none",style:{width:"100%",height:"auto",aspectRatio:`${W}/${H}`}},React.createElement("defs",null,React.createElement("linearGradient",{id:"rulBand",x1:"0",y1:"0",x2:"0",y2:"1"},React.createElement("stop",{offset:"0%",stopColor:"var(--accent)",stopOpacity:"0.22"}),React.createElement("stop",{offset:"100%",stopColor:"var(--accent)",stopOpacity:"0.04"}))),React.createElement("line",{x1:"0",y1:padY+(1-failThresh)*(H-padY*2),x2:W,y2:padY+(1-failThresh)*(H-padY*2),stroke:"var(--bad)",strokeWidth:"1",strokeDasharray:"4 4",opacity:"0.5"}),React.createElement("text",{x:"8",y:padY+(1-failThresh)*(H-padY*2)-6,fontFamily:"var(--font-mono)",fontSize:"10",fill:"var(--bad)",opacity:"0.7"},"FAILURE"),React.createElement("path",{d:bandPath,fill:"url(#rulBand)"}),React.createElement("path",{d:toPath(forecast),stroke:"var(--accent)",strokeWidth:"1.5",strokeDasharray:"5 4",fill:"none",opacity:"0.7"}),React.createElement("path",{d:toPath(health),stroke:"var(--accent-2)",strokeWidth:"2",fill:"none",style:{filter:"drop-shadow(0 0 6px var(--accent-glow))"}}),React.createElement("line",{x1:t*W/(N-1),y1:"0",x2:t*W/(N-1),y2:H,stroke:"var(--accent-2)",strokeWidth:"1",strokeDasharray:"2 4",opacity:"0.6"}),React.createElement("circle",{cx:t*W/(N-1),cy:padY+(1-currentHealth)*(H-padY*2),r:"4",fill:"var(--accent-2)",stroke:"#0a1628",strokeWidth:"2"}))),React.createElement("div",{className:"al-side"},React.createElement("div",{className:"al-metric"},React.createElement("div",{className:"al-metric__lbl"},"Health index"),React.createElement("div",{className:"al-metric__bar"},React.createElement("div",{className:"al-metric__fill",style:{width:`${currentHealth*100}%`,background:currentHealth>.6?"var(--ok)":currentHealth>.35?"var(--warn)":"var(--bad)"}})),React.createElement("div",{className:"al-metric__val"},(currentHealth*100).toFixed(0),"%")),React.createElement("div",{className:"al-stat-grid"},React.createElement("div",{className:"al-stat"},React.createElement("span",null,"RUL"),React.createElement("strong",{style:{color:"var(--accent-2)"}},"~",daysToFail||"\u2014"," days")),React.createElement("div",{className:"al-stat"},React.createElement("span",null,"Confidence"),React.createElement("strong",null,"\xB14d (95%)")),React.createElement("div",{className:"al-stat"},React.createElement("span",null,"Model"),React.createElement("strong",null,"XGBoost+Cox")),React.createElement("div",{className:"al-stat"},React.createElement("span",null,"MAE"),React.createElement("strong",null,"2.1 d"))),React.createElement("div",{className:"al-note"},"Survival regression on 6 features (vibration, temp, current, lubricant age, load, run hours).")))}function SoftSensorDemo({motion}){const[t,setT]=useAL(0);useEffAL(()=>{if(!motion)return;const id=setInterval(()=>setT(x=>x+.06*motion),200);return()=>clearInterval(id)},[motion]);const inputs=[{name:"Reflux ratio",v:2.4+Math.sin(t)*.1,unit:""},{name:"Reboiler duty",v:1840+Math.sin(t*.7)*80,unit:"kW"},{name:"Top temp",v:78.2+Math.sin(t*1.1)*1.4,unit:"\xB0C"},{name:"Feed flow",v:24.6+Math.sin(t*.5)*.8,unit:"m\xB3/h"},{name:"Tray 14 \u0394P",v:.42+Math.sin(t*.9)*.04,unit:"bar"}];const predicted=99.2+Math.sin(t*.5)*.35+Math.sin(t*1.3)*.1;const lab=useMemoAL(()=>{return 99.2+Math.sin(Math.floor(t/6)*.5)*.3},[Math.floor(t/6)]);const histRef=useRefAL([]);useEffAL(()=>{histRef.current=[...histRef.current.slice(-79),predicted]},[t]);const N=80,W=720,H=200,padY=16;const min=98.4,max=100;const norm=v=>(v-min)/(max-min);const path=histRef.current.map((v,i)=>`${i===0?"M":"L"}${(i*W/(N-1)).toFixed(1)} ${(padY+(1-norm(v))*(H-padY*2)).toFixed(1)}`).join(" ");return React.createElement("div",{className:"al-body"},React.createElement("div",{className:"al-chart"},React.createElement("div",{style:{display:"grid",gridTemplateColumns:"1fr 1fr 1fr 1fr 1fr",gap:8,marginBottom:16}},inputs.map(inp=>React.createElement("div",{key:inp.name,className:"al-input-tile"},React.createElement("div",{className:"al-input-tile__name"},inp.name),React.createElement("div",{className:"al-input-tile__val"},inp.v.toFixed(inp.v>100?0:1),React.createElement("span",null,inp.unit))))),React.createElement("div",{style:{position:"relative"}},React.createElement("svg",{viewBox:`0 0 ${W} ${H}`,preserveAspectRatio:"none",style:{width:"100%",height:"auto",aspectRatio:`${W}/${H}`}},React.createElement("defs",null,React.createElement("linearGradient",{id:"ssFill",x1:"0",y1:"0",x2:"0",y2:"1"},React.createElement("stop",{offset:"0%",stopColor:"var(--accent)",stopOpacity:"0.3"}),React.createElement("stop",{offset:"100%",stopColor:"var(--accent)",stopOpacity:"0"}))),React.createElement("line",{x1:"0",y1:padY+(1-norm(lab))*(H-padY*2),x2:W,y2:padY+(1-norm(lab))*(H-padY*2),stroke:"#fbbf24",strokeDasharray:"3 4",strokeWidth:"1",opacity:"0.7"}),React.createElement("path",{d:path+` L${W} ${H} L0 ${H} Z`,fill:"url(#ssFill)"}),React.createElement("path",{d:path,stroke:"var(--accent)",strokeWidth:"2",fill:"none",style:{filter:"drop-shadow(0 0 6px var(--accent-glow))"}})),React.createElement("div",{style:{position:"absolute",top:4,right:8,fontFamily:"var(--font-mono)",fontSize:10,color:"var(--fg-dim)",display:"flex",gap:12}},React.createElement("span",null,React.createElement("span",{style:{display:"inline-block",width:12,height:2,background:"var(--accent)",verticalAlign:"middle",marginRight:4}}),"ML PREDICTION"),React.createElement("span",null,React.createElement("span",{style:{display:"inline-block",width:12,height:2,background:"#fbbf24",verticalAlign:"middle",marginRight:4}}),"LAB SAMPLE")))),React.createElement("div",{className:"al-side"},React.createElement("div",{className:"al-metric"},React.createElement("div",{className:"al-metric__lbl"},"Predicted purity"),React.createElement("div",{className:"al-metric__val",style:{fontSize:32,color:"var(--accent-2)"}},predicted.toFixed(2),React.createElement("span",{style:{fontSize:14,color:"var(--fg-dim)"}},"%"))),React.createElement("div",{className:"al-stat-grid"},React.createElement("div",{className:"al-stat"},React.createElement("span",null,"Lab (last)"),React.createElement("strong",{style:{color:"#fbbf24"}},lab.toFixed(2),"%")),React.createElement("div",{className:"al-stat"},React.createElement("span",null,"\u0394 vs lab"),React.createElement("strong",null,(predicted-lab).toFixed(3),"%")),React.createElement("div",{className:"al-stat"},React.createElement("span",null,"Model"),React.createElement("strong",null,"GBM-Reg")),React.createElement("div",{className:"al-stat"},React.createElement("span",null,"R\xB2"),React.createElement("strong",null,"0.987"))),React.createElement("div",{className:"al-note"},"Online inference at 1 Hz vs. 4-hour lab cadence. Closes the loop on operator decisions.")))}function VisionDemo({motion}){const[tick,setTick]=useAL(0);const[detections,setDetections]=useAL([]);useEffAL(()=>{if(!motion)return;const id=setInterval(()=>{setTick(t=>t+1);const n=Math.random()<.5?1:Math.random()<.85?2:0;const newDets=Array.from({length:n},()=>({x:10+Math.random()*70,y:15+Math.random()*60,w:8+Math.random()*12,h:10+Math.random()*14,cls:Math.random()<.7?"OK":Math.random()<.6?"SCUFF":"CHIP",conf:.72+Math.random()*.27}));setDetections(newDets)},600/motion);return()=>clearInterval(id)},[motion]);const stats=useMemoAL(()=>{const seed=tick;return{processed:12480+seed*12,defects:18+Math.floor(seed/30),yieldPct:99.86+Math.sin(seed*.2)*.04}},[tick]);return React.createElement("div",{className:"al-body"},React.createElement("div",{className:"al-chart"},React.createElement("div",{className:"al-vision"},React.createElement("svg",{viewBox:"0 0 100 80",preserveAspectRatio:"none",style:{width:"100%",height:"100%",position:"absolute",inset:0}},React.createElement("defs",null,React.createElement("pattern",{id:"belt",x:"0",y:"0",width:"6",height:"80",patternUnits:"userSpaceOnUse",patternTransform:`translate(${-(tick*4)%6} 0)`},React.createElement("rect",{width:"6",height:"80",fill:"#1a2540"}),React.createElement("line",{x1:"3",y1:"0",x2:"3",y2:"80",stroke:"rgba(226,232,240,0.06)",strokeWidth:"0.4"}))),React.createElement("rect",{width:"100",height:"80",fill:"url(#belt)"}),[0,1,2,3].map(i=>{const x=(tick*.8+i*25)%110-5;return React.createElement("g",{key:i,transform:`translate(${x} 28)`},React.createElement("rect",{x:"-7",y:"-2",width:"14",height:"32",rx:"2",fill:"rgba(125,211,252,0.15)",stroke:"rgba(125,211,252,0.4)",strokeWidth:"0.3"}),React.createElement("rect",{x:"-3",y:"-6",width:"6",height:"6",fill:"rgba(125,211,252,0.25)",stroke:"rgba(125,211,252,0.4)",strokeWidth:"0.3"}))})),detections.map((d,i)=>React.createElement("div",{key:i,className:"al-bbox",style:{left:`${d.x}%`,top:`${d.y}%`,width:`${d.w}%`,height:`${d.h}%`,borderColor:d.cls==="OK"?"var(--ok)":d.cls==="SCUFF"?"var(--warn)":"var(--bad)"}},React.createElement("span",{className:"al-bbox__lbl",style:{background:d.cls==="OK"?"var(--ok)":d.cls==="SCUFF"?"var(--warn)":"var(--bad)"}},d.cls," \xB7 ",d.conf.toFixed(2)))),React.createElement("div",{className:"al-scanline"}),React.createElement("div",{className:"al-vision__head"},React.createElement("span",{className:"mono",style:{fontSize:10,color:"var(--fg-dim)",letterSpacing:"0.12em"}},"CAM-04 \xB7 1280\xD7720 \xB7 12 fps"),React.createElement("span",{className:"live"},React.createElement("span",{className:"dot"})," rec")))),React.createElement("div",{className:"al-side"},React.createElement("div",{className:"al-stat-grid"},React.createElement("div",{className:"al-stat"},React.createElement("span",null,"Processed"),React.createElement("strong",null,stats.processed.toLocaleString())),React.createElement("div",{className:"al-stat"},React.createElement("span",null,"Defects"),React.createElement("strong",{style:{color:"var(--warn)"}},stats.defects)),React.createElement("div",{className:"al-stat"},React.createElement("span",null,"Yield"),React.createElement("strong",{style:{color:"var(--ok)"}},stats.yieldPct.toFixed(2),"%")),React.createElement("div",{className:"al-stat"},React.createElement("span",null,"Latency"),React.createElement("strong",null,"42 ms"))),React.createElement("div",{className:"al-metric"},React.createElement("div",{className:"al-metric__lbl"},"Model"),React.createElement("div",{className:"al-metric__val",style:{fontSize:16}},"YOLOv8-n \xB7 ONNX runtime")),React.createElement("div",{className:"al-note"},"Edge inference on a Jetson Orin. Classes: OK / SCUFF / CHIP / CRACK. Retrained nightly on flagged frames.")))}Object.assign(window,{AILiveSection});;const{useState:useLM,useRef:useRefLM,useEffect:useEffLM}=React;const LM_PERSONAS=[{key:"claude",name:"Claude",hint:"Anthropic \xB7 thoughtful"},{key:"gpt",name:"ChatGPT",hint:"OpenAI \xB7 versatile"},{key:"grok",name:"Grok",hint:"xAI \xB7 direct"},{key:"gemini",name:"Gemini",hint:"Google \xB7 concise"}];const LM_SUGGESTS=["What does Blueforge AI actually deliver in an 8\u201312 week pilot?","How do you compare AVEVA PI vs Canary vs TDengine for a mid-size plant?","Can you build a golden batch model on top of an existing PI System?","What's a realistic ROI for predictive maintenance on rotating equipment?"];const LM_SYS=`You are answering questions on the Blueforge AI website. Blueforge AI is an industrial data intelligence consultancy. Services: plant digitalization (AVEVA PI, Canary Historian, TDengine), Grafana dashboards, custom PI Vision symbols, AI/ML models (anomaly detection, predictive maintenance/RUL, soft sensors, computer vision QA, golden batch), and custom software development for industrial operations. Tone: confident, technical, honest, brief. Keep answers to 3-5 sentences. End with a soft nudge to reach out at info@blueforgeai.com when relevant. Adapt your voice to the requested persona but stay accurate.`;const LM_ENDPOINT="/api/ask";const LM_ERRORS={"no-backend":"Live model access isn't wired up on this domain yet. Copy your question and paste it into ChatGPT, Claude, Grok or Gemini \u2014 or just email info@blueforgeai.com and we'll answer ourselves.","rate-limited":"That's a lot of questions in a short time \u2014 give it a few minutes, or email info@blueforgeai.com and a human will pick it up.","rejected-input":"That reads like an attempt to change the assistant's instructions, so it wasn't sent. Ask about your plant, your stack or our work instead.",default:"Couldn't reach the model. Try again or email info@blueforgeai.com directly."};async function lmReadSSE(res,onEvent){const reader=res.body.getReader();const decoder=new TextDecoder;let buf="";for(;;){const{value,done}=await reader.read();if(done)break;buf+=decoder.decode(value,{stream:true});let cut;while((cut=buf.indexOf("\n\n"))!==-1){const block=buf.slice(0,cut);buf=buf.slice(cut+2);let name="message",data="";block.split("\n").forEach(l=>{if(l.startsWith("event:"))name=l.slice(6).trim();else if(l.startsWith("data:"))data+=l.slice(5).trim()});onEvent(name,data?JSON.parse(data):{})}}}const LM_CTX_TOKENS=1500;const lmTokens=text=>Math.ceil(text.length/4);function lmContext(turns,budget=LM_CTX_TOKENS){const pairs=[];for(let i=0;i+1<turns.length;i+=2){const u=turns[i],a=turns[i+1];if(u.role==="user"&&a.role==="assistant"&&a.content&&!a.err)pairs.push([u,a])}const out=[];let used=0;for(let i=pairs.length-1;i>=0;i--){used+=lmTokens(pairs[i][0].content)+lmTokens(pairs[i][1].content);if(used>budget)break;out.unshift({role:"user",content:pairs[i][0].content},{role:"assistant",content:pairs[i][1].content})}return out}function lmTranscript(turns,personaName){return turns.filter(t=>t.content).map(t=>`${t.role==="user"?"You":personaName}: ${t.content}`).join("\n\n")}function lmCite(text,sources){if(!sources||!sources.length)return text;return text.split(/(\[\d+\])/).map((part,i)=>{const m=/^\[(\d+)\]$/.exec(part);const src=m&&sources.find(s=>s.n===Number(m[1]));return src?React.createElement("a",{key:i,href:src.anchor,className:"lm-cite",title:`${src.section} \xB7 ${src.title}`},part):part})}const LM_HISTORIAN_CUES=[["AVEVA PI",/\b(aveva|pi system|pi vision|pi af|osisoft|pi)\b/g],["Canary Historian",/\bcanary\b/g],["TDengine",/\btdengine\b/g],["InfluxDB / Timescale",/\b(influx(db)?|timescale(db)?)\b/g]];const LM_SCOPE_CUES=[["Digitalization",/\b(digiti[sz]ation|digitali[sz]ation|historians?|rollout|opc ua|mqtt)\b/],["Dashboards",/\b(grafana|dashboards?)\b/],["PI Vision symbols",/\b(pi vision|symbols?|mimics?)\b/],["AI / ML",/\b(ai|ml|machine learning|models?|anomaly|predictive|soft sensors?|golden batch|forecast\w*|rul)\b/],["Custom software",/\b(apis?|custom software|integrations?|apps?|portal)\b/]];const lmCueText=turns=>turns.map(t=>t.content).join(" ").toLowerCase().replace(/blueforge\s*ai/g," ");function lmContactPrefill(turns,personaName){const asked=lmCueText(turns.filter(t=>t.role==="user"));const all=lmCueText(turns);const count=(text,re)=>(text.match(re)||[]).length;const ranked=LM_HISTORIAN_CUES.map(([name,re])=>[name,count(asked,re)*10+count(all,re)]).filter(([,n])=>n>0).sort((a,b)=>b[1]-a[1]);const scope=LM_SCOPE_CUES.filter(([,re])=>re.test(asked)).map(([name])=>name);const answered=turns.filter(t=>t.content&&!t.err);return{source:`conversation with ${personaName}`,historian:ranked.length?ranked[0][0]:void 0,scope,message:`From the Ask section (${personaName}):
+
+${lmTranscript(answered.slice(-6),personaName)}
+
+\u2014
+What I'd like to discuss next: `}}const LM_EMPTY_THREADS=Object.fromEntries(LM_PERSONAS.map(p=>[p.key,[]]));function LLMAskSection(){const[persona,setPersona]=useLM("claude");const[q,setQ]=useLM("");const[threads,setThreads]=useLM(LM_EMPTY_THREADS);const[busy,setBusy]=useLM({});const[copied,setCopied]=useLM(false);const abortRef=useRefLM({});const logRef=useRefLM(null);const thread=threads[persona];const personaName=LM_PERSONAS.find(p=>p.key===persona).name;const loading=!!busy[persona];useEffLM(()=>{const el=logRef.current;if(el)el.scrollTop=el.scrollHeight},[thread]);const stop=(key=persona)=>{if(abortRef.current[key])abortRef.current[key].abort()};const patchTurn=(key,idx,patch)=>setThreads(all=>{const t=all[key];if(idx>=t.length)return all;return{...all,[key]:t.map((turn,i)=>i===idx?{...turn,...patch}:turn)}});const ask=async question=>{const text=(question??q).trim();if(!text)return;const key=persona;stop(key);const name=personaName;const history2=lmContext(threads[key]);const idx=threads[key].length+1;const patchLast=patch=>patchTurn(key,idx,patch);const ctrl=new AbortController;abortRef.current[key]=ctrl;setBusy(b=>({...b,[key]:true}));setQ("");setThreads(all=>({...all,[key]:[...all[key],{role:"user",content:text},{role:"assistant",content:""}]}));let got="";try{if(window.claude&&typeof window.claude.complete==="function"){const convo=history2.map(m=>`${m.role==="user"?"Visitor":name}: ${m.content}`).join("\n\n");const prompt=`${LM_SYS}
+
+Respond in the voice of ${name}.${convo?`
+
+Conversation so far:
+${convo}`:""}
+
+Visitor question: ${text}`;got=await window.claude.complete(prompt);if(!ctrl.signal.aborted)patchLast({content:got})}else{const res=await fetch(LM_ENDPOINT,{method:"POST",headers:{"Content-Type":"application/json",Accept:"text/event-stream",...await powHeaders("ask")},body:JSON.stringify({persona:key,question:text,history:history2}),signal:ctrl.signal});powPrefetch("ask");if(res.status===404||res.status===503)throw new Error("no-backend");if(res.status===429)throw new Error("rate-limited");if(res.status===400&&(await res.json().catch(()=>({}))).error==="rejected-input")throw new Error("rejected-input");if(!res.ok||!res.body)throw new Error("ask-failed");let finished=false;await lmReadSSE(res,(ev,data)=>{if(ev==="sources")patchLast({sources:data.sources});else if(ev==="token"){got+=data.t;patchLast({content:got})}else if(ev==="done")finished=true;else if(ev==="error")throw new Error("stream-broken")});if(!finished)throw new Error("stream-broken")}}catch(e){if(e&&e.name==="AbortError")patchLast(got?{cut:"stopped"}:{err:"Stopped before the model answered."});else if(got)patchLast({cut:"broken"});else patchLast({err:LM_ERRORS[e&&e.message]||LM_ERRORS.default})}if(abortRef.current[key]===ctrl){delete abortRef.current[key];setBusy(b=>({...b,[key]:false}))}};const newConversation=()=>{if(loading)stop();setThreads(all=>({...all,[persona]:[]}))};const copyTranscript=async()=>{try{await navigator.clipboard.writeText(lmTranscript(thread,personaName));setCopied(true);setTimeout(()=>setCopied(false),1600)}catch(_){}};return React.createElement("section",{className:"section",id:"ask","data-screen-label":"10b Ask"},React.createElement("div",{className:"container"},React.createElement("div",{className:"section-head"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"10b \xB7 Ask anything"),React.createElement("h2",{style:{marginTop:14}},"Talk to an LLM.",React.createElement("br",null),React.createElement("span",{style:{color:"var(--fg-mute)"}},"About us, our stack, your project."))),React.createElement("p",{className:"lead"},"Pick your model, ask a question. We've briefed each one on what we do, how we work, and what we don't pretend to do. No sales chatbot \u2014 just a real answer.")),React.createElement("div",{className:"lm-wrap"},React.createElement("div",{className:"lm-personas"},LM_PERSONAS.map(p=>React.createElement("button",{key:p.key,className:"lm-persona"+(persona===p.key?" lm-persona--active":""),onClick:()=>setPersona(p.key)},React.createElement("div",{className:"lm-persona__name"},p.name,threads[p.key].length>0&&React.createElement("span",{style:{color:"var(--fg-dim)",marginLeft:6}},"\xB7 ",threads[p.key].length/2)),React.createElement("div",{className:"lm-persona__hint"},p.hint)))),thread.length>0&&React.createElement("div",{className:"lm-answer"},React.createElement("div",{className:"lm-answer__head"},React.createElement("span",{className:"tag"},personaName),React.createElement("span",{style:{display:"flex",gap:14,alignItems:"center"}},React.createElement("button",{className:"lm-link",onClick:copyTranscript},copied?"Copied \u2713":"Copy transcript"),React.createElement("button",{className:"lm-link",onClick:newConversation},"New conversation"),React.createElement("span",{className:"live"},React.createElement("span",{className:"dot"})," ",loading?"generating":"thread"))),React.createElement("div",{className:"lm-thread",ref:logRef,role:"log","aria-live":"polite","aria-busy":loading},thread.map((t,i)=>t.role==="user"?React.createElement("div",{key:i,className:"lm-turn lm-turn--user"},t.content):React.createElement("div",{key:i,className:"lm-turn lm-answer__body"},t.err?React.createElement("span",{style:{color:"var(--bad)"}},t.err):!t.content?React.createElement("span",{style:{color:"var(--fg-dim)"}},"\u2026"):lmCite(t.content,t.sources),loading&&i===thread.length-1&&t.content&&React.createElement("span",{className:"lm-caret","aria-hidden":"true"},"\u258D"),t.cut&&React.createElement("div",{className:"mono",style:{marginTop:10,fontSize:11,color:"var(--fg-dim)"}},t.cut==="stopped"?"\u2014 stopped":"\u2014 connection dropped; answer is incomplete. Ask again to retry."),t.sources&&t.sources.length>0&&t.content&&React.createElement("div",{className:"lm-sources"},React.createElement("span",{className:"lm-suggests__lbl"},"Sources"),t.sources.map(src=>React.createElement("a",{key:src.id,href:src.anchor,className:"lm-source"},"[",src.n,"] ",src.section," \xB7 ",src.title)))))),React.createElement("div",{className:"lm-answer__foot"},"Not a sales bot. Want a real human?"," ",thread.some(t=>t.role==="assistant"&&t.content)&&!loading?React.createElement("button",{className:"lm-link lm-link--accent",onClick:()=>handOffToContact(lmContactPrefill(thread,personaName))},"Send this to a human \u2192"):React.createElement("a",{href:"#contact",style:{color:"var(--accent-2)"}},"Connect with us \u2192"))),React.createElement("div",{className:"lm-input"},React.createElement("textarea",{value:q,onChange:e=>setQ(e.target.value),onFocus:()=>{if(!window.claude)powPrefetch("ask")},placeholder:thread.length?`Follow up with ${personaName}\u2026`:`Ask ${personaName} about Blueforge AI\u2026`,rows:3,onKeyDown:e=>{if(e.key==="Enter"&&(e.metaKey||e.ctrlKey))ask()}}),loading?React.createElement("button",{className:"btn lm-send",onClick:()=>stop(),"aria-label":"Stop generating"},"Stop ",React.createElement("span",{"aria-hidden":"true"},"\u25A0")):React.createElement("button",{className:"btn btn--primary lm-send",disabled:!q.trim(),onClick:()=>ask()},"Ask ",React.createElement("span",{className:"arrow"},"\u2192"))),thread.length===0&&React.createElement("div",{className:"lm-suggests"},React.createElement("div",{className:"lm-suggests__lbl"},"Try:"),LM_SUGGESTS.map(s=>React.createElement("button",{key:s,className:"lm-suggest",onClick:()=>ask(s)},s))))))}Object.assign(window,{LLMAskSection,lmContactPrefill});;const{useState:useER,useEffect:useEffER}=React;function AskPill(){const[visible,setVisible]=useER(false);const[hidden,setHidden]=useER(false);useEffER(()=>{const on=()=>setVisible(window.scrollY>600);on();window.addEventListener("scroll",on,{passive:true});return()=>window.removeEventListener("scroll",on)},[]);if(hidden)return null;return React.createElement("a",{href:"#ask",className:"ask-pill"+(visible?" ask-pill--in":""),"aria-label":"Need information? Ask our AI assistant"},React.createElement("span",{className:"ask-pill__dot"}),React.createElement("span",{className:"ask-pill__body"},React.createElement("span",{className:"ask-pill__lbl"},"Need info?"),React.createElement("span",{className:"ask-pill__sub"},"Ask our AI")),React.createElement("button",{className:"ask-pill__close",onClick:e=>{e.preventDefault();setHidden(true)},"aria-label":"Dismiss"},"\xD7"))}const ECOSYSTEM_REFS=[{vendor:"AVEVA PI System",role:"Plant historian we deploy and tune",blurb:"AVEVA's industrial information platform \u2014 used by 24 of the top 25 oil and gas companies and most major utilities, chemicals and pharma operators worldwide.",cta:"AVEVA customer stories",href:"https://www.aveva.com/en/about/customer-stories/",examples:["Saudi Aramco","Duke Energy","Air Liquide","Marathon Petroleum"]},{vendor:"Canary Labs Historian",role:"Lightweight historian we deploy at mid-scale sites",blurb:"Trusted by manufacturers, utilities and packagers as a cost-effective, no-tag-fee alternative to enterprise historians.",cta:"Canary success stories",href:"https://www.canarylabs.com/customer-success",examples:["Mauser Packaging","Bridgestone","Whirlpool","Vincit Oy"]},{vendor:"TDengine",role:"High-performance time-series database we deploy at scale",blurb:"Purpose-built open-source time-series DB for IIoT and connected vehicles. Powers some of the largest telemetry workloads in industry.",cta:"TDengine customers",href:"https://tdengine.com/customers/",examples:["China Telecom","Lenovo","BYD","Geely"]}];function EcosystemSection(){return React.createElement("section",{className:"section",id:"ecosystem","data-screen-label":"10c Ecosystem"},React.createElement("div",{className:"container"},React.createElement("div",{className:"section-head"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"Ecosystem proof"),React.createElement("h2",{style:{marginTop:14}},"The stack we deploy",React.createElement("br",null),React.createElement("span",{className:"gradient-text"},"is already trusted by giants."))),React.createElement("p",{className:"lead"},"We don't expect you to take our word for what AVEVA PI, Canary or TDengine can do \u2014 explore the published customer stories from the vendors themselves. We're the team that turns that platform into your outcomes.")),React.createElement("div",{className:"eco-grid"},ECOSYSTEM_REFS.map(v=>React.createElement("a",{key:v.vendor,href:v.href,target:"_blank",rel:"noopener noreferrer",className:"eco-card"},React.createElement("div",{className:"eco-card__top"},React.createElement("span",{className:"tag"},"VENDOR \xB7 PUBLIC REFERENCES"),React.createElement("span",{className:"eco-card__arrow","aria-hidden":"true"},"\u2197")),React.createElement("h3",{className:"eco-card__title"},v.vendor),React.createElement("div",{className:"eco-card__role mono"},v.role),React.createElement("p",{className:"eco-card__blurb"},v.blurb),React.createElement("div",{className:"eco-card__logos"},v.examples.map(e=>React.createElement("span",{key:e,className:"eco-logo"},e))),React.createElement("div",{className:"eco-card__cta mono"},v.cta," ",React.createElement("span",{className:"arrow"},"\u2192"))))),React.createElement("p",{className:"eco-note mono"},"External links open in a new tab. Customer names are publicly disclosed by the vendors. Blueforge AI is an independent implementation partner \u2014 not affiliated with the trademark holders.")))}Object.assign(window,{AskPill,EcosystemSection});;const PI_CASES=[{company:"TotalEnergies",industry:"Energy \xB7 Refining",metric:"\u20AC1.5M saved",sub:"64 days avoided downtime",body:"Built emissions-monitoring master templates in PI Asset Framework. Deployed across four refineries and 45+ pieces of combustion equipment; monitors ~85% of operational emissions.",href:"https://www.aveva.com/en/perspectives/success-stories/totalenergies/",color:"#5b8def"},{company:"Dr. Reddy's Laboratories",industry:"Pharmaceutical \xB7 India",metric:"90% productivity gain",sub:"40% reduction in quality-related cost",body:"WEF Global Lighthouse Network site. PI System is core to a paperless-by-2030 digital transformation across multiple certified manufacturing plants.",href:"https://www.aveva.com/en/perspectives/success-stories/drl/",color:"#7dd3fc"},{company:"Ontario Power Generation",industry:"Power \xB7 Nuclear & Renewables",metric:"$4M efficiency gains",sub:"3,000 hrs / yr maintenance eliminated",body:"Deployed PI System + AVEVA Predictive Analytics across nuclear and renewable fleet \u2014 over 1,200 predictive models. One early-detection event alone saved $200K at a nuclear plant.",href:"https://www.aveva.com/en/perspectives/blog/situational-awareness-for-grid-resilience/",color:"#22d3ee"},{company:"Dominion Energy",industry:"Utility \xB7 Transmission",metric:"28,000 assets modeled",sub:"42 equipment failures prevented in year 1",body:"Used PI Asset Framework to model substations, transformers and circuits across the grid \u2014 turning telemetry into a single contextualized network model for proactive maintenance.",href:"https://www.aveva.com/en/perspectives/blog/situational-awareness-for-grid-resilience/",color:"#5b8def"},{company:"ONS Brazil",industry:"Grid Operator \xB7 Renewables",metric:"211,000 MWh saved",sub:"$11.4M USD losses avoided (2024)",body:"National Electric System Operator integrated PI System with its energy management platform to optimize renewable dispatch \u2014 98% improvement in operational communication efficiency.",href:"https://www.aveva.com/en/perspectives/presentations/2025/ons-brazil--maximizing-renewable-energy-utilization--the-impact-of-pi-system-on-grid-efficiency/",color:"#7dd3fc"},{company:"PJM Interconnection",industry:"Grid \xB7 USA East",metric:"Real-time grid visibility",sub:"Esri ArcGIS + weather + telemetry fused",body:"PJM combines geographic, weather and live grid data in PI System to display power-line status on a single situational-awareness map for dispatchers.",href:"https://www.aveva.com/en/perspectives/success-stories/pjm-uses-aveva-pi-system-to-visualize-the-electric-grid-in-real-time/",color:"#22d3ee"},{company:"Energy Queensland",industry:"Utility \xB7 Australia",metric:"Hidden grid capacity unlocked",sub:"Solar two-way power flow enabled",body:"Brings real-time data on grid infrastructure, weather and geography into PI System to manage power flow economically as large solar farms feed back into a one-way-designed grid.",href:"https://www.aveva.com/en/perspectives/success-stories/energy-queensland-aveva/",color:"#5b8def"},{company:"DTE Energy",industry:"Utility \xB7 Michigan",metric:"Faster outage response",sub:"Field crews equipped with live fault data",body:"Pairs distribution fault sensors with PI System to give field crews real-time outage information \u2014 restoring service to customers faster and more efficiently after grid events.",href:"https://www.aveva.com/content/dam/aveva/documents/perspectives/success-stories/SuccessStory_DTEEnergy.pdf.coredownload.inline.pdf",color:"#7dd3fc"},{company:"Pfizer",industry:"Pharmaceutical \xB7 GMP",metric:"2,000+ tags / PCMM line",sub:"Democratized production analysis",body:"Pfizer's portable continuous miniature & modular (PCMM) tablet line streams GMP-validated historian data into AVEVA PI Vision dashboards \u2014 enabling rapid root-cause analysis.",href:"https://www.aveva.com/content/dam/aveva/documents/perspectives/success-stories/SuccessStory_AVEVA_PfizerUsesAVEVAPISystem_22-09-v1.pdf",color:"#22d3ee"},{company:"LADWP",industry:"Water & Power \xB7 Los Angeles",metric:"Drought + wildfire resilience",sub:"Automated data collection across legacy sources",body:"Los Angeles Department of Water & Power uses PI System + PI Vision to maintain water reliability and safety in the face of aging infrastructure, drought and wildfire.",href:"https://swan-forum.com/wp-content/uploads/2022/11/AVEVA-LADWP-Case-Study.pdf",color:"#5b8def"}];function PICasesSection(){const[showAll,setShowAll]=React.useState(false);const visible=showAll?PI_CASES:PI_CASES.slice(0,6);return React.createElement("section",{className:"section",id:"pi-cases","data-screen-label":"10d PI Case Studies"},React.createElement("div",{className:"container"},React.createElement("div",{className:"section-head"},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"AVEVA PI System \xB7 published outcomes"),React.createElement("h2",{style:{marginTop:14}},"Real measured impact",React.createElement("br",null),React.createElement("span",{className:"gradient-text"},"on the stack we deploy."))),React.createElement("p",{className:"lead"},"Below are ",React.createElement("strong",null,"publicly documented case studies")," from AVEVA's own customer library \u2014 refineries, utilities, grid operators and pharma manufacturers running PI System at scale. Every link goes to the source. We deploy and tune this same platform for our clients.")),React.createElement("div",{className:"pi-grid"},visible.map(c=>React.createElement("a",{key:c.company,href:c.href,target:"_blank",rel:"noopener noreferrer",className:"pi-card",style:{"--c-accent":c.color}},React.createElement("div",{className:"pi-card__head"},React.createElement("span",{className:"tag mono"},c.industry),React.createElement("span",{className:"pi-card__arrow","aria-hidden":"true"},"\u2197")),React.createElement("div",{className:"pi-card__metric"},c.metric),React.createElement("div",{className:"pi-card__sub mono"},c.sub),React.createElement("h3",{className:"pi-card__company"},c.company),React.createElement("p",{className:"pi-card__body"},c.body),React.createElement("div",{className:"pi-card__link mono"},"Read the full case study ",React.createElement("span",{className:"arrow"},"\u2192"))))),React.createElement("div",{className:"pi-cta-row"},!showAll&&PI_CASES.length>6&&React.createElement("button",{className:"btn btn--ghost",onClick:()=>setShowAll(true)},"Show ",PI_CASES.length-6," more case studies"),React.createElement("a",{href:"https://www.aveva.com/en/perspectives/success-stories/",target:"_blank",rel:"noopener noreferrer",className:"btn btn--ghost"},"Browse AVEVA's full library ",React.createElement("span",{className:"arrow"},"\u2197"))),React.createElement("p",{className:"eco-note mono"},"Source: aveva.com / Perspectives \u2014 Success Stories. Outcomes and figures are reproduced from AVEVA's own published case studies. Customer names are trademarks of their respective owners. Blueforge AI is an independent implementation partner, not affiliated with the trademark holders.")))}Object.assign(window,{PICasesSection});;const{useEffect:useEffM,useState:useStM,useRef:useRefM}=React;function useInView(threshold=.2){const ref=useRefM(null);const[seen,setSeen]=useStM(false);useEffM(()=>{if(!ref.current||seen)return;const io=new IntersectionObserver(([entry])=>{if(entry.isIntersecting)setSeen(true)},{threshold});io.observe(ref.current);return()=>io.disconnect()},[seen]);return[ref,seen]}function CountUp({to,suffix="",duration=1600,decimals=0}){const[ref,seen]=useInView(.4);const[val,setVal]=useStM(0);useEffM(()=>{if(!seen)return;let raf,start;const tick=t=>{if(!start)start=t;const k=Math.min(1,(t-start)/duration);const ease=1-Math.pow(1-k,3);setVal(to*ease);if(k<1)raf=requestAnimationFrame(tick)};raf=requestAnimationFrame(tick);return()=>cancelAnimationFrame(raf)},[seen]);return React.createElement("span",{ref},val.toFixed(decimals),suffix)}function Manifesto(){return React.createElement("section",{className:"section section--sm manifesto","data-screen-label":"01c Manifesto"},React.createElement("div",{className:"container"},React.createElement("div",{className:"manifesto__inner"},React.createElement("div",{className:"manifesto__eyebrow eyebrow"},"Our position"),React.createElement("h2",{className:"manifesto__line"},React.createElement("span",{className:"manifesto__strike"},"Dashboards don't run plants."),React.createElement("span",{className:"manifesto__strike"},"Models don't run plants."),React.createElement("span",null,"Operators do \u2014 and they need the right number, on the right screen, at the right moment.")),React.createElement("p",{className:"manifesto__signoff mono"},"\u2014 That's the only KPI we measure ourselves by."))))}function BigStats(){return null}function PullQuote(){return React.createElement("section",{className:"section pull-quote","data-screen-label":"06c Pull Quote"},React.createElement("div",{className:"container"},React.createElement("div",{className:"pull-quote__mark","aria-hidden":"true"},'"'),React.createElement("p",{className:"pull-quote__body"},"A historian without a model is a graveyard for data.",React.createElement("br",null),"A model without operators is a science project.",React.createElement("br",null),React.createElement("span",{className:"gradient-text"},"Our job is to wire all three into one nervous system.")),React.createElement("div",{className:"pull-quote__attr mono"},"Blueforge AI \xB7 operating principle no. 01")))}Object.assign(window,{Manifesto,BigStats,PullQuote,CountUp});;const{useEffect:useEffApp,useState:useStApp}=React;const TWEAK_DEFAULTS={"palette":0,"density":1,"motion":1};const PALETTES=[{name:"Midnight Slate",bg:"#0b1220",bg2:"#111a2e",bg3:"#172238",accent:"#5b8def",accent2:"#7dd3fc",glow:"rgba(91,141,239,0.28)"},{name:"Graphite",bg:"#0c0f14",bg2:"#141821",bg3:"#1c2230",accent:"#6b7fff",accent2:"#a5b4fc",glow:"rgba(107,127,255,0.28)"},{name:"Deep Teal",bg:"#0a141c",bg2:"#0e1c28",bg3:"#132638",accent:"#22d3ee",accent2:"#67e8f9",glow:"rgba(34,211,238,0.28)"},{name:"Carbon",bg:"#08090c",bg2:"#0e1014",bg3:"#171a22",accent:"#94a3b8",accent2:"#e2e8f0",glow:"rgba(148,163,184,0.28)"}];function applyPalette(idx){const p=PALETTES[idx]||PALETTES[0];const r=document.documentElement.style;r.setProperty("--bg",p.bg);r.setProperty("--bg-2",p.bg2);r.setProperty("--bg-3",p.bg3);r.setProperty("--accent",p.accent);r.setProperty("--accent-2",p.accent2);r.setProperty("--accent-glow",p.glow)}function ScrollBar(){const[w,setW]=useStApp(0);useEffApp(()=>{const on=()=>{const h=document.documentElement;const max=h.scrollHeight-h.clientHeight;setW(max>0?h.scrollTop/max*100:0)};on();window.addEventListener("scroll",on,{passive:true});return()=>window.removeEventListener("scroll",on)},[]);return React.createElement("div",{className:"scroll-bar",style:{width:w+"%"}})}function App(){const[tweaks,setTweak]=useTweaks(TWEAK_DEFAULTS);useEffApp(()=>{applyPalette(tweaks.palette)},[tweaks.palette]);useEffApp(()=>{document.documentElement.style.setProperty("--density",String(tweaks.density))},[tweaks.density]);useEffApp(()=>{document.documentElement.style.setProperty("--motion",String(tweaks.motion))},[tweaks.motion]);const motion=Number(tweaks.motion)||1;return React.createElement(React.Fragment,null,React.createElement(ScrollBar,null),React.createElement("div",{className:"bg-grid"}),React.createElement("div",{className:"bg-vignette"}),React.createElement(Nav,null),React.createElement("main",{id:"main"},React.createElement(Hero,{motion}),React.createElement(Manifesto,null),React.createElement(ScrollyIntro,null),React.createElement(ScrollySpine,{motion}),React.createElement(Services,{motion}),React.createElement(HistorianSection,{motion}),React.createElement(DashboardSection,{motion}),React.createElement(SymbolsSection,{motion}),React.createElement(SymbolPlayground,{motion}),React.createElement(PullQuote,null),React.createElement(GoldenBatchSection,{motion}),React.createElement(AILiveSection,{motion}),React.createElement(SoftwareSection,{motion}),React.createElement(ProcessSection,{motion}),React.createElement(PilotEstimatorSection,null),React.createElement(EcosystemSection,null),React.createElement(PICasesSection,null),React.createElement(LLMAskSection,null),React.createElement(ContactSection,null)),React.createElement(Footer,null),React.createElement(AskPill,null),React.createElement(TweaksPanel,{title:"Tweaks"},React.createElement(TweakSection,{title:"Palette"},React.createElement(TweakRadio,{label:"Color",value:tweaks.palette,onChange:v=>setTweak("palette",Number(v)),options:PALETTES.map((p,i)=>({value:i,label:p.name}))})),React.createElement(TweakSection,{title:"Density"},React.createElement(TweakSlider,{label:"Spacing",value:tweaks.density,min:.7,max:1.4,step:.05,onChange:v=>setTweak("density",v)})),React.createElement(TweakSection,{title:"Motion"},React.createElement(TweakSlider,{label:"Speed",value:tweaks.motion,min:.2,max:2,step:.1,onChange:v=>setTweak("motion",v)}))))}function ScrollyIntro(){return React.createElement("section",{className:"section section--sm",id:"journey",style:{padding:"100px var(--gutter) 40px"},"data-screen-label":"03a Spine Intro"},React.createElement("div",{className:"container",style:{display:"grid",gridTemplateColumns:"1fr 1.4fr",gap:48,alignItems:"end"}},React.createElement("div",null,React.createElement("div",{className:"eyebrow"},"The journey"),React.createElement("h2",{style:{marginTop:14}},"Sensor \u2192 Historian",React.createElement("br",null),"Dashboard \u2192 Insight.")),React.createElement("p",{className:"lead"},"Scroll through the lifecycle of one data point \u2014 from a flowmeter on the floor to a yield forecast in the planner's hands. Every layer is a discipline we run for our clients.")))}ReactDOM.createRoot(document.getElementById("root")).render(React.createElement(App,null));requestAnimationFrame(()=>{const splash=document.getElementById("bfSplash");if(splash){splash.classList.add("out");setTimeout(()=>splash.setAttribute("hidden",""),400)}});
 })();
\ No newline at end of file
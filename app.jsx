@@ -70,6 +70,7 @@ function App() {
         <AILiveSection motion={motion} />
         <SoftwareSection motion={motion} />
         <ProcessSection motion={motion} />
+        <PilotEstimatorSection />
         <EcosystemSection />
         <PICasesSection />
         <LLMAskSection />
@@ -0,0 +1,69 @@
+// Offline retry queue for ContactForm. When /api/contact can't be reached (offline, 5xx),
+// the payload is parked in IndexedDB and resent on the next `online` event or page load.
+// Only a permanent 4xx (CF_QUEUE_PERMANENT — the server read the message and refused it) drops
+// it, and the form says so. Anything else keeps it: a rejected proof-of-work stamp (403
+// pow-invalid or 428 — a prefetched stamp goes stale when the server restarts with a new
+// secret) is retried once with a fresh one by powFetch, other answers wait for the next flush.
+
+const CF_QUEUE_DB = "bf-contact";
+const CF_QUEUE_STORE = "outbox";
+const CF_QUEUE_EVENT = "bf:contact-flushed"; // detail: { delivered, rejected, pending }
+const CF_QUEUE_PERMANENT = [400, 413, 422];
+
+function cfQueueOpen() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) return reject(new Error("no-indexeddb"));
+    const req = indexedDB.open(CF_QUEUE_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(CF_QUEUE_STORE, { keyPath: "id", autoIncrement: true });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function cfQueueTx(mode, fn) {
+  return cfQueueOpen().then((db) => new Promise((resolve, reject) => {
+    const tx = db.transaction(CF_QUEUE_STORE, mode);
+    const out = fn(tx.objectStore(CF_QUEUE_STORE));
+    tx.oncomplete = () => { db.close(); resolve(out && "result" in out ? out.result : undefined); };
+    tx.onerror = tx.onabort = () => { db.close(); reject(tx.error); };
+  }));
+}
+
+const cfQueuePut = (endpoint, payload) => cfQueueTx("readwrite", (s) => s.add({ endpoint, payload, queuedAt: Date.now() }));
+const cfQueueAll = () => cfQueueTx("readonly", (s) => s.getAll());
+const cfQueueDelete = (id) => cfQueueTx("readwrite", (s) => s.delete(id));
+
+// Resend everything queued, oldest first. Stops at the first answer that isn't a delivery or
+// a permanent refusal — if one can't get through, the rest won't either.
+let cfFlushing = null;
+function cfQueueFlush() {
+  if (cfFlushing) return cfFlushing;
+  cfFlushing = (async () => {
+    let delivered = 0, rejected = 0;
+    const items = await cfQueueAll().catch(() => []);
+    for (const item of items) {
+      let res;
+      try {
+        res = await powFetch("contact", item.endpoint, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", Accept: "application/json" },
+          body: JSON.stringify(item.payload),
+        });
+      } catch (_) { break; }
+      if (!res.ok && !CF_QUEUE_PERMANENT.includes(res.status)) break;
+      await cfQueueDelete(item.id);
+      if (res.ok) delivered++;
+      else rejected++;
+    }
+    const pending = (await cfQueueAll().catch(() => [])).length;
+    if (delivered || rejected) window.dispatchEvent(new CustomEvent(CF_QUEUE_EVENT, { detail: { delivered, rejected, pending } }));
+    return { delivered, rejected, pending };
+  })().finally(() => { cfFlushing = null; });
+  return cfFlushing;
+}
+
+window.addEventListener("online", () => { cfQueueFlush(); });
+if (document.readyState === "complete") cfQueueFlush();
+else window.addEventListener("load", () => { cfQueueFlush(); }, { once: true });
+
+Object.assign(window, { cfQueuePut, cfQueueFlush, CF_QUEUE_EVENT });
@@ -0,0 +1,42 @@
+// Schema-driven validation for ContactForm. Each question in CF_QUESTIONS (contact-wizard.jsx)
+// carries its own rules; cfValidate returns { field: message } for the fields that fail, in
+// schema order, so the first key is the first invalid field on screen.
+// `workEmail` names the boolean in the form state that overrides the free-mail check.
+
+// Consumer mailbox providers — an inquiry from one of these is usually a student or a
+// recruiter, so we ask for a work address unless the visitor confirms otherwise.
+const CF_FREE_MAIL = new Set([
+  "gmail.com", "googlemail.com", "yahoo.com", "yahoo.co.uk", "yahoo.co.in", "ymail.com",
+  "hotmail.com", "hotmail.co.uk", "outlook.com", "live.com", "msn.com", "aol.com",
+  "icloud.com", "me.com", "mac.com", "proton.me", "protonmail.com", "gmx.com", "gmx.de",
+  "gmx.net", "web.de", "mail.com", "yandex.com", "yandex.ru", "qq.com", "163.com", "126.com",
+]);
+
+const CF_EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+function cfIsFreeMail(email) {
+  const domain = String(email || "").trim().toLowerCase().split("@")[1];
+  return !!domain && CF_FREE_MAIL.has(domain);
+}
+
+function cfValidateField(rule, raw, values) {
+  if (Array.isArray(raw)) return rule.required && !raw.length ? `Pick at least one ${rule.label.toLowerCase()}.` : "";
+  const v = typeof raw === "string" ? raw.trim() : "";
+  if (!v) return !rule.required ? "" : rule.options ? `Choose a ${rule.label.toLowerCase()}.` : `${rule.label} is required.`;
+  if (rule.min && v.length < rule.min) return `${rule.label} needs at least ${rule.min} characters — a line or two about your stack helps us reply usefully.`;
+  if (rule.max && v.length > rule.max) return `${rule.label} must be ${rule.max} characters or fewer (currently ${v.length}).`;
+  if (rule.email && !CF_EMAIL_RE.test(v)) return "Enter an email address like name@company.com.";
+  if (rule.workEmail && !values[rule.workEmail] && cfIsFreeMail(v)) return "Please use your work email — or tick the box below if this is the right address.";
+  return "";
+}
+
+function cfValidate(values, schema) {
+  const errors = {};
+  Object.entries(schema).forEach(([key, rule]) => {
+    const msg = cfValidateField(rule, values[key], values);
+    if (msg) errors[key] = msg;
+  });
+  return errors;
+}
+
+Object.assign(window, { cfValidate, cfIsFreeMail });
@@ -0,0 +1,110 @@
+// Question schema for the stepped ContactForm (sections-2.jsx). Steps list question keys;
+// a question with `when` only shows (and only validates) when the condition holds, which is
+// how AI/ML scope asks about data history and PI Vision scope asks about the PI version.
+// Validation rules (required/min/max/email/workEmail) are read by cfValidate.
+
+const CF_HISTORIANS = ["AVEVA PI", "Canary Historian", "TDengine", "InfluxDB / Timescale", "None yet"];
+const CF_SCOPES = ["Digitalization", "Dashboards", "PI Vision symbols", "AI / ML", "Custom software"];
+
+// `label` is used in errors, the summary and the email body; `prompt` overrides it on screen.
+// Types: text | email | textarea | select | chips (multi) | choice (single, radio).
+const CF_QUESTIONS = {
+  name: { type: "text", label: "Name", autoComplete: "name", required: true, max: 120 },
+  email: { type: "email", label: "Work email", autoComplete: "email", required: true, max: 200, email: true, workEmail: "personalEmailOk" },
+  company: { type: "text", label: "Company / site", autoComplete: "organization", max: 200, full: true },
+  historian: { type: "select", label: "Primary historian", options: CF_HISTORIANS, full: true },
+  dcs: { type: "select", label: "DCS / control system", options: ["Not sure", "Emerson DeltaV", "Honeywell Experion", "Yokogawa CENTUM", "ABB 800xA", "Siemens PCS 7 / PCS neo", "Rockwell PlantPAx", "Schneider Foxboro", "Other / mixed"], full: true },
+  tagCount: { type: "select", label: "Tag count", prompt: "Approximate tag count", options: ["Not sure", "Under 5,000", "5,000 – 50,000", "50,000 – 250,000", "Over 250,000"] },
+  sites: { type: "select", label: "Sites", prompt: "Number of sites", options: ["1", "2 – 5", "6 – 20", "More than 20"] },
+  scope: { type: "chips", label: "Scope of interest", options: CF_SCOPES, required: true },
+  dataHistory: { type: "choice", label: "Process history", prompt: "How much process history is archived?", options: ["Under 6 months", "6 – 24 months", "2 – 5 years", "Over 5 years", "Not sure"], required: true, when: { field: "scope", includes: "AI / ML" } },
+  piVersion: { type: "choice", label: "PI version", prompt: "Which PI Server / PI Vision release are you on?", options: ["2018 SP3 or earlier", "2023 / 2024", "Latest AVEVA PI", "Not sure"], required: true, when: { field: "scope", includes: "PI Vision symbols" } },
+  timeline: { type: "choice", label: "Timeline", prompt: "When would you like to start?", options: ["Just exploring", "This quarter", "Within 6 months", "Next budget year"], required: true },
+  budget: { type: "choice", label: "Budget band", options: ["Under $25k", "$25k – $100k", "$100k – $500k", "Over $500k", "Not decided"] },
+  message: { type: "textarea", label: "Message", prompt: "What's the situation?", placeholder: "A few lines about your stack and what you'd like to change…", required: true, min: 20, max: 5000 },
+};
+Object.entries(CF_QUESTIONS).forEach(([key, q]) => { q.id = `cf-${key}`; });
+
+const CF_STEPS = [
+  { title: "About you", fields: ["name", "email", "company"] },
+  { title: "Your plant", fields: ["historian", "dcs", "tagCount", "sites"] },
+  { title: "Scope", fields: ["scope", "dataHistory", "piVersion"] },
+  { title: "Timeline", fields: ["timeline", "budget", "message"] },
+];
+
+// Keys that travel as `qualification` rather than top-level contact fields.
+const CF_QUALIFICATION = ["dcs", "tagCount", "sites", "dataHistory", "piVersion", "timeline", "budget"];
+
+const CF_INITIAL = {
+  name: "", email: "", company: "", historian: "AVEVA PI", dcs: "Not sure", tagCount: "Not sure", sites: "1",
+  scope: [], dataHistory: "", piVersion: "", timeline: "", budget: "", message: "",
+  estimate: null, // pilot plan attached from PilotEstimatorSection
+  personalEmailOk: false, website: "" /* honeypot */,
+};
+
+function cfVisible(q, values) {
+  if (!q.when) return true;
+  const v = values[q.when.field];
+  return Array.isArray(v) ? v.includes(q.when.includes) : v === q.when.includes;
+}
+
+// { key: question } for the visible questions of one step — the shape cfValidate expects.
+function cfStepSchema(step, values) {
+  const out = {};
+  CF_STEPS[step].fields.forEach((k) => { if (cfVisible(CF_QUESTIONS[k], values)) out[k] = CF_QUESTIONS[k]; });
+  return out;
+}
+
+// Structured submission: contact fields at the top level (what server/contact.mjs
+// validates), qualification answers grouped, hidden branches left out.
+function cfPayload(values) {
+  const qualification = {};
+  CF_QUALIFICATION.forEach((k) => {
+    if (cfVisible(CF_QUESTIONS[k], values) && values[k]) qualification[k] = values[k];
+  });
+  const { name, email, company, historian, scope, message, estimate, personalEmailOk, website } = values;
+  return { name, email, company, historian, scope, message, personalEmailOk, website, qualification, estimate: estimate || undefined };
+}
+
+const cfWeeks = (w) => (!w ? "ongoing" : w[0] === w[1] ? `${w[0]} weeks` : `${w[0]}–${w[1]} weeks`);
+
+// "Pilot — 9–14 weeks: deliverable" lines for an attached estimate.
+function cfEstimateText(est) {
+  return [`Pilot estimate (Discover → Scale: ${cfWeeks(est.total)})`, ...est.phases.map((p) => `  ${p.title} — ${cfWeeks(p.weeks)}: ${p.deliverable}`)].join("\n");
+}
+
+// Human-readable version of the same answers, for the mailto fallback.
+function cfEmailBody(values) {
+  const lines = [];
+  CF_STEPS.forEach((s) => s.fields.forEach((k) => {
+    const q = CF_QUESTIONS[k];
+    if (k === "message" || !cfVisible(q, values)) return;
+    const v = Array.isArray(values[k]) ? values[k].join(", ") : values[k];
+    lines.push(`${q.label}: ${v || "—"}`);
+  }));
+  const estimate = values.estimate ? `\n\n${cfEstimateText(values.estimate)}` : "";
+  return `${lines.join("\n")}${estimate}\n\nMessage:\n${values.message}`;
+}
+
+// In-progress answers survive a reload until the message is sent. The honeypot and
+// the free-mail override are not persisted.
+const CF_PROGRESS_KEY = "bf.contact.progress";
+
+function cfLoadProgress() {
+  try {
+    const p = JSON.parse(localStorage.getItem(CF_PROGRESS_KEY) || "null");
+    if (!p || p.v !== 1) return null;
+    return { step: Math.min(Math.max(0, p.step | 0), CF_STEPS.length - 1), values: { ...CF_INITIAL, ...p.values, website: "", personalEmailOk: false } };
+  } catch (_) { return null; }
+}
+
+function cfSaveProgress(step, values) {
+  const { website, personalEmailOk, ...keep } = values;
+  try { localStorage.setItem(CF_PROGRESS_KEY, JSON.stringify({ v: 1, step, values: keep })); } catch (_) { /* private mode */ }
+}
+
+function cfClearProgress() {
+  try { localStorage.removeItem(CF_PROGRESS_KEY); } catch (_) { /* private mode */ }
+}
+
+Object.assign(window, { CF_HISTORIANS, CF_SCOPES, CF_QUESTIONS, CF_STEPS, CF_INITIAL, cfVisible, cfStepSchema, cfPayload, cfEmailBody, cfWeeks, cfLoadProgress, cfSaveProgress, cfClearProgress });
@@ -0,0 +1,103 @@
+// Time alignment for golden batch comparison. Batches never run to the same clock — a slow
+// heat-up shifts everything after it — so the current run is warped onto the golden
+// profile before it is scored. Pure functions over plain arrays; no React.
+//
+//   gbDTW        dynamic time warping between two multivariate series (one vector per sample)
+//   gbWarp       current values re-indexed onto the golden axis along a warping path
+//   gbPhaseWarp  piecewise-linear re-timing between phase boundaries (GB_PHASES style)
+//   gbAlignRun   a run's first samples onto a golden axis, every parameter on one path
+//
+// All parameters share one path: warping each separately would let a real deviation in one
+// of them be "explained away" as a timing difference.
+
+const GB_DTW_BAND = 0.2; // Sakoe-Chiba band, fraction of the longer series
+// Extra cost of a step that holds one series still, so sample noise alone doesn't pull the
+// path off the diagonal.
+const GB_DTW_PENALTY = 0.02;
+
+// ref: n vectors, cur: m vectors. With `open` the current run is still in progress, so the
+// path may end at any golden index — where it ends is the golden-equivalent progress.
+// Returns { path: [[i, j], …] from [0, 0], end: last golden index, cost: mean step cost }.
+function gbDTW(ref, cur, { band = GB_DTW_BAND, penalty = GB_DTW_PENALTY, open = false } = {}) {
+  const n = ref.length, m = cur.length;
+  if (!n || !m) throw new Error("gbDTW needs two non-empty series.");
+  // never narrower than the length difference, or a closed path couldn't reach the corner
+  const w = Math.max(open ? 0 : Math.abs(n - m), Math.ceil(band * Math.max(n, m)));
+  const dist = (a, b) => Math.sqrt(a.reduce((s, v, k) => s + (v - b[k]) ** 2, 0));
+  // D[i][j]: cheapest path to (i, j); steps count the cells visited, for the mean cost
+  const D = Array.from({ length: n }, () => new Float64Array(m).fill(Infinity));
+  const steps = Array.from({ length: n }, () => new Uint32Array(m));
+  const from = Array.from({ length: n }, () => new Uint8Array(m)); // 0 diagonal, 1 up, 2 left
+  for (let i = 0; i < n; i++) {
+    for (let j = Math.max(0, i - w); j < Math.min(m, i + w + 1); j++) {
+      const d = dist(ref[i], cur[j]);
+      if (!i && !j) { D[0][0] = d; steps[0][0] = 1; continue; }
+      let bi = -1, bj = -1, best = Infinity;
+      [[i - 1, j - 1, 0], [i - 1, j, penalty], [i, j - 1, penalty]].forEach(([a, b, extra]) => {
+        if (a >= 0 && b >= 0 && D[a][b] + extra < best) { bi = a; bj = b; best = D[a][b] + extra; }
+      });
+      if (best === Infinity) continue;
+      D[i][j] = best + d;
+      steps[i][j] = steps[bi][bj] + 1;
+      from[i][j] = bi === i ? 2 : bj === j ? 1 : 0;
+    }
+  }
+
+  let end = n - 1;
+  if (open) {
+    for (let i = 0; i < n; i++) if (D[i][m - 1] / steps[i][m - 1] < D[end][m - 1] / steps[end][m - 1]) end = i;
+  }
+
+  const path = [[end, m - 1]];
+  for (let i = end, j = m - 1; i || j;) {
+    const f = from[i][j];
+    if (f !== 2) i--;
+    if (f !== 1) j--;
+    path.push([i, j]);
+  }
+  return { path: path.reverse(), end, cost: D[end][m - 1] / steps[end][m - 1] };
+}
+
+// Values of `series` (indexed like the current run) on golden indexes 0..end, averaging
+// where the path holds one golden sample against several current ones.
+function gbWarp(series, path) {
+  const sum = [], count = [];
+  path.forEach(([i, j]) => {
+    sum[i] = (sum[i] || 0) + series[j];
+    count[i] = (count[i] || 0) + 1;
+  });
+  return sum.map((s, i) => s / count[i]);
+}
+
+// Samples 0..upto of `curves` (param key → series) aligned onto `axis`, the same way the
+// section scores a run: open-ended while the run is short of its last sample.
+// Returns { path, end, aligned: { key: series on axis indexes 0..end } }.
+function gbAlignRun(axis, curves, keys, upto = curves[keys[0]].length - 1) {
+  const n = axis[keys[0]].length;
+  const vectors = (src, len) => [...Array(len)].map((_, i) => keys.map((k) => src[k][i]));
+  const { path, end } = gbDTW(vectors(axis, n), vectors(curves, upto + 1), { open: upto < n - 1 });
+  return { path, end, aligned: Object.fromEntries(keys.map((k) => [k, gbWarp(curves[k], path)])) };
+}
+
+// Linear sample of `series` at fraction u (0..1) of its length.
+function gbAt(series, u) {
+  const x = Math.min(1, Math.max(0, u)) * (series.length - 1);
+  const k = Math.min(series.length - 2, Math.floor(x));
+  return series[k] + (series[k + 1] - series[k]) * (x - k);
+}
+
+// Re-time `series` so what happened at fractions `from` happens at `to` instead, linearly in
+// between. Both are ascending boundary lists from 0 to 1, e.g. phase starts plus 1.
+function gbPhaseWarp(series, from, to) {
+  if (from.length !== to.length || from.length < 2) throw new Error("gbPhaseWarp needs matching boundary lists.");
+  const n = series.length;
+  return series.map((_, k) => {
+    const u = k / (n - 1);
+    let s = 0;
+    while (s < to.length - 2 && u > to[s + 1]) s++;
+    const v = from[s] + ((u - to[s]) * (from[s + 1] - from[s])) / (to[s + 1] - to[s] || 1);
+    return gbAt(series, v);
+  });
+}
+
+Object.assign(window, { GB_DTW_BAND, GB_DTW_PENALTY, gbDTW, gbWarp, gbAlignRun, gbAt, gbPhaseWarp });
@@ -0,0 +1,88 @@
+// Statistical golden envelope. Instead of a fixed offset around one "best" run, the band is
+// learned from a set of known-good batches. Pure, no React; alignment is golden-batch-align.jsx.
+//
+//   1. every golden run is time-aligned (gbDTW) onto a common axis, then onto their mean,
+//      so timing differences between good batches don't widen the band
+//   2. the center line is the pointwise mean of the aligned runs
+//   3. the band comes from the residuals around that mean, pooled per phase — a handful of
+//      batches is too few for a pointwise σ, but plenty for one per phase:
+//        sigma       center ± k·σ
+//        percentile  center + the residuals' [lo, hi] percentiles
+//
+// A single golden run has no spread to learn from and falls back to the param's fixed
+// tolerance, as before.
+
+const GB_ENVELOPES = [
+  { key: "3s", name: "Mean ± 3σ", method: "sigma", k: 3 },
+  { key: "2s", name: "Mean ± 2σ", method: "sigma", k: 2 },
+  { key: "p90", name: "P5 – P95", method: "percentile", pct: [5, 95] },
+  { key: "p98", name: "P1 – P99", method: "percentile", pct: [1, 99] },
+];
+const GB_ENVELOPE_FLOOR = 0.01; // narrowest half-band, fraction of span
+
+// Linear-interpolated quantile (q in 0..1) of an unsorted list.
+function gbQuantile(values, q) {
+  const s = [...values].sort((a, b) => a - b);
+  const x = q * (s.length - 1), k = Math.floor(x);
+  return k + 1 < s.length ? s[k] + (s[k + 1] - s[k]) * (x - k) : s[k];
+}
+
+// Index of the phase a sample falls in, for `n` samples and boundaries [0, …, 1].
+const gbPhaseOf = (i, n, bounds) => {
+  const u = i / (n - 1);
+  let s = 0;
+  while (s < bounds.length - 2 && u >= bounds[s + 1]) s++;
+  return s;
+};
+
+// Runs re-indexed onto `axis` (param key → series), all parameters on one path per run.
+function gbAlignRuns(runs, axis, keys) {
+  const vec = (curves) => curves[keys[0]].map((_, i) => keys.map((key) => curves[key][i]));
+  const ref = vec(axis);
+  return runs.map((r) => {
+    const { path } = gbDTW(ref, vec(r.curves));
+    return Object.fromEntries(keys.map((key) => [key, gbWarp(r.curves[key], path)]));
+  });
+}
+
+// runs: [{ curves: { key: series } }], params: [{ key, tolerance }], spec: a GB_ENVELOPES entry.
+// Returns { key: { center, upper, lower, phases: [{ lo, hi }] } } — lo / hi are the band's
+// offsets from the center in each phase.
+function gbEnvelope(runs, params, spec = GB_ENVELOPES[0], bounds = [0, 1]) {
+  if (!runs.length) throw new Error("The golden set is empty.");
+  const keys = params.map((p) => p.key);
+  const n = runs[0].curves[keys[0]].length;
+  const mean = (aligned) => Object.fromEntries(keys.map((key) => [key, aligned[0][key].map((_, i) => aligned.reduce((s, a) => s + a[key][i], 0) / aligned.length)]));
+
+  let aligned = gbAlignRuns(runs, runs[0].curves, keys);
+  if (runs.length > 1) aligned = gbAlignRuns(runs, mean(aligned), keys);
+  const center = mean(aligned);
+  const clamp = (v) => Math.max(0, Math.min(1, v));
+
+  return Object.fromEntries(params.map((p) => {
+    const c = center[p.key];
+    const phases = bounds.slice(1).map((_, s) => {
+      if (runs.length < 2) return { lo: -p.tolerance, hi: p.tolerance };
+      // Residuals around a mean of N runs are √((N-1)/N) narrower than the batch-to-batch
+      // spread; scale them back so a handful of batches doesn't give an overconfident band.
+      const scale = Math.sqrt(runs.length / (runs.length - 1));
+      const res = [];
+      aligned.forEach((a) => a[p.key].forEach((v, i) => { if (gbPhaseOf(i, n, bounds) === s) res.push((v - c[i]) * scale); }));
+      if (!res.length) return { lo: -GB_ENVELOPE_FLOOR, hi: GB_ENVELOPE_FLOOR };
+      if (spec.method === "percentile") {
+        return { lo: Math.min(-GB_ENVELOPE_FLOOR, gbQuantile(res, spec.pct[0] / 100)), hi: Math.max(GB_ENVELOPE_FLOOR, gbQuantile(res, spec.pct[1] / 100)) };
+      }
+      const sigma = Math.sqrt(res.reduce((sum, r) => sum + r * r, 0) / res.length);
+      const half = Math.max(GB_ENVELOPE_FLOOR, spec.k * sigma);
+      return { lo: -half, hi: half };
+    });
+    return [p.key, {
+      center: c,
+      upper: c.map((v, i) => clamp(v + phases[gbPhaseOf(i, n, bounds)].hi)),
+      lower: c.map((v, i) => clamp(v + phases[gbPhaseOf(i, n, bounds)].lo)),
+      phases,
+    }];
+  }));
+}
+
+Object.assign(window, { GB_ENVELOPES, gbQuantile, gbPhaseOf, gbAlignRuns, gbEnvelope });
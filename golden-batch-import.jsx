@@ -0,0 +1,235 @@
+// Bring-your-own-data for GoldenBatchSection. A CSV (or TSV / semicolon) export from a
+// historian is parsed, mapped and resampled entirely in the browser — nothing is uploaded.
+//
+//   gbParseCSV      text → { headers, rows } (RFC 4180 quoting, delimiter sniffed)
+//   gbGuessMapping  picks the batch id, time and numeric parameter columns from the headers
+//   gbMappingParams the parameter choices left once batch id and time are picked
+//   gbBuildDataset  table + mapping → { name, params, runs }: every run resampled to
+//                   GB_POINTS samples over its own duration and normalized to the param span,
+//                   the same shape as gbDemoDataset so the section doesn't care which it got.
+//                   Runs keep their duration and, when the time column holds dates, their
+//                   start (epoch seconds) for the batch report's timestamps
+//
+// Only long-format files are read: one row per sample, a batch id column telling the runs
+// apart. Parquet would need a decoder dependency and isn't supported.
+
+const { useState: useGBI } = React;
+
+const GB_POINTS = 80;
+const GB_IMPORT_MAX_BYTES = 20 * 1024 * 1024;
+const GB_IMPORT_MAX_PARAMS = 6;
+const GB_IMPORT_TOLERANCE = 0.06; // default band, fraction of the param span
+
+function gbParseCSV(text) {
+  const src = text.replace(/^\uFEFF/, "");
+  const first = src.slice(0, src.search(/\r?\n|$/));
+  const delim = ["\t", ";", ","].reduce((best, d) => (first.split(d).length > first.split(best).length ? d : best), ",");
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === "") quoted = true;
+    else if (ch === delim) { row.push(cell); cell = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += ch;
+  }
+  if (quoted) throw new Error("A quoted field is never closed.");
+  if (cell !== "" || row.length) { row.push(cell); rows.push(row); }
+  const body = rows.filter((r) => r.some((c) => c.trim() !== ""));
+  if (body.length < 2) throw new Error("The file needs a header row and at least one data row.");
+  const headers = body[0].map((h, i) => h.trim() || `Column ${i + 1}`);
+  return { headers, rows: body.slice(1).map((r) => r.map((c) => c.trim())) };
+}
+
+// Decimal commas ("12,5") are common in European exports; thousands separators are not.
+const gbNumber = (s) => (s === "" ? NaN : Number(s.replace(/^(-?\d+),(\d+)$/, "$1.$2")));
+
+// "Temperature (°C)", "Pressure [bar]" → { name, unit }
+function gbSplitHeader(header) {
+  const m = header.match(/^(.*?)\s*[[(]([^\])]*)[\])]\s*$/);
+  return m && m[1] ? { name: m[1], unit: m[2].trim() } : { name: header, unit: "" };
+}
+
+// Per column: do (nearly) all sampled values read as numbers?
+function gbNumericColumns({ headers, rows }) {
+  const sample = rows.slice(0, 200);
+  return headers.map((_, c) => {
+    const vals = sample.map((r) => r[c] || "").filter(Boolean);
+    return vals.length > 0 && vals.filter((v) => !Number.isNaN(gbNumber(v))).length >= vals.length * 0.9;
+  });
+}
+
+// Every numeric column other than the batch id and time is a parameter option. Columns
+// already in `prev` keep their settings; without `prev` the first few are ticked.
+function gbMappingParams(table, batch, time, prev = null) {
+  const numeric = gbNumericColumns(table);
+  const params = table.headers
+    .map((h, c) => ({ col: c, ...gbSplitHeader(h), tolerance: GB_IMPORT_TOLERANCE, use: false }))
+    .filter((p) => p.col !== batch && p.col !== time && numeric[p.col]);
+  return params.map((p, k) => (prev ? prev.find((q) => q.col === p.col) || p : { ...p, use: k < GB_IMPORT_MAX_PARAMS }));
+}
+
+function gbGuessMapping(table) {
+  const { headers } = table;
+  const numeric = gbNumericColumns(table);
+  const isTime = (h) => /time|date|elapsed|^t$/i.test(h);
+  // "Batch", "Lot ID", "run_no", "BatchID" — whole words, so not "Runtime"; never a time
+  // column ("Run time (s)"); text ids before numeric ones.
+  const isId = (h) => /(^|[^a-z])(batch|lot|run)([\s_-]*(id|no|number))?([^a-z]|$)/i.test(h);
+  const ids = headers.map((_, c) => c).filter((c) => isId(headers[c]) && !isTime(headers[c]));
+  const batch = ids.find((c) => !numeric[c]) ?? ids[0] ?? -1;
+  const time = headers.findIndex((h, c) => c !== batch && isTime(h));
+  return { batch, time, params: gbMappingParams(table, batch, time) };
+}
+
+// Seconds since the epoch for timestamps, or the number itself for elapsed-time columns.
+function gbTime(s, n) {
+  const v = gbNumber(s);
+  if (!Number.isNaN(v)) return v;
+  const d = Date.parse(s);
+  if (Number.isNaN(d)) throw new Error(`Row ${n + 2}: can't read "${s.slice(0, 24)}" as a time.`);
+  return d / 1000;
+}
+
+// Linear interpolation of (t, v) onto `n` evenly spaced points between the first and last
+// sample, skipping blanks. Returns null when fewer than two samples have a value.
+function gbResample(t, v, n = GB_POINTS) {
+  const pts = t.map((x, i) => [x, v[i]]).filter(([x, y]) => Number.isFinite(x) && Number.isFinite(y)).sort((a, b) => a[0] - b[0]);
+  if (pts.length < 2 || pts[pts.length - 1][0] === pts[0][0]) return null;
+  const t0 = pts[0][0], span = pts[pts.length - 1][0] - t0;
+  const out = [];
+  let j = 0;
+  for (let i = 0; i < n; i++) {
+    const at = t0 + (span * i) / (n - 1);
+    while (j < pts.length - 2 && pts[j + 1][0] < at) j++;
+    const [xa, ya] = pts[j], [xb, yb] = pts[j + 1];
+    out.push(xb === xa ? ya : ya + ((yb - ya) * (at - xa)) / (xb - xa));
+  }
+  return out;
+}
+
+function gbBuildDataset(table, mapping, name = "Imported") {
+  // A column picked as batch id or time is never also plotted as a parameter.
+  const params = mapping.params.filter((p) => p.use && p.col !== mapping.batch && p.col !== mapping.time);
+  if (mapping.batch < 0) throw new Error("Pick the column that tells batches apart.");
+  if (!params.length) throw new Error("Map at least one column to a parameter.");
+  if (params.length > GB_IMPORT_MAX_PARAMS) throw new Error(`Map at most ${GB_IMPORT_MAX_PARAMS} parameters.`);
+  params.forEach((p) => {
+    if (!(p.tolerance > 0 && p.tolerance < 1)) throw new Error(`${p.name}: the band must be between 0 and 100 %.`);
+  });
+
+  const groups = new Map();
+  table.rows.forEach((r, n) => {
+    const id = r[mapping.batch];
+    if (!id) return;
+    if (!groups.has(id)) groups.set(id, { t: [], cols: params.map(() => []), dated: false });
+    const g = groups.get(id);
+    const cell = mapping.time >= 0 ? r[mapping.time] || "" : "";
+    g.t.push(mapping.time >= 0 ? gbTime(cell, n) : g.t.length);
+    if (cell && Number.isNaN(gbNumber(cell))) g.dated = true;
+    params.forEach((p, k) => g.cols[k].push(gbNumber(r[p.col] || "")));
+  });
+
+  const raw = [];
+  groups.forEach((g, id) => {
+    const series = g.cols.map((v) => gbResample(g.t, v));
+    const [t0, t1] = g.t.reduce(([lo, hi], x) => [Math.min(lo, x), Math.max(hi, x)], [Infinity, -Infinity]);
+    if (series.every(Boolean)) raw.push({ id, duration: t1 - t0, start: g.dated ? t0 : null, series });
+  });
+  if (raw.length < 2) throw new Error(`Found ${raw.length} usable run${raw.length === 1 ? "" : "s"}; a comparison needs at least two with two or more samples each.`);
+
+  // One span per parameter across all runs, padded so the curves don't touch the chart edge.
+  const spans = params.map((_, k) => {
+    // Not Math.min(...values): thousands of runs × GB_POINTS overflow the argument limit.
+    const [lo, hi] = raw.flatMap((r) => r.series[k]).reduce(([a, b], v) => [Math.min(a, v), Math.max(b, v)], [Infinity, -Infinity]);
+    const pad = (hi - lo) * 0.05 || Math.abs(lo) * 0.05 || 1;
+    return [lo - pad, hi + pad];
+  });
+  return {
+    name,
+    params: params.map((p, k) => ({ key: `c${p.col}`, name: p.name, unit: p.unit, span: spans[k], tolerance: p.tolerance })),
+    runs: raw.map((r) => ({
+      id: r.id,
+      duration: r.duration,
+      start: r.start,
+      curves: Object.fromEntries(params.map((p, k) => {
+        const [lo, hi] = spans[k];
+        return [`c${p.col}`, r.series[k].map((v) => (v - lo) / (hi - lo))];
+      })),
+    })),
+  };
+}
+
+function gbReadFile(file) {
+  if (file.size > GB_IMPORT_MAX_BYTES) return Promise.reject(new Error(`${file.name} is over ${GB_IMPORT_MAX_BYTES / 1024 / 1024} MB.`));
+  return file.text().then(gbParseCSV);
+}
+
+// Column mapping step between picking a file and scoring it.
+function GbImportPanel({ file, table, onApply, onCancel }) {
+  const [mapping, setMapping] = useGBI(() => gbGuessMapping(table));
+  const [error, setError] = useGBI(null);
+  const setParam = (col, patch) => setMapping((m) => ({ ...m, params: m.params.map((p) => (p.col === col ? { ...p, ...patch } : p)) }));
+  const apply = () => {
+    try {
+      onApply(gbBuildDataset(table, mapping, file));
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+  // A new batch id or time column leaves the parameters; the one it replaces comes back.
+  const pick = (key, col) => setMapping((m) => {
+    const next = { ...m, [key]: col };
+    return { ...next, params: gbMappingParams(table, next.batch, next.time, m.params) };
+  });
+  const column = (key, label, none) => (
+    <label className="gb-import__field">
+      <span>{label}</span>
+      <select className="gb-select" value={mapping[key]} onChange={(e) => pick(key, Number(e.target.value))}>
+        <option value={-1}>{none}</option>
+        {table.headers.map((h, c) => <option key={c} value={c}>{h}</option>)}
+      </select>
+    </label>
+  );
+
+  return (
+    <div className="gb-import" role="group" aria-label="Map imported columns">
+      <div className="gb-import__head">
+        <span className="mono">{file} · {table.rows.length.toLocaleString("en-US")} rows · {table.headers.length} columns</span>
+        <span className="gb-import__note">Parsed in your browser — nothing is uploaded.</span>
+      </div>
+      <div className="gb-import__grid">
+        {column("batch", "Batch id", "— choose —")}
+        {column("time", "Time", "Row order")}
+      </div>
+      <div className="gb-import__params">
+        {mapping.params.map((p) => (
+          <div key={p.col} className={"gb-import__param" + (p.use ? "" : " gb-import__param--off")}>
+            <label className="gb-import__use">
+              <input type="checkbox" checked={p.use} onChange={(e) => setParam(p.col, { use: e.target.checked })} />
+              <span className="mono">{table.headers[p.col]}</span>
+            </label>
+            <input aria-label="Parameter name" value={p.name} maxLength={24} onChange={(e) => setParam(p.col, { name: e.target.value })} disabled={!p.use} />
+            <input aria-label="Unit" value={p.unit} maxLength={8} placeholder="unit" onChange={(e) => setParam(p.col, { unit: e.target.value })} disabled={!p.use} />
+            <input aria-label="Band, % of span" type="number" min="1" max="50" step="1" value={Math.round(p.tolerance * 100)}
+              onChange={(e) => setParam(p.col, { tolerance: Number(e.target.value) / 100 })} disabled={!p.use} />
+          </div>
+        ))}
+        {!mapping.params.length && <div className="gb-import__note">No numeric columns found.</div>}
+      </div>
+      {error && <div className="gb-import__error" role="alert">{error}</div>}
+      <div className="gb-import__actions">
+        <button className="btn" onClick={onCancel} style={{ padding: "7px 12px", fontSize: 11 }}>Cancel</button>
+        <button className="btn btn--primary" onClick={apply} style={{ padding: "7px 12px", fontSize: 11 }}>Compare runs</button>
+      </div>
+    </div>
+  );
+}
+
+Object.assign(window, { GB_POINTS, gbParseCSV, gbGuessMapping, gbMappingParams, gbResample, gbBuildDataset, gbReadFile, GbImportPanel });
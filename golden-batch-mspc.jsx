@@ -0,0 +1,137 @@
+// Multivariate statistical process monitoring for GoldenBatchSection. The per-parameter bands
+// miss correlated drifts — temperature a little up while pressure is a little down can sit
+// inside both bands and still be a batch nobody has seen before. Pure, no React.
+//
+// Model (fit on the golden set, after alignment onto the envelope center):
+//   residual  each aligned sample minus the golden mean at that point of the batch, divided by
+//             the parameter's residual σ — time-varying recipe behaviour is removed first
+//   PCA       on those residual rows; enough components to explain GB_MSPC_VARIANCE
+//   T²        Hotelling's T² in the component space: an unusual combination of known movements
+//   SPE (Q)   squared prediction error off the components: a movement the golden set never made
+//
+// Limits are at GB_MSPC_ALPHA. Samples within a batch are autocorrelated, so treat them as
+// alarm thresholds rather than exact false-alarm rates.
+
+const GB_MSPC_ALPHA = 0.99;
+const GB_MSPC_VARIANCE = 0.9;
+const GB_MSPC_MIN_RUNS = 3;
+const GB_MSPC_SCALE_FLOOR = 1e-3; // a parameter the golden set never varied still scales sanely
+
+// Standard normal quantile (Acklam's rational approximation, |error| < 1.2e-9).
+function gbNormalQuantile(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const tail = (q) => (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  if (p < 0.02425) return tail(Math.sqrt(-2 * Math.log(p)));
+  if (p > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+  const q = p - 0.5, r = q * q;
+  return ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q) / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// χ² quantile with k degrees of freedom (Wilson–Hilferty; k need not be whole).
+function gbChi2Quantile(p, k) {
+  const z = gbNormalQuantile(p), h = 2 / (9 * k);
+  return k * Math.max(0, 1 - h + z * Math.sqrt(h)) ** 3;
+}
+
+// Eigenvalues and vectors of a symmetric matrix (cyclic Jacobi), largest first.
+// Returns { values: [λ], vectors: [[v]] } with vectors[a] the a-th unit eigenvector.
+function gbEigen(S) {
+  const n = S.length;
+  const A = S.map((row) => [...row]);
+  const V = A.map((_, i) => A.map((__, j) => (i === j ? 1 : 0)));
+  for (let sweep = 0; sweep < 60; sweep++) {
+    let off = 0;
+    for (let p = 0; p < n; p++) for (let q = p + 1; q < n; q++) off += A[p][q] ** 2;
+    if (off < 1e-22) break;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(A[p][q]) < 1e-300) continue;
+        const theta = (A[q][q] - A[p][p]) / (2 * A[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const cos = 1 / Math.sqrt(t * t + 1), sin = t * cos;
+        for (let k = 0; k < n; k++) {
+          const akp = A[k][p], akq = A[k][q];
+          A[k][p] = cos * akp - sin * akq;
+          A[k][q] = sin * akp + cos * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = A[p][k], aqk = A[q][k];
+          A[p][k] = cos * apk - sin * aqk;
+          A[q][k] = sin * apk + cos * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = V[k][p], vkq = V[k][q];
+          V[k][p] = cos * vkp - sin * vkq;
+          V[k][q] = sin * vkp + cos * vkq;
+        }
+      }
+    }
+  }
+  return A.map((row, i) => ({ value: row[i], vector: V.map((r) => r[i]) }))
+    .sort((x, y) => y.value - x.value)
+    .reduce((out, e) => ({ values: [...out.values, e.value], vectors: [...out.vectors, e.vector] }), { values: [], vectors: [] });
+}
+
+// PCA on mean-zero rows: { P: loadings (A vectors of J), lambda, explained }.
+function gbFitPCA(rows, variance = GB_MSPC_VARIANCE) {
+  const J = rows[0].length, n = rows.length;
+  const S = [...Array(J)].map((_, a) => [...Array(J)].map((__, b) => rows.reduce((s, r) => s + r[a] * r[b], 0) / (n - 1)));
+  const { values, vectors } = gbEigen(S);
+  const total = values.reduce((s, v) => s + Math.max(0, v), 0) || 1;
+  // enough components for `variance`, but always leave one for SPE when there are two or more
+  let A = 1, sum = Math.max(0, values[0]);
+  while (A < J - 1 && sum / total < variance) sum += Math.max(0, values[A++]);
+  return { P: vectors.slice(0, A), lambda: values.slice(0, A).map((v) => Math.max(v, 1e-12)), explained: sum / total };
+}
+
+// Scores, T², SPE and the residual left after the model, for one scaled residual row.
+function gbProject(model, x) {
+  const t = model.P.map((p) => p.reduce((s, v, j) => s + v * x[j], 0));
+  const e = x.map((v, j) => v - model.P.reduce((s, p, a) => s + p[j] * t[a], 0));
+  return { t, e, t2: t.reduce((s, v, a) => s + (v * v) / model.lambda[a], 0), spe: e.reduce((s, v) => s + v * v, 0) };
+}
+
+// Golden runs (already on the same axis as `center`, e.g. from gbAlignRuns) → model + limits.
+// keys: parameter keys in display order. Needs GB_MSPC_MIN_RUNS runs.
+function gbFitMSPC(aligned, center, keys, alpha = GB_MSPC_ALPHA) {
+  if (aligned.length < GB_MSPC_MIN_RUNS) throw new Error(`Multivariate monitoring needs ${GB_MSPC_MIN_RUNS} or more golden batches.`);
+  const raw = aligned.flatMap((run) => center[keys[0]].map((_, i) => keys.map((k) => run[k][i] - center[k][i])));
+  const scale = keys.map((_, j) => Math.max(GB_MSPC_SCALE_FLOOR, Math.sqrt(raw.reduce((s, r) => s + r[j] * r[j], 0) / (raw.length - 1))));
+  const rows = raw.map((r) => r.map((v, j) => v / scale[j]));
+  const pca = gbFitPCA(rows);
+  const model = { keys, center, scale, ...pca };
+
+  // T²: χ²(A) — n is hundreds of samples, where the F-based limit is within a few percent.
+  // SPE: Box's g·χ²(h) matched to the golden samples' own SPE mean and variance.
+  const spe = rows.map((x) => gbProject(model, x).spe);
+  const m = spe.reduce((s, v) => s + v, 0) / spe.length;
+  const v = spe.reduce((s, q) => s + (q - m) ** 2, 0) / (spe.length - 1);
+  const speLimit = m > 0 && v > 0 ? (v / (2 * m)) * gbChi2Quantile(alpha, (2 * m * m) / v) : GB_MSPC_SCALE_FLOOR;
+  return { ...model, alpha, limits: { t2: gbChi2Quantile(alpha, pca.P.length), spe: speLimit } };
+}
+
+// T² and SPE along a run (curves on the center's axis) for samples 0..upto.
+function gbMonitor(model, curves, upto = model.center[model.keys[0]].length - 1) {
+  return [...Array(upto + 1)].map((_, i) => {
+    const x = model.keys.map((k, j) => (curves[k][i] - model.center[k][i]) / model.scale[j]);
+    const { t, e, t2, spe } = gbProject(model, x);
+    return { i, x, t, e, t2, spe };
+  });
+}
+
+// Per-parameter share of one sample's statistic; each list sums to that statistic.
+//   T²:  Σ_a t_a / λ_a · p_aj · x_j   (signed — negative means that parameter pulls the other way)
+//   SPE: e_j²
+function gbContributions(model, sample) {
+  return {
+    t2: model.keys.map((_, j) => model.P.reduce((s, p, a) => s + (sample.t[a] / model.lambda[a]) * p[j] * sample.x[j], 0)),
+    spe: sample.e.map((v) => v * v),
+  };
+}
+
+Object.assign(window, {
+  GB_MSPC_ALPHA, GB_MSPC_MIN_RUNS, gbNormalQuantile, gbChi2Quantile, gbEigen, gbFitPCA, gbFitMSPC, gbMonitor, gbContributions,
+});
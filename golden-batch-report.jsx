@@ -0,0 +1,286 @@
+// Batch report for GoldenBatchSection: what the KPIs showed on screen, as something that can
+// be filed with the batch record. Pure apart from gbPrintReport / gbDownloadReport.
+//
+//   gbScore        conformance and breach count over a span of aligned samples — the section's
+//                  KPIs and the report use the same one
+//   gbBatchReport  dataset + the section's settings → report object (the JSON export):
+//                  per-phase conformance, breach intervals, max deviation per parameter, verdict
+//   gbReportHTML   report → standalone print-ready HTML page (saved as PDF from the print dialog)
+//
+// Timestamps come from the run's own clock: a breach at aligned sample i is reported at the
+// current-run samples the warping path pairs with it. Elapsed time and wall-clock time need
+// the run's start (demo runs and CSV imports with a date column have one); without it the
+// report gives batch progress only.
+
+const GB_REPORT_FORMAT = "bf-batch-report";
+const GB_REPORT_VERSION = 1;
+const GB_REPORT_PASS = 92; // conformance above this with no breaches passes
+const GB_REPORT_FAIL = 80; // at or below this, overall or in any phase, fails
+const GB_REPORT_SUSTAINED = 0.05; // one breach lasting this share of the batch fails it
+
+// Mean deviation from the center over aligned samples lo..hi, as a 0–100 score, and the
+// number of samples outside the envelope.
+function gbScore(env, keys, aligned, lo, hi) {
+  let totalDev = 0, count = 0, breaches = 0;
+  keys.forEach((k) => {
+    const e = env[k], a = aligned[k];
+    for (let i = lo; i <= hi; i++) {
+      totalDev += Math.abs(a[i] - e.center[i]);
+      count++;
+      if (a[i] > e.upper[i] || a[i] < e.lower[i]) breaches++;
+    }
+  });
+  const avg = count > 0 ? totalDev / count : 0;
+  return { conformance: Math.max(0, Math.min(100, 100 - avg * 350)), breaches, avg, samples: count };
+}
+
+const gbRound = (v, digits) => Number(v.toFixed(digits));
+
+// "T+5h 12m", "T+38m", "T+45s"
+function gbElapsed(seconds) {
+  const s = Math.round(seconds), h = Math.floor(s / 3600), m = Math.floor((s % 3600) / 60);
+  return h ? `T+${h}h ${String(m).padStart(2, "0")}m` : m ? `T+${m}m` : `T+${s}s`;
+}
+
+// "T+1h 05m · 14:32:10" when the run has a clock, else the share of the batch.
+const gbWhen = (t) => (t.elapsed != null ? `${gbElapsed(t.elapsed)} · ${t.time.slice(11, 19)}` : `${(t.progress * 100).toFixed(0)}%`);
+
+// settings: { batch, golden: [ids], envelope: GB_ENVELOPES key, phases: GB_PHASES-style list,
+// progress: 0..1 of a live run (1 when complete), generated: ISO time of the report }.
+function gbBatchReport(dataset, { batch, golden, envelope = GB_ENVELOPES[0].key, phases, progress = 1, generated = new Date().toISOString() }) {
+  const run = dataset.runs.find((r) => r.id === batch);
+  if (!run) throw new Error(`Batch ${batch} is not in ${dataset.name}.`);
+  const goldenRuns = dataset.runs.filter((r) => golden.includes(r.id));
+  if (!goldenRuns.length) throw new Error("The golden set is empty.");
+  const spec = GB_ENVELOPES.find((e) => e.key === envelope);
+  if (!spec) throw new Error(`Unknown envelope "${envelope}".`);
+
+  const { params } = dataset;
+  const keys = params.map((p) => p.key);
+  const bounds = [...phases.map((p) => p.start), 1];
+  const env = gbEnvelope(goldenRuns, params, spec, bounds);
+  const n = env[keys[0]].center.length;
+  const m = run.curves[keys[0]].length;
+  const upto = Math.min(m - 1, Math.floor(progress * m));
+  const center = Object.fromEntries(keys.map((k) => [k, env[k].center]));
+  const { path, end, aligned } = gbAlignRun(center, run.curves, keys, upto);
+  const clock = run.start != null && run.duration > 0;
+
+  // Where aligned sample i happened in the run: the first or last current sample paired with it.
+  const at = (i, edge) => {
+    const js = path.filter(([a]) => a === i).map(([, j]) => j);
+    const j = edge === "first" ? Math.min(...js) : Math.max(...js);
+    const u = j / (m - 1), elapsed = Math.round(u * run.duration);
+    return {
+      progress: gbRound(u, 4),
+      elapsed: clock ? elapsed : null,
+      time: clock ? new Date((Math.round(run.start) + elapsed) * 1000).toISOString() : null,
+    };
+  };
+  const phaseOf = (i) => phases[gbPhaseOf(i, n, bounds)].name;
+  const toUnits = (p, v) => v * (p.span[1] - p.span[0]);
+  const scored = (s) => ({ conformance: gbRound(s.conformance, 1), breaches: s.breaches });
+
+  const phaseRows = phases.map((p, s) => {
+    const idx = [...Array(n).keys()].filter((i) => gbPhaseOf(i, n, bounds) === s);
+    const lo = idx[0], hi = idx[idx.length - 1];
+    const status = hi <= end ? "complete" : lo <= end ? "partial" : "not reached";
+    const row = { name: p.name, start: p.start, end: p.end, status };
+    return status === "not reached" ? { ...row, conformance: null, breaches: 0 } : { ...row, ...scored(gbScore(env, keys, aligned, lo, Math.min(hi, end))) };
+  });
+
+  // Runs of consecutive out-of-band samples, split where the side or the phase changes.
+  const intervals = [];
+  params.forEach((p) => {
+    const e = env[p.key], a = aligned[p.key];
+    let open = null;
+    for (let i = 0; i <= end + 1; i++) {
+      const side = i > end ? null : a[i] > e.upper[i] ? "high" : a[i] < e.lower[i] ? "low" : null;
+      if (open && (side !== open.side || phaseOf(i > end ? end : i) !== open.phase || i > end)) {
+        intervals.push({
+          parameter: p.key, name: p.name, unit: p.unit, phase: open.phase, side: open.side,
+          samples: i - open.lo,
+          peak: gbRound(toUnits(p, open.peak), 3),
+          from: at(open.lo, "first"), to: at(i - 1, "last"),
+        });
+        open = null;
+      }
+      if (!side) continue;
+      const excess = side === "high" ? a[i] - e.upper[i] : a[i] - e.lower[i];
+      if (!open) open = { lo: i, side, phase: phaseOf(i), peak: excess };
+      else if (Math.abs(excess) > Math.abs(open.peak)) open.peak = excess;
+    }
+  });
+  intervals.sort((x, y) => x.from.progress - y.from.progress || keys.indexOf(x.parameter) - keys.indexOf(y.parameter));
+
+  const parameters = params.map((p) => {
+    const e = env[p.key], a = aligned[p.key];
+    let worst = 0;
+    for (let i = 1; i <= end; i++) if (Math.abs(a[i] - e.center[i]) > Math.abs(a[worst] - e.center[worst])) worst = i;
+    const dev = a[worst] - e.center[worst];
+    return {
+      key: p.key, name: p.name, unit: p.unit,
+      ...scored(gbScore(env, [p.key], aligned, 0, end)),
+      maxDeviation: { value: gbRound(toUnits(p, dev), 3), ofSpan: gbRound(dev, 4), phase: phaseOf(worst), at: at(worst, "first") },
+    };
+  });
+
+  const overall = gbScore(env, keys, aligned, 0, end);
+  const fail = [], review = [];
+  if (overall.conformance <= GB_REPORT_FAIL) fail.push(`Conformance ${overall.conformance.toFixed(1)}% is at or below ${GB_REPORT_FAIL}%.`);
+  phaseRows.forEach((p) => {
+    if (p.conformance != null && p.conformance <= GB_REPORT_FAIL) fail.push(`${p.name} conformance ${p.conformance.toFixed(1)}% is at or below ${GB_REPORT_FAIL}%.`);
+  });
+  intervals.filter((b) => b.samples >= GB_REPORT_SUSTAINED * n).forEach((b) => {
+    fail.push(`${b.name} ${b.side} for ${b.samples} samples in ${b.phase}, from ${gbWhen(b.from)}.`);
+  });
+  if (overall.conformance <= GB_REPORT_PASS && overall.conformance > GB_REPORT_FAIL) review.push(`Conformance ${overall.conformance.toFixed(1)}% is at or below ${GB_REPORT_PASS}%.`);
+  if (intervals.length) {
+    const names = [...new Set(intervals.map((b) => b.name))];
+    review.push(`${intervals.length} breach interval${intervals.length === 1 ? "" : "s"} (${names.join(", ")}).`);
+  }
+  const complete = upto === m - 1;
+
+  return {
+    format: GB_REPORT_FORMAT,
+    version: GB_REPORT_VERSION,
+    generated,
+    dataset: dataset.name,
+    batch: run.id,
+    status: complete ? "complete" : "in progress",
+    start: clock ? new Date(Math.round(run.start) * 1000).toISOString() : null,
+    duration: clock ? Math.round(run.duration) : null,
+    progress: gbRound(end / (n - 1), 4),
+    golden: goldenRuns.map((r) => r.id),
+    envelope: { key: spec.key, name: spec.name },
+    conformance: gbRound(overall.conformance, 1),
+    breaches: overall.breaches,
+    verdict: {
+      result: fail.length ? "fail" : review.length ? "review" : "pass",
+      final: complete,
+      reasons: [...fail, ...review],
+    },
+    phases: phaseRows,
+    parameters,
+    intervals,
+  };
+}
+
+const gbEsc = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const gbSigned = (v) => (v > 0 ? "+" : v < 0 ? "−" : "") + Math.abs(v);
+
+const GB_REPORT_CSS = `
+@page { size: A4; margin: 14mm 12mm; }
+* { box-sizing: border-box; }
+body { margin: 0; font: 10.5pt/1.4 system-ui, -apple-system, "Segoe UI", sans-serif; color: #0f172a; background: #fff; }
+main { max-width: 186mm; margin: 0 auto; padding: 8mm 0; }
+header { display: flex; justify-content: space-between; align-items: flex-end; border-bottom: 2px solid #0f172a; padding-bottom: 3mm; }
+h1 { font-size: 17pt; margin: 0; }
+h2 { font-size: 11pt; margin: 7mm 0 2mm; text-transform: uppercase; letter-spacing: 0.06em; }
+.meta { color: #475569; font-size: 9pt; text-align: right; }
+.mono, td.num { font-family: ui-monospace, "SFMono-Regular", Menlo, monospace; font-variant-numeric: tabular-nums; }
+.verdict { margin-top: 5mm; padding: 3mm 4mm; border: 1.5px solid; border-radius: 2mm; display: flex; gap: 6mm; align-items: baseline; break-inside: avoid; }
+.verdict strong { font-size: 15pt; letter-spacing: 0.08em; }
+.verdict ul { margin: 0; padding-left: 4mm; }
+.pass { border-color: #15803d; color: #15803d; }
+.review { border-color: #b45309; color: #b45309; }
+.fail { border-color: #b91c1c; color: #b91c1c; }
+.verdict ul, .verdict span { color: #0f172a; }
+.kpis { display: flex; gap: 8mm; margin-top: 4mm; }
+.kpis div { display: flex; flex-direction: column; }
+.kpis span { font-size: 8pt; color: #475569; text-transform: uppercase; letter-spacing: 0.06em; }
+.kpis b { font-size: 13pt; }
+table { width: 100%; border-collapse: collapse; font-size: 9.5pt; }
+th, td { text-align: left; padding: 1.4mm 2mm; border-bottom: 0.5px solid #cbd5e1; }
+th { font-size: 8pt; color: #475569; text-transform: uppercase; letter-spacing: 0.05em; border-bottom: 1px solid #0f172a; }
+td.num, th.num { text-align: right; }
+tr { break-inside: avoid; }
+thead { display: table-header-group; }
+.muted { color: #64748b; }
+footer { margin-top: 8mm; padding-top: 2mm; border-top: 0.5px solid #cbd5e1; color: #64748b; font-size: 8pt; }
+@media screen { body { background: #e2e8f0; } main { background: #fff; padding: 12mm; margin: 8mm auto; box-shadow: 0 1px 4px rgba(15, 23, 42, 0.2); } }
+`;
+
+function gbReportHTML(r) {
+  const pct = (v) => (v == null ? "—" : `${v.toFixed(1)}%`);
+  const rows = (list, cells) => list.map((x) => `<tr>${cells(x).join("")}</tr>`).join("\n");
+  const td = (v, cls) => `<td${cls ? ` class="${cls}"` : ""}>${gbEsc(v)}</td>`;
+  const head = (...cols) => `<thead><tr>${cols.map((c) => (c.endsWith("#") ? `<th class="num">${gbEsc(c.slice(0, -1))}</th>` : `<th>${gbEsc(c)}</th>`)).join("")}</tr></thead>`;
+  const timing = r.start
+    ? `Started ${r.start.replace("T", " ").slice(0, 16)} UTC · ${r.status === "complete" ? `${gbElapsed(r.duration).slice(2)} run` : "in progress"}`
+    : "No run clock — times are batch progress";
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Batch report ${gbEsc(r.batch)}</title>
+<style>${GB_REPORT_CSS}</style>
+</head>
+<body>
+<main>
+<header>
+<div><h1>Batch report · ${gbEsc(r.batch)}</h1><div class="muted">${gbEsc(r.dataset)} · ${gbEsc(timing)}</div></div>
+<div class="meta">Generated ${gbEsc(r.generated.replace("T", " ").slice(0, 19))} UTC<br>Golden set: ${gbEsc(r.golden.join(", "))}<br>Envelope: ${gbEsc(r.envelope.name)}</div>
+</header>
+<section class="verdict ${r.verdict.result}">
+<strong>${r.verdict.result.toUpperCase()}</strong>
+${r.verdict.final ? "" : `<span>Provisional — batch ${(r.progress * 100).toFixed(0)}% through the golden profile.</span>`}
+${r.verdict.reasons.length ? `<ul>${r.verdict.reasons.map((x) => `<li>${gbEsc(x)}</li>`).join("")}</ul>` : "<span>Within the golden envelope throughout.</span>"}
+</section>
+<div class="kpis">
+<div><span>Conformance</span><b class="mono">${pct(r.conformance)}</b></div>
+<div><span>Samples out of band</span><b class="mono">${r.breaches}</b></div>
+<div><span>Breach intervals</span><b class="mono">${r.intervals.length}</b></div>
+<div><span>Status</span><b>${gbEsc(r.status)}</b></div>
+</div>
+<h2>Phases</h2>
+<table>
+${head("Phase", "Window", "Status", "Conformance#", "Samples out#")}
+<tbody>
+${rows(r.phases, (p) => [td(p.name), td(`${(p.start * 100).toFixed(0)}–${(p.end * 100).toFixed(0)}%`, "mono"), td(p.status), td(pct(p.conformance), "num"), td(p.breaches, "num")])}
+</tbody>
+</table>
+<h2>Parameters</h2>
+<table>
+${head("Parameter", "Conformance#", "Samples out#", "Max deviation#", "Phase", "At")}
+<tbody>
+${rows(r.parameters, (p) => [td(p.name), td(pct(p.conformance), "num"), td(p.breaches, "num"), td(`${gbSigned(p.maxDeviation.value)} ${p.unit}`.trim(), "num"), td(p.maxDeviation.phase), td(gbWhen(p.maxDeviation.at), "mono")])}
+</tbody>
+</table>
+<h2>Breach intervals</h2>
+${r.intervals.length ? `<table>
+${head("Parameter", "Phase", "Side", "From", "To", "Samples#", "Peak excess#")}
+<tbody>
+${rows(r.intervals, (b) => [td(b.name), td(b.phase), td(b.side), td(gbWhen(b.from), "mono"), td(gbWhen(b.to), "mono"), td(b.samples, "num"), td(`${gbSigned(b.peak)} ${b.unit}`.trim(), "num")])}
+</tbody>
+</table>` : `<p class="muted">None.</p>`}
+<footer>${gbEsc(GB_REPORT_FORMAT)} v${GB_REPORT_VERSION} · deviations are after time alignment to the golden profile · the JSON export carries the same figures</footer>
+</main>
+</body>
+</html>
+`;
+}
+
+// Print through a hidden frame holding the report page, so only the report is printed.
+function gbPrintReport(report) {
+  const frame = Object.assign(document.createElement("iframe"), { title: `Batch report ${report.batch}`, srcdoc: gbReportHTML(report) });
+  frame.style.cssText = "position:fixed;right:0;bottom:0;width:0;height:0;border:0";
+  frame.onload = () => {
+    const win = frame.contentWindow;
+    const done = () => setTimeout(() => frame.remove(), 0);
+    win.addEventListener("afterprint", done);
+    win.focus();
+    win.print();
+  };
+  document.body.appendChild(frame);
+}
+
+function gbDownloadReport(report) {
+  pgDownload(new Blob([JSON.stringify(report, null, 2)], { type: "application/json" }), `batch-report-${report.batch}.json`);
+}
+
+Object.assign(window, {
+  GB_REPORT_FORMAT, GB_REPORT_PASS, GB_REPORT_FAIL, GB_REPORT_SUSTAINED, gbScore, gbElapsed, gbBatchReport, gbReportHTML, gbPrintReport, gbDownloadReport,
+});
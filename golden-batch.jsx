@@ -1,8 +1,8 @@
 // Golden Batch — compare current run vs golden reference
-const { useState: useGB, useEffect: useEffGB, useMemo: useMemoGB } = React;
+const { useState: useGB, useEffect: useEffGB, useMemo: useMemoGB, useRef: useRefGB } = React;
 
 // Generate a smooth curve as a series of points (0..1 normalized)
-function gbCurve(seed, points = 80, kind = "ramp") {
+function gbCurve(seed, points = GB_POINTS, kind = "ramp") {
   const arr = [];
   for (let i = 0; i < points; i++) {
     const t = i / (points - 1);
@@ -61,15 +61,154 @@ const GB_PHASES = [
   { name: "Cool",    start: 0.70, end: 0.88 },
   { name: "Drop",    start: 0.88, end: 1.00 },
 ];
+const GB_BOUNDS = [...GB_PHASES.map((p) => p.start), 1];
+
+// Demo plant history: five good batches that differ only in noise and a little timing,
+// three with known problems, and B-2209 still running with a slow heat-up. `amp` / `drift`
+// are per parameter (temp, press, agit, pH), see gbDeviate. Batches start every 8 h from
+// GB_DEMO_START and run for `hours`.
+const GB_DEMO_RUNS = [
+  { id: "B-2201", hours: 5.9, bounds: [0, 0.11, 0.31, 0.69, 0.87, 1], amp: [0.01, 0.005, 0.01, 0], drift: [0.002, 0, 0.003, 0.002] },
+  { id: "B-2202", hours: 6.1, bounds: [0, 0.12, 0.33, 0.71, 0.88, 1], amp: [-0.01, 0.01, 0, 0.005], drift: [0.003, 0.002, 0, -0.002] },
+  { id: "B-2203", hours: 6, bounds: [0, 0.13, 0.32, 0.7, 0.89, 1], amp: [0.005, -0.005, 0.01, 0.01], drift: [-0.003, 0, 0.002, 0] },
+  { id: "B-2204", hours: 6, bounds: [0, 0.12, 0.31, 0.71, 0.88, 1], amp: [0.012, 0, -0.01, 0], drift: [0, 0.003, 0, 0.003] },
+  { id: "B-2205", hours: 6, bounds: GB_BOUNDS, amp: [0, 0, 0, 0], drift: [0, 0, 0, 0] },
+  { id: "B-2206", hours: 6.2, bounds: [0, 0.12, 0.34, 0.72, 0.89, 1], amp: [0.02, 0.015, 0.02, 0.01], drift: [0.01, 0.005, 0.01, 0.005] },
+  { id: "B-2207", hours: 6, bounds: [0, 0.12, 0.33, 0.7, 0.88, 1], amp: [0.01, 0.09, 0.01, 0], drift: [0.005, 0.01, 0.005, 0] },
+  { id: "B-2208", hours: 6.6, bounds: [0, 0.14, 0.4, 0.76, 0.91, 1], amp: [0.015, 0.01, 0.02, 0.06], drift: [0.02, 0, 0.06, -0.04] },
+  { id: "B-2209", hours: 6.3, bounds: [0, 0.12, 0.37, 0.73, 0.9, 1], amp: [0.015, 0.04, 0.015, 0.015], drift: [0.005, 0.005, 0.03, 0.005], live: true },
+];
+const GB_DEMO_START = Date.UTC(2026, 8, 14, 6) / 1000;
+const GB_DEMO_GOLDEN = ["B-2201", "B-2202", "B-2203", "B-2204", "B-2205"];
+
+// Same shape as an imported dataset (golden-batch-import.jsx).
+function gbDemoDataset() {
+  const base = GB_PARAMS.map((p, idx) => gbCurve(idx * 1.7, GB_POINTS, p.kind));
+  return {
+    name: "Demo",
+    params: GB_PARAMS,
+    runs: GB_DEMO_RUNS.map((r, n) => ({
+      id: r.id,
+      live: !!r.live,
+      start: GB_DEMO_START + n * 8 * 3600,
+      duration: r.hours * 3600,
+      curves: Object.fromEntries(GB_PARAMS.map((p, idx) => [
+        p.key,
+        gbDeviate(gbPhaseWarp(base[idx], GB_BOUNDS, r.bounds), r.amp[idx], r.drift[idx], idx * 3.3 + n * 1.9),
+      ])),
+    })),
+  };
+}
+
+// One statistic over batch progress, with its control limit. Clicking picks the sample the
+// contribution plot explains.
+function GbControlChart({ label, values, limit, probe, onProbe }) {
+  const W = 320, H = 90, pad = 6;
+  const top = Math.max(limit * 1.6, ...values) * 1.05;
+  const x = (i) => (i / (GB_POINTS - 1)) * W;
+  const y = (v) => pad + (1 - v / top) * (H - pad * 2);
+  const pick = (e) => {
+    const r = e.currentTarget.getBoundingClientRect();
+    onProbe(Math.max(0, Math.min(values.length - 1, Math.round(((e.clientX - r.left) / r.width) * (GB_POINTS - 1)))));
+  };
+  return (
+    <div className="gb-mspc__chart">
+      <div className="gb-mspc__label">
+        <span>{label}</span>
+        <span className="mono">{values[probe].toFixed(1)} / {limit.toFixed(1)}</span>
+      </div>
+      <svg viewBox={`0 0 ${W} ${H}`} preserveAspectRatio="none" className="gb-mspc__svg" onClick={pick} role="img" aria-label={`${label} over batch progress, limit ${limit.toFixed(1)}`}>
+        <line x1="0" x2={W} y1={y(limit)} y2={y(limit)} stroke="var(--bad)" strokeOpacity="0.6" strokeDasharray="4 3" />
+        <path d={values.map((v, i) => `${i ? "L" : "M"}${x(i).toFixed(1)} ${y(v).toFixed(1)}`).join(" ")} fill="none" stroke="var(--accent-2)" strokeWidth="1.5" />
+        {values.map((v, i) => v > limit && <circle key={i} cx={x(i)} cy={y(v)} r="2" fill="var(--bad)" />)}
+        <line x1={x(probe)} x2={x(probe)} y1="0" y2={H} stroke="var(--fg-mute)" strokeDasharray="2 3" />
+      </svg>
+    </div>
+  );
+}
+
+// Hotelling T² / SPE charts for the current run and, for one sample, which parameters drove
+// it (golden-batch-mspc.jsx).
+function GbMspcPanel({ model, monitor, params, goldenCount, probe, onProbe }) {
+  const [stat, setStat] = useGB(null); // "t2" | "spe"; null follows the worse of the two
+  if (!model) {
+    return (
+      <div className="gb-mspc gb-mspc--off">
+        <span className="tag">Multivariate</span>
+        <span className="gb-golden__note">PCA monitoring needs {GB_MSPC_MIN_RUNS} or more golden batches — {goldenCount} in the set.</span>
+      </div>
+    );
+  }
+  const ratio = (s) => Math.max(s.t2 / model.limits.t2, s.spe / model.limits.spe);
+  const worst = monitor.reduce((b, s) => (ratio(s) > ratio(b) ? s : b), monitor[0]);
+  const sample = probe != null && probe < monitor.length ? monitor[probe] : worst;
+  const shown = stat || (sample.t2 / model.limits.t2 >= sample.spe / model.limits.spe ? "t2" : "spe");
+  const contrib = gbContributions(model, sample)[shown];
+  const total = contrib.reduce((s, v) => s + Math.abs(v), 0) || 1;
+  const drivers = params.map((p, j) => ({ p, j, share: contrib[j] / total }))
+    .sort((a, b) => Math.abs(b.share) - Math.abs(a.share));
+  const out = sample[shown] > model.limits[shown];
+
+  return (
+    <div className="gb-mspc">
+      <div className="gb-mspc__head">
+        <span className="tag">Multivariate</span>
+        <span className="gb-golden__note">
+          PCA on {goldenCount} golden batches · {model.P.length} component{model.P.length === 1 ? "" : "s"}, {(model.explained * 100).toFixed(0)}% of variance · {(model.alpha * 100).toFixed(0)}% limits
+        </span>
+      </div>
+      <div className="gb-mspc__grid">
+        <GbControlChart label="Hotelling T²" values={monitor.map((s) => s.t2)} limit={model.limits.t2} probe={sample.i} onProbe={onProbe} />
+        <GbControlChart label="SPE (Q)" values={monitor.map((s) => s.spe)} limit={model.limits.spe} probe={sample.i} onProbe={onProbe} />
+        <div className="gb-mspc__contrib">
+          <div className="gb-mspc__label">
+            <span>Contributions · {(sample.i / (GB_POINTS - 1) * 100).toFixed(0)}%</span>
+            <div className="gb-toggle" role="group" aria-label="Statistic to explain">
+              {[["t2", "T²"], ["spe", "SPE"]].map(([key, name]) => (
+                <button key={key} className={"gb-toggle__btn" + (shown === key ? " gb-toggle__btn--on" : "")} aria-pressed={shown === key} onClick={() => setStat(key)}>{name}</button>
+              ))}
+            </div>
+          </div>
+          {params.map((p, j) => {
+            const share = contrib[j] / total;
+            return (
+              <div key={p.key} className="gb-mspc__bar">
+                <span className="gb-mspc__name">{p.name} {sample.x[j] >= 0 ? "▲" : "▼"}</span>
+                <span className="gb-mspc__track">
+                  <span className={"gb-mspc__fill" + (share < 0 ? " gb-mspc__fill--neg" : "")}
+                    style={{ width: `${Math.abs(share) * 50}%`, [share < 0 ? "right" : "left"]: "50%" }} />
+                </span>
+                <span className="mono">{(share * 100).toFixed(0)}%</span>
+              </div>
+            );
+          })}
+          <div className={"gb-mspc__verdict" + (out ? " gb-mspc__verdict--out" : "")}>
+            {out ? "Excursion" : "Within limits"} — {drivers.slice(0, 2).map((d) => `${d.p.name} ${sample.x[d.j] >= 0 ? "up" : "down"}`).join(", ")}
+            {probe == null && " (worst sample)"}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
 
 function GoldenBatchSection({ motion }) {
-  const [batch, setBatch] = useGB("B-2207");
+  const [golden, setGolden] = useGB(GB_DEMO_GOLDEN); // run ids the envelope is learned from
+  const [batch, setBatch] = useGB("B-2209"); // the run compared against it
+  const [envelope, setEnvelope] = useGB(GB_ENVELOPES[0].key); // golden-batch-envelope.jsx
   const [progress, setProgress] = useGB(0.72);
   const [activeParam, setActiveParam] = useGB("temp");
+  // Imported runs (golden-batch-import.jsx) replace the demo runs until "Demo data".
+  const [data, setData] = useGB(null);
+  const [pending, setPending] = useGB(null); // { file, table } while columns are mapped
+  const [importError, setImportError] = useGB(null);
+  const [overlay, setOverlay] = useGB("aligned"); // "raw" or "aligned" (golden-batch-align.jsx)
+  const [probe, setProbe] = useGB(null); // sample the contribution plot explains; null = worst
+  const fileRef = useRefGB(null);
 
-  // simulate live progress
+  // simulate the live demo run; imported runs are already complete
   useEffGB(() => {
-    if (!motion) return;
+    if (!motion || data) return;
     const t = setInterval(() => {
       setProgress((p) => {
         const next = p + 0.003 * motion;
@@ -77,46 +216,88 @@ function GoldenBatchSection({ motion }) {
       });
     }, 400);
     return () => clearInterval(t);
-  }, [motion]);
-
-  // Reference batches selector
-  const BATCHES = ["B-2205 (Golden)", "B-2206", "B-2207", "B-2208"];
-
-  // Generate curves once per param
-  const curves = useMemoGB(() => {
-    const out = {};
-    GB_PARAMS.forEach((p, idx) => {
-      const golden = gbCurve(idx * 1.7, 80, p.kind);
-      const tol = p.tolerance;
-      const upper = golden.map((v) => Math.min(1, v + tol));
-      const lower = golden.map((v) => Math.max(0, v - tol));
-      const current = gbDeviate(golden, idx === 1 ? 0.04 : 0.015, idx === 2 ? 0.03 : 0.005, idx * 3.3);
-      out[p.key] = { golden, upper, lower, current };
-    });
-    return out;
-  }, []);
-
-  // KPI scores
-  const score = useMemoGB(() => {
-    const visible = Math.floor(progress * 80);
-    let totalDev = 0, count = 0, breaches = 0;
-    GB_PARAMS.forEach((p) => {
-      const c = curves[p.key];
-      for (let i = 0; i <= visible && i < c.golden.length; i++) {
-        const d = Math.abs(c.current[i] - c.golden[i]);
-        totalDev += d;
-        count++;
-        if (c.current[i] > c.upper[i] || c.current[i] < c.lower[i]) breaches++;
-      }
-    });
-    const avg = count > 0 ? totalDev / count : 0;
-    const conformance = Math.max(0, Math.min(100, 100 - avg * 350));
-    return { conformance, breaches, avg };
-  }, [curves, progress]);
-
-  const currentPhase = GB_PHASES.find((p) => progress >= p.start && progress < p.end) || GB_PHASES[GB_PHASES.length - 1];
+  }, [motion, data]);
+
+  const pickFile = (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setImportError(null);
+    gbReadFile(file)
+      .then((table) => setPending({ file: file.name, table }))
+      .catch((err) => setImportError(`${file.name}: ${err.message}`));
+  };
+  const applyImport = (next) => {
+    setData(next);
+    setPending(null);
+    setGolden([next.runs[0].id]);
+    setBatch(next.runs[1].id);
+    setActiveParam(next.params[0].key);
+  };
+  const showDemo = () => {
+    setData(null);
+    setGolden(GB_DEMO_GOLDEN);
+    setBatch("B-2209");
+    setActiveParam("temp");
+  };
+  const pickRun = (id) => {
+    setBatch(id);
+    setProbe(null);
+  };
+  const promote = () => setGolden((g) => (g.includes(batch) ? g : [...g, batch]));
+  const demote = (id) => setGolden((g) => (g.length > 1 ? g.filter((x) => x !== id) : g));
+
+  const demo = useMemoGB(gbDemoDataset, []);
+  const dataset = data || demo;
+  const params = dataset.params;
+  const run = dataset.runs.find((r) => r.id === batch) || dataset.runs[0];
+  const spec = GB_ENVELOPES.find((e) => e.key === envelope);
+
+  // The band is learned from the golden set, per parameter and per phase.
+  const env = useMemoGB(
+    () => gbEnvelope(dataset.runs.filter((r) => golden.includes(r.id)), params, spec, GB_BOUNDS),
+    [dataset, params, golden, spec],
+  );
+  const curves = useMemoGB(() => Object.fromEntries(params.map((p) => [p.key, {
+    golden: env[p.key].center, upper: env[p.key].upper, lower: env[p.key].lower, current: run.curves[p.key],
+  }])), [env, params, run]);
+
+  const runProgress = run.live ? progress : 1;
+  const now = Math.min(GB_POINTS - 1, Math.floor(runProgress * GB_POINTS));
+  // built on demand for the print / JSON buttons, from the same settings as the view
+  const report = () => gbBatchReport(dataset, { batch: run.id, golden, envelope, phases: GB_PHASES, progress: runProgress });
+
+  // Warp the run so far onto the golden profile. `end` is the golden sample the run has
+  // reached — behind `now` when it runs slow — and `aligned` holds each param on the golden
+  // axis, padded past `end` so it draws at full width under the progress clip.
+  const align = useMemoGB(() => {
+    const keys = params.map((p) => p.key);
+    const center = Object.fromEntries(keys.map((k) => [k, env[k].center]));
+    const { path, end, aligned } = gbAlignRun(center, run.curves, keys, now);
+    Object.values(aligned).forEach((a) => a.push(...Array(GB_POINTS - a.length).fill(a[a.length - 1])));
+    return { path, end, aligned };
+  }, [env, run, params, now]);
+
+  // KPI scores, on the aligned run (golden-batch-report.jsx, so the report agrees)
+  const score = useMemoGB(() => gbScore(env, params.map((p) => p.key), align.aligned, 0, align.end), [env, params, align]);
+
+  // PCA model of the golden set and the current run through it (golden-batch-mspc.jsx).
+  const mspc = useMemoGB(() => {
+    const runs = dataset.runs.filter((r) => golden.includes(r.id));
+    if (runs.length < GB_MSPC_MIN_RUNS) return null;
+    const keys = params.map((p) => p.key);
+    const center = Object.fromEntries(keys.map((k) => [k, env[k].center]));
+    return gbFitMSPC(gbAlignRuns(runs, center, keys), center, keys);
+  }, [dataset, golden, env, params]);
+  const monitor = useMemoGB(() => mspc && gbMonitor(mspc, align.aligned, align.end), [mspc, align]);
+
+  const reached = align.end / (GB_POINTS - 1); // golden-equivalent progress
+  const currentPhase = GB_PHASES.find((p) => reached >= p.start && reached < p.end) || GB_PHASES[GB_PHASES.length - 1];
   const activeCurve = curves[activeParam];
-  const activeMeta = GB_PARAMS.find((p) => p.key === activeParam);
+  const activeMeta = params.find((p) => p.key === activeParam);
+  const shown = overlay === "aligned"
+    ? { current: align.aligned[activeParam], at: reached, idx: align.end }
+    : { current: activeCurve.current, at: runProgress, idx: now };
 
   return (
     <section className="section" id="golden-batch" data-screen-label="07 Golden Batch">
@@ -135,21 +316,26 @@ function GoldenBatchSection({ motion }) {
           {/* Top bar */}
           <div className="gb-topbar">
             <div className="gb-topbar__group">
-              <span className="tag">Reference</span>
-              <label htmlFor="gb-batch" className="sr-only">Reference batch</label>
-              <select id="gb-batch" aria-label="Reference batch" className="gb-select" value={batch} onChange={(e) => setBatch(e.target.value)}>
-                {BATCHES.map((b) => <option key={b} value={b}>{b}</option>)}
+              <span className="tag">Current</span>
+              <label htmlFor="gb-batch" className="sr-only">Batch to compare</label>
+              <select id="gb-batch" className="gb-select" value={run.id} onChange={(e) => pickRun(e.target.value)}>
+                {dataset.runs.map((r) => <option key={r.id} value={r.id}>{r.id}{golden.includes(r.id) ? " (golden)" : ""}</option>)}
               </select>
+              {run.live && <span className="live"><span className="dot" /> live</span>}
+              <button className="btn" onClick={promote} disabled={golden.includes(run.id) || run.live} style={{ padding: "7px 12px", fontSize: 11 }}
+                title={run.live ? "A running batch can be promoted once it completes" : "Add this batch to the golden set"}>Promote to golden</button>
             </div>
             <div className="gb-topbar__group">
-              <span className="tag">Current</span>
-              <span className="mono" style={{ color: "var(--accent-2)", fontSize: 13 }}>B-2209 · Reactor R-04</span>
-              <span className="live"><span className="dot" /> live</span>
+              <button className="btn" onClick={() => fileRef.current.click()} style={{ padding: "7px 12px", fontSize: 11 }} title="Compare runs from your own CSV export — parsed locally, never uploaded">Import CSV</button>
+              {data && <button className="btn" onClick={showDemo} style={{ padding: "7px 12px", fontSize: 11 }}>Demo data</button>}
+              <button className="btn" onClick={() => gbPrintReport(report())} style={{ padding: "7px 12px", fontSize: 11 }} title="Phase-by-phase report of this batch — print it or save it as PDF">Print report</button>
+              <button className="btn" onClick={() => gbDownloadReport(report())} style={{ padding: "7px 12px", fontSize: 11 }} title="The same report as JSON">Report JSON</button>
+              <input ref={fileRef} type="file" accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values" hidden onChange={pickFile} />
             </div>
             <div className="gb-topbar__group">
               <div className="gb-kpi">
                 <span className="gb-kpi__label">Conformance</span>
-                <span className="gb-kpi__val" style={{ color: score.conformance > 92 ? "var(--ok)" : score.conformance > 80 ? "var(--warn)" : "var(--bad)" }}>
+                <span className="gb-kpi__val" style={{ color: score.conformance > GB_REPORT_PASS ? "var(--ok)" : score.conformance > GB_REPORT_FAIL ? "var(--warn)" : "var(--bad)" }}>
                   {score.conformance.toFixed(1)}<span style={{ color: "var(--fg-dim)", fontSize: 11 }}>%</span>
                 </span>
               </div>
@@ -166,16 +352,41 @@ function GoldenBatchSection({ motion }) {
             </div>
           </div>
 
+          {/* Golden set and envelope */}
+          <div className="gb-golden">
+            <span className="tag">Golden set</span>
+            <div className="gb-golden__runs">
+              {golden.map((id) => (
+                <span key={id} className="gb-golden__run">
+                  {id}
+                  <button onClick={() => demote(id)} disabled={golden.length < 2} aria-label={`Remove ${id} from the golden set`} title="Remove from the golden set">×</button>
+                </span>
+              ))}
+            </div>
+            <label className="gb-golden__env">
+              <span>Envelope</span>
+              <select className="gb-select" value={envelope} onChange={(e) => setEnvelope(e.target.value)}>
+                {GB_ENVELOPES.map((e) => <option key={e.key} value={e.key}>{e.name}</option>)}
+              </select>
+            </label>
+            <span className="gb-golden__note">
+              {golden.length < 2 ? "One batch: fixed tolerance band — promote more to learn the spread" : `${golden.length} batches · per phase`}
+            </span>
+          </div>
+
+          {pending && <GbImportPanel key={pending.file} file={pending.file} table={pending.table} onApply={applyImport} onCancel={() => setPending(null)} />}
+          {importError && <div className="gb-import__error gb-import__error--bar" role="alert">{importError}</div>}
+
           {/* Phase tracker */}
           <div className="gb-phases">
             {GB_PHASES.map((p) => {
-              const done = progress >= p.end;
-              const active = progress >= p.start && progress < p.end;
+              const done = reached >= p.end;
+              const active = reached >= p.start && reached < p.end;
               return (
                 <div key={p.name} className={"gb-phase" + (active ? " gb-phase--active" : "") + (done ? " gb-phase--done" : "")}>
                   <div className="gb-phase__bar">
                     <div className="gb-phase__fill" style={{
-                      width: done ? "100%" : active ? `${((progress - p.start) / (p.end - p.start)) * 100}%` : "0%"
+                      width: done ? "100%" : active ? `${((reached - p.start) / (p.end - p.start)) * 100}%` : "0%"
                     }} />
                   </div>
                   <div className="gb-phase__label">{p.name}</div>
@@ -192,18 +403,31 @@ function GoldenBatchSection({ motion }) {
                   <div style={{ fontFamily: "var(--font-mono)", fontSize: 11, letterSpacing: "0.12em", color: "var(--fg-dim)", textTransform: "uppercase" }}>{activeMeta.name}</div>
                   <div style={{ display: "flex", gap: 14, marginTop: 6, alignItems: "baseline" }}>
                     <span className="mono" style={{ fontSize: 22, color: "var(--accent-2)" }}>
-                      {(activeMeta.span[0] + activeCurve.current[Math.min(79, Math.floor(progress * 80))] * (activeMeta.span[1] - activeMeta.span[0])).toFixed(1)}
+                      {(activeMeta.span[0] + activeCurve.current[now] * (activeMeta.span[1] - activeMeta.span[0])).toFixed(1)}
                       <span style={{ color: "var(--fg-dim)", fontSize: 12, marginLeft: 4 }}>{activeMeta.unit}</span>
                     </span>
                     <span className="mono" style={{ fontSize: 11, color: "var(--fg-mute)" }}>
-                      golden: {(activeMeta.span[0] + activeCurve.golden[Math.min(79, Math.floor(progress * 80))] * (activeMeta.span[1] - activeMeta.span[0])).toFixed(1)}
+                      golden: {(activeMeta.span[0] + activeCurve.golden[align.end] * (activeMeta.span[1] - activeMeta.span[0])).toFixed(1)}
                     </span>
                   </div>
                 </div>
                 <div className="gb-legend">
-                  <span><span className="gb-swatch gb-swatch--golden" /> Golden</span>
-                  <span><span className="gb-swatch gb-swatch--band" /> Tolerance</span>
+                  <span><span className="gb-swatch gb-swatch--golden" /> Golden mean</span>
+                  <span><span className="gb-swatch gb-swatch--band" /> {golden.length < 2 ? "Tolerance" : spec.name}</span>
                   <span><span className="gb-swatch gb-swatch--current" /> Current</span>
+                  <div className="gb-toggle" role="group" aria-label="Current run overlay">
+                    {[["raw", "Raw"], ["aligned", "Aligned"]].map(([key, label]) => (
+                      <button key={key} className={"gb-toggle__btn" + (overlay === key ? " gb-toggle__btn--on" : "")} aria-pressed={overlay === key} onClick={() => setOverlay(key)}
+                        title={key === "raw" ? "Current run on its own clock" : "Current run time-warped onto the golden profile"}>{label}</button>
+                    ))}
+                  </div>
+                  {overlay === "aligned" && (
+                    <svg className="gb-warp" viewBox="0 0 48 48" role="img" aria-label="Warping path: golden progress across, current run progress up">
+                      <title>Warping path — a straight diagonal means the run kept the golden timing</title>
+                      <line x1="0" y1="48" x2="48" y2="0" stroke="rgba(226,232,240,0.15)" strokeDasharray="2 2" />
+                      <polyline points={align.path.map(([i, j]) => `${((i / (GB_POINTS - 1)) * 48).toFixed(1)},${(48 - (j / (GB_POINTS - 1)) * 48).toFixed(1)}`).join(" ")} fill="none" stroke="var(--accent-2)" strokeWidth="1.5" />
+                    </svg>
+                  )}
                 </div>
               </div>
 
@@ -218,7 +442,7 @@ function GoldenBatchSection({ motion }) {
                     <stop offset="100%" stopColor="var(--accent-2)" stopOpacity="0" />
                   </linearGradient>
                   <clipPath id="gb-clip">
-                    <rect x="0" y="0" width={720 * progress} height="280" />
+                    <rect x="0" y="0" width={720 * shown.at} height="280" />
                   </clipPath>
                 </defs>
 
@@ -241,18 +465,18 @@ function GoldenBatchSection({ motion }) {
 
                 {/* current run - clipped to progress */}
                 <g clipPath="url(#gb-clip)">
-                  <path d={pointsToPath(activeCurve.current, 720, 280, 20) + ` L720 280 L0 280 Z`} fill="url(#gb-current)" />
-                  <path d={pointsToPath(activeCurve.current, 720, 280, 20)} stroke="var(--accent-2)" strokeWidth="2" fill="none" strokeLinecap="round" style={{ filter: "drop-shadow(0 0 6px var(--accent-glow))" }} />
+                  <path d={pointsToPath(shown.current, 720, 280, 20) + ` L720 280 L0 280 Z`} fill="url(#gb-current)" />
+                  <path d={pointsToPath(shown.current, 720, 280, 20)} stroke="var(--accent-2)" strokeWidth="2" fill="none" strokeLinecap="round" style={{ filter: "drop-shadow(0 0 6px var(--accent-glow))" }} />
                 </g>
 
                 {/* now marker */}
-                <line x1={progress * 720} y1="0" x2={progress * 720} y2="280" stroke="var(--accent)" strokeWidth="1" strokeDasharray="4 4" />
-                <circle cx={progress * 720} cy={20 + (1 - activeCurve.current[Math.min(79, Math.floor(progress * 80))]) * 240} r="4" fill="var(--accent-2)" stroke="#0a1628" strokeWidth="2" />
+                <line x1={shown.at * 720} y1="0" x2={shown.at * 720} y2="280" stroke="var(--accent)" strokeWidth="1" strokeDasharray="4 4" />
+                <circle cx={shown.at * 720} cy={20 + (1 - shown.current[shown.idx]) * 240} r="4" fill="var(--accent-2)" stroke="#0a1628" strokeWidth="2" />
               </svg>
 
               <div className="gb-chart__foot">
                 <span className="mono" style={{ fontSize: 10, color: "var(--fg-dim)", letterSpacing: "0.1em" }}>T-0</span>
-                <span className="mono" style={{ fontSize: 10, color: "var(--fg-dim)", letterSpacing: "0.1em" }}>BATCH PROGRESS · {(progress * 100).toFixed(0)}%</span>
+                <span className="mono" style={{ fontSize: 10, color: "var(--fg-dim)", letterSpacing: "0.1em" }}>BATCH PROGRESS · {(runProgress * 100).toFixed(0)}%{overlay === "aligned" && ` · GOLDEN-EQUIVALENT ${(reached * 100).toFixed(0)}%`}</span>
                 <span className="mono" style={{ fontSize: 10, color: "var(--fg-dim)", letterSpacing: "0.1em" }}>T-END</span>
               </div>
             </div>
@@ -261,10 +485,11 @@ function GoldenBatchSection({ motion }) {
               <div style={{ fontFamily: "var(--font-mono)", fontSize: 10, letterSpacing: "0.12em", color: "var(--fg-dim)", textTransform: "uppercase", padding: "0 4px 10px" }}>
                 Parameters
               </div>
-              {GB_PARAMS.map((p) => {
+              {params.map((p) => {
                 const c = curves[p.key];
-                const idx = Math.min(79, Math.floor(progress * 80));
-                const actual = c.current[idx];
+                // live value against the golden at the same point in the recipe
+                const idx = align.end;
+                const actual = c.current[now];
                 const golden = c.golden[idx];
                 const dev = Math.abs(actual - golden);
                 const inBand = actual <= c.upper[idx] && actual >= c.lower[idx];
@@ -302,6 +527,8 @@ function GoldenBatchSection({ motion }) {
             </div>
           </div>
 
+          <GbMspcPanel model={mspc} monitor={monitor} params={params} goldenCount={golden.length} probe={probe} onProbe={setProbe} />
+
           {/* Insights strip */}
           <div className="gb-insights">
             <div className="gb-insight">
@@ -344,8 +571,8 @@ function GoldenBatchSection({ motion }) {
                 </svg>
               </div>
               <div>
-                <div className="gb-insight__title">Golden ref</div>
-                <div className="gb-insight__val">B-2205 · 99.4% yield</div>
+                <div className="gb-insight__title">Golden set</div>
+                <div className="gb-insight__val">{golden.length} batch{golden.length === 1 ? "" : "es"} · {spec.name}</div>
               </div>
             </div>
           </div>
@@ -355,4 +582,4 @@ function GoldenBatchSection({ motion }) {
   );
 }
 
-Object.assign(window, { GoldenBatchSection });
+Object.assign(window, { GB_PHASES, gbDemoDataset, GoldenBatchSection });
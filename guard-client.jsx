@@ -0,0 +1,59 @@
+// Browser side of the /api guard (server/guard.mjs). Before a guarded POST, fetch a
+// challenge, have pow-worker.js solve it, and send the stamp as X-Guard-Pow. Solving
+// takes about a second, so callers prefetch one when a submit is likely.
+
+const POW_ENDPOINT = "/api/challenge";
+const POW_WORKER = "pow-worker.js";
+const powCache = {}; // scope → Promise<{ stamp, expires } | null>
+
+// null when there is nothing to solve: no guard on this host, difficulty 0, or no Worker.
+function powSolve(scope) {
+  return fetch(`${POW_ENDPOINT}?scope=${encodeURIComponent(scope)}`, { credentials: "same-origin" })
+    .then((res) => (res.ok ? res.json() : null))
+    .then((c) => {
+      if (!c || !c.bits || typeof Worker === "undefined") return null;
+      return new Promise((resolve) => {
+        const w = new Worker(POW_WORKER);
+        const done = (v) => { w.terminate(); resolve(v); };
+        w.onmessage = (e) => done(e.data.stamp ? { stamp: e.data.stamp, expires: Date.now() + (c.expiresIn - 15) * 1000 } : null);
+        w.onerror = () => done(null);
+        w.postMessage({ challenge: c.challenge, bits: c.bits });
+      });
+    })
+    .catch(() => null);
+}
+
+function powPrefetch(scope) {
+  if (!powCache[scope]) powCache[scope] = powSolve(scope);
+  return powCache[scope];
+}
+
+// Headers for one guarded request. Each stamp is single-use, so the cached one is consumed.
+async function powHeaders(scope) {
+  let sol = await powPrefetch(scope);
+  delete powCache[scope];
+  if (sol && sol.expires < Date.now()) sol = await powSolve(scope);
+  return sol ? { "X-Guard-Pow": sol.stamp } : {};
+}
+
+// Drop a cached stamp the server has turned down, e.g. signed before it restarted.
+function powForget(scope) {
+  delete powCache[scope];
+}
+
+// Did the server turn down the stamp (invalid, expired or missing) rather than the request?
+async function powRejected(res) {
+  if (res.status === 428) return true;
+  return res.status === 403 && (await res.clone().json().catch(() => ({}))).error === "pow-invalid";
+}
+
+// POST with a stamp; when the stamp is turned down, once more with a fresh one.
+async function powFetch(scope, url, init) {
+  const send = async () => fetch(url, { ...init, headers: { ...init.headers, ...(await powHeaders(scope)) } });
+  const res = await send();
+  if (!(await powRejected(res))) return res;
+  powForget(scope);
+  return send();
+}
+
+Object.assign(window, { powPrefetch, powHeaders, powForget, powRejected, powFetch });
@@ -1,5 +1,5 @@
 // LLM Ask widget — visitors ask about Blueforge AI services via choice of LLM persona
-const { useState: useLM, useRef: useRefLM } = React;
+const { useState: useLM, useRef: useRefLM, useEffect: useEffLM } = React;
 
 const LM_PERSONAS = [
   { key: "claude",  name: "Claude",  hint: "Anthropic · thoughtful" },
@@ -17,37 +17,219 @@ const LM_SUGGESTS = [
 
 const LM_SYS = `You are answering questions on the Blueforge AI website. Blueforge AI is an industrial data intelligence consultancy. Services: plant digitalization (AVEVA PI, Canary Historian, TDengine), Grafana dashboards, custom PI Vision symbols, AI/ML models (anomaly detection, predictive maintenance/RUL, soft sensors, computer vision QA, golden batch), and custom software development for industrial operations. Tone: confident, technical, honest, brief. Keep answers to 3-5 sentences. End with a soft nudge to reach out at info@blueforgeai.com when relevant. Adapt your voice to the requested persona but stay accurate.`;
 
+// Same-origin LLM proxy (see server/llm-proxy.mjs) — keeps CSP connect-src at 'self'.
+const LM_ENDPOINT = "/api/ask";
+
+const LM_ERRORS = {
+  "no-backend": "Live model access isn't wired up on this domain yet. Copy your question and paste it into ChatGPT, Claude, Grok or Gemini — or just email info@blueforgeai.com and we'll answer ourselves.",
+  "rate-limited": "That's a lot of questions in a short time — give it a few minutes, or email info@blueforgeai.com and a human will pick it up.",
+  "rejected-input": "That reads like an attempt to change the assistant's instructions, so it wasn't sent. Ask about your plant, your stack or our work instead.",
+  default: "Couldn't reach the model. Try again or email info@blueforgeai.com directly.",
+};
+
+// Read a text/event-stream response, calling onEvent(name, data) per event.
+async function lmReadSSE(res, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true });
+    let cut;
+    while ((cut = buf.indexOf("\n\n")) !== -1) {
+      const block = buf.slice(0, cut);
+      buf = buf.slice(cut + 2);
+      let name = "message", data = "";
+      block.split("\n").forEach((l) => {
+        if (l.startsWith("event:")) name = l.slice(6).trim();
+        else if (l.startsWith("data:")) data += l.slice(5).trim();
+      });
+      onEvent(name, data ? JSON.parse(data) : {});
+    }
+  }
+}
+
+// Conversation context sent with each question, trimmed oldest-first to this many
+// estimated tokens (~4 chars/token). The proxy enforces its own, larger cap as well.
+const LM_CTX_TOKENS = 1500;
+const lmTokens = (text) => Math.ceil(text.length / 4);
+
+// Completed turns only (no errors, no empty answers), newest that fit the budget,
+// starting on a user turn so the model sees clean question/answer pairs.
+function lmContext(turns, budget = LM_CTX_TOKENS) {
+  const pairs = [];
+  for (let i = 0; i + 1 < turns.length; i += 2) {
+    const u = turns[i], a = turns[i + 1];
+    if (u.role === "user" && a.role === "assistant" && a.content && !a.err) pairs.push([u, a]);
+  }
+  const out = [];
+  let used = 0;
+  for (let i = pairs.length - 1; i >= 0; i--) {
+    used += lmTokens(pairs[i][0].content) + lmTokens(pairs[i][1].content);
+    if (used > budget) break;
+    out.unshift({ role: "user", content: pairs[i][0].content }, { role: "assistant", content: pairs[i][1].content });
+  }
+  return out;
+}
+
+function lmTranscript(turns, personaName) {
+  return turns
+    .filter((t) => t.content)
+    .map((t) => `${t.role === "user" ? "You" : personaName}: ${t.content}`)
+    .join("\n\n");
+}
+
+// Render inline [n] citations as in-page links to the section the passage came from.
+function lmCite(text, sources) {
+  if (!sources || !sources.length) return text;
+  return text.split(/(\[\d+\])/).map((part, i) => {
+    const m = /^\[(\d+)\]$/.exec(part);
+    const src = m && sources.find((s) => s.n === Number(m[1]));
+    return src
+      ? <a key={i} href={src.anchor} className="lm-cite" title={`${src.section} · ${src.title}`}>{part}</a>
+      : part;
+  });
+}
+
+// Keyword cues for pre-filling ContactForm's historian select and scope chips
+// (values must match CF_HISTORIANS / CF_SCOPES in sections-2.jsx).
+const LM_HISTORIAN_CUES = [
+  ["AVEVA PI", /\b(aveva|pi system|pi vision|pi af|osisoft|pi)\b/g],
+  ["Canary Historian", /\bcanary\b/g],
+  ["TDengine", /\btdengine\b/g],
+  ["InfluxDB / Timescale", /\b(influx(db)?|timescale(db)?)\b/g],
+];
+const LM_SCOPE_CUES = [
+  ["Digitalization", /\b(digiti[sz]ation|digitali[sz]ation|historians?|rollout|opc ua|mqtt)\b/],
+  ["Dashboards", /\b(grafana|dashboards?)\b/],
+  ["PI Vision symbols", /\b(pi vision|symbols?|mimics?)\b/],
+  ["AI / ML", /\b(ai|ml|machine learning|models?|anomaly|predictive|soft sensors?|golden batch|forecast\w*|rul)\b/],
+  ["Custom software", /\b(apis?|custom software|integrations?|apps?|portal)\b/],
+];
+
+// Text to match cues against. The company name ("Blueforge AI") comes up on both sides of a
+// conversation — the first suggested question names it — and must not read as "AI / ML".
+const lmCueText = (turns) => turns.map((t) => t.content).join(" ").toLowerCase().replace(/blueforge\s*ai/g, " ");
+
+// Build the ContactForm hand-off from a thread. The visitor's own questions decide the
+// scope chips and lead the historian ranking — the assistant's turns talk about models and
+// apps whatever was asked.
+function lmContactPrefill(turns, personaName) {
+  const asked = lmCueText(turns.filter((t) => t.role === "user"));
+  const all = lmCueText(turns);
+  const count = (text, re) => (text.match(re) || []).length;
+  const ranked = LM_HISTORIAN_CUES
+    .map(([name, re]) => [name, count(asked, re) * 10 + count(all, re)])
+    .filter(([, n]) => n > 0)
+    .sort((a, b) => b[1] - a[1]);
+  const scope = LM_SCOPE_CUES.filter(([, re]) => re.test(asked)).map(([name]) => name);
+  const answered = turns.filter((t) => t.content && !t.err);
+  return {
+    source: `conversation with ${personaName}`,
+    historian: ranked.length ? ranked[0][0] : undefined,
+    scope,
+    message: `From the Ask section (${personaName}):\n\n${lmTranscript(answered.slice(-6), personaName)}\n\n—\nWhat I'd like to discuss next: `,
+  };
+}
+
+const LM_EMPTY_THREADS = Object.fromEntries(LM_PERSONAS.map((p) => [p.key, []]));
+
 function LLMAskSection() {
   const [persona, setPersona] = useLM("claude");
   const [q, setQ] = useLM("");
-  const [a, setA] = useLM("");
-  const [loading, setLoading] = useLM(false);
-  const [err, setErr] = useLM("");
+  // One thread per persona: [{ role: "user" | "assistant", content, sources?, err?, cut? }]
+  // `cut` marks a partial answer: "stopped" (visitor hit Stop) | "broken" (stream dropped).
+  const [threads, setThreads] = useLM(LM_EMPTY_THREADS);
+  const [busy, setBusy] = useLM({}); // persona key → true while its answer streams
+  const [copied, setCopied] = useLM(false);
+  // One controller per persona, so asking another persona leaves this one's stream running.
+  const abortRef = useRefLM({});
+  const logRef = useRefLM(null);
+
+  const thread = threads[persona];
+  const personaName = LM_PERSONAS.find((p) => p.key === persona).name;
+  const loading = !!busy[persona];
+
+  useEffLM(() => {
+    const el = logRef.current;
+    if (el) el.scrollTop = el.scrollHeight;
+  }, [thread]);
+
+  const stop = (key = persona) => { if (abortRef.current[key]) abortRef.current[key].abort(); };
+
+  // Patch one turn of one persona's thread (no-op if the thread was cleared meanwhile).
+  const patchTurn = (key, idx, patch) => setThreads((all) => {
+    const t = all[key];
+    if (idx >= t.length) return all;
+    return { ...all, [key]: t.map((turn, i) => i === idx ? { ...turn, ...patch } : turn) };
+  });
 
   const ask = async (question) => {
     const text = (question ?? q).trim();
     if (!text) return;
-    setLoading(true); setErr(""); setA("");
+    const key = persona;
+    stop(key);
+    const name = personaName;
+    const history = lmContext(threads[key]);
+    const idx = threads[key].length + 1; // the assistant turn this answer streams into
+    const patchLast = (patch) => patchTurn(key, idx, patch);
+    const ctrl = new AbortController();
+    abortRef.current[key] = ctrl;
+    setBusy((b) => ({ ...b, [key]: true })); setQ("");
+    setThreads((all) => ({ ...all, [key]: [...all[key], { role: "user", content: text }, { role: "assistant", content: "" }] }));
+    let got = "";
     try {
-      if (!(window.claude && typeof window.claude.complete === "function")) {
-        // PRODUCTION: replace this branch with a fetch() to your own LLM proxy endpoint.
-        // The endpoint should accept { persona, question } and forward to OpenAI / Anthropic / xAI / Google
-        // with an API key kept server-side. While that backend is being set up, we fall back to
-        // an honest message so the widget never appears broken.
-        throw new Error("no-backend");
+      if (window.claude && typeof window.claude.complete === "function") {
+        // Preview host with a built-in model — no proxy needed, no streaming.
+        const convo = history.map((m) => `${m.role === "user" ? "Visitor" : name}: ${m.content}`).join("\n\n");
+        const prompt = `${LM_SYS}\n\nRespond in the voice of ${name}.${convo ? `\n\nConversation so far:\n${convo}` : ""}\n\nVisitor question: ${text}`;
+        got = await window.claude.complete(prompt);
+        if (!ctrl.signal.aborted) patchLast({ content: got });
+      } else {
+        // Same-origin proxy (server/llm-proxy.mjs) — API keys never reach the browser.
+        const res = await fetch(LM_ENDPOINT, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", Accept: "text/event-stream", ...(await powHeaders("ask")) },
+          body: JSON.stringify({ persona: key, question: text, history }),
+          signal: ctrl.signal,
+        });
+        powPrefetch("ask"); // ready for the follow-up
+        if (res.status === 404 || res.status === 503) throw new Error("no-backend");
+        if (res.status === 429) throw new Error("rate-limited");
+        if (res.status === 400 && (await res.json().catch(() => ({}))).error === "rejected-input") throw new Error("rejected-input");
+        if (!res.ok || !res.body) throw new Error("ask-failed");
+        let finished = false;
+        await lmReadSSE(res, (ev, data) => {
+          if (ev === "sources") patchLast({ sources: data.sources });
+          else if (ev === "token") { got += data.t; patchLast({ content: got }); }
+          else if (ev === "done") finished = true;
+          else if (ev === "error") throw new Error("stream-broken");
+        });
+        if (!finished) throw new Error("stream-broken");
       }
-      const personaName = LM_PERSONAS.find((p) => p.key === persona).name;
-      const prompt = `${LM_SYS}\n\nRespond in the voice of ${personaName}.\n\nVisitor question: ${text}`;
-      const result = await window.claude.complete(prompt);
-      setA(result);
     } catch (e) {
-      setErr(
-        e && e.message === "no-backend"
-          ? "Live model access isn't wired up on this domain yet. Copy your question and paste it into ChatGPT, Claude, Grok or Gemini — or just email info@blueforgeai.com and we'll answer ourselves."
-          : "Couldn't reach the model. Try again or email info@blueforgeai.com directly."
-      );
+      if (e && e.name === "AbortError") patchLast(got ? { cut: "stopped" } : { err: "Stopped before the model answered." });
+      else if (got) patchLast({ cut: "broken" }); // keep the partial answer on screen
+      else patchLast({ err: LM_ERRORS[e && e.message] || LM_ERRORS.default });
+    }
+    if (abortRef.current[key] === ctrl) {
+      delete abortRef.current[key];
+      setBusy((b) => ({ ...b, [key]: false }));
     }
-    setLoading(false);
+  };
+
+  const newConversation = () => {
+    if (loading) stop();
+    setThreads((all) => ({ ...all, [persona]: [] }));
+  };
+
+  const copyTranscript = async () => {
+    try {
+      await navigator.clipboard.writeText(lmTranscript(thread, personaName));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1600);
+    } catch (_) { /* clipboard blocked — nothing useful to show */ }
   };
 
   return (
@@ -67,46 +249,84 @@ function LLMAskSection() {
           <div className="lm-personas">
             {LM_PERSONAS.map((p) => (
               <button key={p.key} className={"lm-persona" + (persona === p.key ? " lm-persona--active" : "")} onClick={() => setPersona(p.key)}>
-                <div className="lm-persona__name">{p.name}</div>
+                <div className="lm-persona__name">{p.name}{threads[p.key].length > 0 && <span style={{ color: "var(--fg-dim)", marginLeft: 6 }}>· {threads[p.key].length / 2}</span>}</div>
                 <div className="lm-persona__hint">{p.hint}</div>
               </button>
             ))}
           </div>
 
+          {thread.length > 0 && (
+            <div className="lm-answer">
+              <div className="lm-answer__head">
+                <span className="tag">{personaName}</span>
+                <span style={{ display: "flex", gap: 14, alignItems: "center" }}>
+                  <button className="lm-link" onClick={copyTranscript}>{copied ? "Copied ✓" : "Copy transcript"}</button>
+                  <button className="lm-link" onClick={newConversation}>New conversation</button>
+                  <span className="live"><span className="dot" /> {loading ? "generating" : "thread"}</span>
+                </span>
+              </div>
+              <div className="lm-thread" ref={logRef} role="log" aria-live="polite" aria-busy={loading}>
+                {thread.map((t, i) => t.role === "user" ? (
+                  <div key={i} className="lm-turn lm-turn--user">{t.content}</div>
+                ) : (
+                  <div key={i} className="lm-turn lm-answer__body">
+                    {t.err ? <span style={{ color: "var(--bad)" }}>{t.err}</span>
+                      : !t.content ? <span style={{ color: "var(--fg-dim)" }}>…</span>
+                      : lmCite(t.content, t.sources)}
+                    {loading && i === thread.length - 1 && t.content && <span className="lm-caret" aria-hidden="true">▍</span>}
+                    {t.cut && (
+                      <div className="mono" style={{ marginTop: 10, fontSize: 11, color: "var(--fg-dim)" }}>
+                        {t.cut === "stopped" ? "— stopped" : "— connection dropped; answer is incomplete. Ask again to retry."}
+                      </div>
+                    )}
+                    {t.sources && t.sources.length > 0 && t.content && (
+                      <div className="lm-sources">
+                        <span className="lm-suggests__lbl">Sources</span>
+                        {t.sources.map((src) => (
+                          <a key={src.id} href={src.anchor} className="lm-source">[{src.n}] {src.section} · {src.title}</a>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+              <div className="lm-answer__foot">
+                Not a sales bot. Want a real human?{" "}
+                {thread.some((t) => t.role === "assistant" && t.content) && !loading ? (
+                  <button className="lm-link lm-link--accent" onClick={() => handOffToContact(lmContactPrefill(thread, personaName))}>Send this to a human →</button>
+                ) : (
+                  <a href="#contact" style={{ color: "var(--accent-2)" }}>Connect with us →</a>
+                )}
+              </div>
+            </div>
+          )}
+
           <div className="lm-input">
             <textarea
               value={q}
               onChange={(e) => setQ(e.target.value)}
-              placeholder={`Ask ${LM_PERSONAS.find((p) => p.key === persona).name} about Blueforge AI…`}
+              onFocus={() => { if (!window.claude) powPrefetch("ask"); }}
+              placeholder={thread.length ? `Follow up with ${personaName}…` : `Ask ${personaName} about Blueforge AI…`}
               rows={3}
               onKeyDown={(e) => { if (e.key === "Enter" && (e.metaKey || e.ctrlKey)) ask(); }}
             />
-            <button className="btn btn--primary lm-send" disabled={loading || !q.trim()} onClick={() => ask()}>
-              {loading ? "Thinking…" : "Ask"} <span className="arrow">→</span>
-            </button>
-          </div>
-
-          <div className="lm-suggests">
-            <div className="lm-suggests__lbl">Try:</div>
-            {LM_SUGGESTS.map((s) => (
-              <button key={s} className="lm-suggest" onClick={() => { setQ(s); ask(s); }}>{s}</button>
-            ))}
+            {loading ? (
+              <button className="btn lm-send" onClick={() => stop()} aria-label="Stop generating">
+                Stop <span aria-hidden="true">■</span>
+              </button>
+            ) : (
+              <button className="btn btn--primary lm-send" disabled={!q.trim()} onClick={() => ask()}>
+                Ask <span className="arrow">→</span>
+              </button>
+            )}
           </div>
 
-          {(a || loading || err) && (
-            <div className="lm-answer">
-              <div className="lm-answer__head">
-                <span className="tag">{LM_PERSONAS.find((p) => p.key === persona).name}</span>
-                <span className="live"><span className="dot" /> {loading ? "generating" : "response"}</span>
-              </div>
-              <div className="lm-answer__body">
-                {err ? <span style={{ color: "var(--bad)" }}>{err}</span>
-                  : loading ? <span style={{ color: "var(--fg-dim)" }}>…</span>
-                  : a}
-              </div>
-              <div className="lm-answer__foot">
-                Not a sales bot. Want a real human? <a href="#contact" style={{ color: "var(--accent-2)" }}>Connect with us →</a>
-              </div>
+          {thread.length === 0 && (
+            <div className="lm-suggests">
+              <div className="lm-suggests__lbl">Try:</div>
+              {LM_SUGGESTS.map((s) => (
+                <button key={s} className="lm-suggest" onClick={() => ask(s)}>{s}</button>
+              ))}
             </div>
           )}
         </div>
@@ -115,4 +335,4 @@ function LLMAskSection() {
   );
 }
 
-Object.assign(window, { LLMAskSection });
+Object.assign(window, { LLMAskSection, lmContactPrefill });
@@ -0,0 +1,193 @@
+// Pilot scoping estimator — sizes PROCESS_STEPS (sections-2.jsx) to a visitor's plant and
+// names the work in SERVICES terms (sections-1.jsx). Indicative only: the numbers are the
+// same rules of thumb we use on a first call, not a quote.
+const { useState: usePE, useMemo: useMemoPE } = React;
+
+const PE_DEFAULTS = { historian: "AVEVA PI", tags: 20000, sites: 1, dashboards: 4, models: 1, symbols: 0, software: false };
+
+// Numeric inputs: [key, label, min, max, step].
+const PE_FIELDS = [
+  ["tags", "Tags in scope", 500, 1000000, 500],
+  ["sites", "Sites", 1, 50, 1],
+  ["dashboards", "Grafana dashboards", 0, 40, 1],
+  ["models", "AI / ML models", 0, 12, 1],
+  ["symbols", "PI Vision symbols", 0, 30, 1],
+];
+
+const peService = (tag) => (SERVICES.find((s) => s.tag === tag) || { title: tag }).title;
+const peClamp = (v, [, , min, max]) => Math.min(max, Math.max(min, Math.round(Number(v) || 0)));
+// Inputs as typed (a field may be mid-edit and empty) → numbers within range.
+const peNormalize = (i) => PE_FIELDS.reduce((o, f) => ({ ...o, [f[0]]: peClamp(i[f[0]], f) }), { ...i, software: !!i.software });
+const pePlural = (n, one, many = one + "s") => `${n.toLocaleString("en-US")} ${n === 1 ? one : many}`;
+
+// 0 = under 5k tags, 1 = under 50k, 2 = under 250k, 3 = larger.
+const peSize = (tags) => (tags < 5000 ? 0 : tags < 50000 ? 1 : tags < 250000 ? 2 : 3);
+
+// Extra weeks on top of a phase's baseline, and the work items behind them.
+const PE_PHASES = {
+  Discover: (i) => ({
+    extra: (i.sites > 1 ? 1 : 0) + (peSize(i.tags) >= 2 ? 1 : 0),
+    items: [`${pePlural(i.sites, "site")} · ${i.historian === "None yet" ? "no historian yet" : i.historian}`, `~${pePlural(i.tags, "tag")} to inventory`],
+  }),
+  Architect: (i) => ({
+    extra: (i.historian === "None yet" ? 1 : 0) + (peSize(i.tags) >= 2 ? 1 : 0),
+    items: [i.historian === "None yet" ? "Historian selection (PI · Canary · TDengine)" : `${i.historian} asset model and integration patterns`, i.sites > 1 ? "Multi-site template design" : "Single-site reference design"],
+  }),
+  Pilot: (i) => {
+    const items = [`${i.historian === "None yet" ? "New historian" : i.historian} on one unit`];
+    if (i.dashboards) items.push(`${peService("DASHBOARDS")}: ${pePlural(i.dashboards, "dashboard")}`);
+    if (i.models) items.push(`${peService("AI / ML")}: ${pePlural(i.models, "model")}`);
+    if (i.symbols) items.push(`${peService("VISUALIZATION")}: ${pePlural(i.symbols, "symbol")}`);
+    if (i.software) items.push(`${peService("SOFTWARE")}: integration service`);
+    // The 8–12 week baseline covers three dashboards, one model and no custom symbols.
+    const extra = Math.ceil(Math.max(0, i.dashboards - 3) / 3) + 2 * Math.max(0, i.models - 1) + Math.ceil(i.symbols / 4)
+      + (i.software ? 3 : 0) + (i.historian === "None yet" ? 1 : 0);
+    return { extra, items };
+  },
+  Scale: (i) => {
+    // Sites roll out in waves of three once the pilot template exists.
+    const waves = Math.ceil((i.sites - 1) / 3);
+    const base = i.sites > 1 ? 3 * waves : 2;
+    return {
+      base: [base + (peSize(i.tags) >= 2 ? 2 : 0), Math.ceil((base + (peSize(i.tags) >= 2 ? 2 : 0)) * 1.5)],
+      items: [i.sites > 1 ? `${pePlural(i.sites - 1, "further site")} in ${pePlural(waves, "wave")}` : "Remaining units on the pilot site", `${peService("DIGITALIZATION")} hand-over`],
+    };
+  },
+  Operate: (i) => ({
+    items: [[i.models && "model retraining", "historian health", i.dashboards && "dashboard upkeep"].filter(Boolean).join(" · ")],
+  }),
+};
+
+// Phased plan for the given inputs. Phases run back to back; Operate is open-ended.
+function peEstimate(inputs, steps = PROCESS_STEPS) {
+  const phases = steps.map((s) => {
+    const r = (PE_PHASES[s.title] || (() => ({ items: [] })))(inputs);
+    let weeks = r.base || null;
+    if (!weeks && s.weeks) weeks = [s.weeks[0] + (r.extra || 0), s.weeks[1] + Math.ceil((r.extra || 0) * 1.25)];
+    return { num: s.num, title: s.title, weeks: s.title === "Operate" ? null : weeks, deliverable: s.deliverable, items: r.items };
+  });
+  const total = phases.reduce((t, p) => (p.weeks ? [t[0] + p.weeks[0], t[1] + p.weeks[1]] : t), [0, 0]);
+  return { inputs: { ...inputs }, phases, total };
+}
+
+const peEscape = (s) => String(s).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+
+// Self-contained one-page document for the print dialog.
+function pePlanHTML(plan) {
+  const i = plan.inputs;
+  const rows = plan.phases.map((p) => `<tr><td class="n">${p.num}</td><td><b>${peEscape(p.title)}</b><div class="i">${p.items.map(peEscape).join("<br>")}</div></td><td class="w">${cfWeeks(p.weeks)}</td><td class="d">${peEscape(p.deliverable)}</td></tr>`).join("");
+  return `<!doctype html><html lang="en"><head><meta charset="utf-8"><title>Pilot plan · Blueforge AI</title><style>
+@page{size:A4;margin:16mm}body{font:12px/1.5 "IBM Plex Sans",system-ui,sans-serif;color:#0b1220;margin:0}
+h1{font-size:20px;margin:0 0 4px}.sub{color:#475569;margin:0 0 16px}.in{display:flex;flex-wrap:wrap;gap:6px 18px;margin:0 0 16px;padding:10px 12px;background:#f1f5f9;border-radius:4px}
+table{width:100%;border-collapse:collapse}th,td{text-align:left;vertical-align:top;padding:8px 6px;border-bottom:1px solid #e2e8f0}th{font:500 10px "IBM Plex Mono",monospace;text-transform:uppercase;letter-spacing:.08em;color:#64748b}
+.n{font-family:"IBM Plex Mono",monospace;color:#64748b;width:28px}.w{white-space:nowrap;font-family:"IBM Plex Mono",monospace}.d{color:#334155;width:34%}.i{color:#475569;font-size:11px;margin-top:2px}
+.tot{margin-top:14px;font-size:14px}.note{margin-top:18px;color:#64748b;font-size:10px}
+</style></head><body>
+<h1>Pilot plan — ${peEscape(i.historian)}, ${pePlural(i.sites, "site")}</h1>
+<p class="sub">Indicative estimate from blueforgeai.com · ${new Date().toISOString().slice(0, 10)}</p>
+<div class="in"><span>Historian: <b>${peEscape(i.historian)}</b></span><span>Tags: <b>${i.tags.toLocaleString("en-US")}</b></span><span>Sites: <b>${i.sites}</b></span><span>Dashboards: <b>${i.dashboards}</b></span><span>Models: <b>${i.models}</b></span><span>PI Vision symbols: <b>${i.symbols}</b></span><span>Custom software: <b>${i.software ? "yes" : "no"}</b></span></div>
+<table><thead><tr><th></th><th>Phase</th><th>Duration</th><th>Deliverable</th></tr></thead><tbody>${rows}</tbody></table>
+<p class="tot">Discover → Scale: <b>${cfWeeks(plan.total)}</b></p>
+<p class="note">Rules of thumb, not a quote. We confirm scope, team and price after a discovery call — info@blueforgeai.com.</p>
+</body></html>`;
+}
+
+function pePrint(plan) {
+  const w = window.open("", "_blank");
+  if (!w) return false;
+  w.document.write(pePlanHTML(plan));
+  w.document.close();
+  w.focus();
+  w.print();
+  return true;
+}
+
+// Contact hand-off: the plan rides along as a structured attachment, and the inputs
+// pre-answer the matching wizard questions.
+function peHandoff(plan) {
+  const i = plan.inputs;
+  const scope = [
+    i.sites > 1 && "Digitalization",
+    i.dashboards > 0 && "Dashboards",
+    i.symbols > 0 && "PI Vision symbols",
+    i.models > 0 && "AI / ML",
+    i.software && "Custom software",
+  ].filter(Boolean);
+  const tagCount = CF_QUESTIONS.tagCount.options[peSize(i.tags) + 1]; // [0] is "Not sure"
+  const sites = i.sites === 1 ? "1" : i.sites <= 5 ? "2 – 5" : i.sites <= 20 ? "6 – 20" : "More than 20";
+  return { source: "pilot estimate", historian: i.historian, scope, answers: { tagCount, sites }, estimate: plan };
+}
+
+function PilotEstimatorSection() {
+  const [inputs, setInputs] = usePE(PE_DEFAULTS);
+  const [printBlocked, setPrintBlocked] = usePE(false);
+  const plan = useMemoPE(() => peEstimate(peNormalize(inputs)), [inputs]);
+  const set = (key, value) => setInputs((s) => ({ ...s, [key]: value }));
+  const span = Math.max(1, plan.total[1]);
+  let at = 0;
+  return (
+    <section className="section" id="estimate" data-screen-label="09b Pilot Estimator">
+      <div className="container">
+        <div className="section-head">
+          <div>
+            <div className="eyebrow">Size your pilot</div>
+            <h2 style={{ marginTop: 14 }}>Your plant, our playbook.<br /><span style={{ color: "var(--fg-mute)" }}>A rough plan in thirty seconds.</span></h2>
+          </div>
+          <p className="lead">
+            Tell us roughly what you run and what you want built. We'll stretch the five phases above to fit — then you can print the plan or attach it to your inquiry so the first call starts from real numbers.
+          </p>
+        </div>
+        <div className="pe-wrap card">
+          <div className="pe-inputs form">
+            <div className="field field--full">
+              <label htmlFor="pe-historian">Historian</label>
+              <select id="pe-historian" value={inputs.historian} onChange={(e) => set("historian", e.target.value)}>
+                {CF_HISTORIANS.map((h) => <option key={h}>{h}</option>)}
+              </select>
+            </div>
+            {PE_FIELDS.map((f) => (
+              <div className="field" key={f[0]}>
+                <label htmlFor={`pe-${f[0]}`}>{f[1]}</label>
+                <input id={`pe-${f[0]}`} type="number" inputMode="numeric" min={f[2]} max={f[3]} step={f[4]} value={inputs[f[0]]}
+                  onChange={(e) => set(f[0], e.target.value === "" ? "" : Number(e.target.value))} onBlur={(e) => set(f[0], peClamp(e.target.value, f))} />
+              </div>
+            ))}
+            <div className="field field--full">
+              <label className="cf-check"><input type="checkbox" checked={inputs.software} onChange={(e) => set("software", e.target.checked)} /> Needs custom integration software (APIs, MES/ERP links)</label>
+            </div>
+          </div>
+          <div className="pe-plan" aria-live="polite">
+            <div className="pe-total">
+              <span className="tag">Discover → Scale</span>
+              <span className="mono pe-total__val">{cfWeeks(plan.total)}</span>
+            </div>
+            <div className="pe-bar" aria-hidden="true">
+              {plan.phases.filter((p) => p.weeks).map((p) => {
+                const left = (at / span) * 100;
+                at += p.weeks[0];
+                return <div key={p.num} className="pe-bar__seg" style={{ left: `${left}%`, width: `${(p.weeks[0] / span) * 100}%` }} title={`${p.title}: ${cfWeeks(p.weeks)}`}><span>{p.title}</span></div>;
+              })}
+            </div>
+            <ol className="pe-phases">
+              {plan.phases.map((p) => (
+                <li key={p.num}>
+                  <div className="pe-phase__head"><span className="process-num" style={{ fontSize: 12 }}>{p.num}</span><strong>{p.title}</strong><span className="mono">{cfWeeks(p.weeks)}</span></div>
+                  <div className="pe-phase__items">{p.items.join(" · ")}</div>
+                  <div className="pe-phase__deliv mono">{p.deliverable}</div>
+                </li>
+              ))}
+            </ol>
+            <div className="pe-actions">
+              <button type="button" className="btn" onClick={() => setPrintBlocked(!pePrint(plan))}>Print one-page plan</button>
+              <button type="button" className="btn btn--primary" onClick={() => handOffToContact(peHandoff(plan))}>Attach to my inquiry <span className="arrow">→</span></button>
+            </div>
+            {printBlocked && <p role="alert" className="cf-error" style={{ marginTop: 10 }}>Your browser blocked the print window — allow pop-ups for this site and try again.</p>}
+            <p className="pe-note">Rules of thumb, not a quote. Sites roll out in waves of three after the pilot; Operate is an optional ongoing tier.</p>
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+Object.assign(window, { PilotEstimatorSection, peEstimate, pePlanHTML });
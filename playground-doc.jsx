@@ -0,0 +1,185 @@
+// Mimic documents for SymbolPlayground: the JSON a sketch is saved, loaded, autosaved
+// and shared as. pgParseMimic is the one gate every source goes through — file import,
+// localStorage and share links — and throws an Error whose message is safe to show.
+//
+//   { format: "bf-mimic", version: 3,
+//     items: [{ id, kind, x, y, tag, scale?, rot?, props? }],
+//     connectors: [{ id, from: { item, port }, to: { item, port } }],
+//     tags: { [name]: { waveform, period, units, min, max, limits: { lolo, lo, hi, hihi } } } }
+//
+// v1 had no `tags`; it reads as if every tag used its kind's default. v2 had no scale,
+// rotation or properties, so its symbols read at their default size, upright and untouched.
+
+const PG_DOC_FORMAT = "bf-mimic";
+const PG_DOC_VERSION = 3;
+const PG_DOC_MAX_ITEMS = 200;
+const PG_DOC_MAX_TAG = 40;
+const PG_AUTOSAVE_KEY = "bf.playground.mimic";
+const PG_SHARE_PARAM = "mimic";
+
+function pgSerialize({ items, connectors, tags = {} }) {
+  const outTags = Object.create(null);
+  Object.keys(tags).sort().forEach((name) => {
+    const { waveform, period, units, min, max, limits } = tags[name];
+    outTags[name] = { waveform, period, units, min, max, limits: { lolo: limits.lolo, lo: limits.lo, hi: limits.hi, hihi: limits.hihi } };
+  });
+  return {
+    format: PG_DOC_FORMAT,
+    version: PG_DOC_VERSION,
+    items: items.map(({ id, kind, x, y, tag, scale, rot, props }) => {
+      const out = { id, kind, x: Math.round(x), y: Math.round(y), tag };
+      if (scale && scale !== 1) out.scale = scale;
+      if (rot) out.rot = rot;
+      if (props && Object.keys(props).length) out.props = Object.fromEntries(Object.keys(props).sort().map((k) => [k, props[k]]));
+      return out;
+    }),
+    connectors: connectors.map(({ id, from, to }) => ({ id, from: { item: from.item, port: from.port }, to: { item: to.item, port: to.port } })),
+    tags: outTags,
+  };
+}
+
+const pgIsId = (v) => Number.isInteger(v) && v > 0;
+const pgIsCoord = (v) => typeof v === "number" && Number.isFinite(v) && v >= 0 && v <= 10000;
+
+// Validate a parsed document (or JSON text) and return { items, connectors, tags }.
+function pgParseMimic(input) {
+  let doc = input;
+  if (typeof input === "string") {
+    try { doc = JSON.parse(input); } catch (_) { throw new Error("This file isn't valid JSON."); }
+  }
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) throw new Error("Expected a mimic document (a JSON object).");
+  if (doc.format !== PG_DOC_FORMAT) throw new Error(`Not a mimic file — "format" should be "${PG_DOC_FORMAT}".`);
+  if (!Number.isInteger(doc.version) || doc.version < 1) throw new Error("Missing or invalid \"version\".");
+  if (doc.version > PG_DOC_VERSION) throw new Error(`This mimic was saved by a newer version (v${doc.version}); this page reads up to v${PG_DOC_VERSION}.`);
+  if (!Array.isArray(doc.items)) throw new Error("\"items\" must be a list.");
+  if (doc.items.length > PG_DOC_MAX_ITEMS) throw new Error(`Too many symbols (${doc.items.length}); the playground holds up to ${PG_DOC_MAX_ITEMS}.`);
+  if (doc.connectors !== undefined && !Array.isArray(doc.connectors)) throw new Error("\"connectors\" must be a list.");
+
+  const kinds = pgSymbolList().map((s) => s.kind);
+  const byId = new Map();
+  const items = doc.items.map((it, i) => {
+    const where = `Symbol ${i + 1}`;
+    if (!it || typeof it !== "object") throw new Error(`${where} is not an object.`);
+    if (!pgIsId(it.id)) throw new Error(`${where}: "id" must be a positive whole number.`);
+    if (byId.has(it.id)) throw new Error(`${where}: id ${it.id} is used twice.`);
+    if (!kinds.includes(it.kind)) throw new Error(`${where}: unknown symbol kind "${String(it.kind).slice(0, 40)}" (expected one of ${kinds.join(", ")}).`);
+    if (!pgIsCoord(it.x) || !pgIsCoord(it.y)) throw new Error(`${where}: "x" and "y" must be numbers between 0 and 10000.`);
+    if (typeof it.tag !== "string" || !it.tag.trim()) throw new Error(`${where}: "tag" must be a non-empty string.`);
+    if (it.tag.length > PG_DOC_MAX_TAG) throw new Error(`${where}: tag is longer than ${PG_DOC_MAX_TAG} characters.`);
+    const item = { id: it.id, kind: it.kind, x: Math.round(it.x), y: Math.round(it.y), tag: it.tag };
+    if (it.scale !== undefined) {
+      if (typeof it.scale !== "number" || !(it.scale >= PG_SCALE[0] && it.scale <= PG_SCALE[1])) throw new Error(`${where}: "scale" must be between ${PG_SCALE[0]} and ${PG_SCALE[1]}.`);
+      item.scale = it.scale;
+    }
+    if (it.rot !== undefined) {
+      if (typeof it.rot !== "number" || !(it.rot >= 0 && it.rot < 360)) throw new Error(`${where}: "rot" must be an angle from 0 to 359.`);
+      item.rot = it.rot;
+    }
+    if (it.props !== undefined) {
+      const problem = pgPropsProblem(it.kind, it.props);
+      if (problem) throw new Error(`${where}: ${problem}`);
+      item.props = { ...it.props };
+    }
+    byId.set(item.id, item);
+    return item;
+  });
+
+  const connIds = new Set();
+  const connectors = (doc.connectors || []).map((c, i) => {
+    const where = `Connector ${i + 1}`;
+    if (!c || typeof c !== "object") throw new Error(`${where} is not an object.`);
+    if (!pgIsId(c.id)) throw new Error(`${where}: "id" must be a positive whole number.`);
+    if (connIds.has(c.id)) throw new Error(`${where}: id ${c.id} is used twice.`);
+    connIds.add(c.id);
+    const end = (e, name) => {
+      const item = e && byId.get(e.item);
+      if (!item) throw new Error(`${where}: "${name}.item" doesn't match any symbol.`);
+      if (!pgPorts(item.kind)[e.port]) throw new Error(`${where}: ${item.tag} has no "${String(e.port).slice(0, 8)}" port.`);
+      return { item: e.item, port: e.port };
+    };
+    const from = end(c.from, "from"), to = end(c.to, "to");
+    if (from.item === to.item) throw new Error(`${where} connects a symbol to itself.`);
+    return { id: c.id, from, to };
+  });
+
+  if (doc.version >= 2 && (!doc.tags || typeof doc.tags !== "object" || Array.isArray(doc.tags))) throw new Error("\"tags\" must be an object.");
+  const tags = Object.create(null); // tag names are user text; "__proto__" is just a name
+  Object.entries(doc.version >= 2 ? doc.tags : {}).forEach(([name, cfg]) => {
+    const where = `Tag "${name.slice(0, PG_DOC_MAX_TAG)}"`;
+    if (!name.trim() || name.length > PG_DOC_MAX_TAG) throw new Error(`${where}: name must be 1–${PG_DOC_MAX_TAG} characters.`);
+    const problem = pgTagProblem(cfg);
+    if (problem) throw new Error(`${where}: ${problem}`);
+    const l = cfg.limits;
+    tags[name] = { waveform: cfg.waveform, period: cfg.period, units: cfg.units, min: cfg.min, max: cfg.max, limits: { lolo: l.lolo ?? null, lo: l.lo ?? null, hi: l.hi ?? null, hihi: l.hihi ?? null } };
+  });
+
+  return { items, connectors, tags };
+}
+
+// Next free item id after a load — new symbols never reuse an id a connector points at.
+const pgNextId = (items) => items.reduce((m, it) => Math.max(m, it.id + 1), 10);
+
+function pgDownload(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = Object.assign(document.createElement("a"), { href: url, download: filename });
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function pgDownloadMimic(mimic, filename = "mimic.json") {
+  pgDownload(new Blob([JSON.stringify(pgSerialize(mimic), null, 2)], { type: "application/json" }), filename);
+}
+
+function pgLoadAutosave() {
+  try {
+    const raw = localStorage.getItem(PG_AUTOSAVE_KEY);
+    return raw ? pgParseMimic(raw) : null;
+  } catch (_) { return null; } // stale or hand-edited — fall back to the defaults
+}
+
+function pgAutosave(mimic) {
+  try { localStorage.setItem(PG_AUTOSAVE_KEY, JSON.stringify(pgSerialize(mimic))); } catch (_) { /* private mode / quota */ }
+}
+
+// Share links carry the document in the URL hash (#mimic=…), so it never reaches a server
+// log. deflate-raw + base64url where CompressionStream exists ("z" prefix), plain
+// base64url JSON otherwise ("j" prefix); pgDecodeShare reads both.
+function pgB64(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+const pgUnB64 = (s) => Uint8Array.from(atob(s.replace(/-/g, "+").replace(/_/g, "/")), (ch) => ch.charCodeAt(0));
+
+const pgStreamBytes = async (bytes, stream) => new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+async function pgEncodeShare(mimic) {
+  const bytes = new TextEncoder().encode(JSON.stringify(pgSerialize(mimic)));
+  if (typeof CompressionStream === "undefined") return `j${pgB64(bytes)}`;
+  return `z${pgB64(await pgStreamBytes(bytes, new CompressionStream("deflate-raw")))}`;
+}
+
+async function pgDecodeShare(code) {
+  let bytes;
+  try { bytes = pgUnB64(code.slice(1)); } catch (_) { throw new Error("This share link is damaged."); }
+  if (code[0] === "z") {
+    if (typeof DecompressionStream === "undefined") throw new Error("This browser can't open compressed share links.");
+    try { bytes = await pgStreamBytes(bytes, new DecompressionStream("deflate-raw")); } catch (_) { throw new Error("This share link is damaged."); }
+  } else if (code[0] !== "j") throw new Error("This share link is damaged.");
+  return pgParseMimic(new TextDecoder().decode(bytes));
+}
+
+async function pgShareUrl(mimic) {
+  const { origin, pathname, search } = window.location;
+  return `${origin}${pathname}${search}#${PG_SHARE_PARAM}=${await pgEncodeShare(mimic)}`;
+}
+
+// The share code in the current URL, or null.
+function pgShareFromHash() {
+  const m = window.location.hash.match(new RegExp(`^#${PG_SHARE_PARAM}=([A-Za-z0-9_-]+)$`));
+  return m ? m[1] : null;
+}
+
+Object.assign(window, { pgDownload, pgSerialize, pgParseMimic, pgNextId, pgDownloadMimic, pgLoadAutosave, pgAutosave, pgShareUrl, pgDecodeShare, pgShareFromHash });
@@ -0,0 +1,117 @@
+// SVG / PNG export for SymbolPlayground. pgComposeSVG is pure — mimic + pre-rendered symbol
+// markup + palette in, one standalone SVG string out — so the same sketch always exports
+// byte-for-byte the same file. The browser-side pieces feed it: pgSymbolMarkup renders a
+// still frame of each SymbolGraphic, pgPalette reads the active CSS variables.
+
+const PG_EXPORT_MARGIN = 24;
+const PG_EXPORT_SYMBOL_TOP = 28; // tag line + padding above the symbol inside an item box
+const PG_PIPE_BODY = "rgba(148,163,184,0.45)";
+
+const pgEsc = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// Replace var(--x) with the palette value. Values are attribute-escaped since they land
+// inside attributes (font stacks carry double quotes).
+function pgResolveVars(markup, palette) {
+  return markup.replace(/var\((--[\w-]+)\)/g, (m, name) => (palette[name] ? pgEsc(palette[name]) : m));
+}
+
+// symbols: { [`${kind}:${id}`]: { markup, width, height } } — see pgSymbolMarkup.
+// look: a PG_LOOKS key; ISA-101 grey draws on its own grey with plain dark pipes.
+function pgComposeSVG({ items, connectors }, symbols, palette, look = "glow") {
+  const l = PG_LOOKS[look] || PG_LOOKS.glow;
+  const m = PG_EXPORT_MARGIN;
+  const b = pgBounds(items);
+  const x0 = b.x - m, y0 = b.y - m;
+  const width = b.w + 2 * m, height = b.h + 2 * m;
+
+  const pipes = connectors.map((c) => {
+    const pts = pgConnectorPoints(c, items);
+    if (!pts) return "";
+    const d = pgPath(pts);
+    if (l.quiet) return `<g><path d="${d}" fill="none" stroke="${l.line}" stroke-width="3" stroke-linejoin="round"/></g>`;
+    return `<g><path d="${d}" fill="none" stroke="${PG_PIPE_BODY}" stroke-width="4" stroke-linejoin="round"/>`
+      + `<path d="${d}" fill="none" stroke="var(--accent)" stroke-width="1.5" stroke-dasharray="6 8" stroke-linecap="round"/></g>`;
+  });
+
+  const boxes = items.map((it) => {
+    const [w] = pgSymbol(it.kind).size;
+    const [sw, sh] = pgItemSize(it);
+    const sym = symbols[`${it.kind}:${it.id}`];
+    const symbol = sym ? `<g transform="translate(${(w - sym.width) / 2} ${PG_EXPORT_SYMBOL_TOP})">${sym.markup}</g>` : "";
+    const turn = it.rot ? ` rotate(${it.rot} ${sw / 2} ${sh / 2})` : "";
+    const scale = it.scale && it.scale !== 1 ? ` scale(${it.scale})` : "";
+    return `<g transform="translate(${it.x} ${it.y})${turn}${scale}">`
+      + `<text x="${w / 2}" y="18" text-anchor="middle" font-family="var(--font-mono)" font-size="9" letter-spacing="1" fill="${l.dim}">${pgEsc(it.tag)}</text>`
+      + `${symbol}</g>`;
+  });
+
+  const body = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${x0} ${y0} ${width} ${height}">`,
+    `<rect x="${x0}" y="${y0}" width="${width}" height="${height}" fill="${l.canvas}"/>`,
+    `<g class="pipes">${pipes.join("")}</g>`,
+    `<g class="symbols">${boxes.join("")}</g>`,
+    "</svg>",
+  ].join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${pgResolveVars(body, palette)}\n`;
+}
+
+// Still frame of one SymbolGraphic as SVG markup, rendered synchronously off-screen.
+function pgSymbolMarkup(kind, id, reading = null, props = null, look = "glow") {
+  const host = document.createElement("div");
+  const root = ReactDOM.createRoot(host);
+  ReactDOM.flushSync(() => root.render(<SymbolGraphic kind={kind} motion={1} i={id} still reading={reading} props={props} look={look} />));
+  const svg = host.querySelector("svg");
+  let out = null;
+  if (svg) {
+    svg.removeAttribute("style"); // Sparkline stretches itself with CSS; the export needs its real size
+    out = {
+      markup: new XMLSerializer().serializeToString(svg).replace(' xmlns="http://www.w3.org/2000/svg"', ""),
+      width: Number(svg.getAttribute("width")),
+      height: Number(svg.getAttribute("height")),
+    };
+  }
+  root.unmount();
+  return out;
+}
+
+// Current value of every CSS variable the markup refers to.
+function pgPalette(markup) {
+  const css = getComputedStyle(document.documentElement);
+  const palette = {};
+  (markup.match(/var\(--[\w-]+\)/g) || []).forEach((v) => {
+    const name = v.slice(4, -1);
+    palette[name] = css.getPropertyValue(name).trim();
+  });
+  return palette;
+}
+
+// render / palette default to the live page; scripts/check-svg-export.mjs swaps in Node ones.
+function pgExportSVG(mimic, look = "glow", { render = pgSymbolMarkup, palette = pgPalette } = {}) {
+  const symbols = {};
+  mimic.items.forEach((it) => {
+    // Bound values at t = 0, so the export doesn't depend on when it was taken.
+    const sym = render(it.kind, it.id, pgReading(mimic.tags, it, 0, mimic.items), pgItemProps(it), look);
+    if (sym) symbols[`${it.kind}:${it.id}`] = sym;
+  });
+  const draft = pgComposeSVG(mimic, symbols, {}, look);
+  return pgComposeSVG(mimic, symbols, palette(draft), look);
+}
+
+// Rasterize through an offscreen canvas. The SVG goes in as a data: URL (the CSP allows
+// data: images, not blob:), so web fonts fall back to the stack's system monospace.
+function pgExportPNG(svg, scale = 2) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const w = Math.round(img.width * scale), h = Math.round(img.height * scale);
+      const canvas = typeof OffscreenCanvas !== "undefined" ? new OffscreenCanvas(w, h) : Object.assign(document.createElement("canvas"), { width: w, height: h });
+      canvas.getContext("2d").drawImage(img, 0, 0, w, h);
+      if (canvas.convertToBlob) canvas.convertToBlob({ type: "image/png" }).then(resolve, reject);
+      else canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("PNG export failed."))), "image/png");
+    };
+    img.onerror = () => reject(new Error("PNG export failed."));
+    img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  });
+}
+
+Object.assign(window, { pgComposeSVG, pgExportSVG, pgExportPNG });
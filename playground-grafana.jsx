@@ -0,0 +1,197 @@
+// Grafana dashboard export for SymbolPlayground. pgGrafanaDashboard maps a mimic to a
+// dashboard JSON model (schemaVersion 39, Grafana 10.4+ / 11) that imports as-is:
+//
+//   each symbol → one panel of its registered `grafana` type (gauge, stat, timeseries,
+//                 alertlist), titled with its tag
+//   tag         → the panel's query target, unit, range and LOLO/LO/HI/HIHI thresholds
+//   x / y       → gridPos, PG_GRAFANA_COL_PX canvas pixels per grid column
+//
+// Pipes have no Grafana equivalent and are left out. Pure and deterministic — the same
+// mimic always gives the same JSON — so scripts/check-grafana-export.mjs can compare it
+// with the fixture dashboards in scripts/fixtures/grafana.
+
+const PG_GRAFANA_SCHEMA = 39;
+const PG_GRAFANA_COLS = 24;
+const PG_GRAFANA_COL_PX = 40; // a 960 px wide sketch spans the full dashboard width
+const PG_GRAFANA_MIN = { w: 3, h: 4 };
+
+// Query targets per data source. Every panel reads the dashboard's ${datasource} variable,
+// so the same export works against any instance of the chosen type.
+const pgSqlText = (s) => `'${s.replace(/'/g, "''")}'`;
+const pgInfluxText = (s) => `'${s.replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+const PG_GRAFANA_SOURCES = {
+  testdata: {
+    name: "TestData (demo)", plugin: "grafana-testdata-datasource",
+    target: (tag, cfg) => ({ scenarioId: "random_walk", alias: tag, min: cfg.min, max: cfg.max, startValue: (cfg.min + cfg.max) / 2 }),
+  },
+  influxdb: {
+    name: "InfluxDB (InfluxQL)", plugin: "influxdb",
+    target: (tag) => ({
+      rawQuery: true, resultFormat: "time_series", alias: tag,
+      query: `SELECT mean("value") FROM "tags" WHERE "tag" = ${pgInfluxText(tag)} AND $timeFilter GROUP BY time($__interval) fill(null)`,
+    }),
+  },
+  postgres: {
+    name: "PostgreSQL / TimescaleDB", plugin: "grafana-postgresql-datasource",
+    target: (tag) => ({
+      format: "time_series", rawQuery: true, editorMode: "code",
+      rawSql: `SELECT time_bucket('$__interval', time) AS time, avg(value) AS "${tag.replace(/"/g, '""')}" FROM tag_values WHERE tag = ${pgSqlText(tag)} AND $__timeFilter(time) GROUP BY 1 ORDER BY 1`,
+    }),
+  },
+};
+
+// Grafana unit ids for the units the symbols use; anything else becomes a plain suffix.
+const PG_GRAFANA_UNITS = { "%": "percent", rpm: "rotrpm", "°C": "celsius", bar: "pressurebar", A: "amp", "m/s": "velocityms" };
+const pgGrafanaUnit = (units) => PG_GRAFANA_UNITS[units] || (units ? `suffix:${units}` : "none");
+
+// Threshold steps from the tag's alarm limits: red beyond LOLO/HIHI, orange beyond LO/HI.
+function pgGrafanaThresholds({ limits }) {
+  const base = limits.lolo != null ? "red" : limits.lo != null ? "orange" : "green";
+  const steps = [{ color: base, value: null }];
+  if (limits.lolo != null) steps.push({ color: limits.lo != null ? "orange" : "green", value: limits.lolo });
+  if (limits.lo != null) steps.push({ color: "green", value: limits.lo });
+  if (limits.hi != null) steps.push({ color: "orange", value: limits.hi });
+  if (limits.hihi != null) steps.push({ color: "red", value: limits.hihi });
+  return { mode: "absolute", steps };
+}
+
+const PG_GRAFANA_REDUCE = { calcs: ["lastNotNull"], fields: "", values: false };
+const PG_GRAFANA_OPTIONS = {
+  gauge: () => ({ reduceOptions: PG_GRAFANA_REDUCE, orientation: "auto", showThresholdLabels: false, showThresholdMarkers: true }),
+  stat: () => ({ reduceOptions: PG_GRAFANA_REDUCE, orientation: "auto", colorMode: "value", graphMode: "area", justifyMode: "auto", textMode: "auto" }),
+  timeseries: () => ({ legend: { displayMode: "list", placement: "bottom", showLegend: true }, tooltip: { mode: "single", sort: "none" } }),
+  alertlist: (tag) => ({
+    viewMode: "list", groupMode: "default", groupBy: [], maxItems: 10, sortOrder: 1, dashboardAlerts: false,
+    alertName: tag, alertInstanceLabelFilter: "", stateFilter: { firing: true, pending: true, noData: false, normal: false, error: true },
+  }),
+};
+
+// Canvas boxes → grid cells. Sketches wider than the dashboard are scaled down to fit;
+// clamping to the minimum panel size can make neighbours collide, so each panel (top to
+// bottom, left to right) drops below anything it overlaps, the way Grafana's own layout would.
+function pgGrafanaGrid(items) {
+  const b = pgBounds(items);
+  const colPx = Math.max(PG_GRAFANA_COL_PX, b.w / PG_GRAFANA_COLS), rowPx = colPx / 2;
+  const cells = items.map((it) => {
+    const box = pgBox(it);
+    const w = Math.min(PG_GRAFANA_COLS, Math.max(PG_GRAFANA_MIN.w, Math.round(box.w / colPx)));
+    return {
+      it, w,
+      h: Math.max(PG_GRAFANA_MIN.h, Math.round(box.h / rowPx)),
+      x: Math.min(PG_GRAFANA_COLS - w, Math.round((box.x - b.x) / colPx)),
+      y: Math.round((box.y - b.y) / rowPx),
+    };
+  }).sort((p, q) => p.y - q.y || p.x - q.x || p.it.id - q.it.id);
+  const placed = [];
+  cells.forEach((c) => {
+    let hit;
+    while ((hit = placed.find((p) => c.x < p.x + p.w && p.x < c.x + c.w && c.y < p.y + p.h && p.y < c.y + c.h))) c.y = hit.y + hit.h;
+    placed.push(c);
+  });
+  return placed.sort((p, q) => p.y - q.y || p.x - q.x || p.it.id - q.it.id);
+}
+
+// Small stable hash for the dashboard uid, so re-importing an export replaces it.
+function pgGrafanaUid(text) {
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 16777619);
+  return `bf-mimic-${(h >>> 0).toString(16).padStart(8, "0")}`;
+}
+
+function pgGrafanaPanel({ it, x, y, w, h }, id, mimic, source) {
+  const def = pgSymbol(it.kind);
+  const cfg = pgTagConfig(mimic.tags, it, mimic.items);
+  const type = PG_GRAFANA_OPTIONS[def.grafana] ? def.grafana : "stat";
+  const ds = { type: source.plugin, uid: "${datasource}" };
+  const panel = { id, type, title: it.tag, description: `${def.name} · ${def.signal.label}`, gridPos: { h, w, x, y } };
+  if (type === "alertlist") return { ...panel, options: PG_GRAFANA_OPTIONS.alertlist(it.tag) };
+
+  const defaults = { unit: pgGrafanaUnit(cfg.units), min: cfg.min, max: cfg.max, thresholds: pgGrafanaThresholds(cfg) };
+  if (type === "timeseries") {
+    defaults.color = { mode: "palette-classic" };
+    defaults.custom = { drawStyle: "line", lineWidth: 1, fillOpacity: 10, showPoints: "never", thresholdsStyle: { mode: "dashed" } };
+  } else {
+    defaults.color = { mode: "thresholds" };
+  }
+  const out = {
+    ...panel, datasource: ds,
+    targets: [{ refId: "A", datasource: ds, ...source.target(it.tag, cfg) }],
+    fieldConfig: { defaults, overrides: [] },
+    options: PG_GRAFANA_OPTIONS[type](it.tag),
+  };
+  const range = pgItemProps(it).range;
+  if (type === "timeseries" && range) out.timeFrom = range;
+  return out;
+}
+
+// opts: { datasource: PG_GRAFANA_SOURCES key, title }
+function pgGrafanaDashboard(mimic, { datasource = "testdata", title = "Playground mimic" } = {}) {
+  const source = PG_GRAFANA_SOURCES[datasource];
+  if (!source) throw new Error(`Unknown data source "${datasource}".`);
+  const panels = mimic.items.length ? pgGrafanaGrid(mimic.items).map((cell, i) => pgGrafanaPanel(cell, i + 1, mimic, source)) : [];
+  return {
+    id: null,
+    uid: pgGrafanaUid(`${datasource}\n${JSON.stringify(pgSerialize(mimic))}`),
+    title,
+    tags: ["blueforge", "mimic"],
+    editable: true,
+    graphTooltip: 1,
+    schemaVersion: PG_GRAFANA_SCHEMA,
+    version: 1,
+    time: { from: "now-1h", to: "now" },
+    refresh: "5s",
+    timezone: "browser",
+    annotations: {
+      list: [{
+        builtIn: 1, datasource: { type: "grafana", uid: "-- Grafana --" }, enable: true, hide: true,
+        iconColor: "rgba(0, 211, 255, 1)", name: "Annotations & Alerts", type: "dashboard",
+      }],
+    },
+    templating: {
+      list: [{ type: "datasource", name: "datasource", label: "Data source", query: source.plugin, current: {}, hide: 0, refresh: 1, regex: "", options: [] }],
+    },
+    links: [],
+    panels,
+  };
+}
+
+// Structural checks an import would trip over. Returns a list of problems, empty when the
+// dashboard is fine; the export refuses to download anything that fails.
+function pgGrafanaProblems(d) {
+  const out = [];
+  if (!d || typeof d !== "object") return ["dashboard is not an object"];
+  if (d.schemaVersion !== PG_GRAFANA_SCHEMA) out.push(`schemaVersion should be ${PG_GRAFANA_SCHEMA}`);
+  if (typeof d.uid !== "string" || !/^[\w-]{1,40}$/.test(d.uid)) out.push("uid must be 1–40 letters, digits, - or _");
+  if (typeof d.title !== "string" || !d.title.trim()) out.push("title is empty");
+  if (!Array.isArray(d.panels)) return [...out, "panels is not a list"];
+  const ids = new Set();
+  d.panels.forEach((p, i) => {
+    const where = `panel ${i + 1}`;
+    if (!Number.isInteger(p.id) || ids.has(p.id)) out.push(`${where}: id must be a unique integer`);
+    ids.add(p.id);
+    if (!PG_GRAFANA_OPTIONS[p.type]) out.push(`${where}: unexpected type "${p.type}"`);
+    const g = p.gridPos || {};
+    if (![g.x, g.y, g.w, g.h].every(Number.isInteger) || g.x < 0 || g.y < 0 || g.w < 1 || g.h < 1 || g.x + g.w > PG_GRAFANA_COLS) {
+      out.push(`${where}: gridPos must be whole cells inside ${PG_GRAFANA_COLS} columns`);
+    }
+    d.panels.slice(0, i).forEach((q, j) => {
+      const o = q.gridPos || {};
+      if (g.x < o.x + o.w && o.x < g.x + g.w && g.y < o.y + o.h && o.y < g.y + g.h) out.push(`${where} overlaps panel ${j + 1}`);
+    });
+    if (p.type === "alertlist") return;
+    if (!Array.isArray(p.targets) || !p.targets.length) out.push(`${where}: no query targets`);
+    else if (new Set(p.targets.map((t) => t.refId)).size !== p.targets.length) out.push(`${where}: duplicate refId`);
+    const steps = p.fieldConfig && p.fieldConfig.defaults.thresholds && p.fieldConfig.defaults.thresholds.steps;
+    if (!steps || steps[0].value !== null || steps.some((s, k) => k > 1 && s.value < steps[k - 1].value)) out.push(`${where}: thresholds must start at null and ascend`);
+  });
+  return out;
+}
+
+function pgDownloadGrafana(mimic, datasource) {
+  const dashboard = pgGrafanaDashboard(mimic, { datasource });
+  const problems = pgGrafanaProblems(dashboard);
+  if (problems.length) throw new Error(`Grafana export failed: ${problems[0]}.`);
+  pgDownload(new Blob([JSON.stringify(dashboard, null, 2)], { type: "application/json" }), "mimic.grafana.json");
+}
+
+Object.assign(window, { PG_GRAFANA_SOURCES, pgGrafanaDashboard, pgGrafanaProblems, pgDownloadGrafana });
@@ -0,0 +1,122 @@
+// Undo/redo for SymbolPlayground. Every edit is a command object; pgApply runs one against
+// a mimic and pgInvert gives the command that takes it back, so history is just two stacks.
+//
+//   add        { item, index?, connectors? }   remove is its inverse (and carries the pipes)
+//   remove     { item, index, connectors }
+//   move       { id, from: {x, y}, to: {x, y} }
+//   transform  { id, from: {x, y, scale, rot}, to }   resize / rotate handles, inspector
+//   retag      { id, from, to }
+//   configure  { id, from, to }                kind properties (`props`)
+//   connect / disconnect  { connector }
+//   retune     { name, from, to }              tag config; undefined = the kind default
+//   replace    { before, after }               clear, reset, import, share link
+//   batch      { cmds }                        group move / delete, align, distribute
+
+const PG_HISTORY_LIMIT = 100;
+const PG_MERGE_MS = 1500; // typing a tag or holding an arrow key is one step, not fifty
+
+// Connector ids only grow, so id order is creation order — restoring pipes in id order
+// puts an undone delete back exactly as it was.
+const pgWithConnectors = (m, extra) => [...m.connectors, ...extra].sort((a, b) => a.id - b.id);
+
+function pgApply(m, cmd) {
+  switch (cmd.type) {
+    case "add": {
+      const items = [...m.items];
+      items.splice(cmd.index ?? items.length, 0, cmd.item);
+      return { ...m, items, connectors: pgWithConnectors(m, cmd.connectors || []) };
+    }
+    case "remove":
+      return {
+        ...m,
+        items: m.items.filter((it) => it.id !== cmd.item.id),
+        connectors: m.connectors.filter((c) => c.from.item !== cmd.item.id && c.to.item !== cmd.item.id),
+      };
+    case "move":
+    case "transform":
+      return { ...m, items: m.items.map((it) => (it.id === cmd.id ? { ...it, ...cmd.to } : it)) };
+    case "retag":
+      return { ...m, items: m.items.map((it) => (it.id === cmd.id ? { ...it, tag: cmd.to } : it)) };
+    case "configure":
+      return { ...m, items: m.items.map((it) => (it.id === cmd.id ? { ...it, props: cmd.to } : it)) };
+    case "connect":
+      return { ...m, connectors: pgWithConnectors(m, [cmd.connector]) };
+    case "disconnect":
+      return { ...m, connectors: m.connectors.filter((c) => c.id !== cmd.connector.id) };
+    case "retune": {
+      const tags = Object.assign(Object.create(null), m.tags);
+      if (cmd.to) tags[cmd.name] = cmd.to; else delete tags[cmd.name];
+      return { ...m, tags };
+    }
+    case "replace":
+      return cmd.after;
+    case "batch":
+      return cmd.cmds.reduce(pgApply, m);
+    default:
+      return m;
+  }
+}
+
+function pgInvert(cmd) {
+  switch (cmd.type) {
+    case "add": return { ...cmd, type: "remove" };
+    case "remove": return { ...cmd, type: "add" };
+    case "move":
+    case "transform":
+    case "retag":
+    case "configure":
+    case "retune": return { ...cmd, from: cmd.to, to: cmd.from };
+    case "connect": return { ...cmd, type: "disconnect" };
+    case "disconnect": return { ...cmd, type: "connect" };
+    case "replace": return { ...cmd, before: cmd.after, after: cmd.before };
+    case "batch": return { ...cmd, cmds: cmd.cmds.map(pgInvert).reverse() };
+    default: return cmd;
+  }
+}
+
+// One command, or a batch when there are several; null when there is nothing to do.
+const pgGroup = (cmds) => (cmds.length > 1 ? { type: "batch", cmds } : cmds[0] || null);
+
+// The remove command for an item, capturing what undo needs to put it back.
+function pgRemoveCommand(m, id) {
+  const index = m.items.findIndex((it) => it.id === id);
+  if (index < 0) return null;
+  return { type: "remove", item: m.items[index], index, connectors: m.connectors.filter((c) => c.from.item === id || c.to.item === id) };
+}
+
+// Removing several items one after another, so a pipe between two of them is captured
+// once (by whichever goes first) and undo restores it once.
+function pgRemoveMany(m, ids) {
+  const cmds = [];
+  ids.forEach((id) => {
+    const cmd = pgRemoveCommand(m, id);
+    if (!cmd) return;
+    cmds.push(cmd);
+    m = pgApply(m, cmd);
+  });
+  return pgGroup(cmds);
+}
+
+// Commands that may fold into the previous step share a key: moves, transforms, retags and
+// property edits of the same item, edits to the same tag, or a batch moving the same items.
+function pgMergeKey(cmd) {
+  if (["move", "transform", "retag", "configure"].includes(cmd.type)) return `${cmd.type}:${cmd.id}`;
+  if (cmd.type === "retune") return `retune:${cmd.name}`;
+  if (cmd.type === "batch" && cmd.cmds.every((c) => c.type === "move")) return `move:${cmd.cmds.map((c) => c.id).join(",")}`;
+  return null;
+}
+
+const pgMergeInto = (last, cmd) => (cmd.type === "batch"
+  ? { ...last, cmds: last.cmds.map((c, i) => ({ ...c, to: cmd.cmds[i].to })) }
+  : { ...last, to: cmd.to });
+
+// Push onto the undo stack, folding a quick follow-up edit into the previous step.
+function pgRecord(h, cmd, now = Date.now()) {
+  const last = h.past[h.past.length - 1];
+  const key = pgMergeKey(cmd);
+  const merge = last && key && pgMergeKey(last) === key && now - last.at < PG_MERGE_MS;
+  const past = merge ? [...h.past.slice(0, -1), { ...pgMergeInto(last, cmd), at: now }] : [...h.past, { ...cmd, at: now }];
+  return { past: past.slice(-PG_HISTORY_LIMIT), future: [] };
+}
+
+Object.assign(window, { pgApply, pgInvert, pgRemoveCommand, pgRemoveMany, pgGroup, pgRecord });
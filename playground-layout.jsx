@@ -0,0 +1,97 @@
+// Layout geometry for SymbolPlayground: grid snap, smart alignment guides and the
+// align / distribute commands. All pure — boxes are { x, y, w, h } in canvas coordinates,
+// and a rotated item's box is the upright rectangle around it.
+
+const PG_GRID = 24; // matches the .pg-canvas background grid
+const PG_GUIDE_PX = 6; // screen pixels within which an edge or center snaps to a guide
+
+const pgSnap = (v) => Math.round(v / PG_GRID) * PG_GRID;
+
+function pgBox(it) {
+  const [w, h] = pgItemSize(it);
+  if (!it.rot) return { x: it.x, y: it.y, w, h };
+  const a = (it.rot * Math.PI) / 180;
+  const bw = Math.round(Math.abs(w * Math.cos(a)) + Math.abs(h * Math.sin(a)));
+  const bh = Math.round(Math.abs(w * Math.sin(a)) + Math.abs(h * Math.cos(a)));
+  return { x: it.x + (w - bw) / 2, y: it.y + (h - bh) / 2, w: bw, h: bh };
+}
+
+function pgBounds(items) {
+  const boxes = items.map(pgBox);
+  const x = Math.min(...boxes.map((b) => b.x)), y = Math.min(...boxes.map((b) => b.y));
+  return { x, y, w: Math.max(...boxes.map((b) => b.x + b.w)) - x, h: Math.max(...boxes.map((b) => b.y + b.h)) - y };
+}
+
+const pgEdgesX = (b) => [b.x, b.x + b.w / 2, b.x + b.w];
+const pgEdgesY = (b) => [b.y, b.y + b.h / 2, b.y + b.h];
+
+// Nearest edge/center alignment of `box` against `others` on one axis, within `tol`.
+// Returns { d, line } — the shift that aligns it and the guide to draw — or null.
+function pgGuideAxis(box, others, tol, axis) {
+  const edges = axis === "x" ? pgEdgesX : pgEdgesY;
+  let best = null;
+  others.forEach((o) => edges(box).forEach((a) => edges(o).forEach((t) => {
+    const d = t - a;
+    if (Math.abs(d) <= tol && (!best || Math.abs(d) < Math.abs(best.d))) best = { d, at: t };
+  })));
+  if (!best) return null;
+  // The guide spans the moved box and every other box with an edge on the same line.
+  const moved = axis === "x" ? { ...box, x: box.x + best.d } : { ...box, y: box.y + best.d };
+  const hits = [moved, ...others.filter((o) => edges(o).some((t) => Math.abs(t - best.at) < 0.5))];
+  const lo = axis === "x" ? Math.min(...hits.map((b) => b.y)) : Math.min(...hits.map((b) => b.x));
+  const hi = axis === "x" ? Math.max(...hits.map((b) => b.y + b.h)) : Math.max(...hits.map((b) => b.x + b.w));
+  const line = axis === "x" ? { x1: best.at, y1: lo, x2: best.at, y2: hi } : { x1: lo, y1: best.at, x2: hi, y2: best.at };
+  return { d: best.d, line };
+}
+
+function pgGuides(box, others, tol) {
+  return { x: pgGuideAxis(box, others, tol, "x"), y: pgGuideAxis(box, others, tol, "y") };
+}
+
+// Move commands (see playground-history.jsx) that line the items up on one side.
+// mode: left | center | right | top | middle | bottom
+function pgAlign(items, mode) {
+  const b = pgBounds(items);
+  return items.map((it) => {
+    const box = pgBox(it);
+    // Where the box should go, then back to the item's own x/y (they differ when rotated).
+    const at = {
+      left: { x: b.x, y: box.y },
+      center: { x: b.x + b.w / 2 - box.w / 2, y: box.y },
+      right: { x: b.x + b.w - box.w, y: box.y },
+      top: { x: box.x, y: b.y },
+      middle: { x: box.x, y: b.y + b.h / 2 - box.h / 2 },
+      bottom: { x: box.x, y: b.y + b.h - box.h },
+    }[mode];
+    const to = { x: Math.round(it.x + at.x - box.x), y: Math.round(it.y + at.y - box.y) };
+    return { type: "move", id: it.id, from: { x: it.x, y: it.y }, to };
+  }).filter((c) => c.to.x !== c.from.x || c.to.y !== c.from.y);
+}
+
+// Equal gaps between neighbours along an axis ("x" | "y"); the outermost two stay put.
+function pgDistribute(items, axis) {
+  if (items.length < 3) return [];
+  const pos = axis === "x" ? "x" : "y";
+  const dim = axis === "x" ? "w" : "h";
+  const sorted = items.map((it) => ({ it, box: pgBox(it) })).sort((a, b) => a.box[pos] - b.box[pos] || a.it.id - b.it.id);
+  const first = sorted[0].box, last = sorted[sorted.length - 1].box;
+  const span = last[pos] + last[dim] - first[pos];
+  const gap = (span - sorted.reduce((s, { box }) => s + box[dim], 0)) / (sorted.length - 1);
+  let at = first[pos];
+  return sorted.map(({ it, box }) => {
+    const to = { x: it.x, y: it.y, [pos]: Math.round(it[pos] + at - box[pos]) };
+    at += box[dim] + gap;
+    return { type: "move", id: it.id, from: { x: it.x, y: it.y }, to };
+  }).filter((c) => c.to.x !== c.from.x || c.to.y !== c.from.y);
+}
+
+// Items whose box overlaps the rectangle (marquee selection).
+function pgInRect(items, r) {
+  const x1 = Math.min(r.x0, r.x1), x2 = Math.max(r.x0, r.x1), y1 = Math.min(r.y0, r.y1), y2 = Math.max(r.y0, r.y1);
+  return items.filter((it) => {
+    const b = pgBox(it);
+    return b.x < x2 && b.x + b.w > x1 && b.y < y2 && b.y + b.h > y1;
+  });
+}
+
+Object.assign(window, { PG_GRID, PG_GUIDE_PX, pgSnap, pgBox, pgBounds, pgGuides, pgAlign, pgDistribute, pgInRect });
@@ -0,0 +1,108 @@
+// Per-kind properties for SymbolPlayground. Each registered symbol declares a small schema
+// (`props`, see playground-symbols.jsx); an item stores only the values it changed and
+// SymbolGraphic reads the merged result. pgPropProblem is shared by the inspector form and
+// pgParseMimic, like pgTagProblem.
+//
+//   number  { min, max, units? }    toggle  boolean
+//   choice  { options }             list    { maxItems, maxLength } — upper-case words
+//   text    { maxLength } — one upper-case word
+
+const { useState: usePP, useEffect: useEffPP } = React;
+
+// Size and rotation go through the same form; scale is shown as a percentage.
+const PG_SHAPE = [
+  { key: "size", label: "Size", type: "number", units: "%", min: 50, max: 250, default: 100 },
+  { key: "rot", label: "Rotation", type: "number", units: "°", min: 0, max: 359, default: 0 },
+];
+
+const pgSchema = (kind) => (pgSymbol(kind) || { props: [] }).props;
+const pgPropDefaults = (kind) => Object.fromEntries(pgSchema(kind).map((f) => [f.key, f.default]));
+
+// Every property of an item, defaults filled in.
+const pgItemProps = (item) => ({ ...pgPropDefaults(item.kind), ...item.props });
+
+// Reason a value doesn't fit its field, or "".
+function pgPropProblem(field, v) {
+  switch (field.type) {
+    case "number":
+      if (!Number.isFinite(v)) return `${field.label} must be a number.`;
+      return v < field.min || v > field.max ? `${field.label} must be between ${field.min} and ${field.max}.` : "";
+    case "toggle":
+      return typeof v === "boolean" ? "" : `${field.label} must be true or false.`;
+    case "choice":
+      return field.options.includes(v) ? "" : `${field.label} must be one of ${field.options.join(", ")}.`;
+    case "list":
+      if (!Array.isArray(v) || !v.length || v.length > field.maxItems) return `${field.label} needs 1–${field.maxItems} entries.`;
+      return v.every((s) => typeof s === "string" && s.length > 0 && s.length <= field.maxLength)
+        ? "" : `${field.label} entries must be 1–${field.maxLength} characters.`;
+    case "text":
+      return typeof v === "string" && v.length > 0 && v.length <= field.maxLength ? "" : `${field.label} must be 1–${field.maxLength} characters.`;
+    default:
+      return "";
+  }
+}
+
+// Reason an item's `props` object is unusable, or "".
+function pgPropsProblem(kind, props) {
+  if (!props || typeof props !== "object" || Array.isArray(props)) return "\"props\" must be an object.";
+  const schema = pgSchema(kind);
+  for (const key of Object.keys(props)) {
+    const field = schema.find((f) => f.key === key);
+    if (!field) return `${kind} has no "${key.slice(0, 20)}" property.`;
+    const problem = pgPropProblem(field, props[key]);
+    if (problem) return problem;
+  }
+  return "";
+}
+
+// Form text ↔ value. Numbers and lists are typed, so they stay text until they parse.
+const pgFieldText = (field, v) => (field.type === "list" ? v.join(", ") : String(v));
+function pgFieldValue(field, text) {
+  if (field.type === "number") return text.trim() === "" ? NaN : Number(text);
+  if (field.type === "list") return text.split(",").map((s) => s.trim().toUpperCase()).filter(Boolean);
+  if (field.type === "text") return text.trim().toUpperCase();
+  return text;
+}
+
+// Inspector controls generated from a schema. Calls onChange with the full values object
+// whenever an edit is valid; an invalid entry stays in its box with the reason below.
+function PgSchemaForm({ schema, values, onChange }) {
+  const typed = schema.filter((f) => ["number", "list", "text"].includes(f.type));
+  const toDraft = () => Object.fromEntries(typed.map((f) => [f.key, pgFieldText(f, values[f.key])]));
+  const [draft, setDraft] = usePP(toDraft);
+  const valuesKey = JSON.stringify(values);
+  // Pick up undo and canvas edits, but leave a draft alone that already says the same.
+  useEffPP(() => {
+    if (typed.some((f) => JSON.stringify(pgFieldValue(f, draft[f.key])) !== JSON.stringify(values[f.key]))) setDraft(toDraft());
+  }, [valuesKey]);
+  const problem = typed.map((f) => pgPropProblem(f, pgFieldValue(f, draft[f.key]))).find(Boolean);
+  const set = (field, v) => { if (!pgPropProblem(field, v)) onChange({ ...values, [field.key]: v }); };
+  const type = (field, text) => { setDraft({ ...draft, [field.key]: text }); set(field, pgFieldValue(field, text)); };
+
+  return (
+    <>
+      <div className="pg-inspect__grid">
+        {schema.map((f) => {
+          const id = `pg-prop-${f.key}`;
+          return (
+            <div key={f.key} className={"pg-inspect__field" + (f.type === "list" ? " pg-inspect__field--wide" : "")}>
+              <label htmlFor={id}>{f.label}{f.units ? ` ${f.units}` : ""}</label>
+              {f.type === "toggle" ? (
+                <input id={id} type="checkbox" checked={values[f.key]} onChange={(e) => set(f, e.target.checked)} />
+              ) : f.type === "choice" ? (
+                <select id={id} value={values[f.key]} onChange={(e) => set(f, e.target.value)}>
+                  {f.options.map((o) => <option key={o} value={o}>{o}</option>)}
+                </select>
+              ) : (
+                <input id={id} value={draft[f.key]} inputMode={f.type === "number" ? "decimal" : "text"} maxLength={f.type === "text" ? f.maxLength : undefined} onChange={(e) => type(f, e.target.value)} />
+              )}
+            </div>
+          );
+        })}
+      </div>
+      {problem && <div className="pg-note pg-note--bad" role="alert">{problem}</div>}
+    </>
+  );
+}
+
+Object.assign(window, { PG_SHAPE, pgPropDefaults, pgItemProps, pgPropProblem, pgPropsProblem, PgSchemaForm });
@@ -0,0 +1,57 @@
+// Symbol registry. Every symbol the playground (and the homepage symbol grid) can draw is a
+// self-contained definition registered here; nothing else keeps a per-kind table. Adding a
+// symbol is one pgRegisterSymbol call in a symbols-*.jsx file loaded after this one.
+//
+//   kind      unique id, stored in mimic documents
+//   name      palette label          category  one of PG_CATEGORIES     keywords  extra search words
+//   size      [w, h] item box at scale 1: the graphic + tag line + padding
+//   ports     port ids, default ["w", "e", "n", "s"]; inline symbols (valves) use ["w", "e"]
+//   portY     y of the w / e ports when the drawn pipe line isn't the box middle
+//   signal    { label, units, min, max, waveform, period } — the tag a fresh symbol is bound to
+//   props     inspector schema, see playground-props.jsx
+//   grafana   panel type in the Grafana dashboard export (playground-grafana.jsx), default "stat"
+//   render    ({ c, t, blink, i, reading, props, still, motion }) → the graphic. `c` is the
+//             look's palette (PG_LOOKS); `reading` is the bound tag's live value or null,
+//             and `props` are empty outside the playground.
+
+const PG_CATEGORIES = ["Vessels", "Rotating equipment", "Flow & transfer", "Instruments", "Displays"];
+
+// Glow is the site's dark, animated style. ISA-101 high-performance ("hpm") is grey on grey
+// with no decorative motion, so color only ever means an abnormal state.
+const PG_LOOKS = {
+  glow: {
+    name: "Glow", fills: ["#3b82f6", "#06b6d4", "#a78bfa"], quiet: false, canvas: "var(--bg)",
+    body: "rgba(10,22,40,0.9)", line: "rgba(226,232,240,0.4)", text: "var(--fg)", mute: "var(--fg-mute)", dim: "var(--fg-dim)", empty: "rgba(255,255,255,0.06)",
+  },
+  hpm: {
+    name: "ISA-101", fills: ["#5b6470"], quiet: true, canvas: "#c9cbcf",
+    body: "#d9dbde", line: "#6e747c", text: "#1f2329", mute: "#3a4048", dim: "#4f5660", empty: "rgba(0,0,0,0.08)",
+  },
+};
+
+const PG_SYMBOLS = new Map();
+
+function pgRegisterSymbol(def) {
+  if (!def || typeof def.kind !== "string" || !def.kind) throw new Error("Symbol definitions need a kind.");
+  if (!PG_CATEGORIES.includes(def.category)) throw new Error(`${def.kind}: unknown category "${def.category}".`);
+  if (typeof def.render !== "function") throw new Error(`${def.kind}: render must be a function.`);
+  if (!Array.isArray(def.size) || !def.signal) throw new Error(`${def.kind}: size and signal are required.`);
+  PG_SYMBOLS.set(def.kind, { ports: ["w", "e", "n", "s"], props: [], keywords: [], grafana: "stat", ...def });
+}
+
+const pgSymbol = (kind) => PG_SYMBOLS.get(kind);
+const pgSymbolList = () => [...PG_SYMBOLS.values()];
+
+// Symbols matching a palette search, grouped by category in PG_CATEGORIES order.
+function pgSymbolGroups(query = "") {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const hit = (s) => {
+    const text = [s.kind, s.name, s.category, ...s.keywords].join(" ").toLowerCase();
+    return words.every((w) => text.includes(w));
+  };
+  return PG_CATEGORIES
+    .map((category) => ({ category, symbols: pgSymbolList().filter((s) => s.category === category && hit(s)) }))
+    .filter((g) => g.symbols.length);
+}
+
+Object.assign(window, { PG_CATEGORIES, PG_LOOKS, pgRegisterSymbol, pgSymbol, pgSymbolList, pgSymbolGroups });
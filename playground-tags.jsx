@@ -0,0 +1,115 @@
+// Simulated tag registry for SymbolPlayground. A symbol is bound to the tag named by its
+// `tag` field; the tag's config lives in mimic.tags (saved, shared and undone with the
+// rest of the sketch) and falls back to a per-kind default until someone edits it — the
+// default of the first symbol bound to it, so a shared tag reads the same everywhere.
+// Values are a pure function of (config, tag name, time), so every symbol bound to the
+// same tag shows the same reading without any shared mutable state.
+
+const { useState: usePT, useEffect: useEffPT } = React;
+
+const PG_WAVEFORMS = ["sine", "ramp", "square", "noise", "constant"];
+const PG_LIMITS = ["lolo", "lo", "hi", "hihi"];
+const PG_UNITS_MAX = 12;
+
+const PG_STATE_COLOR = { HIHI: "var(--bad)", HI: "var(--warn)", LO: "var(--warn)", LOLO: "var(--bad)" };
+
+// A fresh tag follows the symbol's declared signal (see playground-symbols.jsx). Limits sit
+// at 10/20/80/90 % of range so the default waveforms (5–95 % of range) wander through HI
+// and LO now and then.
+function pgDefaultTag(kind) {
+  const { units, min, max, waveform, period } = pgSymbol(kind).signal;
+  const at = (f) => Math.round((min + (max - min) * f) * 100) / 100;
+  return { waveform, period, units, min, max, limits: { lolo: at(0.1), lo: at(0.2), hi: at(0.8), hihi: at(0.9) } };
+}
+
+// The config a symbol is bound to: its tag's, or the default of the first of `items` bound
+// to that tag. Own keys only — a tag may be called "constructor".
+function pgTagConfig(tags, item, items = [item]) {
+  if (tags && Object.hasOwn(tags, item.tag)) return tags[item.tag];
+  const first = items.find((it) => it.tag === item.tag) || item;
+  return pgDefaultTag(first.kind);
+}
+
+// Small stable hash so each tag name gets its own phase.
+function pgTagSeed(name) {
+  let h = 2166136261;
+  for (let i = 0; i < name.length; i++) h = Math.imul(h ^ name.charCodeAt(i), 16777619);
+  return ((h >>> 0) % 10000) / 10000;
+}
+
+// Engineering value of a tag at time t (seconds).
+function pgTagValue(cfg, name, t) {
+  const seed = pgTagSeed(name);
+  const ph = t / cfg.period + seed;
+  const frac = ph - Math.floor(ph);
+  const wave = {
+    sine: Math.sin(ph * 2 * Math.PI),
+    ramp: frac * 2 - 1,
+    square: frac < 0.5 ? -1 : 1,
+    noise: 0.6 * Math.sin(ph * 2 * Math.PI) + 0.3 * Math.sin(ph * 5.3 * Math.PI + seed * 7) + 0.1 * Math.sin(ph * 17.1 * Math.PI + seed * 13),
+    constant: 0,
+  }[cfg.waveform] || 0;
+  return (cfg.min + cfg.max) / 2 + wave * (cfg.max - cfg.min) * 0.45;
+}
+
+function pgAlarmState(cfg, v) {
+  const l = cfg.limits || {};
+  if (l.hihi != null && v >= l.hihi) return "HIHI";
+  if (l.lolo != null && v <= l.lolo) return "LOLO";
+  if (l.hi != null && v >= l.hi) return "HI";
+  if (l.lo != null && v <= l.lo) return "LO";
+  return null;
+}
+
+const pgFormatValue = (v, cfg) => {
+  const span = cfg.max - cfg.min;
+  return v.toFixed(span >= 1000 ? 0 : span >= 10 ? 1 : 2);
+};
+
+// What a bound symbol shows at time t: { value, frac, text, state, color }.
+function pgReading(tags, item, t, items) {
+  const cfg = pgTagConfig(tags, item, items);
+  const value = pgTagValue(cfg, item.tag, t);
+  const state = pgAlarmState(cfg, value);
+  return {
+    value,
+    frac: Math.max(0, Math.min(1, (value - cfg.min) / (cfg.max - cfg.min))),
+    text: `${pgFormatValue(value, cfg)} ${cfg.units}`.trim(),
+    state,
+    color: state ? PG_STATE_COLOR[state] : null,
+  };
+}
+
+// Reason a tag config is unusable, or "". Shared by the inspector and pgParseMimic.
+function pgTagProblem(cfg) {
+  if (!cfg || typeof cfg !== "object") return "must be an object.";
+  if (!PG_WAVEFORMS.includes(cfg.waveform)) return `waveform must be one of ${PG_WAVEFORMS.join(", ")}.`;
+  if (typeof cfg.period !== "number" || !(cfg.period >= 1 && cfg.period <= 3600)) return "period must be between 1 and 3600 seconds.";
+  if (typeof cfg.units !== "string" || cfg.units.length > PG_UNITS_MAX) return `units must be text of at most ${PG_UNITS_MAX} characters.`;
+  if (!Number.isFinite(cfg.min) || !Number.isFinite(cfg.max)) return "range min and max must be numbers.";
+  if (cfg.min >= cfg.max) return "range min must be below max.";
+  const l = cfg.limits;
+  if (!l || typeof l !== "object") return "limits must be an object.";
+  let prev = -Infinity;
+  for (const k of PG_LIMITS) {
+    if (l[k] == null) continue;
+    if (!Number.isFinite(l[k])) return `${k.toUpperCase()} must be a number or empty.`;
+    if (l[k] < cfg.min || l[k] > cfg.max) return `${k.toUpperCase()} must be inside the range ${cfg.min}–${cfg.max}.`;
+    if (l[k] < prev) return "limits must be in order LOLO ≤ LO ≤ HI ≤ HIHI.";
+    prev = l[k];
+  }
+  return "";
+}
+
+// Shared clock for every bound symbol: seconds of simulated time, ticking once a second
+// like the historian feed the canvas header advertises.
+function usePgClock(motion = 1) {
+  const [t, setT] = usePT(() => performance.now() / 1000 * motion);
+  useEffPT(() => {
+    const id = setInterval(() => setT(performance.now() / 1000 * motion), 1000);
+    return () => clearInterval(id);
+  }, [motion]);
+  return t;
+}
+
+Object.assign(window, { PG_WAVEFORMS, PG_LIMITS, pgDefaultTag, pgTagConfig, pgTagValue, pgAlarmState, pgReading, pgTagProblem, usePgClock });
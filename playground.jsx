@@ -1,17 +1,6 @@
 // Interactive PI-Vision-style symbol playground
 const { useState: usePG, useRef: useRefPG, useEffect: useEffPG } = React;
 
-const PG_LIBRARY = [
-  { kind: "vessel", name: "Vessel" },
-  { kind: "pump",   name: "Pump" },
-  { kind: "valve",  name: "Valve" },
-  { kind: "motor",  name: "Motor" },
-  { kind: "hx",     name: "Heat Exch." },
-  { kind: "trend",  name: "Trend" },
-  { kind: "alarm",  name: "Alarm" },
-  { kind: "batch",  name: "Batch" },
-];
-
 const PG_DEFAULTS = [
   { id: 1, kind: "vessel", x: 60,  y: 60,  tag: "TK-101" },
   { id: 2, kind: "pump",   x: 280, y: 70,  tag: "P-204"  },
@@ -20,57 +9,513 @@ const PG_DEFAULTS = [
   { id: 5, kind: "alarm",  x: 300, y: 280, tag: "VIB-07" },
 ];
 
+// Connectors run from one item's port to another's; flow is animated from → to.
+const PG_DEFAULT_CONNECTORS = [
+  { id: 1, from: { item: 1, port: "e" }, to: { item: 2, port: "w" } },
+  { id: 2, from: { item: 2, port: "s" }, to: { item: 4, port: "e" } },
+];
+// Tags start empty: every symbol runs on its kind's default signal until it is tuned.
+const PG_DEFAULT_MIMIC = { items: PG_DEFAULTS, connectors: PG_DEFAULT_CONNECTORS, tags: {} };
+
+const PG_STUB = 18; // straight run out of a port before the first bend
+const PG_SCALE = [0.5, 2.5];
+const PG_ROT_STEP = 15;
+const PG_ZOOM = [0.4, 2.5];
+const PG_NUDGE = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+
+// An item's box before rotation: the symbol's registered size (fixed, not measured, so ports
+// and pipe routes are pure functions of item positions). `scale` (default 1) resizes the
+// whole symbol uniformly; `rot` (degrees clockwise, default 0) turns it about the box center.
+function pgItemSize(it) {
+  const [w, h] = pgSymbol(it.kind).size, s = it.scale || 1;
+  return [Math.round(w * s), Math.round(h * s)];
+}
+
+// Ports relative to the unrotated item box: { id: { x, y, dir: [dx, dy] } }. Inline symbols
+// connect on their drawn pipe centre-line (portY) rather than the box middle.
+function pgPorts(kind, scale = 1) {
+  const def = pgSymbol(kind);
+  const [w, h] = pgItemSize({ kind, scale });
+  const y = (def.portY ?? def.size[1] / 2) * scale;
+  const all = {
+    w: { x: 0, y, dir: [-1, 0] }, e: { x: w, y, dir: [1, 0] },
+    n: { x: w / 2, y: 0, dir: [0, -1] }, s: { x: w / 2, y: h, dir: [0, 1] },
+  };
+  return Object.fromEntries(def.ports.map((id) => [id, all[id]]));
+}
+
+// A port in canvas coordinates. On a rotated item the pipe leaves in whichever of the four
+// directions is closest to the port's own, so routes stay orthogonal.
+function pgPortPoint(item, port) {
+  const p = pgPorts(item.kind, item.scale || 1)[port];
+  if (!p) return null;
+  const [w, h] = pgItemSize(item);
+  const a = ((item.rot || 0) * Math.PI) / 180, cos = Math.cos(a), sin = Math.sin(a);
+  const rx = p.x - w / 2, ry = p.y - h / 2;
+  const dx = p.dir[0] * cos - p.dir[1] * sin, dy = p.dir[0] * sin + p.dir[1] * cos;
+  return {
+    x: item.x + w / 2 + rx * cos - ry * sin,
+    y: item.y + h / 2 + rx * sin + ry * cos,
+    dir: Math.abs(dx) >= Math.abs(dy) ? [Math.sign(dx), 0] : [0, Math.sign(dy)],
+  };
+}
+
+// Orthogonal route between two port points, PlantSchematic-style: leave each port
+// straight, then meet with one or two bends. Returns the polyline's points.
+function pgRoute(a, b) {
+  const a1 = { x: a.x + a.dir[0] * PG_STUB, y: a.y + a.dir[1] * PG_STUB };
+  const b1 = { x: b.x + b.dir[0] * PG_STUB, y: b.y + b.dir[1] * PG_STUB };
+  const aH = a.dir[0] !== 0, bH = b.dir[0] !== 0;
+  let mid;
+  if (aH && bH) { const mx = (a1.x + b1.x) / 2; mid = [{ x: mx, y: a1.y }, { x: mx, y: b1.y }]; }
+  else if (!aH && !bH) { const my = (a1.y + b1.y) / 2; mid = [{ x: a1.x, y: my }, { x: b1.x, y: my }]; }
+  else if (aH) mid = [{ x: b1.x, y: a1.y }];
+  else mid = [{ x: a1.x, y: b1.y }];
+  // Drop repeated and collinear points so the path has only real corners.
+  const out = [];
+  [a, a1, ...mid, b1, b].forEach((q) => {
+    const p = { x: Math.round(q.x), y: Math.round(q.y) };
+    const last = out[out.length - 1], prev = out[out.length - 2];
+    if (last && last.x === p.x && last.y === p.y) return;
+    if (prev && ((prev.x === last.x && last.x === p.x) || (prev.y === last.y && last.y === p.y))) out.pop();
+    out.push(p);
+  });
+  return out;
+}
+
+const pgPath = (pts) => pts.map((p, i) => `${i ? "L" : "M"} ${p.x} ${p.y}`).join(" ");
+
+// Points of a connector, or null if either end no longer exists.
+function pgConnectorPoints(c, items) {
+  const a = items.find((it) => it.id === c.from.item), b = items.find((it) => it.id === c.to.item);
+  const pa = a && pgPortPoint(a, c.from.port), pb = b && pgPortPoint(b, c.to.port);
+  return pa && pb ? pgRoute(pa, pb) : null;
+}
+
+// Zoom by `factor` keeping the canvas point under (cx, cy) fixed on screen.
+function pgZoomAt(view, factor, cx, cy) {
+  const zoom = Math.max(PG_ZOOM[0], Math.min(PG_ZOOM[1], view.zoom * factor));
+  const k = zoom / view.zoom;
+  return { zoom, x: cx - (cx - view.x) * k, y: cy - (cy - view.y) * k };
+}
+
 function SymbolPlayground({ motion }) {
-  const [items, setItems] = usePG(PG_DEFAULTS);
-  const [drag, setDrag] = usePG(null); // {id, dx, dy} for moving placed; or {kind} for palette
-  const [nextId, setNextId] = usePG(10);
-  const [selected, setSelected] = usePG(2);
+  // Items and the connectors between them live in one state so deleting an item drops
+  // its pipes in the same update. The last sketch is restored from localStorage.
+  const [mimic, setMimic] = usePG(() => pgLoadAutosave() || PG_DEFAULT_MIMIC);
+  const { items, connectors } = mimic;
+  const setItems = (fn) => setMimic((m) => ({ ...m, items: fn(m.items) }));
+  const [hist, setHist] = usePG({ past: [], future: [] }); // command stacks, see playground-history.jsx
+  const [drag, setDrag] = usePG(null); // {ids, lead, pointerId, start, from, box, others} while moving placed items
+  const [handle, setHandle] = usePG(null); // {mode, id, pointerId, from, c, d0} while resizing / rotating
+  const [ghost, setGhost] = usePG(null); // {kind, pointerId, x, y, moved} while dragging from the palette
+  const [view, setView] = usePG({ zoom: 1, x: 0, y: 0 }); // canvas pan / zoom
+  const [wire, setWire] = usePG(null); // {from: {item, port}, x, y} while drawing a connector
+  const [selection, setSelection] = usePG([2]); // selected item ids
+  const [selectedConn, setSelectedConn] = usePG(null);
+  const [marquee, setMarquee] = usePG(null); // {pointerId, x0, y0, x1, y1, base} while rubber-band selecting
+  const [guides, setGuides] = usePG([]); // alignment guide lines shown while dragging
+  const [snap, setSnap] = usePG(true);
+  const [query, setQuery] = usePG(""); // palette search
+  const [look, setLook] = usePG("glow"); // PG_LOOKS key: glow or ISA-101 high-performance grey
+  const [docNote, setDocNote] = usePG(null); // { ok, text } after import / share
+  const [source, setSource] = usePG("testdata"); // PG_GRAFANA_SOURCES key for the dashboard export
+  const t = usePgClock(motion); // simulated time for the tag registry, see playground-tags.jsx
+  const selItems = items.filter((it) => selection.includes(it.id));
+  const sel = selItems.length === 1 ? selItems[0] : null;
+  const groups = pgSymbolGroups(query);
   const canvasRef = useRefPG(null);
+  const fileRef = useRefPG(null);
+  const dragTo = useRefPG(null); // last position of the item being dragged
+  const pointers = useRefPG(new Map()); // pointers down on the empty canvas: pan / pinch
+  const spaceHeld = useRefPG(false); // Space + drag pans with a mouse
+
+  useEffPG(() => { pgAutosave(mimic); }, [mimic]);
 
-  // Mouse move / up for dragging placed items
+  // Every edit goes through run() so it can be undone.
+  const run = (cmd) => {
+    if (!cmd) return;
+    setMimic((m) => pgApply(m, cmd));
+    setHist((h) => pgRecord(h, cmd));
+  };
+  const undo = () => {
+    const cmd = hist.past[hist.past.length - 1];
+    if (!cmd) return;
+    setMimic((m) => pgApply(m, pgInvert(cmd)));
+    setHist((h) => ({ past: h.past.slice(0, -1), future: [cmd, ...h.future] }));
+    setWire(null);
+  };
+  const redo = () => {
+    const cmd = hist.future[0];
+    if (!cmd) return;
+    setMimic((m) => pgApply(m, cmd));
+    setHist((h) => ({ past: [...h.past, cmd], future: h.future.slice(1) }));
+    setWire(null);
+  };
+
+  const load = (next) => {
+    run({ type: "replace", before: mimic, after: next });
+    setSelection([]);
+    setSelectedConn(null);
+    setWire(null);
+  };
+
+  // A #mimic=… share link replaces the canvas once, then the hash goes back to the section.
   useEffPG(() => {
-    if (!drag || !drag.id) return;
-    const onMove = (e) => {
-      const rect = canvasRef.current.getBoundingClientRect();
-      const x = Math.max(0, Math.min(rect.width - 160, e.clientX - rect.left - drag.dx));
-      const y = Math.max(0, Math.min(rect.height - 120, e.clientY - rect.top - drag.dy));
-      setItems((arr) => arr.map((it) => it.id === drag.id ? { ...it, x, y } : it));
+    const code = pgShareFromHash();
+    if (!code) return;
+    pgDecodeShare(code)
+      .then((next) => { load(next); setDocNote({ ok: true, text: `Loaded shared mimic — ${next.items.length} symbols.` }); })
+      .catch((e) => setDocNote({ ok: false, text: e.message }))
+      .finally(() => {
+        history.replaceState(null, "", `${window.location.pathname}${window.location.search}#playground`);
+        const el = document.getElementById("playground");
+        if (el) el.scrollIntoView({ behavior: "smooth" });
+      });
+  }, []);
+
+  const exportJSON = () => pgDownloadMimic(mimic);
+  const importJSON = (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text()
+      .then((text) => { const next = pgParseMimic(text); load(next); setDocNote({ ok: true, text: `Imported ${file.name}.` }); })
+      .catch((err) => setDocNote({ ok: false, text: `${file.name}: ${err.message}` }));
+  };
+  const exportSVG = () => pgDownload(new Blob([pgExportSVG(mimic, look)], { type: "image/svg+xml" }), "mimic.svg");
+  const exportPNG = () => pgExportPNG(pgExportSVG(mimic, look))
+    .then((blob) => pgDownload(blob, "mimic.png"))
+    .catch((e) => setDocNote({ ok: false, text: e.message }));
+  const exportGrafana = () => {
+    try {
+      pgDownloadGrafana(mimic, source);
+      setDocNote({ ok: true, text: `Grafana dashboard for ${PG_GRAFANA_SOURCES[source].name} downloaded — pipes are not exported.` });
+    } catch (e) {
+      setDocNote({ ok: false, text: e.message });
+    }
+  };
+  const share = async () => {
+    const url = await pgShareUrl(mimic);
+    try {
+      await navigator.clipboard.writeText(url);
+      setDocNote({ ok: true, text: "Share link copied to the clipboard." });
+    } catch (_) {
+      window.prompt("Copy this link to share your mimic:", url);
+    }
+  };
+
+  // Screen ↔ canvas coordinates under the current pan/zoom.
+  const toWorld = (clientX, clientY) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { x: (clientX - rect.left - view.x) / view.zoom, y: (clientY - rect.top - view.y) / view.zoom };
+  };
+  // Shift a box by (dx, dy) but keep it inside the visible part of the canvas (and off
+  // negative coordinates). Returns the allowed shift.
+  const clampShift = (box, dx, dy) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const minX = Math.max(0, -view.x / view.zoom), maxX = (rect.width - view.x) / view.zoom - box.w;
+    const minY = Math.max(0, -view.y / view.zoom), maxY = (rect.height - view.y) / view.zoom - box.h;
+    return {
+      dx: Math.round(Math.max(minX, Math.min(maxX, box.x + dx)) - box.x),
+      dy: Math.round(Math.max(minY, Math.min(maxY, box.y + dy)) - box.y),
     };
-    const onUp = () => setDrag(null);
-    window.addEventListener("mousemove", onMove);
-    window.addEventListener("mouseup", onUp);
-    return () => { window.removeEventListener("mousemove", onMove); window.removeEventListener("mouseup", onUp); };
-  }, [drag]);
+  };
+  const clampToView = (kind, x, y) => {
+    const [w, h] = pgSymbol(kind).size;
+    const { dx, dy } = clampShift({ x: 0, y: 0, w, h }, x, y);
+    return { x: dx, y: dy };
+  };
 
+  // Moving placed items — the whole selection moves together. The item captures its
+  // pointer, so a fast drag that leaves the element (or the canvas) keeps tracking.
+  // Shift-click toggles an item in the selection instead of dragging.
   const startMoveItem = (e, it) => {
-    e.preventDefault();
-    setSelected(it.id);
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+    e.stopPropagation();
+    e.currentTarget.focus({ preventScroll: true });
+    setSelectedConn(null);
+    if (e.shiftKey) {
+      setSelection(selection.includes(it.id) ? selection.filter((id) => id !== it.id) : [...selection, it.id]);
+      return;
+    }
+    const ids = selection.includes(it.id) ? selection : [it.id];
+    setSelection(ids);
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const moving = items.filter((x) => ids.includes(x.id));
+    const from = {};
+    moving.forEach((x) => { from[x.id] = { x: x.x, y: x.y }; });
+    setDrag({
+      ids, lead: it.id, pointerId: e.pointerId, start: toWorld(e.clientX, e.clientY), from,
+      box: pgBounds(moving), others: items.filter((x) => !ids.includes(x.id)).map(pgBox),
+    });
+  };
+  // Guides win over the grid: an edge or center within a few pixels of another symbol's
+  // locks to it, otherwise the grabbed item snaps to the grid. Alt drags freely.
+  const moveItem = (e) => {
+    if (!drag || drag.pointerId !== e.pointerId) return;
+    const p = toWorld(e.clientX, e.clientY);
+    let dx = p.x - drag.start.x, dy = p.y - drag.start.y;
+    const lines = [];
+    if (!e.altKey) {
+      const g = pgGuides({ ...drag.box, x: drag.box.x + dx, y: drag.box.y + dy }, drag.others, PG_GUIDE_PX / view.zoom);
+      const lead = drag.from[drag.lead];
+      if (g.x) { dx += g.x.d; lines.push(g.x.line); } else if (snap) dx = pgSnap(lead.x + dx) - lead.x;
+      if (g.y) { dy += g.y.d; lines.push(g.y.line); } else if (snap) dy = pgSnap(lead.y + dy) - lead.y;
+    }
+    const shift = clampShift(drag.box, dx, dy);
+    dragTo.current = shift;
+    setGuides(lines);
+    setItems((arr) => arr.map((it) => (drag.from[it.id] ? { ...it, x: drag.from[it.id].x + shift.dx, y: drag.from[it.id].y + shift.dy } : it)));
+  };
+  // The drag already moved the items live; only the net move goes on the undo stack.
+  const endMoveItem = (e) => {
+    if (!drag || drag.pointerId !== e.pointerId) return;
+    const shift = dragTo.current;
+    if (shift && (shift.dx || shift.dy)) {
+      const cmd = pgGroup(drag.ids.map((id) => {
+        const f = drag.from[id];
+        return { type: "move", id, from: f, to: { x: f.x + shift.dx, y: f.y + shift.dy } };
+      }));
+      setHist((h) => pgRecord(h, cmd));
+    } else if (drag.ids.length > 1) {
+      setSelection([drag.lead]); // a plain click inside a group narrows the selection to it
+    }
+    dragTo.current = null;
+    setDrag(null);
+    setGuides([]);
+  };
+
+  // Resize and rotate handles on the selected item, both about the item's center so the
+  // symbol stays put under the cursor. Rotation snaps to PG_ROT_STEP unless Alt is held.
+  const shapeOf = (it) => ({ x: it.x, y: it.y, scale: it.scale || 1, rot: it.rot || 0 });
+  const startHandle = (e, it, mode) => {
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const [w, h] = pgItemSize(it);
+    const c = { x: it.x + w / 2, y: it.y + h / 2 };
+    const p = toWorld(e.clientX, e.clientY);
+    setHandle({ mode, id: it.id, kind: it.kind, pointerId: e.pointerId, from: shapeOf(it), c, d0: Math.hypot(p.x - c.x, p.y - c.y) || 1 });
+  };
+  const moveHandle = (e) => {
+    if (!handle || handle.pointerId !== e.pointerId) return;
+    const p = toWorld(e.clientX, e.clientY);
+    const { c, from } = handle;
+    let next;
+    if (handle.mode === "resize") {
+      const raw = (from.scale * Math.hypot(p.x - c.x, p.y - c.y)) / handle.d0;
+      const scale = Math.round(Math.max(PG_SCALE[0], Math.min(PG_SCALE[1], raw)) * 20) / 20;
+      const [w, h] = pgItemSize({ kind: handle.kind, scale });
+      next = { x: Math.max(0, Math.round(c.x - w / 2)), y: Math.max(0, Math.round(c.y - h / 2)), scale, rot: from.rot };
+    } else {
+      const deg = (Math.atan2(p.y - c.y, p.x - c.x) * 180) / Math.PI + 90; // handle sits above the center
+      const step = e.altKey ? 1 : PG_ROT_STEP;
+      next = { ...from, rot: ((Math.round(deg / step) * step) % 360 + 360) % 360 };
+    }
+    dragTo.current = next;
+    setItems((arr) => arr.map((it) => (it.id === handle.id ? { ...it, ...next } : it)));
+  };
+  const endHandle = (e) => {
+    if (!handle || handle.pointerId !== e.pointerId) return;
+    const to = dragTo.current;
+    if (to && JSON.stringify(to) !== JSON.stringify(handle.from)) setHist((h) => pgRecord(h, { type: "transform", id: handle.id, from: handle.from, to }));
+    dragTo.current = null;
+    setHandle(null);
+  };
+
+  // On the empty canvas a mouse or pen drags a selection marquee (Shift adds to the
+  // selection); touch pans with one finger and pinch-zooms with two. Space+drag or the
+  // middle button pans with a mouse. Ctrl/⌘+wheel (and trackpad pinch, which browsers
+  // report as ctrl+wheel) zooms at the cursor.
+  const onCanvasDown = (e) => {
+    if (e.pointerType === "mouse" && e.button !== 0 && e.button !== 1) return;
+    if (e.button === 1) e.preventDefault(); // no autoscroll
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setSelectedConn(null);
+    setWire(null);
+    if (e.pointerType !== "touch" && e.button === 0 && !spaceHeld.current) {
+      const p = toWorld(e.clientX, e.clientY);
+      const base = e.shiftKey ? selection : [];
+      setMarquee({ pointerId: e.pointerId, x0: p.x, y0: p.y, x1: p.x, y1: p.y, base });
+      setSelection(base);
+      return;
+    }
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (pointers.current.size === 1 && e.pointerType === "touch") setSelection([]);
+  };
+  const onCanvasMove = (e) => {
+    if (marquee && marquee.pointerId === e.pointerId) {
+      const p = toWorld(e.clientX, e.clientY);
+      const next = { ...marquee, x1: p.x, y1: p.y };
+      setMarquee(next);
+      setSelection([...new Set([...marquee.base, ...pgInRect(items, next).map((it) => it.id)])]);
+      return;
+    }
+    const pts = pointers.current;
+    if (!pts.has(e.pointerId)) return;
+    const before = [...pts.values()].slice(0, 2);
+    pts.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const after = [...pts.values()].slice(0, 2);
+    if (after.length === 1) {
+      setView((v) => ({ ...v, x: v.x + after[0].x - before[0].x, y: v.y + after[0].y - before[0].y }));
+      return;
+    }
     const rect = canvasRef.current.getBoundingClientRect();
-    setDrag({ id: it.id, dx: e.clientX - rect.left - it.x, dy: e.clientY - rect.top - it.y });
+    const dist = ([a, b]) => Math.hypot(a.x - b.x, a.y - b.y) || 1;
+    const mid = ([a, b]) => ({ x: (a.x + b.x) / 2 - rect.left, y: (a.y + b.y) / 2 - rect.top });
+    const m0 = mid(before), m1 = mid(after);
+    setView((v) => {
+      const z = pgZoomAt(v, dist(after) / dist(before), m0.x, m0.y);
+      return { ...z, x: z.x + m1.x - m0.x, y: z.y + m1.y - m0.y };
+    });
+  };
+  const onCanvasUp = (e) => {
+    if (marquee && marquee.pointerId === e.pointerId) setMarquee(null);
+    pointers.current.delete(e.pointerId);
   };
 
-  // Drag from palette: HTML5 drag events for cross-element drop
-  const onDragStartPalette = (e, kind) => { e.dataTransfer.setData("kind", kind); e.dataTransfer.effectAllowed = "copy"; };
-  const onDrop = (e) => {
-    e.preventDefault();
-    const kind = e.dataTransfer.getData("kind");
-    if (!kind) return;
+  useEffPG(() => {
+    const el = canvasRef.current;
+    const onWheel = (e) => {
+      if (!e.ctrlKey && !e.metaKey) return; // plain wheel keeps scrolling the page
+      e.preventDefault();
+      const rect = el.getBoundingClientRect();
+      setView((v) => pgZoomAt(v, Math.exp(-e.deltaY * 0.01), e.clientX - rect.left, e.clientY - rect.top));
+    };
+    el.addEventListener("wheel", onWheel, { passive: false });
+    return () => el.removeEventListener("wheel", onWheel);
+  }, []);
+
+  const zoomBy = (factor) => {
     const rect = canvasRef.current.getBoundingClientRect();
-    const x = Math.max(0, Math.min(rect.width - 160, e.clientX - rect.left - 70));
-    const y = Math.max(0, Math.min(rect.height - 120, e.clientY - rect.top - 50));
-    const tag = `TAG-${String(nextId).padStart(3, "0")}`;
-    const id = nextId;
-    setItems((arr) => [...arr, { id, kind, x, y, tag }]);
-    setNextId(id + 1);
-    setSelected(id);
+    setView((v) => pgZoomAt(v, factor, rect.width / 2, rect.height / 2));
   };
-  const onDragOver = (e) => e.preventDefault();
 
-  const remove = (id) => setItems((arr) => arr.filter((it) => it.id !== id));
-  const clearAll = () => setItems([]);
-  const reset = () => { setItems(PG_DEFAULTS); setNextId(10); setSelected(2); };
+  // Drawing a connector: press on a port and release on another, or tap one then the other.
+  // Touch pointers are implicitly captured by the port they started on, so the drop
+  // target is found by position rather than event target.
+  useEffPG(() => {
+    if (!wire) return;
+    const onMove = (e) => {
+      const p = toWorld(e.clientX, e.clientY);
+      setWire((w) => w && { ...w, x: p.x, y: p.y, moved: true });
+    };
+    const onUp = (e) => {
+      const hit = document.elementFromPoint(e.clientX, e.clientY);
+      const el = hit && hit.closest("[data-port]");
+      if (el) endWire(Number(el.dataset.item), el.dataset.port);
+      else if (wire.moved) setWire(null);
+    };
+    const onKey = (e) => { if (e.key === "Escape") setWire(null); };
+    window.addEventListener("pointermove", onMove);
+    window.addEventListener("pointerup", onUp);
+    window.addEventListener("keydown", onKey);
+    return () => { window.removeEventListener("pointermove", onMove); window.removeEventListener("pointerup", onUp); window.removeEventListener("keydown", onKey); };
+  }, [wire, mimic, view]);
 
-  const sel = items.find((it) => it.id === selected);
+  const startWire = (e, it, port) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (wire) return; // second tap of tap-to-connect — finished on pointerup
+    const p = pgPortPoint(it, port);
+    setWire({ from: { item: it.id, port }, x: p.x, y: p.y, moved: false });
+  };
+  const endWire = (itemId, port) => {
+    const { from } = wire;
+    if (from.item === itemId) { if (from.port !== port || wire.moved) setWire(null); return; }
+    if (!items.some((it) => it.id === itemId)) return;
+    const dup = connectors.some((c) => c.from.item === from.item && c.from.port === from.port && c.to.item === itemId && c.to.port === port);
+    if (!dup) {
+      const id = connectors.reduce((m, c) => Math.max(m, c.id), 0) + 1;
+      run({ type: "connect", connector: { id, from, to: { item: itemId, port } } });
+      setSelectedConn(id);
+    }
+    setWire(null);
+  };
+  const removeConnector = (id) => {
+    const connector = connectors.find((c) => c.id === id);
+    if (connector) run({ type: "disconnect", connector });
+    setSelectedConn(null);
+  };
+
+  const nudge = (group, dx, dy) => {
+    const shift = clampShift(pgBounds(group), dx, dy);
+    if (!shift.dx && !shift.dy) return;
+    run(pgGroup(group.map((it) => ({ type: "move", id: it.id, from: { x: it.x, y: it.y }, to: { x: it.x + shift.dx, y: it.y + shift.dy } }))));
+  };
+  const removeSelection = () => { run(pgRemoveMany(mimic, selection)); setSelection([]); };
+  const align = (mode) => run(pgGroup(pgAlign(selItems, mode)));
+  const distribute = (axis) => run(pgGroup(pgDistribute(selItems, axis)));
+
+  // Keyboard editing. Tab moves between symbols (each is focusable and selects on focus);
+  // text fields keep their own keys, including native undo.
+  const onKeyDown = (e) => {
+    if (e.target.closest("input, textarea, select")) return;
+    if (e.key === " " && !e.target.closest("button, [role=button]")) { e.preventDefault(); spaceHeld.current = true; return; }
+    const mod = e.ctrlKey || e.metaKey;
+    const key = e.key.toLowerCase();
+    if (mod && key === "z") { e.preventDefault(); if (e.shiftKey) redo(); else undo(); return; }
+    if (mod && key === "y") { e.preventDefault(); redo(); return; }
+    if (mod && key === "a") { e.preventDefault(); setSelection(items.map((it) => it.id)); return; }
+    if (e.key === "Escape") { setSelection([]); setSelectedConn(null); setWire(null); canvasRef.current.focus(); return; }
+    if (e.key === "Delete" || e.key === "Backspace") {
+      if (!selectedConn && !selItems.length) return;
+      e.preventDefault();
+      if (selectedConn) removeConnector(selectedConn);
+      else removeSelection();
+      canvasRef.current.focus();
+      return;
+    }
+    const step = PG_NUDGE[e.key];
+    if (step && selItems.length && !mod) {
+      e.preventDefault();
+      const n = e.shiftKey ? PG_GRID : 1;
+      nudge(selItems, step[0] * n, step[1] * n);
+    }
+  };
+  const onKeyUp = (e) => { if (e.key === " ") spaceHeld.current = false; };
+
+  // Palette → canvas: the chip captures the pointer and a ghost follows it; releasing over
+  // the canvas drops the symbol there. A tap (or Enter/Space) drops it mid-view instead.
+  const addItem = (kind, cx, cy) => {
+    const [w, h] = pgSymbol(kind).size;
+    const at = { x: cx - w / 2, y: cy - h / 2 };
+    const { x, y } = clampToView(kind, snap ? pgSnap(at.x) : at.x, snap ? pgSnap(at.y) : at.y);
+    const id = pgNextId(items);
+    run({ type: "add", item: { id, kind, x, y, tag: `TAG-${String(id).padStart(3, "0")}` } });
+    setSelection([id]);
+  };
+  const addAtCentre = (kind) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const c = toWorld(rect.left + rect.width / 2, rect.top + rect.height / 2);
+    addItem(kind, c.x, c.y);
+  };
+  const startGhost = (e, kind) => {
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setGhost({ kind, pointerId: e.pointerId, x0: e.clientX, y0: e.clientY, x: e.clientX, y: e.clientY, moved: false });
+  };
+  const moveGhost = (e) => {
+    if (!ghost || ghost.pointerId !== e.pointerId) return;
+    const moved = ghost.moved || Math.hypot(e.clientX - ghost.x0, e.clientY - ghost.y0) > 4;
+    setGhost({ ...ghost, x: e.clientX, y: e.clientY, moved });
+  };
+  const endGhost = (e) => {
+    if (!ghost || ghost.pointerId !== e.pointerId) return;
+    setGhost(null);
+    if (e.type === "pointercancel") return;
+    if (!ghost.moved) { addAtCentre(ghost.kind); return; }
+    const rect = canvasRef.current.getBoundingClientRect();
+    if (e.clientX < rect.left || e.clientX > rect.right || e.clientY < rect.top || e.clientY > rect.bottom) return;
+    const p = toWorld(e.clientX, e.clientY);
+    addItem(ghost.kind, p.x, p.y);
+  };
+
+  const remove = (id) => { run(pgRemoveCommand(mimic, id)); setSelection(selection.filter((s) => s !== id)); };
+  const clearAll = () => { if (items.length) load({ items: [], connectors: [], tags: {} }); };
+  const reset = () => { load(PG_DEFAULT_MIMIC); setSelection([2]); setDocNote(null); };
 
   return (
     <section className="section" id="playground" data-screen-label="06b Symbol Playground">
@@ -85,25 +530,60 @@ function SymbolPlayground({ motion }) {
           </p>
         </div>
 
-        <div className="pg-wrap">
+        <div className="pg-wrap" onKeyDown={onKeyDown} onKeyUp={onKeyUp}>
           <aside className="pg-palette">
             <div className="pg-palette__head">
               <span className="tag">Palette</span>
               <span className="live"><span className="dot" /> drag</span>
             </div>
-            <div className="pg-palette__grid">
-              {PG_LIBRARY.map((s) => (
-                <div key={s.kind} className="pg-chip" draggable
-                  onDragStart={(e) => onDragStartPalette(e, s.kind)}>
-                  <div className="pg-chip__icon"><SymbolGraphic kind={s.kind} motion={motion} i={s.kind.length} /></div>
-                  <div className="pg-chip__name">{s.name}</div>
+            <input className="pg-search" type="search" value={query} placeholder="Search symbols" aria-label="Search symbols"
+              onChange={(e) => setQuery(e.target.value)}
+              onKeyDown={(e) => { if (e.key === "Enter" && groups.length) { e.preventDefault(); addAtCentre(groups[0].symbols[0].kind); } }} />
+            <div className="pg-palette__list">
+              {groups.map((g) => (
+                <div key={g.category} role="group" aria-label={g.category}>
+                  <div className="pg-palette__cat">{g.category}</div>
+                  <div className="pg-palette__grid">
+                    {g.symbols.map((s) => (
+                      <div key={s.kind} className="pg-chip" role="button" tabIndex={0} aria-label={`Add ${s.name}`}
+                        onPointerDown={(e) => startGhost(e, s.kind)} onPointerMove={moveGhost} onPointerUp={endGhost} onPointerCancel={endGhost}
+                        onKeyDown={(e) => { if (e.key === "Enter" || e.key === " ") { e.preventDefault(); addAtCentre(s.kind); } }}>
+                        <div className="pg-chip__icon"><SymbolGraphic kind={s.kind} motion={motion} i={s.kind.length} look={look} /></div>
+                        <div className="pg-chip__name">{s.name}</div>
+                      </div>
+                    ))}
+                  </div>
                 </div>
               ))}
+              {!groups.length && <div className="pg-note">No symbol matches “{query}”.</div>}
             </div>
+            {ghost && ghost.moved && ReactDOM.createPortal(
+              <div className="pg-ghost" style={{ left: ghost.x, top: ghost.y, transform: `translate(-50%, -50%) scale(${view.zoom})` }} aria-hidden="true">
+                <SymbolGraphic kind={ghost.kind} motion={motion} i={0} look={look} />
+              </div>,
+              document.body,
+            )}
             <div className="pg-actions">
               <button className="btn" onClick={reset} style={{ padding: "8px 12px", fontSize: 11 }}>Reset</button>
               <button className="btn" onClick={clearAll} style={{ padding: "8px 12px", fontSize: 11 }}>Clear</button>
             </div>
+            <div className="pg-actions">
+              <button className="btn" onClick={exportJSON} style={{ padding: "8px 12px", fontSize: 11 }} title="Download as a JSON mimic file">Export</button>
+              <button className="btn" onClick={() => fileRef.current.click()} style={{ padding: "8px 12px", fontSize: 11 }} title="Open a JSON mimic file">Import</button>
+              <button className="btn" onClick={share} style={{ padding: "8px 12px", fontSize: 11 }} title="Copy a link that opens this sketch">Share</button>
+              <input ref={fileRef} type="file" accept="application/json,.json" hidden onChange={importJSON} />
+            </div>
+            <div className="pg-actions">
+              <button className="btn" onClick={exportSVG} disabled={!items.length} style={{ padding: "8px 12px", fontSize: 11 }} title="Download a standalone SVG for slides">SVG</button>
+              <button className="btn" onClick={exportPNG} disabled={!items.length} style={{ padding: "8px 12px", fontSize: 11 }} title="Download a 2× PNG">PNG</button>
+            </div>
+            <div className="pg-actions">
+              <select className="pg-look mono" value={source} onChange={(e) => setSource(e.target.value)} aria-label="Grafana data source" title="Data source the dashboard queries">
+                {Object.entries(PG_GRAFANA_SOURCES).map(([key, s]) => <option key={key} value={key}>{s.name}</option>)}
+              </select>
+              <button className="btn" onClick={exportGrafana} disabled={!items.length} style={{ padding: "8px 12px", fontSize: 11 }} title="Download a Grafana dashboard with one panel per symbol">Grafana</button>
+            </div>
+            {docNote && <div className={"pg-note" + (docNote.ok ? "" : " pg-note--bad")} role={docNote.ok ? "status" : "alert"}>{docNote.text}</div>}
           </aside>
 
           <div className="pg-canvas-wrap">
@@ -112,21 +592,94 @@ function SymbolPlayground({ motion }) {
                 <span className="mono" style={{ fontSize: 11, color: "var(--fg-mute)", letterSpacing: "0.1em" }}>operations / mimic / unit-04</span>
               </div>
               <div style={{ display: "flex", gap: 12, alignItems: "center" }}>
-                <span className="mono" style={{ fontSize: 10, color: "var(--fg-dim)", letterSpacing: "0.1em" }}>{items.length} symbols</span>
+                <button className="btn pg-hist" onClick={undo} disabled={!hist.past.length} aria-label="Undo" title="Undo (Ctrl+Z)">↶</button>
+                <button className="btn pg-hist" onClick={redo} disabled={!hist.future.length} aria-label="Redo" title="Redo (Ctrl+Shift+Z)">↷</button>
+                <select className="pg-look mono" value={look} onChange={(e) => setLook(e.target.value)} aria-label="Symbol style" title="Symbol style">
+                  {Object.entries(PG_LOOKS).map(([key, l]) => <option key={key} value={key}>{l.name}</option>)}
+                </select>
+                <label className="pg-snap mono" title="Snap to the grid while dragging (hold Alt to drag freely)">
+                  <input type="checkbox" checked={snap} onChange={(e) => setSnap(e.target.checked)} /> snap
+                </label>
+                <button className="btn pg-hist" onClick={() => zoomBy(1 / 1.25)} disabled={view.zoom <= PG_ZOOM[0]} aria-label="Zoom out">−</button>
+                <button className="btn pg-hist mono" onClick={() => setView({ zoom: 1, x: 0, y: 0 })} title="Reset zoom and pan" style={{ fontSize: 10, minWidth: 46 }}>{Math.round(view.zoom * 100)}%</button>
+                <button className="btn pg-hist" onClick={() => zoomBy(1.25)} disabled={view.zoom >= PG_ZOOM[1]} aria-label="Zoom in">+</button>
+                <span className="mono" style={{ fontSize: 10, color: "var(--fg-dim)", letterSpacing: "0.1em" }}>{items.length} symbols · {connectors.length} pipes</span>
                 <span className="live"><span className="dot" /> live · 1s</span>
               </div>
             </div>
-            <div className="pg-canvas" ref={canvasRef} onDrop={onDrop} onDragOver={onDragOver}>
-              {items.map((it) => (
-                <div key={it.id} className={"pg-item" + (selected === it.id ? " pg-item--sel" : "")}
-                  style={{ left: it.x, top: it.y }}
-                  onMouseDown={(e) => startMoveItem(e, it)}>
-                  <div className="pg-item__tag">{it.tag}</div>
-                  <SymbolGraphic kind={it.kind} motion={motion} i={it.id} />
-                  <button className="pg-item__close" onMouseDown={(e) => { e.stopPropagation(); }}
-                    onClick={(e) => { e.stopPropagation(); remove(it.id); }}>×</button>
-                </div>
-              ))}
+            <div className={"pg-canvas" + (wire ? " pg-canvas--wiring" : "") + (look === "hpm" ? " pg-canvas--hpm" : "")} ref={canvasRef} tabIndex={-1}
+              style={{ backgroundPosition: `${view.x}px ${view.y}px`, backgroundSize: `${24 * view.zoom}px ${24 * view.zoom}px` }}
+              aria-label="Mimic canvas" aria-describedby="pg-keys"
+              onPointerDown={onCanvasDown} onPointerMove={onCanvasMove} onPointerUp={onCanvasUp} onPointerCancel={onCanvasUp}>
+              <p id="pg-keys" className="sr-only">Tab between symbols; Shift-click or drag a box to select several. Arrow keys move the selection, Shift+arrow moves it one grid step, Delete removes it, Escape deselects, Ctrl+A selects all. Ctrl+Z undoes, Ctrl+Shift+Z redoes.</p>
+              <div className="pg-stage" style={{ transform: `translate(${view.x}px, ${view.y}px) scale(${view.zoom})` }}>
+                <svg className="pg-pipes" aria-hidden="true">
+                  {connectors.map((c) => {
+                    const pts = pgConnectorPoints(c, items);
+                    if (!pts) return null;
+                    const d = pgPath(pts);
+                    return (
+                      <g key={c.id} className={"pg-pipe" + (selectedConn === c.id ? " pg-pipe--sel" : "")}
+                        onPointerDown={(e) => { e.stopPropagation(); setSelectedConn(c.id); setSelection([]); }}>
+                        <path d={d} className="pg-pipe__hit" />
+                        <path d={d} className="pg-pipe__body" />
+                        <path d={d} className="pg-pipe__flow" style={{ animationDuration: `${1.2 / motion}s` }} />
+                      </g>
+                    );
+                  })}
+                  {wire && (() => {
+                    const a = pgPortPoint(items.find((it) => it.id === wire.from.item), wire.from.port);
+                    return <path className="pg-pipe__draft" d={pgPath(pgRoute(a, { x: wire.x, y: wire.y, dir: [-a.dir[0], -a.dir[1]] }))} />;
+                  })()}
+                  {guides.map((g, k) => <line key={k} className="pg-guide" {...g} style={{ strokeWidth: 1 / view.zoom }} />)}
+                </svg>
+                {marquee && (
+                  <div className="pg-marquee" style={{
+                    left: Math.min(marquee.x0, marquee.x1), top: Math.min(marquee.y0, marquee.y1),
+                    width: Math.abs(marquee.x1 - marquee.x0), height: Math.abs(marquee.y1 - marquee.y0),
+                  }} />
+                )}
+                {connectors.filter((c) => c.id === selectedConn).map((c) => {
+                  const pts = pgConnectorPoints(c, items);
+                  const m = pts && pts[Math.floor(pts.length / 2)];
+                  return m && (
+                    <button key={c.id} className="pg-item__close pg-pipe__close" style={{ left: m.x - 9, top: m.y - 9 }} aria-label="Delete pipe"
+                      onPointerDown={(e) => e.stopPropagation()} onClick={() => removeConnector(c.id)}>×</button>
+                  );
+                })}
+                {items.map((it) => {
+                  const reading = pgReading(mimic.tags, it, t, items);
+                  const [w, h] = pgItemSize(it);
+                  return (
+                  <div key={it.id} className={"pg-item" + (selection.includes(it.id) ? " pg-item--sel" : "")} data-alarm={reading.state ? reading.state.toLowerCase() : undefined}
+                    style={{ left: it.x, top: it.y, width: w, height: h, transform: it.rot ? `rotate(${it.rot}deg)` : undefined }}
+                    tabIndex={0} role="group" aria-label={`${pgSymbol(it.kind).name} ${it.tag}${reading.state ? `, ${reading.state} alarm` : ""}`} aria-describedby="pg-keys"
+                    onFocus={() => { if (!selection.includes(it.id)) setSelection([it.id]); setSelectedConn(null); }}
+                    onPointerDown={(e) => startMoveItem(e, it)} onPointerMove={moveItem} onPointerUp={endMoveItem} onPointerCancel={endMoveItem}>
+                    {/* Drawn at the kind's own size and scaled, so ports and handles stay crisp. */}
+                    <div className="pg-item__body" style={{ width: pgSymbol(it.kind).size[0], height: pgSymbol(it.kind).size[1], transform: it.scale && it.scale !== 1 ? `scale(${it.scale})` : undefined }}>
+                      <div className="pg-item__tag">{it.tag}</div>
+                      <SymbolGraphic kind={it.kind} motion={motion} i={it.id} reading={reading} props={pgItemProps(it)} look={look} />
+                    </div>
+                    <button className="pg-item__close" tabIndex={-1} aria-label={`Delete ${it.tag}`} onPointerDown={(e) => { e.stopPropagation(); }}
+                      onClick={(e) => { e.stopPropagation(); remove(it.id); }}>×</button>
+                    {sel && sel.id === it.id && (
+                      <>
+                        <span className="pg-handle pg-handle--rotate" style={{ left: w / 2 - 6, top: -28 }} title="Drag to rotate (Alt: free)"
+                          onPointerDown={(e) => startHandle(e, it, "rotate")} onPointerMove={moveHandle} onPointerUp={endHandle} onPointerCancel={endHandle} />
+                        <span className="pg-handle pg-handle--resize" style={{ left: w - 6, top: h - 6 }} title="Drag to resize"
+                          onPointerDown={(e) => startHandle(e, it, "resize")} onPointerMove={moveHandle} onPointerUp={endHandle} onPointerCancel={endHandle} />
+                      </>
+                    )}
+                    {Object.entries(pgPorts(it.kind, it.scale || 1)).map(([port, p]) => (
+                      <span key={port} data-port={port} data-item={it.id} className={"pg-port" + (wire && wire.from.item === it.id && wire.from.port === port ? " pg-port--active" : "")}
+                        style={{ left: p.x - 6, top: p.y - 6 }} title="Drag to another port to connect"
+                        onPointerDown={(e) => startWire(e, it, port)} />
+                    ))}
+                  </div>
+                  );
+                })}
+              </div>
               {items.length === 0 && (
                 <div className="pg-empty">Drag a symbol from the palette →</div>
               )}
@@ -138,8 +691,14 @@ function SymbolPlayground({ motion }) {
               <span className="tag">Inspector</span>
               {sel && <span className="live"><span className="dot" /> bound</span>}
             </div>
-            {sel ? (
-              <InspectorPanel item={sel} motion={motion} onTag={(t) => setItems((arr) => arr.map((it) => it.id === sel.id ? { ...it, tag: t } : it))} />
+            {selItems.length > 1 ? (
+              <SelectionPanel count={selItems.length} onAlign={align} onDistribute={distribute} onDelete={removeSelection} />
+            ) : sel ? (
+              <InspectorPanel key={sel.id} item={sel} tags={mimic.tags} items={items}
+                onShape={(shape) => run({ type: "transform", id: sel.id, from: shapeOf(sel), to: shape })}
+                onProps={(props) => run({ type: "configure", id: sel.id, from: sel.props, to: props })} t={t} shared={items.filter((it) => it.tag === sel.tag).length}
+                onTag={(tag) => run({ type: "retag", id: sel.id, from: sel.tag, to: tag })}
+                onTune={(cfg) => run({ type: "retune", name: sel.tag, from: Object.hasOwn(mimic.tags, sel.tag) ? mimic.tags[sel.tag] : undefined, to: cfg })} />
             ) : (
               <div style={{ color: "var(--fg-dim)", fontFamily: "var(--font-mono)", fontSize: 12, padding: 12 }}>Select a symbol to inspect its live values.</div>
             )}
@@ -150,17 +709,98 @@ function SymbolPlayground({ motion }) {
   );
 }
 
-function InspectorPanel({ item, motion, onTag }) {
-  const labels = {
-    vessel: [["Level", 69, "%"], ["Volume", 4214, "L"], ["Mass", 3.8, "t"]],
-    pump:   [["Speed", 1756, "rpm"], ["Power", 18.4, "kW"], ["Discharge", 4.2, "bar"]],
-    valve:  [["Position", 78, "%"], ["Flow", 12.4, "m³/h"], ["ΔP", 0.42, "bar"]],
-    motor:  [["Current", 42.1, "A"], ["Temp", 68, "°C"], ["Vibration", 2.1, "mm/s"]],
-    hx:     [["Inlet", 124, "°C"], ["Outlet", 82, "°C"], ["ΔT", 42, "°C"]],
-    trend:  [["Value", 14.6, "m³/h"], ["Min 1h", 11.2, ""], ["Max 1h", 16.4, ""]],
-    alarm:  [["Priority", "HIGH", ""], ["Asset", "P-204", ""], ["Age", "2m", ""]],
-    batch:  [["Phase", "REACT", ""], ["Step", "3/5", ""], ["ETA", "27m", ""]],
-  }[item.kind] || [];
+const PG_ALIGN = [
+  ["left", "Left"], ["center", "Center"], ["right", "Right"],
+  ["top", "Top"], ["middle", "Middle"], ["bottom", "Bottom"],
+];
+
+function SelectionPanel({ count, onAlign, onDistribute, onDelete }) {
+  const small = { padding: "6px 8px", fontSize: 11 };
+  return (
+    <div className="pg-inspect">
+      <div className="pg-inspect__row">
+        <label>Selection</label>
+        <span className="mono" style={{ fontSize: 12 }}>{count} symbols</span>
+      </div>
+      <div className="pg-inspect__sep" />
+      <div className="pg-inspect__row">
+        <label>Align</label>
+        <div className="pg-align">
+          {PG_ALIGN.map(([mode, name]) => <button key={mode} className="btn" style={small} onClick={() => onAlign(mode)}>{name}</button>)}
+        </div>
+      </div>
+      <div className="pg-inspect__row">
+        <label>Distribute</label>
+        <div className="pg-align pg-align--2">
+          <button className="btn" style={small} disabled={count < 3} onClick={() => onDistribute("x")}>Horizontally</button>
+          <button className="btn" style={small} disabled={count < 3} onClick={() => onDistribute("y")}>Vertically</button>
+        </div>
+      </div>
+      <div className="pg-inspect__sep" />
+      <button className="btn" style={small} onClick={onDelete}>Delete {count} symbols</button>
+    </div>
+  );
+}
+
+// Draft values are kept as typed; a config is committed only once pgTagProblem accepts it.
+const pgTagDraft = (cfg) => ({
+  waveform: cfg.waveform, period: String(cfg.period), units: cfg.units, min: String(cfg.min), max: String(cfg.max),
+  ...Object.fromEntries(PG_LIMITS.map((k) => [k, cfg.limits[k] == null ? "" : String(cfg.limits[k])])),
+});
+const pgDraftNum = (s) => (s.trim() === "" ? NaN : Number(s));
+const pgTagFromDraft = (d) => ({
+  waveform: d.waveform, period: pgDraftNum(d.period), units: d.units.trim(), min: pgDraftNum(d.min), max: pgDraftNum(d.max),
+  limits: Object.fromEntries(PG_LIMITS.map((k) => [k, d[k].trim() === "" ? null : pgDraftNum(d[k])])),
+});
+
+// Last minute of a tag, with its limits, drawn from the same pure signal the symbols use.
+function PgTagTrend({ cfg, name, t, width = 240, height = 50 }) {
+  const y = (v) => height - 2 - ((v - cfg.min) / (cfg.max - cfg.min)) * (height - 4);
+  const pts = Array.from({ length: 61 }, (_, k) => `${(k / 60) * width},${y(pgTagValue(cfg, name, t - 60 + k)).toFixed(1)}`);
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} style={{ display: "block", width: "100%" }} aria-hidden="true">
+      {PG_LIMITS.filter((k) => cfg.limits[k] != null).map((k) => (
+        <line key={k} x1="0" x2={width} y1={y(cfg.limits[k])} y2={y(cfg.limits[k])} strokeDasharray="3 4" strokeWidth="1"
+          stroke={k.length > 2 ? "var(--bad)" : "var(--warn)"} opacity="0.6" />
+      ))}
+      <polyline points={pts.join(" ")} fill="none" stroke="var(--accent)" strokeWidth="1.5" strokeLinejoin="round" />
+    </svg>
+  );
+}
+
+function InspectorPanel({ item, tags, items, t, shared, onTag, onTune, onShape, onProps }) {
+  const cfg = pgTagConfig(tags, item, items);
+  const { signal, props: schema } = pgSymbol(item.kind);
+  const reading = pgReading(tags, item, t, items);
+  const [draft, setDraft] = usePG(() => pgTagDraft(cfg));
+  const cfgKey = JSON.stringify(cfg);
+  // Follow the tag when it changes underneath (retag, undo, another symbol's edit) unless
+  // the draft already says the same thing.
+  useEffPG(() => {
+    if (JSON.stringify(pgTagFromDraft(draft)) !== cfgKey) setDraft(pgTagDraft(cfg));
+  }, [item.tag, cfgKey]);
+  const problem = pgTagProblem(pgTagFromDraft(draft));
+  const edit = (field, value) => {
+    const next = { ...draft, [field]: value };
+    setDraft(next);
+    const nextCfg = pgTagFromDraft(next);
+    if (!pgTagProblem(nextCfg)) onTune(nextCfg);
+  };
+  const field = (name, label, props = {}) => (
+    <div className="pg-inspect__field">
+      <label htmlFor={`pg-tag-${name}`}>{label}</label>
+      <input id={`pg-tag-${name}`} value={draft[name]} inputMode="decimal" onChange={(e) => edit(name, e.target.value)} {...props} />
+    </div>
+  );
+  // Resizing from the form keeps the center where it is, like the canvas handle.
+  const reshape = ({ size, rot }) => {
+    const scale = size / 100;
+    const [w0, h0] = pgItemSize(item), [w, h] = pgItemSize({ kind: item.kind, scale });
+    onShape({ x: Math.max(0, Math.round(item.x + (w0 - w) / 2)), y: Math.max(0, Math.round(item.y + (h0 - h) / 2)), scale, rot });
+  };
+  // Only values that differ from the kind's defaults are stored on the item.
+  const defaults = pgPropDefaults(item.kind);
+  const configure = (values) => onProps(Object.fromEntries(Object.entries(values).filter(([k, v]) => JSON.stringify(v) !== JSON.stringify(defaults[k]))));
 
   return (
     <div className="pg-inspect">
@@ -172,23 +812,52 @@ function InspectorPanel({ item, motion, onTag }) {
         <label>Asset class</label>
         <span className="mono" style={{ fontSize: 12 }}>{item.kind}</span>
       </div>
+      <PgSchemaForm schema={PG_SHAPE} values={{ size: Math.round((item.scale || 1) * 100), rot: item.rot || 0 }} onChange={reshape} />
+      {schema.length > 0 && (
+        <>
+          <div className="pg-inspect__sep" />
+          <div style={{ fontFamily: "var(--font-mono)", fontSize: 10, color: "var(--fg-dim)", letterSpacing: "0.12em", textTransform: "uppercase" }}>Properties</div>
+          <PgSchemaForm schema={schema} values={pgItemProps(item)} onChange={configure} />
+        </>
+      )}
       <div className="pg-inspect__sep" />
-      <div style={{ fontFamily: "var(--font-mono)", fontSize: 10, color: "var(--fg-dim)", letterSpacing: "0.12em", textTransform: "uppercase", marginBottom: 8 }}>Live values</div>
-      <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
-        {labels.map(([k, v, u]) => (
-          <div key={k} style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", padding: "6px 8px", background: "rgba(255,255,255,0.02)", borderRadius: 3 }}>
-            <span className="mono" style={{ fontSize: 11, color: "var(--fg-mute)" }}>{k}</span>
-            <span className="mono" style={{ fontSize: 13, color: "var(--accent-2)" }}>
-              {typeof v === "number" ? <Ticker value={v} decimals={v < 100 ? 1 : 0} motion={motion} /> : v}{u && <span style={{ color: "var(--fg-dim)", marginLeft: 4 }}>{u}</span>}
-            </span>
-          </div>
-        ))}
+      <div style={{ fontFamily: "var(--font-mono)", fontSize: 10, color: "var(--fg-dim)", letterSpacing: "0.12em", textTransform: "uppercase", marginBottom: 8 }}>Live value</div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", padding: "6px 8px", background: "rgba(255,255,255,0.02)", borderRadius: 3 }}>
+        <span className="mono" style={{ fontSize: 11, color: "var(--fg-mute)" }}>{signal.label}</span>
+        <span className="mono" style={{ fontSize: 13, color: reading.color || "var(--accent-2)" }}>
+          {reading.text}
+          <span className={"pg-state" + (reading.state ? ` pg-state--${reading.state.toLowerCase()}` : "")}>{reading.state || "OK"}</span>
+        </span>
+      </div>
+      <div style={{ marginTop: 8 }}><PgTagTrend cfg={cfg} name={item.tag} t={t} /></div>
+      <div style={{ fontFamily: "var(--font-mono)", fontSize: 9, color: "var(--fg-dim)", letterSpacing: "0.1em", marginTop: 6, textAlign: "right" }}>
+        {shared > 1 ? `SHARED BY ${shared} SYMBOLS · ` : ""}LAST 60 S · SIMULATED
       </div>
       <div className="pg-inspect__sep" />
-      <Sparkline width={240} height={50} color="var(--accent)" seed={item.id} motion={motion} />
-      <div style={{ fontFamily: "var(--font-mono)", fontSize: 9, color: "var(--fg-dim)", letterSpacing: "0.1em", marginTop: 6, textAlign: "right" }}>HISTORIAN · PI / CANARY / TDENGINE</div>
+      <div style={{ fontFamily: "var(--font-mono)", fontSize: 10, color: "var(--fg-dim)", letterSpacing: "0.12em", textTransform: "uppercase", marginBottom: 8 }}>Tag config</div>
+      <div className="pg-inspect__grid">
+        <div className="pg-inspect__field">
+          <label htmlFor="pg-tag-waveform">Waveform</label>
+          <select id="pg-tag-waveform" value={draft.waveform} onChange={(e) => edit("waveform", e.target.value)}>
+            {PG_WAVEFORMS.map((w) => <option key={w} value={w}>{w}</option>)}
+          </select>
+        </div>
+        {field("period", "Period s")}
+        {field("units", "Units", { inputMode: "text", maxLength: 12 })}
+        <div />
+        {field("min", "Range min")}
+        {field("max", "Range max")}
+        {field("lolo", "LOLO")}
+        {field("lo", "LO")}
+        {field("hi", "HI")}
+        {field("hihi", "HIHI")}
+      </div>
+      {problem && <div className="pg-note pg-note--bad" role="alert">{problem[0].toUpperCase() + problem.slice(1)}</div>}
+      {Object.hasOwn(tags, item.tag) && (
+        <button className="btn" style={{ padding: "6px 8px", fontSize: 11, marginTop: 8 }} onClick={() => onTune(undefined)}>Use default</button>
+      )}
     </div>
   );
 }
 
-Object.assign(window, { SymbolPlayground });
+Object.assign(window, { SymbolPlayground, PG_SCALE, pgItemSize, pgPorts, pgPath, pgConnectorPoints });
@@ -0,0 +1,28 @@
+// Proof-of-work solver for the /api guard (server/guard.mjs). Runs off the main thread:
+// finds a nonce so that SHA-256("<challenge>:<nonce>") starts with `bits` zero bits.
+// Message in: { challenge, bits }. Message out: { stamp } or { error }.
+
+const BATCH = 256;
+
+function zeroBits(bytes) {
+  let bits = 0;
+  for (const b of bytes) {
+    if (b === 0) { bits += 8; continue; }
+    return bits + Math.clz32(b) - 24;
+  }
+  return bits;
+}
+
+self.onmessage = async (e) => {
+  const { challenge, bits } = e.data;
+  if (!self.crypto || !self.crypto.subtle) { self.postMessage({ error: "no-subtle-crypto" }); return; }
+  const enc = new TextEncoder();
+  // Hash in batches — SubtleCrypto is async, so one-at-a-time would idle between calls.
+  for (let base = 0; base < 2 ** 32; base += BATCH) {
+    const stamps = Array.from({ length: BATCH }, (_, i) => `${challenge}:${base + i}`);
+    const digests = await Promise.all(stamps.map((s) => crypto.subtle.digest("SHA-256", enc.encode(s))));
+    const hit = digests.findIndex((d) => zeroBits(new Uint8Array(d)) >= bits);
+    if (hit >= 0) { self.postMessage({ stamp: stamps[hit] }); return; }
+  }
+  self.postMessage({ error: "exhausted" });
+};
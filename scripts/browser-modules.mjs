@@ -0,0 +1,80 @@
+// Shared harness for the Node checks (and the bundle build) over the site's browser scripts.
+// The JSX files are plain browser scripts sharing one global scope; index.original.html is
+// the single place their load order is written down, so everything here reads it from there.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+import { transformWithEsbuild } from 'vite';
+
+export const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// The `<script type="text/babel">` sources of index.original.html, in page order.
+export async function scriptOrder() {
+  const html = await fs.readFile(path.join(ROOT, 'index.original.html'), 'utf8');
+  return [...html.matchAll(/<script type="text\/babel" src="([^"]+)"><\/script>/g)].map((m) => m[1]);
+}
+
+// Script groups the checks load, as filters over the page order.
+export const MODULE_GROUPS = {
+  playground: (f) => /^(playground|symbols)-?/.test(f),
+  goldenBatch: (f) => f.startsWith('golden-batch'),
+};
+
+// Concatenate the page's scripts that `pick` (a filter or a list of files) selects, in page
+// order, and compile the JSX to plain script with React.createElement, as in the browser.
+// `options` go to esbuild (the bundle build minifies whitespace).
+export async function compileBrowserModules(pick, options = {}) {
+  const order = await scriptOrder();
+  const sorted = order.filter(typeof pick === 'function' ? pick : (f) => pick.includes(f));
+  if (!sorted.length) throw new Error('no index.original.html scripts selected');
+  const src = (await Promise.all(sorted.map((f) => fs.readFile(path.join(ROOT, f), 'utf8')))).join('\n;\n');
+  const { code } = await transformWithEsbuild(src, sorted[sorted.length - 1], { loader: 'jsx', ...options });
+  return code;
+}
+
+// Nothing renders in most checks, so React only needs its hook names.
+const hook = () => [];
+export const REACT_STUB = { useState: hook, useRef: hook, useEffect: hook, useLayoutEffect: hook, useMemo: hook, useCallback: hook };
+
+// Run the selected scripts in a fresh context and return what they put on `window`.
+// `globals` adds to or replaces the context (e.g. a real React to render with).
+export async function loadBrowserModules(pick, globals = {}) {
+  const ctx = { React: REACT_STUB, window: {}, console, ...globals };
+  vm.runInNewContext(await compileBrowserModules(pick), ctx);
+  return ctx.window;
+}
+
+// Compare generated text with the committed files in `dir`. cases: [{ file, actual }], file
+// relative to dir. With `update` the files are rewritten instead. Each mismatch is reported
+// with its first differing line; returns the cases that failed.
+export async function compareSnapshots(dir, cases, update) {
+  const failed = [];
+  for (const c of cases) {
+    const file = path.join(dir, c.file);
+    const label = path.relative(ROOT, file);
+    if (update) {
+      await fs.writeFile(file, c.actual);
+      continue;
+    }
+    const expected = await fs.readFile(file, 'utf8').catch(() => null);
+    if (expected === c.actual) continue;
+    failed.push(c);
+    if (expected === null) {
+      console.error(`✗ ${label} is missing — run with --update to create it`);
+      continue;
+    }
+    const a = c.actual.split('\n'), e = expected.split('\n');
+    const line = a.findIndex((l, i) => l !== e[i]);
+    console.error(`✗ ${label} differs at line ${line + 1}\n  expected: ${(e[line] ?? '').trim()}\n  actual:   ${(a[line] ?? '').trim()}`);
+  }
+  return failed;
+}
+
+// The `*<suffix>` files in dir, without the suffix, sorted; throws when there are none.
+export async function fixtureNames(dir, suffix) {
+  const names = (await fs.readdir(dir)).filter((f) => f.endsWith(suffix)).map((f) => f.slice(0, -suffix.length)).sort();
+  if (!names.length) throw new Error(`no *${suffix} fixtures in ${path.relative(ROOT, dir)}`);
+  return names;
+}
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// Build the retrieval corpus for the Ask section from the site's own data arrays.
+// Usage: node scripts/build-ask-index.mjs   (also runs as part of `npm run build`)
+// Output: server/ask-corpus.json — one passage per case study / service / step / historian,
+// each tagged with the in-page anchor it came from so answers can link back to it.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const OUT = path.join(ROOT, 'server', 'ask-corpus.json');
+
+// `after` narrows the search to one component; `marker` ends right at the array's `[`.
+const SOURCES = [
+  {
+    file: 'pi-cases.jsx', marker: 'const PI_CASES = [', section: 'PI case studies', anchor: '#pi-cases',
+    toPassage: (c) => ({ title: `${c.company} (${c.industry})`, text: `${c.metric}. ${c.sub}. ${c.body}`, href: c.href }),
+  },
+  {
+    file: 'ecosystem.jsx', marker: 'const ECOSYSTEM_REFS = [', section: 'Ecosystem', anchor: '#ecosystem',
+    toPassage: (v) => ({ title: v.vendor, text: `${v.role}. ${v.blurb} Public references include ${v.examples.join(', ')}.`, href: v.href }),
+  },
+  {
+    file: 'sections-1.jsx', marker: 'const SERVICES = [', section: 'Services', anchor: '#services',
+    toPassage: (s) => ({ title: s.title, text: `${s.tag}: ${s.body}` }),
+  },
+  {
+    file: 'sections-1.jsx', after: 'function HistorianSection(', marker: '{[', section: 'Historian comparison', anchor: '#historians',
+    toPassage: (h) => ({ title: h.title, text: `${h.body} ${h.metrics.map(([k, v]) => `${k}: ${v}`).join('; ')}.` }),
+  },
+  {
+    file: 'sections-2.jsx', marker: 'const PROCESS_STEPS = [', section: 'Process', anchor: '#process',
+    toPassage: (s) => ({ title: `${s.num} ${s.title}`, text: `${s.body} Deliverable: ${s.deliverable}.` }),
+  },
+];
+
+// Slice out the array literal that starts at `start`, skipping brackets inside strings.
+function sliceArray(src, start) {
+  let depth = 0, quote = null;
+  for (let i = start; i < src.length; i++) {
+    const ch = src[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === '"' || ch === "'" || ch === '`') quote = ch;
+    else if (ch === '[') depth++;
+    else if (ch === ']' && --depth === 0) return src.slice(start, i + 1);
+  }
+  throw new Error('unterminated array');
+}
+
+async function extract({ file, after, marker }) {
+  const src = await fs.readFile(path.join(ROOT, file), 'utf8');
+  const from = after ? src.indexOf(after) : 0;
+  const at = src.indexOf(marker, from);
+  if (from < 0 || at < 0) throw new Error(`${file}: could not find ${after || marker}`);
+  // Plain data literals only — evaluated in an empty context.
+  return vm.runInNewContext('(' + sliceArray(src, at + marker.length - 1) + ')', {});
+}
+
+const passages = [];
+for (const s of SOURCES) {
+  const items = await extract(s);
+  items.forEach((item, i) => {
+    passages.push({ id: `${s.anchor.slice(1)}-${i + 1}`, section: s.section, anchor: s.anchor, ...s.toPassage(item) });
+  });
+}
+
+await fs.writeFile(OUT, JSON.stringify({ passages }, null, 2) + '\n');
+console.log(`ask index: ${passages.length} passages → ${path.relative(ROOT, OUT)}`);
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+// Regenerate app.bundle.js, the one script index.html loads: React and ReactDOM (the
+// production UMD builds from node_modules) followed by every script index.original.html
+// loads, compiled from JSX in page order and run in one function scope.
+// Usage: node scripts/build-bundle.mjs [--check]   (npm run bundle / npm run check:bundle)
+// index.html gets the bundle's content hash as ?v=, since _headers caches *.js immutably.
+// --check only reports whether the committed bundle (and that reference) is current. Run
+// `npm run bundle` after changing any .jsx file or the script list, and commit the result.
+
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { ROOT, scriptOrder, compileBrowserModules } from './browser-modules.mjs';
+
+const BUNDLE = path.join(ROOT, 'app.bundle.js');
+const PAGE = path.join(ROOT, 'index.html');
+const TAG = /<script defer src="app\.bundle\.js(\?v=[\w]+)?"><\/script>/;
+const CHECK = process.argv.includes('--check');
+
+const vendor = async (file) => fs.readFile(path.join(ROOT, 'node_modules', file), 'utf8');
+const order = await scriptOrder();
+const app = await compileBrowserModules(order, { minifyWhitespace: true });
+const bundle = [
+  '/*! React 18.3.1 (production), ReactDOM 18.3.1 (production), Blueforge AI app bundle. */\n',
+  await vendor('react/umd/react.production.min.js'), '\n',
+  await vendor('react-dom/umd/react-dom.production.min.js'), '\n',
+  '/* Blueforge AI — pre-compiled bundle. Do not edit; regenerate from .jsx sources. */\n',
+  `(function(){"use strict";\n${app.trim()}\n})();`,
+].join('');
+
+const html = await fs.readFile(PAGE, 'utf8');
+if (!TAG.test(html)) throw new Error('index.html has no <script defer src="app.bundle.js"> tag');
+const version = crypto.createHash('sha256').update(bundle).digest('hex').slice(0, 10);
+const page = html.replace(TAG, `<script defer src="app.bundle.js?v=${version}"></script>`);
+
+if (CHECK) {
+  const current = await fs.readFile(BUNDLE, 'utf8').catch(() => null);
+  if (current !== bundle || html !== page) {
+    console.error('✗ app.bundle.js is out of date with the .jsx sources — run npm run bundle and commit it');
+    process.exit(1);
+  }
+  console.log(`bundle: app.bundle.js is current (${order.length} scripts, v=${version})`);
+} else {
+  await fs.writeFile(BUNDLE, bundle);
+  await fs.writeFile(PAGE, page);
+  console.log(`bundle: wrote app.bundle.js (${order.length} scripts, ${Math.round(bundle.length / 1024)} KB, v=${version})`);
+}
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+// Check the golden batch report against the fixture reports.
+// Usage: node scripts/check-batch-report.mjs [--update]   (npm run check:batch-report)
+// Every scripts/fixtures/golden-batch/<name>.case.json names a dataset ("demo" or a CSV in the
+// same folder, imported with the guessed column mapping) and the section's settings. The
+// report must be self-consistent and match <name>.report.json and <name>.report.html exactly.
+// --update rewrites the expected reports after an intended change — review the diff.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { ROOT, MODULE_GROUPS, loadBrowserModules, compareSnapshots, fixtureNames } from './browser-modules.mjs';
+
+const FIXTURES = path.join(ROOT, 'scripts', 'fixtures', 'golden-batch');
+const UPDATE = process.argv.includes('--update');
+
+const gb = await loadBrowserModules(MODULE_GROUPS.goldenBatch);
+
+async function dataset(source) {
+  if (source === 'demo') return gb.gbDemoDataset();
+  const table = gb.gbParseCSV(await fs.readFile(path.join(FIXTURES, source), 'utf8'));
+  return gb.gbBuildDataset(table, gb.gbGuessMapping(table), source);
+}
+
+// Figures that are stated twice in a report must agree.
+function problems(r) {
+  const out = [];
+  const sum = (list) => list.reduce((s, x) => s + x.breaches, 0);
+  if (sum(r.phases) !== r.breaches) out.push(`phase breaches add up to ${sum(r.phases)}, not ${r.breaches}`);
+  if (sum(r.parameters) !== r.breaches) out.push(`parameter breaches add up to ${sum(r.parameters)}, not ${r.breaches}`);
+  const inIntervals = r.intervals.reduce((s, b) => s + b.samples, 0);
+  if (inIntervals !== r.breaches) out.push(`intervals cover ${inIntervals} samples, not ${r.breaches}`);
+  r.intervals.forEach((b, k) => {
+    if (b.from.progress > b.to.progress) out.push(`interval ${k} ends before it starts`);
+    if (k && b.from.progress < r.intervals[k - 1].from.progress) out.push(`interval ${k} is out of order`);
+    if (!r.phases.some((p) => p.name === b.phase && p.status !== 'not reached')) out.push(`interval ${k} is in a phase the batch has not reached`);
+  });
+  if ((r.verdict.result === 'pass') !== (r.verdict.reasons.length === 0)) out.push('a pass must have no reasons and anything else at least one');
+  if (r.verdict.final !== (r.status === 'complete')) out.push('only a complete batch has a final verdict');
+  return out;
+}
+
+const names = await fixtureNames(FIXTURES, '.case.json');
+
+const failed = new Set();
+const cases = [];
+for (const name of names) {
+  const { dataset: source, ...settings } = JSON.parse(await fs.readFile(path.join(FIXTURES, `${name}.case.json`), 'utf8'));
+  let report;
+  try {
+    report = gb.gbBatchReport(await dataset(source), { ...settings, phases: gb.GB_PHASES });
+  } catch (e) {
+    failed.add(name);
+    console.error(`✗ ${name}: ${e.message}`);
+    continue;
+  }
+  const found = problems(report);
+  if (found.length) {
+    failed.add(name);
+    console.error(`✗ ${name}\n  ${found.join('\n  ')}`);
+    continue;
+  }
+  cases.push({ name, file: `${name}.report.json`, actual: JSON.stringify(report, null, 2) + '\n' });
+  cases.push({ name, file: `${name}.report.html`, actual: gb.gbReportHTML(report) });
+}
+(await compareSnapshots(FIXTURES, cases, UPDATE)).forEach((c) => failed.add(c.name));
+
+if (failed.size) {
+  console.error(`batch report: ${failed.size} of ${names.length} cases failed`);
+  process.exit(1);
+}
+console.log(`batch report: ${cases.length} reports ${UPDATE ? 'updated' : 'match'} (${names.length} cases × JSON and HTML)`);
@@ -0,0 +1,364 @@
+#!/usr/bin/env node
+// Unit checks for the golden batch pure modules: CSV import, alignment, the statistical
+// envelope and multivariate (PCA / T² / SPE) monitoring.
+// Usage: node scripts/check-golden-batch.mjs   (npm run check:golden-batch)
+
+import assert from 'node:assert/strict';
+import { MODULE_GROUPS, loadBrowserModules } from './browser-modules.mjs';
+
+const gb = await loadBrowserModules(MODULE_GROUPS.goldenBatch);
+const cases = [];
+const test = (name, fn) => cases.push({ name, fn });
+// Values from the vm context have its Array prototype; compare them as plain JSON.
+const plain = (v) => JSON.parse(JSON.stringify(v));
+const near = (a, b, tol, msg) => assert.ok(Math.abs(a - b) <= tol, `${msg ?? ''} expected ${b} ± ${tol}, got ${a}`);
+const vectors = (...series) => series[0].map((_, i) => series.map((s) => s[i]));
+const wave = (n, f = (u) => 0.5 + 0.4 * Math.sin(u * Math.PI * 2)) => [...Array(n)].map((_, i) => f(i / (n - 1)));
+const bounds = [0, 0.12, 0.32, 0.7, 0.88, 1];
+const slow = [0, 0.12, 0.38, 0.74, 0.9, 1];
+
+test('gbParseCSV handles quoting, CRLF, a BOM and blank lines', () => {
+  const t = gb.gbParseCSV('\uFEFFBatch,Note,Temp\r\nB1,"says ""hi"", twice",1\r\n\r\nB1,"two\nlines",2\r\n');
+  assert.deepEqual(plain(t.headers), ['Batch', 'Note', 'Temp']);
+  assert.deepEqual(plain(t.rows), [['B1', 'says "hi", twice', '1'], ['B1', 'two\nlines', '2']]);
+  assert.throws(() => gb.gbParseCSV('a,b\n"open,1'), /never closed/);
+  assert.throws(() => gb.gbParseCSV('a,b\n'), /header row and at least one data row/);
+});
+
+test('gbParseCSV sniffs tab and semicolon delimiters and names blank headers', () => {
+  assert.deepEqual(plain(gb.gbParseCSV('a\tb\n1,5\t2').rows), [['1,5', '2']]);
+  const t = gb.gbParseCSV('Lot;;Temp\nL1;x;12,5');
+  assert.deepEqual(plain(t.headers), ['Lot', 'Column 2', 'Temp']);
+  assert.deepEqual(plain(t.rows), [['L1', 'x', '12,5']]);
+});
+
+test('gbGuessMapping finds batch, time and numeric parameters', () => {
+  const m = gb.gbGuessMapping(gb.gbParseCSV('Timestamp,Batch ID,Temperature (°C),Comment\n2026-01-01T00:00:00Z,B1,20,ok\n2026-01-01T00:01:00Z,B1,21,ok'));
+  assert.equal(m.batch, 1);
+  assert.equal(m.time, 0);
+  assert.deepEqual(plain(m.params.map((p) => [p.col, p.name, p.unit, p.use])), [[2, 'Temperature', '°C', true]]);
+});
+
+test('gbGuessMapping never takes a run-time column for the batch id', () => {
+  ['Runtime', 'Run time (s)'].forEach((h) => {
+    const m = gb.gbGuessMapping(gb.gbParseCSV(`${h},Lot,Temp\n0,L1,20\n60,L1,21`));
+    assert.equal(m.batch, 1, h);
+    assert.equal(m.time, 0, h);
+  });
+  assert.equal(gb.gbGuessMapping(gb.gbParseCSV('run_no,t,v\n1,0,5\n1,1,6')).batch, 0);
+  // a numeric id is still found when nothing better is there, and text ids win over it
+  assert.equal(gb.gbGuessMapping(gb.gbParseCSV('Run,Batch,v\n1,B1,5')).batch, 1);
+});
+
+test('gbResample interpolates onto even points, skipping blanks and unsorted input', () => {
+  assert.deepEqual(plain(gb.gbResample([10, 0, 5, 20], [20, 0, NaN, 40], 5)), [0, 10, 20, 30, 40]);
+  assert.equal(gb.gbResample([0, 1], [5, NaN], 4), null);
+  assert.equal(gb.gbResample([3, 3], [1, 2], 4), null);
+});
+
+test('gbBuildDataset groups runs, reads decimal commas and normalizes to a shared span', () => {
+  const table = gb.gbParseCSV('Lot;t;Temp [°C]\nL1;0;10\nL1;10;20\nL2;0;10,0\nL2;20;;\nL2;40;30,0\nL3;0;15');
+  const mapping = gb.gbGuessMapping(table);
+  const d = gb.gbBuildDataset(table, mapping, 'lots.csv');
+  assert.equal(d.name, 'lots.csv');
+  // L3 has one sample and is left out
+  assert.deepEqual(plain(d.runs.map((r) => [r.id, r.duration, r.start])), [['L1', 10, null], ['L2', 40, null]]);
+  const [p] = d.params;
+  assert.deepEqual(plain([p.key, p.name, p.unit]), ['c2', 'Temp', '°C']);
+  near(p.span[0], 9, 1e-9);
+  near(p.span[1], 31, 1e-9);
+  const l2 = d.runs[1].curves.c2;
+  assert.equal(l2.length, gb.GB_POINTS);
+  near(l2[0], (10 - 9) / 22, 1e-9);
+  near(l2[l2.length - 1], (30 - 9) / 22, 1e-9);
+});
+
+test('gbBuildDataset keeps a dated run clock and rejects unusable mappings', () => {
+  const table = gb.gbParseCSV('Batch,Time,v\nA,2026-03-01T06:00:00Z,1\nA,2026-03-01T08:00:00Z,2\nB,2026-03-01T09:00:00Z,1\nB,2026-03-01T10:00:00Z,3');
+  const mapping = gb.gbGuessMapping(table);
+  const d = gb.gbBuildDataset(table, mapping);
+  assert.deepEqual(plain(d.runs.map((r) => [r.id, r.duration, r.start])), [['A', 7200, Date.UTC(2026, 2, 1, 6) / 1000], ['B', 3600, Date.UTC(2026, 2, 1, 9) / 1000]]);
+  assert.throws(() => gb.gbBuildDataset(table, { ...mapping, batch: -1 }), /batches apart/);
+  assert.throws(() => gb.gbBuildDataset(table, { ...mapping, params: [] }), /at least one column/);
+  assert.throws(() => gb.gbBuildDataset(table, { ...mapping, params: [{ ...mapping.params[0], tolerance: 0 }] }), /between 0 and 100/);
+  assert.throws(() => gb.gbBuildDataset(gb.gbParseCSV('Batch,v\nA,1\nA,2'), { batch: 0, time: -1, params: [{ col: 1, name: 'v', unit: '', tolerance: 0.1, use: true }] }), /Found 1 usable run;/);
+  assert.throws(() => gb.gbBuildDataset(gb.gbParseCSV('Batch,Time,v\nA,noon,1'), mapping), /Row 2: can't read "noon"/);
+});
+
+test('gbMappingParams moves columns in and out of the parameters as batch id and time change', () => {
+  const table = gb.gbParseCSV('Batch,Secs,Temp,Level\nA,0,20,1\nA,60,21,2');
+  const m = gb.gbGuessMapping(table);
+  assert.deepEqual(plain([m.batch, m.time, m.params.map((p) => p.col)]), [0, -1, [1, 2, 3]]);
+  const tuned = m.params.map((p) => (p.col === 2 ? { ...p, name: 'T', tolerance: 0.1 } : p));
+  const timed = plain(gb.gbMappingParams(table, 0, 1, tuned));
+  assert.deepEqual(timed.map((p) => [p.col, p.name, p.tolerance]), [[2, 'T', 0.1], [3, 'Level', 0.06]]);
+  // Back to row order: Secs is an option again, unticked like any column new to the list.
+  assert.deepEqual(plain(gb.gbMappingParams(table, 0, -1, timed)).map((p) => [p.col, p.use]), [[1, false], [2, true], [3, true]]);
+});
+
+test('gbBuildDataset never plots the batch id or time column as a parameter', () => {
+  const table = gb.gbParseCSV('Batch,Secs,Temp\nA,0,20\nA,60,21\nB,0,20\nB,30,23');
+  const mapping = { ...gb.gbGuessMapping(table), time: 1 };
+  assert.deepEqual(plain(gb.gbBuildDataset(table, mapping).params.map((p) => p.key)), ['c2']);
+  assert.throws(() => gb.gbBuildDataset(table, { ...mapping, params: mapping.params.filter((p) => p.col === 1) }), /at least one column/);
+});
+
+test('gbBuildDataset spans thousands of runs without spreading every sample into one call', () => {
+  const rows = [...Array(3000)].flatMap((_, b) => [`B${b},0,${b}`, `B${b},1,${b + 1}`]);
+  const d = gb.gbBuildDataset(gb.gbParseCSV(`Batch,t,v\n${rows.join('\n')}`), { batch: 0, time: 1, params: [{ col: 2, name: 'v', unit: '', tolerance: 0.1, use: true }] });
+  assert.equal(d.runs.length, 3000);
+  near(d.params[0].span[0], -150, 1e-9);
+  near(d.params[0].span[1], 3150, 1e-9);
+});
+
+test('gbAt interpolates and clamps', () => {
+  const s = [0, 10, 20];
+  assert.equal(gb.gbAt(s, 0), 0);
+  assert.equal(gb.gbAt(s, 0.25), 5);
+  assert.equal(gb.gbAt(s, 1), 20);
+  assert.equal(gb.gbAt(s, 1.5), 20);
+  assert.equal(gb.gbAt(s, -1), 0);
+});
+
+test('gbPhaseWarp keeps the ends and moves the boundaries', () => {
+  const s = wave(81, (u) => u);
+  const w = gb.gbPhaseWarp(s, bounds, slow);
+  assert.equal(w.length, s.length);
+  near(w[0], 0, 1e-12);
+  near(w[80], 1, 1e-12);
+  // what happened at 32 % of the original now happens at 38 %
+  near(gb.gbAt(w, 0.38), 0.32, 0.005);
+  assert.throws(() => gb.gbPhaseWarp(s, [0, 1], [0, 0.5, 1]), /matching boundary lists/);
+});
+
+test('gbPhaseWarp there and back is close to identity', () => {
+  const s = wave(80);
+  const back = gb.gbPhaseWarp(gb.gbPhaseWarp(s, bounds, slow), slow, bounds);
+  back.forEach((v, i) => near(v, s[i], 0.01, `sample ${i}:`));
+});
+
+test('gbDTW keeps a level offset on the diagonal instead of warping it away', () => {
+  const s = wave(60, () => 0.5);
+  const { path } = gb.gbDTW(vectors(s), vectors(s.map((v) => v + 0.05)));
+  assert.ok(path.every(([i, j]) => i === j));
+});
+
+test('gbDTW of a series against itself is the diagonal at zero cost', () => {
+  const s = vectors(wave(40));
+  const { path, end, cost } = gb.gbDTW(s, s);
+  assert.equal(end, 39);
+  assert.equal(cost, 0);
+  assert.deepEqual(plain(path), s.map((_, i) => [i, i]));
+});
+
+test('gbDTW paths are continuous, monotone and span both series', () => {
+  const ref = vectors(wave(60)), cur = vectors(wave(50, (u) => 0.5 + 0.4 * Math.sin(u * u * Math.PI * 2)));
+  const { path } = gb.gbDTW(ref, cur);
+  assert.deepEqual(plain(path[0]), [0, 0]);
+  assert.deepEqual(plain(path[path.length - 1]), [59, 49]);
+  path.slice(1).forEach(([i, j], k) => {
+    const [pi, pj] = path[k];
+    assert.ok(i - pi <= 1 && j - pj <= 1 && i - pi >= 0 && j - pj >= 0 && i + j > pi + pj, `step ${k}: ${pi},${pj} → ${i},${j}`);
+  });
+});
+
+test('gbWarp undoes a phase shift that index-by-index comparison cannot', () => {
+  const ref = wave(80), cur = gb.gbPhaseWarp(ref, bounds, slow);
+  const meanDev = (a) => a.reduce((s, v, i) => s + Math.abs(v - ref[i]), 0) / a.length;
+  const { path } = gb.gbDTW(vectors(ref), vectors(cur));
+  const aligned = gb.gbWarp(cur, path);
+  assert.equal(aligned.length, 80);
+  assert.ok(meanDev(cur) > 0.03, `raw deviation ${meanDev(cur)}`);
+  assert.ok(meanDev(aligned) < meanDev(cur) / 4, `aligned ${meanDev(aligned)} vs raw ${meanDev(cur)}`);
+});
+
+test('gbDTW aligns all parameters on one shared path', () => {
+  const a = wave(80), b = wave(80, (u) => u * 0.8);
+  const ref = vectors(a, b), cur = vectors(gb.gbPhaseWarp(a, bounds, slow), gb.gbPhaseWarp(b, bounds, slow));
+  const { path } = gb.gbDTW(ref, cur);
+  const warpedB = gb.gbWarp(cur.map((v) => v[1]), path);
+  warpedB.forEach((v, i) => near(v, b[i], 0.03, `sample ${i}:`));
+});
+
+test('open-ended gbDTW reports how far through the golden profile a slow run is', () => {
+  const ref = wave(80, (u) => u), cur = gb.gbPhaseWarp(ref, bounds, slow);
+  // 50 % through the slow run is (50 - 38) / (74 - 38) of React → about 45 % of the golden
+  const { end } = gb.gbDTW(vectors(ref), vectors(cur.slice(0, 41)), { open: true });
+  near(end / 79, 0.32 + ((0.5 - 0.38) / (0.74 - 0.38)) * (0.7 - 0.32), 0.03, 'golden-equivalent progress');
+});
+
+test('gbDTW rejects empty series and widens a band narrower than the length difference', () => {
+  assert.throws(() => gb.gbDTW([], [[1]]), /non-empty/);
+  const { path } = gb.gbDTW(vectors(wave(80)), vectors(wave(20)), { band: 0.01 });
+  assert.deepEqual(plain(path[path.length - 1]), [79, 19]);
+});
+
+const runsOf = (...series) => series.map((s, n) => ({ id: `R${n}`, curves: { v: s } }));
+const param = { key: 'v', tolerance: 0.06 };
+const [sigma3, sigma2, p90] = ['3s', '2s', 'p90'].map((k) => gb.GB_ENVELOPES.find((e) => e.key === k));
+
+test('gbQuantile interpolates between sorted values', () => {
+  assert.equal(gb.gbQuantile([3, 1, 2, 4], 0), 1);
+  assert.equal(gb.gbQuantile([3, 1, 2, 4], 1), 4);
+  assert.equal(gb.gbQuantile([3, 1, 2, 4], 0.5), 2.5);
+  assert.equal(gb.gbQuantile([7], 0.9), 7);
+});
+
+test('gbPhaseOf places samples in their phase, the last sample in the last phase', () => {
+  assert.equal(gb.gbPhaseOf(0, 101, bounds), 0);
+  assert.equal(gb.gbPhaseOf(12, 101, bounds), 1);
+  assert.equal(gb.gbPhaseOf(50, 101, bounds), 2);
+  assert.equal(gb.gbPhaseOf(100, 101, bounds), 4);
+});
+
+test('gbEnvelope with one golden run falls back to the fixed tolerance', () => {
+  const s = wave(80);
+  const env = gb.gbEnvelope(runsOf(s), [param], sigma3, bounds).v;
+  env.center.forEach((v, i) => near(v, s[i], 1e-12));
+  env.upper.forEach((v, i) => near(v, Math.min(1, s[i] + 0.06), 1e-12));
+  assert.throws(() => gb.gbEnvelope([], [param]), /empty/);
+});
+
+test('gbEnvelope sigma band is k times the batch-to-batch spread', () => {
+  const s = wave(80, () => 0.5);
+  const env = gb.gbEnvelope(runsOf(...[-0.02, 0, 0.02].map((d) => s.map((v) => v + d))), [param], sigma3, bounds).v;
+  env.center.forEach((v, i) => near(v, s[i], 1e-9));
+  env.phases.forEach(({ lo, hi }) => { near(hi, 0.06, 1e-9); near(lo, -0.06, 1e-9); });
+  const two = gb.gbEnvelope(runsOf(...[-0.02, 0, 0.02].map((d) => s.map((v) => v + d))), [param], sigma2, bounds).v;
+  near(two.phases[0].hi, 0.04, 1e-9);
+});
+
+test('gbEnvelope learns a separate band for each phase', () => {
+  const s = wave(81, () => 0.5);
+  // the batches only disagree during React (32–70 %)
+  const runs = runsOf(...[-0.03, 0, 0.03].map((d) => s.map((v, i) => (i >= 28 && i <= 54 ? v + d : v))));
+  const { phases } = gb.gbEnvelope(runs, [param], sigma3, bounds).v;
+  assert.ok(phases[2].hi > 0.05, `React band ${phases[2].hi}`);
+  [0, 1, 4].forEach((k) => near(phases[k].hi, 0.01, 1e-9, `phase ${k}:`));
+});
+
+test('gbEnvelope percentile band brackets the residuals and never collapses', () => {
+  const s = wave(80, () => 0.5);
+  const env = gb.gbEnvelope(runsOf(...[-0.02, -0.01, 0, 0.01, 0.02].map((d) => s.map((v) => v + d))), [param], p90, bounds).v;
+  env.phases.forEach(({ lo, hi }) => assert.ok(lo < -0.01 && hi > 0.01 && hi < 0.04, `${lo}..${hi}`));
+  const flat = gb.gbEnvelope(runsOf(s, s), [param], p90, bounds).v;
+  flat.phases.forEach(({ lo, hi }) => { near(lo, -0.01, 1e-12); near(hi, 0.01, 1e-12); });
+});
+
+test('gbEnvelope aligns the golden runs so timing jitter does not widen the band', () => {
+  const s = wave(80);
+  const jitter = [[0, 0.11, 0.3, 0.68, 0.87, 1], bounds, [0, 0.13, 0.34, 0.72, 0.89, 1]];
+  const env = gb.gbEnvelope(runsOf(...jitter.map((b) => gb.gbPhaseWarp(s, bounds, b))), [param], sigma3, bounds).v;
+  const naive = Math.max(...s.map((_, i) => Math.abs(gb.gbPhaseWarp(s, bounds, jitter[2])[i] - s[i])));
+  env.phases.forEach(({ hi }, k) => assert.ok(hi < naive, `phase ${k}: band ${hi} vs raw timing error ${naive}`));
+});
+
+// Deterministic noise, so the MSPC checks don't flake.
+const noise = (seed) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return (seed / 2147483647 - 0.5) * 2;
+};
+// Golden runs where a and b move together (a shared disturbance) and c on its own.
+const correlated = (count, n = 80, seed = 7) => {
+  const r = noise(seed);
+  return [...Array(count)].map(() => {
+    const a = [], b = [], c = [];
+    for (let i = 0; i < n; i++) {
+      const d = r() * 0.02;
+      a.push(0.5 + d + r() * 0.002);
+      b.push(0.4 + d + r() * 0.002);
+      c.push(0.6 + r() * 0.01);
+    }
+    return { a, b, c };
+  });
+};
+const centerOf = (runs, keys) => Object.fromEntries(keys.map((k) => [k, runs[0][k].map((_, i) => runs.reduce((s, r) => s + r[k][i], 0) / runs.length)]));
+
+test('gbNormalQuantile and gbChi2Quantile match tabulated values', () => {
+  near(gb.gbNormalQuantile(0.5), 0, 1e-9);
+  near(gb.gbNormalQuantile(0.975), 1.959964, 1e-6);
+  near(gb.gbNormalQuantile(0.001), -3.090232, 1e-6);
+  [[0.99, 1, 6.635], [0.99, 2, 9.210], [0.99, 3, 11.345], [0.95, 5, 11.070], [0.99, 10, 23.209]]
+    .forEach(([p, k, x]) => near(gb.gbChi2Quantile(p, k), x, x * 0.02, `χ²(${p}, ${k}):`));
+});
+
+test('gbEigen decomposes a symmetric matrix, largest eigenvalue first', () => {
+  const S = [[4, 1, 0.5], [1, 3, 0.2], [0.5, 0.2, 1]];
+  const { values, vectors } = gb.gbEigen(S);
+  assert.ok(values[0] >= values[1] && values[1] >= values[2]);
+  near(values.reduce((s, v) => s + v, 0), 8, 1e-9, 'trace');
+  vectors.forEach((v, a) => S.forEach((row, i) => near(row.reduce((s, x, j) => s + x * v[j], 0), values[a] * v[i], 1e-9, `S·v${a}[${i}]:`)));
+});
+
+test('gbFitPCA keeps enough components for the variance target and leaves one for SPE', () => {
+  const r = noise(3);
+  const rows = [...Array(200)].map(() => {
+    const z = r();
+    return [z, z + r() * 0.05, r() * 0.05];
+  });
+  const pca = gb.gbFitPCA(rows, 0.9);
+  assert.equal(pca.P.length, 1);
+  assert.ok(pca.explained > 0.9, `explained ${pca.explained}`);
+  near(Math.abs(pca.P[0][0]), Math.SQRT1_2, 0.02, 'loading on the shared direction');
+  assert.equal(gb.gbFitPCA(rows, 1).P.length, 2);
+});
+
+test('gbFitMSPC needs three golden batches and sets T² at χ²(A)', () => {
+  const keys = ['a', 'b', 'c'];
+  const runs = correlated(5);
+  assert.throws(() => gb.gbFitMSPC(runs.slice(0, 2), centerOf(runs, keys), keys), /3 or more/);
+  const model = gb.gbFitMSPC(runs, centerOf(runs, keys), keys);
+  near(model.limits.t2, gb.gbChi2Quantile(0.99, model.P.length), 1e-12);
+  assert.ok(model.limits.spe > 0);
+  // the golden runs themselves stay mostly inside their own limits
+  const samples = runs.flatMap((r) => plain(gb.gbMonitor(model, r)));
+  const out = samples.filter((s) => s.t2 > model.limits.t2 || s.spe > model.limits.spe).length;
+  assert.ok(out / samples.length < 0.05, `${out} of ${samples.length} golden samples alarm`);
+});
+
+test('SPE flags a drift that breaks the golden correlation while each band holds', () => {
+  const keys = ['a', 'b', 'c'];
+  const runs = correlated(6);
+  const center = centerOf(runs, keys);
+  const model = gb.gbFitMSPC(runs, center, keys);
+  // a up and b down by 0.015 — inside a ±3σ per-parameter band (σ ≈ 0.012), but the golden
+  // batches only ever moved them together
+  const bad = { a: center.a.map((v) => v + 0.015), b: center.b.map((v) => v - 0.015), c: center.c };
+  const band = (k) => 3 * Math.sqrt(runs.flatMap((r) => r[k].map((v, i) => (v - center[k][i]) ** 2)).reduce((s, v) => s + v, 0) / (runs.length * 80));
+  assert.ok(0.015 < band('a') && 0.015 < band('b'), `bands ${band('a')}, ${band('b')}`);
+  const mon = plain(gb.gbMonitor(model, bad, 39));
+  assert.equal(mon.length, 40);
+  assert.ok(mon.every((s) => s.spe > model.limits.spe), 'every sample over the SPE limit');
+  // moving both together is a known direction: T² rises, SPE doesn't
+  const along = { a: center.a.map((v) => v + 0.015), b: center.b.map((v) => v + 0.015), c: center.c };
+  const known = plain(gb.gbMonitor(model, along));
+  assert.ok(known.every((s) => s.spe < model.limits.spe), 'correlated move stays in the model');
+});
+
+test('gbContributions sum to the statistic and name the drifting parameters', () => {
+  const keys = ['a', 'b', 'c'];
+  const runs = correlated(6);
+  const center = centerOf(runs, keys);
+  const model = gb.gbFitMSPC(runs, center, keys);
+  const sample = plain(gb.gbMonitor(model, { a: center.a.map((v) => v + 0.03), b: center.b.map((v) => v - 0.03), c: center.c }, 10))[10];
+  const c = plain(gb.gbContributions(model, sample));
+  near(c.t2.reduce((s, v) => s + v, 0), sample.t2, 1e-9, 'T² sum');
+  near(c.spe.reduce((s, v) => s + v, 0), sample.spe, 1e-9, 'SPE sum');
+  assert.ok(c.spe[2] < c.spe[0] && c.spe[2] < c.spe[1], `c should not drive SPE: ${c.spe}`);
+});
+
+let failed = 0;
+for (const { name, fn } of cases) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`✗ ${name}\n  ${e.message.split('\n').join('\n  ')}`);
+  }
+}
+if (failed) {
+  console.error(`golden batch: ${failed} of ${cases.length} checks failed`);
+  process.exit(1);
+}
+console.log(`golden batch: ${cases.length} checks passed`);
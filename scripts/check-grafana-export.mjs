@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+// Check the playground's Grafana export against the fixture dashboards.
+// Usage: node scripts/check-grafana-export.mjs [--update]   (npm run check:grafana)
+// Every scripts/fixtures/grafana/<name>.mimic.json is exported once per data source and
+// must pass pgGrafanaProblems and match <name>.<source>.dashboard.json exactly.
+// --update rewrites the expected dashboards after an intended change — review the diff.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { ROOT, MODULE_GROUPS, loadBrowserModules, compareSnapshots, fixtureNames } from './browser-modules.mjs';
+
+const FIXTURES = path.join(ROOT, 'scripts', 'fixtures', 'grafana');
+const UPDATE = process.argv.includes('--update');
+
+const { PG_GRAFANA_SOURCES, pgParseMimic, pgGrafanaDashboard, pgGrafanaProblems } = await loadBrowserModules(MODULE_GROUPS.playground);
+const names = await fixtureNames(FIXTURES, '.mimic.json');
+
+let failed = 0;
+const cases = [];
+for (const name of names) {
+  const mimic = pgParseMimic(await fs.readFile(path.join(FIXTURES, `${name}.mimic.json`), 'utf8'));
+  for (const source of Object.keys(PG_GRAFANA_SOURCES)) {
+    const file = `${name}.${source}.dashboard.json`;
+    const actual = JSON.stringify(pgGrafanaDashboard(mimic, { datasource: source }), null, 2) + '\n';
+    const problems = pgGrafanaProblems(JSON.parse(actual));
+    if (problems.length) {
+      failed++;
+      console.error(`✗ ${path.relative(ROOT, path.join(FIXTURES, file))}\n  ${problems.join('\n  ')}`);
+      continue;
+    }
+    cases.push({ file, actual });
+  }
+}
+failed += (await compareSnapshots(FIXTURES, cases, UPDATE)).length;
+
+const checked = names.length * Object.keys(PG_GRAFANA_SOURCES).length;
+if (failed) {
+  console.error(`grafana export: ${failed} of ${checked} dashboards failed`);
+  process.exit(1);
+}
+console.log(`grafana export: ${checked} dashboards ${UPDATE ? 'updated' : 'match'} (${names.length} mimics × ${Object.keys(PG_GRAFANA_SOURCES).length} sources)`);
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+// Unit checks for the Ask section's hand-off to the contact form.
+// Usage: node scripts/check-llm-ask.mjs   (npm run check:ask)
+
+import assert from 'node:assert/strict';
+import { loadBrowserModules } from './browser-modules.mjs';
+
+const { lmContactPrefill } = await loadBrowserModules(['llm-ask.jsx']);
+const cases = [];
+const test = (name, fn) => cases.push({ name, fn });
+// Values from the vm context have its Array prototype; compare them as plain JSON.
+const plain = (v) => JSON.parse(JSON.stringify(v));
+const thread = (...contents) => contents.map((content, i) => ({ role: i % 2 ? 'assistant' : 'user', content }));
+const scope = (...contents) => plain(lmContactPrefill(thread(...contents), 'Claude').scope);
+
+test('naming Blueforge AI does not tick AI / ML', () => {
+  assert.deepEqual(scope('Can Blueforge AI build us Grafana dashboards?'), ['Dashboards']);
+  assert.deepEqual(scope('What does Blueforge AI actually deliver in an 8–12 week pilot?'), []);
+  assert.deepEqual(scope('Does BlueforgeAI do Grafana?'), ['Dashboards']);
+});
+
+test('the visitor asking about AI / ML still ticks it', () => {
+  assert.deepEqual(scope('Could Blueforge AI use AI on our compressor data?'), ['AI / ML']);
+  assert.deepEqual(scope('What is a realistic ROI for predictive maintenance?'), ['AI / ML']);
+});
+
+test('only the visitor\'s questions pick scope chips', () => {
+  assert.deepEqual(scope('We run Grafana on InfluxDB.', 'Blueforge AI builds anomaly models, custom apps and PI Vision symbols.'), ['Dashboards']);
+});
+
+test('the visitor\'s historian outranks the ones the assistant mentions', () => {
+  const p = lmContactPrefill(thread('We are on Canary.', 'Canary, AVEVA PI and PI AF all work; PI Vision too.'), 'Claude');
+  assert.equal(p.historian, 'Canary Historian');
+  assert.equal(lmContactPrefill(thread('Hello'), 'Claude').historian, undefined);
+});
+
+let failed = 0;
+for (const { name, fn } of cases) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.error(`✗ ${name}\n  ${e.message.split('\n').join('\n  ')}`);
+  }
+}
+if (failed) {
+  console.error(`ask: ${failed} of ${cases.length} checks failed`);
+  process.exit(1);
+}
+console.log(`ask: ${cases.length} checks passed`);
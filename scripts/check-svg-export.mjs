@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+// Check the playground's SVG export against the fixture drawings.
+// Usage: node scripts/check-svg-export.mjs [--update]   (npm run check:svg)
+// Every scripts/fixtures/svg/<name>.mimic.json goes through pgExportSVG once per look and must
+// match <name>.<look>.svg exactly. The symbols are the real SymbolGraphic output (rendered
+// with react-dom/server instead of the live DOM) and the palette is the site's :root block
+// in styles-bundle.min.css, so a change to either shows up in the diff.
+// --update rewrites the expected drawings after an intended change — review the diff.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import { ROOT, MODULE_GROUPS, loadBrowserModules, compareSnapshots, fixtureNames } from './browser-modules.mjs';
+
+const FIXTURES = path.join(ROOT, 'scripts', 'fixtures', 'svg');
+const UPDATE = process.argv.includes('--update');
+
+// The playground plus SymbolGraphic (sections-2.jsx) and its animation hook (viz.jsx).
+const pick = (f) => MODULE_GROUPS.playground(f) || f === 'viz.jsx' || f === 'sections-2.jsx';
+const { PG_LOOKS, SymbolGraphic, pgParseMimic, pgExportSVG } = await loadBrowserModules(pick, { React });
+
+const css = await fs.readFile(path.join(ROOT, 'styles-bundle.min.css'), 'utf8');
+const vars = Object.fromEntries([...css.match(/:root\{([^}]*)\}/)[1].matchAll(/(--[\w-]+):([^;]*)/g)].map((m) => [m[1], m[2].trim()]));
+// pgPalette: only the variables the drawing refers to.
+const palette = (markup) => Object.fromEntries((markup.match(/var\(--[\w-]+\)/g) || []).map((v) => [v.slice(4, -1), vars[v.slice(4, -1)] ?? '']));
+
+// pgSymbolMarkup: the first <svg> SymbolGraphic renders, without its CSS sizing.
+function render(kind, id, reading, props, look) {
+  const html = renderToStaticMarkup(React.createElement(SymbolGraphic, { kind, motion: 1, i: id, still: true, reading, props, look }));
+  const start = html.indexOf('<svg');
+  if (start < 0) return null;
+  let depth = 0, end = start;
+  for (const m of html.slice(start).matchAll(/<(\/?)svg\b/g)) {
+    depth += m[1] ? -1 : 1;
+    if (!depth) { end = start + m.index + '</svg>'.length; break; }
+  }
+  const svg = html.slice(start, end).replace(/^(<svg[^>]*?) style="[^"]*"/, '$1');
+  const size = (attr) => Number(svg.match(new RegExp(`^<svg[^>]* ${attr}="([^"]*)"`))[1]);
+  return { markup: svg, width: size('width'), height: size('height') };
+}
+
+const names = await fixtureNames(FIXTURES, '.mimic.json');
+
+let failed = 0;
+const cases = [];
+for (const name of names) {
+  const mimic = pgParseMimic(await fs.readFile(path.join(FIXTURES, `${name}.mimic.json`), 'utf8'));
+  for (const look of Object.keys(PG_LOOKS)) {
+    const file = `${name}.${look}.svg`;
+    const actual = pgExportSVG(mimic, look, { render, palette });
+    const left = [...new Set(actual.match(/var\(--[\w-]+\)/g) || [])];
+    if (left.length) {
+      failed++;
+      console.error(`✗ ${path.relative(ROOT, path.join(FIXTURES, file))}\n  unresolved: ${left.join(', ')}`);
+      continue;
+    }
+    cases.push({ file, actual });
+  }
+}
+failed += (await compareSnapshots(FIXTURES, cases, UPDATE)).length;
+
+const checked = names.length * Object.keys(PG_LOOKS).length;
+if (failed) {
+  console.error(`svg export: ${failed} of ${checked} drawings failed`);
+  process.exit(1);
+}
+console.log(`svg export: ${checked} drawings ${UPDATE ? 'updated' : 'match'} (${names.length} mimics × ${Object.keys(PG_LOOKS).length} looks)`);
@@ -90,15 +90,16 @@ function LogoMarquee() {
   );
 }
 
+const SERVICES = [
+  { tag: "DIGITALIZATION", title: "Plant digitalization", body: "End-to-end programs to instrument, model and integrate your asset base.", icon: "tank" },
+  { tag: "HISTORIANS", title: "AVEVA PI · Canary · TDengine", body: "Architect, deploy and tune the historian that fits your scale and budget.", icon: "stack" },
+  { tag: "DASHBOARDS", title: "Grafana dashboards", body: "Operational panels for the floor, the control room, and the C-suite.", icon: "chart" },
+  { tag: "VISUALIZATION", title: "PI Vision custom symbols", body: "Bespoke operator graphics that match the way your engineers think.", icon: "symbol" },
+  { tag: "SOFTWARE", title: "Custom software", body: "APIs, micro-frontends, internal tools — built around your operational stack.", icon: "code" },
+  { tag: "AI / ML", title: "AI & ML models", body: "Anomaly detection, soft sensors, forecast and yield optimization.", icon: "brain" },
+];
+
 function Services({ motion }) {
-  const services = [
-    { tag: "DIGITALIZATION", title: "Plant digitalization", body: "End-to-end programs to instrument, model and integrate your asset base.", icon: "tank" },
-    { tag: "HISTORIANS", title: "AVEVA PI · Canary · TDengine", body: "Architect, deploy and tune the historian that fits your scale and budget.", icon: "stack" },
-    { tag: "DASHBOARDS", title: "Grafana dashboards", body: "Operational panels for the floor, the control room, and the C-suite.", icon: "chart" },
-    { tag: "VISUALIZATION", title: "PI Vision custom symbols", body: "Bespoke operator graphics that match the way your engineers think.", icon: "symbol" },
-    { tag: "SOFTWARE", title: "Custom software", body: "APIs, micro-frontends, internal tools — built around your operational stack.", icon: "code" },
-    { tag: "AI / ML", title: "AI & ML models", body: "Anomaly detection, soft sensors, forecast and yield optimization.", icon: "brain" },
-  ];
   return (
     <section className="section" id="services" data-screen-label="02 Services">
       <div className="container">
@@ -112,7 +113,7 @@ function Services({ motion }) {
           </p>
         </div>
         <div className="tile-grid">
-          {services.map((s, i) => (
+          {SERVICES.map((s, i) => (
             <div key={s.title} className={"tile card " + (i === 0 || i === 5 ? "tile--lg" : i === 1 || i === 4 ? "tile--sm" : "")}>
               <span className="plus" style={{ top: 8, left: 8 }} />
               <span className="plus" style={{ top: 8, right: 8 }} />
@@ -246,4 +247,4 @@ function DashboardSection({ motion }) {
   );
 }
 
-Object.assign(window, { Nav, Hero, LogoMarquee, Services, HistorianSection, DashboardSection });
+Object.assign(window, { Nav, Hero, LogoMarquee, Services, HistorianSection, DashboardSection, SERVICES });
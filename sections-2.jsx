@@ -37,103 +37,23 @@ function SymbolsSection({ motion }) {
   );
 }
 
-function SymbolGraphic({ kind, motion, i }) {
+// Host for the registered symbols (playground-symbols.jsx): owns the animation clock and
+// picks the look's palette, then hands drawing to the symbol's own render.
+// `still` renders the first frame without starting the clock — used by the SVG export.
+// `reading` ({ frac, text, color }) binds the symbol to a live tag in the playground:
+// frac (0–1 of range) drives the graphic, text replaces the demo value, and color (set
+// while a limit is crossed) replaces the accent. `props` are the playground's per-kind
+// properties; without them each symbol keeps its demo look. `look` is a PG_LOOKS key.
+function SymbolGraphic({ kind, motion, i, still = false, reading = null, props = null, look = "glow" }) {
   const [t, setT] = useStS2(0);
-  useAnimationFrame((time) => setT(time * 0.001 * motion));
-  const blink = (Math.sin(t * 1.6 + i) + 1) / 2;
-  const fill = i % 3 === 0 ? "#3b82f6" : i % 3 === 1 ? "#06b6d4" : "#a78bfa";
-  switch (kind) {
-    case "vessel": {
-      const level = 0.4 + 0.3 * ((Math.sin(t * 0.5) + 1) / 2);
-      return (
-        <svg width="100" height="120" viewBox="0 0 100 120">
-          <rect x="20" y="10" width="60" height="100" rx="4" fill="rgba(10,22,40,0.9)" stroke="rgba(226,232,240,0.4)" />
-          <rect x="22" y={12 + (1 - level) * 96} width="56" height={level * 96} fill={fill} fillOpacity="0.3" />
-          <rect x="22" y={12 + (1 - level) * 96} width="56" height="2" fill={fill} />
-          <text x="50" y="65" textAnchor="middle" fontFamily="var(--font-mono)" fontSize="13" fill="var(--fg)">{(level * 100).toFixed(0)}%</text>
-          <text x="50" y="80" textAnchor="middle" fontFamily="var(--font-mono)" fontSize="8" fill="var(--fg-dim)" letterSpacing="1">TK-101</text>
-        </svg>
-      );
-    }
-    case "pump":
-      return (
-        <svg width="110" height="100" viewBox="0 0 110 100">
-          <circle cx="55" cy="50" r="32" fill="rgba(10,22,40,0.9)" stroke="rgba(226,232,240,0.4)" />
-          <g transform="translate(55 50)">
-            <g style={{ transformOrigin: "0 0", animation: `spin ${2 / motion}s linear infinite` }}>
-              <path d="M -22 0 L 22 0 M 0 -22 L 0 22" stroke={fill} strokeWidth="3" strokeLinecap="round" />
-              <circle r="6" fill={fill} />
-            </g>
-          </g>
-          <text x="55" y="92" textAnchor="middle" fontFamily="var(--font-mono)" fontSize="9" fill={fill} letterSpacing="1">RUN · {Math.round(1750 + blink * 20)}rpm</text>
-          <style>{`@keyframes spin { to { transform: rotate(360deg); } }`}</style>
-        </svg>
-      );
-    case "valve":
-      return (
-        <svg width="120" height="80" viewBox="0 0 120 80">
-          <line x1="0" y1="40" x2="40" y2="40" stroke={fill} strokeWidth="3" />
-          <line x1="80" y1="40" x2="120" y2="40" stroke={fill} strokeWidth="3" />
-          <path d="M 40 25 L 80 55 L 80 25 L 40 55 Z" fill="rgba(10,22,40,0.9)" stroke={fill} strokeWidth="1.5" />
-          <line x1="60" y1="20" x2="60" y2="5" stroke="rgba(226,232,240,0.5)" strokeWidth="2" />
-          <circle cx="60" cy="5" r="3" fill={fill} />
-          <text x="60" y="76" textAnchor="middle" fontFamily="var(--font-mono)" fontSize="9" fill="var(--fg-mute)">OPEN · 78%</text>
-        </svg>
-      );
-    case "motor":
-      return (
-        <svg width="120" height="100" viewBox="0 0 120 100">
-          <rect x="14" y="30" width="60" height="40" rx="3" fill="rgba(10,22,40,0.9)" stroke="rgba(226,232,240,0.4)" />
-          <line x1="74" y1="50" x2="100" y2="50" stroke="rgba(226,232,240,0.4)" strokeWidth="3" />
-          <circle cx="106" cy="50" r="6" fill="rgba(10,22,40,0.9)" stroke="rgba(226,232,240,0.4)" />
-          <text x="44" y="55" textAnchor="middle" fontFamily="var(--font-mono)" fontSize="11" fill={fill} letterSpacing="2">M</text>
-          <g transform="translate(14 78)">
-            {[...Array(12)].map((_, k) => {
-              const h = 4 + Math.abs(Math.sin(t * 2 + k * 0.5 + i)) * 14;
-              return <rect key={k} x={k * 5} y={-h} width="3" height={h} fill={fill} opacity="0.7" />;
-            })}
-          </g>
-        </svg>
-      );
-    case "hx":
-      return (
-        <svg width="120" height="80" viewBox="0 0 120 80">
-          <rect x="10" y="20" width="100" height="40" rx="3" fill="rgba(10,22,40,0.9)" stroke="rgba(226,232,240,0.4)" />
-          <path d="M 15 30 Q 30 30 30 40 Q 30 50 45 50 Q 60 50 60 40 Q 60 30 75 30 Q 90 30 90 40 Q 90 50 105 50" fill="none" stroke={fill} strokeWidth="1.5" />
-          <text x="60" y="74" textAnchor="middle" fontFamily="var(--font-mono)" fontSize="9" fill="var(--fg-mute)">ΔT 42°C</text>
-        </svg>
-      );
-    case "trend":
-      return (
-        <div style={{ width: 130, height: 80 }}>
-          <Sparkline width={130} height={70} color={fill} seed={i + 11} motion={motion} />
-        </div>
-      );
-    case "alarm":
-      return (
-        <svg width="120" height="100" viewBox="0 0 120 100">
-          <rect x="10" y="15" width="100" height="60" rx="3" fill="rgba(10,22,40,0.9)" stroke={fill} strokeOpacity={0.4 + blink * 0.5} />
-          <circle cx="22" cy="32" r="4" fill={fill} opacity={0.3 + blink * 0.7} />
-          <text x="34" y="35" fontFamily="var(--font-mono)" fontSize="9" fill="var(--fg)">VIB-07 HIGH</text>
-          <text x="22" y="52" fontFamily="var(--font-mono)" fontSize="8" fill="var(--fg-dim)">P-204 · 2m</text>
-          <text x="22" y="65" fontFamily="var(--font-mono)" fontSize="8" fill="var(--fg-mute)">ACK · SNOOZE</text>
-        </svg>
-      );
-    case "batch":
-      return (
-        <svg width="140" height="80" viewBox="0 0 140 80">
-          {["CHARGE","HEAT","REACT","COOL","DROP"].map((step, k) => (
-            <g key={k} transform={`translate(${k * 28}, 20)`}>
-              <rect width="24" height="20" rx="2" fill={k <= 2 ? fill : "rgba(255,255,255,0.06)"} fillOpacity={k === 2 ? 0.9 : k < 2 ? 0.5 : 1} stroke="rgba(255,255,255,0.1)" />
-              <text x="12" y="13" textAnchor="middle" fontFamily="var(--font-mono)" fontSize="6" fill={k <= 2 ? "#fff" : "var(--fg-dim)"}>{step}</text>
-            </g>
-          ))}
-          <text x="70" y="62" textAnchor="middle" fontFamily="var(--font-mono)" fontSize="9" fill={fill}>BATCH B-2206 · REACT</text>
-        </svg>
-      );
-    default:
-      return null;
-  }
+  const base = PG_LOOKS[look] || PG_LOOKS.glow;
+  const quiet = still || base.quiet;
+  useAnimationFrame((time) => setT(time * 0.001 * motion), !quiet);
+  const def = pgSymbol(kind);
+  if (!def) return null;
+  const c = { ...base, fill: (reading && reading.color) || base.fills[i % base.fills.length] };
+  const blink = base.quiet ? 1 : (Math.sin(t * 1.6 + i) + 1) / 2;
+  return def.render({ c, t, blink, i, reading, props: props || {}, still: quiet, motion });
 }
 
 function AISection({ motion }) {
@@ -222,14 +142,17 @@ function SoftwareSection({ motion }) {
   );
 }
 
+// The five engagement phases. `weeks` is the baseline [min, max] the copy promises
+// (null = sized per project); PilotEstimator scales it to a visitor's inputs.
+const PROCESS_STEPS = [
+  { num: "01", title: "Discover", body: "Two-week embed with your ops and IT teams. We map every data source, every owner, every pain.", weeks: [2, 2], deliverable: "Data-source register · stakeholder map · risk log" },
+  { num: "02", title: "Architect", body: "Reference architecture that fits your existing OT/IT split. Historian choice, asset model, integration patterns.", weeks: [2, 4], deliverable: "Architecture doc · scoring matrix · pilot plan" },
+  { num: "03", title: "Pilot", body: "One unit, one historian, one set of dashboards. End-to-end, production-grade, in 8–12 weeks.", weeks: [8, 12], deliverable: "Live pilot · operator training · success metrics" },
+  { num: "04", title: "Scale", body: "Templated rollout to remaining units and sites. We hand over with documentation your team can actually maintain.", weeks: null, deliverable: "Rollout playbook · runbooks · trained engineers" },
+  { num: "05", title: "Operate", body: "Optional managed-service tier — we keep the historian healthy, models retrained, and dashboards loved.", weeks: null, deliverable: "SLAs · on-call · quarterly business reviews" },
+];
+
 function ProcessSection({ motion }) {
-  const steps = [
-    { num: "01", title: "Discover", body: "Two-week embed with your ops and IT teams. We map every data source, every owner, every pain.", deliverable: "Data-source register · stakeholder map · risk log" },
-    { num: "02", title: "Architect", body: "Reference architecture that fits your existing OT/IT split. Historian choice, asset model, integration patterns.", deliverable: "Architecture doc · scoring matrix · pilot plan" },
-    { num: "03", title: "Pilot", body: "One unit, one historian, one set of dashboards. End-to-end, production-grade, in 8–12 weeks.", deliverable: "Live pilot · operator training · success metrics" },
-    { num: "04", title: "Scale", body: "Templated rollout to remaining units and sites. We hand over with documentation your team can actually maintain.", deliverable: "Rollout playbook · runbooks · trained engineers" },
-    { num: "05", title: "Operate", body: "Optional managed-service tier — we keep the historian healthy, models retrained, and dashboards loved.", deliverable: "SLAs · on-call · quarterly business reviews" },
-  ];
   return (
     <section className="section" id="process" data-screen-label="09 Process">
       <div className="container">
@@ -243,7 +166,7 @@ function ProcessSection({ motion }) {
           </p>
         </div>
         <div>
-          {steps.map((s) => (
+          {PROCESS_STEPS.map((s) => (
             <div key={s.num} className="process-step">
               <div className="process-num">{s.num}</div>
               <div>
@@ -296,94 +219,274 @@ function ContactSection() {
   );
 }
 
-// To wire this form to an automated delivery service, replace FORM_ENDPOINT with a real URL.
-// Drop-in options (no backend code needed):
-//   Formspree  — https://formspree.io/f/YOUR_ID
-//   Web3Forms  — https://api.web3forms.com/submit  (add hidden access_key input)
-//   Netlify    — if hosted on Netlify, add `data-netlify="true"` to <form>
-// Until then, the form opens the visitor's email client with the message pre-filled.
-const FORM_ENDPOINT = ""; // e.g. "https://formspree.io/f/xxxxxxxx"
+// Submissions go to the same-origin endpoint in server/contact.mjs (validation, outbox,
+// SMTP/webhook delivery — see BUILD.md). If it can't be reached they wait in the
+// IndexedDB queue (contact-outbox.jsx); on a static host with no /api at all (404/405)
+// the form falls back to opening the visitor's email client with the message pre-filled.
+const FORM_ENDPOINT = "/api/contact";
 
+// Prefill hand-off into ContactForm from other sections (e.g. the Ask widget).
+// Payload: { historian?, scope?: [], answers?: { key: option }, estimate?, message?, source }. Kept in sessionStorage so it
+// survives a reload, and broadcast as an event so a mounted form picks it up at once.
+const CF_HANDOFF_KEY = "bf.contact.handoff";
+const CF_HANDOFF_EVENT = "bf:contact-handoff";
+
+function handOffToContact(prefill) {
+  try { sessionStorage.setItem(CF_HANDOFF_KEY, JSON.stringify(prefill)); } catch (_) { /* private mode */ }
+  window.dispatchEvent(new CustomEvent(CF_HANDOFF_EVENT, { detail: prefill }));
+  const el = document.getElementById("contact");
+  if (el) el.scrollIntoView({ behavior: "smooth" });
+  history.replaceState(null, "", "#contact");
+}
+
+function readContactHandoff() {
+  try { return JSON.parse(sessionStorage.getItem(CF_HANDOFF_KEY) || "null"); } catch (_) { return null; }
+}
+
+function clearContactHandoff() {
+  try { sessionStorage.removeItem(CF_HANDOFF_KEY); } catch (_) { /* private mode */ }
+}
+
+function applyHandoff(s, h) {
+  if (!h) return s;
+  return {
+    ...s,
+    historian: CF_HISTORIANS.includes(h.historian) ? h.historian : s.historian,
+    scope: [...new Set([...s.scope, ...(h.scope || []).filter((k) => CF_SCOPES.includes(k))])],
+    ...Object.fromEntries(Object.entries(h.answers || {}).filter(([k, v]) => CF_QUESTIONS[k] && CF_QUESTIONS[k].options && CF_QUESTIONS[k].options.includes(v))),
+    estimate: h.estimate || s.estimate,
+    message: h.message || s.message,
+  };
+}
+
+const cfChipStyle = (on) => ({ borderColor: on ? "var(--accent)" : "var(--line)", color: on ? "var(--fg)" : "var(--fg-mute)", background: on ? "rgba(59,130,246,0.12)" : "transparent" });
+
+// Stepped qualification form. Questions, branching and rules live in contact-wizard.jsx;
+// this component only walks CF_STEPS, validates one step at a time and submits.
 function ContactForm() {
-  const [state, setState] = useStS2({ name: "", email: "", company: "", historian: "AVEVA PI", scope: [], message: "", website: "" /* honeypot */ });
-  const [sent, setSent] = useStS2(false);
+  const [restored] = useStS2(() => cfLoadProgress());
+  const [state, setState] = useStS2(() => applyHandoff(restored ? restored.values : CF_INITIAL, readContactHandoff()));
+  const [step, setStep] = useStS2(() => (restored ? restored.step : 0));
+  const [handoff, setHandoff] = useStS2(() => readContactHandoff());
+  const [sent, setSent] = useStS2(false); // false | "delivered" | "queued" | "mailto" | "rejected"
   const [sending, setSending] = useStS2(false);
   const [err, setErr] = useStS2("");
+  const [errors, setErrors] = useStS2({});
+  const [summary, setSummary] = useStS2(null); // field keys that failed on the last attempt
   const formLoadedAt = React.useRef(Date.now());
-  const toggle = (k) => setState((s) => ({ ...s, scope: s.scope.includes(k) ? s.scope.filter((x) => x !== k) : [...s.scope, k] }));
+  const titleRef = React.useRef(null);
+  const moved = React.useRef(false);
+  const last = CF_STEPS.length - 1;
+  React.useEffect(() => {
+    const on = (e) => { setState((s) => applyHandoff(s, e.detail)); setHandoff(e.detail); };
+    window.addEventListener(CF_HANDOFF_EVENT, on);
+    return () => window.removeEventListener(CF_HANDOFF_EVENT, on);
+  }, []);
+  React.useEffect(() => {
+    // A queued message that went out after reconnecting upgrades the confirmation; one the
+    // server refused for good replaces it (or the blank form, after a reload) with a notice.
+    const on = (e) => setSent((v) => (e.detail.rejected ? "rejected" : v === "queued" ? "delivered" : v));
+    window.addEventListener(CF_QUEUE_EVENT, on);
+    return () => window.removeEventListener(CF_QUEUE_EVENT, on);
+  }, []);
+  React.useEffect(() => { if (!sent) cfSaveProgress(step, state); }, [step, state, sent]);
+  // Solve the send's proof-of-work while the visitor types the last answers.
+  React.useEffect(() => { if (step === last) powPrefetch("contact"); }, [step]);
+  // Moving between steps puts focus on the new step's heading so screen readers announce it.
+  React.useEffect(() => { if (moved.current && titleRef.current) titleRef.current.focus(); }, [step]);
+  // After a failed attempt, errors track the input live so they clear as fields are fixed.
+  React.useEffect(() => { if (summary) setErrors(cfValidate(state, cfStepSchema(step, state))); }, [state, summary, step]);
+  const set = (key, value) => setState((s) => ({ ...s, [key]: value }));
+  const toggle = (key, k) => setState((s) => ({ ...s, [key]: s[key].includes(k) ? s[key].filter((x) => x !== k) : [...s[key], k] }));
+  const focusField = (key) => {
+    const el = document.getElementById(CF_QUESTIONS[key].id);
+    const target = el && (el.matches("input, select, textarea") ? el : el.querySelector("input, button"));
+    if (target) target.focus();
+  };
+  const a11y = (key) => errors[key] ? { "aria-invalid": true, "aria-describedby": `${CF_QUESTIONS[key].id}-err` } : {};
+  const fieldError = (key) => errors[key] && <p id={`${CF_QUESTIONS[key].id}-err`} className="cf-error">{errors[key]}</p>;
+  const goTo = (n) => { moved.current = true; setErrors({}); setSummary(null); setStep(n); };
+  const dropHandoff = () => { clearContactHandoff(); setHandoff(null); };
+  const startOver = () => { cfClearProgress(); setState(CF_INITIAL); goTo(0); };
+  // Validate step n; on failure show it (switching steps if needed) and report false.
+  const check = (n) => {
+    const invalid = cfValidate(state, cfStepSchema(n, state));
+    const keys = Object.keys(invalid);
+    if (!keys.length) return true;
+    if (n !== step) goTo(n);
+    setErrors(invalid);
+    setSummary(keys);
+    if (n === step) focusField(keys[0]);
+    return false;
+  };
   const submit = async (e) => {
     e.preventDefault();
     setErr("");
     // Anti-spam: honeypot must stay empty; submission < 2s = bot
-    if (state.website) { setSent(true); return; }
+    if (state.website) { setSent("delivered"); return; }
+    if (step < last) { if (check(step)) goTo(step + 1); return; }
+    // Earlier steps can go stale (a hand-off edits scope, a branch appears) — recheck all.
+    for (let n = 0; n <= last; n++) if (!check(n)) return;
     if (Date.now() - formLoadedAt.current < 2000) {
       setErr("Please take a moment to fill the form, then try again.");
       return;
     }
-    if (FORM_ENDPOINT) {
-      setSending(true);
+    const payload = { ...cfPayload(state), elapsedMs: Date.now() - formLoadedAt.current };
+    const done = (how) => { clearContactHandoff(); cfClearProgress(); setSent(how); };
+    setSending(true);
+    let res = null;
+    try {
+      res = await powFetch("contact", FORM_ENDPOINT, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Accept: "application/json" },
+        body: JSON.stringify(payload),
+      });
+    } catch (_) { /* offline — queued below */ }
+    setSending(false);
+    if (res && res.ok) { done("delivered"); return; }
+    if (!res || res.status >= 500) {
       try {
-        const res = await fetch(FORM_ENDPOINT, {
-          method: "POST",
-          headers: { "Content-Type": "application/json", Accept: "application/json" },
-          body: JSON.stringify({ ...state, scope: state.scope.join(", "), _subject: `New inquiry from ${state.name} · ${state.company}` }),
-        });
-        if (!res.ok) throw new Error("send-failed");
-        setSent(true);
+        await cfQueuePut(FORM_ENDPOINT, payload);
+        done("queued");
       } catch (_) {
         setErr("We couldn't deliver the message. Please email info@blueforgeai.com directly — we'll reply within two business days.");
       }
-      setSending(false);
       return;
     }
-    const body = `Name: ${state.name}\nWork email: ${state.email}\nCompany / site: ${state.company}\nPrimary historian: ${state.historian}\nScope of interest: ${state.scope.join(", ") || "—"}\n\nMessage:\n${state.message}`;
+    if (res.status === 429) {
+      setErr("Too many messages from this connection — please try again in an hour, or email info@blueforgeai.com directly.");
+      return;
+    }
+    // The spam check turned down even a fresh stamp — nothing wrong with the answers.
+    if (await powRejected(res)) {
+      setErr("We couldn't send that just now — please try again in a minute, or email info@blueforgeai.com directly.");
+      return;
+    }
+    if (res.status !== 404 && res.status !== 405) {
+      setErr("Something in the form didn't go through — please check your answers and try again.");
+      return;
+    }
+    // No backend on this host — hand the message to the visitor's mail client instead.
     const subject = `New inquiry from ${state.name || "website"}${state.company ? " · " + state.company : ""}`;
-    window.location.href = `mailto:info@blueforgeai.com?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
-    setSent(true);
+    window.location.href = `mailto:info@blueforgeai.com?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(cfEmailBody(state))}`;
+    done("mailto");
+  };
+  const question = (key) => {
+    const q = CF_QUESTIONS[key];
+    const label = q.prompt || q.label;
+    const cls = `field${q.full || q.type === "textarea" || q.type === "chips" || q.type === "choice" ? " field--full" : ""}`;
+    if (q.type === "chips" || q.type === "choice") {
+      const group = { id: q.id, "aria-labelledby": `${q.id}-lbl`, ...a11y(key) };
+      return (
+        <div className={cls} key={key}>
+          <span id={`${q.id}-lbl`} className="cf-label">{label}</span>
+          {q.type === "chips" ? (
+            <div className="chips" role="group" {...group}>
+              {q.options.map((k) => (
+                <button type="button" key={k} className="chip" aria-pressed={state[key].includes(k)} onClick={() => toggle(key, k)} style={cfChipStyle(state[key].includes(k))}>
+                  {state[key].includes(k) ? "✓ " : "+ "}{k}
+                </button>
+              ))}
+            </div>
+          ) : (
+            <div className="chips" role="radiogroup" aria-required={q.required || undefined} {...group}>
+              {q.options.map((k) => (
+                <label key={k} className="chip cf-choice" style={cfChipStyle(state[key] === k)}>
+                  <input type="radio" className="sr-only" name={q.id} value={k} checked={state[key] === k} onChange={() => set(key, k)} />{k}
+                </label>
+              ))}
+            </div>
+          )}
+          {fieldError(key)}
+        </div>
+      );
+    }
+    return (
+      <div className={cls} key={key}>
+        <label htmlFor={q.id}>{label}</label>
+        {q.type === "select" ? (
+          <select id={q.id} value={state[key]} onChange={(e) => set(key, e.target.value)} {...a11y(key)}>
+            {q.options.map((o) => <option key={o}>{o}</option>)}
+          </select>
+        ) : q.type === "textarea" ? (
+          <textarea id={q.id} value={state[key]} onChange={(e) => set(key, e.target.value)} placeholder={q.placeholder} required={q.required} {...a11y(key)} />
+        ) : (
+          <input id={q.id} type={q.type} autoComplete={q.autoComplete} value={state[key]} onChange={(e) => set(key, e.target.value)} required={q.required} {...a11y(key)} />
+        )}
+        {fieldError(key)}
+        {q.workEmail && cfIsFreeMail(state[key]) && (
+          <label className="cf-check"><input type="checkbox" checked={state[q.workEmail]} onChange={(e) => set(q.workEmail, e.target.checked)} /> This is the right address — I don't have a work email</label>
+        )}
+      </div>
+    );
   };
   if (sent) return (
     <div className="card" style={{ padding: 40, display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", gap: 14, minHeight: 380 }}>
-      <div style={{ width: 56, height: 56, borderRadius: "50%", background: "rgba(16,185,129,0.15)", display: "flex", alignItems: "center", justifyContent: "center" }}>
-        <svg width="28" height="28" viewBox="0 0 24 24"><path d="M5 12 L10 17 L20 7" fill="none" stroke="var(--ok)" strokeWidth="2" strokeLinecap="round" /></svg>
+      <div style={{ width: 56, height: 56, borderRadius: "50%", background: sent === "rejected" ? "rgba(239,68,68,0.15)" : "rgba(16,185,129,0.15)", display: "flex", alignItems: "center", justifyContent: "center" }}>
+        {sent === "rejected"
+          ? <svg width="28" height="28" viewBox="0 0 24 24"><path d="M12 7 V13 M12 17 V17.5" fill="none" stroke="var(--bad)" strokeWidth="2" strokeLinecap="round" /></svg>
+          : <svg width="28" height="28" viewBox="0 0 24 24"><path d="M5 12 L10 17 L20 7" fill="none" stroke="var(--ok)" strokeWidth="2" strokeLinecap="round" /></svg>}
       </div>
-      <h3>Message ready to send</h3>
-      <p style={{ textAlign: "center", maxWidth: 340 }}>Your email client should have opened with the details pre-filled. If it didn't, write to us directly at <span className="mono" style={{ color: "var(--accent-2)" }}>info@blueforgeai.com</span>. We reply within two business days.</p>
+      <h3>{sent === "delivered" ? "Message sent" : sent === "queued" ? "Message saved — sending when you're back online" : sent === "rejected" ? "Your saved message wasn't sent" : "Finish in your email client"}</h3>
+      <p style={{ textAlign: "center", maxWidth: 340 }}>
+        {sent === "delivered" && <>Thanks — it's with the team. We reply within two business days.</>}
+        {sent === "queued" && <>We couldn't reach our server just now. The message is stored in this browser and will go out automatically once the connection is back. In a hurry? Write to <span className="mono" style={{ color: "var(--accent-2)" }}>info@blueforgeai.com</span>.</>}
+        {sent === "rejected" && <>Our server turned down the message this browser was holding for you, so it has been discarded. Please write to us directly at <span className="mono" style={{ color: "var(--accent-2)" }}>info@blueforgeai.com</span> — we reply within two business days.</>}
+        {sent === "mailto" && <>We opened your email client with the details pre-filled — the message is only sent once you press send there. If nothing opened, write to us directly at <span className="mono" style={{ color: "var(--accent-2)" }}>info@blueforgeai.com</span>.</>}
+      </p>
     </div>
   );
+  const shown = summary ? summary.filter((k) => errors[k]) : [];
   return (
     <form className="card" onSubmit={submit} style={{ padding: 28 }} noValidate>
       {/* Honeypot field - bots fill it, humans never see it */}
       <div aria-hidden="true" style={{ position: "absolute", left: "-10000px", width: 1, height: 1, overflow: "hidden" }}>
-        <label>Website (leave blank)<input type="text" tabIndex={-1} autoComplete="off" value={state.website} onChange={(e) => setState({ ...state, website: e.target.value })} /></label>
+        <label>Website (leave blank)<input type="text" tabIndex={-1} autoComplete="off" value={state.website} onChange={(e) => set("website", e.target.value)} /></label>
       </div>
-      <div className="form">
-        <div className="field"><label htmlFor="cf-name">Name</label><input id="cf-name" autoComplete="name" value={state.name} onChange={(e) => setState({ ...state, name: e.target.value })} required /></div>
-        <div className="field"><label htmlFor="cf-email">Work email</label><input id="cf-email" type="email" autoComplete="email" value={state.email} onChange={(e) => setState({ ...state, email: e.target.value })} required /></div>
-        <div className="field field--full"><label htmlFor="cf-company">Company / site</label><input id="cf-company" autoComplete="organization" value={state.company} onChange={(e) => setState({ ...state, company: e.target.value })} /></div>
-        <div className="field field--full">
-          <label htmlFor="cf-historian">Primary historian</label>
-          <select id="cf-historian" value={state.historian} onChange={(e) => setState({ ...state, historian: e.target.value })}>
-            <option>AVEVA PI</option><option>Canary Historian</option><option>TDengine</option><option>InfluxDB / Timescale</option><option>None yet</option>
-          </select>
+      {handoff && (
+        <div className="cf-handoff" role="status">
+          <span>Pre-filled from your {handoff.source || "conversation"} — edit anything before sending.</span>
+          <button type="button" className="lm-link" onClick={dropHandoff}>Dismiss</button>
+        </div>
+      )}
+      <div className="cf-progress">
+        <ol className="cf-steps">
+          {CF_STEPS.map((s, i) => (
+            <li key={s.title} aria-current={i === step ? "step" : undefined} className={i < step ? "is-done" : i === step ? "is-current" : ""}>
+              {i < step ? <button type="button" onClick={() => goTo(i)}>{s.title}</button> : s.title}
+            </li>
+          ))}
+        </ol>
+        <div className="cf-progress__head">
+          <h3 ref={titleRef} tabIndex={-1}>Step {step + 1} of {CF_STEPS.length} · {CF_STEPS[step].title}</h3>
+          {step > 0 && <button type="button" className="lm-link" onClick={startOver}>Start over</button>}
+        </div>
+      </div>
+      {state.estimate && (
+        <div className="cf-attachment">
+          <span>Pilot plan attached · Discover → Scale {cfWeeks(state.estimate.total)}</span>
+          <button type="button" className="lm-link" onClick={() => set("estimate", null)}>Remove</button>
         </div>
-        <div className="field field--full" role="group" aria-labelledby="cf-scope-lbl">
-          <label id="cf-scope-lbl">Scope of interest</label>
-          <div className="chips">
-            {["Digitalization","Dashboards","PI Vision symbols","AI / ML","Custom software"].map((k) => (
-              <button type="button" key={k} className="chip" aria-pressed={state.scope.includes(k)} onClick={() => toggle(k)}
-                style={{ borderColor: state.scope.includes(k) ? "var(--accent)" : "var(--line)", color: state.scope.includes(k) ? "var(--fg)" : "var(--fg-mute)", background: state.scope.includes(k) ? "rgba(59,130,246,0.12)" : "transparent" }}>
-                {state.scope.includes(k) ? "✓ " : "+ "}{k}
-              </button>
+      )}
+      {shown.length > 0 && (
+        <div className="cf-summary" role="alert">
+          <strong>Please check {shown.length === 1 ? "one field" : `${shown.length} fields`}:</strong>
+          <ul>
+            {shown.map((k) => (
+              <li key={k}><a href={`#${CF_QUESTIONS[k].id}`} onClick={(e) => { e.preventDefault(); focusField(k); }}>{CF_QUESTIONS[k].label}</a> — {errors[k]}</li>
             ))}
-          </div>
+          </ul>
         </div>
-        <div className="field field--full"><label htmlFor="cf-msg">What's the situation?</label><textarea id="cf-msg" value={state.message} onChange={(e) => setState({ ...state, message: e.target.value })} placeholder="A few lines about your stack and what you'd like to change…" /></div>
-        <div className="field field--full">
-          <button type="submit" disabled={sending} className="btn btn--primary" style={{ width: "100%", justifyContent: "center", padding: "16px", opacity: sending ? 0.6 : 1 }}>
-            {sending ? "Sending…" : "Send message"} <span className="arrow">→</span>
+      )}
+      <div className="form">
+        {CF_STEPS[step].fields.filter((k) => cfVisible(CF_QUESTIONS[k], state)).map(question)}
+        <div className="field field--full cf-nav">
+          {step > 0 && <button type="button" className="btn" onClick={() => goTo(step - 1)}>← Back</button>}
+          <button type="submit" disabled={sending} className="btn btn--primary" style={{ flex: 1, justifyContent: "center", padding: "16px", opacity: sending ? 0.6 : 1 }}>
+            {step < last ? "Next" : sending ? "Sending…" : "Send message"} <span className="arrow">→</span>
           </button>
-          {err && <p role="alert" style={{ marginTop: 12, fontSize: 13, color: "var(--bad, #ef4444)" }}>{err}</p>}
         </div>
+        {err && <p role="alert" className="field--full" style={{ fontSize: 13, color: "var(--bad, #ef4444)" }}>{err}</p>}
       </div>
     </form>
   );
@@ -443,4 +546,4 @@ function Footer() {
   );
 }
 
-Object.assign(window, { SymbolsSection, AISection, SoftwareSection, ProcessSection, ContactSection, Footer });
+Object.assign(window, { SymbolGraphic, SymbolsSection, AISection, SoftwareSection, ProcessSection, ContactSection, Footer, handOffToContact, PROCESS_STEPS });
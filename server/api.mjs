@@ -0,0 +1,24 @@
+// Route table for the same-origin /api endpoints. Mounted by the Vite plugin in
+// vite.config.js (dev + preview) and by server/index.mjs when run standalone.
+
+import { createAskHandler } from "./llm-proxy.mjs";
+import { createContactHandler } from "./contact.mjs";
+import { createGuard } from "./guard.mjs";
+import { sendJSON } from "./http.mjs";
+
+export function createApi({ env = process.env } = {}) {
+  const guard = createGuard({ env });
+  const routes = {
+    "/api/challenge": guard.challenge,
+    "/api/ask": guard.protect("ask", createAskHandler({ env })),
+    "/api/contact": guard.protect("contact", createContactHandler({ env })),
+  };
+  return (req, res, next) => {
+    const path = (req.url || "").split("?")[0];
+    const handler = routes[path];
+    if (handler) return handler(req, res, () => sendJSON(res, 405, { error: "method-not-allowed" }));
+    if (path.startsWith("/api/")) return sendJSON(res, 404, { error: "not-found" });
+    if (next) return next();
+    sendJSON(res, 404, { error: "not-found" });
+  };
+}
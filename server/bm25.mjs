@@ -0,0 +1,43 @@
+// Minimal Okapi BM25 over the Ask corpus (server/ask-corpus.json). The corpus is a few
+// dozen short passages, so an in-memory inverted index built at startup is plenty.
+
+const K1 = 1.2;
+const B = 0.75;
+
+const STOP = new Set("a an and are as at be by can do does for from how i in is it of on or our so that the this to vs was we what when where which who why with you your".split(" "));
+
+export function tokenize(text) {
+  return (text.toLowerCase().normalize("NFKD").match(/[a-z0-9]+/g) || []).filter((t) => !STOP.has(t));
+}
+
+export function createIndex(passages) {
+  const docs = passages.map((p) => {
+    const terms = tokenize(`${p.title} ${p.title} ${p.section} ${p.text}`);
+    const tf = new Map();
+    terms.forEach((t) => tf.set(t, (tf.get(t) || 0) + 1));
+    return { passage: p, tf, len: terms.length };
+  });
+  const df = new Map();
+  docs.forEach((d) => d.tf.forEach((_, t) => df.set(t, (df.get(t) || 0) + 1)));
+  const avgLen = docs.reduce((s, d) => s + d.len, 0) / (docs.length || 1);
+  const N = docs.length;
+  const idf = (t) => Math.log(1 + (N - (df.get(t) || 0) + 0.5) / ((df.get(t) || 0) + 0.5));
+
+  // Top-k passages with a positive score, best first.
+  const search = (query, k = 4) => {
+    const q = [...new Set(tokenize(query))];
+    return docs
+      .map((d) => {
+        let score = 0;
+        q.forEach((t) => {
+          const f = d.tf.get(t);
+          if (f) score += idf(t) * (f * (K1 + 1)) / (f + K1 * (1 - B + B * d.len / avgLen));
+        });
+        return { passage: d.passage, score };
+      })
+      .filter((r) => r.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  };
+  return { search, size: N };
+}
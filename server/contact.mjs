@@ -0,0 +1,237 @@
+// Contact form delivery for ContactForm (sections-2.jsx).
+// POST /api/contact → validate → write to a file outbox → deliver via webhook or SMTP.
+// Every accepted message is on disk before we answer, so a flaky mail server never loses
+// one: failed deliveries stay in outbox/pending and are retried in the background.
+//
+// Env:
+//   CONTACT_WEBHOOK_URL         POST the message as JSON (Slack/Teams relay, Zapier, CRM…)
+//   SMTP_HOST / SMTP_PORT       send as email (465 = implicit TLS, otherwise STARTTLS)
+//   SMTP_USER / SMTP_PASS       optional SMTP auth
+//   CONTACT_TO / CONTACT_FROM   defaults: info@blueforgeai.com / no-reply@blueforgeai.com
+//   CONTACT_OUTBOX              outbox directory (default: server/outbox)
+// With neither webhook nor SMTP configured, messages are delivered to outbox/sent only.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+import { HttpError, readJSON, sendJSON, sendError, markRejected } from "./http.mjs";
+
+// Mirror CF_HISTORIANS / CF_SCOPES / CF_QUESTIONS in contact-wizard.jsx.
+const HISTORIANS = ["AVEVA PI", "Canary Historian", "TDengine", "InfluxDB / Timescale", "None yet"];
+const SCOPES = ["Digitalization", "Dashboards", "PI Vision symbols", "AI / ML", "Custom software"];
+
+// Qualification answers (wizard steps 2–4), in email order. Free text up to 200 chars —
+// the option lists change more often than this file should.
+const QUALIFICATION = {
+  dcs: "DCS / control system",
+  tagCount: "Tag count",
+  sites: "Sites",
+  dataHistory: "Process history",
+  piVersion: "PI version",
+  timeline: "Timeline",
+  budget: "Budget band",
+};
+
+const MIN_FILL_MS = 2000; // same threshold as the client-side timer
+const RETRY_MS = 60 * 1000;
+const MAX_ATTEMPTS = 20;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+const DEFAULT_OUTBOX = path.join(path.dirname(fileURLToPath(import.meta.url)), "outbox");
+
+function field(body, key, max, required = false) {
+  const v = typeof body[key] === "string" ? body[key].trim() : "";
+  if (required && !v) throw new HttpError(400, `missing-${key}`);
+  if (v.length > max) throw new HttpError(400, `${key}-too-long`);
+  return v;
+}
+
+const weeks = (w) => (Array.isArray(w) && w.length === 2 && w.every((n) => Number.isInteger(n) && n >= 0 && n < 1000) ? w : null);
+const fmtWeeks = (w) => (!w ? "ongoing" : w[0] === w[1] ? `${w[0]} weeks` : `${w[0]}–${w[1]} weeks`);
+
+// Pilot plan from the site's estimator (pilot-estimator.jsx). Untrusted like the rest of
+// the body, so it is cut down to the known shape and bounded in size.
+function cleanEstimate(e) {
+  if (!e || typeof e !== "object" || !Array.isArray(e.phases)) return undefined;
+  const str = (v, max) => String(v == null ? "" : v).slice(0, max);
+  const inputs = {};
+  Object.entries(e.inputs && typeof e.inputs === "object" ? e.inputs : {}).slice(0, 12).forEach(([k, v]) => {
+    if (["string", "number", "boolean"].includes(typeof v)) inputs[str(k, 40)] = typeof v === "string" ? str(v, 80) : v;
+  });
+  return {
+    inputs,
+    total: weeks(e.total),
+    phases: e.phases.slice(0, 8).map((p) => ({
+      title: str(p && p.title, 40),
+      weeks: weeks(p && p.weeks),
+      deliverable: str(p && p.deliverable, 200),
+      items: (Array.isArray(p && p.items) ? p.items : []).slice(0, 8).map((x) => str(x, 200)),
+    })),
+  };
+}
+
+// Returns the normalized message, or null for a honeypot hit (accepted, silently dropped).
+export function validateContact(body) {
+  if (!body || typeof body !== "object") throw new HttpError(400, "bad-request");
+  if (body.website) return null;
+  const elapsed = Number(body.elapsedMs);
+  if (!Number.isFinite(elapsed) || elapsed < MIN_FILL_MS) throw new HttpError(400, "too-fast");
+  const email = field(body, "email", 200, true);
+  if (!EMAIL_RE.test(email)) throw new HttpError(400, "bad-email");
+  const scope = (Array.isArray(body.scope) ? body.scope : String(body.scope || "").split(","))
+    .map((s) => String(s).trim()).filter((s) => SCOPES.includes(s));
+  const q = body.qualification && typeof body.qualification === "object" ? body.qualification : {};
+  const qualification = {};
+  for (const key of Object.keys(QUALIFICATION)) {
+    const v = field(q, key, 200);
+    if (v) qualification[key] = v;
+  }
+  return {
+    name: field(body, "name", 120, true),
+    email,
+    company: field(body, "company", 200),
+    historian: HISTORIANS.includes(body.historian) ? body.historian : "None yet",
+    scope: [...new Set(scope)],
+    message: field(body, "message", 5000),
+    qualification,
+    estimate: cleanEstimate(body.estimate),
+  };
+}
+
+export function formatEmail(msg) {
+  const subject = `New inquiry from ${msg.name}${msg.company ? " · " + msg.company : ""}`;
+  const qualification = Object.entries(QUALIFICATION)
+    .filter(([key]) => msg.qualification && msg.qualification[key])
+    .map(([key, label]) => `\n${label}: ${msg.qualification[key]}`).join("");
+  const estimate = msg.estimate
+    ? `\n\nPilot estimate (Discover → Scale: ${fmtWeeks(msg.estimate.total)})${msg.estimate.phases.map((p) => `\n  ${p.title} — ${fmtWeeks(p.weeks)}: ${p.deliverable}`).join("")}`
+    : "";
+  const text = `Name: ${msg.name}\nWork email: ${msg.email}\nCompany / site: ${msg.company || "—"}\nPrimary historian: ${msg.historian}\nScope of interest: ${msg.scope.join(", ") || "—"}${qualification}${estimate}\n\nMessage:\n${msg.message || "—"}`;
+  return { subject, text };
+}
+
+// Each adapter: async (entry, env) => void — throws to leave the entry pending.
+const ADAPTERS = {
+  webhook: async ({ message, id, receivedAt }, env) => {
+    const res = await fetch(env.CONTACT_WEBHOOK_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ id, receivedAt, ...message, ...formatEmail(message) }),
+      signal: AbortSignal.timeout(15000),
+    });
+    if (!res.ok) throw new Error(`webhook ${res.status}`);
+  },
+  smtp: async ({ message }, env) => {
+    const { default: nodemailer } = await import("nodemailer");
+    const port = Number(env.SMTP_PORT) || 587;
+    const transport = nodemailer.createTransport({
+      host: env.SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+    });
+    const { subject, text } = formatEmail(message);
+    await transport.sendMail({
+      from: env.CONTACT_FROM || "Blueforge AI website <no-reply@blueforgeai.com>",
+      to: env.CONTACT_TO || "info@blueforgeai.com",
+      replyTo: `${message.name} <${message.email}>`,
+      subject,
+      text,
+    });
+  },
+  // No transport configured: outbox/sent is the inbox.
+  file: async () => {},
+};
+
+function pickAdapter(env) {
+  if (env.CONTACT_WEBHOOK_URL) return ADAPTERS.webhook;
+  if (env.SMTP_HOST) return ADAPTERS.smtp;
+  return ADAPTERS.file;
+}
+
+export function createOutbox({ env = process.env, dir = env.CONTACT_OUTBOX || DEFAULT_OUTBOX } = {}) {
+  const pending = path.join(dir, "pending");
+  const sent = path.join(dir, "sent");
+  const ready = Promise.all([fs.mkdir(pending, { recursive: true }), fs.mkdir(sent, { recursive: true })]);
+  const deliver = pickAdapter(env);
+  let flushing = null;
+  const inFlight = new Set(); // files being delivered right now, so flush and enqueue never both send one
+
+  // Pending entry or null when another attempt already moved it to sent.
+  const readEntry = (file) => fs.readFile(path.join(pending, file), "utf8").then(JSON.parse, (e) => {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  });
+
+  const attempt = async (file) => {
+    if (inFlight.has(file)) return false;
+    inFlight.add(file);
+    const src = path.join(pending, file);
+    try {
+      const entry = await readEntry(file);
+      if (!entry) return false;
+      try {
+        await deliver(entry, env);
+        await fs.rename(src, path.join(sent, file));
+        return true;
+      } catch (e) {
+        entry.attempts = (entry.attempts || 0) + 1;
+        entry.lastError = String(e && e.message || e);
+        if (entry.attempts >= MAX_ATTEMPTS) console.error(`[contact] giving up on ${file} after ${entry.attempts} attempts — left in outbox/pending`);
+        await fs.writeFile(src, JSON.stringify(entry, null, 2));
+        return false;
+      }
+    } finally {
+      inFlight.delete(file);
+    }
+  };
+
+  const enqueue = async (message) => {
+    await ready;
+    const receivedAt = new Date().toISOString();
+    const id = `${receivedAt.replace(/[:.]/g, "-")}-${crypto.randomBytes(4).toString("hex")}`;
+    const file = `${id}.json`;
+    await fs.writeFile(path.join(pending, file), JSON.stringify({ id, receivedAt, attempts: 0, message }, null, 2));
+    // The message is safe on disk: answer now and deliver in the background, so a slow relay
+    // never holds up the visitor's submit. A failure stays pending for flush.
+    attempt(file).catch((e) => console.error(`[contact] delivering ${file} failed`, e));
+    return { id };
+  };
+
+  // Retry everything still pending (oldest first). Overlapping calls share one run.
+  const flush = () => flushing || (flushing = (async () => {
+    await ready;
+    const files = (await fs.readdir(pending)).filter((f) => f.endsWith(".json")).sort();
+    for (const f of files) {
+      if (inFlight.has(f)) continue;
+      const entry = await readEntry(f);
+      if (entry && (entry.attempts || 0) < MAX_ATTEMPTS) await attempt(f);
+    }
+  })().finally(() => { flushing = null; }));
+
+  const timer = setInterval(() => flush().catch((e) => console.error("[contact] flush failed", e)), RETRY_MS);
+  timer.unref();
+
+  return { enqueue, flush, close: () => clearInterval(timer) };
+}
+
+export function createContactHandler({ env = process.env, outbox } = {}) {
+  let box = outbox;
+  return async (req, res, next) => {
+    if (req.method !== "POST") {
+      if (next) return next();
+      return sendJSON(res, 405, { error: "method-not-allowed" });
+    }
+    try {
+      const message = validateContact(await readJSON(req, 32 * 1024));
+      // Honeypot: answer exactly like a success so bots learn nothing.
+      if (!message) { markRejected(res, "honeypot"); return sendJSON(res, 202, { ok: true }); }
+      box = box || createOutbox({ env });
+      const { id } = await box.enqueue(message);
+      sendJSON(res, 202, { ok: true, id });
+    } catch (e) {
+      sendError(res, e, "contact");
+    }
+  };
+}
@@ -0,0 +1,195 @@
+// Shared anti-abuse guard for the /api endpoints. api.mjs wraps each POST route with
+// guard.protect(scope, handler), which applies, in order:
+//   1. per-IP and per-session rate limits (fixed windows, in memory)
+//   2. a proof-of-work stamp — the browser fetches GET /api/challenge, solves it in a
+//      Web Worker (pow-worker.js) and sends `X-Guard-Pow: <challenge>:<nonce>`
+// Handlers add content checks with screen() (prompt-injection / length filter).
+// Every 4xx the wrapped route answers with becomes one JSON log line (event "guard.reject").
+//
+// Env:
+//   GUARD_SECRET      HMAC key for challenges and session cookies (default: random per process)
+//   GUARD_POW_BITS    override the difficulty for every scope; 0 disables proof-of-work
+//   TRUST_PROXY=1     take the client IP from X-Forwarded-For (behind Nginx, a CDN, …)
+
+import crypto from "node:crypto";
+import { HttpError, sendJSON, sendError } from "./http.mjs";
+
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+const CHALLENGE_TTL = 5 * MIN;
+const SESSION_COOKIE = "bf_sid";
+
+// Limits are [requests, window]. `bits` is the proof-of-work difficulty in leading zero
+// bits of SHA-256 — 16 bits is roughly a second of hashing in a browser worker.
+const POLICIES = {
+  ask: { ip: [30, 10 * MIN], session: [15, 10 * MIN], bits: 16 },
+  contact: { ip: [5, HOUR], session: [3, HOUR], bits: 18 },
+  challenge: { ip: [120, 10 * MIN] },
+};
+
+// Phrases that try to talk the model out of its brief. Matched case-insensitively on
+// whitespace-collapsed text; the rule name goes to the log, never to the client.
+const INJECTION_RULES = [
+  ["override", /\b(ignore|disregard|forget|override)\b.{0,40}\b(previous|prior|above|earlier|all|your|the)\b.{0,30}\b(instructions?|prompts?|rules|directions|context)\b/],
+  ["reveal", /\b(reveal|print|repeat|show|output|leak)\b.{0,40}\b(system|hidden|initial|original)\s+(prompt|instructions?|message)\b/],
+  ["role-swap", /\byou are (now|no longer)\b|\bact as (an? )?(unfiltered|unrestricted|jailbroken)\b|\b(developer|god|dan) mode\b|\bjailbreak\b/],
+  // A role marker only counts when instructions follow it: "System: AVEVA PI 2018, how do we
+  // migrate?" is a question about a PI System.
+  ["fake-turn", /(^|\n)\s*(system|assistant|developer)\s*:\s*(you are|you're|ignore|disregard|forget|from now on|new (instructions?|rules)|act as|respond only)\b|<\|?(im_start|im_end|system|endoftext)\|?>|\[\/?(inst|sys)\]|###\s*(system|instruction)/],
+];
+
+const MAX_SCREEN_CHARS = 2000;
+
+// Reason the text should be refused, or null.
+export function screenText(text) {
+  const s = String(text || "");
+  if (s.length > MAX_SCREEN_CHARS) return "too-long";
+  if (/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u202A-\u202E\u2066-\u2069]/.test(s)) return "control-chars";
+  if (/(.)\1{49,}/s.test(s)) return "repetition";
+  const flat = s.toLowerCase().replace(/[ \t]+/g, " ");
+  const hit = INJECTION_RULES.find(([, re]) => re.test(flat));
+  return hit ? `injection:${hit[0]}` : null;
+}
+
+// Throw a 400 if any of the texts fails screenText. For handlers to call after parsing.
+export function screen(texts) {
+  for (const t of texts) {
+    const reason = screenText(t);
+    if (reason) throw new HttpError(400, "rejected-input", { detail: reason });
+  }
+}
+
+function createLimiter(limit, windowMs) {
+  const hits = new Map(); // key → { n, reset }
+  return {
+    hit(key, now = Date.now()) {
+      let h = hits.get(key);
+      if (!h || h.reset <= now) { h = { n: 0, reset: now + windowMs }; hits.set(key, h); }
+      h.n++;
+      return h.n <= limit ? 0 : Math.ceil((h.reset - now) / 1000);
+    },
+    sweep(now = Date.now()) { hits.forEach((h, k) => { if (h.reset <= now) hits.delete(k); }); },
+  };
+}
+
+const b64u = (buf) => Buffer.from(buf).toString("base64url");
+
+function leadingZeroBits(buf) {
+  let bits = 0;
+  for (const byte of buf) {
+    if (byte === 0) { bits += 8; continue; }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+function readCookie(req, name) {
+  const m = (req.headers.cookie || "").match(new RegExp(`(?:^|;\\s*)${name}=([^;]+)`));
+  return m ? m[1] : null;
+}
+
+export function createGuard({ env = process.env, log = (entry) => console.warn(JSON.stringify(entry)) } = {}) {
+  const secret = env.GUARD_SECRET || crypto.randomBytes(32).toString("hex");
+  const sign = (s) => crypto.createHmac("sha256", secret).update(s).digest("base64url").slice(0, 22);
+  const bitsFor = (scope) => (env.GUARD_POW_BITS !== undefined && env.GUARD_POW_BITS !== "" ? Number(env.GUARD_POW_BITS) : POLICIES[scope].bits || 0);
+  const limiters = {};
+  Object.entries(POLICIES).forEach(([scope, p]) => {
+    if (p.ip) limiters[`${scope}:ip`] = createLimiter(...p.ip);
+    if (p.session) limiters[`${scope}:session`] = createLimiter(...p.session);
+  });
+  const spent = new Map(); // challenge → expiry; each solution is accepted once
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    Object.values(limiters).forEach((l) => l.sweep(now));
+    spent.forEach((exp, c) => { if (exp <= now) spent.delete(c); });
+  }, MIN);
+  sweep.unref();
+
+  const clientIp = (req) => {
+    const fwd = env.TRUST_PROXY === "1" && String(req.headers["x-forwarded-for"] || "").split(",")[0].trim();
+    return fwd || (req.socket && req.socket.remoteAddress) || "unknown";
+  };
+  // Logs carry a keyed hash, not the address — enough to correlate, not to identify.
+  const ipTag = (req) => sign(`ip:${clientIp(req)}`).slice(0, 12);
+
+  const session = (req) => {
+    const raw = readCookie(req, SESSION_COOKIE);
+    if (!raw) return null;
+    const [id, mac] = raw.split(".");
+    return id && mac === sign(`sid:${id}`) ? id : null;
+  };
+
+  const limit = (req, scope) => {
+    const p = POLICIES[scope];
+    const checks = [["ip", clientIp(req)], ["session", p.session && session(req)]];
+    for (const [kind, key] of checks) {
+      if (!key || !limiters[`${scope}:${kind}`]) continue;
+      const retry = limiters[`${scope}:${kind}`].hit(key);
+      if (retry) throw new HttpError(429, "rate-limited", { detail: kind, headers: { "Retry-After": String(retry) } });
+    }
+  };
+
+  const verifyPow = (req, scope) => {
+    const bits = bitsFor(scope);
+    if (!bits) return;
+    const stamp = String(req.headers["x-guard-pow"] || "");
+    const cut = stamp.lastIndexOf(":");
+    if (cut < 0) throw new HttpError(428, "pow-required");
+    const challenge = stamp.slice(0, cut);
+    const [body, mac] = challenge.split(".");
+    if (!body || mac !== sign(body)) throw new HttpError(403, "pow-invalid", { detail: "signature" });
+    let c;
+    try { c = JSON.parse(Buffer.from(body, "base64url").toString("utf8")); } catch (_) { throw new HttpError(403, "pow-invalid", { detail: "payload" }); }
+    if (c.s !== scope) throw new HttpError(403, "pow-invalid", { detail: "scope" });
+    if (c.e <= Date.now()) throw new HttpError(428, "pow-expired");
+    if (spent.has(challenge)) throw new HttpError(403, "pow-invalid", { detail: "replay" });
+    if (leadingZeroBits(crypto.createHash("sha256").update(stamp).digest()) < c.b) throw new HttpError(403, "pow-invalid", { detail: "work" });
+    spent.set(challenge, c.e);
+  };
+
+  // GET /api/challenge?scope=ask → { challenge, bits, expiresIn }. Also issues the
+  // signed session cookie the per-session limits key on.
+  const challenge = (req, res, next) => {
+    if (req.method !== "GET") {
+      if (next) return next();
+      return sendJSON(res, 405, { error: "method-not-allowed" });
+    }
+    try {
+      limit(req, "challenge");
+      const scope = new URL(req.url, "http://x").searchParams.get("scope");
+      if (!Object.hasOwn(POLICIES, scope) || scope === "challenge") throw new HttpError(400, "bad-scope");
+      if (!session(req)) {
+        const id = b64u(crypto.randomBytes(12));
+        const secure = req.socket && req.socket.encrypted || req.headers["x-forwarded-proto"] === "https" ? "; Secure" : "";
+        res.setHeader("Set-Cookie", `${SESSION_COOKIE}=${id}.${sign(`sid:${id}`)}; Path=/api; HttpOnly; SameSite=Strict; Max-Age=86400${secure}`);
+      }
+      const bits = bitsFor(scope);
+      const body = b64u(JSON.stringify({ s: scope, r: b64u(crypto.randomBytes(9)), e: Date.now() + CHALLENGE_TTL, b: bits }));
+      sendJSON(res, 200, { challenge: `${body}.${sign(body)}`, bits, expiresIn: CHALLENGE_TTL / 1000 });
+    } catch (e) {
+      sendError(res, e, "guard");
+    }
+  };
+
+  const reject = (req, res, scope) => {
+    const r = res.rejection;
+    log({ ts: new Date().toISOString(), event: "guard.reject", scope, path: (req.url || "").split("?")[0], status: res.statusCode, reason: r.code, detail: r.detail, ip: ipTag(req), session: !!session(req), ua: String(req.headers["user-agent"] || "").slice(0, 120) });
+  };
+
+  // Wrap a POST handler with rate limiting + proof-of-work. Non-POST requests pass
+  // straight through so the handler can answer 405 itself.
+  const protect = (scope, handler) => (req, res, next) => {
+    res.on("finish", () => { if (res.rejection) reject(req, res, scope); });
+    if (req.method !== "POST") return handler(req, res, next);
+    try {
+      limit(req, scope);
+      verifyPow(req, scope);
+    } catch (e) {
+      return sendError(res, e, "guard");
+    }
+    return handler(req, res, next);
+  };
+
+  return { protect, challenge, close: () => clearInterval(sweep) };
+}
@@ -0,0 +1,57 @@
+// Tiny HTTP helpers shared by the server-side endpoints (no framework — node:http only).
+
+// `detail` is for logs only (never sent); `headers` go out with the error response.
+export class HttpError extends Error {
+  constructor(status, code, { detail, headers } = {}) {
+    super(code);
+    this.status = status;
+    this.code = code;
+    this.detail = detail;
+    this.headers = headers;
+  }
+}
+
+export function readJSON(req, limit = 16 * 1024) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    const onData = (c) => {
+      size += c.length;
+      if (size <= limit) { chunks.push(c); return; }
+      // Stop reading but leave the socket to the response: destroying it here would reset
+      // the connection before the 413 goes out. Connection: close ends it once that is sent.
+      req.off("data", onData);
+      req.pause();
+      reject(new HttpError(413, "too-large", { headers: { Connection: "close" } }));
+    };
+    req.on("data", onData);
+    req.on("end", () => {
+      try { resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}")); }
+      catch (_) { reject(new HttpError(400, "bad-json")); }
+    });
+    req.on("error", reject);
+  });
+}
+
+export function sendJSON(res, status, obj) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.setHeader("Cache-Control", "no-store");
+  res.end(JSON.stringify(obj));
+}
+
+// Note on the response that the request was refused, for the guard's reject log.
+export function markRejected(res, code, detail) {
+  res.rejection = { code, detail };
+}
+
+// HttpErrors carry their own status + code; anything else is a 500 and gets logged.
+export function sendError(res, e, scope) {
+  const known = e instanceof HttpError;
+  const status = known ? e.status : 500;
+  const code = known ? e.code : "internal";
+  if (status >= 500) console.error(`[${scope}] ${code}`, known ? "" : e);
+  else markRejected(res, code, e.detail);
+  if (known && e.headers) Object.entries(e.headers).forEach(([k, v]) => res.setHeader(k, v));
+  sendJSON(res, status, { error: code });
+}
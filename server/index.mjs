@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+// Standalone server: serves the built site from ./dist plus the /api endpoints.
+// Usage: npm run build && npm run serve   (PORT=5000 and STATIC_DIR=dist by default)
+
+import http from "node:http";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createApi } from "./api.mjs";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const STATIC_DIR = path.resolve(ROOT, process.env.STATIC_DIR || "dist");
+const PORT = Number(process.env.PORT) || 5000;
+
+const MIME = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".json": "application/json; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+};
+
+async function serveStatic(req, res) {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent((req.url || "/").split("?")[0]);
+  } catch (_) {
+    res.statusCode = 400;
+    return res.end("Bad request");
+  }
+  let file = path.join(STATIC_DIR, urlPath.endsWith("/") ? urlPath + "index.html" : urlPath);
+  // inside STATIC_DIR itself, not a sibling that shares its prefix (dist-old/)
+  if (file !== STATIC_DIR && !file.startsWith(STATIC_DIR + path.sep)) { res.statusCode = 403; return res.end(); }
+  let status = 200;
+  try {
+    await fs.access(file);
+  } catch (_) {
+    file = path.join(STATIC_DIR, "404.html");
+    status = 404;
+  }
+  try {
+    const body = await fs.readFile(file);
+    res.statusCode = status;
+    res.setHeader("Content-Type", MIME[path.extname(file)] || "application/octet-stream");
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.end(body);
+  } catch (_) {
+    res.statusCode = 404;
+    res.end("Not found");
+  }
+}
+
+const api = createApi();
+http.createServer((req, res) => api(req, res, () => serveStatic(req, res).catch((e) => {
+  console.error("[static]", e);
+  if (!res.headersSent) res.statusCode = 500;
+  res.end();
+})))
+  .listen(PORT, () => console.log(`Blueforge AI on http://localhost:${PORT} (static: ${path.relative(ROOT, STATIC_DIR) || "."})`));
@@ -0,0 +1,256 @@
+// LLM proxy for the Ask section (llm-ask.jsx).
+// Accepts POST { persona, question, history? }, keeps provider keys server-side and routes each
+// persona to its own adapter. Set LLM_PROVIDER=mock (or leave every key unset) to answer
+// from the offline mock — handy for local dev and for smoke-testing the widget.
+//
+// Responds with JSON { persona, answer } by default, or streams tokens as Server-Sent
+// Events when the client sends `Accept: text/event-stream`:
+//   event: sources data: {"sources":[…]}  (once, before the first token)
+//   event: token  data: {"t":"…"}      (repeated)
+//   event: done   data: {}
+//   event: error  data: {"error":"…"}  (stream broke after it started)
+
+import fs from "node:fs";
+import { HttpError, readJSON, sendJSON, sendError } from "./http.mjs";
+import { createIndex } from "./bm25.mjs";
+import { screen } from "./guard.mjs";
+
+const SYSTEM_PROMPT = `You are answering questions on the Blueforge AI website. Blueforge AI is an industrial data intelligence consultancy. Services: plant digitalization (AVEVA PI, Canary Historian, TDengine), Grafana dashboards, custom PI Vision symbols, AI/ML models (anomaly detection, predictive maintenance/RUL, soft sensors, computer vision QA, golden batch), and custom software development for industrial operations. Tone: confident, technical, honest, brief. Keep answers to 3-5 sentences. End with a soft nudge to reach out at info@blueforgeai.com when relevant. Adapt your voice to the requested persona but stay accurate.`;
+
+const MAX_QUESTION = 2000;
+const MAX_BODY = 64 * 1024;
+const MAX_TURNS = 40;
+// Prior turns are trimmed (oldest first) to this many estimated tokens, whatever the
+// client already trimmed — the budget is enforced here, not trusted from the browser.
+const HISTORY_TOKENS = 3000;
+const TIMEOUT_MS = 30000;
+const TOP_K = 4;
+
+// Retrieval corpus built from the site's data arrays by scripts/build-ask-index.mjs.
+// Missing corpus → answers fall back to the bare system prompt.
+const CORPUS = (() => {
+  try {
+    const { passages } = JSON.parse(fs.readFileSync(new URL("./ask-corpus.json", import.meta.url), "utf8"));
+    return createIndex(passages);
+  } catch (_) {
+    console.warn("[ask] server/ask-corpus.json missing — run `node scripts/build-ask-index.mjs`");
+    return null;
+  }
+})();
+
+// Mirrors LM_PERSONAS in llm-ask.jsx — key → display name, env key, default model.
+export const PERSONAS = {
+  claude: { name: "Claude",  env: "ANTHROPIC_API_KEY", model: "claude-sonnet-4-5", adapter: "anthropic" },
+  gpt:    { name: "ChatGPT", env: "OPENAI_API_KEY",    model: "gpt-4o-mini",       adapter: "openai" },
+  grok:   { name: "Grok",    env: "XAI_API_KEY",       model: "grok-3-mini",       adapter: "xai" },
+  gemini: { name: "Gemini",  env: "GEMINI_API_KEY",    model: "gemini-2.0-flash",  adapter: "google" },
+};
+
+// POST and yield the parsed `data:` payload of every upstream SSE event.
+async function* postSSE(url, headers, body, signal) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "text/event-stream", ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!res.ok || !res.body) throw new HttpError(502, "upstream-" + res.status);
+  const decoder = new TextDecoder();
+  let buf = "";
+  for await (const chunk of res.body) {
+    buf += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, "\n");
+    let cut;
+    while ((cut = buf.indexOf("\n\n")) !== -1) {
+      const block = buf.slice(0, cut);
+      buf = buf.slice(cut + 2);
+      const data = block.split("\n").filter((l) => l.startsWith("data:")).map((l) => l.slice(5).trim()).join("");
+      if (!data || data === "[DONE]") continue;
+      try { yield JSON.parse(data); } catch (_) { /* keep-alive or partial garbage */ }
+    }
+  }
+}
+
+// Each adapter: async generator ({ key, model, system, messages, signal }) → text deltas.
+// `messages` is [{ role: "user" | "assistant", content }], ending with the new question.
+const ADAPTERS = {
+  anthropic: async function* ({ key, model, system, messages, signal }) {
+    const events = postSSE("https://api.anthropic.com/v1/messages",
+      { "x-api-key": key, "anthropic-version": "2023-06-01" },
+      { model, system, max_tokens: 600, stream: true, messages }, signal);
+    for await (const ev of events) {
+      if (ev.type === "content_block_delta" && ev.delta?.text) yield ev.delta.text;
+    }
+  },
+  openai: async function* ({ key, model, system, messages, signal, baseUrl = "https://api.openai.com/v1" }) {
+    const events = postSSE(baseUrl + "/chat/completions",
+      { Authorization: `Bearer ${key}` },
+      { model, max_tokens: 600, stream: true, messages: [{ role: "system", content: system }, ...messages] }, signal);
+    for await (const ev of events) {
+      const t = ev.choices?.[0]?.delta?.content;
+      if (t) yield t;
+    }
+  },
+  xai: (opts) => ADAPTERS.openai({ ...opts, baseUrl: "https://api.x.ai/v1" }),
+  google: async function* ({ key, model, system, messages, signal }) {
+    const events = postSSE(`https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse`,
+      { "x-goog-api-key": key },
+      { systemInstruction: { parts: [{ text: system }] }, contents: messages.map((m) => ({ role: m.role === "assistant" ? "model" : "user", parts: [{ text: m.content }] })) }, signal);
+    for await (const ev of events) {
+      const t = (ev.candidates?.[0]?.content?.parts || []).map((p) => p.text || "").join("");
+      if (t) yield t;
+    }
+  },
+  // Offline provider: deterministic canned answer, no network, streamed word by word.
+  mock: async function* ({ persona, messages, sources, signal }) {
+    const q = messages[messages.length - 1].content;
+    const turn = Math.ceil(messages.length / 2);
+    const cite = sources.length ? ` The closest match on the site is ${sources[0].title} [1].` : "";
+    const text = `[mock · ${persona.name} · turn ${turn}] You asked: "${q}".${cite} In a real deployment this answer comes from ${persona.name} with our briefing attached. For a scoped reply from the team, email info@blueforgeai.com.`;
+    for (const word of text.split(/(?<= )/)) {
+      if (signal.aborted) return;
+      await new Promise((r) => setTimeout(r, 25));
+      yield word;
+    }
+  },
+};
+
+function resolveAdapter(persona, env) {
+  const key = env[persona.env];
+  if (env.LLM_PROVIDER === "mock") return { run: ADAPTERS.mock, key: "" };
+  if (!key) {
+    const anyKey = Object.values(PERSONAS).some((p) => env[p.env]);
+    if (!anyKey) return { run: ADAPTERS.mock, key: "" };
+    throw new HttpError(503, "persona-unavailable");
+  }
+  return { run: ADAPTERS[persona.adapter], key };
+}
+
+export function validateAsk(body) {
+  const key = body && body.persona;
+  const persona = Object.hasOwn(PERSONAS, key) ? PERSONAS[key] : null;
+  if (!persona) throw new HttpError(400, "unknown-persona");
+  const question = typeof body.question === "string" ? body.question.trim() : "";
+  if (!question) throw new HttpError(400, "empty-question");
+  if (question.length > MAX_QUESTION) throw new HttpError(400, "question-too-long");
+  const history = Array.isArray(body.history) ? body.history.slice(-MAX_TURNS) : [];
+  if (!history.every((m) => m && (m.role === "user" || m.role === "assistant") && typeof m.content === "string")) {
+    throw new HttpError(400, "bad-history");
+  }
+  return { key, persona, question, history: trimHistory(history.map(({ role, content }) => ({ role, content })), HISTORY_TOKENS) };
+}
+
+// Rough token estimate (~4 chars/token) — good enough to keep prompts bounded.
+export const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+// Keep the most recent turns that fit `budget`, starting on a user turn and ending on an
+// assistant turn so providers that require strict alternation (Anthropic, Gemini) accept
+// the result once the new question is appended.
+export function trimHistory(history, budget) {
+  const out = [];
+  history = history.slice();
+  while (history.length && history[history.length - 1].role !== "assistant") history.pop();
+  let used = 0;
+  for (let i = history.length - 1; i >= 0; i--) {
+    used += estimateTokens(history[i].content);
+    if (used > budget) break;
+    out.unshift(history[i]);
+  }
+  while (out.length && out[0].role !== "user") out.shift();
+  return out;
+}
+
+// Top-k passages for the question; the previous visitor turn is folded into the query so
+// follow-ups like "and what about Canary?" still retrieve the right section.
+export function retrieve(question, history = []) {
+  if (!CORPUS) return [];
+  const prev = [...history].reverse().find((m) => m.role === "user");
+  return CORPUS.search(prev ? `${question} ${prev.content}` : question, TOP_K)
+    .map(({ passage }, i) => ({ n: i + 1, id: passage.id, title: passage.title, section: passage.section, anchor: passage.anchor, text: passage.text }));
+}
+
+function groundedSystem(persona, sources) {
+  let system = `${SYSTEM_PROMPT}\n\nRespond in the voice of ${persona.name}.`;
+  if (sources.length) {
+    const refs = sources.map((s) => `[${s.n}] ${s.section} — ${s.title}: ${s.text}`).join("\n");
+    system += `\n\nReference material from the Blueforge AI website (prefer it over general knowledge):\n${refs}\n\nWhen you use a reference, cite it inline by its number, e.g. [1]. Never invent reference numbers.`;
+  }
+  return system;
+}
+
+// Yields answer text deltas. `signal` aborts the upstream call (client hung up / Stop).
+export async function* askStream({ persona, question, history = [], sources = [] }, env = process.env, signal) {
+  const { run, key } = resolveAdapter(persona, env);
+  const system = groundedSystem(persona, sources);
+  const messages = [...history, { role: "user", content: question }];
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), TIMEOUT_MS);
+  const onAbort = () => ctrl.abort();
+  if (signal) signal.addEventListener("abort", onAbort);
+  try {
+    yield* run({ key, model: env[`${persona.adapter.toUpperCase()}_MODEL`] || persona.model, persona, system, messages, sources, signal: ctrl.signal });
+  } catch (e) {
+    if (e instanceof HttpError) throw e;
+    throw new HttpError(502, e.name === "AbortError" ? "upstream-timeout" : "upstream-error");
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener("abort", onAbort);
+  }
+}
+
+export async function ask(input, env = process.env) {
+  let answer = "";
+  for await (const t of askStream(input, env)) answer += t;
+  if (!answer) throw new HttpError(502, "empty-answer");
+  return answer;
+}
+
+function sseEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function streamAnswer(res, input, env) {
+  const ctrl = new AbortController();
+  res.on("close", () => { if (!res.writableFinished) ctrl.abort(); });
+  const tokens = askStream(input, env, ctrl.signal);
+  // Pull the first token before committing to 200 so setup errors still get a JSON status.
+  const first = await tokens.next();
+  res.statusCode = 200;
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-store");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders?.();
+  try {
+    sseEvent(res, "sources", { sources: input.sources.map(({ text, ...s }) => s) });
+    if (!first.done) sseEvent(res, "token", { t: first.value });
+    for await (const t of tokens) {
+      if (ctrl.signal.aborted) break;
+      sseEvent(res, "token", { t });
+    }
+    sseEvent(res, "done", {});
+  } catch (e) {
+    if (!ctrl.signal.aborted) sseEvent(res, "error", { error: e instanceof HttpError ? e.code : "internal" });
+  }
+  res.end();
+}
+
+// Connect-style middleware — works under Vite's dev/preview servers and the standalone server.
+export function createAskHandler({ env = process.env } = {}) {
+  return async (req, res, next) => {
+    if (req.method !== "POST") {
+      if (next) return next();
+      return sendJSON(res, 405, { error: "method-not-allowed" });
+    }
+    try {
+      const { key, ...input } = validateAsk(await readJSON(req, MAX_BODY));
+      screen([input.question, ...input.history.filter((t) => t.role === "user").map((t) => t.content)]);
+      input.sources = retrieve(input.question, input.history);
+      if ((req.headers.accept || "").includes("text/event-stream")) {
+        return await streamAnswer(res, input, env);
+      }
+      const answer = await ask(input, env);
+      sendJSON(res, 200, { persona: key, answer, sources: input.sources.map(({ text, ...s }) => s) });
+    } catch (e) {
+      sendError(res, e, "ask");
+    }
+  };
+}
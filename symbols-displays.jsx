@@ -0,0 +1,56 @@
+// Trend, alarm and batch tiles for the symbol registry (see playground-symbols.jsx).
+
+pgRegisterSymbol({
+  kind: "trend", name: "Trend", category: "Displays", keywords: ["sparkline", "chart"],
+  size: [148, 116],
+  grafana: "timeseries",
+  signal: { label: "Flow", units: "m³/h", min: 0, max: 20, waveform: "noise", period: 25 },
+  props: [{ key: "range", label: "Time range", type: "choice", options: ["10m", "1h", "8h", "24h"], default: "1h" }],
+  render: ({ c, i, props, still, motion }) => (
+    <div style={{ width: 130, height: 80, position: "relative" }}>
+      <Sparkline width={130} height={70} color={c.fill} seed={i + 11} motion={motion} still={still} />
+      {props.range && <span style={{ position: "absolute", right: 0, bottom: 0, fontFamily: "var(--font-mono)", fontSize: 8, color: c.dim, letterSpacing: "0.1em" }}>{props.range.toUpperCase()}</span>}
+    </div>
+  ),
+});
+
+pgRegisterSymbol({
+  kind: "alarm", name: "Alarm", category: "Displays", keywords: ["annunciator", "priority"],
+  size: [138, 136],
+  grafana: "alertlist",
+  signal: { label: "Vibration", units: "mm/s", min: 0, max: 12, waveform: "square", period: 30 },
+  props: [{ key: "priority", label: "Priority", type: "choice", options: ["low", "medium", "high", "urgent"], default: "high" }],
+  render: ({ c, blink, reading, props }) => (
+    <svg width="120" height="100" viewBox="0 0 120 100">
+      <rect x="10" y="15" width="100" height="60" rx="3" fill={c.body} stroke={c.fill} strokeOpacity={0.4 + blink * 0.5} />
+      <circle cx="22" cy="32" r="4" fill={c.fill} opacity={0.3 + blink * 0.7} />
+      <text x="34" y="35" fontFamily="var(--font-mono)" fontSize="9" fill={c.text}>{reading ? `${reading.text} ${reading.state || "OK"}` : "VIB-07 HIGH"}</text>
+      <text x="22" y="52" fontFamily="var(--font-mono)" fontSize="8" fill={c.dim}>{props.priority ? `${props.priority.toUpperCase()} PRIORITY` : "P-204 · 2m"}</text>
+      <text x="22" y="65" fontFamily="var(--font-mono)" fontSize="8" fill={c.mute}>ACK · SNOOZE</text>
+    </svg>
+  ),
+});
+
+pgRegisterSymbol({
+  kind: "batch", name: "Batch", category: "Displays", keywords: ["phase", "recipe", "isa-88"],
+  size: [158, 116],
+  signal: { label: "Progress", units: "%", min: 0, max: 100, waveform: "ramp", period: 90 },
+  props: [{ key: "phases", label: "Phases", type: "list", maxItems: 8, maxLength: 10, default: ["CHARGE", "HEAT", "REACT", "COOL", "DROP"] }],
+  render: ({ c, reading, props }) => {
+    // A bound batch walks through its phases with the tag; otherwise it sits in REACT.
+    const phases = props.phases || ["CHARGE", "HEAT", "REACT", "COOL", "DROP"];
+    const cur = reading ? Math.min(phases.length - 1, Math.floor(reading.frac * phases.length)) : 2;
+    const step = 140 / phases.length;
+    return (
+      <svg width="140" height="80" viewBox="0 0 140 80">
+        {phases.map((name, k) => (
+          <g key={k} transform={`translate(${k * step}, 20)`}>
+            <rect width={step - 4} height="20" rx="2" fill={k <= cur ? c.fill : c.empty} fillOpacity={k === cur ? 0.9 : k < cur ? 0.5 : 1} stroke={c.line} strokeOpacity="0.3" />
+            <text x={(step - 4) / 2} y="13" textAnchor="middle" fontFamily="var(--font-mono)" fontSize="6" fill={k <= cur ? "#fff" : c.dim}>{name}</text>
+          </g>
+        ))}
+        <text x="70" y="62" textAnchor="middle" fontFamily="var(--font-mono)" fontSize="9" fill={c.fill}>BATCH B-2206 · {phases[cur]}</text>
+      </svg>
+    );
+  },
+});
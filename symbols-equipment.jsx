@@ -0,0 +1,139 @@
+// Vessels and rotating equipment for the symbol registry (see playground-symbols.jsx).
+
+const pgRunning = { key: "running", label: "Running", type: "toggle", default: true };
+
+pgRegisterSymbol({
+  kind: "vessel", name: "Vessel", category: "Vessels", keywords: ["tank", "level"],
+  size: [118, 156],
+  grafana: "gauge",
+  signal: { label: "Level", units: "%", min: 0, max: 100, waveform: "sine", period: 40 },
+  props: [{ key: "capacity", label: "Capacity", type: "number", units: "L", min: 100, max: 100000, default: 5000 }],
+  render: ({ c, t, reading, props }) => {
+    const level = reading ? reading.frac : 0.4 + 0.3 * ((Math.sin(t * 0.5) + 1) / 2);
+    return (
+      <svg width="100" height="120" viewBox="0 0 100 120">
+        <rect x="20" y="10" width="60" height="100" rx="4" fill={c.body} stroke={c.line} />
+        <rect x="22" y={12 + (1 - level) * 96} width="56" height={level * 96} fill={c.fill} fillOpacity="0.3" />
+        <rect x="22" y={12 + (1 - level) * 96} width="56" height="2" fill={c.fill} />
+        <text x="50" y="65" textAnchor="middle" fontFamily="var(--font-mono)" fontSize="13" fill={c.text}>{reading ? reading.text : `${(level * 100).toFixed(0)}%`}</text>
+        <text x="50" y="80" textAnchor="middle" fontFamily="var(--font-mono)" fontSize="8" fill={c.dim} letterSpacing="1">{props.capacity ? `${Math.round(level * props.capacity).toLocaleString("en-US")} L` : "TK-101"}</text>
+      </svg>
+    );
+  },
+});
+
+pgRegisterSymbol({
+  kind: "column", name: "Column", category: "Vessels", keywords: ["distillation", "tower", "trays"],
+  size: [98, 196],
+  grafana: "gauge",
+  signal: { label: "Top temp", units: "°C", min: 40, max: 120, waveform: "sine", period: 70 },
+  props: [{ key: "trays", label: "Trays", type: "number", min: 4, max: 20, default: 8 }],
+  render: ({ c, reading, props }) => {
+    const trays = Math.round(props.trays || 8);
+    const frac = reading ? reading.frac : 0.6;
+    return (
+      <svg width="80" height="160" viewBox="0 0 80 160">
+        <rect x="20" y="6" width="40" height="132" rx="18" fill={c.body} stroke={c.line} />
+        {[...Array(trays)].map((_, k) => {
+          const y = 26 + (k * 92) / (trays - 1);
+          return <line key={k} x1={k % 2 ? 28 : 22} x2={k % 2 ? 58 : 52} y1={y} y2={y} stroke={c.line} strokeWidth="1.5" />;
+        })}
+        <rect x="66" y="12" width="4" height="120" fill={c.empty} />
+        <rect x="66" y={12 + (1 - frac) * 120} width="4" height={frac * 120} fill={c.fill} />
+        <text x="40" y="154" textAnchor="middle" fontFamily="var(--font-mono)" fontSize="9" fill={c.mute}>{reading ? reading.text : "TOP 78°C"}</text>
+      </svg>
+    );
+  },
+});
+
+pgRegisterSymbol({
+  kind: "pump", name: "Pump", category: "Rotating equipment", keywords: ["centrifugal"],
+  size: [128, 136],
+  signal: { label: "Speed", units: "rpm", min: 0, max: 2000, waveform: "noise", period: 30 },
+  props: [pgRunning],
+  render: ({ c, blink, reading, props, still, motion }) => {
+    const stopped = props.running === false;
+    const ink = stopped ? c.dim : c.fill;
+    return (
+      <svg width="110" height="100" viewBox="0 0 110 100">
+        <circle cx="55" cy="50" r="32" fill={c.body} stroke={c.line} />
+        <g transform="translate(55 50)">
+          <g style={still || stopped ? undefined : { transformOrigin: "0 0", animation: `spin ${2 / motion}s linear infinite` }}>
+            <path d="M -22 0 L 22 0 M 0 -22 L 0 22" stroke={ink} strokeWidth="3" strokeLinecap="round" />
+            <circle r="6" fill={ink} />
+          </g>
+        </g>
+        <text x="55" y="92" textAnchor="middle" fontFamily="var(--font-mono)" fontSize="9" fill={c.fill} letterSpacing="1">{stopped ? "STOP" : <>RUN · {reading ? reading.text : `${Math.round(1750 + blink * 20)}rpm`}</>}</text>
+        {!still && <style>{`@keyframes spin { to { transform: rotate(360deg); } }`}</style>}
+      </svg>
+    );
+  },
+});
+
+pgRegisterSymbol({
+  kind: "compressor", name: "Compressor", category: "Rotating equipment", keywords: ["blower", "gas"],
+  size: [138, 136],
+  signal: { label: "Discharge", units: "bar", min: 0, max: 16, waveform: "sine", period: 45 },
+  props: [pgRunning],
+  render: ({ c, reading, props }) => {
+    const stopped = props.running === false;
+    return (
+      <svg width="120" height="100" viewBox="0 0 120 100">
+        <circle cx="60" cy="46" r="32" fill={c.body} stroke={c.line} />
+        {/* ISA compressor: the flow path narrows from suction to discharge */}
+        <path d="M 36 24 L 84 36 M 36 68 L 84 56" stroke={stopped ? c.dim : c.fill} strokeWidth="2.5" strokeLinecap="round" />
+        <text x="60" y="92" textAnchor="middle" fontFamily="var(--font-mono)" fontSize="9" fill={c.fill} letterSpacing="1">{stopped ? "STOP" : reading ? reading.text : "6.2 bar"}</text>
+      </svg>
+    );
+  },
+});
+
+pgRegisterSymbol({
+  kind: "motor", name: "Motor", category: "Rotating equipment", keywords: ["drive", "vibration"],
+  size: [138, 136],
+  signal: { label: "Current", units: "A", min: 0, max: 60, waveform: "noise", period: 20 },
+  props: [pgRunning],
+  render: ({ c, t, i, reading, props }) => {
+    const stopped = props.running === false;
+    return (
+      <svg width="120" height="100" viewBox="0 0 120 100">
+        <rect x="14" y="30" width="60" height="40" rx="3" fill={c.body} stroke={c.line} />
+        <line x1="74" y1="50" x2="100" y2="50" stroke={c.line} strokeWidth="3" />
+        <circle cx="106" cy="50" r="6" fill={c.body} stroke={c.line} />
+        <text x="44" y="55" textAnchor="middle" fontFamily="var(--font-mono)" fontSize="11" fill={stopped ? c.dim : c.fill} letterSpacing="2">M</text>
+        <g transform="translate(14 78)">
+          {[...Array(12)].map((_, k) => {
+            const h = stopped ? 2 : 4 + Math.abs(Math.sin(t * 2 + k * 0.5 + i)) * 14 * (reading ? 0.3 + reading.frac : 1);
+            return <rect key={k} x={k * 5} y={-h} width="3" height={h} fill={c.fill} opacity="0.7" />;
+          })}
+        </g>
+      </svg>
+    );
+  },
+});
+
+pgRegisterSymbol({
+  kind: "agitator", name: "Agitator", category: "Rotating equipment", keywords: ["mixer", "reactor", "stirred"],
+  size: [118, 156],
+  signal: { label: "Speed", units: "rpm", min: 0, max: 300, waveform: "noise", period: 35 },
+  props: [pgRunning],
+  render: ({ c, t, reading, props }) => {
+    const stopped = props.running === false;
+    // The impeller turns edge-on and back, foreshortened like a blade seen from the side.
+    const turn = stopped ? 1 : Math.cos(t * 5 * (reading ? 0.3 + reading.frac : 1));
+    return (
+      <svg width="100" height="120" viewBox="0 0 100 120">
+        <rect x="36" y="2" width="28" height="14" rx="2" fill={c.body} stroke={c.line} />
+        <text x="50" y="12" textAnchor="middle" fontFamily="var(--font-mono)" fontSize="8" fill={stopped ? c.dim : c.fill}>M</text>
+        <rect x="15" y="22" width="70" height="76" rx="6" fill={c.body} stroke={c.line} />
+        <line x1="50" y1="16" x2="50" y2="80" stroke={c.line} strokeWidth="2" />
+        <g transform={`translate(50 80) scale(${turn.toFixed(3)} 1)`}>
+          <path d="M -20 0 L 20 0" stroke={stopped ? c.dim : c.fill} strokeWidth="3" strokeLinecap="round" />
+          <rect x="-22" y="-5" width="6" height="10" fill={stopped ? c.dim : c.fill} />
+          <rect x="16" y="-5" width="6" height="10" fill={stopped ? c.dim : c.fill} />
+        </g>
+        <text x="50" y="114" textAnchor="middle" fontFamily="var(--font-mono)" fontSize="9" fill={c.fill} letterSpacing="1">{stopped ? "STOP" : reading ? reading.text : "120 rpm"}</text>
+      </svg>
+    );
+  },
+});
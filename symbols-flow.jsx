@@ -0,0 +1,80 @@
+// Valves, exchangers, conveyors and instruments for the symbol registry (see playground-symbols.jsx).
+
+pgRegisterSymbol({
+  kind: "valve", name: "Valve", category: "Flow & transfer", keywords: ["control", "position"],
+  size: [138, 116], ports: ["w", "e"], portY: 67,
+  grafana: "gauge",
+  signal: { label: "Position", units: "%", min: 0, max: 100, waveform: "ramp", period: 60 },
+  props: [{ key: "state", label: "State", type: "choice", options: ["open", "closed"], default: "open" }],
+  render: ({ c, reading, props }) => {
+    const closed = props.state === "closed";
+    return (
+      <svg width="120" height="80" viewBox="0 0 120 80">
+        <line x1="0" y1="40" x2="40" y2="40" stroke={c.fill} strokeWidth="3" />
+        <line x1="80" y1="40" x2="120" y2="40" stroke={c.fill} strokeWidth="3" />
+        <path d="M 40 25 L 80 55 L 80 25 L 40 55 Z" fill={closed ? c.fill : c.body} stroke={c.fill} strokeWidth="1.5" />
+        <line x1="60" y1="20" x2="60" y2="5" stroke={c.line} strokeWidth="2" />
+        <circle cx="60" cy="5" r="3" fill={c.fill} />
+        <text x="60" y="76" textAnchor="middle" fontFamily="var(--font-mono)" fontSize="9" fill={c.mute}>{closed ? "CLOSED" : <>OPEN · {reading ? reading.text : "78%"}</>}</text>
+      </svg>
+    );
+  },
+});
+
+pgRegisterSymbol({
+  kind: "hx", name: "Heat Exch.", category: "Flow & transfer", keywords: ["heat exchanger", "temperature"],
+  size: [138, 116], portY: 67,
+  signal: { label: "Outlet", units: "°C", min: 20, max: 140, waveform: "sine", period: 50 },
+  render: ({ c, reading }) => (
+    <svg width="120" height="80" viewBox="0 0 120 80">
+      <rect x="10" y="20" width="100" height="40" rx="3" fill={c.body} stroke={c.line} />
+      <path d="M 15 30 Q 30 30 30 40 Q 30 50 45 50 Q 60 50 60 40 Q 60 30 75 30 Q 90 30 90 40 Q 90 50 105 50" fill="none" stroke={c.fill} strokeWidth="1.5" />
+      <text x="60" y="74" textAnchor="middle" fontFamily="var(--font-mono)" fontSize="9" fill={c.mute}>{reading ? reading.text : "ΔT 42°C"}</text>
+    </svg>
+  ),
+});
+
+pgRegisterSymbol({
+  kind: "conveyor", name: "Conveyor", category: "Flow & transfer", keywords: ["belt", "solids"],
+  size: [158, 106], ports: ["w", "e"], portY: 62,
+  signal: { label: "Speed", units: "m/s", min: 0, max: 2, waveform: "sine", period: 40 },
+  props: [
+    { key: "running", label: "Running", type: "toggle", default: true },
+    { key: "direction", label: "Direction", type: "choice", options: ["forward", "reverse"], default: "forward" },
+  ],
+  render: ({ c, t, reading, props }) => {
+    const stopped = props.running === false;
+    const dir = props.direction === "reverse" ? 1 : -1;
+    const travel = stopped ? 0 : ((t * 20 * (reading ? 0.3 + reading.frac : 1)) % 12) * dir;
+    return (
+      <svg width="140" height="70" viewBox="0 0 140 70">
+        <rect x="10" y="26" width="120" height="18" rx="9" fill={c.body} stroke={c.line} />
+        <circle cx="19" cy="35" r="6" fill="none" stroke={c.line} />
+        <circle cx="121" cy="35" r="6" fill="none" stroke={c.line} />
+        <line x1="19" y1="26" x2="121" y2="26" stroke={stopped ? c.dim : c.fill} strokeWidth="2" strokeDasharray="6 6" strokeDashoffset={travel.toFixed(2)} />
+        <text x="70" y="62" textAnchor="middle" fontFamily="var(--font-mono)" fontSize="9" fill={c.mute}>{stopped ? "STOP" : `${dir < 0 ? "→" : "←"} ${reading ? reading.text : "1.2 m/s"}`}</text>
+      </svg>
+    );
+  },
+});
+
+// ISA-5.1 bubble: a plain circle is field-mounted, a bar through it is on a local panel,
+// and a circle in a square is a shared DCS display.
+pgRegisterSymbol({
+  kind: "instrument", name: "Instrument", category: "Instruments", keywords: ["bubble", "transmitter", "isa", "indicator"],
+  size: [98, 116],
+  signal: { label: "Flow", units: "m³/h", min: 0, max: 50, waveform: "noise", period: 25 },
+  props: [
+    { key: "letters", label: "Function", type: "text", maxLength: 4, default: "FT" },
+    { key: "location", label: "Location", type: "choice", options: ["field", "panel", "dcs"], default: "dcs" },
+  ],
+  render: ({ c, reading, props }) => (
+    <svg width="80" height="80" viewBox="0 0 80 80">
+      {props.location === "dcs" && <rect x="12" y="12" width="56" height="56" fill="none" stroke={c.line} />}
+      <circle cx="40" cy="40" r="26" fill={c.body} stroke={c.fill} strokeWidth="1.5" />
+      {props.location !== "field" && <line x1="14" y1="40" x2="66" y2="40" stroke={c.line} />}
+      <text x="40" y="35" textAnchor="middle" fontFamily="var(--font-mono)" fontSize="12" fill={c.text} letterSpacing="1">{props.letters || "FT"}</text>
+      <text x="40" y="53" textAnchor="middle" fontFamily="var(--font-mono)" fontSize="8" fill={c.mute}>{reading ? reading.text : "310"}</text>
+    </svg>
+  ),
+});
@@ -1,11 +1,20 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { createApi } from './server/api.mjs';
+
+// Mounts the same-origin /api endpoints (LLM proxy, …) on `vite` and `vite preview`
+// so connect-src 'self' in the CSP keeps working without a separate backend.
+const blueforgeApi = () => ({
+  name: 'blueforge-api',
+  configureServer(server) { server.middlewares.use(createApi()); },
+  configurePreviewServer(server) { server.middlewares.use(createApi()); },
+});
 
 // Blueforge AI — production build config
 // Replaces in-browser Babel + 15 individual JSX scripts with one minified bundle.
 // Run: `npm install && npm run build` → outputs ./dist
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), blueforgeApi()],
   build: {
     target: 'es2020',
     outDir: 'dist',
@@ -22,9 +22,9 @@ function makeSeries(n, seed = 1, base = 50, amp = 30) {
   });
 }
 
-function Sparkline({ width = 240, height = 60, color = "var(--accent)", seed = 1, fill = true, motion = 1 }) {
+function Sparkline({ width = 240, height = 60, color = "var(--accent)", seed = 1, fill = true, motion = 1, still = false }) {
   const [t, setT] = useState(0);
-  useAnimationFrame((time) => setT(time * 0.001 * motion));
+  useAnimationFrame((time) => setT(time * 0.001 * motion), !still);
   const n = 40;
   const pts = Array.from({ length: n }, (_, i) => {
     const x = (i / (n - 1)) * width;
@@ -44,7 +44,7 @@ function Sparkline({ width = 240, height = 60, color = "var(--accent)", seed = 1
       {fill && <path d={fillPath} fill={`url(#spark-fill-${seed})`} />}
       <path d={path} fill="none" stroke={color} strokeWidth="1.5" strokeLinejoin="round" strokeLinecap="round" />
       <circle cx={pts[pts.length - 1][0]} cy={pts[pts.length - 1][1]} r="3" fill={color}>
-        <animate attributeName="r" values="2;5;2" dur="1.6s" repeatCount="indefinite" />
+        {!still && <animate attributeName="r" values="2;5;2" dur="1.6s" repeatCount="indefinite" />}
       </circle>
     </svg>
   );